@@ -0,0 +1,177 @@
+/**
+ * blockingRecall.js
+ *
+ * Purpose: Show what the blocking index (scripts/matching/entityBlockingIndex.js)
+ * loses. For a stratified sample of base entities, compares each one with every
+ * other entity (as a build without blocking would) and checks whether each true
+ * match and near miss found that way would still be compared with blocking on.
+ *
+ * Reported:
+ *   - true-match recall and near-miss recall (pairs kept by blocking / pairs found)
+ *   - exhaustive vs blocked comparison counts for the sample
+ *   - every missed pair with its scores and both entities' block keys
+ *   - index size (blocks, unblocked entities, largest blocks)
+ *
+ * A missed true match means a build with blocking can group differently; add or
+ * widen a block rule until recall is 1 on a representative sample.
+ *
+ * Usage (browser, after loading the unified database):
+ *   fetch('./scripts/analysis/blockingRecall.js').then(r => r.text()).then(eval)
+ *   const recall = evaluateBlockingRecall({ sampleSize: 300 });
+ *   downloadBlockingRecallCSV(recall);
+ *
+ * Command line:
+ *   node bin/birava blocking-recall --unified ./unified.json --sample-size 300 --out ./missed.csv
+ */
+
+/**
+ * Compare a sample exhaustively and measure what blocking keeps
+ * @param {Object} [options]
+ * @param {Object} [options.entityDb] - Entity database (default: window.unifiedEntityDatabase.entities)
+ * @param {number} [options.sampleSize=200] - Base entities to compare against the whole database
+ * @param {number} [options.sampleSeed=12345] - Seed for the stratified sample
+ * @param {IndividualNameDatabase} [options.indNameDb] - Passed to EntityBlockingIndex
+ * @param {EntityBlockingIndex} [options.index] - Prebuilt index (built from entityDb if omitted)
+ * @returns {Object} Recall report
+ */
+function evaluateBlockingRecall(options = {}) {
+    const entityDb = options.entityDb || window.unifiedEntityDatabase?.entities;
+    if (!entityDb) {
+        throw new Error('evaluateBlockingRecall: no entity database loaded');
+    }
+    const sampleSize = options.sampleSize || 200;
+    const sampleSeed = options.sampleSeed || 12345;
+    const index = options.index || new EntityBlockingIndex(entityDb,
+        options.indNameDb !== undefined ? { indNameDb: options.indNameDb } : {});
+
+    const allKeys = Object.keys(entityDb);
+    const sampleKeys = sampleSize < allKeys.length
+        ? Object.keys(createStratifiedSample(entityDb, sampleSize, sampleSeed))
+        : allKeys;
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        matchingProfile: getActiveMatchingProfile().name,
+        entityCount: allKeys.length,
+        sampledEntities: sampleKeys.length,
+        sampleSeed,
+        exhaustiveComparisons: 0,
+        blockedComparisons: 0,
+        comparisonReduction: null,
+        trueMatches: { found: 0, kept: 0, recall: null },
+        nearMisses: { found: 0, kept: 0, recall: null },
+        missedPairs: [],
+        index: index.getStats()
+    };
+
+    for (const baseKey of sampleKeys) {
+        const baseEntity = entityDb[baseKey];
+        const candidateKeys = index.getCandidateKeys(baseKey);
+
+        for (const targetKey of allKeys) {
+            if (targetKey === baseKey) continue;
+            const scores = scoreGroupingPair(baseKey, baseEntity, targetKey, entityDb[targetKey]);
+            if (!scores) continue;
+            report.exhaustiveComparisons++;
+            const kept = !candidateKeys || candidateKeys.has(targetKey);
+            if (kept) report.blockedComparisons++;
+
+            const kind = isTrueMatch(scores.overall, scores.name, scores.contactInfo) ? 'TRUE_MATCH'
+                : isNearMatch(scores.overall, scores.name, scores.contactInfo) ? 'NEAR_MISS' : null;
+            if (!kind) continue;
+
+            const tally = kind === 'TRUE_MATCH' ? report.trueMatches : report.nearMisses;
+            tally.found++;
+            if (kept) {
+                tally.kept++;
+            } else {
+                report.missedPairs.push({
+                    kind,
+                    baseKey,
+                    targetKey,
+                    baseType: baseEntity.constructor.name,
+                    targetType: entityDb[targetKey].constructor.name,
+                    overall: scores.overall,
+                    name: scores.name,
+                    contactInfo: scores.contactInfo,
+                    baseBlocks: index.blocksByEntity.get(baseKey),
+                    targetBlocks: index.blocksByEntity.get(targetKey)
+                });
+            }
+        }
+    }
+
+    for (const tally of [report.trueMatches, report.nearMisses]) {
+        tally.recall = tally.found > 0 ? tally.kept / tally.found : null;
+    }
+    report.comparisonReduction = report.exhaustiveComparisons > 0
+        ? 1 - report.blockedComparisons / report.exhaustiveComparisons
+        : null;
+    return report;
+}
+
+/**
+ * One-paragraph text summary of a recall report
+ * @param {Object} report - From evaluateBlockingRecall()
+ * @returns {string}
+ */
+function formatBlockingRecallSummary(report) {
+    const percent = (value) => value === null ? '-' : `${(value * 100).toFixed(2)}%`;
+    return [
+        `Blocking recall (${report.sampledEntities} of ${report.entityCount} entities compared exhaustively, profile ${report.matchingProfile})`,
+        `  True matches: ${report.trueMatches.kept} of ${report.trueMatches.found} kept (recall ${percent(report.trueMatches.recall)})`,
+        `  Near misses:  ${report.nearMisses.kept} of ${report.nearMisses.found} kept (recall ${percent(report.nearMisses.recall)})`,
+        `  Comparisons:  ${report.blockedComparisons} with blocking vs ${report.exhaustiveComparisons} exhaustive ` +
+            `(${percent(report.comparisonReduction)} fewer)`,
+        `  Index: ${report.index.blocks} blocks, ${report.index.unblockedEntities} unblocked entities, ` +
+            `${report.index.averageCandidates.toFixed(1)} candidates per entity`
+    ].join('\n');
+}
+
+const BLOCKING_RECALL_CSV_HEADERS = ['Kind', 'BaseKey', 'TargetKey', 'BaseType', 'TargetType', 'Score', 'NameScore',
+    'ContactInfoScore', 'BaseBlocks', 'TargetBlocks'];
+
+/**
+ * CSV of the pairs blocking would miss
+ * @param {Object} report - From evaluateBlockingRecall()
+ * @returns {string}
+ */
+function buildBlockingRecallCSV(report) {
+    const rows = [BLOCKING_RECALL_CSV_HEADERS.join(',')];
+    for (const pair of report.missedPairs) {
+        rows.push([pair.kind, pair.baseKey, pair.targetKey, pair.baseType, pair.targetType,
+            pair.overall, pair.name, pair.contactInfo, (pair.baseBlocks || []).join(' '), (pair.targetBlocks || []).join(' ')]
+            .map(value => csvEscape(value === null || value === undefined ? '' : String(value))).join(','));
+    }
+    return rows.join('\n');
+}
+
+/**
+ * Download the missed-pairs CSV (browser)
+ * @param {Object} report - From evaluateBlockingRecall()
+ */
+function downloadBlockingRecallCSV(report) {
+    const blob = new Blob([buildBlockingRecallCSV(report)], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `blocking_recall_missed_${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        evaluateBlockingRecall,
+        formatBlockingRecallSummary,
+        buildBlockingRecallCSV
+    };
+}
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.evaluateBlockingRecall = evaluateBlockingRecall;
+    window.formatBlockingRecallSummary = formatBlockingRecallSummary;
+    window.buildBlockingRecallCSV = buildBlockingRecallCSV;
+    window.downloadBlockingRecallCSV = downloadBlockingRecallCSV;
+}
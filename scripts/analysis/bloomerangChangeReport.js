@@ -0,0 +1,323 @@
+/**
+ * bloomerangChangeReport.js
+ *
+ * Purpose: Show what changed in Bloomerang between two imports. Each refresh
+ * replaces the Bloomerang entity collections outright, so this compares the
+ * previous unified database with the new one, constituent by constituent,
+ * keyed by the account number from createAccountNumberSimpleIdentifiers()
+ * (households by their 'AH' account number).
+ *
+ * Reported:
+ *   - constituents added and removed
+ *   - field changes: name, primary and secondary addresses, PO box, email,
+ *     phones, household membership, head-of-household flag, household members
+ *   - the EntityGroups (from the previous build) holding a changed or removed
+ *     constituent, i.e. the groups to re-review
+ *   - the changed unified keys in build-groups --changed format
+ *
+ * Usage (browser): keep the previous database before refreshing Bloomerang
+ *   const previousEntities = window.unifiedEntityDatabase.entities;
+ *   // ... load the new export and rebuild the unified database ...
+ *   fetch('./scripts/analysis/bloomerangChangeReport.js').then(r => r.text()).then(eval)
+ *   const changes = compareBloomerangImports(previousEntities, window.unifiedEntityDatabase.entities,
+ *       { groupDb: window.entityGroupDatabase });
+ *   downloadBloomerangChangeCSV(changes);
+ *
+ * Command line:
+ *   node bin/birava bloomerang-changes --previous ./unified-sept.json --current ./unified-oct.json --out ./changes.csv
+ */
+
+// Compared fields, in report order
+const BLOOMERANG_CHANGE_FIELDS = [
+    { field: 'name', label: 'Name' },
+    { field: 'primaryAddress', label: 'Primary address' },
+    { field: 'secondaryAddresses', label: 'Secondary addresses' },
+    { field: 'poBox', label: 'PO box' },
+    { field: 'email', label: 'Email' },
+    { field: 'phones', label: 'Phones' },
+    { field: 'household', label: 'Household' },
+    { field: 'headOfHousehold', label: 'Head of household' },
+    { field: 'householdMembers', label: 'Household members' }
+];
+
+// Separator for fields holding several values (addresses, phones, members)
+const BLOOMERANG_CHANGE_LIST_SEPARATOR = ' | ';
+
+/**
+ * Term of a SimpleIdentifiers / AttributedTerm, or ''
+ * @param {Object} identifier
+ * @returns {string}
+ */
+function getBloomerangIdentifierTerm(identifier) {
+    if (!identifier) return '';
+    const term = identifier.primaryAlias?.term ?? identifier.term;
+    return term === undefined || term === null ? '' : String(term).trim();
+}
+
+/**
+ * Account number a constituent is tracked by across imports. Households use the
+ * 'AH' account number, normalized as in the unified database keys.
+ * @param {Object} entity - Bloomerang entity
+ * @returns {string} Account number, or '' if the entity has none
+ */
+function getBloomerangConstituentAccount(entity) {
+    const accountNumber = getBloomerangIdentifierTerm(entity?.accountNumber);
+    if (!accountNumber || getEntityTypeString(entity) !== 'AggregateHousehold' || accountNumber.endsWith('AH')) {
+        return accountNumber;
+    }
+    return accountNumber.endsWith('H') ? accountNumber.slice(0, -1) + 'AH' : accountNumber + 'AH';
+}
+
+/**
+ * Flatten a Bloomerang entity into the compared field values
+ * @param {string} key - Unified database key
+ * @param {Object} entity - Bloomerang entity
+ * @returns {Object} { key, accountNumber, entityType, ...one string per BLOOMERANG_CHANGE_FIELDS field }
+ */
+function describeBloomerangConstituent(key, entity) {
+    const contactInfo = entity.contactInfo || {};
+    const householdInfo = entity.otherInfo?.householdInformation;
+    const inHousehold = !!householdInfo?.isInHousehold;
+    const phones = [contactInfo.phone, contactInfo.islandPhone, ...(contactInfo.additionalPhones || [])]
+        .map(getBloomerangIdentifierTerm)
+        .filter(phone => phone);
+    const members = (entity.individuals || [])
+        .map(getBloomerangConstituentAccount)
+        .filter(account => account);
+
+    return {
+        key,
+        accountNumber: getBloomerangConstituentAccount(entity),
+        entityType: getEntityTypeString(entity),
+        name: assembleMailName(entity),
+        primaryAddress: formatFullAddress(contactInfo.primaryAddress),
+        secondaryAddresses: [...new Set(getSecondaryAddresses(entity))].sort().join(BLOOMERANG_CHANGE_LIST_SEPARATOR),
+        poBox: getEntityPOBox(entity),
+        email: getEntityEmail(entity).toLowerCase(),
+        phones: [...new Set(phones)].sort().join(BLOOMERANG_CHANGE_LIST_SEPARATOR),
+        household: inHousehold
+            ? `${householdInfo.householdName || ''} (${householdInfo.householdIdentifier || 'no household account'})`.trim()
+            : '',
+        headOfHousehold: inHousehold ? (householdInfo.isHeadOfHousehold ? 'Yes' : 'No') : '',
+        householdMembers: [...new Set(members)].sort().join(BLOOMERANG_CHANGE_LIST_SEPARATOR)
+    };
+}
+
+/**
+ * Index the Bloomerang constituents of one import by account number
+ * @param {Object} entities - Unified database, or its entities object (key -> entity)
+ * @returns {Object} { byAccount: Map<account, description>, withoutAccount: [keys], duplicateAccounts: [account] }
+ */
+function indexBloomerangConstituents(entities) {
+    const entityMap = entities?.entities || entities;
+    if (!entityMap || typeof entityMap !== 'object') {
+        throw new Error('indexBloomerangConstituents: expected a unified database or its entities object');
+    }
+    const byAccount = new Map();
+    const withoutAccount = [];
+    const duplicateAccounts = new Set();
+
+    for (const [key, entity] of Object.entries(entityMap)) {
+        if (!key.startsWith('bloomerang:') || !entity) continue;
+        const description = describeBloomerangConstituent(key, entity);
+        if (!description.accountNumber) {
+            withoutAccount.push(key);
+        } else if (byAccount.has(description.accountNumber)) {
+            // Keep the first; the second cannot be told apart by account number
+            duplicateAccounts.add(description.accountNumber);
+        } else {
+            byAccount.set(description.accountNumber, description);
+        }
+    }
+    return { byAccount, withoutAccount, duplicateAccounts: [...duplicateAccounts].sort() };
+}
+
+/**
+ * Map each Bloomerang account number to the EntityGroups holding it
+ * @param {EntityGroupDatabase} groupDb
+ * @returns {Map<string, Array<number>>} account -> group indices
+ */
+function mapBloomerangAccountsToGroups(groupDb) {
+    const accountGroups = new Map();
+    for (const group of groupDb.getAllGroups()) {
+        for (const key of [...group.memberKeys, ...(group.nearMissKeys || [])]) {
+            if (!key.startsWith('bloomerang:')) continue;
+            const account = key.split(':')[1];
+            if (!accountGroups.has(account)) accountGroups.set(account, []);
+            if (!accountGroups.get(account).includes(group.index)) accountGroups.get(account).push(group.index);
+        }
+    }
+    return accountGroups;
+}
+
+/**
+ * Compare two Bloomerang imports
+ * @param {Object} previousEntities - Previous unified database (or its entities object)
+ * @param {Object} currentEntities - New unified database (or its entities object)
+ * @param {Object} [options]
+ * @param {EntityGroupDatabase} [options.groupDb] - Build from the previous import; lists the groups to re-review
+ * @returns {Object} Change report
+ */
+function compareBloomerangImports(previousEntities, currentEntities, options = {}) {
+    const previous = indexBloomerangConstituents(previousEntities);
+    const current = indexBloomerangConstituents(currentEntities);
+    const accountGroups = options.groupDb ? mapBloomerangAccountsToGroups(options.groupDb) : null;
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        previousConstituents: previous.byAccount.size,
+        currentConstituents: current.byAccount.size,
+        added: [],
+        removed: [],
+        changed: [],
+        unchanged: 0,
+        fieldCounts: Object.fromEntries(BLOOMERANG_CHANGE_FIELDS.map(f => [f.field, 0])),
+        withoutAccount: { previous: previous.withoutAccount, current: current.withoutAccount },
+        duplicateAccounts: { previous: previous.duplicateAccounts, current: current.duplicateAccounts },
+        groupsToReview: accountGroups ? [] : null,
+        changedKeys: { added: [], removed: [], modified: [] }
+    };
+
+    for (const [account, before] of previous.byAccount) {
+        const after = current.byAccount.get(account);
+        if (!after) {
+            report.removed.push(before);
+            report.changedKeys.removed.push(before.key);
+            continue;
+        }
+        const fields = BLOOMERANG_CHANGE_FIELDS
+            .filter(f => before[f.field] !== after[f.field])
+            .map(f => ({ field: f.field, previous: before[f.field], current: after[f.field] }));
+        if (fields.length === 0) {
+            report.unchanged++;
+            continue;
+        }
+        fields.forEach(f => report.fieldCounts[f.field]++);
+        report.changed.push({ accountNumber: account, entityType: after.entityType, name: after.name,
+            previousKey: before.key, currentKey: after.key, fields });
+        // The key embeds the location, so an address change can replace it
+        if (before.key === after.key) {
+            report.changedKeys.modified.push(after.key);
+        } else {
+            report.changedKeys.removed.push(before.key);
+            report.changedKeys.added.push(after.key);
+        }
+    }
+    for (const [account, after] of current.byAccount) {
+        if (!previous.byAccount.has(account)) {
+            report.added.push(after);
+            report.changedKeys.added.push(after.key);
+        }
+    }
+
+    if (accountGroups) {
+        const reasonsByGroup = new Map();
+        const addReason = (constituent, reason) => {
+            constituent.entityGroups = accountGroups.get(constituent.accountNumber) || [];
+            for (const index of constituent.entityGroups) {
+                if (!reasonsByGroup.has(index)) reasonsByGroup.set(index, []);
+                reasonsByGroup.get(index).push(`${constituent.accountNumber} ${reason}`);
+            }
+        };
+        report.removed.forEach(c => addReason(c, 'removed'));
+        report.changed.forEach(c => addReason(c, `changed (${c.fields.map(f => f.field).join(', ')})`));
+        report.groupsToReview = [...reasonsByGroup.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([index, reasons]) => ({
+                index,
+                foundingMemberKey: options.groupDb.getGroup(index)?.foundingMemberKey || null,
+                reasons
+            }));
+    }
+
+    return report;
+}
+
+/**
+ * Format the change report for the console
+ * @param {Object} report - From compareBloomerangImports()
+ * @returns {string}
+ */
+function formatBloomerangChangeSummary(report) {
+    const lines = [
+        '=== Bloomerang changes between imports ===',
+        `Constituents: ${report.previousConstituents} previous, ${report.currentConstituents} current`,
+        `Added: ${report.added.length}   Removed: ${report.removed.length}   Changed: ${report.changed.length}   Unchanged: ${report.unchanged}`
+    ];
+    const fieldLines = BLOOMERANG_CHANGE_FIELDS
+        .filter(f => report.fieldCounts[f.field] > 0)
+        .map(f => `  ${f.label}: ${report.fieldCounts[f.field]}`);
+    if (fieldLines.length > 0) {
+        lines.push('Changed fields:', ...fieldLines);
+    }
+    for (const side of ['previous', 'current']) {
+        if (report.withoutAccount[side].length > 0) {
+            lines.push(`Skipped (no account number) in ${side} import: ${report.withoutAccount[side].length}`);
+        }
+        if (report.duplicateAccounts[side].length > 0) {
+            lines.push(`Repeated account numbers in ${side} import (first kept): ${report.duplicateAccounts[side].join(', ')}`);
+        }
+    }
+    if (report.groupsToReview) {
+        lines.push(`EntityGroups to re-review: ${report.groupsToReview.length}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * CSV: one row per added or removed constituent and per changed field
+ * @param {Object} report - From compareBloomerangImports()
+ * @returns {string}
+ */
+function buildBloomerangChangeCSV(report) {
+    const headers = ['Change', 'AccountNumber', 'EntityType', 'Name', 'Field', 'PreviousValue', 'CurrentValue',
+        'PreviousKey', 'CurrentKey', 'EntityGroups'];
+    const groupsFor = (constituent) => (constituent.entityGroups || []).join(' ');
+
+    const rows = [headers.join(',')];
+    for (const c of report.added) {
+        rows.push(['ADDED', c.accountNumber, c.entityType, c.name, '', '', '', '', c.key, ''].map(csvEscape).join(','));
+    }
+    for (const c of report.removed) {
+        rows.push(['REMOVED', c.accountNumber, c.entityType, c.name, '', '', '', c.key, '', groupsFor(c)]
+            .map(csvEscape).join(','));
+    }
+    for (const c of report.changed) {
+        for (const f of c.fields) {
+            rows.push(['CHANGED', c.accountNumber, c.entityType, c.name, f.field, f.previous, f.current,
+                c.previousKey, c.currentKey, groupsFor(c)].map(csvEscape).join(','));
+        }
+    }
+    return rows.join('\n');
+}
+
+/**
+ * Download the change CSV (browser)
+ * @param {Object} report - From compareBloomerangImports()
+ */
+function downloadBloomerangChangeCSV(report) {
+    const blob = new Blob([buildBloomerangChangeCSV(report)], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `bloomerang_changes_${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BLOOMERANG_CHANGE_FIELDS,
+        compareBloomerangImports,
+        formatBloomerangChangeSummary,
+        buildBloomerangChangeCSV
+    };
+}
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.compareBloomerangImports = compareBloomerangImports;
+    window.formatBloomerangChangeSummary = formatBloomerangChangeSummary;
+    window.buildBloomerangChangeCSV = buildBloomerangChangeCSV;
+    window.downloadBloomerangChangeCSV = downloadBloomerangChangeCSV;
+}
@@ -0,0 +1,369 @@
+/**
+ * matchQualityEvaluation.js
+ *
+ * Purpose: Measure how well natural matching agrees with hand labels.
+ *
+ * The FORCE_MATCH / FORCE_EXCLUDE override rules are hand labels: a FORCE_MATCH
+ * pair is the same person/household, a FORCE_EXCLUDE pair is not. This treats
+ * them (plus an optional labelled-pairs CSV) as ground truth, runs
+ * findMatchesForEntity() for every labelled entity - natural matching only, no
+ * override rules applied - and reports precision, recall and the false
+ * positives / false negatives, overall and per entity-type pair.
+ *
+ *   true positive   labelled match, natural matching finds it
+ *   false negative  labelled match, natural matching misses it
+ *   false positive  labelled non-match, natural matching finds it
+ *   true negative   labelled non-match, natural matching does not find it
+ *
+ * A pair counts as found when either entity finds the other as a true match
+ * (the builder compares from whichever entity founds the group).
+ * MUTUAL sets are expanded to every pair in the set. Pairs labelled both ways
+ * are reported as conflicts and left out of the scores.
+ *
+ * Labelled-pairs CSV (header row required):
+ *   EntityKey1, EntityKey2, Label, Note
+ *   Label: MATCH / NO_MATCH (also accepted: YES/NO, TRUE/FALSE, 1/0)
+ *
+ * Usage (browser, after loading the unified database and override rules):
+ *   fetch('./scripts/analysis/matchQualityEvaluation.js').then(r => r.text()).then(eval)
+ *   const evaluation = evaluateMatchQuality();
+ *   downloadMatchQualityCSV(evaluation);
+ *
+ * Command line:
+ *   node bin/birava evaluate-matching --unified ./unified.json --overrides ./overrides/ --labels ./pairs.csv
+ */
+
+const MATCH_LABEL_VALUES = {
+    MATCH: true, YES: true, TRUE: true, 1: true,
+    NO_MATCH: false, NOMATCH: false, NO: false, FALSE: false, 0: false
+};
+
+const labelPairKey = (keyA, keyB) => (keyA < keyB ? `${keyA}|${keyB}` : `${keyB}|${keyA}`);
+
+/**
+ * Collect ground-truth labels from override rules
+ * @param {MatchOverrideManager} manager - Loaded override rules (window.matchOverrideManager)
+ * @returns {Array<Object>} [{ keyA, keyB, isMatch, source, ruleId }]
+ */
+function collectOverrideRuleLabels(manager) {
+    const labels = [];
+    const addSet = (keys, isMatch, source, ruleId) => {
+        for (let i = 0; i < keys.length; i++) {
+            for (let j = i + 1; j < keys.length; j++) {
+                labels.push({ keyA: keys[i], keyB: keys[j], isMatch, source, ruleId });
+            }
+        }
+    };
+
+    for (const rule of manager.forceMatchRules) {
+        labels.push({ keyA: rule.entityKey1, keyB: rule.entityKey2, isMatch: true, source: 'FORCE_MATCH', ruleId: rule.ruleId });
+    }
+    for (const rule of manager.forceExcludeRules) {
+        labels.push({ keyA: rule.defectiveKey, keyB: rule.otherKey, isMatch: false, source: 'FORCE_EXCLUDE', ruleId: rule.ruleId });
+    }
+    for (const set of manager.mutualInclusionSets) {
+        addSet(set.keys, true, 'MUTUAL_FORCE_MATCH', set.ruleId);
+    }
+    for (const set of manager.mutualExclusionSets) {
+        addSet(set.keys, false, 'MUTUAL_FORCE_EXCLUDE', set.ruleId);
+    }
+    return labels;
+}
+
+/**
+ * Parse labelled-pairs CSV rows (already split into fields; first row is the header)
+ * @param {Array<Array<string>>} rows - CSV rows
+ * @returns {{labels: Array<Object>, errors: Array<string>}}
+ */
+function parseLabelledPairRows(rows) {
+    const labels = [];
+    const errors = [];
+
+    for (let i = 1; i < rows.length; i++) {
+        const row = rows[i];
+        if (!row || row.every(field => !String(field || '').trim())) continue;
+
+        const keyA = String(row[0] || '').trim();
+        const keyB = String(row[1] || '').trim();
+        const labelText = String(row[2] || '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+        if (!keyA || !keyB) {
+            errors.push(`Row ${i + 1}: two entity keys required`);
+            continue;
+        }
+        if (keyA === keyB) {
+            errors.push(`Row ${i + 1}: both keys are ${keyA}`);
+            continue;
+        }
+        if (!(labelText in MATCH_LABEL_VALUES)) {
+            errors.push(`Row ${i + 1}: unknown label "${row[2] || ''}" (use MATCH or NO_MATCH)`);
+            continue;
+        }
+        labels.push({
+            keyA, keyB,
+            isMatch: MATCH_LABEL_VALUES[labelText],
+            source: 'LABELLED_PAIRS',
+            ruleId: `row ${i + 1}`,
+            note: String(row[3] || '').trim()
+        });
+    }
+
+    return { labels, errors };
+}
+
+/**
+ * Merge labels into one per pair, separating pairs labelled both ways
+ * @param {Array<Object>} labels - From collectOverrideRuleLabels / parseLabelledPairRows
+ * @returns {{pairs: Map<string, Object>, conflicts: Array<Object>}}
+ */
+function mergeMatchLabels(labels) {
+    const pairs = new Map();
+    const conflicted = new Map();
+
+    for (const label of labels) {
+        const pairKey = labelPairKey(label.keyA, label.keyB);
+        if (conflicted.has(pairKey)) {
+            conflicted.get(pairKey).labels.push(label);
+            continue;
+        }
+        const existing = pairs.get(pairKey);
+        if (!existing) {
+            pairs.set(pairKey, { ...label, sources: [`${label.source}:${label.ruleId}`] });
+        } else if (existing.isMatch === label.isMatch) {
+            existing.sources.push(`${label.source}:${label.ruleId}`);
+        } else {
+            pairs.delete(pairKey);
+            conflicted.set(pairKey, { keyA: existing.keyA, keyB: existing.keyB, labels: [existing, label] });
+        }
+    }
+
+    const conflicts = [...conflicted.values()].map(conflict => ({
+        keyA: conflict.keyA,
+        keyB: conflict.keyB,
+        sources: conflict.labels.map(l => `${l.isMatch ? 'MATCH' : 'NO_MATCH'} ${l.sources ? l.sources.join(' ') : `${l.source}:${l.ruleId}`}`)
+    }));
+    return { pairs, conflicts };
+}
+
+/**
+ * Precision / recall / F1 from counts
+ * @param {Object} counts - { tp, fp, fn, tn }
+ * @returns {Object} counts plus precision, recall, f1 (null when undefined)
+ */
+function scoreMatchCounts(counts) {
+    const precision = counts.tp + counts.fp > 0 ? counts.tp / (counts.tp + counts.fp) : null;
+    const recall = counts.tp + counts.fn > 0 ? counts.tp / (counts.tp + counts.fn) : null;
+    const f1 = precision !== null && recall !== null && precision + recall > 0
+        ? 2 * precision * recall / (precision + recall)
+        : null;
+    return { ...counts, precision, recall, f1 };
+}
+
+/**
+ * Scores for a pair neither entity found as a true match or near miss
+ * @returns {Object} { overall, name, contactInfo } as in findMatchesForEntity results
+ */
+function scoreLabelledPair(entityA, entityB) {
+    const comparison = universalCompareTo(entityA, entityB);
+    return {
+        overall: comparison.score,
+        name: comparison.details?.components?.name?.similarity ?? null,
+        contactInfo: comparison.details?.components?.contactInfo?.similarity ?? null
+    };
+}
+
+/**
+ * Evaluate natural matching against labelled pairs
+ * @param {Object} [options]
+ * @param {Object} [options.entityDb] - Keyed entity database (default window.unifiedEntityDatabase.entities)
+ * @param {MatchOverrideManager} [options.overrideManager] - Rules used as labels (default window.matchOverrideManager)
+ * @param {boolean} [options.useOverrideRules=true] - Include override rules as labels
+ * @param {Array<Object>} [options.labels] - Extra labels (parseLabelledPairRows(rows).labels)
+ * @param {boolean} [options.fullScan=false] - Match each labelled entity against the whole database
+ *        (slower; also counts unlabelled matches). Default compares only against labelled partners.
+ * @returns {Object} { labelCounts, conflicts, missingKeys, overall, byTypePair, falsePositives, falseNegatives, unlabelledMatches }
+ */
+function evaluateMatchQuality(options = {}) {
+    const entityDb = options.entityDb || window.unifiedEntityDatabase?.entities;
+    if (!entityDb) {
+        throw new Error('Unified entity database not loaded');
+    }
+    const manager = options.overrideManager || window.matchOverrideManager;
+    const labels = [
+        ...(options.useOverrideRules !== false && manager ? collectOverrideRuleLabels(manager) : []),
+        ...(options.labels || [])
+    ];
+    const { pairs, conflicts } = mergeMatchLabels(labels);
+
+    // Labelled partners of each entity
+    const missingKeys = new Set();
+    const partnersByKey = new Map();
+    const evaluated = [];
+    for (const label of pairs.values()) {
+        const missing = [label.keyA, label.keyB].filter(key => !entityDb[key]);
+        if (missing.length > 0) {
+            missing.forEach(key => missingKeys.add(key));
+            continue;
+        }
+        evaluated.push(label);
+        for (const [key, partner] of [[label.keyA, label.keyB], [label.keyB, label.keyA]]) {
+            if (!partnersByKey.has(key)) partnersByKey.set(key, new Set());
+            partnersByKey.get(key).add(partner);
+        }
+    }
+
+    // Natural matching from each labelled entity; nothing is assigned, so every candidate is compared
+    const emptyGroupDb = new EntityGroupDatabase();
+    const found = new Map();  // "fromKey|toKey" -> { type: 'true'|'near', scores }
+    const unlabelledMatches = new Set();
+    for (const [key, partners] of partnersByKey) {
+        const candidates = options.fullScan
+            ? entityDb
+            : Object.fromEntries([...partners].map(partner => [partner, entityDb[partner]]));
+        const { trueMatches, nearMisses } = findMatchesForEntity(key, entityDb[key], emptyGroupDb, candidates);
+        for (const match of trueMatches) {
+            found.set(`${key}|${match.key}`, { type: 'true', scores: match.scores });
+            if (!pairs.has(labelPairKey(key, match.key))) unlabelledMatches.add(labelPairKey(key, match.key));
+        }
+        for (const match of nearMisses) {
+            found.set(`${key}|${match.key}`, { type: 'near', scores: match.scores });
+        }
+    }
+
+    const emptyCounts = () => ({ tp: 0, fp: 0, fn: 0, tn: 0 });
+    const overall = emptyCounts();
+    const byTypePair = {};
+    const falsePositives = [];
+    const falseNegatives = [];
+
+    for (const label of evaluated) {
+        const forward = found.get(`${label.keyA}|${label.keyB}`);
+        const backward = found.get(`${label.keyB}|${label.keyA}`);
+        const predicted = forward?.type === 'true' || backward?.type === 'true';
+        const nearMiss = !predicted && (forward?.type === 'near' || backward?.type === 'near');
+        const best = [forward, backward].filter(Boolean)
+            .sort((a, b) => (b.type === 'true') - (a.type === 'true') || b.scores.overall - a.scores.overall)[0];
+        const scores = best ? best.scores : scoreLabelledPair(entityDb[label.keyA], entityDb[label.keyB]);
+
+        const typePair = [entityDb[label.keyA].constructor.name, entityDb[label.keyB].constructor.name].sort().join('-');
+        if (!byTypePair[typePair]) byTypePair[typePair] = emptyCounts();
+
+        const outcome = label.isMatch ? (predicted ? 'tp' : 'fn') : (predicted ? 'fp' : 'tn');
+        overall[outcome]++;
+        byTypePair[typePair][outcome]++;
+
+        if (outcome === 'fp' || outcome === 'fn') {
+            const record = {
+                keyA: label.keyA,
+                keyB: label.keyB,
+                typePair,
+                sources: label.sources,
+                overall: scores.overall,
+                name: scores.name,
+                contactInfo: scores.contactInfo,
+                nearMiss
+            };
+            (outcome === 'fp' ? falsePositives : falseNegatives).push(record);
+        }
+    }
+
+    for (const typePair of Object.keys(byTypePair)) {
+        byTypePair[typePair] = scoreMatchCounts(byTypePair[typePair]);
+    }
+
+    return {
+        evaluatedAt: new Date().toISOString(),
+        matchingProfile: typeof getActiveMatchingProfile === 'function' ? getActiveMatchingProfile().name : null,
+        labelCounts: {
+            total: pairs.size,
+            matches: [...pairs.values()].filter(l => l.isMatch).length,
+            nonMatches: [...pairs.values()].filter(l => !l.isMatch).length,
+            evaluated: evaluated.length
+        },
+        conflicts,
+        missingKeys: [...missingKeys].sort(),
+        overall: scoreMatchCounts(overall),
+        byTypePair,
+        falsePositives,
+        falseNegatives,
+        unlabelledMatches: options.fullScan ? unlabelledMatches.size : null
+    };
+}
+
+const MATCH_QUALITY_CSV_HEADERS = ['Error', 'TypePair', 'KeyA', 'KeyB', 'Overall', 'Name', 'ContactInfo', 'NearMiss', 'LabelSources'];
+
+/**
+ * One row per false positive / false negative
+ * @param {Object} evaluation - From evaluateMatchQuality()
+ * @returns {string} CSV text
+ */
+function buildMatchQualityCSV(evaluation) {
+    const rows = [
+        ...evaluation.falsePositives.map(record => ['FALSE_POSITIVE', record]),
+        ...evaluation.falseNegatives.map(record => ['FALSE_NEGATIVE', record])
+    ].map(([error, r]) => [error, r.typePair, r.keyA, r.keyB, r.overall, r.name, r.contactInfo,
+        r.nearMiss ? 'yes' : '', r.sources.join(' ')].map(csvEscape).join(','));
+    return [MATCH_QUALITY_CSV_HEADERS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Plain-text summary: overall and per type-pair precision / recall
+ * @param {Object} evaluation - From evaluateMatchQuality()
+ * @returns {string}
+ */
+function formatMatchQualitySummary(evaluation) {
+    const pct = (value) => (value === null ? '   n/a' : `${(value * 100).toFixed(1).padStart(5)}%`);
+    const line = (label, s) => `${label.padEnd(40)} P ${pct(s.precision)}  R ${pct(s.recall)}  ` +
+        `TP ${s.tp}  FP ${s.fp}  FN ${s.fn}  TN ${s.tn}`;
+    const lines = [
+        `Labelled pairs: ${evaluation.labelCounts.total} (${evaluation.labelCounts.matches} match, ` +
+            `${evaluation.labelCounts.nonMatches} non-match), ${evaluation.labelCounts.evaluated} evaluated`,
+        line('Overall', evaluation.overall),
+        ...Object.keys(evaluation.byTypePair).sort().map(typePair => line(`  ${typePair}`, evaluation.byTypePair[typePair]))
+    ];
+    if (evaluation.conflicts.length > 0) {
+        lines.push(`Conflicting labels (not scored): ${evaluation.conflicts.length}`);
+    }
+    if (evaluation.missingKeys.length > 0) {
+        lines.push(`Labelled keys not in the database (pairs not scored): ${evaluation.missingKeys.length}`);
+    }
+    if (evaluation.unlabelledMatches !== null) {
+        lines.push(`Unlabelled true matches found: ${evaluation.unlabelledMatches}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Download the false positive / false negative CSV (browser)
+ * @param {Object} evaluation - From evaluateMatchQuality()
+ */
+function downloadMatchQualityCSV(evaluation) {
+    const blob = new Blob([buildMatchQualityCSV(evaluation)], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `match_quality_errors_${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        collectOverrideRuleLabels,
+        parseLabelledPairRows,
+        mergeMatchLabels,
+        evaluateMatchQuality,
+        buildMatchQualityCSV,
+        formatMatchQualitySummary
+    };
+}
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.collectOverrideRuleLabels = collectOverrideRuleLabels;
+    window.parseLabelledPairRows = parseLabelledPairRows;
+    window.mergeMatchLabels = mergeMatchLabels;
+    window.evaluateMatchQuality = evaluateMatchQuality;
+    window.buildMatchQualityCSV = buildMatchQualityCSV;
+    window.formatMatchQualitySummary = formatMatchQualitySummary;
+    window.downloadMatchQualityCSV = downloadMatchQualityCSV;
+}
@@ -0,0 +1,313 @@
+/**
+ * thresholdSweep.js
+ *
+ * Purpose: Show what moving a true-match threshold does to the actual grouping.
+ * matchThresholdAnalysis.js looks at score distributions; this rebuilds the
+ * EntityGroup database once per threshold value and reports, per value:
+ *   - total groups, multi-member groups, prospect groups, Bloomerang-only groups
+ *   - entity pairs that flip relative to the baseline (current profile):
+ *       joined = in the same group at this value but not in the baseline
+ *       split  = in the same group in the baseline but not at this value
+ *
+ * What is swept (options.field):
+ *   'all'                    every MATCH_CRITERIA.trueMatch threshold, shifted by each value (offsets)
+ *   'overallAndName.overall' | 'overallAndName.name' | 'contactInfoAlone' | 'overallAlone' | 'nameAlone'
+ *                            that one threshold, set to each value (absolute)
+ * Without options.values the range is the baseline ±0.05 in steps of 0.01.
+ * A nearMatch threshold is lowered to its trueMatch counterpart when the sweep
+ * would put it above.
+ *
+ * Each build applies a matching profile derived from the active one
+ * (matchingProfiles.js); the original profile is restored afterwards.
+ * Phonebook steps are always skipped: they add data to the entities they
+ * match, so repeated builds would not be comparable.
+ *
+ * Usage (browser, after loading the unified database and override rules):
+ *   fetch('./scripts/analysis/thresholdSweep.js').then(r => r.text()).then(eval)
+ *   const sweep = await runThresholdSweep({ sampleSize: 500 });
+ *   downloadThresholdSweepCSV(sweep);
+ *
+ * Command line:
+ *   node bin/birava threshold-sweep --unified ./unified.json --sample-size 500 --out ./sweep.csv
+ */
+
+// Thresholds that can be swept individually (paths within MATCH_CRITERIA.trueMatch)
+const THRESHOLD_SWEEP_FIELDS = ['overallAndName.overall', 'overallAndName.name', 'contactInfoAlone', 'overallAlone', 'nameAlone'];
+
+// Default range: baseline ± THRESHOLD_SWEEP_DEFAULT_SPAN in steps of THRESHOLD_SWEEP_DEFAULT_STEP
+const THRESHOLD_SWEEP_DEFAULT_SPAN = 0.05;
+const THRESHOLD_SWEEP_DEFAULT_STEP = 0.01;
+
+const roundThreshold = (value) => Math.round(value * 10000) / 10000;
+
+function getThresholdAtPath(criteria, path) {
+    return path.split('.').reduce((obj, part) => obj[part], criteria);
+}
+
+function setThresholdAtPath(criteria, path, value) {
+    const parts = path.split('.');
+    const last = parts.pop();
+    parts.reduce((obj, part) => obj[part], criteria)[last] = value;
+}
+
+/**
+ * List the values to sweep
+ * @param {Object} options - { field, values, from, to, step }
+ * @param {number} center - Baseline value of the field (0 for 'all')
+ * @returns {Array<number>} Ascending values
+ */
+function getThresholdSweepValues(options, center) {
+    if (Array.isArray(options.values) && options.values.length > 0) {
+        return [...new Set(options.values.map(Number).map(roundThreshold))].sort((a, b) => a - b);
+    }
+    const step = options.step ?? THRESHOLD_SWEEP_DEFAULT_STEP;
+    const from = options.from ?? center - THRESHOLD_SWEEP_DEFAULT_SPAN;
+    const to = options.to ?? center + THRESHOLD_SWEEP_DEFAULT_SPAN;
+    if (!(step > 0) || from > to) {
+        throw new Error(`Invalid sweep range: from ${from} to ${to} step ${step}`);
+    }
+    const values = [];
+    for (let i = 0; from + i * step <= to + 1e-9; i++) {
+        values.push(roundThreshold(from + i * step));
+    }
+    return values;
+}
+
+/**
+ * Matching profile for one sweep value, derived from a base profile
+ * @param {Object} baseProfile - Complete profile (getActiveMatchingProfile())
+ * @param {string} field - 'all' or one of THRESHOLD_SWEEP_FIELDS
+ * @param {number} value - Offset ('all') or absolute threshold
+ * @returns {Object} Profile object for applyMatchingProfile()
+ */
+function buildThresholdSweepProfile(baseProfile, field, value) {
+    const profile = JSON.parse(JSON.stringify(baseProfile));
+    const trueMatch = profile.matchCriteria.trueMatch;
+    const nearMatch = profile.matchCriteria.nearMatch;
+    const fields = field === 'all' ? THRESHOLD_SWEEP_FIELDS : [field];
+    const clamp = (v) => roundThreshold(Math.min(1, Math.max(0, v)));
+
+    for (const path of fields) {
+        const threshold = clamp(field === 'all' ? getThresholdAtPath(trueMatch, path) + value : value);
+        setThresholdAtPath(trueMatch, path, threshold);
+        if (getThresholdAtPath(nearMatch, path) > threshold) {
+            setThresholdAtPath(nearMatch, path, threshold);
+        }
+    }
+
+    profile.name = `${baseProfile.name}@${field}=${value}`;
+    profile.description = `Threshold sweep of ${field} from profile "${baseProfile.name}"`;
+    return profile;
+}
+
+/**
+ * Keys of every pair of entities that share a group, as sorted "keyA|keyB"
+ * @param {EntityGroupDatabase} groupDb
+ * @returns {Set<string>}
+ */
+function collectGroupedPairs(groupDb) {
+    const pairs = new Set();
+    for (const group of groupDb.getAllGroups()) {
+        const keys = [...group.memberKeys].sort();
+        for (let i = 0; i < keys.length; i++) {
+            for (let j = i + 1; j < keys.length; j++) {
+                pairs.add(`${keys[i]}|${keys[j]}`);
+            }
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Grouping counts for one build
+ * @param {EntityGroupDatabase} groupDb
+ * @returns {Object} { totalGroups, multiMemberGroups, prospectGroups, bloomerangOnlyGroups }
+ */
+function summarizeSweepBuild(groupDb) {
+    const groups = groupDb.getAllGroups();
+    return {
+        totalGroups: groups.length,
+        multiMemberGroups: groups.filter(g => g.memberKeys.length > 1).length,
+        prospectGroups: groups.filter(g => g.isProspect()).length,
+        bloomerangOnlyGroups: groups.filter(g => g.memberKeys.every(key => key.startsWith('bloomerang:'))).length
+    };
+}
+
+/**
+ * Describe a flipped pair with its current universalCompareTo score
+ * @param {string} pairKey - "keyA|keyB"
+ * @param {Object} entities - Keyed entity database
+ * @returns {Object} { keyA, keyB, score, nameScore, contactInfoScore }
+ */
+function describeFlippedPair(pairKey, entities) {
+    const [keyA, keyB] = pairKey.split('|');
+    const pair = { keyA, keyB, score: null, nameScore: null, contactInfoScore: null };
+    if (entities[keyA] && entities[keyB]) {
+        const result = universalCompareTo(entities[keyA], entities[keyB]);
+        pair.score = result.score;
+        pair.nameScore = result.details?.components?.name?.similarity ?? null;
+        pair.contactInfoScore = result.details?.components?.contactInfo?.similarity ?? null;
+    }
+    return pair;
+}
+
+/**
+ * Rebuild EntityGroups once per threshold value and report how the grouping changes
+ * @param {Object} [options]
+ * @param {string} [options.field='all'] - 'all' (offset every trueMatch threshold) or one of THRESHOLD_SWEEP_FIELDS
+ * @param {Array<number>} [options.values] - Values to sweep (offsets for 'all', thresholds otherwise)
+ * @param {number} [options.from] - Range start when values is not given (default baseline - 0.05)
+ * @param {number} [options.to] - Range end (default baseline + 0.05)
+ * @param {number} [options.step=0.01] - Range step
+ * @param {number} [options.sampleSize] - Build from a stratified sample (createStratifiedSample) of this size
+ * @param {number} [options.sampleSeed=12345] - Seed for the stratified sample
+ * @param {Function} [options.onStep] - Called with each step result as it completes
+ * @returns {Promise<Object>} { field, baseProfile, baselineValue, sampleMode, entityCount, baseline, steps }
+ */
+async function runThresholdSweep(options = {}) {
+    const field = options.field || 'all';
+    if (field !== 'all' && !THRESHOLD_SWEEP_FIELDS.includes(field)) {
+        throw new Error(`Unknown sweep field "${field}" (use all, ${THRESHOLD_SWEEP_FIELDS.join(', ')})`);
+    }
+    if (!window.unifiedEntityDatabase || !window.unifiedEntityDatabase.entities) {
+        throw new Error('Unified entity database not loaded');
+    }
+
+    const originalProfile = getMatchingProfileSummary();
+    const baseProfile = originalProfile.profile;
+    const baselineValue = field === 'all' ? 0 : roundThreshold(getThresholdAtPath(baseProfile.matchCriteria.trueMatch, field));
+    const values = getThresholdSweepValues(options, baselineValue);
+    const entities = window.unifiedEntityDatabase.entities;
+
+    const build = async (value) => {
+        const groupDb = await buildEntityGroupDatabase({
+            verbose: false,
+            saveToGoogleDrive: false,
+            buildConsensus: false,
+            skipPhonebook: true,
+            sampleSize: options.sampleSize || null,
+            sampleSeed: options.sampleSeed ?? 12345,
+            matchingProfile: buildThresholdSweepProfile(baseProfile, field, value)
+        });
+        if (!groupDb) {
+            throw new Error(`EntityGroup build failed at ${field}=${value}`);
+        }
+        return groupDb;
+    };
+
+    try {
+        const baselineDb = await build(baselineValue);
+        const baselinePairs = collectGroupedPairs(baselineDb);
+        const result = {
+            field,
+            baseProfile: baseProfile.name,
+            baselineValue,
+            sampleMode: baselineDb.sampleMode,
+            entityCount: baselineDb.sampleMode.enabled ? baselineDb.sampleMode.actualSize : Object.keys(entities).length,
+            baseline: { value: baselineValue, ...summarizeSweepBuild(baselineDb), groupedPairs: baselinePairs.size },
+            steps: []
+        };
+
+        for (const value of values) {
+            const groupDb = value === baselineValue ? baselineDb : await build(value);
+            const pairs = value === baselineValue ? baselinePairs : collectGroupedPairs(groupDb);
+            const joined = [...pairs].filter(pair => !baselinePairs.has(pair));
+            const split = [...baselinePairs].filter(pair => !pairs.has(pair));
+
+            const step = {
+                value,
+                trueMatch: JSON.parse(JSON.stringify(groupDb.matchingProfile.profile.matchCriteria.trueMatch)),
+                ...summarizeSweepBuild(groupDb),
+                groupedPairs: pairs.size,
+                joinedPairs: joined.sort().map(pair => describeFlippedPair(pair, entities)),
+                splitPairs: split.sort().map(pair => describeFlippedPair(pair, entities))
+            };
+            result.steps.push(step);
+            if (options.onStep) {
+                options.onStep(step, result);
+            }
+        }
+
+        return result;
+    } finally {
+        applyMatchingProfile(originalProfile.profile, { source: originalProfile.source });
+    }
+}
+
+const THRESHOLD_SWEEP_CSV_HEADERS = ['Field', 'Value', 'TotalGroups', 'MultiMemberGroups', 'ProspectGroups',
+    'BloomerangOnlyGroups', 'GroupedPairs', 'JoinedPairs', 'SplitPairs',
+    'OverallAndNameOverall', 'OverallAndNameName', 'ContactInfoAlone', 'OverallAlone', 'NameAlone'];
+
+/**
+ * One row per sweep value
+ * @param {Object} sweep - From runThresholdSweep()
+ * @returns {string} CSV text
+ */
+function buildThresholdSweepCSV(sweep) {
+    const rows = sweep.steps.map(step => [
+        sweep.field, step.value, step.totalGroups, step.multiMemberGroups, step.prospectGroups,
+        step.bloomerangOnlyGroups, step.groupedPairs, step.joinedPairs.length, step.splitPairs.length,
+        step.trueMatch.overallAndName.overall, step.trueMatch.overallAndName.name,
+        step.trueMatch.contactInfoAlone, step.trueMatch.overallAlone, step.trueMatch.nameAlone
+    ].map(csvEscape).join(','));
+    return [THRESHOLD_SWEEP_CSV_HEADERS.join(','), ...rows].join('\n');
+}
+
+const THRESHOLD_SWEEP_FLIPS_CSV_HEADERS = ['Field', 'Value', 'Change', 'KeyA', 'KeyB', 'Score', 'NameScore', 'ContactInfoScore'];
+
+/**
+ * One row per flipped pair per sweep value
+ * @param {Object} sweep - From runThresholdSweep()
+ * @returns {string} CSV text
+ */
+function buildThresholdSweepFlipsCSV(sweep) {
+    const rows = [];
+    for (const step of sweep.steps) {
+        for (const [change, pairs] of [['joined', step.joinedPairs], ['split', step.splitPairs]]) {
+            for (const pair of pairs) {
+                rows.push([sweep.field, step.value, change, pair.keyA, pair.keyB, pair.score, pair.nameScore, pair.contactInfoScore]
+                    .map(csvEscape).join(','));
+            }
+        }
+    }
+    return [THRESHOLD_SWEEP_FLIPS_CSV_HEADERS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Download the summary and flipped-pair CSVs (browser)
+ * @param {Object} sweep - From runThresholdSweep()
+ */
+function downloadThresholdSweepCSV(sweep) {
+    const stamp = new Date().toISOString().slice(0, 10);
+    const download = (csv, fileName) => {
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    };
+    download(buildThresholdSweepCSV(sweep), `threshold_sweep_${sweep.field}_${stamp}.csv`);
+    download(buildThresholdSweepFlipsCSV(sweep), `threshold_sweep_${sweep.field}_flips_${stamp}.csv`);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        THRESHOLD_SWEEP_FIELDS,
+        buildThresholdSweepProfile,
+        runThresholdSweep,
+        buildThresholdSweepCSV,
+        buildThresholdSweepFlipsCSV
+    };
+}
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.THRESHOLD_SWEEP_FIELDS = THRESHOLD_SWEEP_FIELDS;
+    window.buildThresholdSweepProfile = buildThresholdSweepProfile;
+    window.runThresholdSweep = runThresholdSweep;
+    window.buildThresholdSweepCSV = buildThresholdSweepCSV;
+    window.buildThresholdSweepFlipsCSV = buildThresholdSweepFlipsCSV;
+    window.downloadThresholdSweepCSV = downloadThresholdSweepCSV;
+}
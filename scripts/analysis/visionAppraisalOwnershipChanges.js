@@ -0,0 +1,352 @@
+/**
+ * visionAppraisalOwnershipChanges.js
+ *
+ * Purpose: Show what changed on the VisionAppraisal side between two
+ * generations of everyThingWithPid.json. The two pulls are joined by PID.
+ *
+ * Reported:
+ *   - owner and co-owner changes, with the sale dates (and sale price when the
+ *     pull carries property details)
+ *   - newly subdivided properties: new PIDs on a fire number or map/block/lot
+ *     that an existing PID already had
+ *   - other new PIDs, and PIDs that disappeared
+ *   - fire number moves: PIDs whose property location now gives another fire number
+ *   - with the unified database and EntityGroup build made from the previous
+ *     pull, the VA entity holding each affected PID and the EntityGroups to
+ *     review, with their Bloomerang members (past owners still in Bloomerang)
+ *
+ * Usage (browser):
+ *   fetch('./scripts/analysis/visionAppraisalOwnershipChanges.js').then(r => r.text()).then(eval)
+ *   const changes = compareVisionAppraisalPulls(previousPidRecords, currentPidRecords,
+ *       { unifiedDb: window.unifiedEntityDatabase, groupDb: window.entityGroupDatabase });
+ *   downloadOwnershipChangeCSV(changes);
+ *
+ * Command line:
+ *   node bin/birava va-ownership-changes --previous ./everyThingWithPid-2025.json \
+ *       --current ./servers/Results/everyThingWithPid.json --out ./ownership.csv
+ */
+
+// Tags the PID file uses in place of line breaks and commas
+const OWNERSHIP_LINE_BREAK_TAG = '::#^#::';
+const OWNERSHIP_COMMA_TAG = ':^#^:';
+
+/**
+ * Owner name / location as readable, comparable text: tags decoded, spaces collapsed, upper case
+ * @param {string} value - Field from the PID file
+ * @returns {string}
+ */
+function normalizePidFileText(value) {
+    return String(value || '')
+        .split(OWNERSHIP_LINE_BREAK_TAG).join(' ')
+        .split(OWNERSHIP_COMMA_TAG).join(',')
+        .replace(/\s+/g, ' ')
+        .replace(/ ,/g, ',')
+        .trim()
+        .toUpperCase();
+}
+
+/**
+ * Map / block / lot of an MBLU, without unit - what a subdivided parcel's new PIDs share
+ * @param {string} mblu - e.g. "19/  /  002/  27/ "
+ * @returns {string} e.g. "19//002", or '' if the MBLU has no lot
+ */
+function getMbluLotKey(mblu) {
+    const parts = String(mblu || '').split('/').map(part => part.trim());
+    return parts[2] ? parts.slice(0, 3).join('/') : '';
+}
+
+/**
+ * One parcel of a pull, reduced to the compared fields
+ * @param {Object} record - From VisionAppraisal.parseRecords()
+ * @returns {Object}
+ */
+function describeVisionAppraisalParcel(record) {
+    const sales = record.parcelDetails?.salesHistory || [];
+    const sale = sales.find(s => s.saleDate === record.date);
+    return {
+        pid: record.pid,
+        owner: normalizePidFileText(record.ownerName),
+        coOwner: normalizePidFileText(record.ownerName2),
+        location: normalizePidFileText(record.propertyLocation),
+        fireNumber: record.fireNumber ? String(record.fireNumber) : '',
+        lotKey: getMbluLotKey(record.mblu),
+        saleDate: record.date || '',
+        salePrice: sale && sale.salePrice !== null && sale.salePrice !== undefined ? sale.salePrice : ''
+    };
+}
+
+/**
+ * Index one pull by PID
+ * @param {Array} records - everyThingWithPid.json content (raw records) or parsed records
+ * @returns {Object} { byPid: Map<pid, parcel>, duplicatePids: [pid] }
+ */
+function indexVisionAppraisalPull(records) {
+    if (!Array.isArray(records)) {
+        throw new Error('indexVisionAppraisalPull: expected the everyThingWithPid.json record array');
+    }
+    const parsed = records.length > 0 && typeof records[0] === 'string' ? VisionAppraisal.parseRecords(records) : records;
+    const byPid = new Map();
+    const duplicatePids = new Set();
+    for (const record of parsed) {
+        if (!record || !record.pid) continue;
+        if (byPid.has(record.pid)) {
+            // A re-scraped PID left in the file twice; the first is kept
+            duplicatePids.add(record.pid);
+            continue;
+        }
+        byPid.set(record.pid, describeVisionAppraisalParcel(record));
+    }
+    return { byPid, duplicatePids: [...duplicatePids].sort((a, b) => Number(a) - Number(b)) };
+}
+
+/**
+ * Map each PID to the unified database key of the VA entity holding it
+ * (its own PID, or a PID merged into its subdivision)
+ * @param {Object} unifiedDb - Unified database, or its entities object
+ * @returns {Map<string, string>} pid -> entity key
+ */
+function mapVisionAppraisalPidsToKeys(unifiedDb) {
+    const entityMap = unifiedDb?.entities || unifiedDb || {};
+    const pidKeys = new Map();
+    for (const [key, entity] of Object.entries(entityMap)) {
+        if (!key.startsWith('visionAppraisal:') || !entity) continue;
+        if (entity.pid) pidKeys.set(String(entity.pid), key);
+        for (const pid of Object.keys(entity.otherInfo?.subdivision || {})) {
+            if (!pidKeys.has(pid)) pidKeys.set(pid, key);
+        }
+    }
+    return pidKeys;
+}
+
+/**
+ * Map each VA entity key to the EntityGroups holding it (members and near misses)
+ * @param {EntityGroupDatabase} groupDb
+ * @returns {Map<string, Array<number>>} key -> group indices
+ */
+function mapVisionAppraisalKeysToGroups(groupDb) {
+    const keyGroups = new Map();
+    for (const group of groupDb.getAllGroups()) {
+        for (const key of [...group.memberKeys, ...(group.nearMissKeys || [])]) {
+            if (!key.startsWith('visionAppraisal:')) continue;
+            if (!keyGroups.has(key)) keyGroups.set(key, []);
+            if (!keyGroups.get(key).includes(group.index)) keyGroups.get(key).push(group.index);
+        }
+    }
+    return keyGroups;
+}
+
+/**
+ * Compare two VisionAppraisal pulls
+ * @param {Array} previousRecords - Earlier everyThingWithPid.json (raw or parsed records)
+ * @param {Array} currentRecords - Newer everyThingWithPid.json (raw or parsed records)
+ * @param {Object} [options]
+ * @param {Object} [options.unifiedDb] - Unified database built from the previous pull (PID -> entity)
+ * @param {EntityGroupDatabase} [options.groupDb] - EntityGroups built from it; needs unifiedDb
+ * @returns {Object} Change report
+ */
+function compareVisionAppraisalPulls(previousRecords, currentRecords, options = {}) {
+    const previous = indexVisionAppraisalPull(previousRecords);
+    const current = indexVisionAppraisalPull(currentRecords);
+    const pidKeys = options.unifiedDb ? mapVisionAppraisalPidsToKeys(options.unifiedDb) : null;
+    const keyGroups = pidKeys && options.groupDb ? mapVisionAppraisalKeysToGroups(options.groupDb) : null;
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        previousParcels: previous.byPid.size,
+        currentParcels: current.byPid.size,
+        ownerChanges: [],
+        subdivided: [],
+        added: [],
+        removed: [],
+        fireNumberMoves: [],
+        unchanged: 0,
+        duplicatePids: { previous: previous.duplicatePids, current: current.duplicatePids },
+        groupsToReview: keyGroups ? [] : null
+    };
+
+    // Previous PIDs by fire number and by map/block/lot, to find the parcels new PIDs came from
+    const previousByPlace = new Map();
+    for (const parcel of previous.byPid.values()) {
+        for (const place of [parcel.fireNumber && `F${parcel.fireNumber}`, parcel.lotKey && `L${parcel.lotKey}`]) {
+            if (!place) continue;
+            if (!previousByPlace.has(place)) previousByPlace.set(place, []);
+            previousByPlace.get(place).push(parcel.pid);
+        }
+    }
+
+    for (const [pid, before] of previous.byPid) {
+        const after = current.byPid.get(pid);
+        if (!after) {
+            report.removed.push({ ...before });
+            continue;
+        }
+        let changed = false;
+        if (before.owner !== after.owner || before.coOwner !== after.coOwner) {
+            report.ownerChanges.push({
+                pid,
+                fireNumber: after.fireNumber,
+                location: after.location,
+                previousOwner: before.owner,
+                currentOwner: after.owner,
+                previousCoOwner: before.coOwner,
+                currentCoOwner: after.coOwner,
+                previousSaleDate: before.saleDate,
+                currentSaleDate: after.saleDate,
+                salePrice: after.saleDate !== before.saleDate ? after.salePrice : ''
+            });
+            changed = true;
+        }
+        if (before.fireNumber !== after.fireNumber) {
+            report.fireNumberMoves.push({
+                pid,
+                owner: after.owner,
+                previousFireNumber: before.fireNumber,
+                currentFireNumber: after.fireNumber,
+                previousLocation: before.location,
+                currentLocation: after.location
+            });
+            changed = true;
+        }
+        if (!changed) report.unchanged++;
+    }
+
+    for (const [pid, after] of current.byPid) {
+        if (previous.byPid.has(pid)) continue;
+        const parentPids = new Set([
+            ...(after.fireNumber ? previousByPlace.get(`F${after.fireNumber}`) || [] : []),
+            ...(after.lotKey ? previousByPlace.get(`L${after.lotKey}`) || [] : [])
+        ]);
+        if (parentPids.size > 0) {
+            report.subdivided.push({ ...after, parentPids: [...parentPids].sort((a, b) => Number(a) - Number(b)) });
+        } else {
+            report.added.push({ ...after });
+        }
+    }
+
+    if (pidKeys) {
+        const reasonsByGroup = new Map();
+        const flag = (item, pid, reason) => {
+            item.entityKey = pidKeys.get(pid) || '';
+            item.entityGroups = keyGroups ? keyGroups.get(item.entityKey) || [] : [];
+            for (const index of item.entityGroups) {
+                if (!reasonsByGroup.has(index)) reasonsByGroup.set(index, []);
+                reasonsByGroup.get(index).push(`PID ${pid} ${reason}`);
+            }
+        };
+        report.ownerChanges.forEach(c => flag(c, c.pid, `owner changed to ${c.currentOwner}`));
+        report.removed.forEach(c => flag(c, c.pid, 'removed'));
+        report.fireNumberMoves.forEach(c => flag(c, c.pid, `moved to fire number ${c.currentFireNumber || '(none)'}`));
+        // A subdivision affects the entities holding the parent parcels
+        report.subdivided.forEach(c => {
+            const parent = c.parentPids.find(p => pidKeys.has(p)) || c.parentPids[0];
+            flag(c, parent, `subdivided (new PID ${c.pid})`);
+        });
+
+        if (keyGroups) {
+            report.groupsToReview = [...reasonsByGroup.entries()]
+                .sort((a, b) => a[0] - b[0])
+                .map(([index, reasons]) => {
+                    const group = options.groupDb.getGroup(index);
+                    return {
+                        index,
+                        foundingMemberKey: group?.foundingMemberKey || null,
+                        bloomerangKeys: (group?.memberKeys || []).filter(key => key.startsWith('bloomerang:')),
+                        reasons
+                    };
+                });
+        }
+    }
+
+    return report;
+}
+
+/**
+ * Format the change report for the console
+ * @param {Object} report - From compareVisionAppraisalPulls()
+ * @returns {string}
+ */
+function formatOwnershipChangeSummary(report) {
+    const lines = [
+        '=== VisionAppraisal changes between pulls ===',
+        `Parcels: ${report.previousParcels} previous, ${report.currentParcels} current`,
+        `Owner changes: ${report.ownerChanges.length}   Newly subdivided: ${report.subdivided.length}   ` +
+            `Other new PIDs: ${report.added.length}   Removed PIDs: ${report.removed.length}`,
+        `Fire number moves: ${report.fireNumberMoves.length}   Unchanged: ${report.unchanged}`
+    ];
+    for (const side of ['previous', 'current']) {
+        if (report.duplicatePids[side].length > 0) {
+            lines.push(`Repeated PIDs in ${side} pull (first kept): ${report.duplicatePids[side].join(', ')}`);
+        }
+    }
+    if (report.groupsToReview) {
+        const withBloomerang = report.groupsToReview.filter(g => g.bloomerangKeys.length > 0).length;
+        lines.push(`EntityGroups to review: ${report.groupsToReview.length} (${withBloomerang} with Bloomerang members)`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * CSV: one row per owner change, subdivided / new / removed PID and fire number move
+ * @param {Object} report - From compareVisionAppraisalPulls()
+ * @returns {string}
+ */
+function buildOwnershipChangeCSV(report) {
+    const headers = ['Change', 'PID', 'FireNumber', 'Location', 'PreviousOwner', 'CurrentOwner',
+        'PreviousCoOwner', 'CurrentCoOwner', 'PreviousSaleDate', 'CurrentSaleDate', 'SalePrice',
+        'PreviousFireNumber', 'ParentPIDs', 'EntityKey', 'EntityGroups'];
+    const tail = (item) => [item.entityKey || '', (item.entityGroups || []).join(' ')];
+
+    const rows = [headers.join(',')];
+    for (const c of report.ownerChanges) {
+        rows.push(['OWNER_CHANGED', c.pid, c.fireNumber, c.location, c.previousOwner, c.currentOwner,
+            c.previousCoOwner, c.currentCoOwner, c.previousSaleDate, c.currentSaleDate, c.salePrice, '', '', ...tail(c)]
+            .map(csvEscape).join(','));
+    }
+    for (const c of report.subdivided) {
+        rows.push(['SUBDIVIDED', c.pid, c.fireNumber, c.location, '', c.owner, '', c.coOwner, '', c.saleDate, c.salePrice,
+            '', c.parentPids.join(' '), ...tail(c)].map(csvEscape).join(','));
+    }
+    for (const c of report.added) {
+        rows.push(['ADDED', c.pid, c.fireNumber, c.location, '', c.owner, '', c.coOwner, '', c.saleDate, c.salePrice,
+            '', '', '', ''].map(csvEscape).join(','));
+    }
+    for (const c of report.removed) {
+        rows.push(['REMOVED', c.pid, c.fireNumber, c.location, c.owner, '', c.coOwner, '', c.saleDate, '', '',
+            '', '', ...tail(c)].map(csvEscape).join(','));
+    }
+    for (const c of report.fireNumberMoves) {
+        rows.push(['FIRE_NUMBER_MOVED', c.pid, c.currentFireNumber, c.currentLocation, c.owner, c.owner, '', '', '', '', '',
+            c.previousFireNumber, '', ...tail(c)].map(csvEscape).join(','));
+    }
+    return rows.join('\n');
+}
+
+/**
+ * Download the change CSV (browser)
+ * @param {Object} report - From compareVisionAppraisalPulls()
+ */
+function downloadOwnershipChangeCSV(report) {
+    const blob = new Blob([buildOwnershipChangeCSV(report)], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `va_ownership_changes_${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        compareVisionAppraisalPulls,
+        formatOwnershipChangeSummary,
+        buildOwnershipChangeCSV
+    };
+}
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.compareVisionAppraisalPulls = compareVisionAppraisalPulls;
+    window.formatOwnershipChangeSummary = formatOwnershipChangeSummary;
+    window.buildOwnershipChangeCSV = buildOwnershipChangeCSV;
+    window.downloadOwnershipChangeCSV = downloadOwnershipChangeCSV;
+}
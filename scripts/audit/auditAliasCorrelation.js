@@ -0,0 +1,80 @@
+/**
+ * auditAliasCorrelation.js
+ *
+ * Audit check 'alias-correlation' (reference_auditReportPlan.md category 1):
+ * candidate aliases in IndividualName and StreetName objects that correlate
+ * poorly with their primary alias. Candidates are kept without a minimum
+ * similarity, so most low scores are legitimate (nicknames, renamed roads);
+ * the outliers can be misplaced aliases.
+ *
+ * Correlation is the object's own compareTo(candidate).primary score, the
+ * same comparison matching uses.
+ *
+ * Requires auditRunner.js.
+ */
+
+// Candidates scoring below this are reported (context.aliasCorrelationThreshold overrides)
+const AUDIT_ALIAS_CORRELATION_THRESHOLD = 0.6;
+
+// Candidates scoring below this are medium severity, the rest low
+const AUDIT_ALIAS_CORRELATION_MEDIUM = 0.3;
+
+/**
+ * Low-correlation candidates of every object in one AliasedTermDatabase
+ * @param {AliasedTermDatabase} database - IndividualNameDatabase or StreetNameDatabase
+ * @param {string} objectType - 'IndividualName' or 'StreetName'
+ * @param {number} threshold
+ * @returns {Array<Object>} Findings (see createAuditFinding)
+ */
+function aliasCorrelationFindings(database, objectType, threshold) {
+    const browser = objectType === 'StreetName' ? 'Street Name Browser' : 'Individual Name Browser';
+    const findings = [];
+    for (const object of database.getAllObjects()) {
+        const primary = object.primaryAlias?.term;
+        for (const candidate of object.alternatives?.candidates || []) {
+            const score = object.compareTo(candidate.term).primary;
+            if (score >= threshold) continue;
+            findings.push(createAuditFinding({
+                severity: score < AUDIT_ALIAS_CORRELATION_MEDIUM ? 'medium' : 'low',
+                subject: `${objectType} ${primary}`,
+                summary: `Candidate "${candidate.term}" correlates ${score.toFixed(2)} with the primary alias`,
+                suggestedAction: `Review in the ${browser}: keep the candidate if it is the same ` +
+                    `${objectType === 'StreetName' ? 'street' : 'person'}, otherwise remove or move it`,
+                details: { objectType, primary, candidate: candidate.term, source: candidate.source || null, score }
+            }));
+        }
+    }
+    return findings;
+}
+
+/**
+ * Audit check: low-correlation candidates in the IndividualName and StreetName databases
+ * @param {Object} context - Audit context (individualNameDb and/or streetNameDb)
+ * @returns {Array<Object>} Findings
+ */
+function runAliasCorrelationAuditCheck(context) {
+    const threshold = context.aliasCorrelationThreshold ?? AUDIT_ALIAS_CORRELATION_THRESHOLD;
+    const findings = [];
+    if (context.individualNameDb) {
+        findings.push(...aliasCorrelationFindings(context.individualNameDb, 'IndividualName', threshold));
+    }
+    if (context.streetNameDb) {
+        findings.push(...aliasCorrelationFindings(context.streetNameDb, 'StreetName', threshold));
+    }
+    return findings;
+}
+
+registerAuditCheck({
+    id: 'alias-correlation',
+    title: 'Low-correlation alias candidates',
+    description: 'IndividualName / StreetName candidates far from their primary alias',
+    skipReason: (context) => (!context.individualNameDb?.size && !context.streetNameDb?.size
+        ? 'Not loaded: individualNameDb, streetNameDb' : null),
+    run: runAliasCorrelationAuditCheck
+});
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.AUDIT_ALIAS_CORRELATION_THRESHOLD = AUDIT_ALIAS_CORRELATION_THRESHOLD;
+    window.aliasCorrelationFindings = aliasCorrelationFindings;
+}
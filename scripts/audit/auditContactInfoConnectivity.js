@@ -0,0 +1,49 @@
+/**
+ * auditContactInfoConnectivity.js
+ *
+ * Audit check 'contactinfo-connectivity': multi-member EntityGroups where
+ * isGroupContactInfoConnected() fails, i.e. some member is not linked to the
+ * others by a contactInfo match. The mail merge export cannot collapse these
+ * groups to one row, and the member that is not linked may belong elsewhere.
+ *
+ * Requires auditRunner.js and csvReports.js (isGroupContactInfoConnected).
+ */
+
+/**
+ * Audit check: groups whose members are not all connected by contactInfo
+ * @param {Object} context - Audit context (groupDb, entityDb)
+ * @returns {Array<Object>} Findings (see createAuditFinding)
+ */
+function runContactInfoConnectivityAuditCheck(context) {
+    const { groupDb, entityDb } = context;
+    const findings = [];
+
+    for (const group of groupDb.getAllGroups()) {
+        if (group.memberKeys.length <= 1 || isGroupContactInfoConnected(group, entityDb)) continue;
+
+        const missingKeys = group.memberKeys.filter(key => !entityDb.entities[key]);
+        findings.push(createAuditFinding({
+            severity: missingKeys.length > 0 ? 'high' : 'medium',
+            subject: `Group ${group.index}`,
+            summary: missingKeys.length > 0
+                ? `${missingKeys.length} member key(s) not in the entity database: ${missingKeys.join(', ')}`
+                : `${group.memberKeys.length} members not all connected by contactInfo (founder ${group.foundingMemberKey})`,
+            suggestedAction: missingKeys.length > 0
+                ? 'Rebuild the EntityGroup database from the current unified database'
+                : 'Open the group in the EntityGroup Browser; if a member has no shared address or phone, ' +
+                    'check it belongs here (FORCE_EXCLUDE it if not)',
+            entityKeys: group.memberKeys,
+            groupKeys: [group.index],
+            details: { missingKeys }
+        }));
+    }
+    return findings;
+}
+
+registerAuditCheck({
+    id: 'contactinfo-connectivity',
+    title: 'Groups not connected by contactInfo',
+    description: 'Multi-member EntityGroups where isGroupContactInfoConnected() fails',
+    requires: ['groupDb', 'entityDb'],
+    run: runContactInfoConnectivityAuditCheck
+});
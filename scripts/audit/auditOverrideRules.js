@@ -11,7 +11,9 @@
  * - MUTUAL inclusion sets: Are all keys in each set in the same group?
  * - MUTUAL exclusion sets: Are keys in each set NOT in the same group?
  *
- * Output: Console summary + downloadable CSV with detailed results
+ * Registered as the 'override-rules' check of the audit runner (auditRunner.js,
+ * which must load first): failures become findings in the audit report HTML/CSV.
+ * runOverrideRulesAudit() runs this check alone.
  *
  * Created: January 8, 2026 (Session 30)
  */
@@ -498,299 +500,107 @@ function extractKeysFromResult(result) {
     return keys;
 }
 
-/**
- * Print conflict analysis to console
- */
-function printConflictAnalysis(conflicts) {
-    const { inclusionConflicts, exclusionConflicts } = conflicts;
-
-    if (exclusionConflicts.length === 0 && inclusionConflicts.length === 0) {
-        console.log('\n--- CONFLICT ANALYSIS ---');
-        console.log('  No conflicts found between failing rules and other rules.');
-        return;
-    }
-
-    console.log('\n--- CONFLICT ANALYSIS ---');
-
-    if (exclusionConflicts.length > 0) {
-        console.log('\n  FAILED EXCLUSION RULES with keys in INCLUSION RULES:');
-        for (const conflict of exclusionConflicts) {
-            console.log(`\n    ${conflict.failedRule} (${conflict.failedRuleType})`);
-            console.log(`      Failure reason: ${conflict.reason}`);
-            for (const c of conflict.conflicts) {
-                console.log(`      Key: ${truncateKey(c.key, 60)}`);
-                console.log(`        Also in inclusion rules: ${c.conflictingInclusionRules.join(', ')}`);
-            }
-        }
-    }
-
-    if (inclusionConflicts.length > 0) {
-        console.log('\n  FAILED INCLUSION RULES with keys in EXCLUSION RULES:');
-        for (const conflict of inclusionConflicts) {
-            console.log(`\n    ${conflict.failedRule} (${conflict.failedRuleType})`);
-            console.log(`      Failure reason: ${conflict.reason}`);
-            for (const c of conflict.conflicts) {
-                console.log(`      Key: ${truncateKey(c.key, 60)}`);
-                console.log(`        Also in exclusion rules: ${c.conflictingExclusionRules.join(', ')}`);
-            }
-        }
-    }
-}
-
-/**
- * Generate conflict analysis section for CSV
- */
-function generateConflictCSVLines(conflicts) {
-    const lines = [];
-    const { inclusionConflicts, exclusionConflicts } = conflicts;
-
-    if (exclusionConflicts.length === 0 && inclusionConflicts.length === 0) {
-        lines.push('');
-        lines.push('Conflict Analysis:');
-        lines.push('No conflicts found between failing rules and other rules.');
-        return lines;
-    }
-
-    lines.push('');
-    lines.push('Conflict Analysis:');
-    lines.push('FailedRuleId,FailedRuleType,FailureReason,ConflictingKey,ConflictsWith');
-
-    for (const conflict of exclusionConflicts) {
-        for (const c of conflict.conflicts) {
-            lines.push([
-                csvEscapeAudit(conflict.failedRule),
-                conflict.failedRuleType,
-                csvEscapeAudit(conflict.reason),
-                csvEscapeAudit(c.key),
-                csvEscapeAudit('INCLUSION: ' + c.conflictingInclusionRules.join('; '))
-            ].join(','));
-        }
-    }
-
-    for (const conflict of inclusionConflicts) {
-        for (const c of conflict.conflicts) {
-            lines.push([
-                csvEscapeAudit(conflict.failedRule),
-                conflict.failedRuleType,
-                csvEscapeAudit(conflict.reason),
-                csvEscapeAudit(c.key),
-                csvEscapeAudit('EXCLUSION: ' + c.conflictingExclusionRules.join('; '))
-            ].join(','));
-        }
-    }
-
-    return lines;
-}
-
 // =============================================================================
-// MAIN AUDIT FUNCTION
+// AUDIT CHECK MODULE
 // =============================================================================
 
 /**
- * Run the full override rules audit.
- * Outputs summary to console and downloads a CSV with details.
- *
- * Prerequisites:
- * - EntityGroup database must be loaded
- * - Override rules must be loaded from Google Sheets
+ * Turn the rule audit results into audit findings.
+ * FAIL results are high severity; rules skipped because their entities are not
+ * in any group are low severity (keys may be stale). PASS results and rules
+ * skipped for their status are not findings.
  *
- * @returns {Object} Audit results summary
+ * @param {Array} results - Results from auditInclusionRules() and auditExclusionRules()
+ * @param {Object|null} conflictAnalysis - From analyzeRuleConflicts(), or null
+ * @returns {Array<Object>} Findings (see createAuditFinding)
  */
-async function runOverrideRulesAudit() {
-    console.log('='.repeat(60));
-    console.log('OVERRIDE RULES AUDIT');
-    console.log('='.repeat(60));
-
-    // Check prerequisites
-    if (!entityGroupBrowser.loadedDatabase) {
-        console.error('ERROR: EntityGroup database not loaded. Load it first.');
-        alert('EntityGroup database not loaded. Please load it first.');
-        return null;
-    }
-
-    if (!window.matchOverrideManager) {
-        console.error('ERROR: Match override manager not available.');
-        alert('Match override manager not available.');
-        return null;
-    }
-
-    const overrideManager = window.matchOverrideManager;
-    const groupDb = entityGroupBrowser.loadedDatabase;
-
-    // Check if rules are loaded
-    const ruleCount = overrideManager.forceMatchRules.length +
-                      overrideManager.forceExcludeRules.length +
-                      overrideManager.mutualInclusionSets.length +
-                      overrideManager.mutualExclusionSets.length;
-
-    if (ruleCount === 0) {
-        console.log('No override rules loaded. Loading from Google Sheets...');
-        try {
-            await overrideManager.loadFromGoogleSheets();
-        } catch (err) {
-            console.error('Failed to load rules from Google Sheets:', err);
-            alert('Failed to load override rules from Google Sheets. Make sure you are authorized.');
-            return null;
+function overrideRuleAuditFindings(results, conflictAnalysis) {
+    // failed ruleId -> ids of the opposite-type rules sharing one of its keys
+    const conflictingRules = new Map();
+    if (conflictAnalysis) {
+        for (const conflict of conflictAnalysis.inclusionConflicts) {
+            conflictingRules.set(conflict.failedRule, conflict.conflicts.flatMap(c => c.conflictingExclusionRules));
         }
-    }
-
-    // Show what we're auditing
-    console.log(`\nAuditing against EntityGroup database with ${Object.keys(groupDb.groups).length} groups`);
-    console.log(`Rules to check:`);
-    console.log(`  - FORCE_MATCH (pairwise): ${overrideManager.forceMatchRules.length}`);
-    console.log(`  - FORCE_EXCLUDE (pairwise): ${overrideManager.forceExcludeRules.length}`);
-    console.log(`  - MUTUAL inclusion sets: ${overrideManager.mutualInclusionSets.length}`);
-    console.log(`  - MUTUAL exclusion sets: ${overrideManager.mutualExclusionSets.length}`);
-    console.log('');
-
-    // Run inclusion audit
-    console.log('--- INCLUSION RULES AUDIT ---');
-    const inclusionResults = auditInclusionRules(overrideManager, groupDb);
-    console.log(`  PASS: ${inclusionResults.passCount}`);
-    console.log(`  FAIL: ${inclusionResults.failCount}`);
-    console.log(`  SKIPPED: ${inclusionResults.skipCount}`);
-
-    // Log failures
-    const inclusionFailures = inclusionResults.results.filter(r => r.status === 'FAIL');
-    if (inclusionFailures.length > 0) {
-        console.log('\n  INCLUSION FAILURES:');
-        for (const fail of inclusionFailures) {
-            console.log(`    ${fail.ruleId}: ${fail.reason}`);
+        for (const conflict of conflictAnalysis.exclusionConflicts) {
+            conflictingRules.set(conflict.failedRule, conflict.conflicts.flatMap(c => c.conflictingInclusionRules));
         }
     }
 
-    // Run exclusion audit
-    console.log('\n--- EXCLUSION RULES AUDIT ---');
-    const exclusionResults = auditExclusionRules(overrideManager, groupDb);
-    console.log(`  PASS: ${exclusionResults.passCount}`);
-    console.log(`  FAIL: ${exclusionResults.failCount}`);
-    console.log(`  SKIPPED: ${exclusionResults.skipCount}`);
-
-    // Log failures
-    const exclusionFailures = exclusionResults.results.filter(r => r.status === 'FAIL');
-    if (exclusionFailures.length > 0) {
-        console.log('\n  EXCLUSION FAILURES:');
-        for (const fail of exclusionFailures) {
-            console.log(`    ${fail.ruleId}: ${fail.reason}`);
+    const findings = [];
+    for (const result of results) {
+        const isInclusion = result.ruleType === 'FORCE_MATCH' || result.ruleType === 'MUTUAL_INCLUDE';
+        let severity;
+        let suggestedAction;
+
+        if (result.status === 'FAIL') {
+            severity = 'high';
+            const conflicts = [...new Set(conflictingRules.get(result.ruleId) || [])];
+            if (conflicts.length > 0) {
+                suggestedAction = `Conflicts with ${isInclusion ? 'exclusion' : 'inclusion'} rule(s) ${conflicts.join(', ')}: ` +
+                    'decide which rule is right and retire the other';
+            } else if (/not in any group/.test(result.reason)) {
+                suggestedAction = 'Check the rule\'s entity keys are current; update them or mark the rule inactive';
+            } else if (isInclusion) {
+                suggestedAction = 'Rebuild EntityGroups with the current rules; if the entities stay apart, check the rule keys';
+            } else {
+                suggestedAction = `Run investigateExclusionFailure('${result.ruleId}') to see what pulled the entities together`;
+            }
+        } else if (result.status === 'SKIPPED' && !result.reason.startsWith('Rule status:')) {
+            severity = 'low';
+            suggestedAction = 'No entity in any group: check the keys are current or retire the rule';
+        } else {
+            continue;
         }
-    }
 
-    // Run conflict analysis on failures
-    let conflictAnalysis = null;
-    if (inclusionFailures.length > 0 || exclusionFailures.length > 0) {
-        conflictAnalysis = analyzeRuleConflicts(inclusionFailures, exclusionFailures, overrideManager);
-        printConflictAnalysis(conflictAnalysis);
+        findings.push(createAuditFinding({
+            severity,
+            subject: `${result.ruleType} ${result.ruleId}`,
+            summary: result.reason,
+            suggestedAction,
+            entityKeys: extractKeysFromResult(result),
+            groupKeys: [result.group1Index, result.group2Index],
+            details: { ruleType: result.ruleType, ruleId: result.ruleId, status: result.status }
+        }));
     }
-
-    // Summary
-    const totalPass = inclusionResults.passCount + exclusionResults.passCount;
-    const totalFail = inclusionResults.failCount + exclusionResults.failCount;
-    const totalSkip = inclusionResults.skipCount + exclusionResults.skipCount;
-    const total = totalPass + totalFail + totalSkip;
-
-    console.log('\n' + '='.repeat(60));
-    console.log('AUDIT SUMMARY');
-    console.log('='.repeat(60));
-    console.log(`Total rules checked: ${total}`);
-    console.log(`  PASS: ${totalPass} (${((totalPass / total) * 100).toFixed(1)}%)`);
-    console.log(`  FAIL: ${totalFail} (${((totalFail / total) * 100).toFixed(1)}%)`);
-    console.log(`  SKIPPED: ${totalSkip}`);
-
-    if (totalFail === 0) {
-        console.log('\n✅ ALL RULES PASSED - Override rules correctly applied!');
-    } else {
-        console.log(`\n⚠️ ${totalFail} RULE(S) FAILED - Review failures above`);
-    }
-    console.log('='.repeat(60));
-
-    // Generate and download CSV
-    const allResults = [...inclusionResults.results, ...exclusionResults.results];
-    downloadAuditCSV(allResults, {
-        inclusionPass: inclusionResults.passCount,
-        inclusionFail: inclusionResults.failCount,
-        inclusionSkip: inclusionResults.skipCount,
-        exclusionPass: exclusionResults.passCount,
-        exclusionFail: exclusionResults.failCount,
-        exclusionSkip: exclusionResults.skipCount
-    }, conflictAnalysis);
-
-    return {
-        inclusionResults,
-        exclusionResults,
-        conflictAnalysis,
-        summary: { totalPass, totalFail, totalSkip, total }
-    };
+    return findings;
 }
 
-// =============================================================================
-// CSV EXPORT
-// =============================================================================
-
 /**
- * Generate and download the audit results as a CSV file
+ * Audit check: override rules against the EntityGroup database
+ * @param {Object} context - Audit context (overrideManager, groupDb)
+ * @returns {Array<Object>} Findings
  */
-function downloadAuditCSV(results, stats, conflictAnalysis) {
-    const lines = [];
-
-    // Header with summary
-    lines.push('Override Rules Audit Report');
-    lines.push(`Generated: ${new Date().toISOString()}`);
-    lines.push('');
-    lines.push('Summary:');
-    lines.push(`Inclusion - Pass: ${stats.inclusionPass}, Fail: ${stats.inclusionFail}, Skip: ${stats.inclusionSkip}`);
-    lines.push(`Exclusion - Pass: ${stats.exclusionPass}, Fail: ${stats.exclusionFail}, Skip: ${stats.exclusionSkip}`);
-    lines.push('');
-
-    // CSV data
-    lines.push('RuleType,RuleId,Status,Key1,Key2,Group1Index,Group2Index,Reason');
-
-    for (const result of results) {
-        const row = [
-            result.ruleType,
-            csvEscapeAudit(result.ruleId),
-            result.status,
-            csvEscapeAudit(result.key1),
-            csvEscapeAudit(result.key2),
-            result.group1Index !== null ? result.group1Index : '',
-            result.group2Index !== null ? result.group2Index : '',
-            csvEscapeAudit(result.reason)
-        ];
-        lines.push(row.join(','));
-    }
+function runOverrideRulesAuditCheck(context) {
+    const { overrideManager, groupDb } = context;
+    const inclusionResults = auditInclusionRules(overrideManager, groupDb);
+    const exclusionResults = auditExclusionRules(overrideManager, groupDb);
 
-    // Add conflict analysis section if there are failures
-    if (conflictAnalysis) {
-        const conflictLines = generateConflictCSVLines(conflictAnalysis);
-        lines.push(...conflictLines);
-    }
+    const inclusionFailures = inclusionResults.results.filter(r => r.status === 'FAIL');
+    const exclusionFailures = exclusionResults.results.filter(r => r.status === 'FAIL');
+    const conflictAnalysis = (inclusionFailures.length > 0 || exclusionFailures.length > 0)
+        ? analyzeRuleConflicts(inclusionFailures, exclusionFailures, overrideManager)
+        : null;
 
-    // Create and download
-    const csvContent = lines.join('\n');
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-
-    const link = document.createElement('a');
-    link.setAttribute('href', url);
-    const date = new Date().toISOString().split('T')[0];
-    link.setAttribute('download', `override_rules_audit_${date}.csv`);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-
-    console.log(`\n📥 CSV downloaded: override_rules_audit_${date}.csv`);
+    return overrideRuleAuditFindings([...inclusionResults.results, ...exclusionResults.results], conflictAnalysis);
 }
 
+registerAuditCheck({
+    id: 'override-rules',
+    title: 'Override rules',
+    description: 'FORCE_MATCH / FORCE_EXCLUDE rules and MUTUAL sets not respected by the EntityGroup database',
+    requires: ['groupDb', 'overrideManager'],
+    skipReason: (context) => (countOverrideRules(context.overrideManager) === 0 ? 'No override rules loaded' : null),
+    run: runOverrideRulesAuditCheck
+});
+
 /**
- * Escape a value for CSV (local version to avoid dependency on csvReports.js)
+ * Run only the override rules audit (browser). Loads the rules from Google
+ * Sheets if needed and downloads the audit report HTML and CSV.
+ *
+ * @returns {Promise<Object|null>} Audit report, or null if the EntityGroup database is not loaded
  */
-function csvEscapeAudit(value) {
-    if (value === null || value === undefined) return '';
-    const str = String(value);
-    if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-        return '"' + str.replace(/"/g, '""') + '"';
-    }
-    return str;
+async function runOverrideRulesAudit() {
+    return runAuditReport({ checks: ['override-rules'] });
 }
 
 // =============================================================================
@@ -1041,6 +851,7 @@ window.runOverrideRulesAudit = runOverrideRulesAudit;
 window.auditInclusionRules = auditInclusionRules;
 window.auditExclusionRules = auditExclusionRules;
 window.analyzeRuleConflicts = analyzeRuleConflicts;
+window.overrideRuleAuditFindings = overrideRuleAuditFindings;
 window.investigateExclusionFailure = investigateExclusionFailure;
 
 console.log('[auditOverrideRules.js] Loaded - Override rules audit ready');
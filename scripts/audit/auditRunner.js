@@ -0,0 +1,405 @@
+/**
+ * auditRunner.js
+ *
+ * Purpose: Run the data audits in reference_auditReportPlan.md as one report.
+ *
+ * Each audit is a check module that calls registerAuditCheck() when its script
+ * loads. A check reads the loaded databases from the audit context and returns
+ * findings: a severity, the entity and group keys involved, what looks wrong
+ * and a suggested action. Findings are suggestions for review, not errors.
+ *
+ * Context (everything optional; checks needing a missing database are skipped):
+ *   groupDb            EntityGroupDatabase
+ *   entityDb           Unified entity database ({ entities })
+ *   overrideManager    MatchOverrideManager with rules loaded
+ *   individualNameDb   IndividualNameDatabase
+ *   streetNameDb       StreetNameDatabase
+ *
+ * Check modules load after this file: auditOverrideRules.js,
+ * auditAliasCorrelation.js, auditSharedPhoneGroups.js,
+ * auditContactInfoConnectivity.js.
+ *
+ * Usage (browser, after loading the EntityGroup database):
+ *   await runAuditReport();                               // all checks, downloads HTML + CSV
+ *   await runAuditReport({ checks: ['override-rules'] });
+ *
+ * Command line:
+ *   node bin/birava audit --unified ./unified.json --groups ./groups.json --overrides ./overrides/ --html ./audit.html
+ */
+
+// Most to least urgent; the report sorts by this order
+const AUDIT_SEVERITIES = ['high', 'medium', 'low'];
+
+// Registered checks, in registration order
+const AUDIT_CHECKS = [];
+
+/**
+ * Register a check module
+ * @param {Object} check
+ * @param {string} check.id - Stable identifier, used to select checks
+ * @param {string} check.title - Shown in the report
+ * @param {string} check.description - One line: what the check looks for
+ * @param {Array<string>} [check.requires] - Context properties the check cannot run without
+ * @param {Function} [check.skipReason] - (context) => reason string to skip the check, or null to run it
+ * @param {Function} check.run - (context) => Array of findings (or a Promise of one); see createAuditFinding()
+ */
+function registerAuditCheck(check) {
+    const { id, title, description, requires = [], skipReason = null, run } = check;
+    if (!id || !title || typeof run !== 'function') {
+        throw new Error('Audit check needs an id, a title and a run function');
+    }
+    if (AUDIT_CHECKS.some(c => c.id === id)) {
+        throw new Error(`Audit check ${id} is already registered`);
+    }
+    AUDIT_CHECKS.push({ id, title, description: description || '', requires, skipReason, run });
+}
+
+/**
+ * Get the registered checks
+ * @returns {Array<Object>} Copies of { id, title, description, requires }
+ */
+function getAuditChecks() {
+    return AUDIT_CHECKS.map(({ id, title, description, requires }) => ({ id, title, description, requires: [...requires] }));
+}
+
+/**
+ * Build a finding
+ * @param {Object} finding
+ * @param {string} finding.severity - One of AUDIT_SEVERITIES
+ * @param {string} finding.subject - What the finding is about (e.g. 'Group 42', 'StreetName CORN NECK ROAD')
+ * @param {string} finding.summary - What looks wrong
+ * @param {string} finding.suggestedAction - What to review or change
+ * @param {Array<string>} [finding.entityKeys]
+ * @param {Array<number>} [finding.groupKeys] - EntityGroup indices
+ * @param {Object} [finding.details] - Check-specific values (JSON report only)
+ * @returns {Object}
+ */
+function createAuditFinding(finding) {
+    if (!AUDIT_SEVERITIES.includes(finding.severity)) {
+        throw new Error(`Unknown audit severity: ${finding.severity}`);
+    }
+    return {
+        checkId: null,   // set by runAuditChecks()
+        severity: finding.severity,
+        subject: finding.subject || '',
+        summary: finding.summary || '',
+        suggestedAction: finding.suggestedAction || '',
+        entityKeys: [...(finding.entityKeys || [])],
+        groupKeys: [...new Set((finding.groupKeys || []).filter(index => index !== null && index !== undefined))],
+        details: finding.details || null
+    };
+}
+
+/**
+ * Context from the databases loaded in this session (browser globals / headless window)
+ * @param {Object} [overrides] - Context properties to use instead
+ * @returns {Object}
+ */
+function buildAuditContext(overrides = {}) {
+    const browserGroupDb = (typeof entityGroupBrowser !== 'undefined' && entityGroupBrowser.loadedDatabase) || null;
+    return {
+        groupDb: browserGroupDb || window.entityGroupDatabase || null,
+        entityDb: window.unifiedEntityDatabase || null,
+        overrideManager: window.matchOverrideManager || null,
+        individualNameDb: window.individualNameDatabase || null,
+        streetNameDb: window.streetNameDatabase || null,
+        ...overrides
+    };
+}
+
+/**
+ * Run checks and collect their findings
+ * @param {Object} [options]
+ * @param {Array<string>} [options.checks] - Check ids to run (default: all registered)
+ * @param {Object} [options.context] - Audit context (default: buildAuditContext())
+ * @returns {Promise<Object>} Report { generated, checks: [{ id, title, status, findingCount, message }], findings }
+ *   status is 'ran', 'skipped' (missing database or skipReason) or 'error' (the check threw; message has the error)
+ */
+async function runAuditChecks(options = {}) {
+    const context = options.context || buildAuditContext();
+    const selected = options.checks || AUDIT_CHECKS.map(c => c.id);
+    const unknown = selected.filter(id => !AUDIT_CHECKS.some(c => c.id === id));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown audit check(s): ${unknown.join(', ')} (registered: ${AUDIT_CHECKS.map(c => c.id).join(', ')})`);
+    }
+
+    const checks = [];
+    const findings = [];
+    for (const check of AUDIT_CHECKS.filter(c => selected.includes(c.id))) {
+        const summary = { id: check.id, title: check.title, description: check.description, status: 'ran', findingCount: 0, message: '' };
+        checks.push(summary);
+
+        const missing = check.requires.filter(name => !context[name]);
+        if (missing.length > 0) {
+            summary.status = 'skipped';
+            summary.message = `Not loaded: ${missing.join(', ')}`;
+            continue;
+        }
+        const reason = check.skipReason ? check.skipReason(context) : null;
+        if (reason) {
+            summary.status = 'skipped';
+            summary.message = reason;
+            continue;
+        }
+
+        try {
+            const checkFindings = await check.run(context);
+            for (const finding of checkFindings) {
+                finding.checkId = check.id;
+                findings.push(finding);
+            }
+            summary.findingCount = checkFindings.length;
+        } catch (error) {
+            summary.status = 'error';
+            summary.message = error.message;
+            console.error(`[audit] ${check.id} failed:`, error);
+        }
+    }
+
+    return { generated: new Date().toISOString(), checks, findings: sortAuditFindings(findings) };
+}
+
+/**
+ * Sort findings by severity, then check, then subject
+ * @param {Array<Object>} findings
+ * @returns {Array<Object>} New sorted array
+ */
+function sortAuditFindings(findings) {
+    const checkOrder = (id) => AUDIT_CHECKS.findIndex(c => c.id === id);
+    return [...findings].sort((a, b) =>
+        AUDIT_SEVERITIES.indexOf(a.severity) - AUDIT_SEVERITIES.indexOf(b.severity) ||
+        checkOrder(a.checkId) - checkOrder(b.checkId) ||
+        a.subject.localeCompare(b.subject));
+}
+
+/**
+ * Finding counts by severity and by check
+ * @param {Object} report - From runAuditChecks()
+ * @returns {{total: number, bySeverity: Object, byCheck: Object}}
+ */
+function summarizeAuditReport(report) {
+    const bySeverity = Object.fromEntries(AUDIT_SEVERITIES.map(severity => [severity, 0]));
+    const byCheck = {};
+    for (const finding of report.findings) {
+        bySeverity[finding.severity]++;
+        byCheck[finding.checkId] = (byCheck[finding.checkId] || 0) + 1;
+    }
+    return { total: report.findings.length, bySeverity, byCheck };
+}
+
+/**
+ * Plain-text summary: one line per check, then counts by severity
+ * @param {Object} report - From runAuditChecks()
+ * @returns {string}
+ */
+function formatAuditSummary(report) {
+    const counts = summarizeAuditReport(report);
+    const lines = report.checks.map(check => `${check.title.padEnd(40)} ` +
+        (check.status === 'ran' ? `${check.findingCount} finding(s)` : `${check.status.toUpperCase()}: ${check.message}`));
+    lines.push(`Total: ${counts.total} finding(s) (` +
+        AUDIT_SEVERITIES.map(severity => `${counts.bySeverity[severity]} ${severity}`).join(', ') + ')');
+    return lines.join('\n');
+}
+
+const AUDIT_CSV_HEADERS = ['Severity', 'Check', 'Subject', 'Summary', 'EntityKeys', 'GroupKeys', 'SuggestedAction'];
+
+/**
+ * One row per finding
+ * @param {Object} report - From runAuditChecks()
+ * @returns {string} CSV text
+ */
+function buildAuditReportCSV(report) {
+    const rows = report.findings.map(f => [f.severity, f.checkId, f.subject, f.summary, f.entityKeys.join(' | '),
+        f.groupKeys.join(' | '), f.suggestedAction].map(csvEscape).join(','));
+    return [AUDIT_CSV_HEADERS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Escape text for the HTML report (no DOM needed, so it also runs headless)
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeAuditHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Inline script for the HTML report: click a column header to sort, type to filter
+const AUDIT_REPORT_SCRIPT = `
+document.querySelectorAll('#findings th').forEach((th, column) => {
+    th.addEventListener('click', () => {
+        const body = document.querySelector('#findings tbody');
+        const ascending = th.dataset.order !== 'asc';
+        document.querySelectorAll('#findings th').forEach(other => { delete other.dataset.order; });
+        th.dataset.order = ascending ? 'asc' : 'desc';
+        const value = (row) => row.cells[column].dataset.sort ?? row.cells[column].textContent;
+        const rows = [...body.rows].sort((a, b) => {
+            const x = value(a), y = value(b);
+            const result = (x !== '' && y !== '' && !isNaN(x) && !isNaN(y)) ? x - y : x.localeCompare(y);
+            return ascending ? result : -result;
+        });
+        rows.forEach(row => body.appendChild(row));
+    });
+});
+document.getElementById('filter').addEventListener('input', (event) => {
+    const text = event.target.value.toLowerCase();
+    document.querySelectorAll('#findings tbody tr').forEach(row => {
+        row.style.display = row.textContent.toLowerCase().includes(text) ? '' : 'none';
+    });
+});`;
+
+const AUDIT_SEVERITY_COLORS = { high: '#c62828', medium: '#ef6c00', low: '#546e7a' };
+
+/**
+ * Standalone HTML report: check summary plus a sortable, filterable findings table
+ * @param {Object} report - From runAuditChecks()
+ * @returns {string} HTML document
+ */
+function buildAuditReportHtml(report) {
+    const counts = summarizeAuditReport(report);
+    const checkRows = report.checks.map(check => `<tr><td>${escapeAuditHtml(check.title)}</td>` +
+        `<td>${escapeAuditHtml(check.description)}</td><td>${check.status}</td>` +
+        `<td>${check.status === 'ran' ? check.findingCount : escapeAuditHtml(check.message)}</td></tr>`).join('\n');
+    const findingRows = report.findings.map(f => '<tr>' +
+        `<td data-sort="${AUDIT_SEVERITIES.indexOf(f.severity)}" style="color:${AUDIT_SEVERITY_COLORS[f.severity]};font-weight:600">${f.severity}</td>` +
+        `<td>${escapeAuditHtml(f.checkId)}</td><td>${escapeAuditHtml(f.subject)}</td><td>${escapeAuditHtml(f.summary)}</td>` +
+        `<td class="keys">${f.entityKeys.map(escapeAuditHtml).join('<br>')}</td>` +
+        `<td data-sort="${f.groupKeys.length > 0 ? f.groupKeys[0] : ''}">${f.groupKeys.join(', ')}</td>` +
+        `<td>${escapeAuditHtml(f.suggestedAction)}</td></tr>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>BIRAVA Audit Report ${report.generated.slice(0, 10)}</title>
+<style>
+body { font-family: sans-serif; font-size: 13px; margin: 20px; }
+table { border-collapse: collapse; margin-bottom: 20px; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+#findings th { cursor: pointer; background: #f0f0f0; }
+#findings th[data-order="asc"]::after { content: " \\25B2"; }
+#findings th[data-order="desc"]::after { content: " \\25BC"; }
+td.keys { font-family: monospace; font-size: 11px; }
+</style>
+</head>
+<body>
+<h1>BIRAVA Audit Report</h1>
+<p>Generated ${escapeAuditHtml(report.generated)}. ${counts.total} finding(s): ` +
+        AUDIT_SEVERITIES.map(severity => `${counts.bySeverity[severity]} ${severity}`).join(', ') + `.
+Findings are suggestions for review; many flagged items will be correct.</p>
+<table>
+<thead><tr><th>Check</th><th>Looks for</th><th>Status</th><th>Findings</th></tr></thead>
+<tbody>
+${checkRows}
+</tbody>
+</table>
+<p><input id="filter" type="search" placeholder="Filter findings" size="40"> Click a column header to sort.</p>
+<table id="findings">
+<thead><tr><th>Severity</th><th>Check</th><th>Subject</th><th>Summary</th><th>Entity keys</th><th>Groups</th><th>Suggested action</th></tr></thead>
+<tbody>
+${findingRows}
+</tbody>
+</table>
+<script>${AUDIT_REPORT_SCRIPT}
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Download a generated file (browser)
+ * @param {string} content
+ * @param {string} fileName
+ * @param {string} type - MIME type
+ */
+function downloadAuditFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Run the audit in the browser and download the HTML report and CSV.
+ * Loads the override rules from Google Sheets first if none are loaded.
+ * @param {Object} [options] - As runAuditChecks(); options.download false skips the downloads
+ * @returns {Promise<Object|null>} Report, or null if no EntityGroup database is loaded
+ */
+async function runAuditReport(options = {}) {
+    const context = options.context || buildAuditContext();
+    if (!context.groupDb) {
+        alert('EntityGroup database not loaded. Please load it first.');
+        return null;
+    }
+
+    const overrideManager = context.overrideManager;
+    const wantsOverrides = !options.checks || options.checks.includes('override-rules');
+    if (wantsOverrides && overrideManager && countOverrideRules(overrideManager) === 0) {
+        console.log('[audit] No override rules loaded. Loading from Google Sheets...');
+        try {
+            await overrideManager.loadFromGoogleSheets();
+        } catch (err) {
+            console.error('[audit] Failed to load override rules from Google Sheets:', err);
+        }
+    }
+
+    console.log('[audit] Running audit checks...');
+    const report = await runAuditChecks({ ...options, context });
+    console.log(formatAuditSummary(report));
+
+    if (options.download !== false) {
+        const date = report.generated.slice(0, 10);
+        downloadAuditFile(buildAuditReportHtml(report), `audit_report_${date}.html`, 'text/html;charset=utf-8;');
+        downloadAuditFile(buildAuditReportCSV(report), `audit_report_${date}.csv`, 'text/csv;charset=utf-8;');
+        console.log(`[audit] Downloaded audit_report_${date}.html and audit_report_${date}.csv`);
+    }
+    return report;
+}
+
+/**
+ * Number of override rules and MUTUAL sets loaded
+ * @param {MatchOverrideManager} overrideManager
+ * @returns {number}
+ */
+function countOverrideRules(overrideManager) {
+    return overrideManager.forceMatchRules.length + overrideManager.forceExcludeRules.length +
+        overrideManager.mutualInclusionSets.length + overrideManager.mutualExclusionSets.length;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AUDIT_SEVERITIES,
+        registerAuditCheck,
+        getAuditChecks,
+        createAuditFinding,
+        buildAuditContext,
+        runAuditChecks,
+        summarizeAuditReport,
+        formatAuditSummary,
+        buildAuditReportCSV,
+        buildAuditReportHtml
+    };
+}
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.AUDIT_SEVERITIES = AUDIT_SEVERITIES;
+    window.registerAuditCheck = registerAuditCheck;
+    window.getAuditChecks = getAuditChecks;
+    window.createAuditFinding = createAuditFinding;
+    window.buildAuditContext = buildAuditContext;
+    window.runAuditChecks = runAuditChecks;
+    window.summarizeAuditReport = summarizeAuditReport;
+    window.formatAuditSummary = formatAuditSummary;
+    window.buildAuditReportCSV = buildAuditReportCSV;
+    window.buildAuditReportHtml = buildAuditReportHtml;
+    window.countOverrideRules = countOverrideRules;
+    window.runAuditReport = runAuditReport;
+}
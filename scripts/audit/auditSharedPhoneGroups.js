@@ -0,0 +1,98 @@
+/**
+ * auditSharedPhoneGroups.js
+ *
+ * Audit check 'shared-phone-groups' (reference_auditReportPlan.md category 3,
+ * phonebook plan 5.3-audit): entities carrying the same phone number that
+ * ended up in different EntityGroups. Typically both members of a phonebook
+ * couple matched existing entities in Step 1 and were grouped apart. This may
+ * be a grouping problem or legitimate (divorced couple, shared office line).
+ *
+ * Phones are read from each entity's contactInfo (phone, islandPhone,
+ * additionalPhones) and compared after CollectivePhone.normalizePhone().
+ * Entities the override rules keep apart are not reported.
+ *
+ * Requires auditRunner.js.
+ */
+
+// A number shared by more groups than this is more likely an office or
+// switchboard line than a split household, so it is low severity
+const AUDIT_SHARED_PHONE_GROUP_LIMIT = 3;
+
+/**
+ * Normalized phone numbers on an entity's contactInfo
+ * @param {Entity} entity
+ * @returns {Array<string>}
+ */
+function entityPhoneNumbers(entity) {
+    const contactInfo = entity?.contactInfo;
+    if (!contactInfo) return [];
+    const phones = [contactInfo.phone, contactInfo.islandPhone, ...(contactInfo.additionalPhones || [])]
+        .map(identifier => CollectivePhone.normalizePhone(identifier?.primaryAlias?.term))
+        .filter(phone => phone.length >= 7);
+    return [...new Set(phones)];
+}
+
+/**
+ * Audit check: same-phone entities in different EntityGroups
+ * @param {Object} context - Audit context (entityDb, groupDb, optional overrideManager)
+ * @returns {Array<Object>} Findings (see createAuditFinding)
+ */
+function runSharedPhoneGroupsAuditCheck(context) {
+    const { entityDb, groupDb, overrideManager } = context;
+
+    const groupOf = new Map();
+    for (const group of groupDb.getAllGroups()) {
+        for (const key of group.memberKeys) {
+            groupOf.set(key, group.index);
+        }
+    }
+
+    // phone -> entity keys carrying it (grouped entities only)
+    const phoneEntities = new Map();
+    for (const [key, entity] of Object.entries(entityDb.entities)) {
+        if (!groupOf.has(key)) continue;
+        for (const phone of entityPhoneNumbers(entity)) {
+            if (!phoneEntities.has(phone)) phoneEntities.set(phone, []);
+            phoneEntities.get(phone).push(key);
+        }
+    }
+
+    const findings = [];
+    for (const [phone, keys] of phoneEntities) {
+        const groupIndices = [...new Set(keys.map(key => groupOf.get(key)))];
+        if (groupIndices.length < 2) continue;
+
+        // Reviewed already if every pair across groups is an override exclusion
+        const crossGroupPairs = keys.flatMap((key1, i) => keys.slice(i + 1)
+            .filter(key2 => groupOf.get(key1) !== groupOf.get(key2))
+            .map(key2 => [key1, key2]));
+        if (overrideManager && crossGroupPairs.every(([key1, key2]) => overrideManager.isExcludedPair(key1, key2))) {
+            continue;
+        }
+
+        findings.push(createAuditFinding({
+            severity: groupIndices.length > AUDIT_SHARED_PHONE_GROUP_LIMIT ? 'low' : 'medium',
+            subject: `Phone ${phone}`,
+            summary: `${keys.length} entities with this phone are in ${groupIndices.length} groups: ${groupIndices.join(', ')}`,
+            suggestedAction: 'Compare the groups; add a FORCE_MATCH rule if they are one household, ' +
+                'or a FORCE_EXCLUDE rule to record that they are separate',
+            entityKeys: keys,
+            groupKeys: groupIndices,
+            details: { phone }
+        }));
+    }
+    return findings;
+}
+
+registerAuditCheck({
+    id: 'shared-phone-groups',
+    title: 'Same phone in different groups',
+    description: 'Entities sharing a phone number that are in different EntityGroups',
+    requires: ['entityDb', 'groupDb'],
+    run: runSharedPhoneGroupsAuditCheck
+});
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.entityPhoneNumbers = entityPhoneNumbers;
+}
@@ -693,54 +693,17 @@ async function fourthButterClick(pParcelData) {
 
             try {
                 const response = await fetch(fullURLX);
-                let disPlat = await response.text();
-
-                // Clean image URLs
-                disPlat = disPlat.replaceAll(/http:\/\/images.vgsi.com\/.+\.jpg/g, "");
-                disPlat = disPlat.replaceAll(/http:\/\/images.vgsi.com\/.+\.JPG/g, "");
-
-                // Process HTML data
-                const parser = new DOMParser();
-                const docCR = parser.parseFromString(disPlat, "text/html");
-
-                const ownName = ((docCR.getElementById("MainContent_lblOwner"))
-                    ? docCR.getElementById("MainContent_lblOwner").innerHTML.replaceAll("<br>", "::#^#::").replaceAll("&amp;", "&").replaceAll(",", ":^#^:")
-                    : "");
-                const cownName = ((docCR.getElementById("MainContent_lblCoOwner"))
-                    ? docCR.getElementById("MainContent_lblCoOwner").innerHTML.replaceAll("<br>", "::#^#::").replaceAll("&amp;", "&").replaceAll(",", ":^#^:")
-                    : "");
-                const addr = ((docCR.getElementById("MainContent_lblAddr1"))
-                    ? docCR.getElementById("MainContent_lblAddr1").innerHTML.replaceAll("<br>", "::#^#::").replaceAll("&amp;", "&").replaceAll(",", ":^#^:")
-                    : "");
-                const location = ((docCR.getElementById("MainContent_lblLocation"))
-                    ? docCR.getElementById("MainContent_lblLocation").innerHTML.replaceAll("<br>", "::#^#::").replaceAll(",", ":^#^:")
-                    : "");
-                const zone = ((docCR.getElementById("MainContent_lblZone"))
-                    ? docCR.getElementById("MainContent_lblZone").innerHTML
-                    : "");
-                const use = ((docCR.getElementById("MainContent_lblUseCode"))
-                    ? docCR.getElementById("MainContent_lblUseCode").innerHTML.replaceAll("<br>", "::#^#::")
-                    : "");
-                const nei = ((docCR.getElementById("MainContent_lblNbhd"))
-                    ? docCR.getElementById("MainContent_lblNbhd").innerHTML
-                    : "");
-                const lastSD = ((docCR.getElementById("MainContent_lblSaleDate"))
-                    ? docCR.getElementById("MainContent_lblSaleDate").innerHTML
-                    : "");
-                const platNumb = ((docCR.getElementById("MainContent_lblMblu"))
-                    ? docCR.getElementById("MainContent_lblMblu").innerHTML
-                    : "");
-                const pid = ((docCR.getElementById("MainContent_lblPid"))
-                    ? docCR.getElementById("MainContent_lblPid").innerHTML
-                    : "");
-                const assessmentValue = ((docCR.getElementById("MainContent_lblGenAssessment"))
-                    ? docCR.getElementById("MainContent_lblGenAssessment").innerText.trim()
-                    : "");
-                const appraisalValue = ((docCR.getElementById("MainContent_lblGenAppraisal"))
-                    ? docCR.getElementById("MainContent_lblGenAppraisal").innerText.trim()
-                    : "");
-
-                const disOwn = ownName + "," + cownName + "," + addr + "," + location + ',' + zone + ',' + use + ',' + nei + ',' + lastSD + ',' + platNumb + ',' + pid + ',' + assessmentValue + ',' + appraisalValue;
+                const disPlat = await response.text();
+
+                // Keep the page as fetched for offline replay (scripts/core/parcelArchive.js)
+                if (window.parcelArchiveCaching) {
+                    await archiveParcelPage(disser, disPlat);
+                }
+
+                // Extract the PID file fields (images stripped, values sanitized for the CSV line)
+                const parcelFields = ParcelDataExtractorV2.extractPidFileFields(disPlat);
+                const pid = parcelFields.pid;
+                const disOwn = ParcelDataExtractorV2.formatPidFileLine(parcelFields);
 
                 // Save individual files to Google Drive
                 const disOne = await saveAsJSON(disOwn, pid, parameters.pidFilesParents, true);
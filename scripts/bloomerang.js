@@ -5,6 +5,8 @@
 //   FireNumber, PID, IndividualName, HouseholdName from aliasClasses.js
 // - Entity, Individual, AggregateHousehold, NonHuman from entityClasses.js
 // - ContactInfo from contactInfo.js
+// - parseBloomerangCsv, BLOOMERANG_FIELD_MAP from dataSources/bloomerangCsvReader.js
+// - readBloomerangCsvWithProfile, loadLastBloomerangMappingProfile from dataSources/bloomerangMappingProfile.js
 
 const bloomerangParameters = {
     csvFile: {
@@ -24,11 +26,7 @@ const bloomerangParameters = {
     }
 }
 
-// This program only works if the following changes have been made to the Bloomerang output:
-// 1) Eliminate the second row, the total row.
-// 2) Format all numeric columns to not have commas.
-// 3) Search and replace all commas with "^#C#^"
-// 4) Search and replace all \n with null
+// Reads the raw Bloomerang export (quoted fields, see bloomerangCsvReader.js).
 //
 // DEPRECATION NOTICE: This function will be replaced by readBloomerangWithEntities()
 // which creates proper Entity objects with AttributedTerm provenance tracking.
@@ -53,20 +51,11 @@ async function readBloomerang() {
             throw new Error('Server returned JSON error instead of CSV file');
         }
 
-        // Split into lines and filter empty ones
-        const lines = csvText.split(/\r?\n/).filter(line => line.trim() !== '');
-        console.log(`Processing ${lines.length} lines...`);
-
-        // Simple CSV parsing - split each line by comma
-        const data = lines.map(line => {
-            const parts = line.split(',');
-            return parts;
-        });
-
-        // Restore actual commas by replacing the placeholder string
-        const cleanData = data.map(row => {
-            return row.map(field => field.replace(/\^#C#\^/g, ','));
-        });
+        // Data rows come back in BLOOMERANG_COLUMNS order whatever the file's column
+        // order, so the header row is built from BLOOMERANG_COLUMNS as well
+        const { rows, report } = parseBloomerangCsv(csvText, { fields: loadLastBloomerangMappingProfile().fields });
+        console.log(formatBloomerangCsvReport(report));
+        const cleanData = [BLOOMERANG_COLUMNS.map(column => column.header), ...rows.map(row => row.fields)];
 
         console.log(`Successfully parsed ${cleanData.length} rows with ${cleanData[0]?.length || 0} fields each`);
 
@@ -105,7 +94,7 @@ async function saveBloomerangToGoogleDrive(data) {
     }
 }
 
-// Separate analysis function to check CSV parsing quality - run only when needed
+// Separate analysis function to check the export's schema - run only when needed
 async function analyzeBloomerangCSV() {
     try {
         const reqBase = "http://127.0.0.99:3000";
@@ -118,74 +107,24 @@ async function analyzeBloomerangCSV() {
         }
 
         const csvText = await response.text();
-        const lines = csvText.split(/\r?\n/).filter(line => line.trim() !== '');
-
-        // Simple CSV parsing for analysis
-        const data = lines.map(line => {
-            const parts = line.split(',');
-            return parts;
-        });
-
-        console.log('\n=== CSV PARSING ANALYSIS ===');
-        console.log(`Total lines: ${lines.length}`);
-
-        // Analyze field count distribution to detect CSV parsing issues
-        const fieldCounts = {};
-        data.forEach((row, index) => {
-            const count = row.length;
-            if (!fieldCounts[count]) fieldCounts[count] = [];
-            fieldCounts[count].push(index);
-        });
-
-        console.log('\nField count distribution:');
-        Object.keys(fieldCounts).sort((a, b) => parseInt(b) - parseInt(a)).forEach(count => {
-            const rows = fieldCounts[count];
-            console.log(`  ${count} fields: ${rows.length} rows (${(rows.length/data.length*100).toFixed(1)}%)`);
-            if (rows.length <= 3) {
-                console.log(`    Examples: rows ${rows.join(', ')}`);
-            } else {
-                console.log(`    Examples: rows ${rows.slice(0, 3).join(', ')} ... and ${rows.length - 3} more`);
-            }
-        });
-
-        // Show examples of rows with unusual field counts
-        const sortedCounts = Object.keys(fieldCounts).sort((a, b) => parseInt(b) - parseInt(a));
-        if (sortedCounts.length > 1) {
-            const maxFields = parseInt(sortedCounts[0]);
-            const minFields = parseInt(sortedCounts[sortedCounts.length - 1]);
 
-            console.log(`\nRow with most fields (${maxFields}):`);
-            const maxRow = fieldCounts[maxFields][0];
-            console.log(`  Row ${maxRow}:`, data[maxRow].slice(0, 5), '...');
-            console.log(`  Raw line: ${lines[maxRow].substring(0, 200)}...`);
+        console.log('\n=== CSV SCHEMA ANALYSIS ===');
+        const profile = loadLastBloomerangMappingProfile();
+        const headerRecord = parseRfc4180Csv(csvText, { maxRecords: 1 }).records[0];
+        const drift = detectBloomerangSchemaDrift(profile, headerRecord ? headerRecord.fields : []);
+        console.log(`Mapping profile "${profile.name}":\n${formatBloomerangSchemaDrift(drift)}`);
 
-            console.log(`\nRow with fewest fields (${minFields}):`);
-            const minRow = fieldCounts[minFields][0];
-            console.log(`  Row ${minRow}:`, data[minRow]);
-            console.log(`  Raw line: ${lines[minRow].substring(0, 200)}...`);
-        }
-
-        // Check for common CSV issues
-        console.log('\n=== POTENTIAL CSV ISSUES ===');
-        let quotedFieldCount = 0;
-        let commaInQuotesCount = 0;
-
-        lines.slice(0, 100).forEach((line, index) => { // Check first 100 lines
-            if (line.includes('"')) quotedFieldCount++;
-            if (line.match(/"[^"]*,[^"]*"/)) commaInQuotesCount++;
-        });
-
-        console.log(`Lines with quotes: ${quotedFieldCount}/100`);
-        console.log(`Lines with commas inside quotes: ${commaInQuotesCount}/100`);
-
-        if (commaInQuotesCount > 0 || sortedCounts.length > 1) {
-            console.log('⚠️  WARNING: CSV parsing issues detected!');
-            console.log('   Did you complete ALL preprocessing steps on the Bloomerang output?');
-            console.log('   Required steps: 1) Remove total row, 2) Remove commas from numbers,');
-            console.log('                   3) Replace commas with "^#C#^", 4) Replace \\n with null');
+        let report;
+        try {
+            report = parseBloomerangCsv(csvText, { fields: profile.fields }).report;
+        } catch (error) {
+            if (!error.report) throw error;
+            report = error.report;
+            console.log('⚠️  WARNING: this export will be rejected by readBloomerangWithEntities()');
         }
+        console.log(formatBloomerangCsvReport(report));
 
-        return { fieldCounts, quotedFieldCount, commaInQuotesCount };
+        return { drift, report };
 
     } catch (error) {
         console.error('Error analyzing CSV file:', error);
@@ -193,6 +132,29 @@ async function analyzeBloomerangCSV() {
     }
 }
 
+/**
+ * Read the export with the last mapping profile: prints added / removed / renamed
+ * columns before any row is processed, and stops if a mapped column is gone
+ * (the drift is kept in window.lastBloomerangSchemaDrift for acceptBloomerangSchemaDrift()).
+ * @param {string} csvText - Raw "All Data.csv" content
+ * @returns {Object} readBloomerangCsvWithProfile() result
+ */
+function readBloomerangExport(csvText) {
+    const profile = loadLastBloomerangMappingProfile();
+    let result;
+    try {
+        result = readBloomerangCsvWithProfile(csvText, profile);
+    } catch (error) {
+        if (error.drift) {
+            window.lastBloomerangSchemaDrift = error.drift;
+        }
+        throw error;
+    }
+    console.log(`Bloomerang mapping profile "${profile.name}":\n${formatBloomerangSchemaDrift(result.drift)}`);
+    console.log(formatBloomerangCsvReport(result.report));
+    return result;
+}
+
 /**
  * PRODUCTION-READY BLOOMERANG ENTITY PROCESSING FUNCTION
  *
@@ -248,44 +210,9 @@ async function readBloomerangWithEntities(saveToGoogleDrive = false, batchId = n
         const csvText = await response.text();
         console.log('CSV data fetched successfully');
 
-        // Step 2: Parse CSV with 22 field structure
-        const lines = csvText.split(/\r?\n/).filter(line => line.trim() !== '');
-        console.log(`Processing ${lines.length - 1} data rows (plus header)...`);
-
-        // Parse CSV rows
-        // Pre-process: Fix quoted currency amounts in column G (field 6) that contain commas
-        // e.g., "$1,500.00" becomes "$1500.00" to prevent comma-split issues
-        const rows = lines.slice(1).map((line, index) => {
-            // Fix quoted currency amounts: replace "$X,XXX.XX" pattern (remove comma inside quotes)
-            const fixedLine = line.replace(/"(\$[\d,]+\.\d{2})\s*"/g, (match, amount) => {
-                return amount.replace(/,/g, '');
-            });
-            const fields = fixedLine.split(',').map(field => field.replace(/\^#C#\^/g, ',').trim());
-
-            // Pad 4-digit ZIP codes with leading zero (columns 12, 16, 20, 24)
-            const zipColumns = [12, 16, 20, 24];
-            for (const col of zipColumns) {
-                if (fields[col] && /^\d{4}$/.test(fields[col])) {
-                    fields[col] = '0' + fields[col];
-                }
-            }
-
-            // [DIAG] Log rows that will trigger "no household name" error
-            const isInHousehold = fields[8];
-            const householdName = fields[28];
-            if (isInHousehold && isInHousehold.toLowerCase() === 'true' && !householdName) {
-                console.log(`[DIAG] Row ${index + 2}: Field count=${fields.length}, isInHH='${isInHousehold}', hhName='${householdName}'`);
-                console.log(`[DIAG] Row ${index + 2} original line: ${line.substring(0, 150)}...`);
-                console.log(`[DIAG] Row ${index + 2} fixed line: ${fixedLine.substring(0, 150)}...`);
-                console.log(`[DIAG] Row ${index + 2} fields[6]='${fields[6]}', fields[27]='${fields[27]}', fields[28]='${fields[28]}', fields[29]='${fields[29]}'`);
-            }
-
-            return {
-                rowIndex: index + 1, // 1-based indexing for data rows
-                fields: fields,
-                accountNumber: fields[5] // Field 6: Account Number (0-based index 5)
-            };
-        });
+        // Step 2: Parse the raw export with the last mapping profile (columns located by header name)
+        // Reports schema drift first; stops before any row if a mapped column is gone
+        const { rows, profile: mappingProfile } = readBloomerangExport(csvText);
 
         console.log(`Parsed ${rows.length} data rows`);
 
@@ -461,6 +388,9 @@ async function readBloomerangWithEntities(saveToGoogleDrive = false, batchId = n
             }
         }
 
+        // This export's header row is what the next import is compared against
+        saveBloomerangMappingProfile(mappingProfile);
+
         // Step 7: Return results
         return {
             entities: entities,
@@ -547,23 +477,8 @@ async function readBloomerangWithEntitiesQuiet(saveToGoogleDrive = false, batchI
 
         const csvText = await response.text();
 
-        // Step 2: Parse CSV with 22 field structure (EXACT COPY)
-        const lines = csvText.split(/\r?\n/).filter(line => line.trim() !== '');
-
-        // Parse CSV rows (EXACT COPY)
-        // Pre-process: Fix quoted currency amounts in column G (field 6) that contain commas
-        const rows = lines.slice(1).map((line, index) => {
-            // Fix quoted currency amounts: replace "$X,XXX.XX" pattern (remove comma inside quotes)
-            const fixedLine = line.replace(/"(\$[\d,]+\.\d{2})\s*"/g, (match, amount) => {
-                return amount.replace(/,/g, '');
-            });
-            const fields = fixedLine.split(',').map(field => field.replace(/\^#C#\^/g, ',').trim());
-            return {
-                rowIndex: index + 1, // 1-based indexing for data rows
-                fields: fields,
-                accountNumber: fields[5] // Field 6: Account Number (0-based index 5)
-            };
-        });
+        // Step 2: Parse the raw export with the last mapping profile (columns located by header name)
+        const { rows, profile: mappingProfile } = readBloomerangExport(csvText);
 
         console.log(`✅ Loaded ${rows.length} Bloomerang records`);
 
@@ -724,6 +639,9 @@ async function readBloomerangWithEntitiesQuiet(saveToGoogleDrive = false, batchI
             }
         }
 
+        // This export's header row is what the next import is compared against
+        saveBloomerangMappingProfile(mappingProfile);
+
         // Step 7: Return results (EXACT COPY)
         return {
             success: true,
@@ -853,46 +771,8 @@ async function processRowToEntity(row, dataSource, households) {
     const rowIndex = row.rowIndex;
     const accountNumber = row.accountNumber;
 
-    // Enhanced Field mappings (0-based indices) - Complete 30-field structure
-    // ENHANCED FIELD MAPPING: Complete 30-field processing system
-    // PERFORMANCE RATIONALE: Captures all available CSV data instead of previous ~6 fields
-    // for comprehensive Entity Browser search and complete data preservation
-    const fieldMap = {
-        name: 0,           // Field 1: Name
-        firstName: 1,      // Field 2: First Name
-        middleName: 2,     // Field 3: Middle Name
-        lastName: 3,       // Field 4: Last Name
-        email: 4,          // Field 5: Primary Email Address
-        accountNumber: 5,  // Field 6: Account Number
-        transactionAmount: 6, // Field 7: First Transaction Amount
-        transactionDate: 7,   // Field 8: First Transaction Date
-        isInHousehold: 8,  // Field 9: Is in a Household
-        primaryStreet: 9,  // Field 10: Primary Street
-        primaryCity: 10,   // Field 11: Primary City
-        primaryState: 11,  // Field 12: Primary State
-        primaryZip: 12,    // Field 13: Primary ZIP Code
-        homeStreet: 13,    // Field 14: Home Street
-        homeCity: 14,      // Field 15: Home City
-        homeState: 15,     // Field 16: Home State
-        homeZip: 16,       // Field 17: Home ZIP Code
-        vacationStreet: 17,// Field 18: Vacation Street
-        vacationCity: 18,  // Field 19: Vacation City
-        vacationState: 19, // Field 20: Vacation State
-        vacationZip: 20,   // Field 21: Vacation ZIP Code
-        workStreet: 21,    // Field 22: Work Street
-        workCity: 22,      // Field 23: Work City
-        workState: 23,     // Field 24: Work State
-        workZip: 24,       // Field 25: Work ZIP Code
-        fireNumber: 25,    // Field 26: Fire Number
-        biStreet: 26,      // Field 27: BI Street (Block Island specific)
-        biPoBox: 27,       // Field 28: BI PO Box (Block Island specific)
-        householdName: 28, // Field 29: Household Name
-        isHeadOfHousehold: 29, // Field 30: Is Head of Household
-        primaryPhone: 30,  // Field 31: Primary Phone Number
-        homePhone: 31,     // Field 32: Home Phone Number
-        workPhone: 32,     // Field 33: Work Phone Number
-        mobilePhone: 33    // Field 34: Mobile Phone Number
-    };
+    // Field positions in a parsed row (bloomerangCsvReader.js locates the columns by header name)
+    const fieldMap = BLOOMERANG_FIELD_MAP;
 
     // Removed detailed logging - only row number will be output for successful records
 
@@ -1742,59 +1622,24 @@ async function investigateRecord(recordNumber) {
         }
 
         const csvText = await response.text();
-        const lines = csvText.split(/\r?\n/).filter(line => line.trim() !== '');
+        const { rows } = parseBloomerangCsv(csvText, { fields: loadLastBloomerangMappingProfile().fields });
 
         // Check if record number is valid
-        if (recordNumber < 1 || recordNumber > lines.length - 1) {
-            console.error(`Invalid record number ${recordNumber}. Valid range: 1-${lines.length - 1}`);
+        if (recordNumber < 1 || recordNumber > rows.length) {
+            console.error(`Invalid record number ${recordNumber}. Valid range: 1-${rows.length}`);
             return;
         }
 
-        // Get the specific record (recordNumber is 1-based, but we need to account for header)
-        const recordLine = lines[recordNumber]; // lines[0] is header, lines[1] is record 1, etc.
-        const fields = recordLine.split(',').map(field => field.replace(/\^#C#\^/g, ',').trim());
+        // Get the specific record (recordNumber is the 1-based data row number)
+        const record = rows[recordNumber - 1];
+        const fields = record.fields;
 
         console.log(`\n--- RECORD ${recordNumber} RAW DATA ---`);
-        console.log('Raw line:', recordLine.substring(0, 200) + (recordLine.length > 200 ? '...' : ''));
+        console.log('CSV line:', record.line);
         console.log('Total fields:', fields.length);
 
-        // Field mappings (same as in processRowToEntity)
-        const fieldMap = {
-            name: 0,           // Field 1: Name
-            firstName: 1,      // Field 2: First Name
-            middleName: 2,     // Field 3: Middle Name
-            lastName: 3,       // Field 4: Last Name
-            email: 4,          // Field 5: Primary Email Address
-            accountNumber: 5,  // Field 6: Account Number
-            transactionAmount: 6, // Field 7: First Transaction Amount
-            transactionDate: 7,   // Field 8: First Transaction Date
-            isInHousehold: 8,  // Field 9: Is in a Household
-            primaryStreet: 9,  // Field 10: Primary Street
-            primaryCity: 10,   // Field 11: Primary City
-            primaryState: 11,  // Field 12: Primary State
-            primaryZip: 12,    // Field 13: Primary ZIP Code
-            homeStreet: 13,    // Field 14: Home Street
-            homeCity: 14,      // Field 15: Home City
-            homeState: 15,     // Field 16: Home State
-            homeZip: 16,       // Field 17: Home ZIP Code
-            vacationStreet: 17,// Field 18: Vacation Street
-            vacationCity: 18,  // Field 19: Vacation City
-            vacationState: 19, // Field 20: Vacation State
-            vacationZip: 20,   // Field 21: Vacation ZIP Code
-            workStreet: 21,    // Field 22: Work Street
-            workCity: 22,      // Field 23: Work City
-            workState: 23,     // Field 24: Work State
-            workZip: 24,       // Field 25: Work ZIP Code
-            fireNumber: 25,    // Field 26: Fire Number
-            biStreet: 26,      // Field 27: BI Street (Block Island specific)
-            biPoBox: 27,       // Field 28: BI PO Box (Block Island specific)
-            householdName: 28, // Field 29: Household Name
-            isHeadOfHousehold: 29, // Field 30: Is Head of Household
-            primaryPhone: 30,  // Field 31: Primary Phone Number
-            homePhone: 31,     // Field 32: Home Phone Number
-            workPhone: 32,     // Field 33: Work Phone Number
-            mobilePhone: 33    // Field 34: Mobile Phone Number
-        };
+        // Field positions (same as in processRowToEntity)
+        const fieldMap = BLOOMERANG_FIELD_MAP;
 
         console.log(`\n--- RECORD ${recordNumber} PARSED FIELDS ---`);
         console.log('Name:', fields[fieldMap.name] || '[empty]');
@@ -2901,48 +2746,12 @@ async function inspectProcessedRecords(recordNumbers) {
         }
 
         const csvText = await response.text();
-        const lines = csvText.split(/\r?\n/).filter(line => line.trim() !== '');
-        const data = lines.map(line => line.split(',').map(field => field.replace(/\^#C#\^/g, ',')));
-
-        console.log(`✓ CSV loaded: ${data.length} total records`);
-
-        // Step 2: Field mapping for verification (same as main processing)
-        const fieldMap = {
-            name: 0,           // Field 1: Name
-            firstName: 1,      // Field 2: First Name
-            middleName: 2,     // Field 3: Middle Name
-            lastName: 3,       // Field 4: Last Name
-            email: 4,          // Field 5: Primary Email Address
-            accountNumber: 5,  // Field 6: Account Number
-            transactionAmount: 6, // Field 7: First Transaction Amount
-            transactionDate: 7,   // Field 8: First Transaction Date
-            isInHousehold: 8,  // Field 9: Is in a Household
-            primaryStreet: 9,  // Field 10: Primary Street
-            primaryCity: 10,   // Field 11: Primary City
-            primaryState: 11,  // Field 12: Primary State
-            primaryZip: 12,    // Field 13: Primary ZIP Code
-            homeStreet: 13,    // Field 14: Home Street
-            homeCity: 14,      // Field 15: Home City
-            homeState: 15,     // Field 16: Home State
-            homeZip: 16,       // Field 17: Home ZIP Code
-            vacationStreet: 17,// Field 18: Vacation Street
-            vacationCity: 18,  // Field 19: Vacation City
-            vacationState: 19, // Field 20: Vacation State
-            vacationZip: 20,   // Field 21: Vacation ZIP Code
-            workStreet: 21,    // Field 22: Work Street
-            workCity: 22,      // Field 23: Work City
-            workState: 23,     // Field 24: Work State
-            workZip: 24,       // Field 25: Work ZIP Code
-            fireNumber: 25,    // Field 26: Fire Number
-            biStreet: 26,      // Field 27: BI Street (Block Island specific)
-            biPoBox: 27,       // Field 28: BI PO Box (Block Island specific)
-            householdName: 28, // Field 29: Household Name
-            isHeadOfHousehold: 29, // Field 30: Is Head of Household
-            primaryPhone: 30,  // Field 31: Primary Phone Number
-            homePhone: 31,     // Field 32: Home Phone Number
-            workPhone: 32,     // Field 33: Work Phone Number
-            mobilePhone: 33    // Field 34: Mobile Phone Number
-        };
+        const { rows } = parseBloomerangCsv(csvText, { fields: loadLastBloomerangMappingProfile().fields });
+
+        console.log(`✓ CSV loaded: ${rows.length} data records`);
+
+        // Step 2: Field positions for verification (same as main processing)
+        const fieldMap = BLOOMERANG_FIELD_MAP;
 
         const inspectionResults = [];
 
@@ -2950,12 +2759,12 @@ async function inspectProcessedRecords(recordNumbers) {
         for (const recordNum of recordNumbers) {
             console.log(`\n--- Processing Record ${recordNum} ---`);
 
-            if (recordNum < 1 || recordNum >= data.length) {
-                console.log(`❌ Record ${recordNum} out of range (1-${data.length - 1})`);
+            if (recordNum < 1 || recordNum > rows.length) {
+                console.log(`❌ Record ${recordNum} out of range (1-${rows.length})`);
                 continue;
             }
 
-            const fields = data[recordNum];
+            const fields = rows[recordNum - 1].fields;
             const accountNumber = fields[fieldMap.accountNumber] || `UNKNOWN_${recordNum}`;
             const dataSource = DATA_SOURCES.BLOOMERANG_CSV;
 
@@ -0,0 +1,136 @@
+/**
+ * audit Command - Run the audit checks over saved databases
+ *
+ * Runs the registered audit check modules (scripts/audit/) against a built
+ * EntityGroup database and writes the findings as a sortable HTML report
+ * and/or CSV. Checks whose databases are not given are skipped.
+ *
+ * USAGE:
+ *   node bin/birava audit --unified ./unified.json --groups ./groups.json --overrides ./overrides/ \
+ *       --html ./audit.html --out ./audit.csv
+ *   node bin/birava audit --individual-names ./individualNames.json --street-names ./streetNames.json \
+ *       --checks alias-correlation --html ./aliases.html
+ */
+
+'use strict';
+
+const path = require('path');
+const { initializeHeadlessEnvironment } = require('./headlessEnvironment');
+const { loadDatabaseFile, writeTextFile, formatElapsed } = require('./cliUtils');
+const { loadOverrideRulesFromDirectory, loadSupportingDatabases } = require('./buildGroupsCommand');
+
+// Runner first: the check modules register themselves with it
+const AUDIT_SCRIPTS = [
+    'scripts/audit/auditRunner.js',
+    'scripts/audit/auditOverrideRules.js',
+    'scripts/audit/auditAliasCorrelation.js',
+    'scripts/audit/auditSharedPhoneGroups.js',
+    'scripts/audit/auditContactInfoConnectivity.js'
+];
+
+const USAGE = `Usage: birava audit [options]
+
+  --unified <file>           Unified entity database JSON
+  --groups <file>            EntityGroup database built from --unified
+  --overrides <dir>          Directory with force_match.csv / force_exclude.csv
+  --individual-names <file>  IndividualNameDatabase bulk file
+  --street-names <file>      StreetNameDatabase bulk snapshot
+  --checks <ids>             Comma-separated check ids (default: all)
+  --alias-threshold <n>      Report alias candidates correlating below n (default 0.6)
+  --html <file>              Write the sortable HTML report
+  --out <file>               Write the findings as CSV
+  --json <file>              Write the full report as JSON
+  --verbose                  Show comparison diagnostics`;
+
+// Findings printed to the console (all are written with --html / --out / --json)
+const CONSOLE_FINDING_LIMIT = 20;
+
+/**
+ * Run the audit command.
+ * @param {Object} options - Parsed command options (see USAGE)
+ * @returns {Promise<Object>} Report from runAuditChecks()
+ */
+async function runAudit(options) {
+    if (options.help) {
+        console.log(USAGE);
+        return null;
+    }
+    const given = (name) => options[name] && options[name] !== true;
+    if (given('groups') && !given('unified')) {
+        throw new Error(`--groups needs --unified (group members are looked up in it)\n\n${USAGE}`);
+    }
+
+    const startTime = Date.now();
+    initializeHeadlessEnvironment({ extraScripts: AUDIT_SCRIPTS });
+
+    const context = buildAuditContext({ groupDb: null, entityDb: null });
+    if (given('unified')) {
+        console.log(`[audit] Loading unified database: ${path.resolve(options.unified)}`);
+        context.entityDb = loadDatabaseFile(options.unified, '--unified', 'UnifiedEntityDatabase');
+        if (!context.entityDb || !context.entityDb.entities) {
+            throw new Error('--unified: file does not contain an entities object');
+        }
+        window.unifiedEntityDatabase = context.entityDb;
+    }
+    if (given('groups')) {
+        console.log(`[audit] Loading EntityGroup database: ${path.resolve(options.groups)}`);
+        context.groupDb = loadDatabaseFile(options.groups, '--groups', 'EntityGroupDatabase');
+        if (!context.groupDb || typeof context.groupDb.getAllGroups !== 'function') {
+            throw new Error('--groups: file does not contain an EntityGroup database');
+        }
+    }
+    context.individualNameDb = loadSupportingDatabases(options).indNameDb;
+
+    window.matchOverrideManager.clear();
+    if (given('overrides')) {
+        const overrideResult = loadOverrideRulesFromDirectory(options.overrides);
+        console.log(`[audit] Override rules: ${overrideResult.forceMatchCount} FORCE_MATCH, ` +
+            `${overrideResult.forceExcludeCount} FORCE_EXCLUDE, ${overrideResult.mutualInclusionSets} MUTUAL inclusion sets, ` +
+            `${overrideResult.mutualExclusionSets} MUTUAL exclusion sets`);
+    }
+    if (given('alias-threshold')) {
+        context.aliasCorrelationThreshold = Number(options['alias-threshold']);
+        if (!(context.aliasCorrelationThreshold > 0 && context.aliasCorrelationThreshold <= 1)) {
+            throw new Error(`--alias-threshold must be a number in (0, 1], got ${options['alias-threshold']}`);
+        }
+    }
+    const checks = given('checks') ? options.checks.split(',').map(id => id.trim()).filter(Boolean) : undefined;
+
+    // Comparison functions log diagnostics through console.log; keep them quiet unless --verbose
+    const originalLog = console.log;
+    if (!options.verbose) {
+        console.log = () => {};
+    }
+    let report;
+    try {
+        report = await runAuditChecks({ checks, context });
+    } finally {
+        console.log = originalLog;
+    }
+
+    console.log(formatAuditSummary(report));
+    report.findings.slice(0, CONSOLE_FINDING_LIMIT).forEach(f =>
+        console.log(`  ${f.severity.toUpperCase().padEnd(6)} ${f.checkId}  ${f.subject}: ${f.summary}`));
+    if (report.findings.length > CONSOLE_FINDING_LIMIT) {
+        console.log(`  ... ${report.findings.length - CONSOLE_FINDING_LIMIT} more (use --html / --out)`);
+    }
+
+    if (given('html')) {
+        console.log(`[audit] HTML: ${writeTextFile(options.html, buildAuditReportHtml(report))}`);
+    }
+    if (given('out')) {
+        console.log(`[audit] CSV: ${writeTextFile(options.out, buildAuditReportCSV(report))}`);
+    }
+    if (given('json')) {
+        console.log(`[audit] JSON: ${writeTextFile(options.json, JSON.stringify(report, null, 2))}`);
+    }
+    console.log(`[audit] Elapsed: ${formatElapsed(startTime)}`);
+
+    return report;
+}
+
+module.exports = {
+    USAGE,
+    AUDIT_SCRIPTS,
+    runAudit
+};
@@ -0,0 +1,106 @@
+/**
+ * blocking-recall Command - What the blocking index loses versus exhaustive comparison
+ *
+ * Compares a stratified sample of entities with every other entity, as a build
+ * without --blocking would, and reports how many true matches and near misses a
+ * build with --blocking would still find (see scripts/analysis/blockingRecall.js).
+ *
+ * USAGE:
+ *   node bin/birava blocking-recall --unified ./unified.json
+ *   node bin/birava blocking-recall --unified ./unified.json --individual-names ./names.json --sample-size 500
+ *   node bin/birava blocking-recall --unified ./unified.json --out ./missed.csv --json ./recall.json
+ *
+ * Run before turning on build-groups --blocking, and after changing a block rule.
+ */
+
+'use strict';
+
+const path = require('path');
+const { initializeHeadlessEnvironment } = require('./headlessEnvironment');
+const { loadDatabaseFile, writeTextFile, formatElapsed } = require('./cliUtils');
+const { loadSupportingDatabases, applyProfileOption } = require('./buildGroupsCommand');
+
+const USAGE = `Usage: birava blocking-recall --unified <file> [options]
+
+  --unified <file>           Unified entity database JSON (required)
+  --street-names <file>      StreetNameDatabase bulk snapshot
+  --individual-names <file>  IndividualNameDatabase bulk file (adds name-variant blocks)
+  --collisions <file>        Fire number collision database JSON
+  --profile <name|file>      Matching profile (default: default)
+  --sample-size <n>          Entities compared exhaustively (default 200)
+  --sample-seed <n>          Seed for the stratified sample (default 12345)
+  --out <file>               Write the missed pairs as CSV
+  --json <file>              Write the full report as JSON
+  --verbose                  Show comparison diagnostics`;
+
+// Missed pairs printed to the console (all are written with --out)
+const CONSOLE_MISSED_LIMIT = 20;
+
+/**
+ * Run the blocking-recall command.
+ * @param {Object} options - Parsed command options (see USAGE)
+ * @returns {Promise<Object>} Report from evaluateBlockingRecall()
+ */
+async function runBlockingRecall(options) {
+    if (options.help) {
+        console.log(USAGE);
+        return null;
+    }
+    if (!options.unified || options.unified === true) {
+        throw new Error(`--unified is required\n\n${USAGE}`);
+    }
+
+    const startTime = Date.now();
+    initializeHeadlessEnvironment({ extraScripts: ['scripts/analysis/blockingRecall.js'] });
+
+    const profile = applyProfileOption(options.profile && options.profile !== true ? options.profile : 'default');
+    console.log(`[blocking-recall] Matching profile: ${profile.name}`);
+
+    console.log(`[blocking-recall] Loading unified database: ${path.resolve(options.unified)}`);
+    const unifiedDb = loadDatabaseFile(options.unified, '--unified', 'UnifiedEntityDatabase');
+    if (!unifiedDb || !unifiedDb.entities) {
+        throw new Error('--unified: file does not contain an entities object');
+    }
+    window.unifiedEntityDatabase = unifiedDb;
+    const { indNameDb } = loadSupportingDatabases(options);
+
+    // Comparison functions log diagnostics through console.log; keep them quiet unless --verbose
+    const originalLog = console.log;
+    if (!options.verbose) {
+        console.log = () => {};
+    }
+    let report;
+    try {
+        report = evaluateBlockingRecall({
+            entityDb: unifiedDb.entities,
+            sampleSize: options['sample-size'] ? parseInt(options['sample-size'], 10) : 200,
+            sampleSeed: options['sample-seed'] ? parseInt(options['sample-seed'], 10) : 12345,
+            indNameDb: indNameDb || null
+        });
+    } finally {
+        console.log = originalLog;
+    }
+
+    console.log(formatBlockingRecallSummary(report));
+    report.index.largestBlocks.forEach(b => console.log(`  Block ${b.block}: ${b.size} entities`));
+    report.missedPairs.slice(0, CONSOLE_MISSED_LIMIT).forEach(p =>
+        console.log(`  Missed ${p.kind}  ${p.baseKey} / ${p.targetKey}  overall ${p.overall?.toFixed(4)}`));
+    if (report.missedPairs.length > CONSOLE_MISSED_LIMIT) {
+        console.log(`  ... ${report.missedPairs.length - CONSOLE_MISSED_LIMIT} more (use --out)`);
+    }
+
+    if (options.out && options.out !== true) {
+        console.log(`[blocking-recall] Missed pairs CSV: ${writeTextFile(options.out, buildBlockingRecallCSV(report))}`);
+    }
+    if (options.json && options.json !== true) {
+        console.log(`[blocking-recall] JSON: ${writeTextFile(options.json, JSON.stringify(report, null, 2))}`);
+    }
+    console.log(`[blocking-recall] Elapsed: ${formatElapsed(startTime)}`);
+
+    return report;
+}
+
+module.exports = {
+    USAGE,
+    runBlockingRecall
+};
@@ -0,0 +1,110 @@
+/**
+ * bloomerang-changes Command - What changed in Bloomerang since the last import
+ *
+ * Compares the Bloomerang constituents of two unified databases by account
+ * number: added, removed, and field-level changes (see
+ * scripts/analysis/bloomerangChangeReport.js). With --groups, lists the
+ * EntityGroups of the previous build that hold a changed or removed
+ * constituent and need re-review.
+ *
+ * USAGE:
+ *   node bin/birava bloomerang-changes --previous ./unified-sept.json --current ./unified-oct.json
+ *   node bin/birava bloomerang-changes --previous ./unified-sept.json --current ./unified-oct.json \
+ *       --groups ./groups-sept.json --out ./changes.csv
+ *   node bin/birava bloomerang-changes --previous ./unified-sept.json --current ./unified-oct.json \
+ *       --changed-keys ./changed.json
+ *
+ * The --changed-keys file is the --changed input of build-groups --previous.
+ */
+
+'use strict';
+
+const path = require('path');
+const { initializeHeadlessEnvironment } = require('./headlessEnvironment');
+const { loadDatabaseFile, writeTextFile, formatElapsed } = require('./cliUtils');
+
+const USAGE = `Usage: birava bloomerang-changes --previous <file> --current <file> [options]
+
+  --previous <file>          Unified entity database JSON from the earlier import (required)
+  --current <file>           Unified entity database JSON from the new import (required)
+  --groups <file>            EntityGroup database built from --previous (lists groups to re-review)
+  --out <file>               Write the changes as CSV
+  --json <file>              Write the full report as JSON
+  --changed-keys <file>      Write the changed entity keys for build-groups --changed`;
+
+// Groups printed to the console (all are written with --out / --json)
+const CONSOLE_GROUP_LIMIT = 20;
+
+/**
+ * Load a unified database file
+ * @param {string} file
+ * @param {string} label - Option name for messages
+ * @returns {Object} Unified database
+ */
+function loadUnifiedDatabase(file, label) {
+    console.log(`[bloomerang-changes] Loading ${label.slice(2)} unified database: ${path.resolve(file)}`);
+    const unifiedDb = loadDatabaseFile(file, label, 'UnifiedEntityDatabase');
+    if (!unifiedDb || !unifiedDb.entities) {
+        throw new Error(`${label}: file does not contain an entities object`);
+    }
+    return unifiedDb;
+}
+
+/**
+ * Run the bloomerang-changes command.
+ * @param {Object} options - Parsed command options (see USAGE)
+ * @returns {Promise<Object>} Report from compareBloomerangImports()
+ */
+async function runBloomerangChanges(options) {
+    if (options.help) {
+        console.log(USAGE);
+        return null;
+    }
+    for (const name of ['previous', 'current']) {
+        if (!options[name] || options[name] === true) {
+            throw new Error(`--${name} is required\n\n${USAGE}`);
+        }
+    }
+
+    const startTime = Date.now();
+    initializeHeadlessEnvironment({ extraScripts: ['scripts/analysis/bloomerangChangeReport.js'] });
+
+    const previousDb = loadUnifiedDatabase(options.previous, '--previous');
+    const currentDb = loadUnifiedDatabase(options.current, '--current');
+    let groupDb = null;
+    if (options.groups && options.groups !== true) {
+        console.log(`[bloomerang-changes] Loading EntityGroup database: ${path.resolve(options.groups)}`);
+        groupDb = loadDatabaseFile(options.groups, '--groups', 'EntityGroupDatabase');
+        if (!groupDb || typeof groupDb.getAllGroups !== 'function') {
+            throw new Error('--groups: file does not contain an EntityGroup database');
+        }
+    }
+
+    const report = compareBloomerangImports(previousDb, currentDb, { groupDb });
+
+    console.log(formatBloomerangChangeSummary(report));
+    (report.groupsToReview || []).slice(0, CONSOLE_GROUP_LIMIT).forEach(g =>
+        console.log(`  Group ${g.index} (${g.foundingMemberKey}): ${g.reasons.join('; ')}`));
+    if (report.groupsToReview && report.groupsToReview.length > CONSOLE_GROUP_LIMIT) {
+        console.log(`  ... ${report.groupsToReview.length - CONSOLE_GROUP_LIMIT} more (use --out)`);
+    }
+
+    if (options.out && options.out !== true) {
+        console.log(`[bloomerang-changes] CSV: ${writeTextFile(options.out, buildBloomerangChangeCSV(report))}`);
+    }
+    if (options.json && options.json !== true) {
+        console.log(`[bloomerang-changes] JSON: ${writeTextFile(options.json, JSON.stringify(report, null, 2))}`);
+    }
+    if (options['changed-keys'] && options['changed-keys'] !== true) {
+        console.log(`[bloomerang-changes] Changed keys: ${writeTextFile(options['changed-keys'],
+            JSON.stringify(report.changedKeys, null, 2))}`);
+    }
+    console.log(`[bloomerang-changes] Elapsed: ${formatElapsed(startTime)}`);
+
+    return report;
+}
+
+module.exports = {
+    USAGE,
+    runBloomerangChanges
+};
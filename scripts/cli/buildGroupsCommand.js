@@ -0,0 +1,347 @@
+/**
+ * build-groups Command - Headless EntityGroup database build
+ *
+ * Runs buildEntityGroupDatabase() in Node against local files instead of
+ * Google Drive / Google Sheets, and writes the EntityGroup database and its
+ * reference file to disk.
+ *
+ * USAGE:
+ *   node bin/birava build-groups --unified ./unified.json --overrides ./overrides/ --out ./groups.json
+ *
+ * INPUTS (all local files):
+ *   --unified <file>           Unified entity database (serializeWithTypes JSON, as saved by saveUnifiedDatabase)
+ *   --overrides <dir>          Directory holding CSV exports of the override sheets:
+ *                                force_match.csv   (RuleID, EntityKey1, EntityKey2, AnchorOverride, Reason, Status)
+ *                                force_exclude.csv (RuleID, DefectiveKey, OtherKey, OnConflict, Reason, Status)
+ *                              Either file may be absent. Omit --overrides to build without rules.
+ *   --street-names <file>      StreetNameDatabase bulk snapshot (serializeBulkForSave() JSON)
+ *   --individual-names <file>  IndividualNameDatabase bulk file (IndividualNameDatabaseBulk JSON)
+ *   --collisions <file>        Fire number collision database JSON
+ *   --phonebook <file>         PhonebookDatabase bulk file. Without it phonebook Steps 1 and 3 are skipped.
+ *                              Bulk files are integrity-checked and upgraded from older schema versions.
+ *   --no-phonebook             Skip phonebook integration even if --phonebook is given
+ *
+ * OUTPUTS:
+ *   --out <file>               EntityGroup database (serializeWithTypes JSON, same format as the Drive file)
+ *   --reference-out <file>     Reference file (default: <out>.reference.json)
+ *   --anomaly-register <file>  Data quality anomaly register, read before the build (if it exists) so
+ *                              accepted and corrected anomalies carry over, and saved after it
+ *                              (default: <out>.anomaly-register.json)
+ *
+ * OPTIONS:
+ *   --sample-size <n>          Build from a stratified sample of n entities
+ *   --sample-seed <n>          Seed for the stratified sample (default 12345)
+ *   --profile <name|file>      Matching profile: built-in name (default, strict, loose) or a profile
+ *                              JSON file. Recorded in the database's matchingProfile metadata.
+ *   --previous <file>          Incremental rebuild: an earlier --out database built with the same
+ *   --changed <file>           profile and rules, plus a JSON file of the entity keys changed since:
+ *                                { "added": [...], "removed": [...], "modified": [...] }
+ *                              Groups the changes cannot reach keep their index and are not re-compared.
+ *   --blocking                 Compare each founder only with entities sharing a name, address, phone or
+ *                              email block (check recall first with "birava blocking-recall")
+ *   --consensus                Build consensus entities after construction
+ *   --verbose                  Show the builder's progress log
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { initializeHeadlessEnvironment } = require('./headlessEnvironment');
+const { readTextFile, readDatabaseFile, loadDatabaseFile, logMigrationReport, writeTextFile, readCsvFile, formatElapsed } = require('./cliUtils');
+
+const USAGE = `Usage: birava build-groups --unified <file> --out <file> [options]
+
+  --unified <file>           Unified entity database JSON (required)
+  --out <file>               Where to write the EntityGroup database (required)
+  --reference-out <file>     Where to write the reference file (default: <out>.reference.json)
+  --anomaly-register <file>  Anomaly register to read and update (default: <out>.anomaly-register.json)
+  --overrides <dir>          Directory with force_match.csv / force_exclude.csv
+  --street-names <file>      StreetNameDatabase bulk snapshot
+  --individual-names <file>  IndividualNameDatabase bulk file
+  --collisions <file>        Fire number collision database JSON
+  --phonebook <file>         PhonebookDatabase bulk file (phonebook steps skipped without it)
+  --no-phonebook             Skip phonebook integration
+  --sample-size <n>          Build from a stratified sample of n entities
+  --sample-seed <n>          Seed for the stratified sample (default 12345)
+  --profile <name|file>      Matching profile: default, strict, loose, or a profile JSON file
+  --previous <file>          Incremental rebuild from this earlier EntityGroup database (needs --changed)
+  --changed <file>           Changed entity keys JSON: { "added": [], "removed": [], "modified": [] }
+  --blocking                 Compare only entities sharing a block (see blocking-recall)
+  --consensus                Build consensus entities after construction
+  --verbose                  Show the builder's progress log`;
+
+// Override CSV file names inside the --overrides directory
+const OVERRIDE_FILES = {
+    FORCE_MATCH: 'force_match.csv',
+    FORCE_EXCLUDE: 'force_exclude.csv'
+};
+
+/**
+ * Load override rules from CSV exports of the FORCE_MATCH / FORCE_EXCLUDE sheets
+ * into window.matchOverrideManager. Column layout is identical to the sheets.
+ * @param {string} overridesDir - Directory containing the CSV files
+ * @returns {Object} Load summary from MatchOverrideManager.loadFromSheetData
+ */
+function loadOverrideRulesFromDirectory(overridesDir) {
+    const dir = path.resolve(overridesDir);
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw new Error(`--overrides: not a directory: ${dir}`);
+    }
+
+    const readRows = (fileName) => {
+        const filePath = path.join(dir, fileName);
+        if (!fs.existsSync(filePath)) {
+            console.warn(`[build-groups] ${fileName} not found in ${dir} - no rules loaded from it`);
+            return [];
+        }
+        return readCsvFile(filePath, '--overrides');
+    };
+
+    const sheetData = parseOverrideRuleRows(
+        readRows(OVERRIDE_FILES.FORCE_MATCH),
+        readRows(OVERRIDE_FILES.FORCE_EXCLUDE)
+    );
+    return window.matchOverrideManager.loadFromSheetData(sheetData);
+}
+
+/**
+ * Load the supporting databases the comparison engine consults.
+ * Each is optional; comparisons degrade the same way they do in the browser
+ * when a database has not been loaded.
+ * @param {Object} options - Parsed command options
+ * @returns {{indNameDb: IndividualNameDatabase|null}}
+ */
+function loadSupportingDatabases(options) {
+    let indNameDb = null;
+
+    if (options['street-names']) {
+        const checked = readDatabaseFile(options['street-names'], '--street-names', 'StreetNameDatabaseBulk');
+        const migration = startSerializationMigration(getSavedSchemaVersion(checked.integrity));
+        const count = window.streetNameDatabase.loadFromBulkData(JSON.parse(checked.content), { migration });
+        console.log(`[build-groups] Street names: ${count} entries`);
+        logMigrationReport('--street-names', migration.report());
+    }
+
+    if (options['individual-names']) {
+        const checked = readDatabaseFile(options['individual-names'], '--individual-names', 'IndividualNameDatabaseBulk');
+        const migration = startSerializationMigration(getSavedSchemaVersion(checked.integrity));
+        indNameDb = populateIndividualNameDatabaseFromBulk(JSON.parse(checked.content), { migration });
+        console.log(`[build-groups] Individual names: ${indNameDb.entries.size} entries`);
+        logMigrationReport('--individual-names', migration.report());
+    }
+
+    if (options.collisions) {
+        const data = JSON.parse(readTextFile(options.collisions, '--collisions'));
+        populateFireNumberCollisionDatabase(data, path.resolve(options.collisions));
+        console.log(`[build-groups] Fire number collisions: ${window.fireNumberCollisionDatabase.byFireNumber.size} fire numbers`);
+    }
+
+    return { indNameDb };
+}
+
+/**
+ * Load the phonebook bulk file if phonebook integration is enabled.
+ * @param {Object} options - Parsed command options
+ * @returns {PhonebookDatabase|null} Loaded database, or null to skip phonebook steps
+ */
+function loadPhonebook(options) {
+    if (options.phonebook === false || !options.phonebook) {
+        return null;
+    }
+    const phonebookDb = new PhonebookDatabase();
+    const report = phonebookDb.loadFromBulkText(readTextFile(options.phonebook, '--phonebook'),
+        `--phonebook ${path.resolve(options.phonebook)}`);
+    console.log(`[build-groups] Phonebook: ${phonebookDb.entries.size} entries`);
+    logMigrationReport('--phonebook', report);
+    return phonebookDb;
+}
+
+/**
+ * Load the anomaly register the build records its data quality findings in.
+ * A file that does not exist yet starts an empty register (first build).
+ * @param {string} registerPath - --anomaly-register path
+ */
+function loadAnomalyRegisterFile(registerPath) {
+    const resolved = path.resolve(registerPath);
+    if (!fs.existsSync(resolved)) {
+        populateAnomalyRegister(null);
+        console.log(`[build-groups] Anomaly register: none at ${resolved} - starting an empty one`);
+        return;
+    }
+    const checked = readDatabaseFile(registerPath, '--anomaly-register', 'DataQualityAnomalyRegister');
+    populateAnomalyRegister(checked, resolved);
+    console.log(`[build-groups] Anomaly register: ${window.dataQualityAnomalyRegister.anomalies.size} anomalies`);
+}
+
+/**
+ * Apply the --profile matching profile. A value naming an existing file (or
+ * ending in .json) is read as a profile JSON file; anything else is a
+ * built-in profile name.
+ * @param {string} profileOption - --profile value
+ * @returns {Object} The applied profile
+ */
+function applyProfileOption(profileOption) {
+    if (/\.json$/i.test(profileOption) || fs.existsSync(profileOption)) {
+        const profile = parseMatchingProfileJson(readTextFile(profileOption, '--profile'), path.basename(profileOption));
+        return applyMatchingProfile(profile, { source: path.resolve(profileOption) });
+    }
+    return applyMatchingProfile(profileOption);
+}
+
+/**
+ * Run the build-groups command.
+ * @param {Object} options - Parsed command options (see USAGE)
+ * @returns {Promise<Object>} Summary: output paths and group stats
+ */
+async function runBuildGroups(options) {
+    if (options.help) {
+        console.log(USAGE);
+        return null;
+    }
+    if (!options.unified || !options.out || options.unified === true || options.out === true) {
+        throw new Error(`--unified and --out are required\n\n${USAGE}`);
+    }
+
+    if (options['anomaly-register'] === true) {
+        throw new Error(`--anomaly-register needs a file\n\n${USAGE}`);
+    }
+    if (options.profile === true) {
+        throw new Error(`--profile needs a profile name or file\n\n${USAGE}`);
+    }
+    const incrementalRequested = options.previous !== undefined || options.changed !== undefined;
+    if (incrementalRequested && (!options.previous || !options.changed || options.previous === true || options.changed === true)) {
+        throw new Error(`--previous and --changed must be given together\n\n${USAGE}`);
+    }
+
+    const startTime = Date.now();
+    initializeHeadlessEnvironment();
+
+    // Matching profile first, so a bad profile fails before the database loads
+    const matchingProfile = applyProfileOption(options.profile || 'default');
+    console.log(`[build-groups] Matching profile: ${matchingProfile.name}`);
+
+    // Unified entity database
+    console.log(`[build-groups] Loading unified database: ${path.resolve(options.unified)}`);
+    const unifiedDb = loadDatabaseFile(options.unified, '--unified', 'UnifiedEntityDatabase');
+    if (!unifiedDb || !unifiedDb.entities) {
+        throw new Error('--unified: file does not contain an entities object');
+    }
+    window.unifiedEntityDatabase = unifiedDb;
+    console.log(`[build-groups] Entities: ${Object.keys(unifiedDb.entities).length}`);
+
+    const { indNameDb } = loadSupportingDatabases(options);
+
+    // Override rules
+    if (options.overrides) {
+        const overrideResult = loadOverrideRulesFromDirectory(options.overrides);
+        console.log(`[build-groups] Override rules: ${overrideResult.forceMatchCount} FORCE_MATCH, ` +
+            `${overrideResult.forceExcludeCount} FORCE_EXCLUDE, ` +
+            `${overrideResult.mutualInclusionSets} MUTUAL inclusion sets, ` +
+            `${overrideResult.mutualExclusionSets} MUTUAL exclusion sets`);
+        if (overrideResult.errors.length > 0) {
+            console.warn(`[build-groups] ${overrideResult.errors.length} override rule errors:`);
+            overrideResult.errors.forEach(err => console.warn(`  ${err}`));
+        }
+    } else {
+        window.matchOverrideManager.clear();
+        console.log('[build-groups] No --overrides given - building without override rules');
+    }
+
+    const anomalyRegisterPath = options['anomaly-register'] || options.out.replace(/\.json$/i, '') + '.anomaly-register.json';
+    loadAnomalyRegisterFile(anomalyRegisterPath);
+
+    const phonebookDb = loadPhonebook(options);
+    if (!phonebookDb) {
+        console.log('[build-groups] Phonebook integration skipped');
+    }
+
+    // Incremental rebuild inputs
+    let incremental = null;
+    if (incrementalRequested) {
+        const previousDb = loadDatabaseFile(options.previous, '--previous', 'EntityGroupDatabase');
+        const changedKeys = normalizeChangedKeys(JSON.parse(readTextFile(options.changed, '--changed')));
+        incremental = { previousDb, changedKeys };
+        console.log(`[build-groups] Incremental rebuild from ${path.resolve(options.previous)}: ` +
+            `${changedKeys.added.length} added, ${changedKeys.removed.length} removed, ${changedKeys.modified.length} modified`);
+    }
+
+    // Build (the builder logs through console.log; keep it quiet unless --verbose)
+    const originalLog = console.log;
+    if (!options.verbose) {
+        console.log = () => {};
+    }
+    let groupDb;
+    try {
+        groupDb = await buildEntityGroupDatabase({
+            verbose: !!options.verbose,
+            buildConsensus: !!options.consensus,
+            saveToGoogleDrive: false,
+            sampleSize: options['sample-size'] ? parseInt(options['sample-size'], 10) : null,
+            sampleSeed: options['sample-seed'] ? parseInt(options['sample-seed'], 10) : 12345,
+            phonebookDb: phonebookDb,
+            indNameDb: indNameDb,
+            skipPhonebook: !phonebookDb,
+            incremental: incremental,
+            blocking: !!options.blocking
+        });
+    } finally {
+        console.log = originalLog;
+    }
+
+    if (!groupDb) {
+        throw new Error('buildEntityGroupDatabase returned no database');
+    }
+
+    // Write outputs
+    const outPath = writeTextFile(options.out, serializeEntityGroupDatabaseForSave(groupDb));
+    const referencePath = options['reference-out'] && options['reference-out'] !== true
+        ? options['reference-out']
+        : options.out.replace(/\.json$/i, '') + '.reference.json';
+    const referenceOut = writeTextFile(referencePath, JSON.stringify(buildEntityGroupReferenceFile(groupDb), null, 2));
+    const anomalyRegisterOut = writeTextFile(anomalyRegisterPath, serializeAnomalyRegisterForSave());
+    window.dataQualityAnomalyRegister.metadata.hasUnsavedChanges = false;
+    const anomalyStats = getAnomalyRegisterStats();
+
+    const summary = {
+        databasePath: outPath,
+        referencePath: referenceOut,
+        anomalyRegisterPath: anomalyRegisterOut,
+        openAnomalies: anomalyStats.byStatus[ANOMALY_STATUS.OPEN] || 0,
+        totalGroups: groupDb.stats.totalGroups,
+        multiMemberGroups: groupDb.stats.multiMemberGroups,
+        totalEntitiesAssigned: groupDb.stats.totalEntitiesAssigned,
+        matchingProfile: matchingProfile.name,
+        incremental: groupDb.incrementalBuild,
+        blocking: groupDb.blocking,
+        elapsed: formatElapsed(startTime)
+    };
+
+    console.log('[build-groups] === BUILD COMPLETE ===');
+    console.log(`[build-groups] Groups: ${summary.totalGroups} (${summary.multiMemberGroups} multi-member), ` +
+        `entities assigned: ${summary.totalEntitiesAssigned}`);
+    if (summary.incremental) {
+        console.log(`[build-groups] Incremental: ${summary.incremental.carriedGroups} groups carried over, ` +
+            `${summary.incremental.rebuiltGroups} rebuilt from ${summary.incremental.freedEntities} freed entities`);
+    }
+    if (summary.blocking?.enabled) {
+        console.log(`[build-groups] Blocking: ${summary.blocking.blocks} blocks, ` +
+            `${summary.blocking.averageCandidates.toFixed(1)} candidates per entity`);
+    }
+    console.log(`[build-groups] Database:  ${summary.databasePath}`);
+    console.log(`[build-groups] Reference: ${summary.referencePath}`);
+    console.log(`[build-groups] Anomaly register: ${summary.anomalyRegisterPath} (${summary.openAnomalies} open)`);
+    console.log(`[build-groups] Elapsed: ${summary.elapsed}`);
+
+    return summary;
+}
+
+module.exports = {
+    USAGE,
+    OVERRIDE_FILES,
+    loadOverrideRulesFromDirectory,
+    loadSupportingDatabases,
+    loadAnomalyRegisterFile,
+    applyProfileOption,
+    runBuildGroups
+};
@@ -0,0 +1,159 @@
+/**
+ * CLI Utilities - Shared helpers for the headless `birava` commands
+ *
+ * Argument parsing and local file I/O (database files with their integrity
+ * blocks, CSV exports). Node only.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { readDatabaseIntegrity } = require('../core/databaseIntegrity');
+const { parseRfc4180Csv } = require('../dataSources/bloomerangCsvReader');
+
+/**
+ * Parse command-line arguments of the form `--name value` and `--flag`.
+ * A `--name` followed by another `--option` (or nothing) is treated as boolean true.
+ * `--no-name` sets name to false.
+ *
+ * @param {Array<string>} argv - Arguments after the subcommand
+ * @returns {{options: Object, positional: Array<string>}}
+ */
+function parseArgs(argv) {
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const eq = arg.indexOf('=');
+        if (eq !== -1) {
+            options[arg.slice(2, eq)] = arg.slice(eq + 1);
+            continue;
+        }
+
+        const name = arg.slice(2);
+        if (name.startsWith('no-')) {
+            options[name.slice(3)] = false;
+            continue;
+        }
+
+        const next = argv[i + 1];
+        if (next !== undefined && !next.startsWith('--')) {
+            options[name] = next;
+            i++;
+        } else {
+            options[name] = true;
+        }
+    }
+
+    return { options, positional };
+}
+
+/**
+ * Read a file as UTF-8 text, with a clear error naming the file and option.
+ * @param {string} filePath - Path to read
+ * @param {string} [label] - Option name shown in the error (e.g. '--unified')
+ * @returns {string}
+ */
+function readTextFile(filePath, label = null) {
+    const resolved = path.resolve(filePath);
+    if (!fs.existsSync(resolved)) {
+        throw new Error(`${label ? label + ': ' : ''}file not found: ${resolved}`);
+    }
+    return fs.readFileSync(resolved, 'utf8');
+}
+
+/**
+ * Read a saved database file and check its integrity block (see
+ * scripts/core/databaseIntegrity.js). Throws if the file was cut short or
+ * changed since it was saved; files saved before integrity blocks load with a warning.
+ * @param {string} filePath - Path to read
+ * @param {string} label - Option name shown in errors (e.g. '--unified')
+ * @param {string} database - Expected database, e.g. 'UnifiedEntityDatabase'
+ * @returns {{content: string, integrity: Object|null}} Database JSON without the integrity block, and the block
+ */
+function readDatabaseFile(filePath, label, database) {
+    return readDatabaseIntegrity(readTextFile(filePath, label), database, `${label} ${path.resolve(filePath)}`);
+}
+
+/**
+ * Read, check and deserialize a saved database file, upgrading data saved under
+ * an older schema (scripts/utils/serializationMigrations.js). Needs the headless
+ * environment initialized.
+ * @param {string} filePath - Path to read
+ * @param {string} label - Option name shown in errors and logs (e.g. '--unified')
+ * @param {string} database - Expected database, e.g. 'UnifiedEntityDatabase'
+ * @returns {*} The deserialized database
+ */
+function loadDatabaseFile(filePath, label, database) {
+    const checked = readDatabaseFile(filePath, label, database);
+    const { value, report } = deserializeWithMigrations(checked.content, getSavedSchemaVersion(checked.integrity));
+    logMigrationReport(label, report);
+    return value;
+}
+
+/**
+ * Log what loading a file upgraded, if it was saved under an older schema.
+ * @param {string} label - Option the file came from (e.g. '--phonebook')
+ * @param {Object} report - Migration report (see formatSerializationMigrationReport())
+ */
+function logMigrationReport(label, report) {
+    if (report.steps.length > 0) {
+        console.log(`[${label}] ${formatSerializationMigrationReport(report)}`);
+    }
+}
+
+/**
+ * Write text to a file, creating parent directories as needed.
+ * @param {string} filePath - Destination path
+ * @param {string} content - Text to write
+ * @returns {string} Resolved path written
+ */
+function writeTextFile(filePath, content) {
+    const resolved = path.resolve(filePath);
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+    fs.writeFileSync(resolved, content, 'utf8');
+    return resolved;
+}
+
+/**
+ * Read a CSV file into rows of cell strings, parsed by parseRfc4180Csv()
+ * (bloomerangCsvReader.js), the same parser the browser uses for CSV exports.
+ * @param {string} filePath - Path to read
+ * @param {string} [label] - Option name shown in errors (e.g. '--labels')
+ * @returns {Array<Array<string>>}
+ * @throws {Error} File missing or malformed CSV (e.g. a quoted field never closed)
+ */
+function readCsvFile(filePath, label = null) {
+    const parsed = parseRfc4180Csv(readTextFile(filePath, label));
+    if (parsed.errors.length > 0) {
+        throw new Error(`${label ? label + ' ' : ''}${path.resolve(filePath)}: ${parsed.errors.join('; ')}`);
+    }
+    return parsed.records.map(record => record.fields);
+}
+
+/**
+ * Format elapsed time since a start timestamp.
+ * @param {number} startTime - Date.now() at start
+ * @returns {string} e.g. "12.3s"
+ */
+function formatElapsed(startTime) {
+    return `${((Date.now() - startTime) / 1000).toFixed(1)}s`;
+}
+
+module.exports = {
+    parseArgs,
+    readTextFile,
+    readDatabaseFile,
+    loadDatabaseFile,
+    logMigrationReport,
+    writeTextFile,
+    readCsvFile,
+    formatElapsed
+};
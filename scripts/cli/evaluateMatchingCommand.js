@@ -0,0 +1,129 @@
+/**
+ * evaluate-matching Command - Precision / recall of natural matching against labels
+ *
+ * Treats the override rules (and an optional labelled-pairs CSV) as ground truth
+ * and reports how well natural matching agrees with them, overall and per
+ * entity-type pair (see scripts/analysis/matchQualityEvaluation.js).
+ *
+ * USAGE:
+ *   node bin/birava evaluate-matching --unified ./unified.json --overrides ./overrides/
+ *   node bin/birava evaluate-matching --unified ./unified.json --labels ./pairs.csv --no-override-labels
+ *   node bin/birava evaluate-matching --unified ./unified.json --overrides ./overrides/ --out ./errors.csv --json ./evaluation.json
+ *
+ * Run before and after a comparison-logic change and compare the numbers.
+ */
+
+'use strict';
+
+const path = require('path');
+const { initializeHeadlessEnvironment } = require('./headlessEnvironment');
+const { loadDatabaseFile, writeTextFile, readCsvFile, formatElapsed } = require('./cliUtils');
+const { loadOverrideRulesFromDirectory, loadSupportingDatabases, applyProfileOption } = require('./buildGroupsCommand');
+
+const USAGE = `Usage: birava evaluate-matching --unified <file> [options]
+
+  --unified <file>           Unified entity database JSON (required)
+  --overrides <dir>          Directory with force_match.csv / force_exclude.csv (used as labels)
+  --labels <file>            Labelled-pairs CSV: EntityKey1, EntityKey2, Label (MATCH / NO_MATCH), Note
+  --no-override-labels       Use only --labels, not the override rules
+  --street-names <file>      StreetNameDatabase bulk snapshot
+  --individual-names <file>  IndividualNameDatabase bulk file
+  --collisions <file>        Fire number collision database JSON
+  --profile <name|file>      Matching profile (default: default)
+  --full-scan                Match labelled entities against the whole database (slower)
+  --out <file>               Write false positives / negatives as CSV
+  --json <file>              Write the full evaluation as JSON
+  --verbose                  Show comparison diagnostics`;
+
+// False positives / negatives printed to the console (all are written with --out)
+const CONSOLE_ERROR_LIMIT = 20;
+
+/**
+ * Run the evaluate-matching command.
+ * @param {Object} options - Parsed command options (see USAGE)
+ * @returns {Promise<Object>} Evaluation from evaluateMatchQuality()
+ */
+async function runEvaluateMatching(options) {
+    if (options.help) {
+        console.log(USAGE);
+        return null;
+    }
+    if (!options.unified || options.unified === true) {
+        throw new Error(`--unified is required\n\n${USAGE}`);
+    }
+    const useOverrideRules = options['override-labels'] !== false;
+    if (!options.labels && !(useOverrideRules && options.overrides)) {
+        throw new Error(`Nothing to evaluate against: give --overrides and/or --labels\n\n${USAGE}`);
+    }
+
+    const startTime = Date.now();
+    initializeHeadlessEnvironment({ extraScripts: ['scripts/analysis/matchQualityEvaluation.js'] });
+
+    const profile = applyProfileOption(options.profile && options.profile !== true ? options.profile : 'default');
+    console.log(`[evaluate-matching] Matching profile: ${profile.name}`);
+
+    console.log(`[evaluate-matching] Loading unified database: ${path.resolve(options.unified)}`);
+    const unifiedDb = loadDatabaseFile(options.unified, '--unified', 'UnifiedEntityDatabase');
+    if (!unifiedDb || !unifiedDb.entities) {
+        throw new Error('--unified: file does not contain an entities object');
+    }
+    window.unifiedEntityDatabase = unifiedDb;
+    loadSupportingDatabases(options);
+
+    window.matchOverrideManager.clear();
+    if (options.overrides && useOverrideRules) {
+        const overrideResult = loadOverrideRulesFromDirectory(options.overrides);
+        console.log(`[evaluate-matching] Override rules: ${overrideResult.forceMatchCount} FORCE_MATCH, ` +
+            `${overrideResult.forceExcludeCount} FORCE_EXCLUDE, ${overrideResult.mutualInclusionSets} MUTUAL inclusion sets, ` +
+            `${overrideResult.mutualExclusionSets} MUTUAL exclusion sets`);
+    }
+
+    let labels = [];
+    if (options.labels) {
+        const parsed = parseLabelledPairRows(readCsvFile(options.labels, '--labels'));
+        labels = parsed.labels;
+        console.log(`[evaluate-matching] Labelled pairs: ${labels.length}`);
+        if (parsed.errors.length > 0) {
+            console.warn(`[evaluate-matching] ${parsed.errors.length} labelled-pair rows skipped:`);
+            parsed.errors.forEach(err => console.warn(`  ${err}`));
+        }
+    }
+
+    // Comparison functions log diagnostics through console.log; keep them quiet unless --verbose
+    const originalLog = console.log;
+    if (!options.verbose) {
+        console.log = () => {};
+    }
+    let evaluation;
+    try {
+        evaluation = evaluateMatchQuality({ useOverrideRules, labels, fullScan: !!options['full-scan'] });
+    } finally {
+        console.log = originalLog;
+    }
+
+    console.log(formatMatchQualitySummary(evaluation));
+    for (const [label, records] of [['False positive', evaluation.falsePositives], ['False negative', evaluation.falseNegatives]]) {
+        records.slice(0, CONSOLE_ERROR_LIMIT).forEach(r =>
+            console.log(`  ${label}  ${r.typePair}  ${r.keyA} / ${r.keyB}  overall ${r.overall?.toFixed(4)}` +
+                `${r.nearMiss ? ' (near miss)' : ''}  [${r.sources.join(' ')}]`));
+        if (records.length > CONSOLE_ERROR_LIMIT) {
+            console.log(`  ... ${records.length - CONSOLE_ERROR_LIMIT} more (use --out)`);
+        }
+    }
+    evaluation.conflicts.forEach(c => console.warn(`[evaluate-matching] Conflicting labels ${c.keyA} / ${c.keyB}: ${c.sources.join('; ')}`));
+
+    if (options.out && options.out !== true) {
+        console.log(`[evaluate-matching] Errors CSV: ${writeTextFile(options.out, buildMatchQualityCSV(evaluation))}`);
+    }
+    if (options.json && options.json !== true) {
+        console.log(`[evaluate-matching] JSON: ${writeTextFile(options.json, JSON.stringify(evaluation, null, 2))}`);
+    }
+    console.log(`[evaluate-matching] Elapsed: ${formatElapsed(startTime)}`);
+
+    return evaluation;
+}
+
+module.exports = {
+    USAGE,
+    runEvaluateMatching
+};
@@ -0,0 +1,156 @@
+/**
+ * Headless Environment - Runs the browser engine scripts inside Node.js
+ *
+ * The matching engine is written as classic browser scripts: each file declares
+ * top-level classes/functions and publishes them on `window`. This module recreates
+ * that environment in Node by aliasing `window` to the global object and evaluating
+ * each script with vm.runInThisContext(), in the same order index.html loads them.
+ * Scripts evaluated this way share one global lexical scope, exactly like
+ * consecutive <script> tags.
+ *
+ * Only engine scripts are loaded. UI scripts (browsers, button handlers, OAuth)
+ * touch `document` at load time and are deliberately excluded, so anything the
+ * engine needs must live in an engine script (e.g. MATCH_CRITERIA was moved out
+ * of unifiedEntityBrowser.js into matching/matchCriteria.js for this reason).
+ *
+ * USAGE (Node only):
+ *   const { initializeHeadlessEnvironment } = require('./headlessEnvironment');
+ *   initializeHeadlessEnvironment();
+ *   // buildEntityGroupDatabase, EntityGroupDatabase, etc. are now globals
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { LocalFileStore } = require('../../servers/localFileStore');
+
+// Repository root (scripts/cli -> repo root)
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * Engine scripts in index.html load order.
+ * Class definitions must precede classSerializationUtils.js so that
+ * CLASS_REGISTRY captures real constructors.
+ */
+const ENGINE_SCRIPTS = [
+    'scripts/utils.js',
+    'scripts/core/storageAdapters.js',
+    'scripts/core/databaseIntegrity.js',
+    'scripts/address/addressProcessing.js',
+    'scripts/dataSources/visionAppraisalNameParser.js',
+    'scripts/objectStructure/aliasClasses.js',
+    'scripts/objectStructure/contactInfo.js',
+    'scripts/objectStructure/householdInformation.js',
+    'scripts/objectStructure/entityClasses.js',
+    'scripts/objectStructure/entityGroup.js',
+    'scripts/databases/supplementalDataDatabase.js',
+    'scripts/databases/phonebookDatabase.js',
+    'scripts/databases/emailDatabase.js',
+    'scripts/utils/classSerializationUtils.js',
+    'scripts/utils/serializationMigrations.js',
+    'scripts/databases/aliasedTermDatabase.js',
+    'scripts/databases/streetNameDatabase.js',
+    'scripts/databases/individualNameDatabase.js',
+    'scripts/dataSources/fireNumberCollisionHandler.js',
+    'scripts/dataSources/bloomerangCsvReader.js',
+    'scripts/dataSources/bloomerangMappingProfile.js',
+    'scripts/matching/matchCriteria.js',
+    'scripts/matching/matchingProfiles.js',
+    'scripts/matching/entityScoringEngine.js',
+    'scripts/matching/universalEntityMatcher.js',
+    'scripts/unifiedDatabasePersistence.js',
+    'scripts/matching/matchOverrideManager.js',
+    'scripts/matching/entityBlockingIndex.js',
+    'scripts/matching/entityGroupBuilder.js',
+    'scripts/matching/incrementalEntityGroupBuild.js',
+    'scripts/matching/entityGroupSnapshotCompare.js',
+    'scripts/matching/phonebookMatcher.js',
+    'scripts/matching/phonebookDetection.js',
+    'scripts/matching/phonebookPipeline.js',
+    'scripts/matching/phonebookNameProcessing.js',
+    'scripts/matching/phonebookAnnotationResolver.js',
+    'scripts/matching/phonebookEntityMatcher.js',
+    'scripts/matching/emailMatcher.js',
+    'scripts/streetTypeAbbreviations.js',
+    'scripts/databases/individualNameDatabaseBuilder.js',
+    'scripts/databases/individualNameDatabaseSaveManager.js',
+    'scripts/fireNumberCollisionDatabase.js',
+    'scripts/contactPreferenceOverrideManager.js',
+    'scripts/dataQualityAnomalyRegister.js',
+    'scripts/export/csvReports.js',
+    'scripts/export/mailMergeSpreadsheet.js'
+];
+
+let initialized = false;
+
+/**
+ * Evaluate a single browser script in the shared global context
+ * @param {string} relativePath - Path relative to the repository root
+ */
+function loadBrowserScript(relativePath) {
+    const filePath = path.join(REPO_ROOT, relativePath);
+    const source = fs.readFileSync(filePath, 'utf8');
+    vm.runInThisContext(source, { filename: filePath });
+}
+
+/**
+ * Set up the browser-compatible globals and load all engine scripts.
+ * Safe to call more than once; scripts are only evaluated the first time.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.quiet=true] - Suppress the console banners scripts print while loading
+ * @param {Array<string>} [options.extraScripts=[]] - Additional scripts to load after the engine
+ * @param {string} [options.storageDir] - Use this directory (LocalFileStore layout) as the storage
+ *   backend for all database loads/saves instead of Google Drive
+ */
+function initializeHeadlessEnvironment(options = {}) {
+    const config = {
+        quiet: true,
+        extraScripts: [],
+        storageDir: null,
+        ...options
+    };
+
+    const applyStorage = () => {
+        if (config.storageDir) {
+            setStorageAdapter(new LocalFileStore(config.storageDir));
+        }
+    };
+
+    if (initialized) {
+        for (const script of config.extraScripts) {
+            loadBrowserScript(script);
+        }
+        applyStorage();
+        return global;
+    }
+
+    // Browser scripts publish their API on window; in Node that is the global object
+    global.window = global;
+
+    const originalLog = console.log;
+    if (config.quiet) {
+        console.log = () => {};
+    }
+
+    try {
+        for (const script of [...ENGINE_SCRIPTS, ...config.extraScripts]) {
+            loadBrowserScript(script);
+        }
+    } finally {
+        console.log = originalLog;
+    }
+
+    initialized = true;
+    applyStorage();
+    return global;
+}
+
+module.exports = {
+    REPO_ROOT,
+    ENGINE_SCRIPTS,
+    loadBrowserScript,
+    initializeHeadlessEnvironment
+};
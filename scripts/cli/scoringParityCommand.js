@@ -0,0 +1,121 @@
+/**
+ * scoring-parity Command - Entity scoring engine parity check
+ *
+ * Runs every ordered pair of entities in a unified database through
+ * entity.compareTo() and universalCompareTo() and through frozen copies of the
+ * pre-engine code paths, and reports pairs where they disagree
+ * (see scripts/testing/scoringEngineParity.js).
+ *
+ * USAGE:
+ *   node bin/birava scoring-parity --unified ./unified.json
+ *   node bin/birava scoring-parity --unified ./unified.json --write-baseline ./parity_baseline.json
+ *   node bin/birava scoring-parity --unified ./unified.json --baseline ./parity_baseline.json --out ./divergences.csv
+ *
+ * Pair count grows with the square of the entity count; use --limit on full databases.
+ * Exits non-zero when any divergence is found.
+ */
+
+'use strict';
+
+const path = require('path');
+const { initializeHeadlessEnvironment } = require('./headlessEnvironment');
+const { readTextFile, loadDatabaseFile, writeTextFile, formatElapsed } = require('./cliUtils');
+
+// Pre-engine reference first: the harness compares against it
+const SCORING_PARITY_SCRIPTS = [
+    'scripts/testing/preEngineScoring.js',
+    'scripts/testing/scoringEngineParity.js'
+];
+
+const USAGE = `Usage: birava scoring-parity --unified <file> [options]
+
+  --unified <file>           Unified entity database JSON (required)
+  --limit <n>                Check only the first n entities (n * (n - 1) pairs)
+  --baseline <file>          Also report scores that changed from this baseline
+  --write-baseline <file>    Save the current scores as a baseline and exit
+  --out <file>               Write divergences as CSV
+  --verbose                  Show comparison diagnostics`;
+
+// Divergences printed to the console (all are written with --out)
+const CONSOLE_DIVERGENCE_LIMIT = 20;
+
+/**
+ * Run the scoring-parity command.
+ * @param {Object} options - Parsed command options (see USAGE)
+ * @returns {Promise<Object>} Parity report, or the baseline summary with --write-baseline
+ */
+async function runScoringParity(options) {
+    if (options.help) {
+        console.log(USAGE);
+        return null;
+    }
+    if (!options.unified || options.unified === true) {
+        throw new Error(`--unified is required\n\n${USAGE}`);
+    }
+
+    const startTime = Date.now();
+    initializeHeadlessEnvironment({ extraScripts: SCORING_PARITY_SCRIPTS });
+
+    console.log(`[scoring-parity] Loading unified database: ${path.resolve(options.unified)}`);
+    const unifiedDb = loadDatabaseFile(options.unified, '--unified', 'UnifiedEntityDatabase');
+    if (!unifiedDb || !unifiedDb.entities) {
+        throw new Error('--unified: file does not contain an entities object');
+    }
+    window.unifiedEntityDatabase = unifiedDb;
+
+    const limit = options.limit ? parseInt(options.limit, 10) : null;
+    const baseline = options.baseline ? JSON.parse(readTextFile(options.baseline, '--baseline')) : null;
+
+    // Comparison functions log diagnostics through console.log; keep them quiet unless --verbose
+    const originalLog = console.log;
+    if (!options.verbose) {
+        console.log = () => {};
+    }
+    let result;
+    try {
+        result = options['write-baseline']
+            ? buildScoringParityBaseline(unifiedDb.entities, { limit })
+            : runScoringParityCheck(unifiedDb.entities, { limit, baseline });
+    } finally {
+        console.log = originalLog;
+    }
+
+    if (options['write-baseline']) {
+        const baselinePath = writeTextFile(options['write-baseline'], JSON.stringify(result));
+        console.log(`[scoring-parity] Baseline: ${result.pairCount} pairs from ${result.entityCount} entities`);
+        console.log(`[scoring-parity] Written: ${baselinePath}`);
+        console.log(`[scoring-parity] Elapsed: ${formatElapsed(startTime)}`);
+        return result;
+    }
+
+    console.log(`[scoring-parity] Pairs checked: ${result.pairsChecked} (${result.entityCount} entities)`);
+    for (const [codePath, count] of Object.entries(result.pairsByCodePath)) {
+        console.log(`[scoring-parity]   ${codePath}: ${count}`);
+    }
+    if (baseline && result.baselinePairsMissing > 0) {
+        console.warn(`[scoring-parity] ${result.baselinePairsMissing} pairs not in the baseline`);
+    }
+    if (options.out) {
+        const outPath = writeTextFile(options.out, buildScoringParityCSV(result));
+        console.log(`[scoring-parity] Divergences CSV: ${outPath}`);
+    }
+    console.log(`[scoring-parity] Elapsed: ${formatElapsed(startTime)}`);
+
+    if (result.divergences.length > 0) {
+        for (const [check, count] of Object.entries(result.divergencesByCheck)) {
+            console.log(`[scoring-parity]   ${check}: ${count}`);
+        }
+        result.divergences.slice(0, CONSOLE_DIVERGENCE_LIMIT).forEach(d =>
+            console.log(`  ${d.check}  ${d.keyA} vs ${d.keyB}: expected ${d.expected}, got ${d.actual}`));
+        throw new Error(`${result.divergences.length} scoring divergences found`);
+    }
+
+    console.log('[scoring-parity] No divergences');
+    return result;
+}
+
+module.exports = {
+    USAGE,
+    SCORING_PARITY_SCRIPTS,
+    runScoringParity
+};
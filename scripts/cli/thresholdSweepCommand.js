@@ -0,0 +1,147 @@
+/**
+ * threshold-sweep Command - Group-count sensitivity to true-match thresholds
+ *
+ * Rebuilds the EntityGroup database once per threshold value and reports group,
+ * multi-member, prospect and Bloomerang-only counts, plus the entity pairs that
+ * join or split relative to the baseline (see scripts/analysis/thresholdSweep.js).
+ *
+ * USAGE:
+ *   node bin/birava threshold-sweep --unified ./unified.json --overrides ./overrides/ --sample-size 500
+ *   node bin/birava threshold-sweep --unified ./unified.json --field nameAlone --from 0.85 --to 0.90 --step 0.005
+ *   node bin/birava threshold-sweep --unified ./unified.json --values -0.02,0,0.02 --out ./sweep.csv --flips-out ./flips.csv
+ *
+ * Each value is a full build; use --sample-size on the full database.
+ */
+
+'use strict';
+
+const path = require('path');
+const { initializeHeadlessEnvironment } = require('./headlessEnvironment');
+const { loadDatabaseFile, writeTextFile, formatElapsed } = require('./cliUtils');
+const { loadOverrideRulesFromDirectory, loadSupportingDatabases, applyProfileOption } = require('./buildGroupsCommand');
+
+const USAGE = `Usage: birava threshold-sweep --unified <file> [options]
+
+  --unified <file>           Unified entity database JSON (required)
+  --overrides <dir>          Directory with force_match.csv / force_exclude.csv
+  --street-names <file>      StreetNameDatabase bulk snapshot
+  --individual-names <file>  IndividualNameDatabase bulk file
+  --collisions <file>        Fire number collision database JSON
+  --profile <name|file>      Matching profile the sweep starts from (default: default)
+  --field <name>             Threshold to sweep: all (default, values are offsets to every
+                             true-match threshold), overallAndName.overall, overallAndName.name,
+                             contactInfoAlone, overallAlone or nameAlone (values are thresholds)
+  --values <list>            Comma-separated values to sweep
+  --from <n> --to <n>        Range to sweep (default: baseline -0.05 to +0.05)
+  --step <n>                 Range step (default 0.01)
+  --sample-size <n>          Build from a stratified sample of n entities
+  --sample-seed <n>          Seed for the stratified sample (default 12345)
+  --out <file>               Write the per-value summary as CSV
+  --flips-out <file>         Write the joined/split pairs as CSV
+  --json <file>              Write the full sweep result as JSON
+  --verbose                  Show the builder's progress log`;
+
+// Flipped pairs printed per value (all are written with --flips-out)
+const CONSOLE_FLIP_LIMIT = 5;
+
+const parseNumberOption = (value, name) => {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (value === true || !isFinite(number)) {
+        throw new Error(`${name} must be a number`);
+    }
+    return number;
+};
+
+/**
+ * Run the threshold-sweep command.
+ * @param {Object} options - Parsed command options (see USAGE)
+ * @returns {Promise<Object>} Sweep result from runThresholdSweep()
+ */
+async function runThresholdSweepCommand(options) {
+    if (options.help) {
+        console.log(USAGE);
+        return null;
+    }
+    if (!options.unified || options.unified === true) {
+        throw new Error(`--unified is required\n\n${USAGE}`);
+    }
+
+    const sweepOptions = {
+        field: options.field && options.field !== true ? options.field : 'all',
+        values: options.values && options.values !== true
+            ? String(options.values).split(',').map(v => parseNumberOption(v.trim(), '--values'))
+            : undefined,
+        from: parseNumberOption(options.from, '--from'),
+        to: parseNumberOption(options.to, '--to'),
+        step: parseNumberOption(options.step, '--step'),
+        sampleSize: options['sample-size'] ? parseInt(options['sample-size'], 10) : null,
+        sampleSeed: options['sample-seed'] ? parseInt(options['sample-seed'], 10) : 12345
+    };
+
+    const startTime = Date.now();
+    initializeHeadlessEnvironment({ extraScripts: ['scripts/analysis/thresholdSweep.js'] });
+
+    const baseProfile = applyProfileOption(options.profile && options.profile !== true ? options.profile : 'default');
+    console.log(`[threshold-sweep] Matching profile: ${baseProfile.name}`);
+
+    console.log(`[threshold-sweep] Loading unified database: ${path.resolve(options.unified)}`);
+    const unifiedDb = loadDatabaseFile(options.unified, '--unified', 'UnifiedEntityDatabase');
+    if (!unifiedDb || !unifiedDb.entities) {
+        throw new Error('--unified: file does not contain an entities object');
+    }
+    window.unifiedEntityDatabase = unifiedDb;
+
+    loadSupportingDatabases(options);
+    if (options.overrides) {
+        const overrideResult = loadOverrideRulesFromDirectory(options.overrides);
+        console.log(`[threshold-sweep] Override rules: ${overrideResult.forceMatchCount} FORCE_MATCH, ` +
+            `${overrideResult.forceExcludeCount} FORCE_EXCLUDE`);
+    } else {
+        window.matchOverrideManager.clear();
+    }
+
+    // The builder and comparisons log through console.log; keep them quiet unless --verbose
+    const originalLog = console.log;
+    const report = (step) => {
+        originalLog(`[threshold-sweep] ${sweepOptions.field}=${step.value}: ${step.totalGroups} groups, ` +
+            `${step.multiMemberGroups} multi-member, ${step.prospectGroups} prospects, ` +
+            `${step.bloomerangOnlyGroups} Bloomerang-only, ${step.joinedPairs.length} joined, ${step.splitPairs.length} split`);
+        for (const [change, pairs] of [['joined', step.joinedPairs], ['split', step.splitPairs]]) {
+            pairs.slice(0, CONSOLE_FLIP_LIMIT).forEach(pair =>
+                originalLog(`    ${change}  ${pair.keyA} + ${pair.keyB}  (score ${pair.score === null ? '-' : pair.score.toFixed(4)})`));
+            if (pairs.length > CONSOLE_FLIP_LIMIT) {
+                originalLog(`    ... ${pairs.length - CONSOLE_FLIP_LIMIT} more ${change}`);
+            }
+        }
+    };
+    if (!options.verbose) {
+        console.log = () => {};
+    }
+    let sweep;
+    try {
+        sweep = await runThresholdSweep({ ...sweepOptions, onStep: report });
+    } finally {
+        console.log = originalLog;
+    }
+
+    console.log(`[threshold-sweep] Baseline (${sweep.baseProfile}, ${sweep.field}=${sweep.baselineValue}): ` +
+        `${sweep.baseline.totalGroups} groups from ${sweep.entityCount} entities`);
+    if (options.out && options.out !== true) {
+        console.log(`[threshold-sweep] Summary CSV: ${writeTextFile(options.out, buildThresholdSweepCSV(sweep))}`);
+    }
+    if (options['flips-out'] && options['flips-out'] !== true) {
+        console.log(`[threshold-sweep] Flips CSV: ${writeTextFile(options['flips-out'], buildThresholdSweepFlipsCSV(sweep))}`);
+    }
+    if (options.json && options.json !== true) {
+        console.log(`[threshold-sweep] JSON: ${writeTextFile(options.json, JSON.stringify(sweep, null, 2))}`);
+    }
+    console.log(`[threshold-sweep] Elapsed: ${formatElapsed(startTime)}`);
+
+    return sweep;
+}
+
+module.exports = {
+    USAGE,
+    runThresholdSweepCommand
+};
@@ -0,0 +1,121 @@
+/**
+ * va-ownership-changes Command - What changed in VisionAppraisal between two pulls
+ *
+ * Joins two everyThingWithPid.json generations by PID and reports owner and
+ * co-owner changes with sale dates, newly subdivided properties, new and
+ * removed PIDs, and fire number moves (see
+ * scripts/analysis/visionAppraisalOwnershipChanges.js). With --unified and
+ * --groups built from the previous pull, lists the EntityGroups whose VA
+ * members are affected, with their Bloomerang members.
+ *
+ * USAGE:
+ *   node bin/birava va-ownership-changes --previous ./everyThingWithPid-2025.json \
+ *       --current ./servers/Results/everyThingWithPid.json
+ *   node bin/birava va-ownership-changes --previous ./everyThingWithPid-2025.json \
+ *       --current ./servers/Results/everyThingWithPid.json \
+ *       --unified ./unified-2025.json --groups ./groups-2025.json --out ./ownership.csv
+ */
+
+'use strict';
+
+const path = require('path');
+const { initializeHeadlessEnvironment } = require('./headlessEnvironment');
+const { readTextFile, loadDatabaseFile, writeTextFile, formatElapsed } = require('./cliUtils');
+
+const USAGE = `Usage: birava va-ownership-changes --previous <file> --current <file> [options]
+
+  --previous <file>          everyThingWithPid.json from the earlier pull (required)
+  --current <file>           everyThingWithPid.json from the newer pull (required)
+  --unified <file>           Unified entity database JSON built from --previous (finds each PID's entity)
+  --groups <file>            EntityGroup database built from --unified (lists groups to review)
+  --out <file>               Write the changes as CSV
+  --json <file>              Write the full report as JSON`;
+
+// Groups printed to the console (all are written with --out / --json)
+const CONSOLE_GROUP_LIMIT = 20;
+
+/**
+ * Load an everyThingWithPid.json file
+ * @param {string} file
+ * @param {string} label - Option name for messages
+ * @returns {Array<string>} Raw records
+ */
+function loadPidFile(file, label) {
+    console.log(`[va-ownership-changes] Loading ${label.slice(2)} pull: ${path.resolve(file)}`);
+    const records = JSON.parse(readTextFile(file, label));
+    if (!Array.isArray(records)) {
+        throw new Error(`${label}: file is not an everyThingWithPid.json record array`);
+    }
+    return records;
+}
+
+/**
+ * Run the va-ownership-changes command.
+ * @param {Object} options - Parsed command options (see USAGE)
+ * @returns {Promise<Object>} Report from compareVisionAppraisalPulls()
+ */
+async function runVaOwnershipChanges(options) {
+    if (options.help) {
+        console.log(USAGE);
+        return null;
+    }
+    for (const name of ['previous', 'current']) {
+        if (!options[name] || options[name] === true) {
+            throw new Error(`--${name} is required\n\n${USAGE}`);
+        }
+    }
+    const hasGroups = options.groups && options.groups !== true;
+    const hasUnified = options.unified && options.unified !== true;
+    if (hasGroups && !hasUnified) {
+        throw new Error(`--groups needs --unified (PIDs are found through the unified database)\n\n${USAGE}`);
+    }
+
+    const startTime = Date.now();
+    initializeHeadlessEnvironment({
+        extraScripts: ['scripts/dataSources/visionAppraisal.js', 'scripts/analysis/visionAppraisalOwnershipChanges.js']
+    });
+
+    const previousRecords = loadPidFile(options.previous, '--previous');
+    const currentRecords = loadPidFile(options.current, '--current');
+    let unifiedDb = null;
+    let groupDb = null;
+    if (hasUnified) {
+        console.log(`[va-ownership-changes] Loading unified database: ${path.resolve(options.unified)}`);
+        unifiedDb = loadDatabaseFile(options.unified, '--unified', 'UnifiedEntityDatabase');
+        if (!unifiedDb || !unifiedDb.entities) {
+            throw new Error('--unified: file does not contain an entities object');
+        }
+    }
+    if (hasGroups) {
+        console.log(`[va-ownership-changes] Loading EntityGroup database: ${path.resolve(options.groups)}`);
+        groupDb = loadDatabaseFile(options.groups, '--groups', 'EntityGroupDatabase');
+        if (!groupDb || typeof groupDb.getAllGroups !== 'function') {
+            throw new Error('--groups: file does not contain an EntityGroup database');
+        }
+    }
+
+    const report = compareVisionAppraisalPulls(previousRecords, currentRecords, { unifiedDb, groupDb });
+
+    console.log(formatOwnershipChangeSummary(report));
+    (report.groupsToReview || []).slice(0, CONSOLE_GROUP_LIMIT).forEach(g =>
+        console.log(`  Group ${g.index} (${g.foundingMemberKey}${g.bloomerangKeys.length ? `, ${g.bloomerangKeys.length} Bloomerang` : ''}): ` +
+            g.reasons.join('; ')));
+    if (report.groupsToReview && report.groupsToReview.length > CONSOLE_GROUP_LIMIT) {
+        console.log(`  ... ${report.groupsToReview.length - CONSOLE_GROUP_LIMIT} more (use --out)`);
+    }
+
+    if (options.out && options.out !== true) {
+        console.log(`[va-ownership-changes] CSV: ${writeTextFile(options.out, buildOwnershipChangeCSV(report))}`);
+    }
+    if (options.json && options.json !== true) {
+        console.log(`[va-ownership-changes] JSON: ${writeTextFile(options.json, JSON.stringify(report, null, 2))}`);
+    }
+    console.log(`[va-ownership-changes] Elapsed: ${formatElapsed(startTime)}`);
+
+    return report;
+}
+
+module.exports = {
+    USAGE,
+    runVaOwnershipChanges
+};
@@ -6,7 +6,7 @@
  * PO box, or email), they can manually override it. Overrides are anchored to
  * stable entity keys (not fragile EntityGroup indices).
  *
- * Storage: Google Drive JSON file (same pattern as fireNumberCollisionDatabase.js)
+ * Storage: JSON file through the active storage adapter (same pattern as fireNumberCollisionDatabase.js)
  *
  * Usage:
  *   await loadContactPreferenceOverrides();
@@ -76,11 +76,11 @@ function createOverrideRecord(anchorEntityKey, contactType, preferredValue, pref
 }
 
 // ============================================================================
-// GOOGLE DRIVE JSON FILE INTEGRATION
+// JSON FILE PERSISTENCE (through the active storage adapter: Google Drive or local directory)
 // ============================================================================
 
 /**
- * Load override database from Google Drive JSON file
+ * Load override database from its JSON file
  */
 async function loadContactPreferenceOverrides() {
     const fileId = localStorage.getItem(CONTACT_PREFERENCE_OVERRIDE_STORAGE_KEY) || CONTACT_PREFERENCE_OVERRIDE_FILE_ID;
@@ -96,12 +96,7 @@ async function loadContactPreferenceOverrides() {
     console.log(`[ContactPreferenceOverrides] Loading from file: ${fileId}`);
 
     try {
-        const response = await gapi.client.drive.files.get({
-            fileId: fileId,
-            alt: 'media'
-        });
-
-        const data = response.result;
+        const data = JSON.parse(await getStorageAdapter().readFile(fileId));
 
         // Clear existing data
         contactPreferenceOverrideDatabase.overrides = [];
@@ -149,7 +144,7 @@ async function loadContactPreferenceOverrides() {
 }
 
 /**
- * Save override database to Google Drive JSON file
+ * Save override database to its JSON file, creating the file on the first save
  */
 async function saveContactPreferenceOverrides() {
     let fileId = localStorage.getItem(CONTACT_PREFERENCE_OVERRIDE_STORAGE_KEY) || CONTACT_PREFERENCE_OVERRIDE_FILE_ID;
@@ -162,47 +157,15 @@ async function saveContactPreferenceOverrides() {
         overrides: contactPreferenceOverrideDatabase.overrides
     };
 
-    const boundary = '-------314159265358979323846';
-    const delimiter = '\r\n--' + boundary + '\r\n';
-    const closeDelimiter = '\r\n--' + boundary + '--';
+    const storage = getStorageAdapter();
+    const content = JSON.stringify(data, null, 2);
 
     try {
         if (!fileId) {
-            // Create new file on Google Drive
-            console.log('[ContactPreferenceOverrides] Creating new file on Google Drive...');
-
-            const metadata = {
-                name: 'BIRAVA_ContactPreferenceOverrides.json',
-                mimeType: 'application/json'
-            };
-
-            const multipartRequestBody =
-                delimiter +
-                'Content-Type: application/json\r\n\r\n' +
-                JSON.stringify(metadata) +
-                delimiter +
-                'Content-Type: application/json\r\n\r\n' +
-                JSON.stringify(data, null, 2) +
-                closeDelimiter;
-
-            const response = await fetch(
-                'https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart',
-                {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                        'Content-Type': `multipart/related; boundary="${boundary}"`
-                    },
-                    body: multipartRequestBody
-                }
-            );
-
-            if (!response.ok) {
-                throw new Error(`Create failed: ${response.status} ${response.statusText}`);
-            }
+            // Create new file
+            console.log(`[ContactPreferenceOverrides] Creating new file in ${storage.name} storage...`);
 
-            const result = await response.json();
-            fileId = result.id;
+            fileId = await storage.createFile('BIRAVA_ContactPreferenceOverrides.json', null, content);
             localStorage.setItem(CONTACT_PREFERENCE_OVERRIDE_STORAGE_KEY, fileId);
             contactPreferenceOverrideDatabase.metadata.sourceFileId = fileId;
             console.log(`[ContactPreferenceOverrides] Created new file with ID: ${fileId}`);
@@ -211,34 +174,7 @@ async function saveContactPreferenceOverrides() {
             // Update existing file
             console.log(`[ContactPreferenceOverrides] Saving to file: ${fileId}`);
 
-            const metadata = {
-                mimeType: 'application/json'
-            };
-
-            const multipartRequestBody =
-                delimiter +
-                'Content-Type: application/json\r\n\r\n' +
-                JSON.stringify(metadata) +
-                delimiter +
-                'Content-Type: application/json\r\n\r\n' +
-                JSON.stringify(data, null, 2) +
-                closeDelimiter;
-
-            const response = await fetch(
-                `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=multipart`,
-                {
-                    method: 'PATCH',
-                    headers: {
-                        'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                        'Content-Type': `multipart/related; boundary="${boundary}"`
-                    },
-                    body: multipartRequestBody
-                }
-            );
-
-            if (!response.ok) {
-                throw new Error(`Upload failed: ${response.status} ${response.statusText}`);
-            }
+            await storage.writeFile(fileId, content);
         }
 
         contactPreferenceOverrideDatabase.metadata.hasUnsavedChanges = false;
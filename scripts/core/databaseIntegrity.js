@@ -0,0 +1,201 @@
+/**
+ * Database Integrity - Format version, counts and content hash on saved databases
+ *
+ * The unified entity database, the EntityGroup database and the IndividualName
+ * bulk file end with an __integrity block when saved:
+ *
+ *   ..., "__integrity": { "database": "EntityGroupDatabase", "formatVersion": 1,
+ *        "schemaVersion": 2, "entityCount": 4105, "groupCount": 2290, "contentLength": 81234567,
+ *        "contentHash": "fnv1a32:9c3e07d1", "savedAt": "2026-10-19T14:02:11.000Z" } }
+ *
+ * The length and hash cover the JSON before the block, so an upload cut short
+ * (e.g. after a token expiry) or a hand-edited file no longer matches. Loads call
+ * readDatabaseIntegrity() before deserializing and checkDatabaseCounts() after;
+ * both throw with the file ID in the message. Files saved before integrity
+ * blocks existed load with a warning; a file with no block that is not whole
+ * JSON is treated as a save that lost its block to truncation and refused.
+ *
+ * schemaVersion is the class layout the data was serialized under; loads use it
+ * to run the upgrade steps in scripts/utils/serializationMigrations.js.
+ *
+ * The block is appended as text after serializing (see addDatabaseIntegrity),
+ * and readDatabaseIntegrity() hands back the content without it, so the
+ * deserialized database never carries an __integrity property.
+ */
+
+// Integrity block format written by this version
+const DATABASE_INTEGRITY_FORMAT_VERSION = 1;
+
+// Text joining the integrity block to the saved JSON object
+const DATABASE_INTEGRITY_SEPARATOR = ',"__integrity":';
+
+/**
+ * FNV-1a hash of a string's UTF-16 code units. Detects truncation and edits;
+ * not meant to resist deliberate tampering.
+ * @param {string} content
+ * @returns {string} 'fnv1a32:' + 8 hex digits
+ */
+function hashDatabaseContent(content) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < content.length; i++) {
+        hash ^= content.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return 'fnv1a32:' + (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Append an integrity block to serialized database JSON
+ * @param {string} content - Serialized database (a JSON object)
+ * @param {string} database - Database name recorded in the block, e.g. 'UnifiedEntityDatabase'
+ * @param {Object} counts
+ * @param {number} counts.entityCount
+ * @param {number} [counts.groupCount] - EntityGroup database only
+ * @returns {string} Content to save
+ */
+function addDatabaseIntegrity(content, database, counts) {
+    const body = content.trimEnd();
+    if (!body.endsWith('}')) {
+        throw new Error(`Cannot add integrity block to ${database}: content is not a JSON object`);
+    }
+    const integrity = {
+        database: database,
+        formatVersion: DATABASE_INTEGRITY_FORMAT_VERSION,
+        schemaVersion: SERIALIZATION_SCHEMA_VERSION,
+        entityCount: counts.entityCount
+    };
+    if (counts.groupCount !== undefined) {
+        integrity.groupCount = counts.groupCount;
+    }
+    integrity.contentLength = body.length;
+    integrity.contentHash = hashDatabaseContent(body);
+    integrity.savedAt = new Date().toISOString();
+
+    return body.slice(0, -1) + DATABASE_INTEGRITY_SEPARATOR + JSON.stringify(integrity) + '}';
+}
+
+/**
+ * Report an integrity problem: throw, or warn when the caller forces the load
+ * @param {string} message
+ * @param {Object} options
+ */
+function reportIntegrityProblem(message, options) {
+    if (!options.force) {
+        throw new Error(`${message}. The file may be a partial or damaged save; ` +
+            'load an earlier version, or pass { force: true } to load it anyway.');
+    }
+    console.warn(`[DatabaseIntegrity] ${message} (loading anyway: force)`);
+}
+
+/**
+ * Split saved content into the database JSON and its integrity block, and check
+ * the block's database name, format version, length and hash.
+ * @param {string} content - File content as read from storage
+ * @param {string} database - Expected database name
+ * @param {string} fileId - File ID, for messages
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Warn instead of throwing on a mismatch
+ * @returns {{content: string, integrity: Object|null}} Content to deserialize;
+ *   integrity is null for files saved before integrity blocks (or forced past a mismatch)
+ * @throws {Error} Mismatch (unless force), a block from a newer format or schema, or
+ *   a file with no block that does not parse (truncated; even with force)
+ */
+function readDatabaseIntegrity(content, database, fileId, options = {}) {
+    const body = content.trimEnd();
+    const separatorIndex = body.lastIndexOf(DATABASE_INTEGRITY_SEPARATOR);
+    if (separatorIndex === -1 || !body.endsWith('}')) {
+        // A save cut short loses its trailing block too: only whole JSON is a legacy file
+        try {
+            JSON.parse(body);
+        } catch (error) {
+            throw new Error(`${database} file ${fileId} appears truncated: it has no integrity block ` +
+                `and its content does not parse (${error.message}). Load an earlier version.`);
+        }
+        console.warn(`[DatabaseIntegrity] ${database} file ${fileId} has no integrity block ` +
+            '(saved before integrity checks) - loading without verification');
+        return { content: content, integrity: null };
+    }
+
+    let integrity;
+    try {
+        integrity = JSON.parse(body.slice(separatorIndex + DATABASE_INTEGRITY_SEPARATOR.length, -1));
+    } catch (error) {
+        reportIntegrityProblem(`${database} file ${fileId}: integrity block is unreadable (${error.message})`, options);
+        return { content: body.slice(0, separatorIndex) + '}', integrity: null };
+    }
+    const payload = body.slice(0, separatorIndex) + '}';
+    const problems = [];
+
+    if (integrity.formatVersion > DATABASE_INTEGRITY_FORMAT_VERSION) {
+        throw new Error(`${database} file ${fileId} was saved with integrity format ${integrity.formatVersion}; ` +
+            `this version reads up to ${DATABASE_INTEGRITY_FORMAT_VERSION}. Update the application before loading it.`);
+    }
+    if (integrity.schemaVersion > SERIALIZATION_SCHEMA_VERSION) {
+        throw new Error(`${database} file ${fileId} was saved under schema version ${integrity.schemaVersion}; ` +
+            `this version reads up to ${SERIALIZATION_SCHEMA_VERSION}. Update the application before loading it.`);
+    }
+    if (integrity.database !== database) {
+        problems.push(`File ${fileId} holds ${integrity.database}, not ${database}`);
+    }
+    if (integrity.contentLength !== payload.length) {
+        problems.push(`${database} file ${fileId} is ${payload.length} characters; ` +
+            `it was saved as ${integrity.contentLength}`);
+    } else {
+        const hash = hashDatabaseContent(payload);
+        if (hash !== integrity.contentHash) {
+            problems.push(`${database} file ${fileId} content hash ${hash} does not match ` +
+                `the saved hash ${integrity.contentHash}`);
+        }
+    }
+    problems.forEach(message => reportIntegrityProblem(message, options));
+
+    // A forced load of a mismatched file has nothing left to verify against
+    return { content: payload, integrity: problems.length === 0 ? integrity : null };
+}
+
+/**
+ * Compare the counts of a deserialized database with its integrity block
+ * @param {Object|null} integrity - Block from readDatabaseIntegrity (null: nothing to check)
+ * @param {Object} counts - Counts of the loaded database ({entityCount, groupCount})
+ * @param {string} fileId - File ID, for messages
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Warn instead of throwing on a mismatch
+ * @throws {Error} A count differs (unless force)
+ */
+function checkDatabaseCounts(integrity, counts, fileId, options = {}) {
+    if (!integrity) {
+        return;
+    }
+    let matched = true;
+    for (const [name, label] of [['entityCount', 'entities'], ['groupCount', 'groups']]) {
+        if (integrity[name] !== undefined && counts[name] !== integrity[name]) {
+            reportIntegrityProblem(`${integrity.database} file ${fileId} loaded ${counts[name]} ${label}; ` +
+                `it was saved with ${integrity[name]}`, options);
+            matched = false;
+        }
+    }
+    if (!matched) {
+        return;
+    }
+    console.log(`[DatabaseIntegrity] ${integrity.database} file ${fileId} verified ` +
+        `(${integrity.contentHash}, saved ${integrity.savedAt})`);
+}
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.DATABASE_INTEGRITY_FORMAT_VERSION = DATABASE_INTEGRITY_FORMAT_VERSION;
+    window.hashDatabaseContent = hashDatabaseContent;
+    window.addDatabaseIntegrity = addDatabaseIntegrity;
+    window.readDatabaseIntegrity = readDatabaseIntegrity;
+    window.checkDatabaseCounts = checkDatabaseCounts;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DATABASE_INTEGRITY_FORMAT_VERSION,
+        hashDatabaseContent,
+        addDatabaseIntegrity,
+        readDatabaseIntegrity,
+        checkDatabaseCounts
+    };
+}
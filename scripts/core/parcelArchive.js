@@ -0,0 +1,175 @@
+/**
+ * Parcel Archive - Cache and offline replay of VisionAppraisal parcel pages
+ *
+ * CACHE: with caching on, fourthButterClick() (and so Go Again) sends every
+ * Parcel.aspx page it fetches, unmodified, to the local archive kept by
+ * servers/parcelArchive.js: servers/Results/parcelArchive/<YYYY-MM-DD>/<pid>.html
+ *   setParcelArchiveCaching(true);   // then run the Fourth Button / Go Again
+ *
+ * REPLAY: rebuilds everyThingWithPid.json from the archive with the same
+ * extraction as a live scrape (ParcelDataExtractorV2.extractPidFileFields),
+ * without contacting the VisionAppraisal website - to re-run extraction after a
+ * parser fix, or to rebuild an earlier snapshot of assessments:
+ *   await replayParcelArchive();                          // newest page of every PID
+ *   await replayParcelArchive({ asOf: '2026-01-31' });    // pages fetched by that date
+ *   await replayParcelArchive({ save: false });           // records only, file untouched
+ *
+ * Records keep the Google Drive file ID of their PID from the current
+ * everyThingWithPid.json; PIDs without one get an empty ID.
+ */
+
+// Archive routes of the local Express server (servers/server.js)
+const PARCEL_ARCHIVE_API = 'http://127.0.0.99:3000/api/parcel-archive';
+
+// Pages read from the archive at a time during replay
+const PARCEL_REPLAY_BATCH_SIZE = 8;
+
+window.parcelArchiveCaching = false;
+
+/**
+ * Turn caching of fetched parcel pages on or off
+ * @param {boolean} enabled
+ */
+function setParcelArchiveCaching(enabled) {
+    window.parcelArchiveCaching = !!enabled;
+    console.log(`Parcel archive caching ${window.parcelArchiveCaching ? 'ON' : 'OFF'}`);
+    const checkbox = document.getElementById('parcelArchiveCachingCheckbox');
+    if (checkbox) {
+        checkbox.checked = window.parcelArchiveCaching;
+    }
+}
+
+/**
+ * Store one fetched parcel page. A failed save is logged and does not stop the scrape.
+ * @param {string} pid - PID the page was requested for
+ * @param {string} html - Page exactly as fetched
+ * @returns {Promise<Object|null>} { pid, date, size }, or null if the save failed
+ */
+async function archiveParcelPage(pid, html) {
+    try {
+        const response = await fetch(`${PARCEL_ARCHIVE_API}/pages/${encodeURIComponent(pid)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'text/plain' },
+            body: html
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${(await response.json()).error}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error(`Parcel archive: could not store PID ${pid}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Fetch dates in the archive
+ * @returns {Promise<Array<{date: string, pages: number}>>}
+ */
+async function listParcelArchiveSnapshots() {
+    const response = await fetch(`${PARCEL_ARCHIVE_API}/snapshots`);
+    if (!response.ok) {
+        throw new Error(`Parcel archive: HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * PID -> Google Drive file ID from the current everyThingWithPid.json
+ * @returns {Promise<Map<string, string>>} Empty if the file cannot be read
+ */
+async function loadCurrentPidFileIds() {
+    const fileIds = new Map();
+    try {
+        const response = await fetch('http://127.0.0.99:3000/visionappraisal-data');
+        if (!response.ok) return fileIds;
+        for (const record of await response.json()) {
+            // Record: JSON-quoted PID file line, then ",<fileId>"; the PID is field 9 of the line
+            const lastQuote = record.lastIndexOf('"');
+            const line = JSON.parse(record.substring(0, lastQuote + 1));
+            const pid = line.split(',')[9];
+            if (pid) fileIds.set(pid.trim(), record.substring(lastQuote + 2));
+        }
+    } catch (error) {
+        console.warn('Parcel archive: current everyThingWithPid.json not read, file IDs left empty:', error.message);
+    }
+    return fileIds;
+}
+
+/**
+ * Rebuild everyThingWithPid.json from archived parcel pages
+ * @param {Object} [options]
+ * @param {string} [options.asOf] - YYYY-MM-DD: newest page of each PID fetched on or before this date (default: newest)
+ * @param {boolean} [options.save=true] - Write the records to servers/Results/everyThingWithPid.json
+ * @returns {Promise<Object>} { records, pages, skipped: [{pid, date, reason}], asOf }
+ */
+async function replayParcelArchive(options = {}) {
+    const save = options.save !== false;
+    console.log(`=== REPLAYING PARCEL ARCHIVE${options.asOf ? ` AS OF ${options.asOf}` : ''} ===`);
+
+    const query = options.asOf ? `?asOf=${encodeURIComponent(options.asOf)}` : '';
+    const listResponse = await fetch(`${PARCEL_ARCHIVE_API}/pages${query}`);
+    if (!listResponse.ok) {
+        throw new Error(`Parcel archive: HTTP ${listResponse.status}: ${(await listResponse.json()).error}`);
+    }
+    const pages = await listResponse.json();
+    if (pages.length === 0) {
+        throw new Error('Parcel archive: no pages to replay' + (options.asOf ? ` on or before ${options.asOf}` : ''));
+    }
+    console.log(`${pages.length} archived parcel pages`);
+
+    const fileIds = await loadCurrentPidFileIds();
+    const records = [];
+    const skipped = [];
+
+    for (let start = 0; start < pages.length; start += PARCEL_REPLAY_BATCH_SIZE) {
+        const batch = pages.slice(start, start + PARCEL_REPLAY_BATCH_SIZE);
+        const results = await Promise.all(batch.map(async ({ pid, date }) => {
+            const response = await fetch(`${PARCEL_ARCHIVE_API}/pages/${pid}?date=${date}`);
+            if (!response.ok) {
+                return { pid, date, reason: `HTTP ${response.status}` };
+            }
+            const fields = ParcelDataExtractorV2.extractPidFileFields(await response.text());
+            if (!fields.pid) {
+                return { pid, date, reason: 'no parcel data on page' };
+            }
+            if (fields.pid !== pid) {
+                return { pid, date, reason: `page is for PID ${fields.pid}` };
+            }
+            return { record: JSON.stringify(ParcelDataExtractorV2.formatPidFileLine(fields)) + ',' + (fileIds.get(pid) || '') };
+        }));
+        for (const result of results) {
+            if (result.record) {
+                records.push(result.record);
+            } else {
+                skipped.push(result);
+            }
+        }
+    }
+
+    console.log(`Replayed ${records.length} records, skipped ${skipped.length}`);
+    skipped.slice(0, 20).forEach(s => console.log(`  Skipped PID ${s.pid} (${s.date}): ${s.reason}`));
+
+    if (save) {
+        const saveResponse = await fetch('http://127.0.0.99:3000/api/save-fresh-data', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ data: records })
+        });
+        const saveResult = await saveResponse.json();
+        if (!saveResult.success) {
+            throw new Error(`Saving everyThingWithPid.json failed: ${saveResult.error}`);
+        }
+        console.log(`✅ ${saveResult.message} (${saveResult.size})`);
+    }
+
+    return { records, pages: pages.length, skipped, asOf: options.asOf || null };
+}
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.setParcelArchiveCaching = setParcelArchiveCaching;
+    window.archiveParcelPage = archiveParcelPage;
+    window.listParcelArchiveSnapshots = listParcelArchiveSnapshots;
+    window.replayParcelArchive = replayParcelArchive;
+}
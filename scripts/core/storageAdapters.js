@@ -0,0 +1,427 @@
+/**
+ * Storage Adapters - Pluggable persistence backends for the databases
+ *
+ * The database classes and save functions read and write files by ID through
+ * getStorageAdapter() instead of calling Google Drive directly. Two backends:
+ *
+ * - GoogleDriveStorageAdapter (default): Google Drive REST API with the gapi OAuth token
+ * - LocalDirectoryStorageAdapter: the /api/storage routes of servers/server.js,
+ *   which keep files in servers/Results/localStore/ under the same file IDs.
+ *   Each write sends the version of the file this tab last read or wrote (for a
+ *   file it never read, the version stored just before writing), and is refused
+ *   if another tab or tool saved in between (servers/localFileStore.js)
+ *
+ * Switching backend:
+ *   useLocalStorage();        // all loads/saves go to the local Express server
+ *   useGoogleDriveStorage();  // back to Google Drive
+ *
+ * In Node, servers/localFileStore.js implements the same interface directly
+ * against a directory and can be passed to setStorageAdapter().
+ *
+ * ADAPTER INTERFACE (all async):
+ *   readFile(fileId, [options]) -> string
+ *   writeFile(fileId, content, [options]) -> { id, version }
+ *   createFile(name, parentId, content, [options]) -> fileId
+ *   renameFile(fileId, name)
+ *   moveToDeleted(fileId, { folderId, deletedFolderId, name })
+ *   deleteFile(fileId)
+ *   listFolder(folderId) -> [{ id, name }]
+ *   getFileMetadata(fileId) -> { id, name, size, parents, modifiedTime }
+ */
+
+// Default address of the local Express server (servers/server.js)
+const LOCAL_STORAGE_SERVER_URL = 'http://127.0.0.99:3000';
+
+/**
+ * Google Drive backend
+ */
+class GoogleDriveStorageAdapter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Abort requests after this many ms (default: no timeout).
+     *   readFile/writeFile/createFile also accept a per-call { timeoutMs }.
+     */
+    constructor(options = {}) {
+        this.name = 'googleDrive';
+        this.timeoutMs = options.timeoutMs || null;
+    }
+
+    _authHeader() {
+        return { 'Authorization': `Bearer ${gapi.client.getToken().access_token}` };
+    }
+
+    /**
+     * fetch() with the OAuth header, optional timeout and HTTP error check
+     * @param {string} url
+     * @param {Object} init - fetch options
+     * @param {string} action - Description used in the error message
+     * @param {number} [timeoutMs] - Abort after this many ms
+     * @returns {Promise<Response>}
+     */
+    async _fetch(url, init, action, timeoutMs = this.timeoutMs) {
+        const controller = timeoutMs ? new AbortController() : null;
+        const timeoutId = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+        let response;
+        try {
+            response = await fetch(url, {
+                ...init,
+                headers: { ...this._authHeader(), ...(init.headers || {}) },
+                ...(controller ? { signal: controller.signal } : {})
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Failed to ${action}: request timed out after ${timeoutMs}ms`);
+            }
+            throw error;
+        } finally {
+            if (timeoutId) clearTimeout(timeoutId);
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Failed to ${action}: HTTP ${response.status}: ${errorText}`);
+        }
+        return response;
+    }
+
+    async readFile(fileId, options = {}) {
+        const response = await this._fetch(
+            `https://www.googleapis.com/drive/v3/files/${fileId}?alt=media`,
+            { method: 'GET' },
+            `read file ${fileId}`,
+            options.timeoutMs
+        );
+        return response.text();
+    }
+
+    /**
+     * Replace file contents. Drive has no conditional write, so options.expectedVersion is not checked.
+     * @returns {Promise<{id: string, version: number}>} Drive's version number after the write
+     */
+    async writeFile(fileId, content, options = {}) {
+        const response = await this._fetch(
+            `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=media&fields=id,version`,
+            {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: content
+            },
+            `write file ${fileId}`,
+            options.timeoutMs
+        );
+        const result = await response.json();
+        return { id: result.id, version: Number(result.version) };
+    }
+
+    async createFile(name, parentId, content, options = {}) {
+        // Create file with content in a single multipart request
+        const boundary = '---storageadapter_boundary';
+        const metadata = JSON.stringify({
+            name: name,
+            mimeType: 'application/json',
+            ...(parentId ? { parents: [parentId] } : {})
+        });
+
+        const multipartBody =
+            `--${boundary}\r\n` +
+            `Content-Type: application/json; charset=UTF-8\r\n\r\n` +
+            `${metadata}\r\n` +
+            `--${boundary}\r\n` +
+            `Content-Type: application/json\r\n\r\n` +
+            `${content}\r\n` +
+            `--${boundary}--`;
+
+        const response = await this._fetch(
+            'https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart&fields=id',
+            {
+                method: 'POST',
+                headers: { 'Content-Type': `multipart/related; boundary=${boundary}` },
+                body: multipartBody
+            },
+            `create file ${name}`,
+            options.timeoutMs
+        );
+        const result = await response.json();
+        return result.id;
+    }
+
+    async renameFile(fileId, name) {
+        await this._fetch(
+            `https://www.googleapis.com/drive/v3/files/${fileId}`,
+            {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name })
+            },
+            `rename file ${fileId}`
+        );
+    }
+
+    async moveToDeleted(fileId, options = {}) {
+        if (options.deletedFolderId) {
+            const params = `addParents=${options.deletedFolderId}` +
+                (options.folderId ? `&removeParents=${options.folderId}` : '');
+            await this._fetch(
+                `https://www.googleapis.com/drive/v3/files/${fileId}?${params}`,
+                {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(options.name ? { name: options.name } : {})
+                },
+                `move file ${fileId} to deleted`
+            );
+        } else {
+            await this._fetch(
+                `https://www.googleapis.com/drive/v3/files/${fileId}`,
+                {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ trashed: true })
+                },
+                `trash file ${fileId}`
+            );
+        }
+    }
+
+    async deleteFile(fileId) {
+        await this._fetch(
+            `https://www.googleapis.com/drive/v3/files/${fileId}`,
+            { method: 'DELETE' },
+            `delete file ${fileId}`
+        );
+    }
+
+    async listFolder(folderId) {
+        const files = [];
+        const query = encodeURIComponent(`'${folderId}' in parents and trashed = false`);
+        let pageToken = null;
+
+        do {
+            let url = `https://www.googleapis.com/drive/v3/files?q=${query}&fields=nextPageToken,files(id,name)&pageSize=1000`;
+            if (pageToken) url += `&pageToken=${pageToken}`;
+            const response = await this._fetch(url, { method: 'GET' }, `list folder ${folderId}`);
+            const result = await response.json();
+            files.push(...(result.files || []));
+            pageToken = result.nextPageToken || null;
+        } while (pageToken);
+
+        return files;
+    }
+
+    async getFileMetadata(fileId) {
+        const response = await this._fetch(
+            `https://www.googleapis.com/drive/v3/files/${fileId}?fields=id,name,size,parents,modifiedTime`,
+            { method: 'GET' },
+            `get metadata for ${fileId}`
+        );
+        const result = await response.json();
+        return {
+            id: result.id,
+            name: result.name || null,
+            size: result.size ? parseInt(result.size, 10) : 0,
+            parents: result.parents || [],
+            modifiedTime: result.modifiedTime || null
+        };
+    }
+}
+
+/**
+ * Local directory backend, via the Express server's /api/storage routes
+ */
+class LocalDirectoryStorageAdapter {
+    /**
+     * @param {string} [baseUrl] - Express server address (default: LOCAL_STORAGE_SERVER_URL)
+     */
+    constructor(baseUrl = LOCAL_STORAGE_SERVER_URL) {
+        this.name = 'local';
+        this.baseUrl = baseUrl;
+        // File ID -> version this tab last read or wrote
+        this.fileVersions = {};
+    }
+
+    /**
+     * fetch() against the storage routes with HTTP error check
+     * @param {string} route - Path below /api/storage
+     * @param {Object} init - fetch options
+     * @param {string} action - Description used in the error message
+     * @returns {Promise<Response>}
+     * @throws {Error} With the HTTP status; with status 409 and currentVersion when a write was refused as stale
+     */
+    async _fetch(route, init, action) {
+        const response = await fetch(`${this.baseUrl}/api/storage${route}`, init);
+        if (response.status === 409) {
+            const conflict = await response.json();
+            const error = new Error(`Failed to ${action}: saved elsewhere since this tab read it ` +
+                `(stored version ${conflict.currentVersion}). Reload it before saving.`);
+            error.status = 409;
+            error.currentVersion = conflict.currentVersion;
+            throw error;
+        }
+        if (!response.ok) {
+            const errorText = await response.text();
+            const error = new Error(`Failed to ${action}: HTTP ${response.status}: ${errorText}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    }
+
+    /**
+     * Version stored on the server now (0 for a file that does not exist yet)
+     * @param {string} fileId
+     * @returns {Promise<number>}
+     */
+    async _storedVersion(fileId) {
+        try {
+            return (await this.getFileMetadata(fileId)).version;
+        } catch (error) {
+            if (error.status === 404) {
+                return 0;
+            }
+            throw error;
+        }
+    }
+
+    async readFile(fileId) {
+        const response = await this._fetch(`/files/${encodeURIComponent(fileId)}`, { method: 'GET' }, `read file ${fileId}`);
+        const content = await response.text();
+        this.fileVersions[fileId] = Number(response.headers.get('X-File-Version'));
+        return content;
+    }
+
+    /**
+     * Replace file contents, refused (409) if the stored version is not the one expected
+     * @param {string} fileId
+     * @param {string} content
+     * @param {Object} [options]
+     * @param {number} [options.expectedVersion] - Version to write over (default: the version this
+     *   tab last read or wrote; for a file it never read, the version stored just before writing)
+     * @returns {Promise<{id: string, version: number}>}
+     */
+    async writeFile(fileId, content, options = {}) {
+        let version = options.expectedVersion ?? this.fileVersions[fileId];
+        if (version === undefined) {
+            version = await this._storedVersion(fileId);
+        }
+        // Sent as text/plain so the server's JSON body parser (10mb limit) leaves it alone
+        const response = await this._fetch(
+            `/files/${encodeURIComponent(fileId)}?version=${version}`,
+            { method: 'PUT', headers: { 'Content-Type': 'text/plain' }, body: content },
+            `write file ${fileId}`
+        );
+        const result = await response.json();
+        this.fileVersions[fileId] = result.version;
+        return { id: result.id, version: result.version };
+    }
+
+    async createFile(name, parentId, content) {
+        const params = new URLSearchParams({ name });
+        if (parentId) params.set('parentId', parentId);
+        const response = await this._fetch(
+            `/files?${params}`,
+            { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: content },
+            `create file ${name}`
+        );
+        const result = await response.json();
+        this.fileVersions[result.id] = 1;
+        return result.id;
+    }
+
+    async renameFile(fileId, name) {
+        await this._fetch(
+            `/files/${encodeURIComponent(fileId)}/metadata`,
+            { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name }) },
+            `rename file ${fileId}`
+        );
+    }
+
+    async moveToDeleted(fileId, options = {}) {
+        await this._fetch(
+            `/files/${encodeURIComponent(fileId)}/move-to-deleted`,
+            { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(options) },
+            `move file ${fileId} to deleted`
+        );
+    }
+
+    async deleteFile(fileId) {
+        await this._fetch(`/files/${encodeURIComponent(fileId)}`, { method: 'DELETE' }, `delete file ${fileId}`);
+        delete this.fileVersions[fileId];
+    }
+
+    async listFolder(folderId) {
+        const response = await this._fetch(`/folders/${encodeURIComponent(folderId)}/files`, { method: 'GET' }, `list folder ${folderId}`);
+        return response.json();
+    }
+
+    async getFileMetadata(fileId) {
+        const response = await this._fetch(`/files/${encodeURIComponent(fileId)}/metadata`, { method: 'GET' }, `get metadata for ${fileId}`);
+        return response.json();
+    }
+}
+
+// =============================================================================
+// ACTIVE ADAPTER
+// =============================================================================
+
+let activeStorageAdapter = new GoogleDriveStorageAdapter();
+
+/**
+ * Get the storage adapter all database loads/saves go through
+ * @returns {GoogleDriveStorageAdapter|LocalDirectoryStorageAdapter|Object}
+ */
+function getStorageAdapter() {
+    return activeStorageAdapter;
+}
+
+/**
+ * Replace the active storage adapter
+ * @param {Object} adapter - Any object implementing the adapter interface
+ * @returns {Object} The adapter
+ */
+function setStorageAdapter(adapter) {
+    if (!adapter || typeof adapter.readFile !== 'function' || typeof adapter.writeFile !== 'function') {
+        throw new Error('setStorageAdapter: adapter must implement readFile() and writeFile()');
+    }
+    activeStorageAdapter = adapter;
+    console.log(`[Storage] Using ${adapter.name || 'custom'} storage`);
+    return adapter;
+}
+
+/**
+ * Switch to the local directory served by servers/server.js
+ * @param {string} [baseUrl] - Express server address
+ * @returns {LocalDirectoryStorageAdapter}
+ */
+function useLocalStorage(baseUrl = LOCAL_STORAGE_SERVER_URL) {
+    return setStorageAdapter(new LocalDirectoryStorageAdapter(baseUrl));
+}
+
+/**
+ * Switch back to Google Drive
+ * @returns {GoogleDriveStorageAdapter}
+ */
+function useGoogleDriveStorage() {
+    return setStorageAdapter(new GoogleDriveStorageAdapter());
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GoogleDriveStorageAdapter,
+        LocalDirectoryStorageAdapter,
+        getStorageAdapter,
+        setStorageAdapter,
+        useLocalStorage,
+        useGoogleDriveStorage
+    };
+}
+
+if (typeof window !== 'undefined') {
+    window.GoogleDriveStorageAdapter = GoogleDriveStorageAdapter;
+    window.LocalDirectoryStorageAdapter = LocalDirectoryStorageAdapter;
+    window.getStorageAdapter = getStorageAdapter;
+    window.setStorageAdapter = setStorageAdapter;
+    window.useLocalStorage = useLocalStorage;
+    window.useGoogleDriveStorage = useGoogleDriveStorage;
+}
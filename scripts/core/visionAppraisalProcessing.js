@@ -230,7 +230,8 @@ class ParcelDataExtractor {
             neighborhood: this.extractFieldValue(doc, "MainContent_lblNbhd", 'none'),
             saleDate: this.extractFieldValue(doc, "MainContent_lblSaleDate", 'none'),
             platNumber: this.extractFieldValue(doc, "MainContent_lblMblu", 'none'),
-            pid: this.extractFieldValue(doc, "MainContent_lblPid", 'none')
+            pid: this.extractFieldValue(doc, "MainContent_lblPid", 'none'),
+            details: this.extractPropertyDetails(doc)
         };
 
         return fields;
@@ -250,6 +251,114 @@ class ParcelDataExtractor {
             fieldsObject.pid
         ].join(",");
     }
+
+    // Property detail tables on Parcel.aspx: column header (upper case) -> property name
+    static VALUE_TABLE_COLUMNS = {
+        'VALUATION YEAR': 'year',
+        'IMPROVEMENTS': 'improvements',
+        'LAND': 'land',
+        'TOTAL': 'total'
+    };
+
+    static SALES_TABLE_COLUMNS = {
+        'OWNER': 'owner',
+        'SALE PRICE': 'salePrice',
+        'CERTIFICATE': 'certificate',
+        'BOOK & PAGE': 'bookPage',
+        'INSTRUMENT': 'instrument',
+        'SALE DATE': 'saleDate'
+    };
+
+    // Table columns stored as numbers; the rest stay text
+    static NUMERIC_COLUMNS = new Set(['year', 'improvements', 'land', 'total', 'salePrice']);
+
+    /**
+     * "$454,500", "1,232", "0.92" -> number
+     * @param {string} text
+     * @returns {number|null} null when blank or not a number
+     */
+    static parseNumber(text) {
+        const cleaned = String(text || '').replace(/[$,\s]/g, '');
+        if (cleaned === '') return null;
+        const value = Number(cleaned);
+        return Number.isFinite(value) ? value : null;
+    }
+
+    /**
+     * Read a grid table into one object per row, keyed by the known column headers.
+     * Rows whose cell count differs from the header ("No Data for ...") are skipped.
+     * @param {Document} doc
+     * @param {string} tableId
+     * @param {Object} columns - Header -> property name (VALUE_TABLE_COLUMNS / SALES_TABLE_COLUMNS)
+     * @returns {Array<Object>}
+     */
+    static readTable(doc, tableId, columns) {
+        const table = doc.getElementById(tableId);
+        if (!table) return [];
+        const cellText = (cell) => cell.textContent.replace(/\s+/g, ' ').trim();
+
+        const rows = Array.from(table.querySelectorAll('tr'));
+        const headerRow = rows.find(row => row.querySelector('th'));
+        if (!headerRow) return [];
+        const names = Array.from(headerRow.querySelectorAll('th')).map(th => columns[cellText(th).toUpperCase()] || null);
+
+        const entries = [];
+        for (const row of rows) {
+            const cells = Array.from(row.querySelectorAll('td'));
+            if (row === headerRow || cells.length !== names.length) continue;
+            const entry = {};
+            cells.forEach((cell, i) => {
+                if (!names[i]) return;
+                entry[names[i]] = this.NUMERIC_COLUMNS.has(names[i]) ? this.parseNumber(cellText(cell)) : cellText(cell);
+            });
+            entries.push(entry);
+        }
+        return entries;
+    }
+
+    /**
+     * Current and historical values merged by valuation year, newest first
+     * @param {Document} doc
+     * @param {string} currentTableId
+     * @param {string} historyTableId
+     * @returns {Array<{year: number, improvements: number, land: number, total: number}>}
+     */
+    static readValueHistory(doc, currentTableId, historyTableId) {
+        const byYear = new Map();
+        const entries = [
+            ...this.readTable(doc, historyTableId, this.VALUE_TABLE_COLUMNS),
+            ...this.readTable(doc, currentTableId, this.VALUE_TABLE_COLUMNS)
+        ];
+        for (const entry of entries) {
+            if (entry.year !== null && entry.year !== undefined) {
+                byYear.set(entry.year, entry);
+            }
+        }
+        return [...byYear.values()].sort((a, b) => b.year - a.year);
+    }
+
+    /**
+     * Property details beyond the PID file fields: assessment and appraisal value
+     * history, sales history, land area and (first) building. Stored on each VA
+     * entity's OtherInfo (OtherInfo.setParcelDetails).
+     * @param {Document} doc - Parsed Parcel.aspx page
+     * @returns {Object} { assessmentHistory, appraisalHistory, salesHistory, landAcres, yearBuilt, livingArea }
+     */
+    static extractPropertyDetails(doc) {
+        const numberAt = (selector) => {
+            const element = doc.querySelector(selector);
+            return element ? this.parseNumber(element.textContent) : null;
+        };
+
+        return {
+            assessmentHistory: this.readValueHistory(doc, 'MainContent_grdCurrentValueAsmt', 'MainContent_grdHistoryValuesAsmt'),
+            appraisalHistory: this.readValueHistory(doc, 'MainContent_grdCurrentValueAppr', 'MainContent_grdHistoryValuesAppr'),
+            salesHistory: this.readTable(doc, 'MainContent_grdSales', this.SALES_TABLE_COLUMNS),
+            landAcres: numberAt('#MainContent_lblLndAcres'),
+            yearBuilt: numberAt('[id$="_lblYearBuilt"]'),
+            livingArea: numberAt('[id$="_lblBldArea"]')
+        };
+    }
 }
 
 /**
@@ -296,6 +405,65 @@ class ParcelDataExtractorV2 {
             return this.formatAsCSVLine(fields);
         });
     }
+
+    // PID file fields in file order: [name, element id, sanitize mode]. Sanitized exactly as
+    // fourthButterClick() always has, so a replayed page gives the record a live scrape gives.
+    static PID_FILE_FIELDS = [
+        ['owner', 'MainContent_lblOwner', 'full'],
+        ['coOwner', 'MainContent_lblCoOwner', 'full'],
+        ['address', 'MainContent_lblAddr1', 'full'],
+        ['location', 'MainContent_lblLocation', 'location'],
+        ['zone', 'MainContent_lblZone', 'none'],
+        ['use', 'MainContent_lblUseCode', 'basic'],
+        ['neighborhood', 'MainContent_lblNbhd', 'none'],
+        ['saleDate', 'MainContent_lblSaleDate', 'none'],
+        ['platNumber', 'MainContent_lblMblu', 'none'],
+        ['pid', 'MainContent_lblPid', 'none'],
+        ['assessmentValue', 'MainContent_lblGenAssessment', 'text'],
+        ['appraisalValue', 'MainContent_lblGenAppraisal', 'text']
+    ];
+
+    /**
+     * Extract the PID file fields from a Parcel.aspx page as fetched
+     * @param {string} htmlString - Page HTML
+     * @returns {Object} Field name -> value (see PID_FILE_FIELDS)
+     */
+    static extractPidFileFields(htmlString) {
+        const cleaned = htmlString
+            .replaceAll(/http:\/\/images.vgsi.com\/.+\.jpg/g, "")
+            .replaceAll(/http:\/\/images.vgsi.com\/.+\.JPG/g, "");
+        const doc = new DOMParser().parseFromString(cleaned, "text/html");
+
+        const fields = {};
+        for (const [name, id, mode] of this.PID_FILE_FIELDS) {
+            const element = doc.getElementById(id);
+            if (!element) {
+                fields[name] = "";
+            } else if (mode === 'text') {
+                fields[name] = element.innerText.trim();
+            } else {
+                let value = element.innerHTML;
+                if (mode !== 'none') value = value.replaceAll("<br>", "::#^#::");
+                if (mode === 'full') value = value.replaceAll("&amp;", "&");
+                if (mode === 'full' || mode === 'location') value = value.replaceAll(",", ":^#^:");
+                fields[name] = value;
+            }
+        }
+        fields.details = ParcelDataExtractor.extractPropertyDetails(doc);
+        return fields;
+    }
+
+    /**
+     * PID file content: the fields joined with commas (currency values keep their own commas),
+     * then the property details as one URI-encoded JSON field after VisionAppraisal.PARCEL_DETAILS_MARKER
+     * @param {Object} fields - From extractPidFileFields()
+     * @returns {string}
+     */
+    static formatPidFileLine(fields) {
+        const line = this.PID_FILE_FIELDS.map(([name]) => fields[name]).join(",");
+        if (!fields.details) return line;
+        return line + "," + VisionAppraisal.PARCEL_DETAILS_MARKER + encodeURIComponent(JSON.stringify(fields.details));
+    }
 }
 
 /**
@@ -0,0 +1,444 @@
+/**
+ * Data Quality Anomaly Browser
+ *
+ * Browser interface for the data quality anomaly register
+ * (dataQualityAnomalyRegister.js). Lists anomalies by category and status;
+ * each can be accepted (the data is right, later runs stop flagging it) or
+ * corrected (later runs apply the stored names instead of the flagged ones),
+ * and reopened if a decision was wrong.
+ *
+ * Every decision records who made it, when and why. Decisions live in memory
+ * until Save Register; entity group builds load the saved register.
+ *
+ * Similar pattern to phonebookBrowser.js
+ */
+
+// ============================================================================
+// CONSTANTS & BROWSER STATE
+// ============================================================================
+
+const ANOMALY_BROWSER_DECLARED_BY_STORAGE_KEY = 'birava_anomalyBrowserDeclaredBy';
+
+const ANOMALY_STATUS_COLORS = {
+    open: ['#ffe0b2', '#e65100'],
+    accepted: ['#c8e6c9', '#2e7d32'],
+    corrected: ['#bbdefb', '#1565c0']
+};
+
+const anomalyBrowser = {
+    currentResults: [],      // anomaly records
+    selectedId: null
+};
+
+window.anomalyBrowser = anomalyBrowser;
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initialize the browser interface
+ */
+function initializeAnomalyBrowser() {
+    console.log('[AnomalyBrowser] Initializing...');
+
+    const declaredByInput = document.getElementById('anomalyDeclaredByInput');
+    if (declaredByInput) {
+        declaredByInput.value = localStorage.getItem(ANOMALY_BROWSER_DECLARED_BY_STORAGE_KEY) || '';
+        declaredByInput.addEventListener('change', (event) => {
+            localStorage.setItem(ANOMALY_BROWSER_DECLARED_BY_STORAGE_KEY, event.target.value.trim());
+        });
+    }
+
+    const categoryFilter = document.getElementById('anomalyCategoryFilter');
+    if (categoryFilter) {
+        for (const category of Object.values(ANOMALY_CATEGORIES)) {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = category;
+            categoryFilter.appendChild(option);
+        }
+    }
+
+    const handlers = {
+        anomalyLoadBtn: loadAnomalyBrowserRegister,
+        anomalySaveBtn: saveAnomalyBrowserRegister,
+        anomalyStatsBtn: showAnomalyBrowserStats,
+        anomalySearchBtn: performAnomalyBrowserSearch,
+        anomalyAcceptBtn: () => decideOnSelectedAnomaly('accept'),
+        anomalyCorrectBtn: () => decideOnSelectedAnomaly('correct'),
+        anomalyReopenBtn: () => decideOnSelectedAnomaly('reopen')
+    };
+    for (const [id, handler] of Object.entries(handlers)) {
+        const button = document.getElementById(id);
+        if (button) button.addEventListener('click', handler);
+    }
+
+    for (const id of ['anomalyCategoryFilter', 'anomalyStatusFilter']) {
+        const select = document.getElementById(id);
+        if (select) select.addEventListener('change', performAnomalyBrowserSearch);
+    }
+
+    const searchInput = document.getElementById('anomalySearchInput');
+    if (searchInput) {
+        searchInput.addEventListener('keyup', (event) => {
+            if (event.key === 'Enter') performAnomalyBrowserSearch();
+        });
+    }
+
+    console.log('[AnomalyBrowser] Initialization complete');
+}
+
+// ============================================================================
+// LOAD / SAVE
+// ============================================================================
+
+/**
+ * Load the register from its file
+ */
+async function loadAnomalyBrowserRegister() {
+    if (dataQualityAnomalyRegister.metadata.hasUnsavedChanges &&
+        !confirm('The register in memory has unsaved changes. Reload and discard them?')) {
+        return;
+    }
+
+    showAnomalyBrowserStatus('Loading anomaly register...', 'loading');
+    try {
+        await loadAnomalyRegister();
+        anomalyBrowser.selectedId = null;
+        clearAnomalyDetailsPanel();
+        performAnomalyBrowserSearch();
+        showAnomalyBrowserStatus(`Loaded ${dataQualityAnomalyRegister.anomalies.size} anomalies`, 'success');
+    } catch (error) {
+        console.error('[AnomalyBrowser] Load error:', error);
+        showAnomalyBrowserStatus('Error loading anomaly register: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Save the register (creates the file on first save)
+ */
+async function saveAnomalyBrowserRegister() {
+    if (!dataQualityAnomalyRegister.metadata.loaded &&
+        !confirm('The register was not loaded. Saving now replaces any saved register with what is in memory. Continue?')) {
+        return;
+    }
+
+    showAnomalyBrowserStatus('Saving anomaly register...', 'loading');
+    try {
+        const fileId = await saveAnomalyRegister();
+        dataQualityAnomalyRegister.metadata.loaded = true;
+        showAnomalyBrowserStatus(`Anomaly register saved (${dataQualityAnomalyRegister.anomalies.size} anomalies, file ${fileId})`, 'success');
+    } catch (error) {
+        console.error('[AnomalyBrowser] Save error:', error);
+        showAnomalyBrowserStatus('Error saving anomaly register: ' + error.message, 'error');
+    }
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+/**
+ * List anomalies matching the category and status filters and the entity key fragment
+ */
+function performAnomalyBrowserSearch() {
+    const category = document.getElementById('anomalyCategoryFilter')?.value || '';
+    const status = document.getElementById('anomalyStatusFilter')?.value || '';
+    const fragment = (document.getElementById('anomalySearchInput')?.value || '').trim().toUpperCase();
+
+    const results = getAnomalies({ category, status }).filter(anomaly => !fragment ||
+        anomaly.entityKey.toUpperCase().includes(fragment) ||
+        (anomaly.details.householdName || '').toUpperCase().includes(fragment) ||
+        (anomaly.details.names || []).some(name => name.toUpperCase().includes(fragment)));
+
+    anomalyBrowser.currentResults = results;
+    displayAnomalyBrowserResults(results);
+    updateAnomalyBrowserResultsCount(`${results.length} of ${dataQualityAnomalyRegister.anomalies.size} anomalies`);
+}
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Status badge
+ * @param {string} status
+ * @returns {string} HTML
+ */
+function formatAnomalyStatusBadge(status) {
+    const [backgroundColor, textColor] = ANOMALY_STATUS_COLORS[status] || ['#e0e0e0', '#616161'];
+    return `<span style="background: ${backgroundColor}; color: ${textColor}; padding: 2px 8px; border-radius: 10px; font-size: 11px;">
+        ${escapeHtmlForAnomalyBrowser(status.toUpperCase())}</span>`;
+}
+
+/**
+ * Display anomalies in the list
+ * @param {Array<Object>} results - Anomaly records
+ */
+function displayAnomalyBrowserResults(results) {
+    const resultsList = document.getElementById('anomalyResultsList');
+    if (!resultsList) return;
+
+    if (results.length === 0) {
+        resultsList.innerHTML = '<div style="padding: 20px; color: #666; text-align: center;">No anomalies found</div>';
+        return;
+    }
+
+    resultsList.innerHTML = results.map((anomaly, index) => `
+        <div class="anomaly-result-item" onclick="selectAnomalyBrowserItem(${index}, this)"
+             style="padding: 10px; border-bottom: 1px solid #eee; cursor: pointer;${anomaly.anomalyId === anomalyBrowser.selectedId ? ' background: #fff3e0;' : ''}">
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+                <span style="font-weight: bold; color: #bf360c;">${escapeHtmlForAnomalyBrowser(anomaly.category)}</span>
+                ${formatAnomalyStatusBadge(anomaly.status)}
+            </div>
+            <div style="font-size: 11px; color: #666; margin-top: 4px;">
+                <span style="font-family: monospace;">${escapeHtmlForAnomalyBrowser(anomaly.entityKey)}</span>
+                ${anomaly.details.householdName ? ' | ' + escapeHtmlForAnomalyBrowser(anomaly.details.householdName) : ''}
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Select an anomaly from the list
+ * @param {number} index - Position in anomalyBrowser.currentResults
+ * @param {HTMLElement} element - Clicked element
+ */
+function selectAnomalyBrowserItem(index, element) {
+    document.querySelectorAll('.anomaly-result-item').forEach(item => item.style.background = '');
+    if (element) element.style.background = '#fff3e0';
+
+    const anomaly = anomalyBrowser.currentResults[index];
+    anomalyBrowser.selectedId = anomaly ? anomaly.anomalyId : null;
+    displayAnomalyDetails(anomalyBrowser.selectedId);
+}
+
+/**
+ * Who/when/why line for a resolution
+ * @param {Object} resolution - { status, declaredBy, declaredDate, reason, correction }
+ * @returns {string} HTML
+ */
+function formatAnomalyResolution(resolution) {
+    const correction = resolution.correction?.names
+        ? ` → ${resolution.correction.names.map(name => [name.firstName, name.lastName].filter(Boolean).join(' ')).join('; ') || '(names dropped)'}`
+        : '';
+    return `<div style="font-size: 11px; color: #7b1fa2; margin-bottom: 4px;">
+        ${escapeHtmlForAnomalyBrowser(resolution.status)} by ${escapeHtmlForAnomalyBrowser(resolution.declaredBy)},
+        ${escapeHtmlForAnomalyBrowser(resolution.declaredDate)}: ${escapeHtmlForAnomalyBrowser(resolution.reason)}${escapeHtmlForAnomalyBrowser(correction)}
+    </div>`;
+}
+
+/**
+ * Display details of the selected anomaly
+ * @param {string} anomalyId
+ */
+function displayAnomalyDetails(anomalyId) {
+    const detailsContent = document.getElementById('anomalyDetailsContent');
+    const anomaly = anomalyId ? getAnomaly(anomalyId) : null;
+    if (!detailsContent || !anomaly) {
+        clearAnomalyDetailsPanel();
+        return;
+    }
+
+    const names = anomaly.details.names || [];
+    let html = `
+        <div style="margin-bottom: 16px;">
+            <div style="font-size: 18px; font-weight: bold; color: #bf360c;">${escapeHtmlForAnomalyBrowser(anomaly.category)} ${formatAnomalyStatusBadge(anomaly.status)}</div>
+            <div style="font-family: monospace; font-size: 12px; margin-top: 4px;">${escapeHtmlForAnomalyBrowser(anomaly.entityKey)}</div>
+            <div style="font-size: 12px; color: #666; margin-top: 4px;">
+                First detected ${escapeHtmlForAnomalyBrowser(anomaly.firstDetected)} |
+                last ${escapeHtmlForAnomalyBrowser(anomaly.lastDetected)} | ${anomaly.detectionCount} run(s)
+            </div>
+        </div>
+        <div style="margin-bottom: 16px;">
+            <h4 style="color: #bf360c; margin-bottom: 8px;">Finding</h4>
+            <div style="font-size: 13px;">${escapeHtmlForAnomalyBrowser(anomaly.description)}</div>
+            ${anomaly.details.householdName ? `<div style="font-size: 12px; color: #666;">Household: ${escapeHtmlForAnomalyBrowser(anomaly.details.householdName)}</div>` : ''}
+            ${names.map(name => `<div style="padding: 4px 8px; margin-top: 4px; background: #f5f5f5; border-radius: 4px; font-size: 12px;">${escapeHtmlForAnomalyBrowser(name)}</div>`).join('')}
+        </div>
+    `;
+
+    html += '<div style="margin-bottom: 16px;"><h4 style="color: #7b1fa2; margin-bottom: 8px;">Decisions</h4>';
+    if (!anomaly.resolution) {
+        html += '<div style="color: #999; font-style: italic;">Not reviewed yet</div>';
+    }
+    for (const resolution of [anomaly.resolution, ...anomaly.history.slice().reverse()].filter(Boolean)) {
+        html += formatAnomalyResolution(resolution);
+    }
+    html += '</div>';
+
+    detailsContent.innerHTML = html;
+}
+
+/**
+ * Clear the details panel
+ */
+function clearAnomalyDetailsPanel() {
+    const detailsContent = document.getElementById('anomalyDetailsContent');
+    if (detailsContent) {
+        detailsContent.innerHTML = '<div style="color: #999; font-style: italic;">Select an anomaly to view details</div>';
+    }
+}
+
+// ============================================================================
+// DECISIONS
+// ============================================================================
+
+/**
+ * Parse the correction input: names separated by ";", each "FIRST LAST" or
+ * "LAST, FIRST"
+ * @param {string} text
+ * @returns {Array<{firstName: string, lastName: string}>}
+ */
+function parseAnomalyCorrectionNames(text) {
+    return String(text || '').split(';').map(part => part.trim()).filter(Boolean).map(part => {
+        if (part.includes(',')) {
+            const [lastName, firstName] = part.split(',').map(piece => piece.trim().toUpperCase());
+            return { firstName: firstName || '', lastName };
+        }
+        const words = part.toUpperCase().split(/\s+/);
+        return { firstName: words.slice(0, -1).join(' '), lastName: words[words.length - 1] };
+    });
+}
+
+/**
+ * Accept, correct or reopen the selected anomaly from the decision panel
+ * @param {string} kind - 'accept', 'correct', or 'reopen'
+ */
+function decideOnSelectedAnomaly(kind) {
+    const anomalyId = anomalyBrowser.selectedId;
+    if (!anomalyId) {
+        alert('Please select an anomaly first');
+        return;
+    }
+
+    const declaredBy = (document.getElementById('anomalyDeclaredByInput')?.value || '').trim();
+    const reason = (document.getElementById('anomalyReasonInput')?.value || '').trim();
+    if (!declaredBy || !reason) {
+        alert('Enter your name and a reason: every decision records who made it and why');
+        return;
+    }
+
+    try {
+        if (kind === 'accept') {
+            acceptAnomaly(anomalyId, { declaredBy, reason });
+        } else if (kind === 'correct') {
+            const names = parseAnomalyCorrectionNames(document.getElementById('anomalyCorrectionInput')?.value);
+            if (names.length === 0 && !confirm('No corrected names entered: later runs will drop the flagged names. Continue?')) {
+                return;
+            }
+            correctAnomaly(anomalyId, { names }, { declaredBy, reason });
+        } else {
+            reopenAnomaly(anomalyId, { declaredBy, reason });
+        }
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    const reasonInput = document.getElementById('anomalyReasonInput');
+    if (reasonInput) reasonInput.value = '';
+    displayAnomalyBrowserResults(anomalyBrowser.currentResults);
+    displayAnomalyDetails(anomalyId);
+    showAnomalyBrowserStatus(`Anomaly ${kind === 'reopen' ? 'reopened' : kind + 'ed'} — Save Register to keep it`, 'success');
+}
+
+/**
+ * Show register statistics
+ */
+function showAnomalyBrowserStats() {
+    const stats = getAnomalyRegisterStats();
+    const lastRun = stats.lastRun
+        ? `${stats.lastRun.label} ${stats.lastRun.finishedAt}: ${stats.lastRun.detected} detected, ${stats.lastRun.newAnomalies} new, ` +
+          `${stats.lastRun.notDetected.length} open anomalies not found again`
+        : 'none recorded';
+
+    const message = `
+Data Quality Anomaly Register
+=============================
+Anomalies: ${stats.total}
+By status: ${Object.entries(stats.byStatus).map(([status, count]) => `${status} ${count}`).join(', ') || 'none'}
+By category: ${Object.entries(stats.byCategory).map(([category, count]) => `${category} ${count}`).join(', ') || 'none'}
+Last run: ${lastRun}
+Unsaved changes: ${stats.hasUnsavedChanges ? 'yes' : 'no'}
+    `.trim();
+
+    alert(message);
+}
+
+// ============================================================================
+// STATUS MESSAGES
+// ============================================================================
+
+/**
+ * Show status message
+ * @param {string} message - Message to display
+ * @param {string} type - 'loading', 'error', or 'success'
+ */
+function showAnomalyBrowserStatus(message, type) {
+    const statusDiv = document.getElementById('anomalyStatusMessage');
+    if (!statusDiv) return;
+
+    const colors = {
+        loading: ['#e3f2fd', '#1565c0'],
+        error: ['#ffebee', '#c62828'],
+        success: ['#e8f5e9', '#2e7d32']
+    };
+    const [backgroundColor, textColor] = colors[type] || ['#f5f5f5', '#333'];
+
+    statusDiv.style.cssText = `
+        padding: 10px;
+        margin: 10px 0;
+        border-radius: 4px;
+        background: ${backgroundColor};
+        color: ${textColor};
+    `;
+    statusDiv.textContent = message;
+    statusDiv.style.display = 'block';
+
+    if (type === 'success') {
+        setTimeout(() => {
+            statusDiv.style.display = 'none';
+        }, 5000);
+    }
+}
+
+/**
+ * Update the results count line
+ * @param {string} message
+ */
+function updateAnomalyBrowserResultsCount(message) {
+    const countSpan = document.getElementById('anomalyResultsCount');
+    if (countSpan) {
+        countSpan.textContent = message;
+    }
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+/**
+ * Escape HTML for safe display
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtmlForAnomalyBrowser(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.initializeAnomalyBrowser = initializeAnomalyBrowser;
+window.loadAnomalyBrowserRegister = loadAnomalyBrowserRegister;
+window.performAnomalyBrowserSearch = performAnomalyBrowserSearch;
+window.selectAnomalyBrowserItem = selectAnomalyBrowserItem;
+window.decideOnSelectedAnomaly = decideOnSelectedAnomaly;
+window.parseAnomalyCorrectionNames = parseAnomalyCorrectionNames;
+
+console.log('[AnomalyBrowser] Module loaded');
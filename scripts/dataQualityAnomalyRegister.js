@@ -0,0 +1,518 @@
+/**
+ * Data Quality Anomaly Register
+ *
+ * Permanent register of data quality anomalies found by pipeline runs (name
+ * prefix splitting, concatenated names, maiden vs married names, unparseable
+ * records, ERRONEOUS-tagged first names). Each anomaly has a stable ID per
+ * (category, entity key), so a rebuild finds the same anomaly again instead of
+ * producing a new finding.
+ *
+ * Workflow (reference_phonebookDatabasePlan.md Completion Gates 1-4):
+ *   1. Detection code calls recordAnomaly() on every run → anomaly is 'open'
+ *   2. The Data Quality Anomaly Browser marks it 'accepted' (the data is right,
+ *      stop flagging it) or 'corrected' (with a stored correction)
+ *   3. Later runs: recordAnomaly() reports accepted anomalies as suppressed and
+ *      hands corrected ones their correction, which the caller applies
+ *
+ * Every accept / correct / reopen records who, when and why, and earlier
+ * resolutions are kept in the anomaly's history.
+ *
+ * Corrections for the name categories are { names: [{ firstName, lastName }] }:
+ * the names that replace the flagged ones (an empty list drops them).
+ *
+ * Storage: JSON file through getStorageAdapter() (Google Drive or the local
+ * store), same record-file pattern as contactPreferenceOverrideManager.js, with
+ * an integrity block (count, hash, schema version) like the other databases
+ * (scripts/core/databaseIntegrity.js). The headless build-groups command keeps
+ * it in a local file instead (--anomaly-register).
+ *
+ * Usage:
+ *   await loadAnomalyRegister();
+ *   beginAnomalyRun('entity-group-build');
+ *   const { suppressed, correction } = recordAnomaly('prefix-split', entityKey, { description, details });
+ *   const summary = finishAnomalyRun();
+ *   await saveAnomalyRegister();
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DATA_QUALITY_ANOMALY_REGISTER_FILE_ID = '';  // Will be set after first save creates the file
+const DATA_QUALITY_ANOMALY_REGISTER_STORAGE_KEY = 'birava_dataQualityAnomalyRegisterFileId';
+
+// Database name in the register file's integrity block
+const DATA_QUALITY_ANOMALY_REGISTER_DATABASE = 'DataQualityAnomalyRegister';
+
+const ANOMALY_CATEGORIES = {
+    PREFIX_SPLIT: 'prefix-split',
+    CONCATENATED_NAME: 'concatenated-name',
+    MAIDEN_NAME: 'maiden-name',
+    UNPARSEABLE_RECORD: 'unparseable-record',
+    ERRONEOUS_NAME: 'erroneous-name'
+};
+
+const ANOMALY_STATUS = {
+    OPEN: 'open',
+    ACCEPTED: 'accepted',
+    CORRECTED: 'corrected'
+};
+
+// ============================================================================
+// REGISTER STATE
+// ============================================================================
+
+const dataQualityAnomalyRegister = {
+    // anomalyId -> anomaly record
+    anomalies: new Map(),
+
+    // Run in progress (beginAnomalyRun → finishAnomalyRun), null between runs
+    currentRun: null,
+
+    // Metadata
+    metadata: {
+        loaded: false,
+        lastLoadTime: null,
+        sourceFileId: null,
+        hasUnsavedChanges: false,
+        recordCount: 0,
+        lastRun: null
+    }
+};
+
+window.dataQualityAnomalyRegister = dataQualityAnomalyRegister;
+window.ANOMALY_CATEGORIES = ANOMALY_CATEGORIES;
+window.ANOMALY_STATUS = ANOMALY_STATUS;
+
+// ============================================================================
+// ANOMALY RECORD STRUCTURE
+// ============================================================================
+
+/**
+ * Stable anomaly ID
+ * @param {string} category - One of ANOMALY_CATEGORIES values
+ * @param {string} entityKey - Entity the anomaly was found on
+ * @returns {string}
+ */
+function makeAnomalyId(category, entityKey) {
+    return `${category}::${entityKey}`;
+}
+
+/**
+ * Create a new open anomaly record
+ * @param {string} category - One of ANOMALY_CATEGORIES values
+ * @param {string} entityKey - Entity the anomaly was found on
+ * @param {Object} finding - { description, details }
+ * @returns {Object} Anomaly record
+ */
+function createAnomalyRecord(category, entityKey, finding) {
+    const now = new Date().toISOString();
+    return {
+        anomalyId: makeAnomalyId(category, entityKey),
+        category: category,
+        entityKey: entityKey,
+        description: finding.description || '',
+        details: finding.details || {},
+        status: ANOMALY_STATUS.OPEN,
+        firstDetected: now,
+        lastDetected: now,
+        detectionCount: 1,
+        resolution: null,   // { declaredBy, declaredDate, reason, correction }
+        history: []         // earlier resolutions, newest last
+    };
+}
+
+/**
+ * Who/when/why for a status change; throws without declaredBy and reason
+ * @param {Object} provenance - { declaredBy, reason }
+ * @returns {Object} { declaredBy, declaredDate, reason }
+ */
+function _anomalyProvenance(provenance = {}) {
+    const declaredBy = (provenance.declaredBy || '').trim();
+    const reason = (provenance.reason || '').trim();
+    if (!declaredBy || !reason) {
+        throw new Error('Anomaly decisions require declaredBy and reason');
+    }
+    return { declaredBy, declaredDate: new Date().toISOString(), reason };
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * File ID from the options, localStorage, or the constant
+ * @param {Object} options - { fileId }
+ * @returns {string}
+ */
+function _anomalyRegisterFileId(options) {
+    if (options.fileId) return options.fileId;
+    const stored = typeof localStorage !== 'undefined'
+        ? localStorage.getItem(DATA_QUALITY_ANOMALY_REGISTER_STORAGE_KEY) : null;
+    return stored || DATA_QUALITY_ANOMALY_REGISTER_FILE_ID;
+}
+
+/**
+ * Replace the register with the contents of a saved register file. Used by
+ * loadAnomalyRegister() and by callers that read the file themselves (the
+ * headless CLI reading a local copy).
+ * @param {Object|null} checked - { content, integrity } from readDatabaseIntegrity(); null starts an empty register
+ * @param {string} [sourceId] - File ID or path the data came from (recorded in metadata)
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Warn instead of throwing on a count mismatch
+ */
+function populateAnomalyRegister(checked, sourceId = null, options = {}) {
+    const meta = dataQualityAnomalyRegister.metadata;
+
+    dataQualityAnomalyRegister.anomalies.clear();
+    meta.lastRun = null;
+
+    if (checked) {
+        const data = JSON.parse(checked.content);
+
+        for (const record of data.anomalies || []) {
+            if (!record.category || !record.entityKey) continue;
+            const anomaly = {
+                ...createAnomalyRecord(record.category, record.entityKey, record),
+                ...record,
+                anomalyId: makeAnomalyId(record.category, record.entityKey),
+                history: record.history || []
+            };
+            dataQualityAnomalyRegister.anomalies.set(anomaly.anomalyId, anomaly);
+        }
+        meta.lastRun = data.lastRun || null;
+        checkDatabaseCounts(checked.integrity, { entityCount: dataQualityAnomalyRegister.anomalies.size },
+            sourceId, options);
+    }
+
+    meta.loaded = true;
+    meta.lastLoadTime = new Date();
+    meta.sourceFileId = sourceId || null;
+    meta.recordCount = dataQualityAnomalyRegister.anomalies.size;
+    meta.hasUnsavedChanges = false;
+}
+
+/**
+ * Load the register from its JSON file. Refuses a file that fails its
+ * integrity check; files saved before integrity blocks load with a warning.
+ * @param {Object} [options]
+ * @param {string} [options.fileId] - Override the configured file ID
+ * @param {boolean} [options.force=false] - Load a file that fails its integrity check (warns instead)
+ */
+async function loadAnomalyRegister(options = {}) {
+    const fileId = _anomalyRegisterFileId(options);
+
+    if (!fileId) {
+        console.log('[AnomalyRegister] No file ID configured — starting with empty register');
+        populateAnomalyRegister(null);
+    } else {
+        console.log(`[AnomalyRegister] Loading from file: ${fileId}`);
+        const checked = readDatabaseIntegrity(await getStorageAdapter().readFile(fileId),
+            DATA_QUALITY_ANOMALY_REGISTER_DATABASE, fileId, options);
+        populateAnomalyRegister(checked, fileId, options);
+    }
+
+    console.log(`[AnomalyRegister] Loaded ${dataQualityAnomalyRegister.metadata.recordCount} anomalies`);
+}
+
+/**
+ * Register JSON with its integrity block, as saved by saveAnomalyRegister()
+ * @returns {string}
+ */
+function serializeAnomalyRegisterForSave() {
+    const data = {
+        __format: DATA_QUALITY_ANOMALY_REGISTER_DATABASE,
+        __version: '1.0',
+        __created: new Date().toISOString(),
+        __recordCount: dataQualityAnomalyRegister.anomalies.size,
+        lastRun: dataQualityAnomalyRegister.metadata.lastRun,
+        anomalies: [...dataQualityAnomalyRegister.anomalies.values()]
+    };
+    return addDatabaseIntegrity(JSON.stringify(data, null, 2), DATA_QUALITY_ANOMALY_REGISTER_DATABASE, {
+        entityCount: data.__recordCount
+    });
+}
+
+/**
+ * Save the register to its JSON file, creating the file on first save
+ * @param {Object} [options]
+ * @param {string} [options.fileId] - Override the configured file ID
+ * @returns {Promise<string>} File ID written
+ */
+async function saveAnomalyRegister(options = {}) {
+    let fileId = _anomalyRegisterFileId(options);
+    const storage = getStorageAdapter();
+    const content = serializeAnomalyRegisterForSave();
+    const recordCount = dataQualityAnomalyRegister.anomalies.size;
+
+    if (!fileId) {
+        console.log('[AnomalyRegister] Creating new register file...');
+        fileId = await storage.createFile('BIRAVA_DataQualityAnomalyRegister.json', null, content);
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(DATA_QUALITY_ANOMALY_REGISTER_STORAGE_KEY, fileId);
+        }
+        console.log(`[AnomalyRegister] Created new file with ID: ${fileId}`);
+    } else {
+        await storage.writeFile(fileId, content);
+    }
+
+    dataQualityAnomalyRegister.metadata.sourceFileId = fileId;
+    dataQualityAnomalyRegister.metadata.hasUnsavedChanges = false;
+    console.log(`[AnomalyRegister] Saved ${recordCount} anomalies`);
+    return fileId;
+}
+
+// ============================================================================
+// PIPELINE RUNS
+// ============================================================================
+
+/**
+ * Start a pipeline run. Anomalies recorded until finishAnomalyRun() are
+ * counted in the run summary.
+ * @param {string} label - e.g. 'entity-group-build'
+ * @returns {Object} The run
+ */
+function beginAnomalyRun(label) {
+    dataQualityAnomalyRegister.currentRun = {
+        runId: new Date().toISOString(),
+        label: label || 'pipeline run',
+        detectedIds: new Set(),
+        newAnomalies: 0,
+        open: 0,
+        suppressed: 0,
+        corrected: 0
+    };
+    return dataQualityAnomalyRegister.currentRun;
+}
+
+/**
+ * Record a finding. Creates the anomaly on first detection; afterwards only
+ * refreshes its description, details and lastDetected. The stored decision
+ * decides what the caller does with the finding.
+ *
+ * @param {string} category - One of ANOMALY_CATEGORIES values
+ * @param {string} entityKey - Entity the anomaly was found on
+ * @param {Object} [finding] - { description, details }
+ * @returns {{anomaly: Object, suppressed: boolean, correction: Object|null}}
+ *     suppressed: accepted earlier, nothing to review; correction: apply this instead of the flagged data
+ */
+function recordAnomaly(category, entityKey, finding = {}) {
+    if (!Object.values(ANOMALY_CATEGORIES).includes(category)) {
+        throw new Error(`Unknown anomaly category "${category}"`);
+    }
+    if (!entityKey) {
+        throw new Error('recordAnomaly requires an entity key');
+    }
+
+    const anomalyId = makeAnomalyId(category, entityKey);
+    const run = dataQualityAnomalyRegister.currentRun;
+    let anomaly = dataQualityAnomalyRegister.anomalies.get(anomalyId);
+
+    if (!anomaly) {
+        anomaly = createAnomalyRecord(category, entityKey, finding);
+        dataQualityAnomalyRegister.anomalies.set(anomalyId, anomaly);
+        if (run) run.newAnomalies++;
+    } else if (!run || !run.detectedIds.has(anomalyId)) {
+        anomaly.description = finding.description || anomaly.description;
+        anomaly.details = finding.details || anomaly.details;
+        anomaly.lastDetected = new Date().toISOString();
+        anomaly.detectionCount++;
+    }
+
+    if (run && !run.detectedIds.has(anomalyId)) {
+        run.detectedIds.add(anomalyId);
+        if (anomaly.status === ANOMALY_STATUS.ACCEPTED) run.suppressed++;
+        else if (anomaly.status === ANOMALY_STATUS.CORRECTED) run.corrected++;
+        else run.open++;
+    }
+
+    dataQualityAnomalyRegister.metadata.hasUnsavedChanges = true;
+    dataQualityAnomalyRegister.metadata.recordCount = dataQualityAnomalyRegister.anomalies.size;
+
+    return {
+        anomaly,
+        suppressed: anomaly.status === ANOMALY_STATUS.ACCEPTED,
+        correction: anomaly.status === ANOMALY_STATUS.CORRECTED ? anomaly.resolution.correction : null
+    };
+}
+
+/**
+ * End the current run and keep its summary in the register
+ * @returns {Object|null} { runId, label, finishedAt, detected, newAnomalies, open, suppressed, corrected, notDetected }
+ *     notDetected: open anomalies this run did not find again (fixed at the source?)
+ */
+function finishAnomalyRun() {
+    const run = dataQualityAnomalyRegister.currentRun;
+    if (!run) return null;
+
+    const notDetected = [];
+    for (const anomaly of dataQualityAnomalyRegister.anomalies.values()) {
+        if (anomaly.status === ANOMALY_STATUS.OPEN && !run.detectedIds.has(anomaly.anomalyId)) {
+            notDetected.push(anomaly.anomalyId);
+        }
+    }
+
+    const summary = {
+        runId: run.runId,
+        label: run.label,
+        finishedAt: new Date().toISOString(),
+        detected: run.detectedIds.size,
+        newAnomalies: run.newAnomalies,
+        open: run.open,
+        suppressed: run.suppressed,
+        corrected: run.corrected,
+        notDetected
+    };
+
+    dataQualityAnomalyRegister.metadata.lastRun = summary;
+    dataQualityAnomalyRegister.metadata.hasUnsavedChanges = true;
+    dataQualityAnomalyRegister.currentRun = null;
+
+    console.log(`[AnomalyRegister] Run ${summary.label}: ${summary.detected} detected ` +
+        `(${summary.newAnomalies} new, ${summary.open} open, ${summary.suppressed} accepted, ${summary.corrected} corrected)`);
+    return summary;
+}
+
+/**
+ * Drop the current run without a summary, for a run that stopped before its end
+ * (a failed or abandoned build). Anomalies it recorded stay in the register;
+ * metadata.lastRun keeps the last finished run.
+ * @returns {boolean} True if a run was open
+ */
+function abandonAnomalyRun() {
+    const run = dataQualityAnomalyRegister.currentRun;
+    if (!run) return false;
+
+    dataQualityAnomalyRegister.currentRun = null;
+    console.warn(`[AnomalyRegister] Run ${run.label} abandoned after ${run.detectedIds.size} detected`);
+    return true;
+}
+
+// ============================================================================
+// DECISIONS
+// ============================================================================
+
+/**
+ * Set an anomaly's status, moving the previous resolution into its history
+ * @param {string} anomalyId
+ * @param {string} status - One of ANOMALY_STATUS values
+ * @param {Object} provenance - { declaredBy, reason }
+ * @param {Object|null} correction
+ * @returns {Object} The anomaly
+ */
+function _setAnomalyStatus(anomalyId, status, provenance, correction) {
+    const anomaly = dataQualityAnomalyRegister.anomalies.get(anomalyId);
+    if (!anomaly) {
+        throw new Error(`No anomaly "${anomalyId}"`);
+    }
+
+    const resolution = { ..._anomalyProvenance(provenance), status, correction: correction || null };
+    if (anomaly.resolution) {
+        anomaly.history.push(anomaly.resolution);
+    }
+    anomaly.status = status;
+    anomaly.resolution = resolution;
+
+    dataQualityAnomalyRegister.metadata.hasUnsavedChanges = true;
+    return anomaly;
+}
+
+/**
+ * Accept an anomaly: the data is right, later runs suppress it
+ * @param {string} anomalyId
+ * @param {Object} provenance - { declaredBy, reason }
+ * @returns {Object} The anomaly
+ */
+function acceptAnomaly(anomalyId, provenance) {
+    return _setAnomalyStatus(anomalyId, ANOMALY_STATUS.ACCEPTED, provenance, null);
+}
+
+/**
+ * Correct an anomaly: later runs apply the stored correction
+ * @param {string} anomalyId
+ * @param {Object} correction - e.g. { names: [{ firstName, lastName }] }
+ * @param {Object} provenance - { declaredBy, reason }
+ * @returns {Object} The anomaly
+ */
+function correctAnomaly(anomalyId, correction, provenance) {
+    if (!correction || typeof correction !== 'object') {
+        throw new Error('correctAnomaly requires a correction object');
+    }
+    return _setAnomalyStatus(anomalyId, ANOMALY_STATUS.CORRECTED, provenance, correction);
+}
+
+/**
+ * Reopen an accepted or corrected anomaly for review
+ * @param {string} anomalyId
+ * @param {Object} provenance - { declaredBy, reason }
+ * @returns {Object} The anomaly
+ */
+function reopenAnomaly(anomalyId, provenance) {
+    return _setAnomalyStatus(anomalyId, ANOMALY_STATUS.OPEN, provenance, null);
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * @param {string} anomalyId
+ * @returns {Object|null}
+ */
+function getAnomaly(anomalyId) {
+    return dataQualityAnomalyRegister.anomalies.get(anomalyId) || null;
+}
+
+/**
+ * Anomalies matching all given filters, newest detection first
+ * @param {Object} [filters] - { category, status, entityKey }
+ * @returns {Array<Object>}
+ */
+function getAnomalies(filters = {}) {
+    return [...dataQualityAnomalyRegister.anomalies.values()]
+        .filter(anomaly => !filters.category || anomaly.category === filters.category)
+        .filter(anomaly => !filters.status || anomaly.status === filters.status)
+        .filter(anomaly => !filters.entityKey || anomaly.entityKey === filters.entityKey)
+        .sort((a, b) => b.lastDetected.localeCompare(a.lastDetected));
+}
+
+/**
+ * Counts by status and category
+ * @returns {Object} { total, byStatus, byCategory, lastRun, hasUnsavedChanges }
+ */
+function getAnomalyRegisterStats() {
+    const byStatus = {};
+    const byCategory = {};
+    for (const anomaly of dataQualityAnomalyRegister.anomalies.values()) {
+        byStatus[anomaly.status] = (byStatus[anomaly.status] || 0) + 1;
+        byCategory[anomaly.category] = (byCategory[anomaly.category] || 0) + 1;
+    }
+    return {
+        total: dataQualityAnomalyRegister.anomalies.size,
+        byStatus,
+        byCategory,
+        lastRun: dataQualityAnomalyRegister.metadata.lastRun,
+        hasUnsavedChanges: dataQualityAnomalyRegister.metadata.hasUnsavedChanges
+    };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.makeAnomalyId = makeAnomalyId;
+window.populateAnomalyRegister = populateAnomalyRegister;
+window.loadAnomalyRegister = loadAnomalyRegister;
+window.serializeAnomalyRegisterForSave = serializeAnomalyRegisterForSave;
+window.saveAnomalyRegister = saveAnomalyRegister;
+window.beginAnomalyRun = beginAnomalyRun;
+window.recordAnomaly = recordAnomaly;
+window.finishAnomalyRun = finishAnomalyRun;
+window.abandonAnomalyRun = abandonAnomalyRun;
+window.acceptAnomaly = acceptAnomaly;
+window.correctAnomaly = correctAnomaly;
+window.reopenAnomaly = reopenAnomaly;
+window.getAnomaly = getAnomaly;
+window.getAnomalies = getAnomalies;
+window.getAnomalyRegisterStats = getAnomalyRegisterStats;
+window.DATA_QUALITY_ANOMALY_REGISTER_STORAGE_KEY = DATA_QUALITY_ANOMALY_REGISTER_STORAGE_KEY;
@@ -0,0 +1,383 @@
+/**
+ * Bloomerang CSV Reader
+ *
+ * Reads the raw "All Data.csv" export from Bloomerang as-is: RFC 4180 quoted
+ * fields (commas, doubled quotes and line breaks inside quotes), the totals row
+ * Bloomerang writes under the header, "$1,234.00" currency values and 4-digit
+ * ZIP codes that lost their leading zero. Columns are located by header name,
+ * so reordered or inserted columns do not shift any field.
+ *
+ * Every data row comes back with its fields in BLOOMERANG_COLUMNS order, which
+ * is the layout BLOOMERANG_FIELD_MAP (used by processRowToEntity) indexes.
+ * Which header each field is read from can be changed with a mapping profile
+ * (bloomerangMappingProfile.js); BLOOMERANG_COLUMNS gives the default headers.
+ *
+ * An export whose header lacks an expected column, repeats one, or whose rows do
+ * not have the header's field count is rejected: parseBloomerangCsv() throws an
+ * Error whose .report lists every problem (formatBloomerangCsvReport() prints it).
+ * Unknown extra columns are ignored and listed in the report.
+ *
+ * USAGE:
+ *   const { rows, report } = parseBloomerangCsv(csvText);
+ *   parseBloomerangCsv(csvText, { fields: profile.fields });  // headers from a mapping profile
+ *   rows[0].fields[BLOOMERANG_FIELD_MAP.lastName];
+ */
+
+/**
+ * Expected columns, in the canonical field order used by BLOOMERANG_FIELD_MAP
+ */
+const BLOOMERANG_COLUMNS = [
+    { key: 'name', header: 'Name' },
+    { key: 'firstName', header: 'First Name' },
+    { key: 'middleName', header: 'Middle Name' },
+    { key: 'lastName', header: 'Last Name' },
+    { key: 'email', header: 'Primary Email Address' },
+    { key: 'accountNumber', header: 'Account Number' },
+    { key: 'transactionAmount', header: 'First Transaction Amount', currency: true },
+    { key: 'transactionDate', header: 'First Transaction Date' },
+    { key: 'isInHousehold', header: 'Is in a Household' },
+    { key: 'primaryStreet', header: 'Primary Street' },
+    { key: 'primaryCity', header: 'Primary City' },
+    { key: 'primaryState', header: 'Primary State' },
+    { key: 'primaryZip', header: 'Primary ZIP Code', zip: true },
+    { key: 'homeStreet', header: 'Home Street' },
+    { key: 'homeCity', header: 'Home City' },
+    { key: 'homeState', header: 'Home State' },
+    { key: 'homeZip', header: 'Home ZIP Code', zip: true },
+    { key: 'vacationStreet', header: 'Vacation Street' },
+    { key: 'vacationCity', header: 'Vacation City' },
+    { key: 'vacationState', header: 'Vacation State' },
+    { key: 'vacationZip', header: 'Vacation ZIP Code', zip: true },
+    { key: 'workStreet', header: 'Work Street' },
+    { key: 'workCity', header: 'Work City' },
+    { key: 'workState', header: 'Work State' },
+    { key: 'workZip', header: 'Work ZIP Code', zip: true },
+    { key: 'fireNumber', header: 'Fire Number' },
+    { key: 'biStreet', header: 'BI Street' },
+    { key: 'biPoBox', header: 'BI PO Box' },
+    { key: 'householdName', header: 'Household Name' },
+    { key: 'isHeadOfHousehold', header: 'Is Head of Household' },
+    { key: 'primaryPhone', header: 'Primary Phone Number' },
+    { key: 'homePhone', header: 'Home Phone Number' },
+    { key: 'workPhone', header: 'Work Phone Number' },
+    { key: 'mobilePhone', header: 'Mobile Phone Number' }
+];
+
+/**
+ * Field key -> index into a parsed row's fields (BLOOMERANG_COLUMNS order)
+ */
+const BLOOMERANG_FIELD_MAP = Object.freeze(Object.fromEntries(
+    BLOOMERANG_COLUMNS.map((column, index) => [column.key, index])
+));
+
+// Placeholder the old manual preprocessing put in place of commas; still restored
+// so previously prepared files read the same
+const LEGACY_COMMA_PLACEHOLDER = /\^#C#\^/g;
+
+// Problems listed per category before "... and N more"
+const REPORT_EXAMPLE_LIMIT = 10;
+
+/**
+ * Parse CSV text per RFC 4180: quoted fields may hold commas, doubled quotes
+ * ("") and line breaks. Accepts CRLF or LF line endings and a UTF-8 BOM.
+ * @param {string} text - CSV content
+ * @param {Object} [options]
+ * @param {number} [options.maxRecords] - Stop after this many records (1 = header only)
+ * @returns {Object} { records: [{ fields, line }], errors: [string] } - line is the 1-based line each record starts on
+ */
+function parseRfc4180Csv(text, options = {}) {
+    const maxRecords = options.maxRecords || Infinity;
+    const records = [];
+    const errors = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+    let quoteLine = 1;
+
+    if (text.charCodeAt(0) === 0xFEFF) {
+        text = text.slice(1);
+    }
+
+    const endRecord = () => {
+        fields.push(field);
+        records.push({ fields, line: recordLine });
+        fields = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (inQuotes) {
+            if (ch === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                if (ch === '\n') line++;
+                field += ch;
+            }
+            continue;
+        }
+
+        if (ch === '"' && field === '') {
+            inQuotes = true;
+            quoteLine = line;
+        } else if (ch === ',') {
+            fields.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+            if (records.length >= maxRecords) return { records, errors };
+            line++;
+            recordLine = line;
+        } else {
+            // A quote inside an unquoted field is kept literally
+            field += ch;
+        }
+    }
+
+    if (inQuotes) {
+        errors.push(`Line ${quoteLine}: quoted field is never closed`);
+    }
+    if (field !== '' || fields.length > 0) {
+        endRecord();
+    }
+    return { records, errors };
+}
+
+/**
+ * Normalize a header cell for matching: case, surrounding and repeated whitespace
+ * @param {string} header - Header cell
+ * @returns {string}
+ */
+function normalizeBloomerangHeader(header) {
+    return String(header || '').replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+/**
+ * Default field key -> header binding (BLOOMERANG_COLUMNS headers)
+ * @returns {Object}
+ */
+function getDefaultBloomerangFieldHeaders() {
+    return Object.fromEntries(BLOOMERANG_COLUMNS.map(column => [column.key, column.header]));
+}
+
+/**
+ * Locate the expected columns in a header row
+ * @param {Array<string>} headerFields - Header row cells
+ * @param {Object} [fieldHeaders] - Field key -> header to read it from (default: BLOOMERANG_COLUMNS headers)
+ * @returns {Object} { columnIndex: {key: index}, missing: [header], duplicates: [header], unknown: [header] }
+ */
+function mapBloomerangHeader(headerFields, fieldHeaders = getDefaultBloomerangFieldHeaders()) {
+    const positions = new Map();
+    headerFields.forEach((header, index) => {
+        const normalized = normalizeBloomerangHeader(header);
+        if (!positions.has(normalized)) positions.set(normalized, []);
+        positions.get(normalized).push(index);
+    });
+
+    const columnIndex = {};
+    const missing = [];
+    const duplicates = [];
+    const expected = new Set();
+    for (const column of BLOOMERANG_COLUMNS) {
+        const header = fieldHeaders[column.key] || column.header;
+        const normalized = normalizeBloomerangHeader(header);
+        expected.add(normalized);
+        const found = positions.get(normalized);
+        if (!found) {
+            missing.push(header);
+        } else {
+            if (found.length > 1) duplicates.push(header);
+            columnIndex[column.key] = found[0];
+        }
+    }
+    const unknown = headerFields.filter(header => header.trim() !== '' && !expected.has(normalizeBloomerangHeader(header)));
+    return { columnIndex, missing, duplicates, unknown };
+}
+
+/**
+ * Check if a data row is the totals row Bloomerang writes under the header:
+ * no account number or name, and only a "Total" label and amounts
+ * @param {Array<string>} fields - Row cells (file order)
+ * @param {Object} columnIndex - From mapBloomerangHeader()
+ * @returns {boolean}
+ */
+function isBloomerangTotalsRow(fields, columnIndex) {
+    const cell = (key) => (fields[columnIndex[key]] || '').trim();
+    if (cell('accountNumber') || cell('firstName') || cell('lastName')) return false;
+    const values = fields.map(value => value.trim()).filter(value => value !== '');
+    return values.length > 0 && values.every(value => /^(grand\s+)?totals?:?$/i.test(value) || /^-?\$?[\d,]+(\.\d+)?$/.test(value));
+}
+
+/**
+ * Clean one field value: legacy comma placeholder, embedded line breaks,
+ * currency formatting and leading-zero ZIP codes
+ * @param {string} value - Raw field value
+ * @param {Object} column - BLOOMERANG_COLUMNS entry
+ * @returns {string}
+ */
+function normalizeBloomerangField(value, column) {
+    let result = (value || '')
+        .replace(LEGACY_COMMA_PLACEHOLDER, ',')
+        .replace(/\s*[\r\n]+\s*/g, ' ')
+        .trim();
+    if (column.currency) {
+        result = result.replace(/[$,]/g, '');
+    }
+    if (column.zip && /^\d{4}$/.test(result)) {
+        result = '0' + result;
+    }
+    return result;
+}
+
+/**
+ * Read a raw Bloomerang "All Data.csv" export
+ * @param {string} csvText - File content
+ * @param {Object} [options]
+ * @param {Object} [options.fields] - Field key -> header binding from a mapping profile
+ * @returns {Object} { header, rows: [{ rowIndex, line, fields, accountNumber }], report }
+ * @throws {Error} When the file cannot be read safely; error.report holds the details
+ */
+function parseBloomerangCsv(csvText, options = {}) {
+    const { records, errors } = parseRfc4180Csv(csvText || '');
+    const report = {
+        headerColumns: 0,
+        dataRows: 0,
+        missingColumns: [],
+        duplicateColumns: [],
+        unknownColumns: [],
+        totalsRows: [],
+        blankRows: 0,
+        raggedRows: [],
+        parseErrors: errors,
+        valid: false
+    };
+
+    if (records.length === 0) {
+        report.parseErrors.push('File is empty');
+        throw bloomerangCsvError(report);
+    }
+
+    const header = records[0].fields;
+    const { columnIndex, missing, duplicates, unknown } = mapBloomerangHeader(header, options.fields);
+    report.headerColumns = header.length;
+    report.missingColumns = missing;
+    report.duplicateColumns = duplicates;
+    report.unknownColumns = unknown;
+
+    const rows = [];
+    for (const record of records.slice(1)) {
+        if (record.fields.every(value => value.trim() === '')) {
+            report.blankRows++;
+            continue;
+        }
+        if (record.fields.length !== header.length) {
+            report.raggedRows.push({ line: record.line, fieldCount: record.fields.length });
+            continue;
+        }
+        if (missing.length === 0 && isBloomerangTotalsRow(record.fields, columnIndex)) {
+            report.totalsRows.push(record.line);
+            continue;
+        }
+        const fields = BLOOMERANG_COLUMNS.map(column =>
+            normalizeBloomerangField(record.fields[columnIndex[column.key]], column));
+        rows.push({
+            rowIndex: rows.length + 1, // 1-based data row number
+            line: record.line,
+            fields: fields,
+            accountNumber: fields[BLOOMERANG_FIELD_MAP.accountNumber]
+        });
+    }
+    report.dataRows = rows.length;
+
+    report.valid = report.parseErrors.length === 0 && missing.length === 0 &&
+        duplicates.length === 0 && report.raggedRows.length === 0;
+    if (!report.valid) {
+        throw bloomerangCsvError(report);
+    }
+    return { header, rows, report };
+}
+
+/**
+ * Rejection error carrying the read report
+ * @param {Object} report - parseBloomerangCsv() report
+ * @returns {Error}
+ */
+function bloomerangCsvError(report) {
+    const error = new Error(`Bloomerang CSV rejected:\n${formatBloomerangCsvReport(report)}`);
+    error.report = report;
+    return error;
+}
+
+/**
+ * Text report of a Bloomerang CSV read
+ * @param {Object} report - parseBloomerangCsv() report (also on a rejection error's .report)
+ * @returns {string}
+ */
+function formatBloomerangCsvReport(report) {
+    const list = (items) => items.length <= REPORT_EXAMPLE_LIMIT
+        ? items.join(', ')
+        : `${items.slice(0, REPORT_EXAMPLE_LIMIT).join(', ')} ... and ${items.length - REPORT_EXAMPLE_LIMIT} more`;
+    const lines = [
+        `  Header: ${report.headerColumns} columns (${BLOOMERANG_COLUMNS.length} expected)`,
+        `  Data rows: ${report.dataRows}`
+    ];
+    if (report.missingColumns.length > 0) {
+        lines.push(`  Missing columns: ${list(report.missingColumns)}`);
+    }
+    if (report.duplicateColumns.length > 0) {
+        lines.push(`  Repeated columns: ${list(report.duplicateColumns)}`);
+    }
+    if (report.raggedRows.length > 0) {
+        lines.push(`  Rows without ${report.headerColumns} fields: ` +
+            list(report.raggedRows.map(row => `line ${row.line} (${row.fieldCount})`)));
+    }
+    report.parseErrors.forEach(error => lines.push(`  ${error}`));
+    if (report.unknownColumns.length > 0) {
+        lines.push(`  Ignored columns: ${list(report.unknownColumns)}`);
+    }
+    if (report.totalsRows.length > 0) {
+        lines.push(`  Totals rows skipped: line ${list(report.totalsRows)}`);
+    }
+    return lines.join('\n');
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BLOOMERANG_COLUMNS,
+        BLOOMERANG_FIELD_MAP,
+        parseRfc4180Csv,
+        normalizeBloomerangHeader,
+        getDefaultBloomerangFieldHeaders,
+        mapBloomerangHeader,
+        isBloomerangTotalsRow,
+        parseBloomerangCsv,
+        formatBloomerangCsvReport
+    };
+}
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.BLOOMERANG_COLUMNS = BLOOMERANG_COLUMNS;
+    window.BLOOMERANG_FIELD_MAP = BLOOMERANG_FIELD_MAP;
+    window.parseRfc4180Csv = parseRfc4180Csv;
+    window.normalizeBloomerangHeader = normalizeBloomerangHeader;
+    window.getDefaultBloomerangFieldHeaders = getDefaultBloomerangFieldHeaders;
+    window.mapBloomerangHeader = mapBloomerangHeader;
+    window.isBloomerangTotalsRow = isBloomerangTotalsRow;
+    window.parseBloomerangCsv = parseBloomerangCsv;
+    window.formatBloomerangCsvReport = formatBloomerangCsvReport;
+}
@@ -0,0 +1,319 @@
+/**
+ * Bloomerang Mapping Profile
+ *
+ * Names each logical Bloomerang field (account number, name parts, household,
+ * address lines, phones, email, ...) and binds it to the CSV header it is read
+ * from. The profile also remembers the full header row of the last export it
+ * read, so the next import can report schema drift before any row is processed:
+ *
+ *   added    columns in the new export that the last one did not have
+ *   removed  columns the last export had that the new one does not
+ *   renamed  a removed and an added column that look like the same column
+ *            (same position, or mostly the same words)
+ *
+ * Added and removed columns that no field reads are reported and the import
+ * continues. If a header a field is bound to has gone (removed or renamed), the
+ * import stops: check the report, then rebind with acceptBloomerangSchemaDrift()
+ * (renames) or edit profile.fields and saveBloomerangMappingProfile().
+ *
+ * The last profile is kept in the browser's localStorage; without one the
+ * default profile (BLOOMERANG_COLUMNS headers) is used.
+ *
+ * PROFILE FORMAT:
+ *   {
+ *     "name": "default",
+ *     "fields": { "accountNumber": "Account Number", "email": "Primary Email Address", ... },
+ *     "headers": ["Name", "First Name", ...],   // header row of the last export read
+ *     "updatedAt": "2026-01-01T00:00:00.000Z"
+ *   }
+ *
+ * USAGE:
+ *   const { rows, drift } = readBloomerangCsvWithProfile(csvText, loadLastBloomerangMappingProfile());
+ *   console.log(formatBloomerangSchemaDrift(drift));
+ *   acceptBloomerangSchemaDrift();   // after a rejected import: rebind renamed columns
+ */
+
+// localStorage key for the last mapping profile used
+const BLOOMERANG_MAPPING_PROFILE_STORAGE_KEY = 'bloomerangMappingProfile';
+
+// Word overlap (shared / all words) at which a removed and an added header count as a rename
+const BLOOMERANG_RENAME_SIMILARITY = 0.5;
+
+/**
+ * Profile binding every field to its BLOOMERANG_COLUMNS header
+ * @returns {Object} Mapping profile
+ */
+function createDefaultBloomerangMappingProfile() {
+    return {
+        name: 'default',
+        fields: getDefaultBloomerangFieldHeaders(),
+        headers: BLOOMERANG_COLUMNS.map(column => column.header),
+        updatedAt: null
+    };
+}
+
+/**
+ * Check a mapping profile: every field bound to a header, no header read twice
+ * @param {Object} profile - Mapping profile
+ * @throws {Error} Listing every problem
+ */
+function validateBloomerangMappingProfile(profile) {
+    const problems = [];
+    if (!profile || typeof profile !== 'object') {
+        throw new Error('Bloomerang mapping profile must be an object');
+    }
+    if (!profile.fields || typeof profile.fields !== 'object') {
+        problems.push('fields: missing');
+    } else {
+        const boundTo = new Map();
+        for (const column of BLOOMERANG_COLUMNS) {
+            const header = profile.fields[column.key];
+            if (typeof header !== 'string' || header.trim() === '') {
+                problems.push(`fields.${column.key}: no header`);
+                continue;
+            }
+            const normalized = normalizeBloomerangHeader(header);
+            if (boundTo.has(normalized)) {
+                problems.push(`fields.${column.key}: "${header}" is already read by fields.${boundTo.get(normalized)}`);
+            }
+            boundTo.set(normalized, column.key);
+        }
+        const unknown = Object.keys(profile.fields).filter(key => !(key in BLOOMERANG_FIELD_MAP));
+        unknown.forEach(key => problems.push(`fields.${key}: not a Bloomerang field`));
+    }
+    if (!Array.isArray(profile.headers)) {
+        problems.push('headers: must be an array of header names');
+    }
+    if (problems.length > 0) {
+        throw new Error(`Invalid Bloomerang mapping profile "${profile.name || 'unnamed'}":\n  ${problems.join('\n  ')}`);
+    }
+}
+
+/**
+ * Parse and validate a mapping profile JSON file
+ * @param {string} jsonText - File content
+ * @param {string} [sourceLabel='profile'] - Used in error messages
+ * @returns {Object} Mapping profile
+ */
+function parseBloomerangMappingProfileJson(jsonText, sourceLabel = 'profile') {
+    let profile;
+    try {
+        profile = JSON.parse(jsonText);
+    } catch (error) {
+        throw new Error(`${sourceLabel}: not valid JSON (${error.message})`);
+    }
+    validateBloomerangMappingProfile(profile);
+    return profile;
+}
+
+/**
+ * Shared words / all words of two headers
+ * @param {string} a - Header
+ * @param {string} b - Header
+ * @returns {number} 0-1
+ */
+function bloomerangHeaderSimilarity(a, b) {
+    const wordsA = new Set(normalizeBloomerangHeader(a).split(/[^A-Z0-9]+/).filter(Boolean));
+    const wordsB = new Set(normalizeBloomerangHeader(b).split(/[^A-Z0-9]+/).filter(Boolean));
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    const all = new Set([...wordsA, ...wordsB]).size;
+    return all > 0 ? shared / all : 0;
+}
+
+/**
+ * Compare an export's header row with the one the profile last read
+ * @param {Object} profile - Mapping profile
+ * @param {Array<string>} headerFields - Header row of the new export
+ * @returns {Object} { added, removed, renamed: [{ from, to, field }], unboundFields: [{ field, header }], hasDrift, canProceed }
+ */
+function detectBloomerangSchemaDrift(profile, headerFields) {
+    const previous = profile.headers.filter(header => header.trim() !== '');
+    const current = headerFields.filter(header => header.trim() !== '');
+    const previousSet = new Set(previous.map(normalizeBloomerangHeader));
+    const currentSet = new Set(current.map(normalizeBloomerangHeader));
+    const removed = previous.filter(header => !currentSet.has(normalizeBloomerangHeader(header)));
+    const added = current.filter(header => !previousSet.has(normalizeBloomerangHeader(header)));
+
+    // Field reading each header
+    const fieldByHeader = new Map();
+    for (const [key, header] of Object.entries(profile.fields)) {
+        fieldByHeader.set(normalizeBloomerangHeader(header), key);
+    }
+
+    // Rename candidates, best first: same position counts as much as full word overlap
+    const candidates = [];
+    for (const from of removed) {
+        for (const to of added) {
+            const similarity = bloomerangHeaderSimilarity(from, to);
+            const samePosition = profile.headers.indexOf(from) === headerFields.indexOf(to);
+            if (similarity >= BLOOMERANG_RENAME_SIMILARITY || samePosition) {
+                candidates.push({ from, to, score: similarity + (samePosition ? 1 : 0) });
+            }
+        }
+    }
+    candidates.sort((a, b) => b.score - a.score);
+    const renamed = [];
+    const pairedFrom = new Set();
+    const pairedTo = new Set();
+    for (const candidate of candidates) {
+        if (pairedFrom.has(candidate.from) || pairedTo.has(candidate.to)) continue;
+        pairedFrom.add(candidate.from);
+        pairedTo.add(candidate.to);
+        renamed.push({
+            from: candidate.from,
+            to: candidate.to,
+            field: fieldByHeader.get(normalizeBloomerangHeader(candidate.from)) || null
+        });
+    }
+
+    // Fields whose header is not in the new export (renamed or not)
+    const unboundFields = Object.entries(profile.fields)
+        .filter(([, header]) => !currentSet.has(normalizeBloomerangHeader(header)))
+        .map(([field, header]) => ({ field, header }));
+
+    return {
+        added: added.filter(header => !pairedTo.has(header)),
+        removed: removed.filter(header => !pairedFrom.has(header)),
+        renamed,
+        unboundFields,
+        hasDrift: added.length > 0 || removed.length > 0,
+        canProceed: unboundFields.length === 0
+    };
+}
+
+/**
+ * Text report of schema drift
+ * @param {Object} drift - From detectBloomerangSchemaDrift()
+ * @returns {string}
+ */
+function formatBloomerangSchemaDrift(drift) {
+    if (!drift.hasDrift) {
+        return '  Header unchanged since the last import';
+    }
+    const lines = [];
+    drift.added.forEach(header => lines.push(`  Added column:   "${header}"`));
+    drift.removed.forEach(header => lines.push(`  Removed column: "${header}"`));
+    drift.renamed.forEach(r => lines.push(`  Renamed column: "${r.from}" -> "${r.to}"${r.field ? ` (field ${r.field})` : ''}`));
+    const renamedFields = new Set(drift.renamed.map(r => r.field));
+    drift.unboundFields.forEach(u => lines.push(
+        `  Field ${u.field} reads "${u.header}", which this export does not have` +
+        (renamedFields.has(u.field) ? ' (see rename above)' : '')));
+    if (!drift.canProceed) {
+        lines.push('  Import stopped before any row was processed. Rebind the fields: acceptBloomerangSchemaDrift() ' +
+            'takes the renames above; otherwise edit profile.fields and saveBloomerangMappingProfile(profile).');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Profile with renamed columns rebound and the header row updated
+ * @param {Object} profile - Mapping profile
+ * @param {Object} drift - From detectBloomerangSchemaDrift()
+ * @param {Array<string>} headerFields - Header row of the new export
+ * @returns {Object} New mapping profile
+ */
+function applyBloomerangSchemaRenames(profile, drift, headerFields) {
+    const fields = { ...profile.fields };
+    for (const rename of drift.renamed) {
+        if (rename.field) fields[rename.field] = rename.to;
+    }
+    return { ...profile, fields, headers: [...headerFields], updatedAt: new Date().toISOString() };
+}
+
+/**
+ * Read an export with a mapping profile, checking drift before any row is read
+ * @param {string} csvText - File content
+ * @param {Object} [profile] - Mapping profile (default: createDefaultBloomerangMappingProfile())
+ * @returns {Object} parseBloomerangCsv() result plus { drift, profile } - profile updated with the new header row
+ * @throws {Error} When a field's header is gone (error.drift) or the CSV is rejected (error.report)
+ */
+function readBloomerangCsvWithProfile(csvText, profile = createDefaultBloomerangMappingProfile()) {
+    validateBloomerangMappingProfile(profile);
+    const headerRecord = parseRfc4180Csv(csvText || '', { maxRecords: 1 }).records[0];
+    const headerFields = headerRecord ? headerRecord.fields : [];
+    const drift = detectBloomerangSchemaDrift(profile, headerFields);
+    drift.headers = headerFields;
+
+    if (!drift.canProceed) {
+        const error = new Error(`Bloomerang export does not match mapping profile "${profile.name}":\n${formatBloomerangSchemaDrift(drift)}`);
+        error.drift = drift;
+        throw error;
+    }
+
+    const result = parseBloomerangCsv(csvText, { fields: profile.fields });
+    const updatedProfile = drift.hasDrift
+        ? { ...profile, headers: [...headerFields], updatedAt: new Date().toISOString() }
+        : profile;
+    return { ...result, drift, profile: updatedProfile };
+}
+
+/**
+ * Last mapping profile used in this browser, or the default profile
+ * @returns {Object} Mapping profile
+ */
+function loadLastBloomerangMappingProfile() {
+    const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(BLOOMERANG_MAPPING_PROFILE_STORAGE_KEY) : null;
+    if (!stored) {
+        return createDefaultBloomerangMappingProfile();
+    }
+    return parseBloomerangMappingProfileJson(stored, 'Saved Bloomerang mapping profile');
+}
+
+/**
+ * Keep a mapping profile as the last one used (browser localStorage)
+ * @param {Object} profile - Mapping profile
+ */
+function saveBloomerangMappingProfile(profile) {
+    validateBloomerangMappingProfile(profile);
+    if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(BLOOMERANG_MAPPING_PROFILE_STORAGE_KEY, JSON.stringify(profile));
+    }
+}
+
+/**
+ * After a stopped import: rebind renamed columns in the last profile and save it.
+ * Fields whose header was removed outright still need a manual binding.
+ * @param {Object} [drift] - Drift of the stopped import (default: window.lastBloomerangSchemaDrift)
+ * @returns {Object} The saved profile
+ */
+function acceptBloomerangSchemaDrift(drift = window.lastBloomerangSchemaDrift) {
+    if (!drift || !drift.headers) {
+        throw new Error('No stopped Bloomerang import to accept');
+    }
+    const profile = applyBloomerangSchemaRenames(loadLastBloomerangMappingProfile(), drift, drift.headers);
+    saveBloomerangMappingProfile(profile);
+    const stillUnbound = detectBloomerangSchemaDrift(profile, drift.headers).unboundFields;
+    stillUnbound.forEach(u => console.warn(`Field ${u.field} still reads "${u.header}": set profile.fields.${u.field} by hand`));
+    return profile;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createDefaultBloomerangMappingProfile,
+        validateBloomerangMappingProfile,
+        parseBloomerangMappingProfileJson,
+        detectBloomerangSchemaDrift,
+        formatBloomerangSchemaDrift,
+        applyBloomerangSchemaRenames,
+        readBloomerangCsvWithProfile
+    };
+}
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.createDefaultBloomerangMappingProfile = createDefaultBloomerangMappingProfile;
+    window.validateBloomerangMappingProfile = validateBloomerangMappingProfile;
+    window.parseBloomerangMappingProfileJson = parseBloomerangMappingProfileJson;
+    window.detectBloomerangSchemaDrift = detectBloomerangSchemaDrift;
+    window.formatBloomerangSchemaDrift = formatBloomerangSchemaDrift;
+    window.applyBloomerangSchemaRenames = applyBloomerangSchemaRenames;
+    window.readBloomerangCsvWithProfile = readBloomerangCsvWithProfile;
+    window.loadLastBloomerangMappingProfile = loadLastBloomerangMappingProfile;
+    window.saveBloomerangMappingProfile = saveBloomerangMappingProfile;
+    window.acceptBloomerangSchemaDrift = acceptBloomerangSchemaDrift;
+}
@@ -9,6 +9,8 @@ const VisionAppraisal = {
         'userCode', 'neighborhood', 'date', 'mblu', 'pid', 'googleFileId',
         // Property value fields (added Dec 2025)
         'assessmentValue', 'appraisalValue',
+        // Assessment/appraisal/sales history, land and building (null for older PID files)
+        'parcelDetails',
         // Expanded fields
         'map', 'block', 'lot', 'unit', 'unitCut',
         'street', 'city', 'state', 'zip',
@@ -18,6 +20,10 @@ const VisionAppraisal = {
     ],
     matchingKeys: ['fireNumber'],
 
+    // Starts the property details field that ParcelDataExtractorV2.formatPidFileLine()
+    // appends after the appraisal value: marker + encodeURIComponent(JSON)
+    PARCEL_DETAILS_MARKER: '::#DETAILS#::',
+
     // Load and parse VisionAppraisal data
     async loadData() {
         try {
@@ -66,6 +72,7 @@ const VisionAppraisal = {
             const googleFileId = fields[10] || '';      // Field[10]: Google File ID (was incorrectly called PID)
             const assessmentValue = (fields[11] || '').trim();  // Field[11]: Assessment value (added Dec 2025)
             const appraisalValue = (fields[12] || '').trim();   // Field[12]: Appraisal value (added Dec 2025)
+            const parcelDetails = fields[13] || null;           // Field[13]: Property details object, or null
 
             // Use parser functions to expand and clean data (access from window object)
             const mbluParsed = window.VisionAppraisalParser ? window.VisionAppraisalParser.parseMBLU(mblu) : {
@@ -101,6 +108,7 @@ const VisionAppraisal = {
                 // Property value fields (added Dec 2025)
                 assessmentValue: assessmentValue,
                 appraisalValue: appraisalValue,
+                parcelDetails: parcelDetails,
 
                 // Expanded MBLU fields
                 map: mbluParsed.map,
@@ -146,10 +154,18 @@ const VisionAppraisal = {
         }
 
         // Extract the CSV content (inside quotes) and the googleFileId (after the quote)
-        const csvContent = record.substring(1, lastQuoteIndex); // Remove leading and trailing quotes
+        let csvContent = record.substring(1, lastQuoteIndex); // Remove leading and trailing quotes
         const afterQuote = record.substring(lastQuoteIndex + 1); // Everything after the closing quote
         const googleFileId = afterQuote.startsWith(',') ? afterQuote.substring(1) : afterQuote;
 
+        // Property details, when present, are the last field: take them off before the currency scan
+        let parcelDetails = null;
+        const detailsIndex = csvContent.indexOf(',' + this.PARCEL_DETAILS_MARKER);
+        if (detailsIndex !== -1) {
+            parcelDetails = this.decodeParcelDetails(csvContent.substring(detailsIndex + 1 + this.PARCEL_DETAILS_MARKER.length));
+            csvContent = csvContent.substring(0, detailsIndex);
+        }
+
         // Now parse the CSV content, handling currency values at the end
         // The last two "fields" are assessment and appraisal values which may contain commas
         // Format: field0,field1,...,field9,$XXX,XXX,$YYY,YYY
@@ -214,9 +230,23 @@ const VisionAppraisal = {
         fields[11] = assessmentValue;
         fields[12] = appraisalValue;
 
+        // Field 13 is the decoded property details (null if the line has none)
+        fields[13] = parcelDetails;
+
         return fields;
     },
 
+    // Decode the property details field of a PID file line
+    // Returns null (with a warning) if the field is damaged
+    decodeParcelDetails(encoded) {
+        try {
+            return JSON.parse(decodeURIComponent(encoded));
+        } catch (error) {
+            console.warn('VisionAppraisal: unreadable property details field:', error.message);
+            return null;
+        }
+    },
+
     // Extract Fire Number from property location string
     extractFireNumber(propertyLocation) {
         if (!propertyLocation || typeof propertyLocation !== 'string') {
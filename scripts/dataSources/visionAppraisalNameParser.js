@@ -1191,10 +1191,11 @@ const VisionAppraisalNameParser = {
         individual.source = 'VISION_APPRAISAL';
 
         // Add property value fields to individual's otherInfo (Dec 2025)
-        if (record.assessmentValue || record.appraisalValue) {
+        if (record.assessmentValue || record.appraisalValue || record.parcelDetails) {
             const individualOtherInfo = new OtherInfo();
             individualOtherInfo.setAssessmentValue(record.assessmentValue);
             individualOtherInfo.setAppraisalValue(record.appraisalValue);
+            individualOtherInfo.setParcelDetails(record.parcelDetails);
             individual.addOtherInfo(individualOtherInfo);
         }
 
@@ -1276,10 +1277,11 @@ const VisionAppraisalNameParser = {
 
         // Add property value fields to household's otherInfo (Dec 2025)
         // These are property-level values, so they belong on the household entity
-        if (record.assessmentValue || record.appraisalValue) {
+        if (record.assessmentValue || record.appraisalValue || record.parcelDetails) {
             const householdOtherInfo = new OtherInfo();
             householdOtherInfo.setAssessmentValue(record.assessmentValue);
             householdOtherInfo.setAppraisalValue(record.appraisalValue);
+            householdOtherInfo.setParcelDetails(record.parcelDetails);
             household.addOtherInfo(householdOtherInfo);
         }
 
@@ -1315,10 +1317,11 @@ const VisionAppraisalNameParser = {
         business.source = 'VISION_APPRAISAL';
 
         // Add property value fields to business's otherInfo (Dec 2025)
-        if (record.assessmentValue || record.appraisalValue) {
+        if (record.assessmentValue || record.appraisalValue || record.parcelDetails) {
             const businessOtherInfo = new OtherInfo();
             businessOtherInfo.setAssessmentValue(record.assessmentValue);
             businessOtherInfo.setAppraisalValue(record.appraisalValue);
+            businessOtherInfo.setParcelDetails(record.parcelDetails);
             business.addOtherInfo(businessOtherInfo);
         }
 
@@ -1348,10 +1351,11 @@ const VisionAppraisalNameParser = {
         legalConstruct.source = 'VISION_APPRAISAL';
 
         // Add property value fields to legalConstruct's otherInfo (Dec 2025)
-        if (record.assessmentValue || record.appraisalValue) {
+        if (record.assessmentValue || record.appraisalValue || record.parcelDetails) {
             const legalConstructOtherInfo = new OtherInfo();
             legalConstructOtherInfo.setAssessmentValue(record.assessmentValue);
             legalConstructOtherInfo.setAppraisalValue(record.appraisalValue);
+            legalConstructOtherInfo.setParcelDetails(record.parcelDetails);
             legalConstruct.addOtherInfo(legalConstructOtherInfo);
         }
 
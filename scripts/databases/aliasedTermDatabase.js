@@ -16,6 +16,7 @@
  * - Index File: Contains { primaryAlias → fileId } mappings + metadata
  * - Object Folder: Contains individual JSON files per Aliased object
  * - Uses serializeWithTypes() / deserializeWithTypes() for class preservation
+ * - File I/O goes through getStorageAdapter() (Google Drive or local directory)
  *
  * USAGE:
  * Extend this class for specific Aliased types (e.g., StreetNameDatabase)
@@ -228,31 +229,99 @@ class AliasedTermDatabase {
         console.log(`[${this.objectType}Database] Loaded ${loaded} objects (${failed} failed) in ${elapsed}s`);
     }
 
+    // =========================================================================
+    // BULK DATA (single-object snapshot of the whole database)
+    // =========================================================================
+
     /**
-     * Load the index file from Google Drive
-     * @returns {Promise<Object>} Index data
+     * Build the bulk snapshot of this database.
+     * Format: { __format: '<Type>DatabaseBulk', __count, entries: { primaryKey: { object, created, lastModified } } }
+     * Each entry's object is a serializeWithTypes() string. fileIds are not included.
+     * @returns {Object} Plain object suitable for JSON.stringify
      */
-    async _loadIndexFile() {
-        const response = await gapi.client.drive.files.get({
-            fileId: this.databaseFileId,
-            alt: 'media'
+    toBulkData() {
+        const bulkData = {
+            __format: `${this.objectType}DatabaseBulk`,
+            __version: '1.0',
+            __created: new Date().toISOString(),
+            __objectType: this.objectType,
+            __count: this.entries.size,
+            entries: {}
+        };
+
+        for (const [primaryKey, entry] of this.entries) {
+            bulkData.entries[primaryKey] = {
+                object: serializeWithTypes(entry.object),
+                created: entry.created || new Date().toISOString(),
+                lastModified: entry.lastModified || new Date().toISOString()
+            };
+        }
+
+        return bulkData;
+    }
+
+    /**
+     * Bulk snapshot JSON with its integrity block (entry count, content hash,
+     * schema version), the file format the CLI commands read (e.g. --street-names)
+     * @returns {string}
+     */
+    serializeBulkForSave() {
+        const bulkData = this.toBulkData();
+        return addDatabaseIntegrity(JSON.stringify(bulkData, null, 2), bulkData.__format, {
+            entityCount: bulkData.__count
         });
+    }
+
+    /**
+     * Replace all entries with the contents of a bulk snapshot (see toBulkData()).
+     * Entries loaded this way have fileId=null until filed out or merged from the index.
+     * @param {Object} bulkData - Parsed bulk snapshot
+     * @param {Object} [options]
+     * @param {Object} [options.migration] - From startSerializationMigration(), for snapshots
+     *   saved under an older schema
+     * @returns {number} Number of entries loaded
+     */
+    loadFromBulkData(bulkData, options = {}) {
+        const expectedFormat = `${this.objectType}DatabaseBulk`;
+        if (!bulkData || bulkData.__format !== expectedFormat) {
+            throw new Error(`Invalid bulk file format: ${bulkData?.__format} (expected ${expectedFormat})`);
+        }
+
+        this.entries.clear();
+
+        let loaded = 0;
+        for (const [primaryKey, entryData] of Object.entries(bulkData.entries || {})) {
+            const object = deserializeWithTypes(entryData.object, CLASS_REGISTRY, options.migration || null);
+            this.entries.set(primaryKey, {
+                object: object,
+                fileId: null,  // Not yet filed out
+                created: entryData.created,
+                lastModified: entryData.lastModified
+            });
+            loaded++;
+        }
+
+        this._buildVariationCache();
+        this._isLoaded = true;
+
+        return loaded;
+    }
 
-        return JSON.parse(response.body);
+    /**
+     * Load the index file through the active storage adapter
+     * @returns {Promise<Object>} Index data
+     */
+    async _loadIndexFile() {
+        return JSON.parse(await getStorageAdapter().readFile(this.databaseFileId));
     }
 
     /**
-     * Load an individual object file from Google Drive
+     * Load an individual object file through the active storage adapter
      * @param {string} fileId - Google Drive file ID
      * @returns {Promise<Object>} Object data (raw JSON)
      */
     async _loadObjectFile(fileId) {
-        const response = await gapi.client.drive.files.get({
-            fileId: fileId,
-            alt: 'media'
-        });
-
-        return JSON.parse(response.body);
+        return JSON.parse(await getStorageAdapter().readFile(fileId));
     }
 
     /**
@@ -619,22 +688,7 @@ class AliasedTermDatabase {
         const indexData = this._buildIndexData();
         const jsonContent = JSON.stringify(indexData, null, 2);
 
-        const response = await fetch(
-            `https://www.googleapis.com/upload/drive/v3/files/${this.databaseFileId}?uploadType=media`,
-            {
-                method: 'PATCH',
-                headers: new Headers({
-                    'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                    'Content-Type': 'application/json'
-                }),
-                body: jsonContent
-            }
-        );
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Failed to save index: HTTP ${response.status}: ${errorText}`);
-        }
+        await getStorageAdapter().writeFile(this.databaseFileId, jsonContent);
     }
 
     /**
@@ -682,46 +736,15 @@ class AliasedTermDatabase {
     }
 
     /**
-     * Create a new object file in Google Drive
+     * Create a new object file in the object folder
      * @param {Aliased} object - Object to save
      * @returns {Promise<string>} File ID of created file
      */
     async _createObjectFile(object) {
         const fileName = this._generateFileName(this._normalizeKey(object.primaryAlias.term));
-
-        // Create the file metadata
-        const createResponse = await gapi.client.drive.files.create({
-            resource: {
-                name: fileName,
-                mimeType: 'application/json',
-                parents: [this.folderFileId]
-            },
-            fields: 'id'
-        });
-
-        const fileId = createResponse.result.id;
-
-        // Upload the content
         const jsonContent = serializeWithTypes(object);
 
-        const response = await fetch(
-            `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=media`,
-            {
-                method: 'PATCH',
-                headers: new Headers({
-                    'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                    'Content-Type': 'application/json'
-                }),
-                body: jsonContent
-            }
-        );
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Failed to create object file: HTTP ${response.status}: ${errorText}`);
-        }
-
-        return fileId;
+        return getStorageAdapter().createFile(fileName, this.folderFileId, jsonContent);
     }
 
     /**
@@ -732,30 +755,13 @@ class AliasedTermDatabase {
      */
     async _updateObjectFile(fileId, object) {
         const jsonContent = serializeWithTypes(object);
+        const storage = getStorageAdapter();
 
-        const response = await fetch(
-            `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=media`,
-            {
-                method: 'PATCH',
-                headers: new Headers({
-                    'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                    'Content-Type': 'application/json'
-                }),
-                body: jsonContent
-            }
-        );
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Failed to update object file: HTTP ${response.status}: ${errorText}`);
-        }
+        await storage.writeFile(fileId, jsonContent);
 
         // Update the filename to match current primary (in case it changed)
         const fileName = this._generateFileName(this._normalizeKey(object.primaryAlias.term));
-        await gapi.client.drive.files.update({
-            fileId: fileId,
-            resource: { name: fileName }
-        });
+        await storage.renameFile(fileId, fileName);
     }
 
     /**
@@ -764,23 +770,16 @@ class AliasedTermDatabase {
      * @returns {Promise<void>}
      */
     async _moveToDeleted(fileId) {
+        // Without a deleted folder the adapter trashes the file instead
+        await getStorageAdapter().moveToDeleted(fileId, {
+            folderId: this.folderFileId,
+            deletedFolderId: this.deletedFolderFileId,
+            name: `DELETED_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}_${fileId}.json`
+        });
+
         if (this.deletedFolderFileId) {
-            // Move to deleted folder
-            await gapi.client.drive.files.update({
-                fileId: fileId,
-                addParents: this.deletedFolderFileId,
-                removeParents: this.folderFileId,
-                resource: {
-                    name: `DELETED_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}_${fileId}.json`
-                }
-            });
             console.log(`[${this.objectType}Database] Moved ${fileId} to deleted folder`);
         } else {
-            // Permanently delete (move to trash)
-            await gapi.client.drive.files.update({
-                fileId: fileId,
-                resource: { trashed: true }
-            });
             console.log(`[${this.objectType}Database] Trashed ${fileId}`);
         }
     }
@@ -0,0 +1,371 @@
+/**
+ * =============================================================================
+ * EMAIL DATABASE - Email-list implementation of SupplementalDataDatabase
+ * =============================================================================
+ *
+ * Manages email addresses from imported lists (event sign-up CSVs, newsletter
+ * exports) as a persistent database. Extends SupplementalDataDatabase with
+ * email-specific entry structure, normalization, and query methods, following
+ * PhonebookDatabase.
+ *
+ * ENTRY KEY: Normalized email address (trimmed, lowercase, no "mailto:").
+ * Multiple list rows sharing an address are grouped into a single EmailEntry
+ * with an array of rawRecords.
+ *
+ * Same three input channels as the phonebook: algorithmic matches
+ * (emailMatcher.js, matchSource 'email-matcher'), user-declared inclusions and
+ * exclusions (SupplementalDataEntry.declareInclusion/declareExclusion).
+ * Matched addresses feed CollectiveEmail in EntityGroup.buildCollectiveContactInfo().
+ *
+ * GOOGLE DRIVE RESOURCES:
+ * - Not created yet. Until they are, pass file IDs in the constructor config
+ *   (or a storageDir in the headless CLI); without them the database works in
+ *   memory and saves are refused by the base class validation.
+ *
+ * Reference: reference_supplementalDatabaseReuseLessons.md, reference_phonebookDatabasePlan.md
+ * =============================================================================
+ */
+
+
+// Google Drive file IDs — to be created with the first saved email list
+const EMAIL_DATABASE_INDEX_FILE_ID = null;
+const EMAIL_DATABASE_FOLDER_ID = null;
+const EMAIL_DATABASE_DELETED_FOLDER_ID = null;
+const EMAIL_DATABASE_BULK_FILE_ID = null;
+
+
+// =============================================================================
+// EMAIL ENTRY
+// =============================================================================
+
+/**
+ * EmailEntry - An email database entry keyed by normalized email address.
+ *
+ * Extends SupplementalDataEntry with email-specific fields.
+ */
+class EmailEntry extends SupplementalDataEntry {
+    /**
+     * @param {Object} [config]
+     * @param {string} [config.emailAddress] - Normalized email address (the key)
+     * @param {Array}  [config.rawRecords] - Imported list rows with this address
+     * @param {string} [config.classification] - 'person', 'nonhuman', 'unclassified'
+     * @param {Array}  [config.matchAssociations] - Match associations to entity groups
+     * @param {Array}  [config.exclusions] - Explicit exclusions
+     * @param {Object} [config.userDeclarations] - User declaration overrides
+     * @param {Object} [config.sourceMetadata] - Source list metadata
+     */
+    constructor(config = {}) {
+        super(config);
+
+        // Email-specific fields
+        this.emailAddress = config.emailAddress || null;
+        this.rawRecords = config.rawRecords || [];
+
+        // entryKey is the normalized email address
+        this.entryKey = this.emailAddress;
+    }
+
+    /**
+     * Add an imported list row to this entry
+     * @param {Object} record - Row from parseEmailListCsv()
+     */
+    addRawRecord(record) {
+        this.rawRecords.push(record);
+    }
+
+    /**
+     * Local part of the address (before the @)
+     * @returns {string}
+     */
+    getLocalPart() {
+        const at = (this.emailAddress || '').lastIndexOf('@');
+        return at === -1 ? '' : this.emailAddress.substring(0, at);
+    }
+
+    /**
+     * Domain of the address (after the @)
+     * @returns {string}
+     */
+    getDomain() {
+        const at = (this.emailAddress || '').lastIndexOf('@');
+        return at === -1 ? '' : this.emailAddress.substring(at + 1);
+    }
+
+    /**
+     * Get all distinct names given with this address across rawRecords
+     * @returns {Array<{lastName: string, firstName: string}>}
+     */
+    getDistinctNames() {
+        const seen = new Set();
+        const names = [];
+
+        for (const record of this.rawRecords) {
+            if (!record.name || (!record.name.lastName && !record.name.firstName)) continue;
+            const key = `${record.name.lastName || ''}|${record.name.firstName || ''}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                names.push({
+                    lastName: record.name.lastName || '',
+                    firstName: record.name.firstName || ''
+                });
+            }
+        }
+
+        return names;
+    }
+
+    /**
+     * Get the list names this address was imported from
+     * @returns {Array<string>}
+     */
+    getSourceLists() {
+        return [...new Set(this.rawRecords.map(record => record.listName).filter(Boolean))];
+    }
+}
+
+
+// =============================================================================
+// EMAIL NORMALIZATION
+// =============================================================================
+
+/**
+ * Normalize an email address for use as a key.
+ *
+ * Algorithm:
+ * 1. Trim, strip a "mailto:" prefix and surrounding angle brackets
+ * 2. Lowercase (the local part is treated as case-insensitive, as every
+ *    mainstream provider does)
+ * 3. Return '' unless the result has one @ with a dotted domain
+ *
+ * @param {string} email - Raw email string (e.g., " <John.Smith@Example.com> ")
+ * @returns {string} Normalized address, or empty string if invalid
+ */
+function normalizeEmailAddress(email) {
+    if (!email || typeof email !== 'string') return '';
+
+    const normalized = email.trim()
+        .replace(/^<(.*)>$/, '$1')
+        .trim()
+        .replace(/^mailto:/i, '')
+        .toLowerCase();
+
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized) ? normalized : '';
+}
+
+
+// =============================================================================
+// EMAIL DATABASE
+// =============================================================================
+
+/**
+ * EmailDatabase - Persistent database for imported email addresses.
+ *
+ * Extends SupplementalDataDatabase with email key normalization
+ * and convenience methods.
+ */
+class EmailDatabase extends SupplementalDataDatabase {
+    /**
+     * @param {Object} [config] - Optional configuration override
+     */
+    constructor(config = {}) {
+        super({
+            objectType: 'Email',
+            databaseFileId: config.databaseFileId || EMAIL_DATABASE_INDEX_FILE_ID,
+            folderFileId: config.folderFileId || EMAIL_DATABASE_FOLDER_ID,
+            deletedFolderFileId: config.deletedFolderFileId || EMAIL_DATABASE_DELETED_FOLDER_ID,
+            bulkFileId: config.bulkFileId || EMAIL_DATABASE_BULK_FILE_ID
+        });
+    }
+
+    // =========================================================================
+    // KEY MANAGEMENT OVERRIDES
+    // =========================================================================
+
+    /**
+     * Normalize an email address key.
+     * @param {string} key - Raw or normalized email address
+     * @returns {string} Normalized email address
+     * @override
+     */
+    _normalizeKey(key) {
+        const normalized = normalizeEmailAddress(key);
+        if (!normalized) {
+            throw new Error(`Invalid email address "${key}"`);
+        }
+        return normalized;
+    }
+
+    /**
+     * Extract the primary key from an EmailEntry.
+     * @param {EmailEntry} entry
+     * @returns {string}
+     * @override
+     */
+    _getEntryKey(entry) {
+        if (!entry.emailAddress) {
+            throw new Error('EmailEntry has no emailAddress');
+        }
+        return entry.emailAddress;
+    }
+
+    // =========================================================================
+    // EMAIL-SPECIFIC METHODS
+    // =========================================================================
+
+    /**
+     * Add an imported list row to the database.
+     * If an EmailEntry already exists for this address, the row is appended
+     * to its rawRecords array. Otherwise a new entry is created.
+     *
+     * @param {Object} record - Row from parseEmailListCsv()
+     * @returns {string} Normalized email key
+     */
+    addRecord(record) {
+        const normalized = normalizeEmailAddress(record.email);
+        if (!normalized) {
+            throw new Error(`Cannot add record: invalid email "${record.email}" (row ${record.rowNumber})`);
+        }
+
+        if (this.has(normalized)) {
+            this.get(normalized).addRawRecord(record);
+            return normalized;
+        }
+
+        return this.addEntry(new EmailEntry({
+            emailAddress: normalized,
+            rawRecords: [record],
+            sourceMetadata: {
+                sourceFile: record.listName || 'email list',
+                importDate: new Date().toISOString()
+            }
+        }));
+    }
+
+    /**
+     * Search entries by name substring (case-insensitive)
+     * @param {string} nameFragment
+     * @returns {Array<{key: string, entry: EmailEntry}>}
+     */
+    searchByName(nameFragment) {
+        const upper = nameFragment.toUpperCase();
+        const results = [];
+
+        for (const [key, wrapper] of this.entries) {
+            const found = wrapper.entry.rawRecords.some(record =>
+                (record.name?.raw || '').toUpperCase().includes(upper) ||
+                (record.name?.lastName || '').toUpperCase().includes(upper) ||
+                (record.name?.firstName || '').toUpperCase().includes(upper));
+            if (found || key.toUpperCase().includes(upper)) {
+                results.push({ key, entry: wrapper.entry });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Get entries at a domain
+     * @param {string} domain - e.g. "gmail.com"
+     * @returns {Array<{key: string, entry: EmailEntry}>}
+     */
+    searchByDomain(domain) {
+        const wanted = String(domain || '').trim().toLowerCase().replace(/^@/, '');
+        const results = [];
+
+        for (const [key, wrapper] of this.entries) {
+            if (wrapper.entry.getDomain() === wanted) {
+                results.push({ key, entry: wrapper.entry });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Email addresses matched to an EntityGroup, as CollectiveEmail member items.
+     *
+     * An entry belongs to the group if an association names one of the group's
+     * member entity keys (stable across rebuilds) or, for associations without an
+     * entityKey, the group's index. Entries excluding the group are skipped.
+     *
+     * @param {EntityGroup} group
+     * @returns {Array<SimpleIdentifiers>} One SimpleIdentifiers(EmailTerm) per address
+     */
+    getEmailIdentifiersForGroup(group) {
+        const memberKeys = new Set(group.memberKeys || []);
+        const identifiers = [];
+
+        for (const [key, wrapper] of this.entries) {
+            const entry = wrapper.entry;
+            if (entry.isGroupExcluded(group.index)) continue;
+
+            const association = entry.matchAssociations.find(a =>
+                a.entityKey ? memberKeys.has(a.entityKey) : a.groupIndex === group.index);
+            if (association) {
+                identifiers.push(new SimpleIdentifiers(
+                    new EmailTerm(key, 'EMAIL_DATABASE', key, association.entityKey || `group:${group.index}`)));
+            }
+        }
+
+        return identifiers;
+    }
+
+    // =========================================================================
+    // STATISTICS OVERRIDE
+    // =========================================================================
+
+    /**
+     * Get email-specific statistics
+     * @returns {Object}
+     * @override
+     */
+    getStats() {
+        const baseStats = super.getStats();
+
+        const domains = new Set();
+        const lists = {};
+        let totalRawRecords = 0;
+
+        for (const [, wrapper] of this.entries) {
+            const entry = wrapper.entry;
+            domains.add(entry.getDomain());
+            totalRawRecords += entry.rawRecords.length;
+            for (const listName of entry.getSourceLists()) {
+                lists[listName] = (lists[listName] || 0) + 1;
+            }
+        }
+
+        return {
+            ...baseStats,
+            totalRawRecords,
+            domainCount: domains.size,
+            lists
+        };
+    }
+}
+
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+if (typeof window !== 'undefined') {
+    window.EmailEntry = EmailEntry;
+    window.EmailDatabase = EmailDatabase;
+    window.normalizeEmailAddress = normalizeEmailAddress;
+
+    window.EMAIL_DATABASE_INDEX_FILE_ID = EMAIL_DATABASE_INDEX_FILE_ID;
+    window.EMAIL_DATABASE_FOLDER_ID = EMAIL_DATABASE_FOLDER_ID;
+    window.EMAIL_DATABASE_DELETED_FOLDER_ID = EMAIL_DATABASE_DELETED_FOLDER_ID;
+    window.EMAIL_DATABASE_BULK_FILE_ID = EMAIL_DATABASE_BULK_FILE_ID;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EmailEntry, EmailDatabase, normalizeEmailAddress,
+        EMAIL_DATABASE_INDEX_FILE_ID, EMAIL_DATABASE_FOLDER_ID,
+        EMAIL_DATABASE_DELETED_FOLDER_ID, EMAIL_DATABASE_BULK_FILE_ID
+    };
+}
+
+console.log('EmailDatabase class loaded.');
@@ -32,7 +32,7 @@
 // =============================================================================
 
 /**
- * Get the homonym threshold from MATCH_CRITERIA
+ * Get the homonym threshold from MATCH_CRITERIA (set by the active matching profile)
  * Homonyms are high-similarity matches considered the same name
  * @returns {number} Threshold value
  */
@@ -40,11 +40,11 @@ function getIndividualNameHomonymThreshold() {
     if (typeof MATCH_CRITERIA !== 'undefined' && MATCH_CRITERIA.trueMatch?.nameAlone) {
         return MATCH_CRITERIA.trueMatch.nameAlone;
     }
-    throw new Error('MATCH_CRITERIA not loaded - ensure unifiedEntityBrowser.js is loaded first');
+    throw new Error('MATCH_CRITERIA not loaded - ensure matching/matchCriteria.js is loaded first');
 }
 
 /**
- * Get the synonym threshold from MATCH_CRITERIA
+ * Get the synonym threshold from MATCH_CRITERIA (set by the active matching profile)
  * Synonyms are medium-similarity matches that may be the same name (staging for review)
  * @returns {number} Threshold value
  */
@@ -52,7 +52,7 @@ function getIndividualNameSynonymThreshold() {
     if (typeof MATCH_CRITERIA !== 'undefined' && MATCH_CRITERIA.nearMatch?.nameAlone) {
         return MATCH_CRITERIA.nearMatch.nameAlone;
     }
-    throw new Error('MATCH_CRITERIA not loaded - ensure unifiedEntityBrowser.js is loaded first');
+    throw new Error('MATCH_CRITERIA not loaded - ensure matching/matchCriteria.js is loaded first');
 }
 
 /**
@@ -11,6 +11,10 @@
  * - Bulk file: Stored in the Objects folder with name "BULK_DATABASE.json"
  * - Progress file: Stored in Objects folder with name "FILEOUT_PROGRESS.json"
  *
+ * Bulk save/load, backup, file-out and index saves go through getStorageAdapter(),
+ * so they also work against a local directory. The reconciliation and diagnostic
+ * tools below still talk to Google Drive directly.
+ *
  * USAGE:
  *   // Step 1: Save bulk file (fast - single API call)
  *   await saveIndividualNameDatabaseBulk();
@@ -80,6 +84,19 @@ async function fetchWithTimeout(url, options, timeoutMs = FETCH_TIMEOUT_MS) {
 // BULK SAVE - Single JSON file with entire database
 // =============================================================================
 
+/**
+ * Bulk file JSON with its integrity block (entry count, content hash), so a
+ * partial upload is refused on load instead of silently dropping entries
+ *
+ * @param {Object} bulkData - IndividualNameDatabaseBulk object
+ * @returns {string} JSON to save
+ */
+function serializeIndividualNameBulkForSave(bulkData) {
+    return addDatabaseIntegrity(JSON.stringify(bulkData, null, 2), 'IndividualNameDatabaseBulk', {
+        entityCount: Object.keys(bulkData.entries).length
+    });
+}
+
 /**
  * Save the entire IndividualNameDatabase as a single bulk JSON file
  * This is fast (single API call) and provides a reliable backup
@@ -124,26 +141,12 @@ async function saveIndividualNameDatabaseBulk(db = null) {
         };
     }
 
-    const jsonContent = JSON.stringify(bulkData, null, 2);
+    const jsonContent = serializeIndividualNameBulkForSave(bulkData);
     console.log(`JSON size: ${(jsonContent.length / 1024).toFixed(1)} KB`);
 
     // Save to hardcoded bulk file ID
     console.log(`Saving to bulk file: ${BULK_DATABASE_FILE_ID}`);
-    const response = await fetch(
-        `https://www.googleapis.com/upload/drive/v3/files/${BULK_DATABASE_FILE_ID}?uploadType=media`,
-        {
-            method: 'PATCH',
-            headers: new Headers({
-                'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                'Content-Type': 'application/json'
-            }),
-            body: jsonContent
-        }
-    );
-
-    if (!response.ok) {
-        throw new Error(`Failed to save bulk file: HTTP ${response.status}`);
-    }
+    await getStorageAdapter().writeFile(BULK_DATABASE_FILE_ID, jsonContent);
 
     console.log('=== BULK SAVE COMPLETE ===');
     console.log(`File ID: ${BULK_DATABASE_FILE_ID}`);
@@ -192,26 +195,12 @@ async function saveDevBulkFile(db = null) {
         };
     }
 
-    const jsonContent = JSON.stringify(bulkData, null, 2);
+    const jsonContent = serializeIndividualNameBulkForSave(bulkData);
     console.log(`JSON size: ${(jsonContent.length / 1024).toFixed(1)} KB`);
 
     // Save to DEV bulk file only
     console.log(`Saving to DEV bulk file: ${DEV_BULK_DATABASE_FILE_ID}`);
-    const response = await fetch(
-        `https://www.googleapis.com/upload/drive/v3/files/${DEV_BULK_DATABASE_FILE_ID}?uploadType=media`,
-        {
-            method: 'PATCH',
-            headers: new Headers({
-                'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                'Content-Type': 'application/json'
-            }),
-            body: jsonContent
-        }
-    );
-
-    if (!response.ok) {
-        throw new Error(`Failed to save DEV bulk file: HTTP ${response.status}`);
-    }
+    await getStorageAdapter().writeFile(DEV_BULK_DATABASE_FILE_ID, jsonContent);
 
     console.log('=== DEV BULK SAVE COMPLETE ===');
     console.log(`File ID: ${DEV_BULK_DATABASE_FILE_ID}`);
@@ -225,61 +214,54 @@ async function saveDevBulkFile(db = null) {
     };
 }
 
+/**
+ * Populate the IndividualNameDatabase from already-parsed bulk file contents.
+ * Shared by the Drive loader below and by callers that read the bulk file
+ * from elsewhere (e.g. the headless CLI reading a local copy).
+ *
+ * @param {Object} bulkData - Parsed IndividualNameDatabaseBulk JSON
+ * @param {Object} [options]
+ * @param {Object} [options.migration] - From startSerializationMigration(), for files saved under an older schema
+ * @returns {IndividualNameDatabase} The populated database (also set as window.individualNameDatabase)
+ */
+function populateIndividualNameDatabaseFromBulk(bulkData, options = {}) {
+    // Get or create database instance
+    const db = window.individualNameDatabase || new IndividualNameDatabase();
+    db.loadFromBulkData(bulkData, options);
+
+    // Ensure global reference
+    window.individualNameDatabase = db;
+    return db;
+}
+
 /**
  * Load the IndividualNameDatabase from the bulk JSON file
  * Use this to restore the database after browser refresh before resuming file-out
+ * Refuses a bulk file whose integrity block does not match its content or entry count.
  *
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Load a file that fails its integrity check (warns instead)
  * @returns {Promise<IndividualNameDatabase>} The loaded database
  */
-async function loadIndividualNameDatabaseFromBulk() {
+async function loadIndividualNameDatabaseFromBulk(options = {}) {
     console.log('[IndividualNameSaveManager] Loading database from bulk file...');
 
-    // 1. Fetch bulk file from Google Drive (raw fetch — gapi.client.drive is banned)
-    const response = await fetchWithTimeout(
-        `https://www.googleapis.com/drive/v3/files/${BULK_DATABASE_FILE_ID}?alt=media`,
-        {
-            method: 'GET',
-            headers: new Headers({
-                'Authorization': `Bearer ${gapi.client.getToken().access_token}`
-            })
-        }
+    // 1. Read bulk file through the active storage adapter and check its integrity block
+    const checked = readDatabaseIntegrity(
+        await getStorageAdapter().readFile(BULK_DATABASE_FILE_ID, { timeoutMs: FETCH_TIMEOUT_MS }),
+        'IndividualNameDatabaseBulk', BULK_DATABASE_FILE_ID, options
     );
-    if (!response.ok) {
-        throw new Error(`Failed to load bulk file: HTTP ${response.status}`);
-    }
-
-    const bulkData = await response.json();
-
-    // 2. Validate format
-    if (bulkData.__format !== 'IndividualNameDatabaseBulk') {
-        throw new Error(`Invalid bulk file format: ${bulkData.__format}`);
-    }
-
+    const bulkData = JSON.parse(checked.content);
     console.log(`[IndividualNameSaveManager] Bulk file contains ${bulkData.__count} entries`);
+    checkDatabaseCounts(checked.integrity, { entityCount: Object.keys(bulkData.entries || {}).length },
+        BULK_DATABASE_FILE_ID, options);
 
-    // 3. Get or create database instance
-    const db = window.individualNameDatabase || new IndividualNameDatabase();
-    db.entries.clear();
-
-    // 4. Deserialize and populate entries
-    let loaded = 0;
-    for (const [primaryKey, entryData] of Object.entries(bulkData.entries)) {
-        const object = deserializeWithTypes(entryData.object);
-        db.entries.set(primaryKey, {
-            object: object,
-            fileId: null,  // Not yet filed out
-            created: entryData.created,
-            lastModified: entryData.lastModified
-        });
-        loaded++;
-    }
-
-    // 5. Build variation cache and mark loaded
-    db._buildVariationCache();
-    db._isLoaded = true;
-
-    // 6. Ensure global reference
-    window.individualNameDatabase = db;
+    // 2. Validate, deserialize (upgrading entries saved under an older schema) and populate
+    //    (builds variation cache, marks loaded)
+    const migration = startSerializationMigration(getSavedSchemaVersion(checked.integrity));
+    const db = populateIndividualNameDatabaseFromBulk(bulkData, { migration });
+    console.log(`[IndividualNameSaveManager] ${formatSerializationMigrationReport(migration.report())}`);
+    const loaded = db.entries.size;
 
     console.log(`[IndividualNameSaveManager] Loaded ${loaded} entries from bulk file`);
     db.printStats();
@@ -365,21 +347,11 @@ async function fileOutIndividualNames(options = {}) {
     // Index entries for updating
     const indexEntries = {};
 
-    // Load existing index if available (raw fetch — gapi.client.drive is banned)
+    // Load existing index if available
     try {
-        const indexResponse = await fetchWithTimeout(
-            `https://www.googleapis.com/drive/v3/files/${config.indexFileId}?alt=media`,
-            {
-                method: 'GET',
-                headers: new Headers({
-                    'Authorization': `Bearer ${gapi.client.getToken().access_token}`
-                })
-            }
+        const existingIndex = JSON.parse(
+            await getStorageAdapter().readFile(config.indexFileId, { timeoutMs: FETCH_TIMEOUT_MS })
         );
-        if (!indexResponse.ok) {
-            throw new Error(`Index load failed: HTTP ${indexResponse.status}`);
-        }
-        const existingIndex = await indexResponse.json();
         if (existingIndex.entries) {
             Object.assign(indexEntries, existingIndex.entries);
         }
@@ -456,62 +428,14 @@ async function saveIndividualEntry(primaryKey, entry, indexEntries, folderId = I
 
     // Check if file already exists in index
     let fileId = indexEntries[primaryKey]?.fileId;
+    const storage = getStorageAdapter();
 
     if (fileId) {
         // Update existing file at its current location
-        const response = await fetchWithTimeout(
-            `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=media`,
-            {
-                method: 'PATCH',
-                headers: new Headers({
-                    'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                    'Content-Type': 'application/json'
-                }),
-                body: jsonContent
-            }
-        );
-
-        if (!response.ok) {
-            throw new Error(`Update failed: HTTP ${response.status}`);
-        }
+        await storage.writeFile(fileId, jsonContent, { timeoutMs: FETCH_TIMEOUT_MS });
     } else {
-        // Create new file with content in single multipart upload (raw fetch — gapi.client.drive is banned)
-        const metadata = {
-            name: fileName,
-            mimeType: 'application/json',
-            parents: [folderId]
-        };
-        const boundary = '-------314159265358979323846';
-        const delimiter = '\r\n--' + boundary + '\r\n';
-        const closeDelimiter = '\r\n--' + boundary + '--';
-
-        const multipartBody =
-            delimiter +
-            'Content-Type: application/json; charset=UTF-8\r\n\r\n' +
-            JSON.stringify(metadata) +
-            delimiter +
-            'Content-Type: application/json\r\n\r\n' +
-            jsonContent +
-            closeDelimiter;
-
-        const createResponse = await fetchWithTimeout(
-            'https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart&fields=id',
-            {
-                method: 'POST',
-                headers: new Headers({
-                    'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                    'Content-Type': `multipart/related; boundary=${boundary}`
-                }),
-                body: multipartBody
-            }
-        );
-
-        if (!createResponse.ok) {
-            throw new Error(`Create failed: HTTP ${createResponse.status}`);
-        }
-
-        const createResult = await createResponse.json();
-        fileId = createResult.id;
+        // Create new file with content in a single upload
+        fileId = await storage.createFile(fileName, folderId, jsonContent, { timeoutMs: FETCH_TIMEOUT_MS });
     }
 
     // Update index entry
@@ -590,17 +514,9 @@ function clearFileOutProgress() {
  */
 async function findFileInFolder(folderId, fileName) {
     try {
-        const response = await gapi.client.drive.files.list({
-            q: `'${folderId}' in parents and name = '${fileName}' and trashed = false`,
-            fields: 'files(id, name)',
-            pageSize: 1
-        });
-
-        if (response.result.files && response.result.files.length > 0) {
-            return response.result.files[0].id;
-        }
-
-        return null;
+        const files = await getStorageAdapter().listFolder(folderId);
+        const match = files.find(f => f.name === fileName);
+        return match ? match.id : null;
     } catch (e) {
         console.error('Error finding file:', e);
         return null;
@@ -629,21 +545,7 @@ async function saveIndexFile(indexEntries, objectCount, indexFileId = INDIVIDUAL
 
     const indexJson = JSON.stringify(indexData, null, 2);
 
-    const response = await fetch(
-        `https://www.googleapis.com/upload/drive/v3/files/${indexFileId}?uploadType=media`,
-        {
-            method: 'PATCH',
-            headers: new Headers({
-                'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                'Content-Type': 'application/json'
-            }),
-            body: indexJson
-        }
-    );
-
-    if (!response.ok) {
-        throw new Error(`Failed to save index: HTTP ${response.status}`);
-    }
+    await getStorageAdapter().writeFile(indexFileId, indexJson);
 }
 
 // =============================================================================
@@ -663,25 +565,13 @@ async function isFirstRun() {
         return false; // Has progress — definitely not first run
     }
 
-    // No localStorage progress — check if a bulk file exists on Google Drive
+    // No localStorage progress — check if a bulk file exists in storage
     try {
-        const response = await fetchWithTimeout(
-            `https://www.googleapis.com/drive/v3/files/${BULK_DATABASE_FILE_ID}?fields=size`,
-            {
-                method: 'GET',
-                headers: new Headers({
-                    'Authorization': `Bearer ${gapi.client.getToken().access_token}`
-                })
-            },
-            15000
-        );
-        if (response.ok) {
-            const metadata = await response.json();
-            if (metadata.size && parseInt(metadata.size) > 1000) {
-                console.log('[isFirstRun] No localStorage progress, but bulk file exists (' +
-                    metadata.size + ' bytes). This is NOT a first run.');
-                return false;
-            }
+        const metadata = await getStorageAdapter().getFileMetadata(BULK_DATABASE_FILE_ID);
+        if (metadata.size && parseInt(metadata.size) > 1000) {
+            console.log('[isFirstRun] No localStorage progress, but bulk file exists (' +
+                metadata.size + ' bytes). This is NOT a first run.');
+            return false;
         }
     } catch (e) {
         console.log('[isFirstRun] Could not check bulk file: ' + e.message);
@@ -1395,41 +1285,13 @@ async function backupBulkFile() {
     console.log('\n=== BACKING UP BULK FILE ===');
 
     try {
-        // Load bulk file content (raw fetch — gapi.client.drive is banned)
-        const bulkResponse = await fetchWithTimeout(
-            `https://www.googleapis.com/drive/v3/files/${BULK_DATABASE_FILE_ID}?alt=media`,
-            {
-                method: 'GET',
-                headers: new Headers({
-                    'Authorization': `Bearer ${gapi.client.getToken().access_token}`
-                })
-            }
-        );
-        if (!bulkResponse.ok) {
-            throw new Error(`Failed to load bulk file: HTTP ${bulkResponse.status}`);
-        }
-        const bulkContent = await bulkResponse.text();
+        // Copy bulk file content to the backup file
+        const storage = getStorageAdapter();
+        const bulkContent = await storage.readFile(BULK_DATABASE_FILE_ID, { timeoutMs: FETCH_TIMEOUT_MS });
+        await storage.writeFile(BULK_BACKUP_FILE_ID, bulkContent);
 
-        // Write to backup file
-        const backupResponse = await fetch(
-            `https://www.googleapis.com/upload/drive/v3/files/${BULK_BACKUP_FILE_ID}?uploadType=media`,
-            {
-                method: 'PATCH',
-                headers: new Headers({
-                    'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                    'Content-Type': 'application/json'
-                }),
-                body: bulkContent
-            }
-        );
-
-        if (backupResponse.ok) {
-            console.log(`Bulk file backed up to ${BULK_BACKUP_FILE_ID}`);
-            return { success: true, message: 'Bulk file backed up successfully' };
-        } else {
-            console.warn(`Backup failed: HTTP ${backupResponse.status}`);
-            return { success: false, message: `Backup failed: HTTP ${backupResponse.status}` };
-        }
+        console.log(`Bulk file backed up to ${BULK_BACKUP_FILE_ID}`);
+        return { success: true, message: 'Bulk file backed up successfully' };
     } catch (backupError) {
         console.error('Backup error:', backupError.message);
         return { success: false, message: `Backup error: ${backupError.message}` };
@@ -2587,6 +2449,7 @@ async function compareBackupToOriginal() {
 
 if (typeof window !== 'undefined') {
     window.saveIndividualNameDatabaseBulk = saveIndividualNameDatabaseBulk;
+    window.populateIndividualNameDatabaseFromBulk = populateIndividualNameDatabaseFromBulk;
     window.saveDevBulkFile = saveDevBulkFile;  // For move alias feature (DEV bulk only)
     window.saveIndividualEntry = saveIndividualEntry;  // For move alias feature
     window.loadIndividualNameDatabaseFromBulk = loadIndividualNameDatabaseFromBulk;
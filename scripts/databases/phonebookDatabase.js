@@ -58,6 +58,7 @@ class PhonebookEntry extends SupplementalDataEntry {
      * @param {Array}  [config.exclusions] - Explicit exclusions
      * @param {Object} [config.userDeclarations] - User declaration overrides
      * @param {Object} [config.sourceMetadata] - Source file metadata
+     * @param {string} [config.inactiveSince] - Directory edition the number vanished from (null while listed)
      */
     constructor(config = {}) {
         super(config);
@@ -68,6 +69,10 @@ class PhonebookEntry extends SupplementalDataEntry {
         this.isIslandNumber = config.isIslandNumber || false;
         this.nameVariations = config.nameVariations || [];
 
+        // Numbers missing from a newer directory edition are kept, with their
+        // declarations, but marked inactive (see applyPhonebookEditionUpdate)
+        this.inactiveSince = config.inactiveSince || null;
+
         // entryKey is the normalized phone number
         this.entryKey = this.phoneNumber;
     }
@@ -80,6 +85,15 @@ class PhonebookEntry extends SupplementalDataEntry {
         this.rawRecords.push(record);
     }
 
+    /**
+     * Check whether the number has vanished from the current directory edition.
+     * Entries saved before edition tracking have no inactiveSince property.
+     * @returns {boolean}
+     */
+    isInactive() {
+        return !!this.inactiveSince;
+    }
+
     /**
      * Get all distinct name forms across rawRecords
      * @returns {Array<{lastName: string, firstName: string, secondName: string|null}>}
@@ -376,6 +390,41 @@ class PhonebookDatabase extends SupplementalDataDatabase {
         return results;
     }
 
+    /**
+     * Search entries by phone number digits (substring of the normalized key)
+     * @param {string} phoneFragment - e.g. "466-2481" or "4662481"
+     * @returns {Array<{key: string, entry: PhonebookEntry}>}
+     */
+    searchByPhone(phoneFragment) {
+        const digits = String(phoneFragment || '').replace(/\D/g, '');
+        if (!digits) return [];
+
+        const results = [];
+        for (const [key, wrapper] of this.entries) {
+            if (key.includes(digits)) {
+                results.push({ key, entry: wrapper.entry });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Get entries associated with or excluded from an entity group
+     * @param {number} groupIndex
+     * @returns {Array<{key: string, entry: PhonebookEntry}>}
+     */
+    searchByGroupIndex(groupIndex) {
+        const results = [];
+        for (const [key, wrapper] of this.entries) {
+            const entry = wrapper.entry;
+            if (entry.matchAssociations.some(a => a.groupIndex === groupIndex) ||
+                entry.exclusions.some(e => e.groupIndex === groupIndex)) {
+                results.push({ key, entry });
+            }
+        }
+        return results;
+    }
+
     // =========================================================================
     // STATISTICS OVERRIDE
     // =========================================================================
@@ -393,10 +442,12 @@ class PhonebookDatabase extends SupplementalDataDatabase {
         let totalRawRecords = 0;
         let sharedNumbers = 0;
         let couplesCount = 0;
+        let inactiveCount = 0;
 
         for (const [, wrapper] of this.entries) {
             const entry = wrapper.entry;
 
+            if (entry.isInactive()) inactiveCount++;
             if (entry.isIslandNumber) islandCount++;
             else offIslandCount++;
 
@@ -415,7 +466,8 @@ class PhonebookDatabase extends SupplementalDataDatabase {
             offIslandNumbers: offIslandCount,
             totalRawRecords,
             sharedNumbers,
-            couplesCount
+            couplesCount,
+            inactiveNumbers: inactiveCount
         };
     }
 
@@ -432,6 +484,7 @@ class PhonebookDatabase extends SupplementalDataDatabase {
         console.log(`  Off-island numbers: ${stats.offIslandNumbers}`);
         console.log(`  Shared numbers: ${stats.sharedNumbers}`);
         console.log(`  Couples: ${stats.couplesCount}`);
+        console.log(`  Inactive (not in current edition): ${stats.inactiveNumbers}`);
         console.log(`Matched: ${stats.matched}`);
         console.log(`Unmatched: ${stats.unmatched}`);
         console.log(`With exclusions: ${stats.withExclusions}`);
@@ -13,10 +13,15 @@
  * - Safe index update pattern to prevent null-fileId corruption
  *
  * PERSISTENCE LAYERS:
- * 1. Bulk file    -> fast loading (single API call), used during entity group builds
+ * 1. Bulk file    -> fast loading (single API call), used during entity group builds.
+ *    Saved with an integrity block (entry count, hash, schema version; see
+ *    scripts/core/databaseIntegrity.js) and upgraded on load by the registered
+ *    serialization migrations.
  * 2. Individual files -> targeted updates, used during maintenance
  * 3. Index file   -> maps entry keys to Google Drive file IDs
  *
+ * All file I/O goes through getStorageAdapter() (Google Drive or local directory).
+ *
  * USAGE:
  * Extend this class for specific data sources (e.g., PhonebookDatabase).
  *
@@ -62,7 +67,7 @@ class SupplementalDataEntry {
         this.exclusions = config.exclusions || [];
 
         // User declarations that override algorithmic results
-        // e.g., { classificationOverride: 'nonhuman', declaredDate: '...', reason: '...' }
+        // e.g., { classificationOverride: 'nonhuman', declaredBy: '...', declaredDate: '...', reason: '...' }
         this.userDeclarations = config.userDeclarations || {};
 
         // Source metadata
@@ -105,6 +110,86 @@ class SupplementalDataEntry {
         this.exclusions.push(exclusion);
     }
 
+    // =========================================================================
+    // USER DECLARATIONS (browser maintenance, with provenance)
+    // =========================================================================
+
+    /**
+     * Provenance recorded on every user declaration: who, when, and why
+     * @param {Object} provenance - { declaredBy, reason }
+     * @returns {{declaredBy: string, declaredDate: string, reason: string}}
+     */
+    _declarationProvenance(provenance = {}) {
+        const declaredBy = String(provenance.declaredBy || '').trim();
+        const reason = String(provenance.reason || '').trim();
+        if (!declaredBy || !reason) {
+            throw new Error('User declarations require declaredBy and reason');
+        }
+        return { declaredBy, declaredDate: new Date().toISOString(), reason };
+    }
+
+    /**
+     * Declare that this record belongs to an entity group (manual inclusion).
+     * Replaces any exclusion of the same group.
+     * @param {Object} declaration - { groupIndex, entityKey, declaredBy, reason }
+     * @returns {Object} The match association added
+     */
+    declareInclusion(declaration) {
+        const provenance = this._declarationProvenance(declaration);
+        const association = {
+            groupIndex: declaration.groupIndex ?? null,
+            entityKey: declaration.entityKey || null,
+            matchSource: 'manual',
+            matchType: 'user-declared',
+            ...provenance
+        };
+        this.addMatchAssociation(association);
+        if (association.groupIndex != null) {
+            this.exclusions = this.exclusions.filter(e => e.groupIndex !== association.groupIndex);
+        }
+        return association;
+    }
+
+    /**
+     * Declare that this record must NOT match an entity group.
+     * Removes the match associations to that group. Group indices change with
+     * every build, so the exclusion also records the entity keys of the removed
+     * associations (excludedEntityKeys); the build matchers skip those keys.
+     * @param {Object} declaration - { groupIndex, entityKey, declaredBy, reason }
+     * @returns {{exclusion: Object, removedAssociations: number}}
+     */
+    declareExclusion(declaration) {
+        const provenance = this._declarationProvenance(declaration);
+        const groupIndex = declaration.groupIndex ?? null;
+        const exclusion = {
+            groupIndex: groupIndex,
+            entityKey: declaration.entityKey || null,
+            excludedEntityKeys: [...new Set(this.matchAssociations
+                .filter(a => a.groupIndex === groupIndex && a.entityKey)
+                .map(a => a.entityKey))],
+            ...provenance
+        };
+        this.addExclusion(exclusion);
+        return { exclusion, removedAssociations: this.removeMatchAssociationsForGroup(exclusion.groupIndex) };
+    }
+
+    /**
+     * Declare the classification of this record, overriding the algorithmic one
+     * (see getEffectiveClassification)
+     * @param {string} classification - 'person' or 'nonhuman'
+     * @param {Object} provenance - { declaredBy, reason }
+     */
+    declareClassification(classification, provenance) {
+        if (classification !== 'person' && classification !== 'nonhuman') {
+            throw new Error(`Cannot declare classification "${classification}" (expected person or nonhuman)`);
+        }
+        this.userDeclarations = {
+            ...this.userDeclarations,
+            classificationOverride: classification,
+            ...this._declarationProvenance(provenance)
+        };
+    }
+
     /**
      * Check if this entry has any match associations
      * @returns {boolean}
@@ -122,6 +207,20 @@ class SupplementalDataEntry {
         return this.exclusions.some(e => e.groupIndex === groupIndex);
     }
 
+    /**
+     * Entity keys this record must not be matched to: the declared entityKey of
+     * each exclusion plus the keys its declaration removed
+     * @returns {Set<string>}
+     */
+    getExcludedEntityKeys() {
+        const keys = new Set();
+        for (const exclusion of this.exclusions) {
+            if (exclusion.entityKey) keys.add(exclusion.entityKey);
+            (exclusion.excludedEntityKeys || []).forEach(key => keys.add(key));
+        }
+        return keys;
+    }
+
     /**
      * Get the effective classification (user declaration overrides algorithmic)
      * @returns {string}
@@ -244,28 +343,63 @@ class SupplementalDataDatabase {
     // LOADING - BULK FILE
     // =========================================================================
 
+    /**
+     * Database name in the bulk file's integrity block, e.g. 'PhonebookDatabaseBulk'
+     * @returns {string}
+     */
+    _bulkDatabaseName() {
+        return `${this.objectType}DatabaseBulk`;
+    }
+
     /**
      * Load the entire database from a single bulk file.
      * Fast loading for entity group builds and normal operation.
      * Note: entries loaded from bulk have fileId=null (use index for file mapping).
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false] - Load a file that fails its integrity check (warns instead)
      * @returns {Promise<void>}
      */
-    async loadFromBulk() {
+    async loadFromBulk(options = {}) {
         this._validateBulkConfig();
 
         const startTime = Date.now();
         console.log(`[${this.objectType}Database] Loading from bulk file...`);
 
-        const response = await fetch(
-            `https://www.googleapis.com/drive/v3/files/${this.bulkFileId}?alt=media`,
-            { headers: { 'Authorization': `Bearer ${gapi.client.getToken().access_token}` } }
-        );
-        if (!response.ok) {
-            throw new Error(`Failed to load bulk file: HTTP ${response.status}: ${await response.text()}`);
-        }
+        const report = this.loadFromBulkText(await getStorageAdapter().readFile(this.bulkFileId), this.bulkFileId, options);
+        console.log(`[${this.objectType}Database] ${formatSerializationMigrationReport(report)}`);
+
+        const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
+        console.log(`[${this.objectType}Database] Loaded ${this.entries.size} entries from bulk in ${elapsed}s`);
+    }
 
-        const bulkData = deserializeWithTypes(await response.text());
+    /**
+     * Replace all entries with the contents of a saved bulk file: checks its
+     * integrity block, then deserializes it, upgrading entries saved under an
+     * older schema. Used by loadFromBulk() and by callers that read the bulk
+     * file themselves (e.g. the headless CLI reading a local copy). Files saved
+     * before integrity blocks load with a warning.
+     * @param {string} content - Bulk file text as written by saveBulk()
+     * @param {string} sourceId - File ID or path, named in errors
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false] - Load a file that fails its integrity check (warns instead)
+     * @returns {Object} Migration report (see formatSerializationMigrationReport())
+     */
+    loadFromBulkText(content, sourceId, options = {}) {
+        const checked = readDatabaseIntegrity(content, this._bulkDatabaseName(), sourceId, options);
+        const migration = startSerializationMigration(getSavedSchemaVersion(checked.integrity));
+        const bulkData = deserializeWithTypes(checked.content, CLASS_REGISTRY, migration);
+        checkDatabaseCounts(checked.integrity, { entityCount: Object.keys(bulkData?.entries || {}).length },
+            sourceId, options);
+        this.loadFromBulkData(bulkData);
+        return migration.report();
+    }
 
+    /**
+     * Replace all entries with the contents of an already-deserialized bulk file.
+     * Used by loadFromBulkText(); no integrity check or migration here.
+     * @param {Object} bulkData - Bulk data as produced by saveBulk(), after deserializeWithTypes
+     */
+    loadFromBulkData(bulkData) {
         this.entries.clear();
 
         if (bulkData && bulkData.entries) {
@@ -285,9 +419,6 @@ class SupplementalDataDatabase {
 
         this._isLoaded = true;
         this._loadedFrom = 'bulk';
-
-        const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
-        console.log(`[${this.objectType}Database] Loaded ${this.entries.size} entries from bulk in ${elapsed}s`);
     }
 
     /**
@@ -403,6 +534,19 @@ class SupplementalDataDatabase {
 
         console.log(`[${this.objectType}Database] Saving bulk file (${this.entries.size} entries)...`);
 
+        const jsonContent = this.serializeBulkForSave();
+
+        await getStorageAdapter().writeFile(this.bulkFileId, jsonContent);
+
+        console.log(`[${this.objectType}Database] Bulk file saved (${(jsonContent.length / 1024).toFixed(1)} KB)`);
+    }
+
+    /**
+     * Bulk file text as saveBulk() writes it: serializeWithTypes JSON with its
+     * integrity block (entry count, content hash, schema version). Sets lastModified.
+     * @returns {string}
+     */
+    serializeBulkForSave() {
         const bulkEntries = {};
         for (const [key, wrapper] of this.entries) {
             bulkEntries[key] = {
@@ -423,27 +567,10 @@ class SupplementalDataDatabase {
             entries: bulkEntries
         };
 
-        const jsonContent = serializeWithTypes(bulkData);
-
-        const response = await fetch(
-            `https://www.googleapis.com/upload/drive/v3/files/${this.bulkFileId}?uploadType=media`,
-            {
-                method: 'PATCH',
-                headers: new Headers({
-                    'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                    'Content-Type': 'application/json'
-                }),
-                body: jsonContent
-            }
-        );
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Failed to save bulk file: HTTP ${response.status}: ${errorText}`);
-        }
-
         this.lastModified = bulkData.lastModified;
-        console.log(`[${this.objectType}Database] Bulk file saved (${(jsonContent.length / 1024).toFixed(1)} KB)`);
+        return addDatabaseIntegrity(serializeWithTypes(bulkData), this._bulkDatabaseName(), {
+            entityCount: bulkData.entryCount
+        });
     }
 
     // =========================================================================
@@ -451,18 +578,20 @@ class SupplementalDataDatabase {
     // =========================================================================
 
     /**
-     * Load the index file from Google Drive
+     * Load the index file through the active storage adapter
      * @returns {Promise<Object>}
      */
     async _loadIndexFile() {
-        const response = await fetch(
-            `https://www.googleapis.com/drive/v3/files/${this.databaseFileId}?alt=media`,
-            { headers: { 'Authorization': `Bearer ${gapi.client.getToken().access_token}` } }
-        );
-        if (!response.ok) {
-            throw new Error(`Failed to load index file: HTTP ${response.status}: ${await response.text()}`);
-        }
-        return JSON.parse(await response.text());
+        return JSON.parse(await getStorageAdapter().readFile(this.databaseFileId));
+    }
+
+    /**
+     * Write the index file through the active storage adapter
+     * @param {Object} indexData
+     * @returns {Promise<void>}
+     */
+    async _writeIndexFile(indexData) {
+        await getStorageAdapter().writeFile(this.databaseFileId, JSON.stringify(indexData, null, 2));
     }
 
     /**
@@ -518,25 +647,7 @@ class SupplementalDataDatabase {
             );
         }
 
-        const indexData = this._buildIndexData();
-        const jsonContent = JSON.stringify(indexData, null, 2);
-
-        const response = await fetch(
-            `https://www.googleapis.com/upload/drive/v3/files/${this.databaseFileId}?uploadType=media`,
-            {
-                method: 'PATCH',
-                headers: new Headers({
-                    'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                    'Content-Type': 'application/json'
-                }),
-                body: jsonContent
-            }
-        );
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Failed to save index: HTTP ${response.status}: ${errorText}`);
-        }
+        await this._writeIndexFile(this._buildIndexData());
     }
 
     /**
@@ -564,24 +675,7 @@ class SupplementalDataDatabase {
         currentIndex.__lastModified = new Date().toISOString();
         currentIndex.__entryCount = Object.keys(currentIndex.entries).length;
 
-        const jsonContent = JSON.stringify(currentIndex, null, 2);
-
-        const response = await fetch(
-            `https://www.googleapis.com/upload/drive/v3/files/${this.databaseFileId}?uploadType=media`,
-            {
-                method: 'PATCH',
-                headers: new Headers({
-                    'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                    'Content-Type': 'application/json'
-                }),
-                body: jsonContent
-            }
-        );
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Failed to update index: HTTP ${response.status}: ${errorText}`);
-        }
+        await this._writeIndexFile(currentIndex);
     }
 
     /**
@@ -599,24 +693,7 @@ class SupplementalDataDatabase {
             currentIndex.__lastModified = new Date().toISOString();
             currentIndex.__entryCount = Object.keys(currentIndex.entries).length;
 
-            const jsonContent = JSON.stringify(currentIndex, null, 2);
-
-            const response = await fetch(
-                `https://www.googleapis.com/upload/drive/v3/files/${this.databaseFileId}?uploadType=media`,
-                {
-                    method: 'PATCH',
-                    headers: new Headers({
-                        'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                        'Content-Type': 'application/json'
-                    }),
-                    body: jsonContent
-                }
-            );
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Failed to remove from index: HTTP ${response.status}: ${errorText}`);
-            }
+            await this._writeIndexFile(currentIndex);
         }
     }
 
@@ -640,24 +717,7 @@ class SupplementalDataDatabase {
         currentIndex.__lastModified = new Date().toISOString();
         currentIndex.__entryCount = Object.keys(currentIndex.entries).length;
 
-        const jsonContent = JSON.stringify(currentIndex, null, 2);
-
-        const response = await fetch(
-            `https://www.googleapis.com/upload/drive/v3/files/${this.databaseFileId}?uploadType=media`,
-            {
-                method: 'PATCH',
-                headers: new Headers({
-                    'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                    'Content-Type': 'application/json'
-                }),
-                body: jsonContent
-            }
-        );
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Failed to batch update index: HTTP ${response.status}: ${errorText}`);
-        }
+        await this._writeIndexFile(currentIndex);
 
         console.log(`[${this.objectType}Database] Batch updated ${updates.length} index entries`);
     }
@@ -667,19 +727,12 @@ class SupplementalDataDatabase {
     // =========================================================================
 
     /**
-     * Load an individual object file from Google Drive
+     * Load an individual object file through the active storage adapter
      * @param {string} fileId
      * @returns {Promise<Object>}
      */
     async _loadObjectFile(fileId) {
-        const response = await fetch(
-            `https://www.googleapis.com/drive/v3/files/${fileId}?alt=media`,
-            { headers: { 'Authorization': `Bearer ${gapi.client.getToken().access_token}` } }
-        );
-        if (!response.ok) {
-            throw new Error(`Failed to load object file ${fileId}: HTTP ${response.status}: ${await response.text()}`);
-        }
-        return JSON.parse(await response.text());
+        return JSON.parse(await getStorageAdapter().readFile(fileId));
     }
 
     /**
@@ -712,7 +765,7 @@ class SupplementalDataDatabase {
     }
 
     /**
-     * Create a new individual file in Google Drive
+     * Create a new individual file in the entry folder
      * @param {SupplementalDataEntry} entry
      * @returns {Promise<string>} File ID of the created file
      */
@@ -722,44 +775,7 @@ class SupplementalDataDatabase {
         const key = this._normalizeKey(this._getEntryKey(entry));
         const fileName = this._generateFileName(key);
 
-        // Create file with content in a single multipart request
-        const jsonContent = serializeWithTypes(entry);
-        const boundary = '---supplementaldb_boundary';
-
-        const metadata = JSON.stringify({
-            name: fileName,
-            mimeType: 'application/json',
-            parents: [this.folderFileId]
-        });
-
-        const multipartBody =
-            `--${boundary}\r\n` +
-            `Content-Type: application/json; charset=UTF-8\r\n\r\n` +
-            `${metadata}\r\n` +
-            `--${boundary}\r\n` +
-            `Content-Type: application/json\r\n\r\n` +
-            `${jsonContent}\r\n` +
-            `--${boundary}--`;
-
-        const response = await fetch(
-            `https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart&fields=id`,
-            {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                    'Content-Type': `multipart/related; boundary=${boundary}`
-                },
-                body: multipartBody
-            }
-        );
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Failed to create entry file: HTTP ${response.status}: ${errorText}`);
-        }
-
-        const result = await response.json();
-        return result.id;
+        return getStorageAdapter().createFile(fileName, this.folderFileId, serializeWithTypes(entry));
     }
 
     /**
@@ -769,43 +785,12 @@ class SupplementalDataDatabase {
      * @returns {Promise<void>}
      */
     async _updateObjectFile(fileId, entry) {
-        const jsonContent = serializeWithTypes(entry);
-
-        const response = await fetch(
-            `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=media`,
-            {
-                method: 'PATCH',
-                headers: new Headers({
-                    'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                    'Content-Type': 'application/json'
-                }),
-                body: jsonContent
-            }
-        );
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Failed to update entry file: HTTP ${response.status}: ${errorText}`);
-        }
+        const storage = getStorageAdapter();
+        await storage.writeFile(fileId, serializeWithTypes(entry));
 
         // Update filename to match key
         const key = this._normalizeKey(this._getEntryKey(entry));
-        const fileName = this._generateFileName(key);
-        const renameResponse = await fetch(
-            `https://www.googleapis.com/drive/v3/files/${fileId}`,
-            {
-                method: 'PATCH',
-                headers: {
-                    'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ name: fileName })
-            }
-        );
-        if (!renameResponse.ok) {
-            const errorText = await renameResponse.text();
-            throw new Error(`Failed to rename entry file: HTTP ${renameResponse.status}: ${errorText}`);
-        }
+        await storage.renameFile(fileId, this._generateFileName(key));
     }
 
     /**
@@ -814,40 +799,16 @@ class SupplementalDataDatabase {
      * @returns {Promise<void>}
      */
     async _moveToDeleted(fileId) {
+        // Without a deleted folder the adapter trashes the file instead
+        await getStorageAdapter().moveToDeleted(fileId, {
+            folderId: this.folderFileId,
+            deletedFolderId: this.deletedFolderFileId,
+            name: `DELETED_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}_${fileId}.json`
+        });
+
         if (this.deletedFolderFileId) {
-            const deletedName = `DELETED_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}_${fileId}.json`;
-            const moveResponse = await fetch(
-                `https://www.googleapis.com/drive/v3/files/${fileId}?addParents=${this.deletedFolderFileId}&removeParents=${this.folderFileId}`,
-                {
-                    method: 'PATCH',
-                    headers: {
-                        'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({ name: deletedName })
-                }
-            );
-            if (!moveResponse.ok) {
-                const errorText = await moveResponse.text();
-                throw new Error(`Failed to move file to deleted: HTTP ${moveResponse.status}: ${errorText}`);
-            }
             console.log(`[${this.objectType}Database] Moved ${fileId} to deleted folder`);
         } else {
-            const trashResponse = await fetch(
-                `https://www.googleapis.com/drive/v3/files/${fileId}`,
-                {
-                    method: 'PATCH',
-                    headers: {
-                        'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({ trashed: true })
-                }
-            );
-            if (!trashResponse.ok) {
-                const errorText = await trashResponse.text();
-                throw new Error(`Failed to trash file: HTTP ${trashResponse.status}: ${errorText}`);
-            }
             console.log(`[${this.objectType}Database] Trashed ${fileId}`);
         }
     }
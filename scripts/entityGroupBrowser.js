@@ -17,6 +17,7 @@
 const ENTITYGROUP_FILE_ID_STORAGE_KEY = 'birava_entityGroupFileId';
 const ENTITYGROUP_REFERENCE_FILE_ID_STORAGE_KEY = 'birava_entityGroupReferenceFileId';
 const ENTITYGROUP_STATUS_NOTES_STORAGE_KEY = 'birava_entityGroupStatusNotes';
+const ENTITYGROUP_COMPARE_FILE_ID_STORAGE_KEY = 'birava_entityGroupCompareFileId';
 
 // =============================================================================
 // GLOBAL STATE MANAGEMENT
@@ -34,7 +35,10 @@ const entityGroupBrowser = {
     selectedIndex: -1,
 
     // Search state
-    searchQuery: ''
+    searchQuery: '',
+
+    // Last snapshot comparison report (from compareEntityGroupDatabases)
+    lastComparison: null
 };
 
 // =============================================================================
@@ -92,6 +96,15 @@ function restoreEntityGroupFileId() {
             console.log("📂 Restored EntityGroup reference file ID from localStorage");
         }
     }
+
+    // Restore snapshot compare file ID
+    const compareFileIdInput = document.getElementById('entityGroupCompareFileId');
+    if (compareFileIdInput) {
+        const savedCompareFileId = localStorage.getItem(ENTITYGROUP_COMPARE_FILE_ID_STORAGE_KEY);
+        if (savedCompareFileId) {
+            compareFileIdInput.value = savedCompareFileId;
+        }
+    }
 }
 
 /**
@@ -133,6 +146,17 @@ function setupFileIdPersistence() {
             }
         });
     }
+
+    // Snapshot compare file ID persistence
+    const compareFileIdInput = document.getElementById('entityGroupCompareFileId');
+    if (compareFileIdInput) {
+        compareFileIdInput.addEventListener('change', (event) => {
+            const fileId = event.target.value.trim();
+            if (fileId) {
+                localStorage.setItem(ENTITYGROUP_COMPARE_FILE_ID_STORAGE_KEY, fileId);
+            }
+        });
+    }
 }
 
 /**
@@ -175,6 +199,12 @@ function setupEntityGroupButtons() {
         statsBtn.addEventListener('click', showEntityGroupStats);
     }
 
+    // Compare Snapshot button
+    const compareBtn = document.getElementById('entityGroupCompareBtn');
+    if (compareBtn) {
+        compareBtn.addEventListener('click', compareEntityGroupSnapshot);
+    }
+
     // Clear button
     const clearBtn = document.getElementById('entityGroupClearBtn');
     if (clearBtn) {
@@ -245,6 +275,46 @@ function setupEntityGroupDropdowns() {
             applyEntityGroupFilters();
         });
     }
+
+    // Matching profile dropdown (built-in profiles, or a custom JSON file)
+    const profileSelect = document.getElementById('entityGroupMatchingProfile');
+    const profileFileInput = document.getElementById('entityGroupMatchingProfileFile');
+    if (profileSelect && typeof listMatchingProfiles === 'function') {
+        const options = listMatchingProfiles().map(name =>
+            `<option value="${name}" title="${escapeHtml(BUILT_IN_MATCHING_PROFILES[name].description || '')}">${name}</option>`);
+        options.push(`<option value="${CUSTOM_MATCHING_PROFILE_OPTION}">Custom JSON file...</option>`);
+        profileSelect.innerHTML = options.join('');
+        profileSelect.addEventListener('change', (event) => {
+            if (profileFileInput) {
+                profileFileInput.style.display = event.target.value === CUSTOM_MATCHING_PROFILE_OPTION ? '' : 'none';
+            }
+        });
+    }
+}
+
+// Matching profile dropdown value that selects a JSON file instead of a built-in profile
+const CUSTOM_MATCHING_PROFILE_OPTION = '__custom__';
+
+/**
+ * Apply the matching profile selected in the build controls
+ * @returns {Promise<Object>} The applied profile
+ * @throws {Error} No custom file chosen, or the file is not a valid profile
+ */
+async function applySelectedMatchingProfile() {
+    const profileSelect = document.getElementById('entityGroupMatchingProfile');
+    const selected = profileSelect ? profileSelect.value : 'default';
+
+    if (selected !== CUSTOM_MATCHING_PROFILE_OPTION) {
+        return applyMatchingProfile(selected || 'default');
+    }
+
+    const fileInput = document.getElementById('entityGroupMatchingProfileFile');
+    const file = fileInput && fileInput.files && fileInput.files[0];
+    if (!file) {
+        throw new Error('Choose a matching profile JSON file, or select a built-in profile');
+    }
+    const profile = parseMatchingProfileJson(await file.text(), file.name);
+    return applyMatchingProfile(profile, { source: file.name });
 }
 
 /**
@@ -342,13 +412,22 @@ async function loadEntityGroupDatabase() {
             alt: 'media'
         });
 
-        // Deserialize using deserializeWithTypes for automatic type restoration
-        entityGroupBrowser.loadedDatabase = deserializeWithTypes(response.body);
+        // Deserialize using deserializeWithTypes for automatic type restoration,
+        // refusing a file whose integrity block does not match (partial save)
+        const checked = readDatabaseIntegrity(response.body, 'EntityGroupDatabase', fileId);
+        const { value: groupDb, report: migration } =
+            deserializeWithMigrations(checked.content, getSavedSchemaVersion(checked.integrity));
+        console.log(formatSerializationMigrationReport(migration));
 
         // Validate it's an EntityGroup database
-        if (!entityGroupBrowser.loadedDatabase.groups || !entityGroupBrowser.loadedDatabase.stats) {
-            throw new Error('Invalid EntityGroup database format - missing groups or stats');
+        if (!groupDb.groups || !groupDb.stats) {
+            throw new Error(`Invalid EntityGroup database format in file ${fileId} - missing groups or stats`);
         }
+        checkDatabaseCounts(checked.integrity, {
+            entityCount: groupDb.assignedEntityKeys?.size,
+            groupCount: Object.keys(groupDb.groups).length
+        }, fileId);
+        entityGroupBrowser.loadedDatabase = groupDb;
 
         showEntityGroupStatus(`Loaded ${Object.keys(entityGroupBrowser.loadedDatabase.groups).length} EntityGroups successfully!`, 'success');
 
@@ -495,6 +574,10 @@ async function buildNewEntityGroupDatabase() {
         const sampleSizeValue = sampleSizeInput ? parseInt(sampleSizeInput.value, 10) : null;
         const sampleSize = (sampleSizeValue && sampleSizeValue > 0) ? sampleSizeValue : null;
 
+        // Matching profile (thresholds and weights) for this build
+        const matchingProfile = await applySelectedMatchingProfile();
+        console.log(`[EntityGroupBrowser] Matching profile: ${matchingProfile.name}`);
+
         if (sampleSize) {
             showEntityGroupStatus(`Building EntityGroup database with SAMPLE of ${sampleSize} entities (test mode)...`, 'loading');
             console.log(`[EntityGroupBrowser] SAMPLE MODE: Using ${sampleSize} entities for faster testing`);
@@ -518,7 +601,7 @@ async function buildNewEntityGroupDatabase() {
         entityGroupBrowser.loadedDatabase = result;
 
         // Build status message with override summary
-        let statusMsg = `Built ${Object.keys(result.groups).length} EntityGroups successfully!`;
+        let statusMsg = `Built ${Object.keys(result.groups).length} EntityGroups successfully! (Matching profile: ${matchingProfile.name})`;
         if (shouldLoadOverrideRules && window.matchOverrideManager) {
             const summary = window.matchOverrideManager.getSummary();
             if (summary.forceMatchCount > 0 || summary.forceExcludeCount > 0) {
@@ -1744,6 +1827,17 @@ function showEntityGroupStats() {
         `;
     }
 
+    // Matching profile HTML (databases built before profiles existed have none)
+    let matchingProfileHtml = '';
+    if (db.matchingProfile) {
+        matchingProfileHtml = `
+            <div style="margin-top: 15px; padding: 10px; background: #ede7f6; border-radius: 8px; font-size: 12px;">
+                <strong>Matching Profile:</strong> ${escapeHtml(db.matchingProfile.name)} (${escapeHtml(db.matchingProfile.source || 'built-in')})
+                ${db.matchingProfile.description ? `<div style="color: #666; margin-top: 4px;">${escapeHtml(db.matchingProfile.description)}</div>` : ''}
+            </div>
+        `;
+    }
+
     // Create modal overlay
     const modalOverlay = document.createElement('div');
     modalOverlay.id = 'entityGroupStatsModal';
@@ -1793,6 +1887,7 @@ function showEntityGroupStats() {
             </div>
         </div>
 
+        ${matchingProfileHtml}
         ${sampleModeHtml}
     `;
 
@@ -1854,6 +1949,220 @@ function exportEntityGroups() {
     showEntityGroupStatus(`Exported ${groups.length} EntityGroups to CSV`, 'success');
 }
 
+// =============================================================================
+// SNAPSHOT COMPARE
+// =============================================================================
+
+// Maximum rows shown per section in the comparison view (the CSV has everything)
+const SNAPSHOT_COMPARE_DISPLAY_LIMIT = 200;
+
+/**
+ * Compare the loaded EntityGroup database against an earlier saved build.
+ * The earlier build is read through the active storage adapter using the
+ * file ID in the compare input; the loaded database is treated as the newer one.
+ */
+async function compareEntityGroupSnapshot() {
+    if (!entityGroupBrowser.loadedDatabase) {
+        showEntityGroupStatus('Please load or build an EntityGroup database first', 'error');
+        return;
+    }
+
+    const fileIdInput = document.getElementById('entityGroupCompareFileId');
+    const fileId = fileIdInput ? fileIdInput.value.trim() : '';
+    if (!fileId) {
+        showEntityGroupStatus('Please enter the file ID of the earlier EntityGroup database to compare against', 'error');
+        return;
+    }
+
+    const compareBtn = document.getElementById('entityGroupCompareBtn');
+    const originalText = compareBtn ? compareBtn.innerHTML : '';
+
+    try {
+        showEntityGroupStatus('Loading earlier EntityGroup database for comparison...', 'loading');
+        if (compareBtn) {
+            compareBtn.innerHTML = '⏳ Comparing...';
+            compareBtn.disabled = true;
+        }
+
+        // Same integrity check and migrations as a load, without replacing the loaded database
+        const earlierDb = await readSavedEntityGroupDatabase(fileId);
+
+        const report = compareEntityGroupDatabases(earlierDb, entityGroupBrowser.loadedDatabase, {
+            oldLabel: fileId,
+            newLabel: 'loaded database'
+        });
+        entityGroupBrowser.lastComparison = report;
+
+        const s = report.summary;
+        showEntityGroupStatus(`Compared ${s.oldGroups} → ${s.newGroups} groups: ${s.membershipChanges} membership changes, ` +
+            `${s.movedEntities} moved entities`, 'success');
+        showSnapshotComparison(report);
+
+    } catch (error) {
+        console.error('❌ Error comparing EntityGroup snapshots:', error);
+        showEntityGroupStatus(`Error comparing: ${error.message}`, 'error');
+    } finally {
+        if (compareBtn) {
+            compareBtn.innerHTML = originalText;
+            compareBtn.disabled = false;
+        }
+    }
+}
+
+/**
+ * Display label for a group in the comparison view: founding member name (when the
+ * unified database is loaded) followed by its key
+ */
+function describeComparedGroup(foundingMemberKey) {
+    const entity = getEntityByKey(foundingMemberKey);
+    const name = entity ? extractEntityName(entity) : '';
+    return name
+        ? `${escapeHtml(name)} <span style="color: #999; font-family: monospace;">${escapeHtml(foundingMemberKey)}</span>`
+        : `<span style="font-family: monospace;">${escapeHtml(foundingMemberKey)}</span>`;
+}
+
+/**
+ * Render one collapsible section of the comparison view
+ * @param {string} title - Section heading
+ * @param {Array} items - Report entries
+ * @param {Function} renderItem - entry -> HTML for one row
+ */
+function renderComparisonSection(title, items, renderItem) {
+    const shown = items.slice(0, SNAPSHOT_COMPARE_DISPLAY_LIMIT);
+    const more = items.length > shown.length
+        ? `<div style="color: #999; font-style: italic;">...and ${items.length - shown.length} more (see CSV)</div>`
+        : '';
+    const body = items.length === 0
+        ? '<div style="color: #999;">None</div>'
+        : shown.map(item => `<div style="padding: 4px 0; border-bottom: 1px solid #eee;">${renderItem(item)}</div>`).join('') + more;
+
+    return `
+        <details style="margin-top: 10px; padding: 10px 15px; background: #fafafa; border-radius: 8px;" ${items.length > 0 ? 'open' : ''}>
+            <summary style="cursor: pointer; font-weight: 600;">${title} (${items.length})</summary>
+            <div style="margin-top: 8px; font-size: 12px;">${body}</div>
+        </details>
+    `;
+}
+
+/**
+ * Show a snapshot comparison report in a modal
+ * @param {Object} report - From compareEntityGroupDatabases()
+ */
+function showSnapshotComparison(report) {
+    const s = report.summary;
+    const indexChange = (oldIndex, newIndex) =>
+        `<span style="color: #666;">#${oldIndex ?? '–'} → #${newIndex ?? '–'}</span>`;
+    const keyList = (keys) => keys.map(k => `<span style="font-family: monospace;">${escapeHtml(k)}</span>`).join(', ');
+
+    const sectionsHtml = [
+        renderComparisonSection('Membership Changes', report.membershipChanges, c =>
+            `${describeComparedGroup(c.foundingMemberKey)} ${indexChange(c.oldIndex, c.newIndex)}
+             ${c.addedKeys.length ? `<div style="color: #2e7d32;">+ ${keyList(c.addedKeys)}</div>` : ''}
+             ${c.removedKeys.length ? `<div style="color: #c62828;">− ${keyList(c.removedKeys)}</div>` : ''}`),
+        renderComparisonSection('Moved Entities', report.movedEntities, m =>
+            `<span style="font-family: monospace;">${escapeHtml(m.entityKey)}</span>:
+             ${describeComparedGroup(m.fromFoundingMemberKey)} → ${describeComparedGroup(m.toFoundingMemberKey)}`),
+        renderComparisonSection('Groups Only in New Build', report.newGroups, g =>
+            `${describeComparedGroup(g.foundingMemberKey)} #${g.newIndex} (${g.memberKeys.length} members)
+             ${g.fromOldGroups.length ? `<div style="color: #666;">members came from: ${keyList(g.fromOldGroups)}</div>` : ''}`),
+        renderComparisonSection('Groups Only in Old Build', report.droppedGroups, g =>
+            `${describeComparedGroup(g.foundingMemberKey)} #${g.oldIndex} (${g.memberKeys.length} members)
+             ${g.toNewGroups.length ? `<div style="color: #666;">members went to: ${keyList(g.toNewGroups)}</div>` : ''}`),
+        renderComparisonSection('New Prospects', report.newProspects, p =>
+            `${describeComparedGroup(p.foundingMemberKey)} ${indexChange(p.oldIndex, p.newIndex)} - ${escapeHtml(p.reason)}`),
+        renderComparisonSection('Dropped Prospects', report.droppedProspects, p =>
+            `${describeComparedGroup(p.foundingMemberKey)} ${indexChange(p.oldIndex, p.newIndex)} - ${escapeHtml(p.reason)}`),
+        renderComparisonSection('Consensus Name Changes', report.consensusNameChanges, n =>
+            `${describeComparedGroup(n.foundingMemberKey)} ${indexChange(n.oldIndex, n.newIndex)}:
+             "${escapeHtml(n.oldName)}" → "${escapeHtml(n.newName)}"`),
+        renderComparisonSection('Entities Added', report.addedEntities, e =>
+            `<span style="font-family: monospace;">${escapeHtml(e.entityKey)}</span> in ${describeComparedGroup(e.newFoundingMemberKey)}`),
+        renderComparisonSection('Entities Removed', report.removedEntities, e =>
+            `<span style="font-family: monospace;">${escapeHtml(e.entityKey)}</span> from ${describeComparedGroup(e.oldFoundingMemberKey)}`)
+    ].join('');
+
+    const modalOverlay = document.createElement('div');
+    modalOverlay.id = 'entityGroupCompareModal';
+    modalOverlay.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.5); z-index: 10000; display: flex; justify-content: center; align-items: center;';
+
+    const modalBox = document.createElement('div');
+    modalBox.style.cssText = 'background: white; padding: 25px; border-radius: 8px; width: 900px; max-width: 95vw; max-height: 90vh; overflow-y: auto; box-shadow: 0 4px 20px rgba(0,0,0,0.3);';
+
+    modalBox.innerHTML = `
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; border-bottom: 2px solid #9c27b0; padding-bottom: 10px;">
+            <h2 style="margin: 0; color: #9c27b0;">🔀 EntityGroup Snapshot Comparison</h2>
+            <div>
+                <button id="entityGroupCompareCsvBtn" style="background: #28a745; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer;">📄 Download CSV</button>
+                <button id="entityGroupCompareCloseBtn" style="background: #9c27b0; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer;">Close</button>
+            </div>
+        </div>
+
+        <div style="font-size: 12px; color: #666; margin-bottom: 15px;">
+            Old: <span style="font-family: monospace;">${escapeHtml(report.oldLabel)}</span> (${s.oldGroups} groups) &nbsp;→&nbsp;
+            New: ${escapeHtml(report.newLabel)} (${s.newGroups} groups). Groups matched by founding member: ${s.matchedGroups}.
+        </div>
+
+        <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 10px;">
+            <div style="padding: 12px; background: #f5f5f5; border-radius: 8px; text-align: center;">
+                <div style="font-size: 22px; font-weight: bold; color: #9c27b0;">${s.membershipChanges}</div>
+                <div style="font-size: 12px; color: #666;">Membership Changes</div>
+            </div>
+            <div style="padding: 12px; background: #fff3e0; border-radius: 8px; text-align: center;">
+                <div style="font-size: 22px; font-weight: bold; color: #ff9800;">${s.movedEntities}</div>
+                <div style="font-size: 12px; color: #666;">Moved Entities</div>
+            </div>
+            <div style="padding: 12px; background: #e8f5e9; border-radius: 8px; text-align: center;">
+                <div style="font-size: 22px; font-weight: bold; color: #4caf50;">+${s.newProspects} / −${s.droppedProspects}</div>
+                <div style="font-size: 12px; color: #666;">Prospects</div>
+            </div>
+            <div style="padding: 12px; background: #e3f2fd; border-radius: 8px; text-align: center;">
+                <div style="font-size: 22px; font-weight: bold; color: #2196f3;">${s.consensusNameChanges}</div>
+                <div style="font-size: 12px; color: #666;">Name Changes</div>
+            </div>
+        </div>
+
+        ${sectionsHtml}
+    `;
+
+    modalOverlay.appendChild(modalBox);
+    document.body.appendChild(modalOverlay);
+
+    document.getElementById('entityGroupCompareCsvBtn').addEventListener('click', () => {
+        downloadSnapshotComparisonCSV(report);
+    });
+
+    document.getElementById('entityGroupCompareCloseBtn').addEventListener('click', () => {
+        modalOverlay.remove();
+    });
+
+    // Close on overlay click (outside modal box)
+    modalOverlay.addEventListener('click', (e) => {
+        if (e.target === modalOverlay) {
+            modalOverlay.remove();
+        }
+    });
+}
+
+/**
+ * Download a snapshot comparison report as CSV
+ * @param {Object} report - From compareEntityGroupDatabases()
+ */
+function downloadSnapshotComparisonCSV(report) {
+    const csv = buildSnapshotCompareCSV(report);
+
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `entitygroups_comparison_${new Date().toISOString().slice(0,10)}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    showEntityGroupStatus('Downloaded snapshot comparison CSV', 'success');
+}
+
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
@@ -8,7 +8,8 @@
  * - entityGroupBrowser.js (for getEntityByKey, showEntityGroupStatus, entityGroupBrowser object)
  * - utils.js (for levenshteinSimilarity, isPOBoxAddress)
  * - universalEntityMatcher.js (for universalCompareTo)
- * - unifiedEntityBrowser.js (for getEntitiesBySource, MATCH_CRITERIA)
+ * - unifiedEntityBrowser.js (for getEntitiesBySource)
+ * - matching/matchCriteria.js (for MATCH_CRITERIA)
  */
 
 // =============================================================================
@@ -721,12 +722,36 @@ function deduplicateNamesBySimilarity(names) {
     return deduplicated;
 }
 
+/**
+ * Assessed and appraised value and most recent sale of one property.
+ * Uses the property details captured from the parcel page (newest valuation year,
+ * sales history) and falls back to the assessmentValue / appraisalValue strings
+ * for data scraped before they were captured.
+ * Works on OtherInfo instances and on plain parsed objects (subdivision entries).
+ *
+ * @param {Object} otherInfo
+ * @returns {Object} { assessed: number, appraised: number, sale: Object|null } - NaN when unknown
+ */
+function readPropertyValues(otherInfo) {
+    if (!otherInfo) return { assessed: NaN, appraised: NaN, sale: null };
+    const newestTotal = (history) => (Array.isArray(history) && history.length > 0 && typeof history[0].total === 'number')
+        ? history[0].total : null;
+    const assessed = newestTotal(otherInfo.assessmentHistory);
+    const appraised = newestTotal(otherInfo.appraisalHistory);
+    return {
+        assessed: assessed !== null ? assessed : parseAssessmentValue(otherInfo.assessmentValue),
+        appraised: appraised !== null ? appraised : parseAssessmentValue(otherInfo.appraisalValue),
+        sale: OtherInfo.prototype.getMostRecentSale.call(otherInfo)
+    };
+}
+
 /**
  * Generate a CSV report of total assessed values per entity group.
  * Calculates total assessment value across all member entities (avoiding duplicates).
  * Includes:
  * - Consensus name and address
- * - Total assessed value
+ * - Total assessed and appraised value
+ * - Most recent purchase (date and price) of any of the group's properties
  * - Number of properties combined
  * - All names from member entities (including individuals within households)
  * Sorted by total value descending.
@@ -748,9 +773,31 @@ function generateAssessmentValueReport(groupDatabase) {
         // Track keys we've already processed to avoid duplicates
         const processedKeys = new Set();
         let totalAssessment = 0;
+        let totalAppraisal = 0;
         let propertiesWithValue = 0;
+        let latestSale = null;
         const allNames = [];
 
+        const saleTime = (sale) => {
+            const time = Date.parse(sale.saleDate);
+            return isNaN(time) ? -Infinity : time;
+        };
+
+        // Add one property's values to the group totals
+        const addProperty = (otherInfo) => {
+            const values = readPropertyValues(otherInfo);
+            if (!isNaN(values.assessed) && values.assessed > 0) {
+                totalAssessment += values.assessed;
+                propertiesWithValue++;
+            }
+            if (!isNaN(values.appraised) && values.appraised > 0) {
+                totalAppraisal += values.appraised;
+            }
+            if (values.sale && (!latestSale || saleTime(values.sale) > saleTime(latestSale))) {
+                latestSale = values.sale;
+            }
+        };
+
         // Process all member keys (includes founding member)
         for (const memberKey of group.memberKeys) {
             if (processedKeys.has(memberKey)) continue;
@@ -759,17 +806,10 @@ function generateAssessmentValueReport(groupDatabase) {
             const entity = entityDb.entities[memberKey];
             if (!entity) continue;
 
-            // Extract assessment value from entity's otherInfo
-            const assessmentValue = entity.otherInfo?.assessmentValue;
-            if (assessmentValue) {
-                const numericValue = parseAssessmentValue(assessmentValue);
-                if (!isNaN(numericValue) && numericValue > 0) {
-                    totalAssessment += numericValue;
-                    propertiesWithValue++;
-                }
-            }
+            // Extract property values from entity's otherInfo
+            addProperty(entity.otherInfo);
 
-            // Also extract assessment values from SUBDIVISION entities
+            // Also extract property values from SUBDIVISION entities
             // Subdivisions are PIDs that were merged into this entity (same owner, same fire number)
             const subdivision = entity.otherInfo?.subdivision;
             if (subdivision && typeof subdivision === 'object') {
@@ -787,13 +827,7 @@ function generateAssessmentValueReport(groupDatabase) {
                         subdivOtherInfo = subdivEntity.otherInfo;
                     }
 
-                    if (subdivOtherInfo?.assessmentValue) {
-                        const subdivValue = parseAssessmentValue(subdivOtherInfo.assessmentValue);
-                        if (!isNaN(subdivValue) && subdivValue > 0) {
-                            totalAssessment += subdivValue;
-                            propertiesWithValue++;
-                        }
-                    }
+                    addProperty(subdivOtherInfo);
                 }
             }
 
@@ -852,6 +886,8 @@ function generateAssessmentValueReport(groupDatabase) {
             consensusName: consensusName,
             consensusAddress: consensusAddress,
             totalAssessment: totalAssessment,
+            totalAppraisal: totalAppraisal,
+            latestSale: latestSale,
             propertiesWithValue: propertiesWithValue,
             memberCount: group.memberKeys.length,
             allNames: deduplicatedNames
@@ -871,6 +907,9 @@ function generateAssessmentValueReport(groupDatabase) {
         'Consensus Name',
         'Consensus Address',
         'Total Assessed Value',
+        'Total Appraised Value',
+        'Most Recent Purchase Date',
+        'Most Recent Purchase Price',
         'Properties Combined',
         'Member Count',
         ...nameColumnHeaders
@@ -897,6 +936,9 @@ function generateAssessmentValueReport(groupDatabase) {
             escapeCSVField(row.consensusName),
             escapeCSVField(row.consensusAddress),
             row.totalAssessment,
+            row.totalAppraisal,
+            escapeCSVField(row.latestSale ? row.latestSale.saleDate : ''),
+            row.latestSale && row.latestSale.salePrice !== null ? row.latestSale.salePrice : '',
             row.propertiesWithValue,
             row.memberCount,
             ...nameColumns
@@ -1417,15 +1459,18 @@ let mailMergeExclusionRules = [];
 // Set of verified excluded group indices (populated by resolveGroupExclusions)
 let mailMergeExcludedGroups = new Set();
 
+// Excluded groups sheet (also written by recordMailMergeDoNotMail in mailMergeSpreadsheet.js)
+const MAIL_MERGE_EXCLUDED_GROUPS_SHEET_ID = '1ToSnPaEwjcbab_f9u2xwjWmNjJm1nH7B60MeS4Ek0r4';
+
 /**
  * Load excluded entity group rules from Google Sheet
- * Sheet ID: 1ToSnPaEwjcbab_f9u2xwjWmNjJm1nH7B60MeS4Ek0r4
+ * Sheet ID: MAIL_MERGE_EXCLUDED_GROUPS_SHEET_ID
  * Column A: Group index (may be stale)
  * Column B: Member entity key (used to verify/find correct group)
  * @returns {Promise<{count: number, errors: string[]}>}
  */
 async function loadMailMergeExcludedGroups() {
-    const SHEET_ID = '1ToSnPaEwjcbab_f9u2xwjWmNjJm1nH7B60MeS4Ek0r4';
+    const SHEET_ID = MAIL_MERGE_EXCLUDED_GROUPS_SHEET_ID;
     const errors = [];
 
     try {
@@ -1538,8 +1583,35 @@ function isGroupExcluded(group) {
     return mailMergeExcludedGroups.has(String(group.index));
 }
 
+/**
+ * Load both exclusion lists from Google Sheets and resolve the group rules
+ * against the loaded database. Load errors are logged; the export goes ahead
+ * with whatever loaded.
+ * @param {Object} groupDatabase - The EntityGroup database
+ * @returns {Promise<Object>} Group exclusion resolution { resolved, corrected, notFound }
+ */
+async function loadProspectMailMergeExclusions(groupDatabase) {
+    // Load excluded addresses from Google Sheet
+    const addrResult = await loadMailMergeExcludedAddresses();
+    if (addrResult.errors.length > 0) {
+        console.warn('Errors loading excluded addresses:', addrResult.errors);
+    }
+
+    // Load excluded groups from Google Sheet
+    const groupResult = await loadMailMergeExcludedGroups();
+    if (groupResult.errors.length > 0) {
+        console.warn('Errors loading excluded groups:', groupResult.errors);
+    }
+
+    // Resolve group exclusions against actual group database
+    // This verifies member keys are in the expected groups, correcting if needed
+    return resolveGroupExclusions(groupDatabase);
+}
+
 // Export for global access
+window.MAIL_MERGE_EXCLUDED_GROUPS_SHEET_ID = MAIL_MERGE_EXCLUDED_GROUPS_SHEET_ID;
 window.loadMailMergeExcludedGroups = loadMailMergeExcludedGroups;
+window.loadProspectMailMergeExclusions = loadProspectMailMergeExclusions;
 window.resolveGroupExclusions = resolveGroupExclusions;
 window.mailMergeExcludedGroups = mailMergeExcludedGroups;
 window.isGroupExcluded = isGroupExcluded;
@@ -1855,7 +1927,7 @@ function generateSimpleMailMergeRow(entity) {
  * @param {Object} groupDatabase - EntityGroupDatabase
  * @param {Object} options - Export options
  * @param {number} options.maxGroupSize - Maximum group size to include (default: 23)
- * @returns {Object} {csv, simpleCsv, stats}
+ * @returns {Object} {csv, simpleCsv, groupRows, stats} - groupRows: [{group, rows}] in export order
  */
 function exportProspectMailMerge(groupDatabase, options = {}) {
     const maxGroupSize = options.maxGroupSize || 23;
@@ -1930,11 +2002,13 @@ function exportProspectMailMerge(groupDatabase, options = {}) {
     // Generate BOTH row sets in single pass through eligible groups
     const rows = [];           // Full 62-column rows
     const simpleRows = [];     // Simplified 6-column rows
+    const groupRows = [];      // Full rows by group, for the spreadsheet export
     let collapsedGroupCount = 0;
 
     for (const group of eligibleGroups) {
         const result = generateMailMergeGroupRows(group, entityDb);
         rows.push(...result.rows);
+        groupRows.push({ group, rows: result.rows });
         if (result.collapsed) {
             collapsedGroupCount++;
         }
@@ -1963,6 +2037,7 @@ function exportProspectMailMerge(groupDatabase, options = {}) {
     return {
         csv,
         simpleCsv,
+        groupRows,
         stats: {
             totalGroups: allGroups.length,
             totalProspectGroups: prospectGroups.length,
@@ -2004,22 +2079,8 @@ async function downloadProspectMailMerge(options = {}) {
     const maxGroupSize = options.maxGroupSize || 23;
 
     try {
-        // Load excluded addresses from Google Sheet
         showEntityGroupStatus('Loading exclusion lists from Google Sheets...', 'loading');
-        const addrResult = await loadMailMergeExcludedAddresses();
-        if (addrResult.errors.length > 0) {
-            console.warn('Errors loading excluded addresses:', addrResult.errors);
-        }
-
-        // Load excluded groups from Google Sheet
-        const groupResult = await loadMailMergeExcludedGroups();
-        if (groupResult.errors.length > 0) {
-            console.warn('Errors loading excluded groups:', groupResult.errors);
-        }
-
-        // Resolve group exclusions against actual group database
-        // This verifies member keys are in the expected groups, correcting if needed
-        const exclusionResolution = resolveGroupExclusions(db);
+        await loadProspectMailMergeExclusions(db);
 
         console.log(`Generating Prospect Mail Merge (max group size: ${maxGroupSize})...`);
         showEntityGroupStatus(`Generating Prospect Mail Merge (max group size: ${maxGroupSize})...`, 'loading');
@@ -2073,46 +2134,57 @@ window.exportProspectMailMerge = exportProspectMailMerge;
 window.downloadProspectMailMerge = downloadProspectMailMerge;
 
 /**
- * Run Prospect Mail Merge Export - wrapper that loads EntityGroup database if needed
- * Called from UI button. Loads database from Google Drive if not already loaded.
+ * Load the Unified Entity and EntityGroup databases if they are not loaded yet,
+ * and make sure consensus entities are built. Shared by the mail merge buttons.
+ * @param {HTMLElement|null} button - Button whose label shows progress
+ * @returns {Promise<Object|null>} EntityGroup database, or null if a load failed
  */
-async function runProspectMailMergeExport() {
-    const button = document.getElementById('prospectMailMergeBtn');
-    const originalText = button ? button.textContent : '';
+async function prepareProspectMailMergeDatabases(button) {
+    // Step 1: Check if unified entity database is loaded, load if not
+    if (!window.unifiedEntityDatabase || !window.unifiedEntityDatabase.entities) {
+        if (button) button.textContent = 'Loading Unified DB...';
+        showEntityGroupStatus('Loading Unified Entity Database...', 'loading');
+        await loadUnifiedDatabaseForEntityGroups();
 
-    try {
-        // Step 1: Check if unified entity database is loaded, load if not
         if (!window.unifiedEntityDatabase || !window.unifiedEntityDatabase.entities) {
-            if (button) button.textContent = 'Loading Unified DB...';
-            showEntityGroupStatus('Loading Unified Entity Database...', 'loading');
-            await loadUnifiedDatabaseForEntityGroups();
-
-            if (!window.unifiedEntityDatabase || !window.unifiedEntityDatabase.entities) {
-                showEntityGroupStatus('Failed to load Unified Entity Database', 'error');
-                if (button) button.textContent = originalText;
-                return;
-            }
+            showEntityGroupStatus('Failed to load Unified Entity Database', 'error');
+            return null;
         }
+    }
 
-        // Step 2: Check if EntityGroup database is loaded, load if not
-        let db = entityGroupBrowser.loadedDatabase || window.entityGroupDatabase;
+    // Step 2: Check if EntityGroup database is loaded, load if not
+    let db = entityGroupBrowser.loadedDatabase || window.entityGroupDatabase;
 
-        if (!db) {
-            if (button) button.textContent = 'Loading EntityGroup DB...';
-            showEntityGroupStatus('Loading EntityGroup database...', 'loading');
-            await loadEntityGroupDatabase();
+    if (!db) {
+        if (button) button.textContent = 'Loading EntityGroup DB...';
+        showEntityGroupStatus('Loading EntityGroup database...', 'loading');
+        await loadEntityGroupDatabase();
 
-            db = entityGroupBrowser.loadedDatabase || window.entityGroupDatabase;
-            if (!db) {
-                showEntityGroupStatus('Failed to load EntityGroup database', 'error');
-                if (button) button.textContent = originalText;
-                return;
-            }
+        db = entityGroupBrowser.loadedDatabase || window.entityGroupDatabase;
+        if (!db) {
+            showEntityGroupStatus('Failed to load EntityGroup database', 'error');
+            return null;
         }
+    }
+
+    // Step 2.5: Ensure consensus entities are built (auto-builds if needed)
+    if (typeof ensureConsensusBuilt === 'function') {
+        ensureConsensusBuilt(db, window.unifiedEntityDatabase.entities);
+    }
+    return db;
+}
 
-        // Step 2.5: Ensure consensus entities are built (auto-builds if needed)
-        if (typeof ensureConsensusBuilt === 'function') {
-            ensureConsensusBuilt(db, window.unifiedEntityDatabase.entities);
+/**
+ * Run Prospect Mail Merge Export - wrapper that loads EntityGroup database if needed
+ * Called from UI button. Loads database from Google Drive if not already loaded.
+ */
+async function runProspectMailMergeExport() {
+    const button = document.getElementById('prospectMailMergeBtn');
+    const originalText = button ? button.textContent : '';
+
+    try {
+        if (!await prepareProspectMailMergeDatabases(button)) {
+            return;
         }
 
         // Step 3: Run the mail merge export
@@ -2128,6 +2200,7 @@ async function runProspectMailMergeExport() {
 }
 
 // Export for global access
+window.prepareProspectMailMergeDatabases = prepareProspectMailMergeDatabases;
 window.runProspectMailMergeExport = runProspectMailMergeExport;
 
 // =============================================================================
@@ -0,0 +1,569 @@
+/**
+ * mailMergeSpreadsheet.js - Prospect mail merge straight into a spreadsheet
+ *
+ * downloadProspectMailMerge() writes a 62-column CSV that staff import into
+ * Sheets by hand, review, and then copy exclusions into the excluded-groups
+ * sheet. This module writes the same rows into a new Google Sheets spreadsheet,
+ * one tab per campaign, and reads the reviewed tabs back:
+ *
+ *   DoNotMail | RowType | GroupIndex | ... 62 mail merge columns ... | FoundingMemberKey (hidden)
+ *
+ * - Row 1 is frozen
+ * - DoNotMail is a checkbox column, unchecked on export
+ * - FoundingMemberKey is the EntityGroup foundingMemberKey, hidden
+ *
+ * recordMailMergeDoNotMail(spreadsheetId) appends every checked row to the
+ * excluded-groups sheet as [GroupIndex, FoundingMemberKey], the two columns
+ * loadMailMergeExcludedGroups() reads, so the next export leaves them out.
+ *
+ * Offline (no Sheets API, or the spreadsheet cannot be created) the tabs are
+ * written to a local .xlsx file by buildMailMergeXlsx(): same columns, frozen
+ * header, hidden key column, TRUE/FALSE cells in DoNotMail. Uploading that file
+ * to Drive and opening it as a Google Sheet gives a spreadsheet that
+ * recordMailMergeDoNotMail() reads the same way.
+ *
+ * Campaigns: options.campaigns is a list of { name, filter(group, entityDb) };
+ * each becomes a tab holding the exported groups its filter accepts (no filter:
+ * every group). Without campaigns the export is one "Prospects" tab.
+ *
+ * Dependencies:
+ * - csvReports.js (exportProspectMailMerge, loadProspectMailMergeExclusions,
+ *   prepareProspectMailMergeDatabases, CSV_HEADERS, MAIL_MERGE_EXCLUDED_GROUPS_SHEET_ID)
+ * - entityGroupBrowser.js (showEntityGroupStatus, entityGroupBrowser object)
+ */
+
+// Added columns around the CSV_HEADERS columns
+const MAIL_MERGE_DO_NOT_MAIL_HEADER = 'DoNotMail';
+const MAIL_MERGE_FOUNDING_KEY_HEADER = 'FoundingMemberKey';
+
+// Tab used when no campaigns are given
+const DEFAULT_MAIL_MERGE_CAMPAIGNS = [{ name: 'Prospects' }];
+
+// =============================================================================
+// CAMPAIGN TABS
+// =============================================================================
+
+/**
+ * Tab names valid in both Sheets and XLSX: no []:*?/\, at most 31 characters, unique
+ * @param {Array<string>} names - Campaign names
+ * @returns {Array<string>} Tab names in the same order
+ */
+function toMailMergeTabNames(names) {
+    const used = new Set();
+    return names.map((name, i) => {
+        let base = String(name || '').replace(/[\[\]:*?\/\\]/g, '-').replace(/^'+|'+$/g, '').trim().slice(0, 31);
+        if (!base) {
+            base = `Campaign ${i + 1}`;
+        }
+        let tabName = base;
+        for (let n = 2; used.has(tabName.toLowerCase()); n++) {
+            const suffix = ` (${n})`;
+            tabName = base.slice(0, 31 - suffix.length) + suffix;
+        }
+        used.add(tabName.toLowerCase());
+        return tabName;
+    });
+}
+
+/**
+ * Split exported mail merge rows into one tab per campaign
+ * @param {Array<Object>} groupRows - [{group, rows}] from exportProspectMailMerge()
+ * @param {Array<Object>} [campaigns] - [{name, filter(group, entityDb)}] (default: one Prospects tab)
+ * @param {Object} [entityDb] - Passed to the campaign filters
+ * @returns {Array<Object>} [{name, campaign, groupCount, values}] - values[0] is the header row
+ */
+function buildMailMergeCampaignTabs(groupRows, campaigns = DEFAULT_MAIL_MERGE_CAMPAIGNS, entityDb = window.unifiedEntityDatabase) {
+    const campaignList = campaigns && campaigns.length > 0 ? campaigns : DEFAULT_MAIL_MERGE_CAMPAIGNS;
+    const header = [MAIL_MERGE_DO_NOT_MAIL_HEADER, ...CSV_HEADERS, MAIL_MERGE_FOUNDING_KEY_HEADER];
+    const tabNames = toMailMergeTabNames(campaignList.map(c => c.name));
+
+    return campaignList.map((campaign, i) => {
+        const values = [header];
+        let groupCount = 0;
+        for (const { group, rows } of groupRows) {
+            if (campaign.filter && !campaign.filter(group, entityDb)) {
+                continue;
+            }
+            groupCount++;
+            for (const row of rows) {
+                values.push([false, ...row, group.foundingMemberKey]);
+            }
+        }
+        return { name: tabNames[i], campaign: campaign.name, groupCount, values };
+    });
+}
+
+/**
+ * Exclusion rules for the checked rows of a reviewed tab
+ * @param {Array<Array>} values - Tab values, header row first (as read back from Sheets)
+ * @returns {Array<Object>} [{groupIndex, memberKey}] - memberKey is the founding member key
+ */
+function readMailMergeDoNotMailRules(values) {
+    const header = (values && values[0] || []).map(h => String(h).trim());
+    const doNotMailCol = header.indexOf(MAIL_MERGE_DO_NOT_MAIL_HEADER);
+    const groupIndexCol = header.indexOf('GroupIndex');
+    const keyCol = header.indexOf(MAIL_MERGE_FOUNDING_KEY_HEADER);
+    if (doNotMailCol === -1 || keyCol === -1) {
+        return [];
+    }
+
+    const rules = [];
+    const seen = new Set();
+    for (const row of values.slice(1)) {
+        const checked = row[doNotMailCol] === true || String(row[doNotMailCol]).toUpperCase() === 'TRUE';
+        const memberKey = row[keyCol] !== undefined && row[keyCol] !== null ? String(row[keyCol]).trim() : '';
+        if (!checked || !memberKey || seen.has(memberKey)) {
+            continue;
+        }
+        seen.add(memberKey);
+        const groupIndex = groupIndexCol !== -1 && row[groupIndexCol] !== undefined && row[groupIndexCol] !== ''
+            ? String(row[groupIndexCol]).trim()
+            : '';
+        rules.push({ groupIndex, memberKey });
+    }
+    return rules;
+}
+
+// =============================================================================
+// GOOGLE SHEETS
+// =============================================================================
+
+/**
+ * A1 range for a whole tab, quoting the tab name
+ * @param {string} tabName
+ * @returns {string}
+ */
+function mailMergeTabRange(tabName) {
+    return `'${tabName.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Create a spreadsheet with one tab per campaign: values written, header frozen,
+ * DoNotMail as checkboxes and the founding member key column hidden
+ * @param {string} title - Spreadsheet title
+ * @param {Array<Object>} tabs - From buildMailMergeCampaignTabs()
+ * @returns {Promise<{spreadsheetId: string, url: string}>}
+ */
+async function createMailMergeSpreadsheet(title, tabs) {
+    if (typeof gapi === 'undefined' || !gapi.client || !gapi.client.sheets) {
+        throw new Error('Google Sheets API not available');
+    }
+    const columnCount = tabs[0].values[0].length;
+
+    const created = await gapi.client.sheets.spreadsheets.create({
+        resource: {
+            properties: { title },
+            sheets: tabs.map(tab => ({
+                properties: {
+                    title: tab.name,
+                    gridProperties: { rowCount: tab.values.length, columnCount, frozenRowCount: 1 }
+                }
+            }))
+        }
+    });
+    const spreadsheetId = created.result.spreadsheetId;
+    const sheetIds = created.result.sheets.map(sheet => sheet.properties.sheetId);
+
+    await gapi.client.sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        resource: {
+            valueInputOption: 'RAW',
+            data: tabs.map(tab => ({ range: `${mailMergeTabRange(tab.name)}!A1`, values: tab.values }))
+        }
+    });
+
+    const requests = [];
+    tabs.forEach((tab, i) => {
+        if (tab.values.length > 1) {
+            requests.push({
+                setDataValidation: {
+                    range: { sheetId: sheetIds[i], startRowIndex: 1, endRowIndex: tab.values.length, startColumnIndex: 0, endColumnIndex: 1 },
+                    rule: { condition: { type: 'BOOLEAN' } }
+                }
+            });
+        }
+        requests.push({
+            updateDimensionProperties: {
+                range: { sheetId: sheetIds[i], dimension: 'COLUMNS', startIndex: columnCount - 1, endIndex: columnCount },
+                properties: { hiddenByUser: true },
+                fields: 'hiddenByUser'
+            }
+        });
+    });
+    await gapi.client.sheets.spreadsheets.batchUpdate({ spreadsheetId, resource: { requests } });
+
+    return { spreadsheetId, url: `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit` };
+}
+
+/**
+ * Append the checked rows of a reviewed mail merge spreadsheet (every tab) to the
+ * excluded-groups sheet. Founding member keys already in that sheet are skipped.
+ * @param {string} spreadsheetId - Spreadsheet written by exportProspectMailMergeToSheets()
+ * @returns {Promise<{checked: number, added: number, alreadyExcluded: number}>}
+ */
+async function recordMailMergeDoNotMail(spreadsheetId) {
+    const meta = await gapi.client.sheets.spreadsheets.get({
+        spreadsheetId,
+        fields: 'sheets.properties.title'
+    });
+    const tabNames = meta.result.sheets.map(sheet => sheet.properties.title);
+    const response = await gapi.client.sheets.spreadsheets.values.batchGet({
+        spreadsheetId,
+        ranges: tabNames.map(mailMergeTabRange),
+        valueRenderOption: 'UNFORMATTED_VALUE'
+    });
+
+    // Checked rows across tabs (a group can sit in several campaigns)
+    const rules = [];
+    const seen = new Set();
+    for (const valueRange of response.result.valueRanges || []) {
+        for (const rule of readMailMergeDoNotMailRules(valueRange.values || [])) {
+            if (!seen.has(rule.memberKey)) {
+                seen.add(rule.memberKey);
+                rules.push(rule);
+            }
+        }
+    }
+
+    // Skip keys already recorded
+    const existing = await gapi.client.sheets.spreadsheets.values.get({
+        spreadsheetId: MAIL_MERGE_EXCLUDED_GROUPS_SHEET_ID,
+        range: 'B:B',
+        valueRenderOption: 'UNFORMATTED_VALUE'
+    });
+    const existingKeys = new Set((existing.result.values || []).map(row => String(row[0] || '').trim()));
+    const newRules = rules.filter(rule => !existingKeys.has(rule.memberKey));
+
+    if (newRules.length > 0) {
+        await gapi.client.sheets.spreadsheets.values.append({
+            spreadsheetId: MAIL_MERGE_EXCLUDED_GROUPS_SHEET_ID,
+            range: 'A:B',
+            valueInputOption: 'RAW',
+            insertDataOption: 'INSERT_ROWS',
+            resource: { values: newRules.map(rule => [rule.groupIndex, rule.memberKey]) }
+        });
+    }
+
+    const result = { checked: rules.length, added: newRules.length, alreadyExcluded: rules.length - newRules.length };
+    console.log(`[MAIL MERGE] Do-not-mail from ${spreadsheetId}: ${result.checked} checked, ` +
+        `${result.added} added to excluded groups, ${result.alreadyExcluded} already excluded`);
+    return result;
+}
+
+// =============================================================================
+// LOCAL XLSX WRITER (offline fallback)
+// =============================================================================
+
+const MAIL_MERGE_CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function mailMergeCrc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = MAIL_MERGE_CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Zip archive with stored (uncompressed) entries
+ * @param {Array<{name: string, content: string}>} files
+ * @returns {Uint8Array}
+ */
+function buildStoredZip(files) {
+    const encoder = new TextEncoder();
+    const entries = files.map(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        return { name, data, crc: mailMergeCrc32(data) };
+    });
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+    const bytes = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(bytes.buffer);
+    const DOS_DATE = 0x21;  // 1980-01-01
+
+    let offset = 0;
+    for (const entry of entries) {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034b50, true);
+        view.setUint16(offset + 4, 20, true);
+        view.setUint16(offset + 12, DOS_DATE, true);
+        view.setUint32(offset + 14, entry.crc, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint32(offset + 22, entry.data.length, true);
+        view.setUint16(offset + 26, entry.name.length, true);
+        bytes.set(entry.name, offset + 30);
+        bytes.set(entry.data, offset + 30 + entry.name.length);
+        offset += 30 + entry.name.length + entry.data.length;
+    }
+    const centralOffset = offset;
+    for (const entry of entries) {
+        view.setUint32(offset, 0x02014b50, true);
+        view.setUint16(offset + 4, 20, true);
+        view.setUint16(offset + 6, 20, true);
+        view.setUint16(offset + 14, DOS_DATE, true);
+        view.setUint32(offset + 16, entry.crc, true);
+        view.setUint32(offset + 20, entry.data.length, true);
+        view.setUint32(offset + 24, entry.data.length, true);
+        view.setUint16(offset + 28, entry.name.length, true);
+        view.setUint32(offset + 42, entry.offset, true);
+        bytes.set(entry.name, offset + 46);
+        offset += 46 + entry.name.length;
+    }
+    view.setUint32(offset, 0x06054b50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, centralOffset, true);
+    return bytes;
+}
+
+function escapeXlsxText(value) {
+    return String(value)
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function xlsxColumnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+}
+
+/**
+ * Worksheet XML for one campaign tab
+ * @param {Array<Array>} values - Header row first
+ * @returns {string}
+ */
+function buildMailMergeSheetXml(values) {
+    const columnCount = values[0].length;
+    const rowsXml = values.map((row, r) => {
+        const cells = row.map((value, c) => {
+            const ref = xlsxColumnName(c) + (r + 1);
+            if (typeof value === 'boolean') {
+                return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+            }
+            if (typeof value === 'number' && isFinite(value)) {
+                return `<c r="${ref}"><v>${value}</v></c>`;
+            }
+            if (value === null || value === undefined || value === '') {
+                return '';
+            }
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXlsxText(value)}</t></is></c>`;
+        }).join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0">' +
+        '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+        '</sheetView></sheetViews>' +
+        `<cols><col min="${columnCount}" max="${columnCount}" width="0" hidden="1" customWidth="1"/></cols>` +
+        `<sheetData>${rowsXml}</sheetData>` +
+        (values.length > 1
+            ? `<dataValidations count="1"><dataValidation type="list" allowBlank="1" sqref="A2:A${values.length}">` +
+              '<formula1>"TRUE,FALSE"</formula1></dataValidation></dataValidations>'
+            : '') +
+        '</worksheet>';
+}
+
+/**
+ * XLSX workbook with one sheet per campaign tab
+ * @param {Array<Object>} tabs - From buildMailMergeCampaignTabs()
+ * @returns {Uint8Array} File content
+ */
+function buildMailMergeXlsx(tabs) {
+    const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const NS_PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+    const XML_DECL = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            content: XML_DECL +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                tabs.map((tab, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ` +
+                    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: XML_DECL + `<Relationships xmlns="${NS_PKG_REL}">` +
+                `<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/>` +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: XML_DECL +
+                `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${NS_REL}"><sheets>` +
+                tabs.map((tab, i) => `<sheet name="${escapeXlsxText(tab.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+                '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: XML_DECL + `<Relationships xmlns="${NS_PKG_REL}">` +
+                tabs.map((tab, i) => `<Relationship Id="rId${i + 1}" Type="${NS_REL}/worksheet" ` +
+                    `Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+                '</Relationships>'
+        },
+        ...tabs.map((tab, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: buildMailMergeSheetXml(tab.values) }))
+    ];
+    return buildStoredZip(files);
+}
+
+/**
+ * Download campaign tabs as a local .xlsx file
+ * @param {Array<Object>} tabs - From buildMailMergeCampaignTabs()
+ * @param {string} filename
+ */
+function downloadMailMergeXlsx(tabs, filename) {
+    const blob = new Blob([buildMailMergeXlsx(tabs)],
+        { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// =============================================================================
+// EXPORT ENTRY POINTS
+// =============================================================================
+
+/**
+ * Export the prospect mail merge to a new Google Sheets spreadsheet, one tab per
+ * campaign. Falls back to a local .xlsx download when the spreadsheet cannot be
+ * created (or when options.offline is set).
+ * @param {Object} options - exportProspectMailMerge() options, plus:
+ * @param {Array<Object>} [options.campaigns] - [{name, filter(group, entityDb)}]
+ * @param {string} [options.title] - Spreadsheet title (default: Prospect Mail Merge YYYY-MM-DD)
+ * @param {boolean} [options.offline=false] - Write the .xlsx file without trying Sheets
+ * @returns {Promise<Object>} Export stats plus {tabs: [{name, groupCount}], spreadsheetId?, url?, xlsxFile?}
+ */
+async function exportProspectMailMergeToSheets(options = {}) {
+    const db = entityGroupBrowser.loadedDatabase || window.entityGroupDatabase;
+    if (!db) {
+        console.error('Please load an EntityGroup database first');
+        showEntityGroupStatus('Please load an EntityGroup database first', 'error');
+        return;
+    }
+
+    if (!window.unifiedEntityDatabase || !window.unifiedEntityDatabase.entities) {
+        console.error('Please load the Unified Entity Database first');
+        showEntityGroupStatus('Please load the Unified Entity Database first', 'error');
+        return;
+    }
+
+    try {
+        showEntityGroupStatus('Loading exclusion lists from Google Sheets...', 'loading');
+        await loadProspectMailMergeExclusions(db);
+
+        showEntityGroupStatus('Generating Prospect Mail Merge spreadsheet...', 'loading');
+        const result = exportProspectMailMerge(db, options);
+        const tabs = buildMailMergeCampaignTabs(result.groupRows, options.campaigns, window.unifiedEntityDatabase);
+        const dateStr = new Date().toISOString().slice(0, 10);
+        const stats = { ...result.stats, tabs: tabs.map(tab => ({ name: tab.name, groupCount: tab.groupCount })) };
+        const tabSummary = tabs.map(tab => `${tab.name} (${tab.groupCount})`).join(', ');
+
+        if (!options.offline) {
+            try {
+                const sheet = await createMailMergeSpreadsheet(options.title || `Prospect Mail Merge ${dateStr}`, tabs);
+                console.log(`[MAIL MERGE] Spreadsheet created: ${sheet.url}`);
+                showEntityGroupStatus(`Prospect Mail Merge spreadsheet created: ${tabSummary}. ${sheet.url}`, 'success');
+                return { ...stats, ...sheet };
+            } catch (error) {
+                console.warn(`[MAIL MERGE] Could not create spreadsheet (${error.message || error.result?.error?.message || error}); ` +
+                    'writing local XLSX instead');
+            }
+        }
+
+        const xlsxFile = `prospect_mailmerge_${dateStr}.xlsx`;
+        downloadMailMergeXlsx(tabs, xlsxFile);
+        showEntityGroupStatus(`Prospect Mail Merge written to ${xlsxFile}: ${tabSummary}`, 'success');
+        return { ...stats, xlsxFile };
+
+    } catch (error) {
+        console.error('Prospect mail merge spreadsheet export error:', error);
+        showEntityGroupStatus(`Export error: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Run the spreadsheet export from the UI button, loading databases if needed
+ */
+async function runProspectMailMergeSheetsExport() {
+    const button = document.getElementById('prospectMailMergeSheetsBtn');
+    const originalText = button ? button.textContent : '';
+
+    try {
+        if (!await prepareProspectMailMergeDatabases(button)) {
+            return;
+        }
+        if (button) button.textContent = 'Generating...';
+        await exportProspectMailMergeToSheets();
+
+    } catch (error) {
+        console.error('Prospect mail merge spreadsheet error:', error);
+        showEntityGroupStatus(`Error: ${error.message}`, 'error');
+    } finally {
+        if (button) button.textContent = originalText;
+    }
+}
+
+/**
+ * Record do-not-mail checks from a reviewed spreadsheet (UI button; asks for the ID or URL)
+ */
+async function runRecordMailMergeDoNotMail() {
+    const input = prompt('Reviewed mail merge spreadsheet ID or URL:');
+    if (!input) {
+        return;
+    }
+    const match = input.match(/\/spreadsheets\/d\/([a-zA-Z0-9_-]+)/);
+    const spreadsheetId = match ? match[1] : input.trim();
+
+    try {
+        showEntityGroupStatus('Reading do-not-mail checks...', 'loading');
+        const result = await recordMailMergeDoNotMail(spreadsheetId);
+        showEntityGroupStatus(`Do-not-mail: ${result.checked} checked, ${result.added} added to excluded groups, ` +
+            `${result.alreadyExcluded} already excluded`, 'success');
+    } catch (error) {
+        console.error('Record do-not-mail error:', error);
+        showEntityGroupStatus(`Error: ${error.message || error.result?.error?.message || error}`, 'error');
+    }
+}
+
+// Export for global access
+window.MAIL_MERGE_DO_NOT_MAIL_HEADER = MAIL_MERGE_DO_NOT_MAIL_HEADER;
+window.MAIL_MERGE_FOUNDING_KEY_HEADER = MAIL_MERGE_FOUNDING_KEY_HEADER;
+window.buildMailMergeCampaignTabs = buildMailMergeCampaignTabs;
+window.readMailMergeDoNotMailRules = readMailMergeDoNotMailRules;
+window.createMailMergeSpreadsheet = createMailMergeSpreadsheet;
+window.recordMailMergeDoNotMail = recordMailMergeDoNotMail;
+window.buildMailMergeXlsx = buildMailMergeXlsx;
+window.downloadMailMergeXlsx = downloadMailMergeXlsx;
+window.exportProspectMailMergeToSheets = exportProspectMailMergeToSheets;
+window.runProspectMailMergeSheetsExport = runProspectMailMergeSheetsExport;
+window.runRecordMailMergeDoNotMail = runRecordMailMergeDoNotMail;
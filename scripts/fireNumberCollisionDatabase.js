@@ -4,7 +4,8 @@
  * Tracks VisionAppraisal entities where multiple PIDs share the same fire number
  * (same physical property, different owners/parcels).
  *
- * Data is persisted to Google Sheets for cross-session persistence.
+ * Data is persisted to a JSON file through the active storage adapter
+ * (Google Drive or the local directory; see scripts/core/storageAdapters.js).
  *
  * Usage:
  *   // Initialize at start of process
@@ -177,54 +178,60 @@ async function initializeFireNumberCollisionDatabase(mode) {
 // ============================================================================
 
 /**
- * Load collision database from Google Drive JSON file
+ * Replace in-memory collision records with the contents of a saved collision file.
+ * Used by the Drive loader and by callers that read the JSON themselves
+ * (e.g. the headless CLI reading a local copy).
+ *
+ * @param {Object} data - Parsed FireNumberCollisionDatabase JSON ({ records: [...] })
+ * @param {string} [sourceId] - File ID or path the data came from (recorded in metadata)
  */
-async function loadFireNumberCollisionDatabaseFromFile() {
-    const fileId = localStorage.getItem(FIRE_NUMBER_COLLISION_STORAGE_KEY) || FIRE_NUMBER_COLLISION_FILE_ID;
-
-    console.log(`[FireNumberCollisionDB] Loading from file: ${fileId}`);
+function populateFireNumberCollisionDatabase(data, sourceId = null) {
+    // Clear existing data
+    fireNumberCollisionDatabase.byFireNumber.clear();
+    fireNumberCollisionDatabase.byEntityKey.clear();
 
-    try {
-        // Download JSON file from Google Drive
-        const response = await gapi.client.drive.files.get({
-            fileId: fileId,
-            alt: 'media'
-        });
+    // Load records from JSON
+    const records = data?.records || [];
 
-        const data = response.result;
+    for (const record of records) {
+        if (!record.fireNumber) continue;
+
+        const collisionRecord = {
+            fireNumber: String(record.fireNumber),
+            entityKeys: record.entityKeys || [],
+            pids: record.pids || [],
+            lastUpdated: record.lastUpdated || new Date().toISOString(),
+            manuallyAdded: record.manuallyAdded || false
+        };
 
-        // Clear existing data
-        fireNumberCollisionDatabase.byFireNumber.clear();
-        fireNumberCollisionDatabase.byEntityKey.clear();
+        // Add to primary index
+        fireNumberCollisionDatabase.byFireNumber.set(collisionRecord.fireNumber, collisionRecord);
 
-        // Load records from JSON
-        const records = data.records || [];
+        // Add to secondary index
+        for (const key of collisionRecord.entityKeys) {
+            fireNumberCollisionDatabase.byEntityKey.set(key, collisionRecord.fireNumber);
+        }
+    }
 
-        for (const record of records) {
-            if (!record.fireNumber) continue;
+    fireNumberCollisionDatabase.metadata.loaded = true;
+    fireNumberCollisionDatabase.metadata.lastLoadTime = new Date();
+    fireNumberCollisionDatabase.metadata.sourceFileId = sourceId;
+    fireNumberCollisionDatabase.metadata.recordCount = fireNumberCollisionDatabase.byFireNumber.size;
+    fireNumberCollisionDatabase.metadata.hasUnsavedChanges = false;
+}
 
-            const collisionRecord = {
-                fireNumber: String(record.fireNumber),
-                entityKeys: record.entityKeys || [],
-                pids: record.pids || [],
-                lastUpdated: record.lastUpdated || new Date().toISOString(),
-                manuallyAdded: record.manuallyAdded || false
-            };
+/**
+ * Load collision database from its JSON file (through the active storage adapter)
+ */
+async function loadFireNumberCollisionDatabaseFromFile() {
+    const fileId = localStorage.getItem(FIRE_NUMBER_COLLISION_STORAGE_KEY) || FIRE_NUMBER_COLLISION_FILE_ID;
 
-            // Add to primary index
-            fireNumberCollisionDatabase.byFireNumber.set(collisionRecord.fireNumber, collisionRecord);
+    console.log(`[FireNumberCollisionDB] Loading from file: ${fileId}`);
 
-            // Add to secondary index
-            for (const key of collisionRecord.entityKeys) {
-                fireNumberCollisionDatabase.byEntityKey.set(key, collisionRecord.fireNumber);
-            }
-        }
+    try {
+        const content = await getStorageAdapter().readFile(fileId);
 
-        fireNumberCollisionDatabase.metadata.loaded = true;
-        fireNumberCollisionDatabase.metadata.lastLoadTime = new Date();
-        fireNumberCollisionDatabase.metadata.sourceFileId = fileId;
-        fireNumberCollisionDatabase.metadata.recordCount = fireNumberCollisionDatabase.byFireNumber.size;
-        fireNumberCollisionDatabase.metadata.hasUnsavedChanges = false;
+        populateFireNumberCollisionDatabase(JSON.parse(content), fileId);
 
         console.log(`[FireNumberCollisionDB] Loaded ${fireNumberCollisionDatabase.byFireNumber.size} collision records`);
 
@@ -239,7 +246,7 @@ async function loadFireNumberCollisionDatabaseFromFile() {
 }
 
 /**
- * Save collision database to Google Drive JSON file
+ * Save collision database to its JSON file (through the active storage adapter)
  */
 async function saveFireNumberCollisionDatabaseToFile() {
     const fileId = localStorage.getItem(FIRE_NUMBER_COLLISION_STORAGE_KEY) || FIRE_NUMBER_COLLISION_FILE_ID;
@@ -268,39 +275,8 @@ async function saveFireNumberCollisionDatabaseToFile() {
     };
 
     try {
-        // Upload JSON to Google Drive (update existing file)
-        const boundary = '-------314159265358979323846';
-        const delimiter = '\r\n--' + boundary + '\r\n';
-        const closeDelimiter = '\r\n--' + boundary + '--';
-
-        const metadata = {
-            mimeType: 'application/json'
-        };
-
-        const multipartRequestBody =
-            delimiter +
-            'Content-Type: application/json\r\n\r\n' +
-            JSON.stringify(metadata) +
-            delimiter +
-            'Content-Type: application/json\r\n\r\n' +
-            JSON.stringify(data, null, 2) +
-            closeDelimiter;
-
-        const response = await fetch(
-            `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=multipart`,
-            {
-                method: 'PATCH',
-                headers: {
-                    'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                    'Content-Type': `multipart/related; boundary="${boundary}"`
-                },
-                body: multipartRequestBody
-            }
-        );
-
-        if (!response.ok) {
-            throw new Error(`Upload failed: ${response.status} ${response.statusText}`);
-        }
+        // Update the existing file
+        await getStorageAdapter().writeFile(fileId, JSON.stringify(data, null, 2));
 
         fireNumberCollisionDatabase.metadata.hasUnsavedChanges = false;
         console.log(`[FireNumberCollisionDB] Saved ${records.length} records to file`);
@@ -718,6 +694,7 @@ function getFireNumberCollisionStats() {
 // Make functions globally accessible
 window.promptFireNumberCollisionDatabaseMode = promptFireNumberCollisionDatabaseMode;
 window.initializeFireNumberCollisionDatabase = initializeFireNumberCollisionDatabase;
+window.populateFireNumberCollisionDatabase = populateFireNumberCollisionDatabase;
 window.loadFireNumberCollisionDatabaseFromFile = loadFireNumberCollisionDatabaseFromFile;
 window.saveFireNumberCollisionDatabaseToFile = saveFireNumberCollisionDatabaseToFile;
 window.loadFireNumberCollisionDatabaseFromSheet = loadFireNumberCollisionDatabaseFromSheet; // alias
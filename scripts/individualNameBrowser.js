@@ -777,11 +777,13 @@ async function repopulateWindowFromBulk(source) {
             alt: 'media'
         });
 
-        const bulkData = JSON.parse(response.body);
+        const checked = readDatabaseIntegrity(response.body, 'IndividualNameDatabaseBulk', bulkFileId);
+        const bulkData = JSON.parse(checked.content);
 
         if (bulkData.__format !== 'IndividualNameDatabaseBulk') {
             throw new Error(`Invalid bulk file format: ${bulkData.__format}`);
         }
+        checkDatabaseCounts(checked.integrity, { entityCount: Object.keys(bulkData.entries).length }, bulkFileId);
 
         console.log(`[RepopulateWindow] ${sourceLabel} bulk file contains ${bulkData.__count} entries`);
 
@@ -791,8 +793,10 @@ async function repopulateWindowFromBulk(source) {
 
         window.individualNameDatabase.entries.clear();
 
+        // Entries saved under an older schema are upgraded as they are restored
+        const migration = startSerializationMigration(getSavedSchemaVersion(checked.integrity));
         for (const [primaryKey, entryData] of Object.entries(bulkData.entries)) {
-            const object = deserializeWithTypes(entryData.object);
+            const object = deserializeWithTypes(entryData.object, CLASS_REGISTRY, migration);
             window.individualNameDatabase.entries.set(primaryKey, {
                 object: object,
                 fileId: null,
@@ -808,6 +812,7 @@ async function repopulateWindowFromBulk(source) {
         individualNameBrowser.bulkSource = source;
 
         console.log(`[RepopulateWindow] Loaded ${window.individualNameDatabase.entries.size} entries from ${sourceLabel} bulk file`);
+        console.log(`[RepopulateWindow] ${formatSerializationMigrationReport(migration.report())}`);
 
         // === LOAD INDEX FILE ===
         const indexAlreadyInMemory = individualNameBrowser.loadedIndex &&
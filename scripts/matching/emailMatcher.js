@@ -0,0 +1,352 @@
+/**
+ * EmailMatcher - Import email lists into the EmailDatabase and match each
+ * address to entities and EntityGroups
+ *
+ * Email lists (event sign-up CSVs, newsletter exports) carry an address and
+ * usually a name. Each address is compared against every entity with name plus
+ * domain heuristics, in tiers from strongest to weakest:
+ *
+ *   existing-email       - the entity already holds this address
+ *   name+domain          - list name matches and the entity has an address at
+ *                          the same (non-freemail) domain
+ *   name                 - list name matches (lookupNameOnEntity, 0.80)
+ *   organization-domain  - Business/NonHuman entity name matches the domain
+ *                          label (harbormarina.com → HARBOR MARINA)
+ *   local-part           - name read from the address (john.smith@...) matches
+ *
+ * Only the best tier is kept. A name tier that points at more than one
+ * EntityGroup is ambiguous and left unmatched for the Phonebook-style manual
+ * declarations. Associations are written with matchSource 'email-matcher';
+ * rerunning replaces them, and user inclusions and exclusions are honored.
+ *
+ * Dependencies:
+ * - EmailDatabase, normalizeEmailAddress from emailDatabase.js
+ * - lookupNameOnEntity() from phonebookEntityMatcher.js (loaded globally)
+ * - parseRfc4180Csv(), normalizeBloomerangHeader() from bloomerangCsvReader.js
+ * - buildEntityKeyToGroupIndexMap(), lookupGroupIndex() from phonebookEntityMatcher.js
+ *
+ * @see reference_phonebookDatabasePlan.md "Relationship to Email Processing"
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const EMAIL_MATCHER_SOURCE = 'email-matcher';
+
+// Match tiers, strongest first
+const EMAIL_MATCH_TIERS = ['existing-email', 'name+domain', 'name', 'organization-domain', 'local-part'];
+
+// Shared mail providers: a domain match here says nothing about the person
+const EMAIL_FREEMAIL_DOMAINS = new Set([
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'ymail.com', 'hotmail.com', 'outlook.com',
+    'live.com', 'msn.com', 'aol.com', 'icloud.com', 'me.com', 'mac.com', 'comcast.net',
+    'verizon.net', 'cox.net', 'att.net', 'sbcglobal.net', 'protonmail.com', 'proton.me',
+    'mail.com', 'gmx.com', 'earthlink.net', 'optonline.net', 'charter.net'
+]);
+
+// Shortest domain label compared with organization names
+const EMAIL_ORGANIZATION_LABEL_MIN = 5;
+
+// =============================================================================
+// LIST IMPORT
+// =============================================================================
+
+/**
+ * Split a single "name" cell into first and last name.
+ * Handles "Last, First" and "First [Middle] Last".
+ * @param {string} raw
+ * @returns {{raw: string, firstName: string, lastName: string}}
+ */
+function splitEmailListName(raw) {
+    const cleaned = String(raw || '').replace(/\s+/g, ' ').trim();
+    if (!cleaned) return { raw: '', firstName: '', lastName: '' };
+
+    if (cleaned.includes(',')) {
+        const [last, first] = cleaned.split(',').map(part => part.trim());
+        return { raw: cleaned, firstName: (first || '').toUpperCase(), lastName: last.toUpperCase() };
+    }
+
+    const words = cleaned.split(' ');
+    if (words.length === 1) return { raw: cleaned, firstName: '', lastName: words[0].toUpperCase() };
+    return { raw: cleaned, firstName: words[0].toUpperCase(), lastName: words[words.length - 1].toUpperCase() };
+}
+
+/**
+ * Parse an email list CSV. The header row decides the columns: the first header
+ * containing EMAIL (or E-MAIL) is the address; FIRST/LAST name columns win over
+ * a single NAME column.
+ *
+ * @param {string} text - CSV content
+ * @param {Object} [options]
+ * @param {string} [options.listName] - Stored on each record (e.g. "2026 Summer Gala sign-ups")
+ * @param {string} [options.source] - 'event-signup', 'newsletter', ... (default 'email-list')
+ * @returns {{records: Array<Object>, errors: Array<string>, listName: string}}
+ *     records: { source, listName, rowNumber, email, name: { raw, firstName, lastName } }
+ */
+function parseEmailListCsv(text, options = {}) {
+    const listName = options.listName || 'email list';
+    const source = options.source || 'email-list';
+    const parsed = parseRfc4180Csv(text);
+    const errors = [...parsed.errors];
+    const records = [];
+
+    if (parsed.records.length === 0) {
+        return { records, errors: [...errors, 'Email list is empty'], listName };
+    }
+
+    const headers = parsed.records[0].fields.map(normalizeBloomerangHeader);
+    const find = (test) => headers.findIndex(test);
+    const emailColumn = find(h => /E-?MAIL/.test(h));
+    const firstColumn = find(h => /FIRST/.test(h));
+    const lastColumn = find(h => /LAST|SURNAME/.test(h));
+    const nameColumn = find(h => h === 'NAME' || h === 'FULL NAME' || h === 'YOUR NAME');
+
+    if (emailColumn === -1) {
+        return { records, errors: [...errors, 'No email column in the header row'], listName };
+    }
+
+    for (const { fields, line } of parsed.records.slice(1)) {
+        const cell = (index) => (index === -1 ? '' : String(fields[index] || '').trim());
+        if (fields.every(field => !String(field).trim())) continue;
+
+        const email = normalizeEmailAddress(cell(emailColumn));
+        if (!email) {
+            errors.push(`Line ${line}: no valid email address ("${cell(emailColumn)}")`);
+            continue;
+        }
+
+        let name;
+        if (firstColumn !== -1 || lastColumn !== -1) {
+            const firstName = cell(firstColumn).toUpperCase();
+            const lastName = cell(lastColumn).toUpperCase();
+            name = { raw: [cell(firstColumn), cell(lastColumn)].filter(Boolean).join(' '), firstName, lastName };
+        } else {
+            name = splitEmailListName(cell(nameColumn));
+        }
+
+        records.push({ source, listName, rowNumber: line, email, name });
+    }
+
+    return { records, errors, listName };
+}
+
+/**
+ * Import a parsed email list into an EmailDatabase.
+ * @param {EmailDatabase} emailDb
+ * @param {Array<Object>} records - From parseEmailListCsv()
+ * @returns {{added: number, merged: number}} New addresses and rows appended to existing ones
+ */
+function importEmailListRecords(emailDb, records) {
+    let added = 0;
+    let merged = 0;
+
+    for (const record of records) {
+        if (emailDb.has(record.email)) {
+            merged++;
+        } else {
+            added++;
+        }
+        emailDb.addRecord(record);
+    }
+
+    return { added, merged };
+}
+
+// =============================================================================
+// HEURISTICS
+// =============================================================================
+
+/**
+ * Read a name from the local part of an address: "john.smith", "john_smith"
+ * and "john-smith" give first JOHN, last SMITH. Anything else gives nothing.
+ * @param {string} localPart
+ * @returns {Array<{firstName: string, lastName: string, otherNames: string}>}
+ */
+function emailLocalPartNames(localPart) {
+    const words = String(localPart || '').replace(/\+.*$/, '').split(/[._-]/).filter(Boolean);
+    if (words.length < 2 || words.some(word => !/^[a-z]{2,}$/.test(word))) return [];
+    return [{ firstName: words[0].toUpperCase(), lastName: words[words.length - 1].toUpperCase(), otherNames: '' }];
+}
+
+/**
+ * Domain of an entity's own email address, or '' if none
+ * @param {Object} entity
+ * @returns {string}
+ */
+function _entityEmailAddress(entity) {
+    const term = entity?.contactInfo?.email?.primaryAlias?.term;
+    return normalizeEmailAddress(term);
+}
+
+/**
+ * Letters-only upper-case name of a non-person entity, or '' for
+ * Individual/AggregateHousehold
+ * @param {Object} entity
+ * @returns {string}
+ */
+function _entityOrganizationName(entity) {
+    const entityType = entity?.constructor?.name;
+    if (!entity || entityType === 'Individual' || entityType === 'AggregateHousehold') return '';
+    const name = entity.name?.primaryAlias?.term || entity.name?.completeName || '';
+    return String(name).toUpperCase().replace(/[^A-Z]/g, '');
+}
+
+/**
+ * Does a domain label name this organization? The label must be at least
+ * EMAIL_ORGANIZATION_LABEL_MIN letters and contain, or be contained in, the
+ * organization name with common suffixes (INC, LLC, CORP, CO) removed.
+ * @param {string} domain - e.g. "harbormarina.com"
+ * @param {string} organizationName - Letters-only upper-case name
+ * @returns {boolean}
+ */
+function emailDomainMatchesOrganization(domain, organizationName) {
+    if (!domain || !organizationName || EMAIL_FREEMAIL_DOMAINS.has(domain)) return false;
+    const label = domain.split('.').slice(-2, -1)[0].toUpperCase().replace(/[^A-Z]/g, '');
+    const name = organizationName.replace(/(INC|LLC|CORP|CO)$/, '');
+    if (label.length < EMAIL_ORGANIZATION_LABEL_MIN || name.length < EMAIL_ORGANIZATION_LABEL_MIN) return false;
+    return name.includes(label) || label.includes(name);
+}
+
+/**
+ * Compare one EmailEntry against every entity.
+ *
+ * @param {EmailEntry} entry
+ * @param {Object} entities - unifiedEntityDatabase.entities (key→entity map)
+ * @returns {Array<{entityKey: string, matchType: string, score: number}>}
+ *     Candidates in the best tier that produced any, or [] if none
+ */
+function matchEmailEntryToEntities(entry, entities) {
+    const address = entry.emailAddress;
+    const domain = entry.getDomain();
+    const isFreemail = EMAIL_FREEMAIL_DOMAINS.has(domain);
+    const listNames = entry.getDistinctNames().map(name => ({ ...name, otherNames: '' }));
+    const localNames = emailLocalPartNames(entry.getLocalPart());
+    const candidates = [];
+
+    for (const [entityKey, entity] of Object.entries(entities)) {
+        const entityAddress = _entityEmailAddress(entity);
+        if (entityAddress && entityAddress === address) {
+            candidates.push({ entityKey, matchType: 'existing-email', score: 1 });
+            continue;
+        }
+
+        const nameHits = listNames.length > 0 ? lookupNameOnEntity(listNames, entity) : [];
+        if (nameHits.length > 0) {
+            const score = Math.max(...nameHits.map(hit => hit.score));
+            const sameDomain = !isFreemail && entityAddress && entityAddress.endsWith(`@${domain}`);
+            candidates.push({ entityKey, matchType: sameDomain ? 'name+domain' : 'name', score });
+            continue;
+        }
+
+        if (emailDomainMatchesOrganization(domain, _entityOrganizationName(entity))) {
+            candidates.push({ entityKey, matchType: 'organization-domain', score: 1 });
+            continue;
+        }
+
+        const localHits = localNames.length > 0 ? lookupNameOnEntity(localNames, entity) : [];
+        if (localHits.length > 0) {
+            candidates.push({ entityKey, matchType: 'local-part', score: Math.max(...localHits.map(hit => hit.score)) });
+        }
+    }
+
+    for (const tier of EMAIL_MATCH_TIERS) {
+        const inTier = candidates.filter(candidate => candidate.matchType === tier);
+        if (inTier.length > 0) return inTier;
+    }
+    return [];
+}
+
+// =============================================================================
+// DATABASE MATCHING
+// =============================================================================
+
+/**
+ * Match every EmailEntry to entities and EntityGroups.
+ *
+ * Previous 'email-matcher' associations are replaced. Candidates in an excluded
+ * group (or naming an excluded entity), or already held by a manual
+ * association, are dropped. Name-based tiers pointing at more than one group
+ * (more than one entity when no groupDb is given) are left unmatched as
+ * ambiguous; existing-email matches are always kept.
+ *
+ * @param {EmailDatabase} emailDb
+ * @param {Object} entities - unifiedEntityDatabase.entities (key→entity map)
+ * @param {Object} [groupDb] - EntityGroupDatabase, fills groupIndex
+ * @returns {Object} stats { entries, matched, ambiguous, unmatched, associations, byType }
+ */
+function matchEmailDatabase(emailDb, entities, groupDb) {
+    console.log('\n=== EMAIL MATCHING ===');
+    const startTime = Date.now();
+
+    const reverseMap = groupDb ? buildEntityKeyToGroupIndexMap(groupDb) : {};
+    const stats = { entries: 0, matched: 0, ambiguous: 0, unmatched: 0, associations: 0, byType: {} };
+
+    for (const [, entry] of emailDb) {
+        stats.entries++;
+
+        entry.matchAssociations = entry.matchAssociations.filter(a => a.matchSource !== EMAIL_MATCHER_SOURCE);
+        const heldKeys = new Set(entry.matchAssociations.map(a => a.entityKey).filter(Boolean));
+        const excludedKeys = entry.getExcludedEntityKeys();
+
+        const candidates = matchEmailEntryToEntities(entry, entities)
+            .map(candidate => ({ ...candidate, groupIndex: lookupGroupIndex(candidate.entityKey, reverseMap) }))
+            .filter(candidate => !excludedKeys.has(candidate.entityKey) &&
+                !(candidate.groupIndex != null && entry.isGroupExcluded(candidate.groupIndex)));
+
+        if (candidates.length === 0) {
+            stats.unmatched++;
+            continue;
+        }
+
+        const matchType = candidates[0].matchType;
+        const targets = new Set(candidates.map(c => (groupDb && c.groupIndex != null ? `group:${c.groupIndex}` : c.entityKey)));
+        if (matchType !== 'existing-email' && targets.size > 1) {
+            stats.ambiguous++;
+            continue;
+        }
+
+        for (const candidate of candidates) {
+            if (heldKeys.has(candidate.entityKey)) continue;
+            entry.addMatchAssociation({
+                groupIndex: candidate.groupIndex,
+                entityKey: candidate.entityKey,
+                matchSource: EMAIL_MATCHER_SOURCE,
+                matchType: candidate.matchType,
+                score: candidate.score
+            });
+            stats.associations++;
+        }
+
+        if (entry.classification === 'unclassified') {
+            entry.classification = matchType === 'organization-domain' ? 'nonhuman' : 'person';
+        }
+        stats.matched++;
+        stats.byType[matchType] = (stats.byType[matchType] || 0) + 1;
+    }
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`Entries: ${stats.entries} | Matched: ${stats.matched} | Ambiguous: ${stats.ambiguous} | Unmatched: ${stats.unmatched}`);
+    console.log(`By type: ${JSON.stringify(stats.byType)} | ${elapsed}s`);
+
+    if (typeof window !== 'undefined') {
+        window.emailMatchStats = stats;
+    }
+    return stats;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+if (typeof window !== 'undefined') {
+    window.EMAIL_MATCHER_SOURCE = EMAIL_MATCHER_SOURCE;
+    window.EMAIL_FREEMAIL_DOMAINS = EMAIL_FREEMAIL_DOMAINS;
+    window.splitEmailListName = splitEmailListName;
+    window.parseEmailListCsv = parseEmailListCsv;
+    window.importEmailListRecords = importEmailListRecords;
+    window.emailLocalPartNames = emailLocalPartNames;
+    window.emailDomainMatchesOrganization = emailDomainMatchesOrganization;
+    window.matchEmailEntryToEntities = matchEmailEntryToEntities;
+    window.matchEmailDatabase = matchEmailDatabase;
+}
@@ -0,0 +1,272 @@
+/**
+ * Entity Blocking Index
+ *
+ * Candidate index for group construction: instead of comparing a founder with
+ * every unassigned entity, findMatchesForEntity() compares it only with entities
+ * that share at least one BLOCK with it.
+ *
+ * Block keys per entity:
+ *   name:<token>     last-name tokens of every IndividualName (plus the canonical
+ *                    last name of its IndividualNameDatabase entry and of its
+ *                    homonyms / synonyms); words of household and non-human names
+ *   fire:<base>      fire number base (locationIdentifier, Block Island street numbers)
+ *   pobox:<box>      PO box (contactInfo.poBox, PO box secondary units)
+ *   street:<name>    street name (canonical StreetName when resolved)
+ *   phone:<digits>   last 7 digits of every phone
+ *   email:<address>  email address
+ *
+ * An entity with no block key at all is compared with everything, and everything
+ * with it. Entities added after the index was built are likewise never skipped.
+ * Check recall against exhaustive comparison with evaluateBlockingRecall()
+ * (scripts/analysis/blockingRecall.js) before relying on a new block rule.
+ *
+ * USAGE:
+ *   buildEntityGroupDatabase({ blocking: true });
+ *   const index = new EntityBlockingIndex(entityDb, { indNameDb });
+ *   index.getCandidateKeys('visionAppraisal:FireNumber:72');  // Set, or null = compare with all
+ */
+
+// Name words that say nothing about who an entity is
+const BLOCKING_NAME_STOPWORDS = new Set([
+    'AND', 'THE', 'OF', 'AT', 'FOR', 'C/O', 'CO', 'INC', 'LLC', 'LP', 'LTD', 'CORP', 'CORPORATION', 'COMPANY',
+    'TRUST', 'TRUSTEE', 'TRUSTEES', 'TR', 'TRS', 'REVOCABLE', 'IRREVOCABLE', 'LIVING', 'FAMILY', 'ESTATE',
+    'ETAL', 'ET', 'AL', 'ETUX', 'UX', 'JR', 'SR', 'II', 'III', 'IV', 'MR', 'MRS', 'MS', 'DR'
+]);
+
+/**
+ * Upper-case word tokens of a name string, without stopwords and single letters
+ * @param {string} text - Name text
+ * @returns {Array<string>} Tokens
+ */
+function tokenizeBlockingName(text) {
+    if (!text) return [];
+    return String(text).toUpperCase()
+        .split(/[^A-Z0-9']+/)
+        .map(token => token.replace(/'/g, ''))
+        .filter(token => token.length > 1 && !BLOCKING_NAME_STOPWORDS.has(token));
+}
+
+class EntityBlockingIndex {
+    /**
+     * Index every entity of an entity database by its block keys
+     * @param {Object} entityDb - Entity database (unifiedEntityDatabase.entities)
+     * @param {Object} [options]
+     * @param {IndividualNameDatabase} [options.indNameDb] - Adds canonical / variant last names (default window.individualNameDatabase)
+     */
+    constructor(entityDb, options = {}) {
+        this.entityDb = entityDb;
+        this.indNameDb = options.indNameDb !== undefined ? options.indNameDb : (window.individualNameDatabase || null);
+
+        // entity key -> array of block keys; block key -> array of entity keys
+        this.blocksByEntity = new Map();
+        this.entitiesByBlock = new Map();
+
+        // Entities without any block key (compared with everything)
+        this.unblockedKeys = new Set();
+
+        for (const [key, entity] of Object.entries(entityDb)) {
+            const blocks = [...this.getEntityBlockKeys(entity)];
+            this.blocksByEntity.set(key, blocks);
+            if (blocks.length === 0) {
+                this.unblockedKeys.add(key);
+                continue;
+            }
+            for (const block of blocks) {
+                if (!this.entitiesByBlock.has(block)) this.entitiesByBlock.set(block, []);
+                this.entitiesByBlock.get(block).push(key);
+            }
+        }
+    }
+
+    /**
+     * Block keys of one entity
+     * @param {Entity} entity - The entity
+     * @returns {Set<string>} Block keys
+     */
+    getEntityBlockKeys(entity) {
+        const blocks = new Set();
+        if (!entity) return blocks;
+
+        // Names
+        this._addNameBlocks(entity.name, blocks);
+        for (const individual of entity.individuals || []) {
+            this._addNameBlocks(individual?.name, blocks);
+        }
+
+        // Fire number from the location identifier
+        const fireNumber = typeof extractFireNumberFromEntity === 'function' ? extractFireNumberFromEntity(entity) : null;
+        if (fireNumber && /^\d/.test(String(fireNumber).trim())) {
+            blocks.add(`fire:${getBaseFireNumber(fireNumber)}`);
+        }
+
+        // Contact information
+        const contactInfo = entity.contactInfo;
+        if (contactInfo) {
+            for (const address of [contactInfo.primaryAddress, ...(contactInfo.secondaryAddress || [])]) {
+                this._addAddressBlocks(address, blocks);
+            }
+            const poBox = normalizeBlockingPOBox(contactInfo.poBox?.primaryAlias?.term);
+            if (poBox) blocks.add(`pobox:${poBox}`);
+            for (const phone of [contactInfo.phone, contactInfo.islandPhone, ...(contactInfo.additionalPhones || [])]) {
+                const digits = String(phone?.primaryAlias?.term || '').replace(/\D/g, '');
+                if (digits.length >= 7) blocks.add(`phone:${digits.slice(-7)}`);
+            }
+            const email = String(contactInfo.email?.primaryAlias?.term || '').trim().toLowerCase();
+            if (email.includes('@')) blocks.add(`email:${email}`);
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Keys of entities sharing a block with an entity, plus unblocked entities
+     * @param {string} key - Entity key
+     * @returns {Set<string>|null} Candidate keys, or null if the entity must be compared with everything
+     */
+    getCandidateKeys(key) {
+        const blocks = this.blocksByEntity.get(key);
+        if (!blocks || blocks.length === 0) return null;
+
+        const candidates = new Set(this.unblockedKeys);
+        for (const block of blocks) {
+            for (const otherKey of this.entitiesByBlock.get(block)) {
+                candidates.add(otherKey);
+            }
+        }
+        candidates.delete(key);
+        return candidates;
+    }
+
+    /**
+     * Check if an entity was in the database when the index was built
+     * @param {string} key - Entity key
+     * @returns {boolean}
+     */
+    isIndexed(key) {
+        return this.blocksByEntity.has(key);
+    }
+
+    /**
+     * Check if a pair can be skipped (both indexed, no shared block)
+     * @param {string} keyA - First entity key
+     * @param {string} keyB - Second entity key
+     * @returns {boolean}
+     */
+    canSkipPair(keyA, keyB) {
+        const blocksA = this.blocksByEntity.get(keyA);
+        const blocksB = this.blocksByEntity.get(keyB);
+        if (!blocksA || !blocksB || blocksA.length === 0 || blocksB.length === 0) return false;
+        return !blocksA.some(block => blocksB.includes(block));
+    }
+
+    /**
+     * Index size summary
+     * @param {number} [topBlocks=10] - Number of largest blocks to list
+     * @returns {Object} { entities, blocks, unblockedEntities, averageCandidates, largestBlocks }
+     */
+    getStats(topBlocks = 10) {
+        let candidateTotal = 0;
+        for (const key of this.blocksByEntity.keys()) {
+            const candidates = this.getCandidateKeys(key);
+            candidateTotal += candidates ? candidates.size : this.blocksByEntity.size - 1;
+        }
+        return {
+            entities: this.blocksByEntity.size,
+            blocks: this.entitiesByBlock.size,
+            unblockedEntities: this.unblockedKeys.size,
+            averageCandidates: this.blocksByEntity.size > 0 ? candidateTotal / this.blocksByEntity.size : 0,
+            largestBlocks: [...this.entitiesByBlock.entries()]
+                .sort((a, b) => b[1].length - a[1].length)
+                .slice(0, topBlocks)
+                .map(([block, keys]) => ({ block, size: keys.length }))
+        };
+    }
+
+    _addNameBlocks(name, blocks) {
+        if (!name) return;
+        if (name.constructor?.name === 'IndividualName') {
+            const lastNames = [name.lastName];
+            const entry = this._lookupIndividualName(name);
+            if (entry) {
+                lastNames.push(entry.lastName);
+                for (const category of ['homonyms', 'synonyms']) {
+                    for (const alias of entry.alternatives?.[category] || []) {
+                        // Variants are full names: the last word is the last name
+                        lastNames.push(tokenizeBlockingName(alias?.term).pop());
+                    }
+                }
+            }
+            const tokens = lastNames.flatMap(tokenizeBlockingName);
+            // No last name (single-word names): block on the whole name instead
+            (tokens.length > 0 ? tokens : tokenizeBlockingName(name.primaryAlias?.term))
+                .forEach(token => blocks.add(`name:${token}`));
+            return;
+        }
+        tokenizeBlockingName(name.primaryAlias?.term || name.fullHouseholdName)
+            .forEach(token => blocks.add(`name:${token}`));
+        for (const memberName of name.memberNames || []) {
+            this._addNameBlocks(memberName, blocks);
+        }
+    }
+
+    _lookupIndividualName(name) {
+        const term = name.primaryAlias?.term;
+        if (!term || !this.indNameDb || typeof this.indNameDb.has !== 'function' || !this.indNameDb.has(term)) {
+            return null;
+        }
+        // has() guarantees the exact-variation fast path, never the similarity scan
+        return this.indNameDb.lookup(term);
+    }
+
+    _addAddressBlocks(address, blocks) {
+        if (!address) return;
+        const streetNumber = String(address.streetNumber?.term || '').trim();
+        const isBlockIsland = address.isBlockIslandAddress?.term === true || address.isBlockIslandAddress?.term === 'true';
+        if (isBlockIsland && /^\d/.test(streetNumber)) {
+            blocks.add(`fire:${getBaseFireNumber(streetNumber)}`);
+        }
+        const street = address.biStreetName?.primaryAlias?.term || address.streetName?.term;
+        if (street) {
+            blocks.add(`street:${String(street).trim().toUpperCase()}`);
+        }
+        if (/BOX/i.test(address.secUnitType?.term || '')) {
+            const poBox = normalizeBlockingPOBox(address.secUnitNum?.term);
+            if (poBox) blocks.add(`pobox:${poBox}`);
+        }
+    }
+}
+
+/**
+ * PO box number without "PO BOX" / "BOX" / "#" wording
+ * @param {string} term - PO box text
+ * @returns {string} Normalized box, or '' if none
+ */
+function normalizeBlockingPOBox(term) {
+    if (!term) return '';
+    return String(term).toUpperCase()
+        .replace(/P\.?\s*O\.?\s*BOX|BOX|#/g, '')
+        .replace(/\s+/g, '')
+        .trim();
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EntityBlockingIndex,
+        tokenizeBlockingName,
+        normalizeBlockingPOBox,
+        BLOCKING_NAME_STOPWORDS
+    };
+}
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.EntityBlockingIndex = EntityBlockingIndex;
+    window.tokenizeBlockingName = tokenizeBlockingName;
+    window.normalizeBlockingPOBox = normalizeBlockingPOBox;
+    window.BLOCKING_NAME_STOPWORDS = BLOCKING_NAME_STOPWORDS;
+}
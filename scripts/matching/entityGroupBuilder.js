@@ -8,7 +8,7 @@
  *
  * Dependencies:
  * - EntityGroup, EntityGroupDatabase from objectStructure/entityGroup.js
- * - isTrueMatch, isNearMatch from unifiedEntityBrowser.js
+ * - isTrueMatch, isNearMatch from matchCriteria.js
  * - getAllEntitiesWithKeys, getFilteredEntities from unifiedDatabasePersistence.js
  * - universalCompareTo from universalEntityMatcher.js
  * - serializeWithTypes from utils/classSerializationUtils.js (for Google Drive save)
@@ -40,6 +40,18 @@ const ENTITYGROUP_DATABASE_FILE_ID = '18uVAvUBIwvqTKTOLCulgVyCtU_uqWFlr';
  * @param {string} [options.googleDriveFileId] - Override default file ID for save
  * @param {number} [options.sampleSize] - If provided, use stratified sample of this size (for testing)
  * @param {number} [options.sampleSeed=12345] - Random seed for reproducible sampling
+ * @param {PhonebookDatabase} [options.phonebookDb] - Preloaded PhonebookDatabase (skips Drive load)
+ * @param {IndividualNameDatabase} [options.indNameDb] - Preloaded IndividualNameDatabase (skips Drive load)
+ * @param {boolean} [options.skipPhonebook=false] - Skip phonebook Steps 1 and 3 entirely
+ * @param {EmailDatabase} [options.emailDb] - Imported email lists to match and feed into CollectiveEmail
+ *        (defaults to window.emailDatabase when loaded; see emailMatcher.js)
+ * @param {string|Object} [options.matchingProfile] - Matching profile name or object to apply before
+ *        building (see matchingProfiles.js). Omit to build with the active profile.
+ * @param {Object} [options.incremental] - Rebuild from an earlier build (see incrementalEntityGroupBuild.js)
+ * @param {EntityGroupDatabase} options.incremental.previousDb - Earlier build with the same profile and rules
+ * @param {Object} options.incremental.changedKeys - { added, removed, modified } entity keys since that build
+ * @param {boolean} [options.blocking=false] - Compare founders only with entities sharing a block
+ *        (see entityBlockingIndex.js; check recall with evaluateBlockingRecall first)
  * @returns {Promise<EntityGroupDatabase>} The constructed database
  */
 async function buildEntityGroupDatabase(options = {}) {
@@ -50,6 +62,13 @@ async function buildEntityGroupDatabase(options = {}) {
         googleDriveFileId: ENTITYGROUP_DATABASE_FILE_ID,
         sampleSize: null,  // null = full database, number = stratified sample
         sampleSeed: 12345,
+        phonebookDb: null,  // null = load from Drive
+        indNameDb: null,    // null = load from Drive
+        skipPhonebook: false,
+        emailDb: null,      // null = window.emailDatabase if loaded, else no email lists
+        matchingProfile: null,  // null = keep the active matching profile
+        incremental: null,      // null = full build, { previousDb, changedKeys } = incremental rebuild
+        blocking: false,        // true = only compare entities sharing a block key
         ...options
     };
 
@@ -64,6 +83,47 @@ async function buildEntityGroupDatabase(options = {}) {
         return null;
     }
 
+    // Data quality findings of this build go to the anomaly register, whose
+    // stored decisions suppress accepted findings and supply corrections
+    let anomalyRun = null;
+    if (typeof beginAnomalyRun === 'function') {
+        if (!dataQualityAnomalyRegister.metadata.loaded) {
+            try {
+                await loadAnomalyRegister();
+            } catch (error) {
+                console.warn('Anomaly register could not be loaded; findings of this build will not be saved:', error.message);
+            }
+        }
+        anomalyRun = beginAnomalyRun('entity-group-build');
+    }
+
+    try {
+        return await constructEntityGroupDatabase(config, log, anomalyRun);
+    } finally {
+        // A build that stopped early or threw must not leave its run open for the next one
+        if (anomalyRun && dataQualityAnomalyRegister.currentRun === anomalyRun) {
+            abandonAnomalyRun();
+        }
+    }
+}
+
+/**
+ * Body of buildEntityGroupDatabase() once the anomaly run has begun: applies the
+ * matching profile, runs Phonebook Step 1, the construction phases and Step 3,
+ * and saves if requested.
+ * @param {Object} config - buildEntityGroupDatabase() options with defaults filled in
+ * @param {Function} log - Progress logger
+ * @param {Object|null} anomalyRun - From beginAnomalyRun(); finished here when the build completes
+ * @returns {Promise<EntityGroupDatabase|null>} The constructed database, or null if the build stopped
+ */
+async function constructEntityGroupDatabase(config, log, anomalyRun) {
+    // Thresholds and weights for this build
+    if (config.matchingProfile) {
+        applyMatchingProfile(config.matchingProfile);
+    }
+    const matchingProfile = getMatchingProfileSummary();
+    log(`Matching profile: ${matchingProfile.name} (${matchingProfile.source})`);
+
     const fullEntityDb = window.unifiedEntityDatabase.entities;
     const totalEntities = Object.keys(fullEntityDb).length;
     log(`Total entities in full database: ${totalEntities}`);
@@ -100,47 +160,110 @@ async function buildEntityGroupDatabase(options = {}) {
         groupDb.sampleMode = { enabled: false };
     }
 
+    // Record the thresholds and weights the groups were built with
+    groupDb.matchingProfile = matchingProfile;
+
+    // An incremental rebuild needs a previous build made the same way
+    if (config.incremental) {
+        const blocker = getIncrementalBuildBlocker(config.incremental.previousDb, matchingProfile, groupDb.sampleMode.enabled);
+        if (blocker) {
+            console.error(`ERROR: Incremental build not possible: ${blocker}. Run a full build instead.`);
+            return null;
+        }
+    }
+
     // =========================================================================
     // PHONEBOOK STEP 1: Pre-group entity matching
     // Load PhonebookDatabase and IndividualNameDatabase, then run Step 1
     // which matches phonebook records → existing entities and transfers
     // phone numbers and name aliases. No entity creation here.
+    // Callers without Drive access (headless CLI) pass preloaded databases.
     // =========================================================================
-    log('\n--- Loading PhonebookDatabase from Drive ---');
-    const phonebookDb = new PhonebookDatabase();
-    await phonebookDb.loadFromBulk();
-    log(`PhonebookDatabase loaded: ${phonebookDb.size} entries`);
-
-    log('\n--- Loading IndividualNameDatabase from Drive ---');
-    const indNameDb = await loadIndividualNameDatabaseFromBulk();
-    log(`IndividualNameDatabase loaded: ${indNameDb.entries.size} entries`);
-
-    log('\n--- Phonebook Step 1: Pre-Group Entity Matching ---');
-    const step1Result = phonebookStep1(phonebookDb, entityDb, indNameDb);
-    if (!step1Result) {
-        console.error('ERROR: phonebookStep1 failed. Aborting build.');
-        return null;
+    let phonebookDb = null;
+    let indNameDb = null;
+
+    if (config.skipPhonebook) {
+        log('\n--- Phonebook integration SKIPPED (skipPhonebook option) ---');
+    } else {
+        if (config.phonebookDb) {
+            phonebookDb = config.phonebookDb;
+            log(`\n--- Using preloaded PhonebookDatabase (${phonebookDb.size} entries) ---`);
+        } else {
+            log('\n--- Loading PhonebookDatabase from Drive ---');
+            phonebookDb = new PhonebookDatabase();
+            await phonebookDb.loadFromBulk();
+            log(`PhonebookDatabase loaded: ${phonebookDb.size} entries`);
+        }
+
+        if (config.indNameDb) {
+            indNameDb = config.indNameDb;
+            log(`\n--- Using preloaded IndividualNameDatabase (${indNameDb.entries.size} entries) ---`);
+        } else {
+            log('\n--- Loading IndividualNameDatabase from Drive ---');
+            indNameDb = await loadIndividualNameDatabaseFromBulk();
+            log(`IndividualNameDatabase loaded: ${indNameDb.entries.size} entries`);
+        }
+
+        log('\n--- Phonebook Step 1: Pre-Group Entity Matching ---');
+        const step1Result = phonebookStep1(phonebookDb, entityDb, indNameDb);
+        if (!step1Result) {
+            console.error('ERROR: phonebookStep1 failed. Aborting build.');
+            return null;
+        }
+        log(`Step 1 complete: ${step1Result.processed} processed, ${step1Result.fullMatches} full matches, ${step1Result.noClassifiedMatch} unmatched`);
     }
-    log(`Step 1 complete: ${step1Result.processed} processed, ${step1Result.fullMatches} full matches, ${step1Result.noClassifiedMatch} unmatched`);
 
-    // Execute each phase - VisionAppraisal first (all types), then Bloomerang (all types)
-    log('\n--- Phase 1: VisionAppraisal Households ---');
-    executePhase2_VisionAppraisalHouseholds(groupDb, entityDb, log);
+    // Incremental rebuild: carry over the groups no changed entity can reach,
+    // so the phases below only place the freed entities
+    let incrementalPlan = null;
+    if (config.incremental) {
+        log('\n--- Incremental Rebuild: Carry Over Unaffected Groups ---');
+        const previousDb = config.incremental.previousDb;
+        incrementalPlan = planIncrementalEntityGroupBuild(previousDb, config.incremental.changedKeys, entityDb, log);
+        const carried = carryOverEntityGroups(incrementalPlan, groupDb, entityDb, previousDb.nextIndex);
+        log(`Carried over ${carried} groups; placing ${incrementalPlan.freedKeys.size} freed entities`);
+        groupDb.incrementalBuild = {
+            previousConstructionTimestamp: previousDb.constructionTimestamp || null,
+            ...incrementalPlan.stats
+        };
+    }
 
-    log('\n--- Phase 2: VisionAppraisal Individuals ---');
-    executePhase4_VisionAppraisalIndividuals(groupDb, entityDb, log);
+    // Blocking index: findMatchesForEntity() skips pairs that share no block
+    const previousBlockingIndex = window.entityBlockingIndex;
+    try {
+        if (config.blocking) {
+            log('\n--- Building Blocking Index ---');
+            window.entityBlockingIndex = new EntityBlockingIndex(entityDb, { indNameDb: indNameDb || window.individualNameDatabase || null });
+            const blockingStats = window.entityBlockingIndex.getStats(0);
+            log(`Blocking index: ${blockingStats.blocks} blocks, ${blockingStats.unblockedEntities} unblocked entities, ` +
+                `${blockingStats.averageCandidates.toFixed(1)} candidates per entity (of ${blockingStats.entities})`);
+            groupDb.blocking = { enabled: true, ...blockingStats };
+        } else {
+            window.entityBlockingIndex = null;
+            groupDb.blocking = { enabled: false };
+        }
+
+        // Execute each phase - VisionAppraisal first (all types), then Bloomerang (all types)
+        log('\n--- Phase 1: VisionAppraisal Households ---');
+        executePhase2_VisionAppraisalHouseholds(groupDb, entityDb, log);
 
-    log('\n--- Phase 3: VisionAppraisal Other Types ---');
-    executePhase5_VisionAppraisalOtherTypes(groupDb, entityDb, log);
+        log('\n--- Phase 2: VisionAppraisal Individuals ---');
+        executePhase4_VisionAppraisalIndividuals(groupDb, entityDb, log);
 
-    log('\n--- Phase 4: Bloomerang Households ---');
-    executePhase1_BloomerangHouseholds(groupDb, entityDb, log);
+        log('\n--- Phase 3: VisionAppraisal Other Types ---');
+        executePhase5_VisionAppraisalOtherTypes(groupDb, entityDb, log);
 
-    log('\n--- Phase 5: Bloomerang Individuals ---');
-    executePhase3_BloomerangIndividuals(groupDb, entityDb, log);
+        log('\n--- Phase 4: Bloomerang Households ---');
+        executePhase1_BloomerangHouseholds(groupDb, entityDb, log);
 
-    log('\n--- Phase 6: Bloomerang Other Types ---');
-    executePhase6_BloomerangOtherTypes(groupDb, entityDb, log);
+        log('\n--- Phase 5: Bloomerang Individuals ---');
+        executePhase3_BloomerangIndividuals(groupDb, entityDb, log);
+
+        log('\n--- Phase 6: Bloomerang Other Types ---');
+        executePhase6_BloomerangOtherTypes(groupDb, entityDb, log);
+    } finally {
+        window.entityBlockingIndex = previousBlockingIndex;
+    }
 
     // Mark construction complete
     groupDb.constructionComplete = true;
@@ -164,39 +287,41 @@ async function buildEntityGroupDatabase(options = {}) {
     // create single-entity groups for still-unmatched, apply name aliases,
     // and run individual discovery on empty AggregateHouseholds.
     // =========================================================================
-    log('\n--- Phonebook Step 3a: Fill GroupIndex on Step 1 Associations ---');
-    fillGroupIndex(phonebookDb, groupDb);
-
-    log('\n--- Phonebook Step 3b: Create Phonebook-Sourced Entities ---');
-    const step3bResult = createPhonebookEntities(phonebookDb, entityDb, indNameDb);
-    if (!step3bResult) {
-        console.error('ERROR: createPhonebookEntities failed. Aborting build.');
-        return null;
-    }
-
-    log('\n--- Phonebook Step 3c-couple: Forced Couple Placement ---');
-    placeCouplePhonebookEntities(phonebookDb, groupDb, entityDb);
+    if (phonebookDb) {
+        log('\n--- Phonebook Step 3a: Fill GroupIndex on Step 1 Associations ---');
+        fillGroupIndex(phonebookDb, groupDb);
+
+        log('\n--- Phonebook Step 3b: Create Phonebook-Sourced Entities ---');
+        const step3bResult = createPhonebookEntities(phonebookDb, entityDb, indNameDb);
+        if (!step3bResult) {
+            console.error('ERROR: createPhonebookEntities failed. Aborting build.');
+            return null;
+        }
 
-    log('\n--- Phonebook Step 3c/d/e: Group Matching + Single-Entity Groups + Aliases ---');
-    const step3cdeResult = matchPhonebookEntitiesToGroups(phonebookDb, groupDb, entityDb, indNameDb);
-    if (!step3cdeResult) {
-        console.error('ERROR: matchPhonebookEntitiesToGroups failed. Aborting build.');
-        return null;
-    }
+        log('\n--- Phonebook Step 3c-couple: Forced Couple Placement ---');
+        placeCouplePhonebookEntities(phonebookDb, groupDb, entityDb);
 
-    log('\n--- Phonebook Step 3f: Individual Discovery ---');
-    tagIndividualDiscovery(phonebookDb, entityDb);
-    processIndividualDiscovery(phonebookDb, { entityDb: entityDb, indNameDb: indNameDb });
+        log('\n--- Phonebook Step 3c/d/e: Group Matching + Single-Entity Groups + Aliases ---');
+        const step3cdeResult = matchPhonebookEntitiesToGroups(phonebookDb, groupDb, entityDb, indNameDb);
+        if (!step3cdeResult) {
+            console.error('ERROR: matchPhonebookEntitiesToGroups failed. Aborting build.');
+            return null;
+        }
 
-    // Rebuild member collections for ALL groups after phonebook integration
-    // (new entities, new groups, and modified groups all need fresh collections)
-    log('\n--- Rebuilding Member Collections (post-phonebook) ---');
-    let collectionsRebuilt = 0;
-    for (const group of groupDb.getAllGroups()) {
-        group.buildMemberCollections(entityDb);
-        collectionsRebuilt++;
+        log('\n--- Phonebook Step 3f: Individual Discovery ---');
+        tagIndividualDiscovery(phonebookDb, entityDb);
+        processIndividualDiscovery(phonebookDb, { entityDb: entityDb, indNameDb: indNameDb });
+
+        // Rebuild member collections for ALL groups after phonebook integration
+        // (new entities, new groups, and modified groups all need fresh collections)
+        log('\n--- Rebuilding Member Collections (post-phonebook) ---');
+        let collectionsRebuilt = 0;
+        for (const group of groupDb.getAllGroups()) {
+            group.buildMemberCollections(entityDb);
+            collectionsRebuilt++;
+        }
+        log(`Rebuilt member collections for ${collectionsRebuilt} groups`);
     }
-    log(`Rebuilt member collections for ${collectionsRebuilt} groups`);
 
     // Build consensus entities if requested
     if (config.buildConsensus) {
@@ -205,15 +330,29 @@ async function buildEntityGroupDatabase(options = {}) {
         log(`Built consensus for ${groupDb.stats.multiMemberGroups} multi-member groups`);
     }
 
+    // Match imported email lists against the final groups so their addresses
+    // can join CollectiveEmail below
+    const emailDb = config.emailDb || (typeof window !== 'undefined' ? window.emailDatabase : null) || null;
+    if (emailDb) {
+        log(`\n--- Email Matching (${emailDb.size} addresses) ---`);
+        matchEmailDatabase(emailDb, entityDb, groupDb);
+    }
+
     // Build CollectiveContactInfo for all groups (preferred + alternatives per contact modality)
     // Runs independently of consensus - aggregates raw member contact data
     log('\n--- Building CollectiveContactInfo ---');
     for (const group of groupDb.getAllGroups()) {
-        group.buildCollectiveContactInfo(entityDb);
+        group.buildCollectiveContactInfo(entityDb, emailDb);
     }
     groupDb.contactInfoBuiltTimestamp = new Date().toISOString();
     log(`Built CollectiveContactInfo for ${groupDb.stats.totalGroups} groups`);
 
+    if (anomalyRun) {
+        const anomalySummary = finishAnomalyRun();
+        log(`\nData quality anomalies: ${anomalySummary.detected} detected (${anomalySummary.newAnomalies} new, ` +
+            `${anomalySummary.open} open, ${anomalySummary.suppressed} accepted, ${anomalySummary.corrected} corrected)`);
+    }
+
     log('\n=== ENTITY GROUP CONSTRUCTION COMPLETE ===');
     log(groupDb.getSummary());
 
@@ -235,6 +374,14 @@ async function buildEntityGroupDatabase(options = {}) {
             console.error('Error saving to Google Drive:', error);
             log('WARNING: EntityGroupDatabase was built but failed to save to Google Drive');
         }
+
+        if (anomalyRun && dataQualityAnomalyRegister.metadata.loaded) {
+            try {
+                await saveAnomalyRegister();
+            } catch (error) {
+                console.error('Error saving anomaly register:', error);
+            }
+        }
     }
 
     // Store in global for access
@@ -847,6 +994,11 @@ function findMatchesForEntity(baseKey, baseEntity, groupDb, entityDb) {
     const baseFn = (typeof extractFireNumberFromEntity === 'function')
         ? extractFireNumberFromEntity(baseEntity) : null;
 
+    // BLOCKING: when a blocking index is active, only compare entities sharing a block with the base
+    // (candidateKeys null = base has no block keys, compare with all). Unindexed targets are always compared.
+    const blockingIndex = window.entityBlockingIndex?.entityDb === entityDb ? window.entityBlockingIndex : null;
+    const candidateKeys = blockingIndex ? blockingIndex.getCandidateKeys(baseKey) : null;
+
     for (const [targetKey, targetEntity] of Object.entries(entityDb)) {
         // Skip self
         if (targetKey === baseKey) continue;
@@ -858,37 +1010,12 @@ function findMatchesForEntity(baseKey, baseEntity, groupDb, entityDb) {
         const isAssigned = groupDb.isEntityAssigned(targetKey);
         if (isAssigned) continue;
 
-        // COLLISION CASE D: Skip VA entities at same collision fire number
-        // These were already assessed during VA processing (fireNumberCollisionHandler)
-        // If they exist as separate entities now, they are DIFFERENT OWNERS and should NOT be grouped
-        if (typeof detectCollisionCase === 'function' &&
-            window.fireNumberCollisionDatabase?.metadata?.loaded) {
-            const baseAddr = baseEntity?.contactInfo?.primaryAddress;
-            const targetAddr = targetEntity?.contactInfo?.primaryAddress;
-            if (baseAddr && targetAddr) {
-                const collisionCase = detectCollisionCase(baseAddr, targetAddr, baseEntity, targetEntity, baseKey, targetKey);
-                if (collisionCase === 'd') {
-                    continue; // Skip - different owners at same collision fire number
-                }
-            }
-        }
+        if (candidateKeys && !candidateKeys.has(targetKey) && blockingIndex.isIndexed(targetKey)) continue;
 
         // Perform comparison (only for unassigned entities)
-        const comparison = universalCompareTo(baseEntity, targetEntity);
-        const overallScore = comparison.score;
-
-        // Extract component scores from details if available
-        let nameScore = null;
-        let contactInfoScore = null;
-
-        if (comparison.details && comparison.details.components) {
-            if (comparison.details.components.name) {
-                nameScore = comparison.details.components.name.similarity;
-            }
-            if (comparison.details.components.contactInfo) {
-                contactInfoScore = comparison.details.components.contactInfo.similarity;
-            }
-        }
+        const pairScores = scoreGroupingPair(baseKey, baseEntity, targetKey, targetEntity);
+        if (!pairScores) continue; // Skip - different owners at same collision fire number
+        const { overall: overallScore, name: nameScore, contactInfo: contactInfoScore } = pairScores;
 
         // BASELINE INSTRUMENTATION: Record entity comparison if enabled
         if (typeof recordEntityComparison === 'function') {
@@ -898,7 +1025,7 @@ function findMatchesForEntity(baseKey, baseEntity, groupDb, entityDb) {
                 contactInfoScore,
                 baseEntity.constructor.name,
                 targetEntity.constructor.name,
-                comparison.comparisonType
+                pairScores.comparisonType
             );
         }
 
@@ -923,6 +1050,53 @@ function findMatchesForEntity(baseKey, baseEntity, groupDb, entityDb) {
     return { trueMatches, nearMisses };
 }
 
+/**
+ * Score one base → target pair the way group construction does.
+ * Returns null for COLLISION CASE D: VA entities at the same collision fire number
+ * were already assessed during VA processing (fireNumberCollisionHandler); if they
+ * exist as separate entities now, they are DIFFERENT OWNERS and are never compared.
+ * @param {string} baseKey - Database key of the base entity
+ * @param {Entity} baseEntity - The base entity
+ * @param {string} targetKey - Database key of the target entity
+ * @param {Entity} targetEntity - The target entity
+ * @returns {Object|null} { overall, name, contactInfo, comparisonType }, or null if the pair is skipped
+ */
+function scoreGroupingPair(baseKey, baseEntity, targetKey, targetEntity) {
+    if (typeof detectCollisionCase === 'function' &&
+        window.fireNumberCollisionDatabase?.metadata?.loaded) {
+        const baseAddr = baseEntity?.contactInfo?.primaryAddress;
+        const targetAddr = targetEntity?.contactInfo?.primaryAddress;
+        if (baseAddr && targetAddr) {
+            const collisionCase = detectCollisionCase(baseAddr, targetAddr, baseEntity, targetEntity, baseKey, targetKey);
+            if (collisionCase === 'd') {
+                return null;
+            }
+        }
+    }
+
+    const comparison = universalCompareTo(baseEntity, targetEntity);
+
+    // Extract component scores from details if available
+    let nameScore = null;
+    let contactInfoScore = null;
+
+    if (comparison.details && comparison.details.components) {
+        if (comparison.details.components.name) {
+            nameScore = comparison.details.components.name.similarity;
+        }
+        if (comparison.details.components.contactInfo) {
+            contactInfoScore = comparison.details.components.contactInfo.similarity;
+        }
+    }
+
+    return {
+        overall: comparison.score,
+        name: nameScore,
+        contactInfo: contactInfoScore,
+        comparisonType: comparison.comparisonType
+    };
+}
+
 /**
  * Step 9: Collect household-related keys from all group members.
  * When any member is added to a group, pull in their parent household and siblings.
@@ -1234,7 +1408,7 @@ function markHouseholdIndividualsAsAssigned(householdKey, householdEntity, group
  *
  * Structure:
  * {
- *   metadata: { timestamp, totalGroups, totalMembers },
+ *   metadata: { timestamp, totalGroups, totalMembers, matchingProfile },
  *   groups: {
  *     "0||foundingMemberKey": ["memberKey1", "memberKey2", ...],
  *     "1||foundingMemberKey": [],
@@ -1253,7 +1427,8 @@ function buildEntityGroupReferenceFile(groupDb) {
         metadata: {
             timestamp: new Date().toISOString(),
             totalGroups: groupsArray.length,
-            totalMembers: groupDb.stats?.totalEntitiesAssigned || 0
+            totalMembers: groupDb.stats?.totalEntitiesAssigned || 0,
+            matchingProfile: groupDb.matchingProfile?.name || null
         },
         groups: {}
     };
@@ -1272,11 +1447,11 @@ function buildEntityGroupReferenceFile(groupDb) {
 }
 
 // =============================================================================
-// GOOGLE DRIVE PERSISTENCE
+// PERSISTENCE (through the active storage adapter: Google Drive or local directory)
 // =============================================================================
 
 /**
- * Save EntityGroupDatabase to Google Drive (updates existing file)
+ * Save EntityGroupDatabase (updates existing file)
  * @param {EntityGroupDatabase} groupDb - The database to save
  * @param {string} fileId - Google Drive file ID
  * @param {Function} log - Logging function
@@ -1289,87 +1464,94 @@ async function saveEntityGroupDatabase(groupDb, fileId = ENTITYGROUP_DATABASE_FI
 
     // Serialize the database using serializeWithTypes for automatic type preservation
     log('Serializing EntityGroupDatabase...');
-    const jsonString = serializeWithTypes(groupDb);
+    const jsonString = serializeEntityGroupDatabaseForSave(groupDb);
     const sizeKB = (jsonString.length / 1024).toFixed(1);
     const sizeMB = (jsonString.length / (1024 * 1024)).toFixed(2);
     log(`Serialized size: ${sizeKB} KB (${sizeMB} MB)`);
     log(`Groups: ${groupDb.stats.totalGroups}, Entities: ${groupDb.stats.totalEntitiesAssigned}`);
 
-    // Upload to Google Drive
-    log(`Uploading to Google Drive file: ${fileId}...`);
-
-    const response = await fetch(
-        `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=media`,
-        {
-            method: 'PATCH',
-            headers: new Headers({
-                'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                'Content-Type': 'application/json'
-            }),
-            body: jsonString
-        }
-    );
+    const storage = getStorageAdapter();
+    log(`Uploading to ${storage.name} storage file: ${fileId}...`);
+    await storage.writeFile(fileId, jsonString);
 
-    if (response.ok) {
-        // Update file name with timestamp
-        const fileName = `entity_group_database_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
-        await gapi.client.drive.files.update({
-            fileId: fileId,
-            resource: { name: fileName }
-        });
+    // Update file name with timestamp
+    const fileName = `entity_group_database_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+    await storage.renameFile(fileId, fileName);
 
-        log('=== EntityGroupDatabase Saved Successfully ===');
-        log(`File ID: ${fileId}`);
-        log(`File name: ${fileName}`);
+    log('=== EntityGroupDatabase Saved Successfully ===');
+    log(`File ID: ${fileId}`);
+    log(`File name: ${fileName}`);
 
-        return {
-            success: true,
-            fileId: fileId,
-            fileName: fileName,
-            stats: groupDb.stats,
-            sizeBytes: jsonString.length
-        };
-    } else {
-        const errorText = await response.text();
-        throw new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
-    }
+    return {
+        success: true,
+        fileId: fileId,
+        fileName: fileName,
+        stats: groupDb.stats,
+        sizeBytes: jsonString.length
+    };
 }
 
 /**
- * Load EntityGroupDatabase from Google Drive
- * @param {string} fileId - Google Drive file ID
- * @returns {Promise<EntityGroupDatabase>} The loaded database
+ * Serialize an EntityGroupDatabase with its integrity block (group and entity counts, content hash)
+ * @param {EntityGroupDatabase} groupDb
+ * @returns {string} JSON to save
  */
-async function loadEntityGroupDatabase(fileId = ENTITYGROUP_DATABASE_FILE_ID) {
-    console.log('=== Loading EntityGroupDatabase from Google Drive ===');
+function serializeEntityGroupDatabaseForSave(groupDb) {
+    return addDatabaseIntegrity(serializeWithTypes(groupDb), 'EntityGroupDatabase', {
+        entityCount: groupDb.assignedEntityKeys.size,
+        groupCount: Object.keys(groupDb.groups).length
+    });
+}
 
+/**
+ * Read a saved EntityGroupDatabase without making it the loaded one: checks the
+ * integrity block, applies serialization migrations and checks the counts.
+ * Used by loadEntityGroupDatabase() and to read an earlier build for comparison.
+ * @param {string} fileId - Storage file ID
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Read a file that fails its integrity check (warns instead)
+ * @returns {Promise<EntityGroupDatabase>} The saved database
+ */
+async function readSavedEntityGroupDatabase(fileId, options = {}) {
     if (!fileId) {
         throw new Error('No file ID provided for EntityGroupDatabase load.');
     }
 
-    console.log(`Loading from file: ${fileId}...`);
+    const storage = getStorageAdapter();
+    console.log(`Loading from ${storage.name} storage file: ${fileId}...`);
 
-    const response = await fetch(
-        `https://www.googleapis.com/drive/v3/files/${fileId}?alt=media`,
-        {
-            method: 'GET',
-            headers: new Headers({
-                'Authorization': `Bearer ${gapi.client.getToken().access_token}`
-            })
-        }
-    );
+    const jsonString = await storage.readFile(fileId);
+    const sizeKB = (jsonString.length / 1024).toFixed(1);
+    console.log(`Downloaded ${sizeKB} KB`);
 
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
+    // Deserialize using deserializeWithTypes for automatic type restoration,
+    // upgrading data saved under an older schema
+    const checked = readDatabaseIntegrity(jsonString, 'EntityGroupDatabase', fileId, options);
+    const { value: groupDb, report: migration } =
+        deserializeWithMigrations(checked.content, getSavedSchemaVersion(checked.integrity));
+    console.log(formatSerializationMigrationReport(migration));
+    if (!groupDb || !groupDb.groups) {
+        throw new Error(`File ${fileId} does not contain an EntityGroupDatabase`);
     }
+    checkDatabaseCounts(checked.integrity, {
+        entityCount: groupDb.assignedEntityKeys?.size,
+        groupCount: Object.keys(groupDb.groups).length
+    }, fileId, options);
 
-    const jsonString = await response.text();
-    const sizeKB = (jsonString.length / 1024).toFixed(1);
-    console.log(`Downloaded ${sizeKB} KB`);
+    return groupDb;
+}
 
-    // Deserialize using deserializeWithTypes for automatic type restoration
-    const groupDb = deserializeWithTypes(jsonString);
+/**
+ * Load EntityGroupDatabase. Refuses a file whose integrity block does not match
+ * its content or its group and entity counts.
+ * @param {string} fileId - Google Drive file ID
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Load a file that fails its integrity check (warns instead)
+ * @returns {Promise<EntityGroupDatabase>} The loaded database
+ */
+async function loadEntityGroupDatabase(fileId = ENTITYGROUP_DATABASE_FILE_ID, options = {}) {
+    console.log(`=== Loading EntityGroupDatabase from ${getStorageAdapter().name} storage ===`);
+    const groupDb = await readSavedEntityGroupDatabase(fileId, options);
 
     // Store in global
     window.entityGroupDatabase = groupDb;
@@ -1381,7 +1563,7 @@ async function loadEntityGroupDatabase(fileId = ENTITYGROUP_DATABASE_FILE_ID) {
 }
 
 /**
- * Save EntityGroupDatabase to a NEW Google Drive file
+ * Save EntityGroupDatabase to a NEW file
  * @param {EntityGroupDatabase} groupDb - The database to save
  * @param {string} [folderId] - Optional folder ID to create file in
  * @param {Function} log - Logging function
@@ -1390,77 +1572,35 @@ async function loadEntityGroupDatabase(fileId = ENTITYGROUP_DATABASE_FILE_ID) {
 async function saveEntityGroupDatabaseToNewFile(groupDb, folderId = null, log = console.log) {
     // Serialize the database using serializeWithTypes for automatic type preservation
     log('Serializing EntityGroupDatabase for new file...');
-    const jsonString = serializeWithTypes(groupDb);
+    const jsonString = serializeEntityGroupDatabaseForSave(groupDb);
     const sizeKB = (jsonString.length / 1024).toFixed(1);
     const sizeMB = (jsonString.length / (1024 * 1024)).toFixed(2);
     log(`Serialized size: ${sizeKB} KB (${sizeMB} MB)`);
 
-    // Create file metadata
     const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
     const fileName = `entity_group_database_${timestamp}.json`;
 
-    const metadata = {
-        name: fileName,
-        mimeType: 'application/json'
-    };
+    const storage = getStorageAdapter();
+    log(`Creating new ${storage.name} storage file...`);
+    const newFileId = await storage.createFile(fileName, folderId, jsonString);
 
-    if (folderId) {
-        metadata.parents = [folderId];
-    }
+    log('=== EntityGroupDatabase Saved to NEW File ===');
+    log(`NEW File ID: ${newFileId}`);
+    log(`File name: ${fileName}`);
+    console.log(`%c📁 NEW EntityGroupDatabase File ID: ${newFileId}`, 'color: green; font-weight: bold; font-size: 14px;');
 
-    // Create new file using multipart upload
-    log('Creating new Google Drive file...');
-
-    const boundary = '-------EntityGroupDatabaseBoundary';
-    const delimiter = `\r\n--${boundary}\r\n`;
-    const closeDelimiter = `\r\n--${boundary}--`;
-
-    const multipartBody =
-        delimiter +
-        'Content-Type: application/json; charset=UTF-8\r\n\r\n' +
-        JSON.stringify(metadata) +
-        delimiter +
-        'Content-Type: application/json\r\n\r\n' +
-        jsonString +
-        closeDelimiter;
-
-    const response = await fetch(
-        'https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart',
-        {
-            method: 'POST',
-            headers: new Headers({
-                'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                'Content-Type': `multipart/related; boundary=${boundary}`
-            }),
-            body: multipartBody
-        }
-    );
-
-    if (response.ok) {
-        const result = await response.json();
-        const newFileId = result.id;
-
-        log('=== EntityGroupDatabase Saved to NEW File ===');
-        log(`NEW File ID: ${newFileId}`);
-        log(`File name: ${fileName}`);
-        console.log(`%c📁 NEW EntityGroupDatabase File ID: ${newFileId}`, 'color: green; font-weight: bold; font-size: 14px;');
-
-        return {
-            success: true,
-            fileId: newFileId,
-            fileName: fileName,
-            stats: groupDb.stats,
-            sizeBytes: jsonString.length,
-            isNewFile: true
-        };
-    } else {
-        const errorText = await response.text();
-        throw new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
-    }
+    return {
+        success: true,
+        fileId: newFileId,
+        fileName: fileName,
+        stats: groupDb.stats,
+        sizeBytes: jsonString.length,
+        isNewFile: true
+    };
 }
 
 /**
- * Save Reference File to an existing Google Drive file
+ * Save Reference File to an existing file
  * @param {Object} referenceData - The reference file data (from buildEntityGroupReferenceFile)
  * @param {string} fileId - Google Drive file ID to update
  * @param {Function} log - Logging function
@@ -1475,46 +1615,27 @@ async function saveEntityGroupReference(referenceData, fileId, log = console.log
     const sizeKB = (jsonString.length / 1024).toFixed(1);
     log(`Reference file size: ${sizeKB} KB`);
 
-    // Upload to Google Drive
+    const storage = getStorageAdapter();
     log(`Uploading Reference File to: ${fileId}...`);
+    await storage.writeFile(fileId, jsonString);
 
-    const response = await fetch(
-        `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=media`,
-        {
-            method: 'PATCH',
-            headers: new Headers({
-                'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                'Content-Type': 'application/json'
-            }),
-            body: jsonString
-        }
-    );
-
-    if (response.ok) {
-        // Update file name with timestamp
-        const fileName = `entity_group_reference_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
-        await gapi.client.drive.files.update({
-            fileId: fileId,
-            resource: { name: fileName }
-        });
+    // Update file name with timestamp
+    const fileName = `entity_group_reference_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+    await storage.renameFile(fileId, fileName);
 
-        log('=== Reference File Saved Successfully ===');
-        log(`File ID: ${fileId}`);
+    log('=== Reference File Saved Successfully ===');
+    log(`File ID: ${fileId}`);
 
-        return {
-            success: true,
-            fileId: fileId,
-            fileName: fileName,
-            sizeBytes: jsonString.length
-        };
-    } else {
-        const errorText = await response.text();
-        throw new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
-    }
+    return {
+        success: true,
+        fileId: fileId,
+        fileName: fileName,
+        sizeBytes: jsonString.length
+    };
 }
 
 /**
- * Save Reference File to a NEW Google Drive file
+ * Save Reference File to a NEW file
  * @param {Object} referenceData - The reference file data (from buildEntityGroupReferenceFile)
  * @param {string} [folderId] - Optional folder ID to create file in
  * @param {Function} log - Logging function
@@ -1525,67 +1646,25 @@ async function saveEntityGroupReferenceToNewFile(referenceData, folderId = null,
     const sizeKB = (jsonString.length / 1024).toFixed(1);
     log(`Reference file size: ${sizeKB} KB`);
 
-    // Create file metadata
     const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
     const fileName = `entity_group_reference_${timestamp}.json`;
 
-    const metadata = {
-        name: fileName,
-        mimeType: 'application/json'
-    };
-
-    if (folderId) {
-        metadata.parents = [folderId];
-    }
-
-    // Create new file using multipart upload
-    log('Creating new Reference File on Google Drive...');
-
-    const boundary = '-------EntityGroupReferenceBoundary';
-    const delimiter = `\r\n--${boundary}\r\n`;
-    const closeDelimiter = `\r\n--${boundary}--`;
-
-    const multipartBody =
-        delimiter +
-        'Content-Type: application/json; charset=UTF-8\r\n\r\n' +
-        JSON.stringify(metadata) +
-        delimiter +
-        'Content-Type: application/json\r\n\r\n' +
-        jsonString +
-        closeDelimiter;
-
-    const response = await fetch(
-        'https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart',
-        {
-            method: 'POST',
-            headers: new Headers({
-                'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                'Content-Type': `multipart/related; boundary=${boundary}`
-            }),
-            body: multipartBody
-        }
-    );
-
-    if (response.ok) {
-        const result = await response.json();
-        const newFileId = result.id;
+    const storage = getStorageAdapter();
+    log(`Creating new Reference File in ${storage.name} storage...`);
+    const newFileId = await storage.createFile(fileName, folderId, jsonString);
 
-        log('=== Reference File Saved to NEW File ===');
-        log(`NEW File ID: ${newFileId}`);
-        log(`File name: ${fileName}`);
-        console.log(`%c📄 NEW Reference File ID: ${newFileId}`, 'color: blue; font-weight: bold; font-size: 14px;');
+    log('=== Reference File Saved to NEW File ===');
+    log(`NEW File ID: ${newFileId}`);
+    log(`File name: ${fileName}`);
+    console.log(`%c📄 NEW Reference File ID: ${newFileId}`, 'color: blue; font-weight: bold; font-size: 14px;');
 
-        return {
-            success: true,
-            fileId: newFileId,
-            fileName: fileName,
-            sizeBytes: jsonString.length,
-            isNewFile: true
-        };
-    } else {
-        const errorText = await response.text();
-        throw new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
-    }
+    return {
+        success: true,
+        fileId: newFileId,
+        fileName: fileName,
+        sizeBytes: jsonString.length,
+        isNewFile: true
+    };
 }
 
 /**
@@ -1655,6 +1734,8 @@ if (typeof module !== 'undefined' && module.exports) {
         buildEntityGroupDatabase,
         saveEntityGroupDatabase,
         saveEntityGroupDatabaseToNewFile,
+        serializeEntityGroupDatabaseForSave,
+        readSavedEntityGroupDatabase,
         loadEntityGroupDatabase,
         buildEntityGroupReferenceFile,
         saveEntityGroupReference,
@@ -1664,6 +1745,7 @@ if (typeof module !== 'undefined' && module.exports) {
         getEntitiesBySourceAndType,
         isBloomerangKey,
         findMatchesForEntity,
+        scoreGroupingPair,
         buildGroupForFounder,
         createStratifiedSample,
         ENTITYGROUP_DATABASE_FILE_ID
@@ -1675,6 +1757,7 @@ if (typeof window !== 'undefined') {
     window.buildEntityGroupDatabase = buildEntityGroupDatabase;
     window.saveEntityGroupDatabase = saveEntityGroupDatabase;
     window.saveEntityGroupDatabaseToNewFile = saveEntityGroupDatabaseToNewFile;
+    window.readSavedEntityGroupDatabase = readSavedEntityGroupDatabase;
     window.loadEntityGroupDatabase = loadEntityGroupDatabase;
     window.buildEntityGroupReferenceFile = buildEntityGroupReferenceFile;
     window.saveEntityGroupReference = saveEntityGroupReference;
@@ -1684,6 +1767,7 @@ if (typeof window !== 'undefined') {
     window.getEntitiesBySourceAndType = getEntitiesBySourceAndType;
     window.isBloomerangKey = isBloomerangKey;
     window.findMatchesForEntity = findMatchesForEntity;
+    window.scoreGroupingPair = scoreGroupingPair;
     window.buildGroupForFounder = buildGroupForFounder;
     window.createStratifiedSample = createStratifiedSample;
     window.ENTITYGROUP_DATABASE_FILE_ID = ENTITYGROUP_DATABASE_FILE_ID;
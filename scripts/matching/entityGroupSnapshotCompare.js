@@ -0,0 +1,304 @@
+/**
+ * EntityGroup Snapshot Compare
+ *
+ * Compares two EntityGroupDatabase builds (an older snapshot and a newer one) and
+ * reports what changed between them.
+ *
+ * Groups are matched by foundingMemberKey, not by index: group indices are
+ * reassigned on every build, so comparing by index would report nearly every
+ * group as changed.
+ *
+ * Reported changes:
+ * - membershipChanges: matched groups whose memberKeys gained or lost entities
+ * - movedEntities:     entities whose group (by founding member) differs between builds
+ * - newGroups:         founding keys only in the new build (with the old groups their members came from)
+ * - droppedGroups:     founding keys only in the old build (with the new groups their members went to)
+ * - newProspects / droppedProspects: prospect status (isProspect) gained or lost
+ * - consensusNameChanges: matched groups whose consensus entity name changed
+ * - addedEntities / removedEntities: entity keys present in only one build
+ *
+ * USAGE:
+ *   const report = compareEntityGroupDatabases(oldGroupDb, newGroupDb);
+ *   const csv = buildSnapshotCompareCSV(report);
+ *
+ * Dependencies: csvEscape (export/csvReports.js) for the CSV output
+ */
+
+// =============================================================================
+// COMPARISON
+// =============================================================================
+
+/**
+ * Compare two EntityGroup databases keyed by foundingMemberKey
+ * @param {EntityGroupDatabase} oldDb - Earlier build
+ * @param {EntityGroupDatabase} newDb - Later build
+ * @param {Object} [options]
+ * @param {string} [options.oldLabel='old'] - Label for the earlier build (shown in reports)
+ * @param {string} [options.newLabel='new'] - Label for the later build
+ * @returns {Object} Comparison report (see file header for sections)
+ */
+function compareEntityGroupDatabases(oldDb, newDb, options = {}) {
+    if (!oldDb || !oldDb.groups || !newDb || !newDb.groups) {
+        throw new Error('compareEntityGroupDatabases requires two EntityGroup databases');
+    }
+
+    const oldByFounder = indexGroupsByFounder(oldDb);
+    const newByFounder = indexGroupsByFounder(newDb);
+    const oldFounderOfEntity = mapEntitiesToFounders(oldByFounder);
+    const newFounderOfEntity = mapEntitiesToFounders(newByFounder);
+
+    const report = {
+        oldLabel: options.oldLabel || 'old',
+        newLabel: options.newLabel || 'new',
+        generatedAt: new Date().toISOString(),
+        membershipChanges: [],
+        movedEntities: [],
+        newGroups: [],
+        droppedGroups: [],
+        newProspects: [],
+        droppedProspects: [],
+        consensusNameChanges: [],
+        addedEntities: [],
+        removedEntities: [],
+        summary: {}
+    };
+
+    // Matched groups: membership, prospect status, consensus name
+    for (const [founderKey, newGroup] of newByFounder) {
+        const oldGroup = oldByFounder.get(founderKey);
+
+        if (!oldGroup) {
+            const sources = new Set();
+            for (const key of newGroup.memberKeys) {
+                const oldFounder = oldFounderOfEntity.get(key);
+                if (oldFounder) sources.add(oldFounder);
+            }
+            report.newGroups.push({
+                foundingMemberKey: founderKey,
+                newIndex: newGroup.index,
+                memberKeys: [...newGroup.memberKeys],
+                fromOldGroups: [...sources]
+            });
+            if (groupIsProspect(newGroup)) {
+                report.newProspects.push({ foundingMemberKey: founderKey, oldIndex: null, newIndex: newGroup.index, reason: 'new group' });
+            }
+            continue;
+        }
+
+        const oldMembers = new Set(oldGroup.memberKeys);
+        const newMembers = new Set(newGroup.memberKeys);
+        const added = newGroup.memberKeys.filter(k => !oldMembers.has(k));
+        const removed = oldGroup.memberKeys.filter(k => !newMembers.has(k));
+        if (added.length > 0 || removed.length > 0) {
+            report.membershipChanges.push({
+                foundingMemberKey: founderKey,
+                oldIndex: oldGroup.index,
+                newIndex: newGroup.index,
+                addedKeys: added,
+                removedKeys: removed,
+                oldMemberCount: oldGroup.memberKeys.length,
+                newMemberCount: newGroup.memberKeys.length
+            });
+        }
+
+        const wasProspect = groupIsProspect(oldGroup);
+        const isProspectNow = groupIsProspect(newGroup);
+        if (!wasProspect && isProspectNow) {
+            report.newProspects.push({ foundingMemberKey: founderKey, oldIndex: oldGroup.index, newIndex: newGroup.index, reason: 'lost Bloomerang member' });
+        } else if (wasProspect && !isProspectNow) {
+            report.droppedProspects.push({ foundingMemberKey: founderKey, oldIndex: oldGroup.index, newIndex: newGroup.index, reason: 'gained Bloomerang member' });
+        }
+
+        const oldName = getGroupConsensusName(oldGroup);
+        const newName = getGroupConsensusName(newGroup);
+        if (oldName !== newName) {
+            report.consensusNameChanges.push({
+                foundingMemberKey: founderKey,
+                oldIndex: oldGroup.index,
+                newIndex: newGroup.index,
+                oldName,
+                newName
+            });
+        }
+    }
+
+    // Groups whose founder no longer founds a group
+    for (const [founderKey, oldGroup] of oldByFounder) {
+        if (newByFounder.has(founderKey)) continue;
+
+        const destinations = new Set();
+        for (const key of oldGroup.memberKeys) {
+            const newFounder = newFounderOfEntity.get(key);
+            if (newFounder) destinations.add(newFounder);
+        }
+        report.droppedGroups.push({
+            foundingMemberKey: founderKey,
+            oldIndex: oldGroup.index,
+            memberKeys: [...oldGroup.memberKeys],
+            toNewGroups: [...destinations]
+        });
+        if (groupIsProspect(oldGroup)) {
+            report.droppedProspects.push({ foundingMemberKey: founderKey, oldIndex: oldGroup.index, newIndex: null, reason: 'group dropped' });
+        }
+    }
+
+    // Entity-level moves and additions/removals
+    for (const [entityKey, oldFounder] of oldFounderOfEntity) {
+        const newFounder = newFounderOfEntity.get(entityKey);
+        if (!newFounder) {
+            report.removedEntities.push({ entityKey, oldFoundingMemberKey: oldFounder });
+        } else if (newFounder !== oldFounder) {
+            report.movedEntities.push({
+                entityKey,
+                fromFoundingMemberKey: oldFounder,
+                toFoundingMemberKey: newFounder,
+                fromIndex: oldByFounder.get(oldFounder).index,
+                toIndex: newByFounder.get(newFounder).index
+            });
+        }
+    }
+    for (const [entityKey, newFounder] of newFounderOfEntity) {
+        if (!oldFounderOfEntity.has(entityKey)) {
+            report.addedEntities.push({ entityKey, newFoundingMemberKey: newFounder });
+        }
+    }
+
+    report.summary = {
+        oldGroups: oldByFounder.size,
+        newGroups: newByFounder.size,
+        matchedGroups: [...newByFounder.keys()].filter(k => oldByFounder.has(k)).length,
+        membershipChanges: report.membershipChanges.length,
+        movedEntities: report.movedEntities.length,
+        groupsOnlyInNew: report.newGroups.length,
+        groupsOnlyInOld: report.droppedGroups.length,
+        newProspects: report.newProspects.length,
+        droppedProspects: report.droppedProspects.length,
+        consensusNameChanges: report.consensusNameChanges.length,
+        addedEntities: report.addedEntities.length,
+        removedEntities: report.removedEntities.length
+    };
+
+    return report;
+}
+
+/**
+ * Map foundingMemberKey -> group
+ * @param {EntityGroupDatabase} groupDb
+ * @returns {Map<string, EntityGroup>}
+ */
+function indexGroupsByFounder(groupDb) {
+    const byFounder = new Map();
+    for (const group of Object.values(groupDb.groups)) {
+        if (group && group.foundingMemberKey) {
+            byFounder.set(group.foundingMemberKey, group);
+        }
+    }
+    return byFounder;
+}
+
+/**
+ * Map member entity key -> foundingMemberKey of the group containing it
+ * @param {Map<string, EntityGroup>} byFounder
+ * @returns {Map<string, string>}
+ */
+function mapEntitiesToFounders(byFounder) {
+    const founderOf = new Map();
+    for (const [founderKey, group] of byFounder) {
+        for (const key of group.memberKeys || []) {
+            founderOf.set(key, founderKey);
+        }
+    }
+    return founderOf;
+}
+
+/**
+ * Prospect status that also works on plain (non-class) group objects
+ * @param {EntityGroup|Object} group
+ * @returns {boolean}
+ */
+function groupIsProspect(group) {
+    return typeof group.isProspect === 'function' ? group.isProspect() : !group.hasBloomerangMember;
+}
+
+/**
+ * Name of a group's consensus entity ('' when the group has none)
+ * @param {EntityGroup} group
+ * @returns {string}
+ */
+function getGroupConsensusName(group) {
+    const name = group.consensusEntity?.name;
+    if (!name) return '';
+    if (name.primaryAlias?.term) return String(name.primaryAlias.term);
+    if (name.term) return String(name.term);
+    if (name.completeName) return String(name.completeName);
+    return [name.firstName, name.lastName].filter(Boolean).join(' ');
+}
+
+// =============================================================================
+// CSV OUTPUT
+// =============================================================================
+
+const SNAPSHOT_COMPARE_CSV_HEADERS = [
+    'ChangeType', 'FoundingMemberKey', 'OldIndex', 'NewIndex', 'EntityKey', 'OldValue', 'NewValue'
+];
+
+/**
+ * Flatten a comparison report into CSV, one row per change
+ * @param {Object} report - From compareEntityGroupDatabases()
+ * @returns {string} CSV text
+ */
+function buildSnapshotCompareCSV(report) {
+    const rows = [];
+    const add = (...values) => rows.push(values.map(csvEscape).join(','));
+
+    for (const c of report.membershipChanges) {
+        for (const key of c.addedKeys) add('MEMBER_ADDED', c.foundingMemberKey, c.oldIndex, c.newIndex, key, '', '');
+        for (const key of c.removedKeys) add('MEMBER_REMOVED', c.foundingMemberKey, c.oldIndex, c.newIndex, key, '', '');
+    }
+    for (const m of report.movedEntities) {
+        add('ENTITY_MOVED', m.toFoundingMemberKey, m.fromIndex, m.toIndex, m.entityKey, m.fromFoundingMemberKey, m.toFoundingMemberKey);
+    }
+    for (const g of report.newGroups) {
+        add('GROUP_NEW', g.foundingMemberKey, '', g.newIndex, '', g.fromOldGroups.join('; '), g.memberKeys.join('; '));
+    }
+    for (const g of report.droppedGroups) {
+        add('GROUP_DROPPED', g.foundingMemberKey, g.oldIndex, '', '', g.memberKeys.join('; '), g.toNewGroups.join('; '));
+    }
+    for (const p of report.newProspects) {
+        add('PROSPECT_NEW', p.foundingMemberKey, p.oldIndex ?? '', p.newIndex ?? '', '', '', p.reason);
+    }
+    for (const p of report.droppedProspects) {
+        add('PROSPECT_DROPPED', p.foundingMemberKey, p.oldIndex ?? '', p.newIndex ?? '', '', '', p.reason);
+    }
+    for (const n of report.consensusNameChanges) {
+        add('CONSENSUS_NAME_CHANGED', n.foundingMemberKey, n.oldIndex, n.newIndex, '', n.oldName, n.newName);
+    }
+    for (const e of report.addedEntities) {
+        add('ENTITY_ADDED', e.newFoundingMemberKey, '', '', e.entityKey, '', '');
+    }
+    for (const e of report.removedEntities) {
+        add('ENTITY_REMOVED', e.oldFoundingMemberKey, '', '', e.entityKey, '', '');
+    }
+
+    return [SNAPSHOT_COMPARE_CSV_HEADERS.join(','), ...rows].join('\n');
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        compareEntityGroupDatabases,
+        buildSnapshotCompareCSV,
+        getGroupConsensusName
+    };
+}
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.compareEntityGroupDatabases = compareEntityGroupDatabases;
+    window.buildSnapshotCompareCSV = buildSnapshotCompareCSV;
+    window.getGroupConsensusName = getGroupConsensusName;
+}
@@ -0,0 +1,748 @@
+/**
+ * Entity Scoring Engine
+ *
+ * The single implementation of entity-to-entity scoring. Both comparison entry points
+ * delegate here, so a scoring change is made once:
+ *
+ *   entity.compareTo(other)       -> entityWeightedComparison (utils.js) -> scoreWeightedEntityPair()
+ *   universalCompareTo(e1, e2)    -> scoreEntityPair() -> strategy registered for the type pair
+ *
+ * Strategy registry (keyed by constructor names, see registerScoringStrategy):
+ *   Individual          <-> Individual          compareIndividualToIndividual (weighted comparison)
+ *   Individual          <-> AggregateHousehold  compareIndividualToHousehold / compareHouseholdToIndividual
+ *   AggregateHousehold  <-> AggregateHousehold  compareHouseholdToHousehold
+ *   NonHuman pairs (Business, LegalConstruct) and unregistered pairs: compareIndividualToEntityDirect
+ *
+ * Same-location pairs (suffixed fire numbers with a shared base, e.g. 72J vs 72W) are routed
+ * to compareSameLocationEntities before the registry is consulted.
+ *
+ * Shared component scorers (scoreNameComponent, scoreContactInfoComponent) hold the logic
+ * the strategies have in common, including same-location handling of contactInfo.
+ *
+ * Parity with the pre-engine code paths is checked by scripts/testing/scoringEngineParity.js
+ * (node bin/birava scoring-parity).
+ *
+ * Dependencies: utils.js (areSameLocationEntities, compareSecondaryAddressesOnly,
+ * crossTypeNameComparison, extractFireNumberFromEntity), aliasClasses.js (safeNumericCompare)
+ */
+
+// =============================================================================
+// SHARED COMPONENT SCORERS
+// =============================================================================
+
+/**
+ * Score two name objects of any type.
+ * Same name class: safeNumericCompare (proper IndividualName handling);
+ * different classes: cross-type string comparison.
+ * @param {Object} name1
+ * @param {Object} name2
+ * @returns {{similarity: number, method: string}} method is 'native', 'cross-type' or 'cross-type-fallback'
+ */
+function scoreNameComponent(name1, name2) {
+    const name1Type = name1.constructor?.name;
+    const name2Type = name2.constructor?.name;
+
+    if (name1Type === name2Type) {
+        const nameResult = window.safeNumericCompare
+            ? window.safeNumericCompare(name1, name2)
+            : null;
+        if (nameResult !== null) {
+            const similarity = typeof nameResult === 'number'
+                ? nameResult
+                : (nameResult?.overallSimilarity || nameResult?.similarity || 0);
+            return { similarity, method: 'native' };
+        }
+        // Fallback to cross-type comparison
+        return {
+            similarity: (typeof crossTypeNameComparison === 'function') ? crossTypeNameComparison(name1, name2) : 0,
+            method: 'cross-type-fallback'
+        };
+    }
+
+    return {
+        similarity: (typeof crossTypeNameComparison === 'function') ? crossTypeNameComparison(name1, name2) : 0,
+        method: 'cross-type'
+    };
+}
+
+/**
+ * Score two ContactInfo objects belonging to entity1 and entity2.
+ * When the entities are at the same location (same base fire number, different suffixes)
+ * only secondary addresses are compared - their primary addresses would match trivially.
+ * @param {Entity} entity1 - Owner of contactInfo1 (used for the same-location check)
+ * @param {Entity} entity2 - Owner of contactInfo2
+ * @param {ContactInfo} contactInfo1
+ * @param {ContactInfo} contactInfo2
+ * @returns {{similarity: number, sameLocation: boolean, detailedResult: Object}}
+ */
+function scoreContactInfoComponent(entity1, entity2, contactInfo1, contactInfo2) {
+    const sameLocation = (typeof areSameLocationEntities === 'function')
+        ? areSameLocationEntities(entity1, entity2)
+        : false;
+
+    if (sameLocation) {
+        const similarity = (typeof compareSecondaryAddressesOnly === 'function')
+            ? compareSecondaryAddressesOnly(contactInfo1, contactInfo2)
+            : 0;
+        const fn1 = extractFireNumberFromEntity(entity1);
+        const fn2 = extractFireNumberFromEntity(entity2);
+        return {
+            similarity,
+            sameLocation: true,
+            detailedResult: {
+                overallSimilarity: similarity,
+                method: 'sameLocation_secondaryAddressesOnly',
+                note: `Same location (${fn1} vs ${fn2}): primary address excluded from comparison`
+            }
+        };
+    }
+
+    const contactResult = contactInfo1.compareTo(contactInfo2, true);
+    if (typeof contactResult === 'number') {
+        return { similarity: contactResult, sameLocation: false, detailedResult: { overallSimilarity: contactResult } };
+    }
+    return { similarity: contactResult?.overallSimilarity || 0, sameLocation: false, detailedResult: contactResult };
+}
+
+// =============================================================================
+// WEIGHTED COMPARISON (entity.compareTo path)
+// =============================================================================
+
+/**
+ * Entity-level weighted comparison (the entity.compareTo() path)
+ * Compares Individual or AggregateHousehold entities using:
+ * - name (IndividualName.compareTo)
+ * - contactInfo (ContactInfo.compareTo, secondary addresses only for same-location pairs)
+ * - otherInfo (if both have it)
+ * - legacyInfo (if both have it)
+ *
+ * Following the "don't penalize for missing data" principle:
+ * Only weights components where BOTH sides have data, then normalizes.
+ * Weights come from the active matching profile (matchingProfiles.js), falling back to
+ * entity1.comparisonWeights.
+ *
+ * @param {Entity} entity1 - Entity whose weights are used
+ * @param {Entity} entity2 - The other entity to compare against
+ * @param {boolean} detailed - If true, returns detailed breakdown object instead of number
+ * @returns {number|Object} Similarity score 0-1, or detailed breakdown object if detailed=true
+ */
+function scoreWeightedEntityPair(entity1, entity2, detailed = false) {
+    const thisEntity = entity1;
+    const otherEntity = entity2;
+
+    // Base weights from CLAUDE.md:
+    // Individual: {name: 0.5, contactInfo: 0.3, otherInfo: 0.15, legacyInfo: 0.05}
+    // We use the active matching profile's weights for this class, then comparisonWeights, otherwise defaults
+    const baseWeights = (typeof resolveComparisonWeights === 'function'
+        ? resolveComparisonWeights(thisEntity)
+        : thisEntity.comparisonWeights) || {
+        name: 0.5,
+        contactInfo: 0.3,
+        otherInfo: 0.15,
+        legacyInfo: 0.05
+    };
+
+    // First pass: calculate raw similarities for name and contactInfo
+    let nameSimilarity = null;
+    let contactInfoSimilarity = null;
+    let nameDetailedResult = null;
+    let contactInfoDetailedResult = null;
+
+    const hasNameData = thisEntity.name && otherEntity.name;
+    if (hasNameData) {
+        try {
+            // Use safeNumericCompare for proper IndividualName handling
+            const nameResult = window.safeNumericCompare
+                ? window.safeNumericCompare(thisEntity.name, otherEntity.name)
+                : (typeof thisEntity.name.compareTo === 'function' ? thisEntity.name.compareTo(otherEntity.name, true) : null);
+            if (nameResult !== null) {
+                if (typeof nameResult === 'number') {
+                    nameSimilarity = nameResult;
+                    nameDetailedResult = { overallSimilarity: nameResult };
+                } else {
+                    nameSimilarity = nameResult.overallSimilarity;
+                    nameDetailedResult = nameResult;
+                }
+            }
+        } catch (nameError) {
+            // nameSimilarity remains null - will be treated as missing data
+        }
+    }
+
+    const hasContactInfoData = thisEntity.contactInfo && otherEntity.contactInfo &&
+                               typeof thisEntity.contactInfo.compareTo === 'function';
+
+    if (hasContactInfoData) {
+        // Same-location pairs (72J vs 72W) score secondary addresses only - see scoreContactInfoComponent
+        const contactScore = scoreContactInfoComponent(thisEntity, otherEntity, thisEntity.contactInfo, otherEntity.contactInfo);
+        contactInfoSimilarity = contactScore.similarity;
+        contactInfoDetailedResult = contactScore.detailedResult;
+    }
+
+    // Apply weight boost logic (NAME ONLY):
+    // - If name is 100%: +12% to name weight
+    // - If name is >95% (but <100%): +6% to name weight
+    // Boost is taken proportionally from other categories
+    let weights = { ...baseWeights };
+    let boostAmount = 0;
+
+    if (nameSimilarity !== null) {
+        // Check for 100% perfect name match boost (12%)
+        if (nameSimilarity === 1.0) {
+            boostAmount = 0.12;
+        }
+        // Check for >95% high name match boost (6%)
+        else if (nameSimilarity > 0.95) {
+            boostAmount = 0.06;
+        }
+    }
+
+    // Apply boost by redistributing from other categories proportionally
+    if (boostAmount > 0) {
+        // All non-name categories contribute to the boost
+        const nonBoostCategories = ['contactInfo', 'otherInfo', 'legacyInfo'];
+        const totalNonBoostWeight = nonBoostCategories.reduce((sum, cat) => sum + weights[cat], 0);
+
+        if (totalNonBoostWeight > 0) {
+            // Reduce each non-boost category proportionally
+            nonBoostCategories.forEach(cat => {
+                const proportion = weights[cat] / totalNonBoostWeight;
+                weights[cat] -= boostAmount * proportion;
+            });
+            // Add boost to name
+            weights.name += boostAmount;
+        }
+    }
+
+    // Second pass: calculate weighted sum with adjusted weights
+    let totalWeight = 0;
+    let weightedSum = 0;
+
+    if (hasNameData && nameSimilarity !== null) {
+        weightedSum += weights.name * nameSimilarity;
+        totalWeight += weights.name;
+    }
+
+    if (hasContactInfoData) {
+        weightedSum += weights.contactInfo * contactInfoSimilarity;
+        totalWeight += weights.contactInfo;
+    }
+
+    // Compare otherInfo (if both have it and it has compareTo)
+    const hasOtherInfoData = thisEntity.otherInfo && otherEntity.otherInfo &&
+                             typeof thisEntity.otherInfo.compareTo === 'function';
+    if (hasOtherInfoData) {
+        const otherInfoSimilarity = thisEntity.otherInfo.compareTo(otherEntity.otherInfo);
+        weightedSum += weights.otherInfo * otherInfoSimilarity;
+        totalWeight += weights.otherInfo;
+    }
+
+    // Compare legacyInfo (if both have it and it has compareTo)
+    const hasLegacyInfoData = thisEntity.legacyInfo && otherEntity.legacyInfo &&
+                              typeof thisEntity.legacyInfo.compareTo === 'function';
+    if (hasLegacyInfoData) {
+        const legacyInfoSimilarity = thisEntity.legacyInfo.compareTo(otherEntity.legacyInfo);
+        weightedSum += weights.legacyInfo * legacyInfoSimilarity;
+        totalWeight += weights.legacyInfo;
+    }
+
+    // If no components have data, return 0
+    if (totalWeight === 0) {
+        return detailed ? { overallSimilarity: 0, components: {}, checkSum: 0 } : 0;
+    }
+
+    // Precision: 10 decimal places
+    const PRECISION = 10000000000; // 10^10
+    const round10 = (val) => Math.round(val * PRECISION) / PRECISION;
+
+    // Normalize by total weight (so missing data doesn't penalize)
+    let overallSimilarity = round10(weightedSum / totalWeight);
+
+    // Apply penalties for missing critical data
+    // These penalties are applied AFTER the weighted calculation
+    const MISSING_NAME_PENALTY = 0.04;
+    const MISSING_CONTACTINFO_PENALTY = 0.03;
+    let totalPenalty = 0;
+
+    // Check if name data is truly missing (either no compareTo method or comparison threw error)
+    const nameDataMissing = !hasNameData || nameSimilarity === null;
+    if (nameDataMissing) {
+        totalPenalty += MISSING_NAME_PENALTY;
+    }
+    if (!hasContactInfoData) {
+        totalPenalty += MISSING_CONTACTINFO_PENALTY;
+    }
+
+    // Apply penalty and ensure score doesn't go below 0
+    if (totalPenalty > 0) {
+        overallSimilarity = round10(Math.max(0, overallSimilarity - totalPenalty));
+    }
+
+    if (!detailed) {
+        return overallSimilarity;
+    }
+
+    // Build detailed breakdown - only include components with weight
+    const components = {};
+    let weightedValueSum = 0;
+
+    if (hasNameData) {
+        const actualWeight = round10(weights.name / totalWeight);
+        const similarity = round10(nameSimilarity);
+        const weightedValue = round10(actualWeight * similarity);
+        components.name = {
+            actualWeight: actualWeight,
+            similarity: similarity,
+            weightedValue: weightedValue
+        };
+        weightedValueSum += weightedValue;
+    }
+
+    if (hasContactInfoData) {
+        const actualWeight = round10(weights.contactInfo / totalWeight);
+        const similarity = round10(contactInfoSimilarity);
+        const weightedValue = round10(actualWeight * similarity);
+        components.contactInfo = {
+            actualWeight: actualWeight,
+            similarity: similarity,
+            weightedValue: weightedValue
+        };
+        weightedValueSum += weightedValue;
+    }
+
+    if (hasOtherInfoData) {
+        const otherInfoSimilarity = thisEntity.otherInfo.compareTo(otherEntity.otherInfo);
+        const actualWeight = round10(weights.otherInfo / totalWeight);
+        const similarity = round10(otherInfoSimilarity);
+        const weightedValue = round10(actualWeight * similarity);
+        components.otherInfo = {
+            actualWeight: actualWeight,
+            similarity: similarity,
+            weightedValue: weightedValue
+        };
+        weightedValueSum += weightedValue;
+    }
+
+    if (hasLegacyInfoData) {
+        const legacyInfoSimilarity = thisEntity.legacyInfo.compareTo(otherEntity.legacyInfo);
+        const actualWeight = round10(weights.legacyInfo / totalWeight);
+        const similarity = round10(legacyInfoSimilarity);
+        const weightedValue = round10(actualWeight * similarity);
+        components.legacyInfo = {
+            actualWeight: actualWeight,
+            similarity: similarity,
+            weightedValue: weightedValue
+        };
+        weightedValueSum += weightedValue;
+    }
+
+    // checkSum: overallSimilarity minus sum of weightedValues minus penalty (should be 0 for validation)
+    const checkSum = round10(overallSimilarity - weightedValueSum + totalPenalty);
+
+    return {
+        overallSimilarity: overallSimilarity,
+        components: components,
+        checkSum: checkSum,
+        // Include penalty information
+        penalties: {
+            missingName: !hasNameData ? MISSING_NAME_PENALTY : 0,
+            missingContactInfo: !hasContactInfoData ? MISSING_CONTACTINFO_PENALTY : 0,
+            totalPenalty: totalPenalty
+        },
+        // Include subordinate detailed results for reconciliation
+        subordinateDetails: {
+            name: nameDetailedResult,
+            contactInfo: contactInfoDetailedResult
+        }
+    };
+}
+
+// =============================================================================
+// TYPE-PAIR STRATEGIES (universalCompareTo path)
+// Each returns { score, matchedIndividual, matchedIndividualIndex, details }
+// =============================================================================
+
+/**
+ * Compare an Individual to another Individual directly
+ * @param {Individual} individual1
+ * @param {Individual} individual2
+ * @returns {object} { score, matchedIndividual, details }
+ */
+function compareIndividualToIndividual(individual1, individual2) {
+    const result = individual1.compareTo(individual2, true); // detailed mode
+    return {
+        score: typeof result === 'number' ? result : result.overallSimilarity,
+        matchedIndividual: null, // Direct comparison, no intermediate individual
+        matchedIndividualIndex: null,
+        details: typeof result === 'object' ? result : null
+    };
+}
+
+/**
+ * Compare an Individual to an AggregateHousehold by finding the best-matching individual in the array
+ * @param {Individual} individual
+ * @param {AggregateHousehold} household
+ * @returns {object} { score, matchedIndividual, matchedIndividualIndex, details }
+ */
+function compareIndividualToHousehold(individual, household) {
+    if (!household.individuals || household.individuals.length === 0) {
+        // No individuals in household - compare directly to household's name/address
+        return compareIndividualToEntityDirect(individual, household);
+    }
+
+    let bestScore = -1;
+    let bestMatchedIndividual = null;
+    let bestMatchedIndex = -1;
+    let bestDetails = null;
+
+    household.individuals.forEach((householdIndividual, idx) => {
+        const result = individual.compareTo(householdIndividual, true);
+        const score = typeof result === 'number' ? result : result.overallSimilarity;
+
+        if (score > bestScore) {
+            bestScore = score;
+            bestMatchedIndividual = householdIndividual;
+            bestMatchedIndex = idx;
+            bestDetails = typeof result === 'object' ? result : null;
+        }
+    });
+
+    return {
+        score: bestScore,
+        matchedIndividual: bestMatchedIndividual,
+        matchedIndividualIndex: bestMatchedIndex,
+        details: bestDetails
+    };
+}
+
+/**
+ * Compare an Individual directly to an entity (for Business, LegalConstruct, or empty households)
+ * Uses name and contactInfo comparison only
+ * @param {Individual} individual
+ * @param {Entity} entity
+ * @returns {object} { score, matchedIndividual, details }
+ */
+function compareIndividualToEntityDirect(individual, entity) {
+    // For entities without individuals array, we do a limited comparison
+    // Compare name (if available) and contactInfo
+    let nameScore = 0;
+    let contactInfoScore = 0;
+    let nameWeight = 0.5;
+    let contactInfoWeight = 0.5;
+    let nameComparisonMethod = 'none';
+
+    // Try name comparison if both have names
+    if (individual.name && entity.name) {
+        const nameScoreResult = scoreNameComponent(individual.name, entity.name);
+        nameScore = nameScoreResult.similarity;
+        nameComparisonMethod = nameScoreResult.method;
+    }
+
+    // Compare contactInfo if both have it
+    // Same-location pairs (same base fire number, different suffixes) use secondary addresses only
+    if (individual.contactInfo && entity.contactInfo) {
+        try {
+            const contactScore = scoreContactInfoComponent(individual, entity, individual.contactInfo, entity.contactInfo);
+            if (contactScore.sameLocation) {
+                // DIAGNOSTIC: Log when same-location triggers in compareIndividualToEntityDirect
+                const src1 = individual.sourceDatabase || 'unknown';
+                const src2 = entity.sourceDatabase || 'unknown';
+                if (src1 !== src2) {
+                    console.log(`[DIAGNOSTIC] compareIndividualToEntityDirect: isSameLocation=TRUE cross-source ${src1} vs ${src2}`);
+                }
+            }
+            contactInfoScore = contactScore.similarity;
+        } catch (e) {
+            contactInfoScore = 0;
+        }
+    }
+
+    const overallScore = (nameScore * nameWeight) + (contactInfoScore * contactInfoWeight);
+
+    return {
+        score: overallScore,
+        matchedIndividual: null,
+        matchedIndividualIndex: null,
+        details: {
+            overallSimilarity: overallScore,
+            components: {
+                name: { similarity: nameScore, weight: nameWeight, method: nameComparisonMethod },
+                contactInfo: { similarity: contactInfoScore, weight: contactInfoWeight }
+            },
+            comparisonType: 'direct'
+        }
+    };
+}
+
+/**
+ * Compare an AggregateHousehold to an Individual by finding best match among household's individuals
+ * @param {AggregateHousehold} household
+ * @param {Individual} individual
+ * @returns {object} { score, matchedIndividual, matchedIndividualIndex, details }
+ */
+function compareHouseholdToIndividual(household, individual) {
+    // Same logic as compareIndividualToHousehold but from household's perspective
+    return compareIndividualToHousehold(individual, household);
+}
+
+/**
+ * Compare two AggregateHouseholds by finding the best-matching pair of individuals
+ * @param {AggregateHousehold} household1
+ * @param {AggregateHousehold} household2
+ * @returns {object} { score, matchedIndividual, matchedIndividualIndex, details }
+ */
+function compareHouseholdToHousehold(household1, household2) {
+    const individuals1 = household1.individuals || [];
+    const individuals2 = household2.individuals || [];
+
+    if (individuals1.length === 0 && individuals2.length === 0) {
+        // Both empty - compare directly
+        return compareIndividualToEntityDirect(household1, household2);
+    }
+
+    if (individuals1.length === 0 || individuals2.length === 0) {
+        // One is empty - limited comparison
+        return {
+            score: 0,
+            matchedIndividual: null,
+            matchedIndividualIndex: null,
+            details: { comparisonType: 'one_household_empty' }
+        };
+    }
+
+    let bestScore = -1;
+    let bestMatch = null;
+
+    individuals1.forEach((ind1, idx1) => {
+        individuals2.forEach((ind2, idx2) => {
+            const result = ind1.compareTo(ind2, true);
+            const score = typeof result === 'number' ? result : result.overallSimilarity;
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestMatch = {
+                    individual1: ind1,
+                    individual1Index: idx1,
+                    individual2: ind2,
+                    individual2Index: idx2,
+                    details: typeof result === 'object' ? result : null
+                };
+            }
+        });
+    });
+
+    return {
+        score: bestScore,
+        matchedIndividual1: bestMatch?.individual1,
+        matchedIndividualIndex1: bestMatch?.individual1Index,
+        matchedIndividual2: bestMatch?.individual2,
+        matchedIndividualIndex2: bestMatch?.individual2Index,
+        details: bestMatch?.details
+    };
+}
+
+/**
+ * Extract name object from an entity (Individual or AggregateHousehold)
+ * @param {Entity} entity
+ * @returns {Object|null} Name object or null
+ */
+function extractNameFromEntity(entity) {
+    const type = entity.constructor.name;
+    if (type === 'Individual') {
+        return entity.name;
+    } else if (type === 'AggregateHousehold') {
+        // Use household name or first member's name
+        return entity.householdName || entity.name || (entity.individuals?.[0]?.name);
+    }
+    return entity.name || null;
+}
+
+/**
+ * Extract contactInfo object from an entity (Individual or AggregateHousehold)
+ * @param {Entity} entity
+ * @returns {Object|null} ContactInfo object or null
+ */
+function extractContactInfoFromEntity(entity) {
+    const type = entity.constructor.name;
+    if (type === 'Individual') {
+        return entity.contactInfo;
+    } else if (type === 'AggregateHousehold') {
+        // Return household-level contactInfo or first member's contactInfo
+        return entity.contactInfo || entity.individuals?.[0]?.contactInfo;
+    }
+    return entity.contactInfo || null;
+}
+
+/**
+ * Compare two entities known to be at the same physical location.
+ * Uses secondary addresses only for contactInfo to avoid false positives
+ * from matching primary addresses (which are trivially the same for same-location entities).
+ * @param {Entity} entity1
+ * @param {Entity} entity2
+ * @returns {object} { score, matchedIndividual, details }
+ */
+function compareSameLocationEntities(entity1, entity2) {
+    // Get name comparison
+    let nameScore = 0;
+    const name1 = extractNameFromEntity(entity1);
+    const name2 = extractNameFromEntity(entity2);
+    let nameComparisonMethod = 'none';
+
+    if (name1 && name2) {
+        const nameScoreResult = scoreNameComponent(name1, name2);
+        nameScore = nameScoreResult.similarity;
+        nameComparisonMethod = nameScoreResult.method;
+    }
+
+    // Get contactInfo comparison using SECONDARY ADDRESSES ONLY
+    let contactInfoScore = 0;
+    const contactInfo1 = extractContactInfoFromEntity(entity1);
+    const contactInfo2 = extractContactInfoFromEntity(entity2);
+
+    if (contactInfo1 && contactInfo2) {
+        contactInfoScore = (typeof compareSecondaryAddressesOnly === 'function')
+            ? compareSecondaryAddressesOnly(contactInfo1, contactInfo2)
+            : 0;
+    }
+
+    // Apply standard weighting
+    const nameWeight = 0.5;
+    const contactInfoWeight = 0.5;
+    const overallScore = (nameScore * nameWeight) + (contactInfoScore * contactInfoWeight);
+
+    return {
+        score: overallScore,
+        matchedIndividual: null,
+        matchedIndividualIndex: null,
+        details: {
+            overallSimilarity: overallScore,
+            components: {
+                name: { similarity: nameScore, weight: nameWeight, method: nameComparisonMethod },
+                contactInfo: { similarity: contactInfoScore, weight: contactInfoWeight, method: 'secondary-only' }
+            },
+            comparisonType: 'same-location',
+            sameLocation: true
+        }
+    };
+}
+
+// =============================================================================
+// STRATEGY REGISTRY
+// =============================================================================
+
+// "Type1->Type2" -> { codePath, compare(entity1, entity2) }
+const SCORING_STRATEGY_REGISTRY = {};
+
+// Used for pairs with no registered strategy
+const DEFAULT_SCORING_STRATEGY = Object.freeze({
+    codePath: 'compareIndividualToEntityDirect',
+    compare: compareIndividualToEntityDirect
+});
+
+// Entity classes without individuals; every pair involving one is scored directly
+const NON_HUMAN_ENTITY_TYPES = ['Business', 'LegalConstruct'];
+
+/**
+ * Register the strategy used by scoreEntityPair() for an ordered pair of entity types.
+ * Replaces any strategy already registered for the pair.
+ * @param {string} type1 - Constructor name of the base entity
+ * @param {string} type2 - Constructor name of the target entity
+ * @param {string} codePath - Name reported as result.codePath (normally the compare function's name)
+ * @param {Function} compare - (entity1, entity2) => { score, matchedIndividual, matchedIndividualIndex, details }
+ */
+function registerScoringStrategy(type1, type2, codePath, compare) {
+    if (typeof compare !== 'function') {
+        throw new Error(`registerScoringStrategy: compare for ${type1}->${type2} is not a function`);
+    }
+    SCORING_STRATEGY_REGISTRY[`${type1}->${type2}`] = { codePath, compare };
+}
+
+/**
+ * Get the strategy for an ordered pair of entity types
+ * @param {string} type1 - Constructor name of the base entity
+ * @param {string} type2 - Constructor name of the target entity
+ * @returns {{codePath: string, compare: Function}} Registered strategy, or DEFAULT_SCORING_STRATEGY
+ */
+function getScoringStrategy(type1, type2) {
+    return SCORING_STRATEGY_REGISTRY[`${type1}->${type2}`] || DEFAULT_SCORING_STRATEGY;
+}
+
+/**
+ * Score any two entities (the universalCompareTo path)
+ * @param {Entity} entity1 - Base entity
+ * @param {Entity} entity2 - Target entity to compare against
+ * @returns {object} { score, matchedIndividual, matchedIndividualIndex, details, comparisonType, codePath }
+ *   codePath is the name of the comparison function the pair was routed to
+ */
+function scoreEntityPair(entity1, entity2) {
+    const type1 = entity1.constructor.name;
+    const type2 = entity2.constructor.name;
+
+    // Check for same-location entities BEFORE routing to specialized comparison functions
+    // This catches cases where embedded individual comparisons would lose fire number context
+    const isSameLocation = (typeof areSameLocationEntities === 'function')
+        ? areSameLocationEntities(entity1, entity2)
+        : false;
+
+    if (isSameLocation) {
+        // DIAGNOSTIC: Log when same-location triggers for cross-source pairs
+        const src1 = entity1.sourceDatabase || 'unknown';
+        const src2 = entity2.sourceDatabase || 'unknown';
+        if (src1 !== src2) {
+            console.log(`[DIAGNOSTIC] universalCompareTo: isSameLocation=TRUE cross-source ${src1} vs ${src2}`);
+        }
+        const result = compareSameLocationEntities(entity1, entity2);
+        return {
+            ...result,
+            comparisonType: `${type1}-to-${type2} (same-location)`,
+            codePath: 'compareSameLocationEntities'
+        };
+    }
+
+    const strategy = getScoringStrategy(type1, type2);
+    const result = strategy.compare(entity1, entity2);
+    return {
+        ...result,
+        comparisonType: `${type1}-to-${type2}`,
+        codePath: strategy.codePath
+    };
+}
+
+registerScoringStrategy('Individual', 'Individual', 'compareIndividualToIndividual', compareIndividualToIndividual);
+registerScoringStrategy('Individual', 'AggregateHousehold', 'compareIndividualToHousehold', compareIndividualToHousehold);
+registerScoringStrategy('AggregateHousehold', 'Individual', 'compareHouseholdToIndividual', compareHouseholdToIndividual);
+registerScoringStrategy('AggregateHousehold', 'AggregateHousehold', 'compareHouseholdToHousehold', compareHouseholdToHousehold);
+for (const nonHumanType of NON_HUMAN_ENTITY_TYPES) {
+    for (const otherType of ['Individual', 'AggregateHousehold', ...NON_HUMAN_ENTITY_TYPES]) {
+        registerScoringStrategy(nonHumanType, otherType, 'compareIndividualToEntityDirect', compareIndividualToEntityDirect);
+        registerScoringStrategy(otherType, nonHumanType, 'compareIndividualToEntityDirect', compareIndividualToEntityDirect);
+    }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        scoreEntityPair,
+        scoreWeightedEntityPair,
+        scoreNameComponent,
+        scoreContactInfoComponent,
+        registerScoringStrategy,
+        getScoringStrategy,
+        SCORING_STRATEGY_REGISTRY
+    };
+}
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.scoreEntityPair = scoreEntityPair;
+    window.scoreWeightedEntityPair = scoreWeightedEntityPair;
+    window.scoreNameComponent = scoreNameComponent;
+    window.scoreContactInfoComponent = scoreContactInfoComponent;
+    window.registerScoringStrategy = registerScoringStrategy;
+    window.getScoringStrategy = getScoringStrategy;
+    window.SCORING_STRATEGY_REGISTRY = SCORING_STRATEGY_REGISTRY;
+}
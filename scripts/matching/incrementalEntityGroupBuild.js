@@ -0,0 +1,357 @@
+/**
+ * Incremental EntityGroup Build
+ *
+ * Lets buildEntityGroupDatabase() reuse an earlier build when only some source
+ * records changed, instead of re-running every comparison.
+ *
+ * Group construction is greedy and order-dependent, so a group from the earlier
+ * build can only be reused if nothing that changed could have reached it. The
+ * planner starts from the changed keys and frees every group they touch, then
+ * repeatedly frees any group with a member that is LINKED to a freed entity:
+ *
+ * - true match or near match in either comparison direction (scoreGroupingPair)
+ * - override rule partner: FORCE_MATCH or FORCE_EXCLUDE, pairwise or MUTUAL set
+ *   (an exclusion can change which natural matches survive in another group)
+ * - household link: parentKey / siblingKeys / individualKeys, or the same
+ *   Bloomerang account number (markHouseholdIndividualsAsAssigned)
+ *
+ * Groups left unlinked are carried over under their original index; the normal
+ * construction phases then run over the freed entities only. Because a carried
+ * group has no link to any freed entity, the full build would have formed it
+ * identically, and the freed entities form the same groups they would have in a
+ * full build.
+ *
+ * The earlier build must have been made from the same source order with the same
+ * matching profile and override rules. Changed override rules are not detected:
+ * list the keys they name as modified. Members added by the earlier build's
+ * phonebook step are dropped from carried groups; phonebook Step 3 re-adds them.
+ *
+ * USAGE:
+ *   buildEntityGroupDatabase({
+ *       incremental: {
+ *           previousDb: window.entityGroupDatabase,
+ *           changedKeys: { added: [...], removed: [...], modified: [...] }
+ *       }
+ *   });
+ */
+
+// =============================================================================
+// INPUT CHECKS
+// =============================================================================
+
+// Keys of entities created by phonebook Step 3 (see createPhonebookEntities)
+const PHONEBOOK_KEY_PREFIX = 'phonebook:';
+
+/**
+ * Validate a changed-key set and fill in missing lists
+ * @param {Object} changedKeys - { added, removed, modified } arrays of entity keys
+ * @returns {Object} { added, removed, modified } (each an array of strings)
+ */
+function normalizeChangedKeys(changedKeys) {
+    if (!changedKeys || typeof changedKeys !== 'object') {
+        throw new Error('changedKeys must be an object with added / removed / modified key arrays');
+    }
+    const normalized = {};
+    for (const list of ['added', 'removed', 'modified']) {
+        const keys = changedKeys[list] || [];
+        if (!Array.isArray(keys) || keys.some(key => typeof key !== 'string')) {
+            throw new Error(`changedKeys.${list} must be an array of entity keys`);
+        }
+        normalized[list] = keys;
+    }
+    return normalized;
+}
+
+/**
+ * Reason an incremental build cannot reuse the previous database, if any
+ * @param {EntityGroupDatabase} previousDb - Earlier build
+ * @param {Object} matchingProfile - getMatchingProfileSummary() for this build
+ * @param {boolean} sampleMode - True if this build uses a stratified sample
+ * @returns {string|null} Why a full build is needed, or null if the previous build can be reused
+ */
+function getIncrementalBuildBlocker(previousDb, matchingProfile, sampleMode) {
+    if (!previousDb || !previousDb.groups) {
+        return 'no previous EntityGroup database given';
+    }
+    if (!previousDb.constructionComplete) {
+        return 'the previous EntityGroup database did not finish construction';
+    }
+    if (sampleMode || previousDb.sampleMode?.enabled) {
+        return 'incremental builds are not supported in sample mode';
+    }
+    if (!previousDb.matchingProfile) {
+        return 'the previous build records no matching profile';
+    }
+    const thresholdsOf = (summary) => JSON.stringify({
+        matchCriteria: summary.profile?.matchCriteria,
+        weights: summary.profile?.weights
+    });
+    if (thresholdsOf(previousDb.matchingProfile) !== thresholdsOf(matchingProfile)) {
+        return `the previous build used matching profile "${previousDb.matchingProfile.name}", ` +
+            `this build uses "${matchingProfile.name}"`;
+    }
+    return null;
+}
+
+// =============================================================================
+// LINKS BETWEEN ENTITIES
+// =============================================================================
+
+/**
+ * Bloomerang account number from an entity key ("bloomerang:<account>:...")
+ * @param {string} key - Entity database key
+ * @returns {string|null} Account number, or null for other sources
+ */
+function getBloomerangAccountFromKey(key) {
+    const match = key.match(/^bloomerang:(\d+):/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Keys an entity's household information points at - the keys Step 9
+ * (collectHouseholdRelatedKeys) can pull into the entity's group
+ * @param {string} key - Database key of the entity
+ * @param {Entity} entity - The entity
+ * @returns {Set<string>} Parent, sibling and individual keys
+ */
+function getHouseholdLinkedKeys(key, entity) {
+    const linked = new Set();
+    const householdInfo = entity?.otherInfo?.householdInformation;
+    if (householdInfo) {
+        if (householdInfo.parentKey) linked.add(householdInfo.parentKey);
+        (householdInfo.siblingKeys || []).forEach(siblingKey => linked.add(siblingKey));
+    }
+    if (entity?.constructor?.name === 'AggregateHousehold') {
+        for (const individual of entity.individuals || []) {
+            (individual.otherInfo?.householdInformation?.siblingKeys || []).forEach(siblingKey => linked.add(siblingKey));
+        }
+        if (isBloomerangKey(key)) {
+            (entity.individualKeys || []).forEach(childKey => linked.add(childKey));
+        }
+    }
+    linked.delete(key);
+    return linked;
+}
+
+/**
+ * True if two comparisons in either direction give a true match or near miss
+ * @returns {boolean}
+ */
+function hasGroupingScoreLink(keyA, entityA, keyB, entityB) {
+    for (const [baseKey, baseEntity, targetKey, targetEntity] of [[keyA, entityA, keyB, entityB], [keyB, entityB, keyA, entityA]]) {
+        const scores = scoreGroupingPair(baseKey, baseEntity, targetKey, targetEntity);
+        if (scores && (isTrueMatch(scores.overall, scores.name, scores.contactInfo) ||
+                       isNearMatch(scores.overall, scores.name, scores.contactInfo))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// =============================================================================
+// PLANNING
+// =============================================================================
+
+/**
+ * Work out which groups of the previous build can be carried over unchanged.
+ *
+ * @param {EntityGroupDatabase} previousDb - Earlier build (same profile and override rules)
+ * @param {Object} changedKeys - { added, removed, modified } entity keys since that build
+ * @param {Object} entityDb - Entity database for this build (unifiedEntityDatabase.entities)
+ * @param {Function} [log] - Progress logger
+ * @returns {Object} Plan: { carriedGroups: [{group, memberKeys}], freedKeys: Set, stats }
+ */
+function planIncrementalEntityGroupBuild(previousDb, changedKeys, entityDb, log = () => {}) {
+    const changes = normalizeChangedKeys(changedKeys);
+    const changedSet = new Set([...changes.added, ...changes.removed, ...changes.modified]);
+    const overrideManager = window.matchOverrideManager;
+
+    // Previous groups without phonebook-sourced entities; groups a phonebook entity founded are rebuilt by Step 3
+    const candidates = new Map();
+    let phonebookGroupsDropped = 0;
+    for (const group of Object.values(previousDb.groups)) {
+        if (group.foundingMemberKey.startsWith(PHONEBOOK_KEY_PREFIX)) {
+            phonebookGroupsDropped++;
+            continue;
+        }
+        candidates.set(group.index, {
+            group,
+            memberKeys: group.memberKeys.filter(key => !key.startsWith(PHONEBOOK_KEY_PREFIX))
+        });
+    }
+
+    // Which candidate groups each key belongs to, is a near miss of, or is household-marked by
+    const accountKeys = new Map();
+    for (const key of Object.keys(entityDb)) {
+        const account = getBloomerangAccountFromKey(key);
+        if (account) {
+            if (!accountKeys.has(account)) accountKeys.set(account, []);
+            accountKeys.get(account).push(key);
+        }
+    }
+    const groupsOfKey = new Map();
+    const addGroupOfKey = (key, index) => {
+        if (!groupsOfKey.has(key)) groupsOfKey.set(key, new Set());
+        groupsOfKey.get(key).add(index);
+    };
+    const claimedKeys = new Set();
+    for (const [index, candidate] of candidates) {
+        candidate.memberKeys.forEach(key => {
+            addGroupOfKey(key, index);
+            claimedKeys.add(key);
+        });
+        (candidate.group.nearMissKeys || []).forEach(key => addGroupOfKey(key, index));
+
+        // Phases 1-2 mark the individuals of matched Bloomerang households as assigned
+        if (candidate.group.constructionPhase === 1 || candidate.group.constructionPhase === 2) {
+            for (const key of candidate.memberKeys) {
+                const account = getBloomerangAccountFromKey(key);
+                if (key === candidate.group.foundingMemberKey || !account ||
+                    entityDb[key]?.constructor?.name !== 'AggregateHousehold') continue;
+                for (const accountKey of accountKeys.get(account)) {
+                    addGroupOfKey(accountKey, index);
+                    claimedKeys.add(accountKey);
+                }
+            }
+        }
+    }
+
+    // Freeing a group frees all its members
+    const affectedGroups = new Set();
+    const freedKeys = new Set();
+    const queue = [];
+    const freeKey = (key) => {
+        if (freedKeys.has(key) || !entityDb[key]) return;
+        freedKeys.add(key);
+        queue.push(key);
+    };
+    const affectGroup = (index) => {
+        if (affectedGroups.has(index)) return;
+        affectedGroups.add(index);
+        candidates.get(index).memberKeys.forEach(freeKey);
+    };
+    const affectGroupsOfKey = (key) => (groupsOfKey.get(key) || []).forEach(affectGroup);
+
+    // Seeds: changed keys, groups with members no longer in the database, entities the previous build never placed
+    for (const key of changedSet) {
+        affectGroupsOfKey(key);
+        freeKey(key);
+    }
+    for (const [index, candidate] of candidates) {
+        if (candidate.memberKeys.some(key => !entityDb[key])) affectGroup(index);
+    }
+    for (const key of Object.keys(entityDb)) {
+        if (!claimedKeys.has(key)) freeKey(key);
+    }
+    const seedFreedCount = freedKeys.size;
+
+    // Closure: free every group linked to a freed entity
+    let comparisons = 0;
+    const householdLinks = new Map();
+    const householdLinksOf = (key) => {
+        if (!householdLinks.has(key)) householdLinks.set(key, getHouseholdLinkedKeys(key, entityDb[key]));
+        return householdLinks.get(key);
+    };
+    while (queue.length > 0) {
+        const freedKey = queue.shift();
+        const freedEntity = entityDb[freedKey];
+        const freedAccount = getBloomerangAccountFromKey(freedKey);
+        const rulePartners = overrideManager
+            ? [...overrideManager.getForceMatchesFor(freedKey), ...overrideManager.getExclusionPartners(freedKey)]
+            : [];
+
+        // Links that need no comparison
+        for (const key of [...householdLinksOf(freedKey), ...rulePartners]) {
+            affectGroupsOfKey(key);
+        }
+        if (freedAccount) {
+            accountKeys.get(freedAccount).forEach(affectGroupsOfKey);
+        }
+        affectGroupsOfKey(freedKey);
+
+        for (const [index, candidate] of candidates) {
+            if (affectedGroups.has(index)) continue;
+            for (const key of candidate.memberKeys) {
+                if (householdLinksOf(key).has(freedKey)) {
+                    affectGroup(index);
+                    break;
+                }
+                comparisons++;
+                if (hasGroupingScoreLink(freedKey, freedEntity, key, entityDb[key])) {
+                    affectGroup(index);
+                    break;
+                }
+            }
+        }
+    }
+
+    const carriedGroups = [...candidates.entries()]
+        .filter(([index]) => !affectedGroups.has(index))
+        .map(([, candidate]) => candidate);
+
+    const stats = {
+        previousGroups: Object.keys(previousDb.groups).length,
+        changedKeys: { added: changes.added.length, removed: changes.removed.length, modified: changes.modified.length },
+        carriedGroups: carriedGroups.length,
+        rebuiltGroups: affectedGroups.size,
+        phonebookGroupsDropped,
+        seedFreedEntities: seedFreedCount,
+        freedEntities: freedKeys.size,
+        linkComparisons: comparisons
+    };
+    log(`Incremental plan: ${stats.carriedGroups} groups carried over, ${stats.rebuiltGroups} rebuilt ` +
+        `(${stats.freedEntities} entities freed from ${stats.seedFreedEntities} changed / unplaced, ` +
+        `${stats.linkComparisons} link comparisons)`);
+
+    return { carriedGroups, freedKeys, stats };
+}
+
+/**
+ * Add the carried-over groups of a plan to a new EntityGroupDatabase under their
+ * original indices, re-marking household individuals the way phases 1-2 do.
+ * @param {Object} plan - From planIncrementalEntityGroupBuild()
+ * @param {EntityGroupDatabase} groupDb - The database being built (before any phase runs)
+ * @param {Object} entityDb - Entity database for this build
+ * @param {number} previousNextIndex - previousDb.nextIndex, so rebuilt groups get fresh indices
+ * @returns {number} Number of groups carried over
+ */
+function carryOverEntityGroups(plan, groupDb, entityDb, previousNextIndex) {
+    const carried = plan.carriedGroups
+        .map(({ group: previousGroup, memberKeys }) => groupDb.carryOverGroup(previousGroup, memberKeys))
+        .filter(Boolean);
+
+    // Household marks last: a marked individual may be a member of a group carried over after the marking one
+    for (const group of carried) {
+        if (group.constructionPhase === 1 || group.constructionPhase === 2) {
+            for (const key of group.memberKeys.slice(1)) {
+                markHouseholdIndividualsAsAssigned(key, entityDb[key], groupDb, entityDb);
+            }
+        }
+    }
+    groupDb.nextIndex = Math.max(groupDb.nextIndex, previousNextIndex || 0);
+    return carried.length;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        normalizeChangedKeys,
+        getIncrementalBuildBlocker,
+        getHouseholdLinkedKeys,
+        planIncrementalEntityGroupBuild,
+        carryOverEntityGroups
+    };
+}
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.normalizeChangedKeys = normalizeChangedKeys;
+    window.getIncrementalBuildBlocker = getIncrementalBuildBlocker;
+    window.getHouseholdLinkedKeys = getHouseholdLinkedKeys;
+    window.planIncrementalEntityGroupBuild = planIncrementalEntityGroupBuild;
+    window.carryOverEntityGroups = carryOverEntityGroups;
+}
@@ -0,0 +1,111 @@
+/**
+ * matchCriteria.js
+ *
+ * True match / near match thresholds and the tests every matching path applies
+ * to a comparison's overall, name and contactInfo scores. Kept apart from the
+ * browsers so the engine runs headless; applyMatchingProfile() (matchingProfiles.js)
+ * updates MATCH_CRITERIA in place.
+ */
+
+/**
+ * Match criteria thresholds configuration
+ * True Match: Any ONE of these conditions makes it a true match
+ * Near Match: Same conditions with reduced thresholds (applied when NOT a true match)
+ */
+const MATCH_CRITERIA = {
+    trueMatch: {
+        // Condition 1: overall > 0.80 AND name > 0.83
+        overallAndName: { overall: 0.80, name: 0.83 },
+        // Condition 2: contactInfo > 0.87 (alone)
+        contactInfoAlone: 0.87,
+        // Condition 3: overall > 0.905 (alone)
+        overallAlone: 0.905,
+        // Condition 4: name > 0.875 (alone)
+        nameAlone: 0.875
+    },
+    nearMatch: {
+        // Same conditions minus 0.03 (except contactInfo which is minus 0.02)
+        overallAndName: { overall: 0.77, name: 0.80 },
+        contactInfoAlone: 0.85,  // -0.02 per user specification
+        overallAlone: 0.875,
+        nameAlone: 0.845
+    }
+};
+
+/**
+ * Check if a match qualifies as a True Match
+ * @param {number} overallScore - Overall similarity score (0-1)
+ * @param {number|null} nameScore - Name similarity score (0-1), may be null
+ * @param {number|null} contactInfoScore - ContactInfo similarity score (0-1), may be null
+ * @returns {boolean} True if match meets True Match criteria
+ */
+function isTrueMatch(overallScore, nameScore, contactInfoScore) {
+    const c = MATCH_CRITERIA.trueMatch;
+
+    // Condition 1: overall > 0.80 AND name > 0.83
+    if (overallScore > c.overallAndName.overall && nameScore !== null && nameScore > c.overallAndName.name) {
+        return true;
+    }
+
+    // Condition 2: contactInfo > 0.87 (alone)
+    if (contactInfoScore !== null && contactInfoScore > c.contactInfoAlone) {
+        return true;
+    }
+
+    // Condition 3: overall > 0.905 (alone)
+    if (overallScore > c.overallAlone) {
+        return true;
+    }
+
+    // Condition 4: name > 0.875 (alone)
+    if (nameScore !== null && nameScore > c.nameAlone) {
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Check if a match qualifies as a Near Match (but NOT a True Match)
+ * @param {number} overallScore - Overall similarity score (0-1)
+ * @param {number|null} nameScore - Name similarity score (0-1), may be null
+ * @param {number|null} contactInfoScore - ContactInfo similarity score (0-1), may be null
+ * @returns {boolean} True if match meets Near Match criteria but NOT True Match criteria
+ */
+function isNearMatch(overallScore, nameScore, contactInfoScore) {
+    // First check: if it's a true match, it's NOT a near match
+    if (isTrueMatch(overallScore, nameScore, contactInfoScore)) {
+        return false;
+    }
+
+    const c = MATCH_CRITERIA.nearMatch;
+
+    // Condition 1: overall > 0.77 AND name > 0.80
+    if (overallScore > c.overallAndName.overall && nameScore !== null && nameScore > c.overallAndName.name) {
+        return true;
+    }
+
+    // Condition 2: contactInfo > 0.85 (alone)
+    if (contactInfoScore !== null && contactInfoScore > c.contactInfoAlone) {
+        return true;
+    }
+
+    // Condition 3: overall > 0.875 (alone)
+    if (overallScore > c.overallAlone) {
+        return true;
+    }
+
+    // Condition 4: name > 0.845 (alone)
+    if (nameScore !== null && nameScore > c.nameAlone) {
+        return true;
+    }
+
+    return false;
+}
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.MATCH_CRITERIA = MATCH_CRITERIA;
+    window.isTrueMatch = isTrueMatch;
+    window.isNearMatch = isNearMatch;
+}
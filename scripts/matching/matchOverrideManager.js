@@ -657,6 +657,62 @@ class MatchOverrideManager {
         return partners ? Array.from(partners.keys()) : [];
     }
 
+    /**
+     * Get every rule that applies to a specific pair of keys (for match explanations).
+     * Checks pairwise rules and MUTUAL sets in both directions.
+     * @param {string} key1
+     * @param {string} key2
+     * @returns {{forceMatch: Object[], forceExclude: Object|null}}
+     *   forceMatch: [{ ruleId, ruleType, status, reason, anchorOverride, isMutual }]
+     *   forceExclude: { ruleId, ruleType, status, reason, defectiveKey, otherKey, onConflict, isMutual } or null
+     */
+    getRulesForPair(key1, key2) {
+        const forceMatch = [];
+
+        for (const rule of this.forceMatchByKey.get(key1) || []) {
+            if (rule.getPartnerKey(key1) === key2) {
+                forceMatch.push({
+                    ruleId: rule.ruleId,
+                    ruleType: rule.ruleType,
+                    status: rule.status,
+                    reason: rule.reason,
+                    anchorOverride: rule.anchorOverride,
+                    isMutual: false
+                });
+            }
+        }
+        for (const idx of this.keyToMutualInclusionSetIndices.get(key1) || []) {
+            const mutualSet = this.mutualInclusionSets[idx];
+            if (mutualSet.keys.includes(key2)) {
+                forceMatch.push({
+                    ruleId: mutualSet.ruleId,
+                    ruleType: 'MUTUAL_INCLUDE',
+                    status: 'ACTIVE',
+                    reason: mutualSet.reason || '',
+                    anchorOverride: null,
+                    isMutual: true
+                });
+            }
+        }
+
+        let forceExclude = null;
+        const exclusion = this.getExclusionRule(key1, key2);
+        if (exclusion) {
+            forceExclude = {
+                ruleId: exclusion.ruleId,
+                ruleType: exclusion.isMutual ? 'MUTUAL_EXCLUDE' : 'FORCE_EXCLUDE',
+                status: exclusion.rule?.status || 'ACTIVE',
+                reason: exclusion.rule?.reason || '',
+                defectiveKey: exclusion.defectiveKey,
+                otherKey: exclusion.otherKey,
+                onConflict: exclusion.onConflict,
+                isMutual: !!exclusion.isMutual
+            };
+        }
+
+        return { forceMatch, forceExclude };
+    }
+
     // -------------------------------------------------------------------------
     // 8-Step Algorithm Helper Methods
     // -------------------------------------------------------------------------
@@ -1090,7 +1146,8 @@ function determineAnchor(key1, key2, anchorOverride, entityDb) {
 // ============================================================================
 
 /**
- * Google Sheets IDs for override rules
+ * Google Sheets IDs for override rules. With local storage active, the file
+ * stored under each ID is read as a CSV export of the sheet instead.
  */
 const OVERRIDE_SHEET_IDS = {
     FORCE_MATCH: '1WWq8rgVyIKgf3qhVpl5mBiVQllljum0JVm2e_h-WZo8',
@@ -1098,15 +1155,8 @@ const OVERRIDE_SHEET_IDS = {
 };
 
 /**
- * Load rules from Google Sheets.
- *
- * FORCE_MATCH sheet columns (A-F):
- *   A: RuleID, B: EntityKey1, C: EntityKey2, D: AnchorOverride, E: Reason, F: Status
- *   For MUTUAL rows: A: RuleID, B: "MUTUAL", C: keys delimited by "::^::", D-F: ignored
- *
- * FORCE_EXCLUDE sheet columns (A-F):
- *   A: RuleID, B: DefectiveKey, C: OtherKey, D: OnConflict, E: Reason, F: Status
- *   For MUTUAL rows: A: RuleID, B: "MUTUAL", C: keys delimited by "::^::", D-F: ignored
+ * Load rules from Google Sheets (or their CSV exports in local storage).
+ * Fetches both sheets and hands the rows to parseOverrideRuleRows().
  *
  * @param {Object} [options] - Options
  * @param {string} [options.forceMatchSheetId] - Override force match sheet ID
@@ -1121,171 +1171,199 @@ async function loadRulesFromGoogleSheets(options = {}) {
     const forceMatchTab = options.forceMatchTab || 'Sheet1';
     const forceExcludeTab = options.forceExcludeTab || 'Sheet1';
 
-    const result = {
-        forceMatches: [],
-        forceExcludes: [],
-        mutualInclusions: [],
-        mutualExclusions: [],
-        errors: []
-    };
+    const useSheetsApi = getStorageAdapter().name === 'googleDrive';
 
     // Check if gapi is available
-    if (typeof gapi === 'undefined' || !gapi.client || !gapi.client.sheets) {
+    if (useSheetsApi && (typeof gapi === 'undefined' || !gapi.client || !gapi.client.sheets)) {
         const error = 'Google Sheets API not initialized. Please authorize first.';
         console.error('[OVERRIDE] ' + error);
-        result.errors.push(error);
-        return result;
+        return parseOverrideRuleRows([], [], [error]);
     }
 
-    console.log('[OVERRIDE] Loading rules from Google Sheets...');
+    console.log(`[OVERRIDE] Loading rules from ${useSheetsApi ? 'Google Sheets' : `${getStorageAdapter().name} storage`}...`);
+
+    const fetchErrors = [];
 
-    // Load FORCE_MATCH rules
+    // Load FORCE_MATCH rows
+    let forceMatchData = [];
     try {
-        const forceMatchData = await fetchSheetData(forceMatchSheetId, forceMatchTab);
-        if (forceMatchData && forceMatchData.length > 1) {
-            // Skip header row (row 0)
-            for (let i = 1; i < forceMatchData.length; i++) {
-                const row = forceMatchData[i];
-                if (!row || row.length < 2) continue;  // Skip empty rows
-
-                const ruleId = (row[0] || '').toString().trim();
-                const col1 = (row[1] || '').toString().trim();
-                const col2 = (row[2] || '').toString().trim();
-                const status = (row[5] || 'ACTIVE').toString().trim().toUpperCase();
-
-                // Skip disabled or empty rules
-                if (!ruleId || !col1) continue;
-                if (status === 'DISABLED' || status === 'SKIP') continue;
-
-                // Check for MUTUAL row
-                if (col1.toUpperCase() === 'MUTUAL') {
-                    if (!col2) {
-                        result.errors.push(`${ruleId}: MUTUAL row missing key list in column C`);
-                        continue;
-                    }
-                    result.mutualInclusions.push({
-                        ruleId,
-                        keysDelimited: col2
-                    });
-                    continue;
-                }
+        forceMatchData = await fetchSheetData(forceMatchSheetId, forceMatchTab);
+    } catch (err) {
+        const error = `Failed to load FORCE_MATCH sheet: ${err.message || err}`;
+        console.error('[OVERRIDE] ' + error);
+        fetchErrors.push(error);
+    }
 
-                // Regular pairwise rule
-                const entityKey1 = col1;
-                const entityKey2 = col2;
-                const anchorOverride = (row[3] || '').toString().trim() || null;
-                const reason = (row[4] || '').toString().trim();
+    // Load FORCE_EXCLUDE rows
+    let forceExcludeData = [];
+    try {
+        forceExcludeData = await fetchSheetData(forceExcludeSheetId, forceExcludeTab);
+    } catch (err) {
+        const error = `Failed to load FORCE_EXCLUDE sheet: ${err.message || err}`;
+        console.error('[OVERRIDE] ' + error);
+        fetchErrors.push(error);
+    }
 
-                if (!entityKey2) continue;  // Need both keys for pairwise
+    return parseOverrideRuleRows(forceMatchData, forceExcludeData, fetchErrors);
+}
 
-                result.forceMatches.push({
+/**
+ * Parse override rule rows (as read from the Google Sheets or a CSV export of them).
+ * Row 0 of each sheet is the header and is skipped.
+ *
+ * FORCE_MATCH sheet columns (A-F):
+ *   A: RuleID, B: EntityKey1, C: EntityKey2, D: AnchorOverride, E: Reason, F: Status
+ *   For MUTUAL rows: A: RuleID, B: "MUTUAL", C: keys delimited by "::^::", D-F: ignored
+ *
+ * FORCE_EXCLUDE sheet columns (A-F):
+ *   A: RuleID, B: DefectiveKey, C: OtherKey, D: OnConflict, E: Reason, F: Status
+ *   For MUTUAL rows: A: RuleID, B: "MUTUAL", C: keys delimited by "::^::", D-F: ignored
+ *
+ * @param {Array<Array>} forceMatchData - FORCE_MATCH rows (2D array of cell values)
+ * @param {Array<Array>} forceExcludeData - FORCE_EXCLUDE rows (2D array of cell values)
+ * @param {Array<string>} [initialErrors=[]] - Errors already encountered while reading the rows
+ * @returns {{forceMatches: Array, forceExcludes: Array, mutualInclusions: Array, mutualExclusions: Array, errors: Array}}
+ */
+function parseOverrideRuleRows(forceMatchData, forceExcludeData, initialErrors = []) {
+    const result = {
+        forceMatches: [],
+        forceExcludes: [],
+        mutualInclusions: [],
+        mutualExclusions: [],
+        errors: [...initialErrors]
+    };
+
+    // FORCE_MATCH rules
+    if (forceMatchData && forceMatchData.length > 1) {
+        // Skip header row (row 0)
+        for (let i = 1; i < forceMatchData.length; i++) {
+            const row = forceMatchData[i];
+            if (!row || row.length < 2) continue;  // Skip empty rows
+
+            const ruleId = (row[0] || '').toString().trim();
+            const col1 = (row[1] || '').toString().trim();
+            const col2 = (row[2] || '').toString().trim();
+            const status = (row[5] || 'ACTIVE').toString().trim().toUpperCase();
+
+            // Skip disabled or empty rules
+            if (!ruleId || !col1) continue;
+            if (status === 'DISABLED' || status === 'SKIP') continue;
+
+            // Check for MUTUAL row
+            if (col1.toUpperCase() === 'MUTUAL') {
+                if (!col2) {
+                    result.errors.push(`${ruleId}: MUTUAL row missing key list in column C`);
+                    continue;
+                }
+                result.mutualInclusions.push({
                     ruleId,
-                    entityKey1,
-                    entityKey2,
-                    anchorOverride,
-                    reason,
-                    status
+                    keysDelimited: col2
                 });
+                continue;
             }
+
+            // Regular pairwise rule
+            const entityKey1 = col1;
+            const entityKey2 = col2;
+            const anchorOverride = (row[3] || '').toString().trim() || null;
+            const reason = (row[4] || '').toString().trim();
+
+            if (!entityKey2) continue;  // Need both keys for pairwise
+
+            result.forceMatches.push({
+                ruleId,
+                entityKey1,
+                entityKey2,
+                anchorOverride,
+                reason,
+                status
+            });
         }
-        // Logging consolidated at end of function
-    } catch (err) {
-        const error = `Failed to load FORCE_MATCH sheet: ${err.message || err}`;
-        console.error('[OVERRIDE] ' + error);
-        result.errors.push(error);
     }
 
-    // Load FORCE_EXCLUDE rules
-    try {
-        const forceExcludeData = await fetchSheetData(forceExcludeSheetId, forceExcludeTab);
-        if (forceExcludeData && forceExcludeData.length > 1) {
-            // Skip header row (row 0)
-            for (let i = 1; i < forceExcludeData.length; i++) {
-                const row = forceExcludeData[i];
-                if (!row || row.length < 2) continue;  // Skip empty rows
-
-                const ruleId = (row[0] || '').toString().trim();
-                const col1 = (row[1] || '').toString().trim();
-                const col2 = (row[2] || '').toString().trim();
-                const status = (row[5] || 'ACTIVE').toString().trim().toUpperCase();
-
-                // Skip disabled or empty rules
-                if (!ruleId || !col1) continue;
-                if (status === 'DISABLED' || status === 'SKIP') continue;
-
-                // Check for MUTUAL row
-                if (col1.toUpperCase() === 'MUTUAL') {
-                    if (!col2) {
-                        result.errors.push(`${ruleId}: MUTUAL row missing key list in column C`);
-                        continue;
-                    }
-                    result.mutualExclusions.push({
-                        ruleId,
-                        keysDelimited: col2
-                    });
+    // FORCE_EXCLUDE rules
+    if (forceExcludeData && forceExcludeData.length > 1) {
+        // Skip header row (row 0)
+        for (let i = 1; i < forceExcludeData.length; i++) {
+            const row = forceExcludeData[i];
+            if (!row || row.length < 2) continue;  // Skip empty rows
+
+            const ruleId = (row[0] || '').toString().trim();
+            const col1 = (row[1] || '').toString().trim();
+            const col2 = (row[2] || '').toString().trim();
+            const status = (row[5] || 'ACTIVE').toString().trim().toUpperCase();
+
+            // Skip disabled or empty rules
+            if (!ruleId || !col1) continue;
+            if (status === 'DISABLED' || status === 'SKIP') continue;
+
+            // Check for MUTUAL row
+            if (col1.toUpperCase() === 'MUTUAL') {
+                if (!col2) {
+                    result.errors.push(`${ruleId}: MUTUAL row missing key list in column C`);
                     continue;
                 }
+                result.mutualExclusions.push({
+                    ruleId,
+                    keysDelimited: col2
+                });
+                continue;
+            }
 
-                // Get common fields for pairwise rules
-                const onConflict = (row[3] || 'DEFECTIVE_YIELDS').toString().trim().toUpperCase();
-                const reason = (row[4] || '').toString().trim();
-
-                // Validate onConflict value
-                const validOnConflict = ['DEFECTIVE_YIELDS', 'OTHER_YIELDS', 'USE_SIMILARITY'];
-                const finalOnConflict = validOnConflict.includes(onConflict) ? onConflict : 'DEFECTIVE_YIELDS';
+            // Get common fields for pairwise rules
+            const onConflict = (row[3] || 'DEFECTIVE_YIELDS').toString().trim().toUpperCase();
+            const reason = (row[4] || '').toString().trim();
 
-                // Check for one-to-many expansion case:
-                // Column B is a real key (not MUTUAL), and column C contains the delimiter
-                if (col2 && col2.includes('::^::')) {
-                    const defectiveKey = col1;
-                    const otherKeys = col2.split('::^::').map(k => k.trim()).filter(k => k);
+            // Validate onConflict value
+            const validOnConflict = ['DEFECTIVE_YIELDS', 'OTHER_YIELDS', 'USE_SIMILARITY'];
+            const finalOnConflict = validOnConflict.includes(onConflict) ? onConflict : 'DEFECTIVE_YIELDS';
 
-                    if (otherKeys.length === 0) {
-                        result.errors.push(`${ruleId}: One-to-many row has empty key list after splitting`);
-                        continue;
-                    }
+            // Check for one-to-many expansion case:
+            // Column B is a real key (not MUTUAL), and column C contains the delimiter
+            if (col2 && col2.includes('::^::')) {
+                const defectiveKey = col1;
+                const otherKeys = col2.split('::^::').map(k => k.trim()).filter(k => k);
 
-                    // Expand into multiple pairwise rules
-                    for (let idx = 0; idx < otherKeys.length; idx++) {
-                        const otherKey = otherKeys[idx];
-                        // Generate sub-rule ID to distinguish expanded rules
-                        const expandedRuleId = otherKeys.length > 1 ? `${ruleId}[${idx + 1}]` : ruleId;
-
-                        result.forceExcludes.push({
-                            ruleId: expandedRuleId,
-                            defectiveKey,
-                            otherKey,
-                            onConflict: finalOnConflict,
-                            reason,
-                            status,
-                            expandedFrom: ruleId  // Track original rule for debugging
-                        });
-                    }
-                    // Removed per-expansion logging - count tracked in result.expandedRuleCount
+                if (otherKeys.length === 0) {
+                    result.errors.push(`${ruleId}: One-to-many row has empty key list after splitting`);
                     continue;
                 }
 
-                // Regular pairwise rule
-                const defectiveKey = col1;
-                const otherKey = col2;
+                // Expand into multiple pairwise rules
+                for (let idx = 0; idx < otherKeys.length; idx++) {
+                    const otherKey = otherKeys[idx];
+                    // Generate sub-rule ID to distinguish expanded rules
+                    const expandedRuleId = otherKeys.length > 1 ? `${ruleId}[${idx + 1}]` : ruleId;
+
+                    result.forceExcludes.push({
+                        ruleId: expandedRuleId,
+                        defectiveKey,
+                        otherKey,
+                        onConflict: finalOnConflict,
+                        reason,
+                        status,
+                        expandedFrom: ruleId  // Track original rule for debugging
+                    });
+                }
+                // Removed per-expansion logging - count tracked in result.expandedRuleCount
+                continue;
+            }
 
-                if (!otherKey) continue;  // Need both keys for pairwise
+            // Regular pairwise rule
+            const defectiveKey = col1;
+            const otherKey = col2;
 
-                result.forceExcludes.push({
-                    ruleId,
-                    defectiveKey,
-                    otherKey,
-                    onConflict: finalOnConflict,
-                    reason,
-                    status
-                });
-            }
+            if (!otherKey) continue;  // Need both keys for pairwise
+
+            result.forceExcludes.push({
+                ruleId,
+                defectiveKey,
+                otherKey,
+                onConflict: finalOnConflict,
+                reason,
+                status
+            });
         }
-        // Logging consolidated below
-    } catch (err) {
-        const error = `Failed to load FORCE_EXCLUDE sheet: ${err.message || err}`;
-        console.error('[OVERRIDE] ' + error);
-        result.errors.push(error);
     }
 
     // Consolidated summary log
@@ -1302,12 +1380,22 @@ async function loadRulesFromGoogleSheets(options = {}) {
 }
 
 /**
- * Fetch data from a Google Sheet.
+ * Fetch data from a Google Sheet. With any other storage adapter active, the
+ * file stored under the spreadsheet ID is read as a CSV export of the sheet.
  * @param {string} spreadsheetId - The spreadsheet ID
- * @param {string} sheetName - The sheet/tab name
+ * @param {string} sheetName - The sheet/tab name (Google Sheets only)
  * @returns {Promise<Array<Array>>} - 2D array of cell values
  */
 async function fetchSheetData(spreadsheetId, sheetName) {
+    const storage = getStorageAdapter();
+    if (storage.name !== 'googleDrive') {
+        const parsed = parseRfc4180Csv(await storage.readFile(spreadsheetId));
+        if (parsed.errors.length > 0) {
+            throw new Error(`CSV export ${spreadsheetId}: ${parsed.errors.join('; ')}`);
+        }
+        return parsed.records.map(record => record.fields);
+    }
+
     const params = {
         spreadsheetId: spreadsheetId,
         range: sheetName,
@@ -1328,9 +1416,23 @@ async function fetchSheetData(spreadsheetId, sheetName) {
  *   await buildEntityGroupDatabase({ saveToGoogleDrive: false });
  */
 MatchOverrideManager.prototype.loadFromGoogleSheets = async function(options = {}) {
-    this.clear();
-
     const sheetData = await loadRulesFromGoogleSheets(options);
+    return this.loadFromSheetData(sheetData);
+};
+
+/**
+ * Load parsed sheet data (from loadRulesFromGoogleSheets or parseOverrideRuleRows).
+ * Clears existing rules first. Handles both pairwise rules and MUTUAL sets.
+ *
+ * Usage (headless, from CSV exports of the override sheets):
+ *   const sheetData = parseOverrideRuleRows(forceMatchRows, forceExcludeRows);
+ *   window.matchOverrideManager.loadFromSheetData(sheetData);
+ *
+ * @param {Object} sheetData - {forceMatches, forceExcludes, mutualInclusions, mutualExclusions, errors}
+ * @returns {Object} Load summary (same shape as loadFromGoogleSheets)
+ */
+MatchOverrideManager.prototype.loadFromSheetData = function(sheetData) {
+    this.clear();
 
     if (sheetData.errors.length > 0) {
         console.warn('[OVERRIDE] Errors loading from sheets:', sheetData.errors);
@@ -1472,6 +1574,7 @@ window.ON_CONFLICT_OPTIONS = ON_CONFLICT_OPTIONS;
 window.OVERRIDE_SHEET_IDS = OVERRIDE_SHEET_IDS;
 window.loadTestRules = loadTestRules;
 window.loadRulesFromGoogleSheets = loadRulesFromGoogleSheets;
+window.parseOverrideRuleRows = parseOverrideRuleRows;
 window.getPhaseForEntity = getPhaseForEntity;
 window.determineAnchor = determineAnchor;
 
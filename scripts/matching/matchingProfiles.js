@@ -0,0 +1,373 @@
+/**
+ * matchingProfiles.js
+ *
+ * Named matching profiles: one place to set the thresholds and weights the
+ * matching engine uses, so a build can be run (and later reproduced) with a
+ * known configuration.
+ *
+ * A profile holds:
+ *   matchCriteria  isTrueMatch / isNearMatch thresholds (same shape as MATCH_CRITERIA)
+ *   weights        comparisonWeights per class (Individual, AggregateHousehold, IndividualName)
+ *
+ * The IndividualName database's homonym / synonym thresholds are not a separate
+ * field: they follow matchCriteria.trueMatch.nameAlone / nearMatch.nameAlone
+ * (individualNameDatabaseBuilder.js), so name aliasing and name-alone matching
+ * cannot drift apart.
+ *
+ * ContactInfo and Address weights are not configurable. Their calculators
+ * (contactInfoWeightedComparison / addressWeightedComparison in utils.js) choose
+ * weights conditionally per comparison (perfect-match overrides, PO Box and
+ * Block Island rules) rather than from a fixed table, so profiles may only set
+ * weights for the classes listed in MATCHING_PROFILE_WEIGHT_CLASSES.
+ *
+ * Built-in profiles: 'default' (the values this code shipped with), 'strict'
+ * and 'loose'. Custom profiles are JSON files with the same fields; any field a
+ * custom profile leaves out is taken from 'default'. Weights are the exception:
+ * a class's weights must sum to 1, so a profile that sets weights.<Class>
+ * replaces that class's whole set instead of single weights.
+ *
+ * Applying a profile updates MATCH_CRITERIA in place (matchCriteria.js),
+ * so isTrueMatch()/isNearMatch() and every caller of window.MATCH_CRITERIA see
+ * the new thresholds. Weights are read at comparison time through
+ * resolveComparisonWeights(), so entities already in memory (or deserialized
+ * with their own comparisonWeights) are scored with the active profile.
+ *
+ * Usage:
+ *   applyMatchingProfile('strict');
+ *   applyMatchingProfile(parseMatchingProfileJson(jsonText, 'myProfile.json'));
+ *   buildEntityGroupDatabase({ matchingProfile: 'strict' });  // recorded in groupDb.matchingProfile
+ */
+
+const BUILT_IN_MATCHING_PROFILES = {
+    default: {
+        name: 'default',
+        description: 'Standard thresholds and weights',
+        matchCriteria: {
+            trueMatch: {
+                overallAndName: { overall: 0.80, name: 0.83 },
+                contactInfoAlone: 0.87,
+                overallAlone: 0.905,
+                nameAlone: 0.875
+            },
+            nearMatch: {
+                overallAndName: { overall: 0.77, name: 0.80 },
+                contactInfoAlone: 0.85,
+                overallAlone: 0.875,
+                nameAlone: 0.845
+            }
+        },
+        weights: {
+            Individual: { name: 0.5, contactInfo: 0.3, otherInfo: 0.15, legacyInfo: 0.05 },
+            AggregateHousehold: { name: 0.4, contactInfo: 0.4, otherInfo: 0.15, legacyInfo: 0.05 },
+            IndividualName: { lastName: 0.5, firstName: 0.4, otherNames: 0.1 }
+        }
+    },
+    strict: {
+        name: 'strict',
+        description: 'All thresholds raised by 0.03 - fewer, more certain matches',
+        matchCriteria: {
+            trueMatch: {
+                overallAndName: { overall: 0.83, name: 0.86 },
+                contactInfoAlone: 0.90,
+                overallAlone: 0.935,
+                nameAlone: 0.905
+            },
+            nearMatch: {
+                overallAndName: { overall: 0.80, name: 0.83 },
+                contactInfoAlone: 0.88,
+                overallAlone: 0.905,
+                nameAlone: 0.875
+            }
+        }
+    },
+    loose: {
+        name: 'loose',
+        description: 'All thresholds lowered by 0.03 - more matches, more to review',
+        matchCriteria: {
+            trueMatch: {
+                overallAndName: { overall: 0.77, name: 0.80 },
+                contactInfoAlone: 0.84,
+                overallAlone: 0.875,
+                nameAlone: 0.845
+            },
+            nearMatch: {
+                overallAndName: { overall: 0.74, name: 0.77 },
+                contactInfoAlone: 0.82,
+                overallAlone: 0.845,
+                nameAlone: 0.815
+            }
+        }
+    }
+};
+
+// Classes whose comparisonWeights a profile may set (see the ContactInfo / Address note above)
+const MATCHING_PROFILE_WEIGHT_CLASSES = Object.keys(BUILT_IN_MATCHING_PROFILES.default.weights);
+
+// Weight sums further than this from 1.0 are rejected
+const MATCHING_PROFILE_WEIGHT_TOLERANCE = 1e-6;
+
+// Active profile; null until applyMatchingProfile() is called ('default' is in effect)
+let activeMatchingProfile = null;
+
+// Resolved 'default' profile, cached because weights are looked up on every comparison
+let resolvedDefaultMatchingProfile = null;
+
+/**
+ * Deep copy of plain JSON data
+ */
+function cloneProfileData(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Recursively merge plain objects; values in override win
+ */
+function mergeProfileData(base, override) {
+    const result = cloneProfileData(base);
+    for (const [key, value] of Object.entries(override || {})) {
+        if (value && typeof value === 'object' && !Array.isArray(value) &&
+            result[key] && typeof result[key] === 'object') {
+            result[key] = mergeProfileData(result[key], value);
+        } else {
+            result[key] = cloneProfileData(value);
+        }
+    }
+    return result;
+}
+
+/**
+ * List the built-in profile names
+ * @returns {Array<string>}
+ */
+function listMatchingProfiles() {
+    return Object.keys(BUILT_IN_MATCHING_PROFILES);
+}
+
+/**
+ * Check a complete profile. Thresholds must be numbers in [0, 1], each class's
+ * weights must sum to 1, and each near-match threshold must not exceed its
+ * true-match counterpart.
+ * @param {Object} profile - Complete profile (after merging over 'default')
+ * @returns {Array<string>} Problems found; empty when the profile is valid
+ */
+function validateMatchingProfile(profile) {
+    const errors = [];
+    const checkThreshold = (value, label) => {
+        if (typeof value !== 'number' || !isFinite(value) || value < 0 || value > 1) {
+            errors.push(`${label} must be a number between 0 and 1 (got ${JSON.stringify(value)})`);
+            return false;
+        }
+        return true;
+    };
+
+    if (!profile || typeof profile !== 'object') {
+        return ['Profile must be an object'];
+    }
+    if (!profile.name || typeof profile.name !== 'string') {
+        errors.push('name is required');
+    }
+
+    const criteria = profile.matchCriteria || {};
+    for (const level of ['trueMatch', 'nearMatch']) {
+        const levelCriteria = criteria[level] || {};
+        checkThreshold(levelCriteria.overallAndName?.overall, `matchCriteria.${level}.overallAndName.overall`);
+        checkThreshold(levelCriteria.overallAndName?.name, `matchCriteria.${level}.overallAndName.name`);
+        for (const field of ['contactInfoAlone', 'overallAlone', 'nameAlone']) {
+            checkThreshold(levelCriteria[field], `matchCriteria.${level}.${field}`);
+        }
+    }
+    if (errors.length === 0) {
+        const trueMatch = criteria.trueMatch;
+        const nearMatch = criteria.nearMatch;
+        const pairs = [
+            ['overallAndName.overall', trueMatch.overallAndName.overall, nearMatch.overallAndName.overall],
+            ['overallAndName.name', trueMatch.overallAndName.name, nearMatch.overallAndName.name],
+            ['contactInfoAlone', trueMatch.contactInfoAlone, nearMatch.contactInfoAlone],
+            ['overallAlone', trueMatch.overallAlone, nearMatch.overallAlone],
+            ['nameAlone', trueMatch.nameAlone, nearMatch.nameAlone]
+        ];
+        for (const [field, trueValue, nearValue] of pairs) {
+            if (nearValue > trueValue) {
+                errors.push(`matchCriteria.nearMatch.${field} (${nearValue}) exceeds trueMatch.${field} (${trueValue})`);
+            }
+        }
+    }
+
+    if (profile.individualNameThresholds !== undefined) {
+        errors.push('individualNameThresholds is not a profile field: IndividualName homonym / synonym thresholds ' +
+            'follow matchCriteria.trueMatch.nameAlone / matchCriteria.nearMatch.nameAlone');
+    }
+
+    for (const [className, weights] of Object.entries(profile.weights || {})) {
+        if (!MATCHING_PROFILE_WEIGHT_CLASSES.includes(className)) {
+            errors.push(`weights.${className} cannot be set by a profile (configurable: ${MATCHING_PROFILE_WEIGHT_CLASSES.join(', ')})`);
+            continue;
+        }
+        if (!weights || typeof weights !== 'object') {
+            errors.push(`weights.${className} must be an object`);
+            continue;
+        }
+        let sum = 0;
+        let weightsOk = true;
+        for (const [propName, weight] of Object.entries(weights)) {
+            weightsOk = checkThreshold(weight, `weights.${className}.${propName}`) && weightsOk;
+            sum += weight;
+        }
+        if (weightsOk && Math.abs(sum - 1) > MATCHING_PROFILE_WEIGHT_TOLERANCE) {
+            errors.push(`weights.${className} must sum to 1 (got ${Math.round(sum * 1e6) / 1e6})`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Resolve a profile name or a (possibly partial) profile object into a complete,
+ * validated profile. Fields missing from a custom profile come from 'default';
+ * each class's weights it sets replace the default set for that class.
+ * @param {string|Object} nameOrProfile - Built-in profile name or profile object
+ * @returns {Object} Complete profile
+ * @throws {Error} Unknown profile name or invalid profile
+ */
+function resolveMatchingProfile(nameOrProfile) {
+    let partial;
+    if (typeof nameOrProfile === 'string') {
+        partial = BUILT_IN_MATCHING_PROFILES[nameOrProfile];
+        if (!partial) {
+            throw new Error(`Unknown matching profile "${nameOrProfile}" (built-in profiles: ${listMatchingProfiles().join(', ')})`);
+        }
+    } else if (nameOrProfile && typeof nameOrProfile === 'object') {
+        partial = nameOrProfile;
+    } else {
+        throw new Error('Matching profile must be a profile name or a profile object');
+    }
+
+    const profile = mergeProfileData(BUILT_IN_MATCHING_PROFILES.default, partial);
+    if (partial.weights && typeof partial.weights === 'object') {
+        for (const [className, weights] of Object.entries(partial.weights)) {
+            profile.weights[className] = cloneProfileData(weights);
+        }
+    }
+    const errors = validateMatchingProfile(profile);
+    if (errors.length > 0) {
+        throw new Error(`Invalid matching profile "${profile.name || '(unnamed)'}":\n  ${errors.join('\n  ')}`);
+    }
+    return profile;
+}
+
+/**
+ * Parse a profile JSON file's text
+ * @param {string} jsonText - Profile JSON
+ * @param {string} [sourceLabel] - File name, used in errors and as the name when the file has none
+ * @returns {Object} Complete, validated profile
+ * @throws {Error} Invalid JSON or invalid profile
+ */
+function parseMatchingProfileJson(jsonText, sourceLabel = 'profile') {
+    let parsed;
+    try {
+        parsed = JSON.parse(jsonText);
+    } catch (error) {
+        throw new Error(`${sourceLabel}: not valid JSON (${error.message})`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error(`${sourceLabel}: a matching profile must be a JSON object`);
+    }
+    if (!parsed.name) {
+        parsed.name = sourceLabel.replace(/^.*[\\/]/, '').replace(/\.json$/i, '');
+    }
+    return resolveMatchingProfile(parsed);
+}
+
+/**
+ * Make a profile the active one. MATCH_CRITERIA is updated in place.
+ * @param {string|Object} nameOrProfile - Built-in profile name or profile object
+ * @param {Object} [options]
+ * @param {string} [options.source] - Where the profile came from ('built-in' or a file name)
+ * @returns {Object} The applied profile
+ */
+function applyMatchingProfile(nameOrProfile, options = {}) {
+    const profile = resolveMatchingProfile(nameOrProfile);
+    const source = options.source ||
+        (typeof nameOrProfile === 'string' ? 'built-in' : 'custom');
+
+    if (typeof MATCH_CRITERIA !== 'undefined') {
+        for (const level of ['trueMatch', 'nearMatch']) {
+            Object.assign(MATCH_CRITERIA[level], cloneProfileData(profile.matchCriteria[level]));
+        }
+    }
+
+    activeMatchingProfile = { profile, source, appliedAt: new Date().toISOString() };
+    return profile;
+}
+
+/**
+ * The active profile ('default' if none has been applied)
+ * @returns {Object} Complete profile
+ */
+function getActiveMatchingProfile() {
+    if (activeMatchingProfile) {
+        return activeMatchingProfile.profile;
+    }
+    if (!resolvedDefaultMatchingProfile) {
+        resolvedDefaultMatchingProfile = resolveMatchingProfile('default');
+    }
+    return resolvedDefaultMatchingProfile;
+}
+
+/**
+ * Description of the active profile for recording with build output
+ * @returns {Object} { name, description, source, appliedAt, profile }
+ */
+function getMatchingProfileSummary() {
+    const profile = getActiveMatchingProfile();
+    return {
+        name: profile.name,
+        description: profile.description || '',
+        source: activeMatchingProfile ? activeMatchingProfile.source : 'built-in',
+        appliedAt: activeMatchingProfile ? activeMatchingProfile.appliedAt : null,
+        profile: cloneProfileData(profile)
+    };
+}
+
+/**
+ * Weights to use when scoring an object: the active profile's weights for its
+ * class, otherwise the object's own comparisonWeights
+ * @param {Object} obj - Object being compared (entity or IndividualName)
+ * @returns {Object|null} { propName: weight }
+ */
+function resolveComparisonWeights(obj) {
+    if (!obj) return null;
+    const className = obj.constructor && obj.constructor.name;
+    const profileWeights = className ? getActiveMatchingProfile().weights[className] : null;
+    return profileWeights || obj.comparisonWeights || null;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BUILT_IN_MATCHING_PROFILES,
+        MATCHING_PROFILE_WEIGHT_CLASSES,
+        listMatchingProfiles,
+        validateMatchingProfile,
+        resolveMatchingProfile,
+        parseMatchingProfileJson,
+        applyMatchingProfile,
+        getActiveMatchingProfile,
+        getMatchingProfileSummary,
+        resolveComparisonWeights
+    };
+}
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.BUILT_IN_MATCHING_PROFILES = BUILT_IN_MATCHING_PROFILES;
+    window.MATCHING_PROFILE_WEIGHT_CLASSES = MATCHING_PROFILE_WEIGHT_CLASSES;
+    window.listMatchingProfiles = listMatchingProfiles;
+    window.validateMatchingProfile = validateMatchingProfile;
+    window.resolveMatchingProfile = resolveMatchingProfile;
+    window.parseMatchingProfileJson = parseMatchingProfileJson;
+    window.applyMatchingProfile = applyMatchingProfile;
+    window.getActiveMatchingProfile = getActiveMatchingProfile;
+    window.getMatchingProfileSummary = getMatchingProfileSummary;
+    window.resolveComparisonWeights = resolveComparisonWeights;
+}
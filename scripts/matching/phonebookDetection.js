@@ -8,7 +8,7 @@
  *
  * Dependencies:
  * - levenshteinSimilarity() from utils.js
- * - window.MATCH_CRITERIA from unifiedEntityBrowser.js
+ * - window.MATCH_CRITERIA from matching/matchCriteria.js
  *
  * Split from phonebookMatcher.js Session 126
  * @see reference_phonebookIntegration.md
@@ -642,7 +642,7 @@ function batchEntityMatch(db, limit) {
     // Collect unmatched person entries using for...of (class iterator, fully-formed entries)
     const unmatchedEntries = [];
     for (const [key, entry] of db) {
-        if (entry.classification === 'person' &&
+        if (entry.getEffectiveClassification() === 'person' &&
             (!entry.matchAssociations || entry.matchAssociations.length === 0)) {
             unmatchedEntries.push({ key, entry });
         }
@@ -947,6 +947,22 @@ function shouldSkipPhonebookRecord(entry, entities) {
     return validAssociations.length > 0;
 }
 
+/**
+ * Check whether an entity key is one a phonebook entry was declared not to match
+ * (SupplementalDataEntry.getExcludedEntityKeys). Synthetic individual keys are
+ * excluded along with their parent key.
+ *
+ * @param {string} entityKey - Entity key (possibly synthetic)
+ * @param {Set<string>} excludedKeys - From entry.getExcludedEntityKeys()
+ * @returns {boolean}
+ */
+function isExcludedEntityKey(entityKey, excludedKeys) {
+    if (!entityKey || excludedKeys.size === 0) return false;
+    if (excludedKeys.has(entityKey)) return true;
+    var individualIndex = entityKey.indexOf(':individual:');
+    return individualIndex >= 0 && excludedKeys.has(entityKey.substring(0, individualIndex));
+}
+
 // -----------------------------------------------------------------------------
 // Phonebook Entity Key Generation (Phase 5.2)
 // -----------------------------------------------------------------------------
@@ -1096,7 +1112,7 @@ function fillGroupIndex(phonebookDb, groupDb) {
         var entry = ref[1];
 
         // Only person-classified entries
-        if (entry.classification !== 'person') continue;
+        if (entry.getEffectiveClassification() !== 'person') continue;
 
         // Only entries with matchAssociations
         if (!entry.matchAssociations || entry.matchAssociations.length === 0) continue;
@@ -1552,9 +1568,12 @@ function createPhonebookEntities(phonebookDb, entities, indNameDb) {
         var entry = ref[1];
 
         // Skip non-person entries
-        if (entry.classification !== 'person') continue;
+        if (entry.getEffectiveClassification() !== 'person') continue;
         stats.personEntries++;
 
+        // No entities are created for numbers no longer listed
+        if (entry.inactiveSince) continue;
+
         var rawRecords = entry.rawRecords || [];
         if (rawRecords.length === 0) continue;
         var record = rawRecords[0];
@@ -1863,7 +1882,7 @@ function placeCouplePhonebookEntities(phonebookDb, groupDb, entities) {
 
     for (var ref of phonebookDb) {
         var entry = ref[1];
-        if (entry.classification !== 'person') continue;
+        if (entry.getEffectiveClassification() !== 'person') continue;
         stats.entriesScanned++;
 
         var associations = entry.matchAssociations || [];
@@ -1936,16 +1955,18 @@ function placeCouplePhonebookEntities(phonebookDb, groupDb, entities) {
 
 /**
  * Compare one phonebook entity against all entities in all existing groups.
- * Returns the best trueMatch, or null if no match found.
+ * Returns the best trueMatch, or null if no match found. Groups holding an
+ * entity the phonebook entry was declared not to match are skipped.
  *
  * @param {string} entityKey - Key of the phonebook entity
  * @param {Object} entity - The phonebook entity object
  * @param {Object} groupDb - EntityGroupDatabase
  * @param {Object} entities - entity key → entity object map
+ * @param {Set<string>} excludedKeys - From the phonebook entry's getExcludedEntityKeys()
  * @returns {Object|null} { groupIndex, matchedEntityKey, matchedEntity, scores } or null
  * @private
  */
-function _findGroupMatchForEntity(entityKey, entity, groupDb, entities) {
+function _findGroupMatchForEntity(entityKey, entity, groupDb, entities, excludedKeys) {
     var bestMatch = null;
     var bestScore = 0;
 
@@ -1953,6 +1974,7 @@ function _findGroupMatchForEntity(entityKey, entity, groupDb, entities) {
     for (var gIdx in groups) {
         var group = groups[gIdx];
         var memberKeys = group.memberKeys;
+        if (memberKeys.some(function(key) { return isExcludedEntityKey(key, excludedKeys); })) continue;
 
         for (var mi = 0; mi < memberKeys.length; mi++) {
             var memberKey = memberKeys[mi];
@@ -2050,7 +2072,7 @@ function matchPhonebookEntitiesToGroups(phonebookDb, groupDb, entities, indNameD
     for (var ref of phonebookDb) {
         var phoneKey = ref[0];
         var entry = ref[1];
-        if (entry.classification !== 'person') continue;
+        if (entry.getEffectiveClassification() !== 'person') continue;
 
         var associations = entry.matchAssociations || [];
         var unplaced = [];
@@ -2106,7 +2128,7 @@ function matchPhonebookEntitiesToGroups(phonebookDb, groupDb, entities, indNameD
             continue;
         }
 
-        var match = _findGroupMatchForEntity(cg.ahAssoc.entityKey, ahEntity, groupDb, entities);
+        var match = _findGroupMatchForEntity(cg.ahAssoc.entityKey, ahEntity, groupDb, entities, cg.entry.getExcludedEntityKeys());
 
         if (match) {
             stats.ahMatched++;
@@ -2172,7 +2194,7 @@ function matchPhonebookEntitiesToGroups(phonebookDb, groupDb, entities, indNameD
             continue;
         }
 
-        var sMatch = _findGroupMatchForEntity(s.assoc.entityKey, sEntity, groupDb, entities);
+        var sMatch = _findGroupMatchForEntity(s.assoc.entityKey, sEntity, groupDb, entities, s.entry.getExcludedEntityKeys());
 
         if (sMatch) {
             stats.individualsMatched++;
@@ -2314,7 +2336,8 @@ function _computeConsumedMembers(nameHits, record) {
  *
  * For each person-classified phonebook record:
  * - Skip if already has a valid matchAssociation (incremental optimization)
- * - Run entity-level matching + classification
+ * - Run entity-level matching + classification, dropping entities the record was
+ *   declared not to match (entry.getExcludedEntityKeys())
  * - Write matchAssociations (entityKey populated, groupIndex null)
  * - Transfer phone/contact info to matched entities
  * - Apply name aliases to matched entities' IndividualName database entries
@@ -2338,11 +2361,13 @@ function phonebookStep1(phonebookDb, entities, indNameDb) {
         personEntries: 0,
         skippedValid: 0,
         skippedNoRawRecords: 0,
+        skippedInactive: 0,
         processed: 0,
         // Match classification counts
         fullMatches: 0,
         nameMatches: 0,
         addressMatches: 0,
+        excludedMatches: 0,
         noClassifiedMatch: 0,
         // Action counts
         matchAssociationsWritten: 0,
@@ -2356,9 +2381,16 @@ function phonebookStep1(phonebookDb, entities, indNameDb) {
         var entry = _ref[1];
 
         // Skip non-person entries
-        if (entry.classification !== 'person') continue;
+        if (entry.getEffectiveClassification() !== 'person') continue;
         stats.personEntries++;
 
+        // Numbers no longer in the current directory edition keep their
+        // associations but no longer contribute phones or aliases
+        if (entry.inactiveSince) {
+            stats.skippedInactive++;
+            continue;
+        }
+
         // Skip optimization: valid existing matchAssociation
         if (shouldSkipPhonebookRecord(entry, entities)) {
             stats.skippedValid++;
@@ -2380,6 +2412,18 @@ function phonebookStep1(phonebookDb, entities, indNameDb) {
             var matchResult = matchPhonebookRecordToEntities(record, entities);
             var classified = classifyEntityMatchResult(matchResult);
 
+            // Declared exclusions: never re-match an entity the entry was excluded from
+            var excludedKeys = entry.getExcludedEntityKeys();
+            if (excludedKeys.size > 0) {
+                var notExcluded = function(m) { return !isExcludedEntityKey(m.entityKey, excludedKeys); };
+                var matchCount = classified.fullMatches.length + classified.nameMatches.length + classified.addressMatches.length;
+                classified.fullMatches = classified.fullMatches.filter(notExcluded);
+                classified.nameMatches = classified.nameMatches.filter(notExcluded);
+                classified.addressMatches = classified.addressMatches.filter(notExcluded);
+                stats.excludedMatches += matchCount - classified.fullMatches.length -
+                    classified.nameMatches.length - classified.addressMatches.length;
+            }
+
             var hasFull = classified.fullMatches.length > 0;
             var hasName = classified.nameMatches.length > 0;
             var hasAddr = classified.addressMatches.length > 0;
@@ -2497,11 +2541,13 @@ function phonebookStep1(phonebookDb, entities, indNameDb) {
     console.log('Person entries: ' + stats.personEntries);
     console.log('Skipped (valid existing match): ' + stats.skippedValid);
     console.log('Skipped (no raw records): ' + stats.skippedNoRawRecords);
+    console.log('Skipped (inactive numbers): ' + stats.skippedInactive);
     console.log('Processed: ' + stats.processed);
     console.log('');
     console.log('Full matches: ' + stats.fullMatches);
     console.log('Name matches: ' + stats.nameMatches);
     console.log('Address matches: ' + stats.addressMatches);
+    console.log('Dropped by declared exclusions: ' + stats.excludedMatches);
     console.log('No classified match: ' + stats.noClassifiedMatch);
     console.log('Match associations written: ' + stats.matchAssociationsWritten);
     console.log('');
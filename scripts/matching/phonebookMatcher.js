@@ -391,7 +391,7 @@ function matchAllPhonebookRecords(groupDb, entityDb) {
  * Classification thresholds for phonebook matching.
  *
  * Phonebook address matching is binary (fire number or street match), not scored.
- * The four MATCH_CRITERIA conditions (from unifiedEntityBrowser.js) collapse to:
+ * The four MATCH_CRITERIA conditions (from matchCriteria.js) collapse to:
  *
  *   With address (no collision): contactInfoAlone=1.0 > 0.85 → always passes
  *   With address + collision: contactInfoAlone disabled → need nameAlone >= 0.845
@@ -382,7 +382,7 @@ function processPersonNameVariations(phonebookDb, groupDb, entityDb, indNameDb)
         var entry = _ref[1];
 
         // Skip non-person entries
-        if (entry.classification !== 'person') continue;
+        if (entry.getEffectiveClassification() !== 'person') continue;
 
         // Skip unmatched entries
         if (!entry.matchAssociations || entry.matchAssociations.length === 0) continue;
@@ -540,7 +540,7 @@ function processNonHumanNameVariations(phonebookDb, groupDb, entityDb) {
         var entry = _ref[1];
 
         // Skip non-nonhuman entries
-        if (entry.classification !== 'nonhuman') continue;
+        if (entry.getEffectiveClassification() !== 'nonhuman') continue;
 
         // Skip unmatched entries
         if (!entry.matchAssociations || entry.matchAssociations.length === 0) continue;
@@ -866,6 +866,163 @@ function collectNamesForHousehold(entryRefs) {
 }
 
 
+// -----------------------------------------------------------------------------
+// 4.5a-2: Data Quality Anomaly Detection
+// -----------------------------------------------------------------------------
+//
+// Production detection for the Phase 4.5 data quality categories (Completion
+// Gate 1). Findings go to the anomaly register (dataQualityAnomalyRegister.js)
+// under a stable (category, household key) ID; accepted findings are left as
+// they are and corrected ones are replaced by the stored names (Gate 3).
+
+// Name particles that belong to the surname ("VON ARX", "DE LUCA")
+var PHONEBOOK_NAME_PREFIX_PARTICLES = ['VON', 'VAN', 'DER', 'DEN', 'DE', 'DA', 'DI', 'DEL', 'DELLA', 'DU', 'LA', 'LE', 'ST', 'MC', 'MAC'];
+
+/**
+ * Surname candidates from a household name: letters-only words of three or
+ * more letters that are not name particles or connecting words.
+ *
+ * @param {string} householdNameStr - e.g. "KIVLEHAN, JOHN & ROSALIE"
+ * @returns {string[]}
+ */
+function householdSurnameCandidates(householdNameStr) {
+    var words = String(householdNameStr || '').toUpperCase().split(/[\s,&\/]+/);
+    var surnames = [];
+    for (var i = 0; i < words.length; i++) {
+        var word = words[i].replace(/[^A-Z]/g, '');
+        if (word.length < 3 || word === 'AND' || word === 'THE') continue;
+        if (PHONEBOOK_NAME_PREFIX_PARTICLES.indexOf(word) !== -1) continue;
+        if (surnames.indexOf(word) === -1) surnames.push(word);
+    }
+    return surnames;
+}
+
+/**
+ * Detect data quality anomalies in the names collected for one household.
+ * Each name is given at most one category, checked in this order:
+ *   - erroneous-name: firstName carries the synthetic ERRONEOUS tag
+ *   - prefix-split: a name particle (VON, VAN, DE...) stands alone as first or last name
+ *   - concatenated-name: last name is a household surname with letters run on (MORANBUDA)
+ *   - maiden-name: last name matches no household surname (maiden name, or a different person)
+ * A household without names is an unparseable-record.
+ *
+ * @param {string} householdNameStr - Household name term
+ * @param {Array<{firstName: string, lastName: string, phoneNumbers: string[]}>} rawNames - From collectNamesForHousehold()
+ * @returns {Array<{category: string, names: Array<Object>, description: string}>} One finding per category
+ */
+function detectHouseholdNameAnomalies(householdNameStr, rawNames) {
+    var byCategory = {};
+    var add = function (category, nameObj, description) {
+        if (!byCategory[category]) byCategory[category] = { category: category, names: [], description: description };
+        if (nameObj) byCategory[category].names.push(nameObj);
+    };
+
+    if (rawNames.length === 0) {
+        add(ANOMALY_CATEGORIES.UNPARSEABLE_RECORD, null, 'No parseable names in the phonebook entries for "' + householdNameStr + '"');
+        return Object.values(byCategory);
+    }
+
+    var surnames = householdSurnameCandidates(householdNameStr);
+
+    for (var i = 0; i < rawNames.length; i++) {
+        var nameObj = rawNames[i];
+        var first = String(nameObj.firstName || '').toUpperCase();
+        var last = String(nameObj.lastName || '').toUpperCase().replace(/[^A-Z]/g, '');
+
+        if (first.indexOf('ERRONEOUS') === 0) {
+            add(ANOMALY_CATEGORIES.ERRONEOUS_NAME, nameObj, 'Name parsed without a first name and tagged ERRONEOUS');
+            continue;
+        }
+        if (PHONEBOOK_NAME_PREFIX_PARTICLES.indexOf(first) !== -1 || PHONEBOOK_NAME_PREFIX_PARTICLES.indexOf(last) !== -1) {
+            add(ANOMALY_CATEGORIES.PREFIX_SPLIT, nameObj, 'Surname prefix split off as a first or last name');
+            continue;
+        }
+        if (surnames.length === 0 || !last || surnames.indexOf(last) !== -1) continue;
+
+        var runOn = false;
+        for (var s = 0; s < surnames.length; s++) {
+            var surname = surnames[s];
+            if (last.length >= surname.length + 3 && (last.indexOf(surname) === 0 || last.lastIndexOf(surname) === last.length - surname.length)) {
+                runOn = true;
+                break;
+            }
+        }
+        if (runOn) {
+            add(ANOMALY_CATEGORIES.CONCATENATED_NAME, nameObj, 'Last name runs a household surname together with other letters');
+        } else {
+            add(ANOMALY_CATEGORIES.MAIDEN_NAME, nameObj, 'Last name differs from the household surname (maiden name or a different person)');
+        }
+    }
+
+    return Object.values(byCategory);
+}
+
+/**
+ * Record a household's name anomalies in the anomaly register and apply the
+ * stored decisions: accepted findings keep their names, corrected findings have
+ * their names replaced by the correction's names (which take over the phone
+ * numbers of the names they replace). Without the register the names pass
+ * through unchanged.
+ *
+ * @param {string} householdKey - Entity key of the AggregateHousehold
+ * @param {string} householdNameStr - Household name term
+ * @param {Array<Object>} rawNames - From collectNamesForHousehold()
+ * @param {string[]} allPhoneNumbers - Phone keys of the household's entries (for corrected unparseable records)
+ * @param {Object} [stats] - Counters: anomaliesOpen, anomaliesSuppressed, anomaliesCorrected
+ * @returns {Array<Object>} Names to reconcile
+ */
+function applyHouseholdNameAnomalies(householdKey, householdNameStr, rawNames, allPhoneNumbers, stats) {
+    if (typeof recordAnomaly !== 'function') return rawNames;
+    stats = stats || {};
+
+    var names = rawNames.slice();
+    var findings = detectHouseholdNameAnomalies(householdNameStr, rawNames);
+
+    for (var f = 0; f < findings.length; f++) {
+        var finding = findings[f];
+        var flagged = finding.names;
+        var result = recordAnomaly(finding.category, householdKey, {
+            description: finding.description,
+            details: {
+                householdName: householdNameStr,
+                names: flagged.map(function (n) { return constructPhonebookNameString(n); })
+            }
+        });
+
+        if (result.suppressed) {
+            stats.anomaliesSuppressed = (stats.anomaliesSuppressed || 0) + 1;
+            continue;
+        }
+        if (!result.correction) {
+            stats.anomaliesOpen = (stats.anomaliesOpen || 0) + 1;
+            console.warn('  Data quality (' + finding.category + '): ' + finding.description);
+            continue;
+        }
+
+        // Corrected: swap the flagged names for the stored ones
+        var phoneNumbers = flagged.length > 0 ? [] : allPhoneNumbers.slice();
+        for (var r = 0; r < flagged.length; r++) {
+            names.splice(names.indexOf(flagged[r]), 1);
+            for (var p = 0; p < flagged[r].phoneNumbers.length; p++) {
+                if (phoneNumbers.indexOf(flagged[r].phoneNumbers[p]) === -1) phoneNumbers.push(flagged[r].phoneNumbers[p]);
+            }
+        }
+        var corrected = result.correction.names || [];
+        for (var c = 0; c < corrected.length; c++) {
+            names.push({
+                firstName: String(corrected[c].firstName || '').toUpperCase(),
+                lastName: String(corrected[c].lastName || '').toUpperCase(),
+                phoneNumbers: phoneNumbers.slice()
+            });
+        }
+        stats.anomaliesCorrected = (stats.anomaliesCorrected || 0) + 1;
+        console.log('  Data quality (' + finding.category + '): stored correction applied');
+    }
+
+    return names;
+}
+
+
 // -----------------------------------------------------------------------------
 // 4.5b: Name Reconciliation
 // -----------------------------------------------------------------------------
@@ -1043,6 +1200,9 @@ function createIndividualForHousehold(anchor, household, idx, allPhoneNumbers) {
         } else if (household.otherInfo.appraisalValue) {
             otherInfo.setAppraisalValue(household.otherInfo.appraisalValue);
         }
+        if (typeof household.otherInfo.getParcelDetails === 'function') {
+            otherInfo.setParcelDetails(household.otherInfo.getParcelDetails());
+        }
     }
 
     // Add HouseholdInformation
@@ -1376,6 +1536,9 @@ function processIndividualDiscovery(phonebookDb, options) {
         newIndNameEntries: 0,
         aliasesAdded: 0,
         phoneNumbersTotal: 0,
+        anomaliesOpen: 0,
+        anomaliesSuppressed: 0,
+        anomaliesCorrected: 0,
         errors: []
     };
 
@@ -1393,9 +1556,11 @@ function processIndividualDiscovery(phonebookDb, options) {
             console.log('  Name: ' + householdNameStr);
             console.log('  Phonebook entries: ' + hData.entryRefs.length);
 
-            // Step 2a: Collect names
+            // Step 2a: Collect names, then flag anomalies and apply stored corrections
             var rawNames = collectNamesForHousehold(hData.entryRefs);
             console.log('  Raw names collected: ' + rawNames.length);
+            rawNames = applyHouseholdNameAnomalies(hKey, householdNameStr, rawNames,
+                hData.entryRefs.map(function (ref) { return ref.phoneKey; }), stats);
 
             if (rawNames.length === 0) {
                 console.log('  SKIP: No valid names found.');
@@ -1514,6 +1679,8 @@ function processIndividualDiscovery(phonebookDb, options) {
     console.log('Phone numbers distributed: ' + stats.phoneNumbersTotal);
     console.log('New IndividualName DB entries: ' + stats.newIndNameEntries);
     console.log('Alias variations added: ' + stats.aliasesAdded);
+    console.log('Data quality anomalies: ' + stats.anomaliesOpen + ' open, ' +
+        stats.anomaliesSuppressed + ' accepted, ' + stats.anomaliesCorrected + ' corrected');
     if (stats.errors.length > 0) {
         console.log('Errors: ' + stats.errors.length);
         for (var ei = 0; ei < stats.errors.length; ei++) {
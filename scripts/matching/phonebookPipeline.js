@@ -9,6 +9,9 @@
  *   ingestNoMatchRecords, applyManualInclusions, applyManualExclusions,
  *   classifyNonHumanRecords, applyHeuristicMatches, handleUnmatchedPersons,
  *   processNoMatchRecords (orchestrator)
+ * - Phase 8 incremental edition update: comparePhonebookEdition,
+ *   applyPhonebookEditionUpdate, runPhonebookEditionUpdate (orchestrator),
+ *   persistPhonebookEditionUpdate
  *
  * Dependencies:
  * - phonebookDetection.js (detectNonHumanType, heuristic matching functions)
@@ -923,7 +926,7 @@ function handleUnmatchedPersons(db) {
     for (var _ref of db) {
         var phoneKey = _ref[0];
         var entry = _ref[1];
-        if (entry.classification === 'person' && !entry.hasMatchAssociations()) {
+        if (entry.getEffectiveClassification() === 'person' && !entry.hasMatchAssociations()) {
             count++;
         }
     }
@@ -1059,5 +1062,338 @@ function tagIndividualDiscovery(db, entityDb) {
     return tagged;
 }
 
+// =============================================================================
+// PHASE 8: INCREMENTAL EDITION UPDATE
+// =============================================================================
+
+/**
+ * Match sources written by this pipeline. Only these associations are replaced
+ * when a new directory edition is processed; manual (user-annotated or
+ * browser-declared) associations and the Step 1/Step 3 associations written
+ * during entity group builds are preserved.
+ */
+var PHONEBOOK_PIPELINE_MATCH_SOURCES = ['primary-matcher', 'algorithmic'];
+
+/**
+ * Signature of a phonebook record for edition comparison: the listed name and
+ * address, ignoring line numbers and spacing (which move between editions).
+ *
+ * @param {Object} record - Parsed phonebook record
+ * @returns {string}
+ */
+function phonebookRecordSignature(record) {
+    var clean = function(value) {
+        return String(value || '').toUpperCase().replace(/\s+/g, ' ').trim();
+    };
+    return [
+        clean(record.name && record.name.raw),
+        clean(record.address && record.address.street),
+        clean(record.address && record.address.box)
+    ].join('|');
+}
+
+/**
+ * Check whether two sets of raw records list the same names and addresses
+ * (order-independent).
+ *
+ * @param {Array} recordsA
+ * @param {Array} recordsB
+ * @returns {boolean}
+ */
+function samePhonebookRecords(recordsA, recordsB) {
+    if (recordsA.length !== recordsB.length) return false;
+    var a = recordsA.map(phonebookRecordSignature).sort();
+    var b = recordsB.map(phonebookRecordSignature).sort();
+    return a.every(function(sig, i) { return sig === b[i]; });
+}
+
+/**
+ * Compare the parsed records of a new directory edition against the existing
+ * PhonebookDatabase by normalized phone number. Used by parsePhonebook()'s update
+ * mode to preview an edition before it is matched.
+ *
+ * @param {Array} records - Parsed records from parsePhonebook()
+ * @param {PhonebookDatabase} existingDb - The current database
+ * @returns {{ newPhones: Array<string>, changedPhones: Array<string>, unchangedPhones: Array<string>,
+ *             reactivatedPhones: Array<string>, vanishedPhones: Array<string>, skippedRecords: number }}
+ */
+function comparePhonebookEdition(records, existingDb) {
+    var byPhone = new Map();
+    var skippedRecords = 0;
+
+    for (var i = 0; i < records.length; i++) {
+        var phone = normalizePhoneNumber(records[i].phone);
+        if (phone.length !== 10) {
+            skippedRecords++;
+            continue;
+        }
+        if (!byPhone.has(phone)) byPhone.set(phone, []);
+        byPhone.get(phone).push(records[i]);
+    }
+
+    var comparison = {
+        newPhones: [],
+        changedPhones: [],
+        unchangedPhones: [],
+        reactivatedPhones: [],
+        vanishedPhones: [],
+        skippedRecords: skippedRecords
+    };
+
+    byPhone.forEach(function(phoneRecords, phone) {
+        var existing = existingDb.get(phone);
+        if (!existing) {
+            comparison.newPhones.push(phone);
+            return;
+        }
+        if (existing.isInactive()) comparison.reactivatedPhones.push(phone);
+        if (samePhonebookRecords(existing.rawRecords, phoneRecords)) {
+            comparison.unchangedPhones.push(phone);
+        } else {
+            comparison.changedPhones.push(phone);
+        }
+    });
+
+    for (var _ref of existingDb) {
+        if (!byPhone.has(_ref[0]) && !_ref[1].isInactive()) {
+            comparison.vanishedPhones.push(_ref[0]);
+        }
+    }
+
+    return comparison;
+}
+
+/**
+ * Merge a new directory edition into the existing PhonebookDatabase without
+ * losing user declarations.
+ *
+ * The edition database is built by the normal pipeline (populatePrimaryMatches,
+ * processNoMatchRecords, tagIndividualDiscovery) from the new edition's records
+ * into an empty PhonebookDatabase; see runPhonebookEditionUpdate(). Then, by
+ * normalized phone number:
+ *   - New numbers: the edition entry is added as-is
+ *   - Listed numbers: pipeline associations are replaced by the edition's, except
+ *     for groups the entry excludes; added and changed ones carry a reviewFlag.
+ *     If the listed records changed, they are replaced and every preserved
+ *     association (manual, Step 1/3) is flagged as well. Exclusions and
+ *     userDeclarations are never touched.
+ *   - Vanished numbers: marked inactive (inactiveSince), nothing removed
+ *
+ * Changes are made in memory; persistPhonebookEditionUpdate() saves them.
+ *
+ * @param {PhonebookDatabase} existingDb - The current database (modified in place)
+ * @param {PhonebookDatabase} editionDb - Pipeline output for the new edition
+ * @param {Object} [options]
+ * @param {string} [options.edition] - Edition label (default: today's date)
+ * @returns {{ edition: string, added: Array<string>, updated: Array<string>, reactivated: Array<string>,
+ *             inactivated: Array<string>, unchanged: number, modifiedKeys: Array<string>, reviewList: Array<Object> }}
+ */
+function applyPhonebookEditionUpdate(existingDb, editionDb, options) {
+    var edition = (options && options.edition) || new Date().toISOString().slice(0, 10);
+    var flaggedDate = new Date().toISOString();
+    var isPipelineAssociation = function(assoc) {
+        return PHONEBOOK_PIPELINE_MATCH_SOURCES.indexOf(assoc.matchSource) !== -1;
+    };
+    var flag = function(assoc, change) {
+        assoc.reviewFlag = { edition: edition, change: change, flaggedDate: flaggedDate };
+    };
+
+    var update = {
+        edition: edition,
+        added: [],
+        updated: [],
+        reactivated: [],
+        inactivated: [],
+        unchanged: 0,
+        modifiedKeys: [],
+        reviewList: []
+    };
+    var review = function(phone, entry, change, before, after) {
+        var name = entry.rawRecords[0] && entry.rawRecords[0].name;
+        update.reviewList.push({
+            phone: phone,
+            name: name ? name.raw : '',
+            change: change,
+            groupIndex: (after || before).groupIndex,
+            entityKey: (after || before).entityKey || null,
+            before: before ? { entityKey: before.entityKey || null, matchType: before.matchType || null } : null,
+            after: after ? { entityKey: after.entityKey || null, matchType: after.matchType || null } : null
+        });
+    };
+
+    for (var _ref of editionDb) {
+        var phone = _ref[0];
+        var editionEntry = _ref[1];
+        var entry = existingDb.get(phone);
+
+        // New number
+        if (!entry) {
+            editionEntry.sourceMetadata.edition = edition;
+            editionEntry.matchAssociations.forEach(function(assoc) {
+                if (!isPipelineAssociation(assoc)) return;
+                flag(assoc, 'added');
+                review(phone, editionEntry, 'added', null, assoc);
+            });
+            existingDb.addEntry(editionEntry);
+            update.added.push(phone);
+            update.modifiedKeys.push(phone);
+            continue;
+        }
+
+        var recordsChanged = !samePhonebookRecords(entry.rawRecords, editionEntry.rawRecords);
+        var wasInactive = entry.isInactive();
+        var changed = recordsChanged || wasInactive;
+
+        // Pipeline associations: old vs new by group (user exclusions and manual associations win)
+        var preserved = entry.matchAssociations.filter(function(assoc) { return !isPipelineAssociation(assoc); });
+        var manualGroups = new Set(preserved.map(function(assoc) { return assoc.groupIndex; }));
+        var oldByGroup = new Map();
+        entry.matchAssociations.filter(isPipelineAssociation).forEach(function(assoc) {
+            oldByGroup.set(assoc.groupIndex, assoc);
+        });
+        var incoming = editionEntry.matchAssociations.filter(function(assoc) {
+            return isPipelineAssociation(assoc) && !entry.isGroupExcluded(assoc.groupIndex) &&
+                !(assoc.groupIndex != null && manualGroups.has(assoc.groupIndex));
+        });
+
+        var next = [];
+        incoming.forEach(function(assoc) {
+            var old = oldByGroup.get(assoc.groupIndex);
+            oldByGroup.delete(assoc.groupIndex);
+            if (!old) {
+                flag(assoc, 'added');
+                review(phone, entry, 'added', null, assoc);
+                changed = true;
+            } else if (old.entityKey !== assoc.entityKey || old.matchType !== assoc.matchType) {
+                flag(assoc, 'changed');
+                review(phone, entry, 'changed', old, assoc);
+                changed = true;
+            } else {
+                // Same match: keep the stored association (and any open review flag)
+                assoc = old;
+            }
+            next.push(assoc);
+        });
+        oldByGroup.forEach(function(old) {
+            review(phone, entry, 'removed', old, null);
+            changed = true;
+        });
+
+        if (recordsChanged) {
+            preserved.forEach(function(assoc) {
+                flag(assoc, 'records-changed');
+                review(phone, entry, 'records-changed', assoc, assoc);
+            });
+            entry.rawRecords = editionEntry.rawRecords;
+            entry.isIslandNumber = editionEntry.isIslandNumber;
+            entry.sourceMetadata = { ...entry.sourceMetadata, edition: edition, parseDate: editionEntry.sourceMetadata.parseDate };
+        }
+        if (entry.classification !== editionEntry.classification) {
+            entry.classification = editionEntry.classification;
+            changed = true;
+        }
+
+        entry.matchAssociations = preserved.concat(next);
+        entry.inactiveSince = null;
+
+        if (wasInactive) update.reactivated.push(phone);
+        if (changed) {
+            update.updated.push(phone);
+            update.modifiedKeys.push(phone);
+        } else {
+            update.unchanged++;
+        }
+    }
+
+    // Vanished numbers: keep everything, mark inactive
+    for (var _ref2 of existingDb) {
+        var vanishedPhone = _ref2[0];
+        var vanished = _ref2[1];
+        if (editionDb.has(vanishedPhone) || vanished.isInactive()) continue;
+        vanished.inactiveSince = edition;
+        vanished.matchAssociations.forEach(function(assoc) {
+            review(vanishedPhone, vanished, 'number-inactive', assoc, null);
+        });
+        update.inactivated.push(vanishedPhone);
+        update.modifiedKeys.push(vanishedPhone);
+    }
+
+    console.log('=== PHASE 8: EDITION UPDATE (' + edition + ') ===');
+    console.log('New numbers: ' + update.added.length);
+    console.log('Updated numbers: ' + update.updated.length + ' (reactivated: ' + update.reactivated.length + ')');
+    console.log('Unchanged numbers: ' + update.unchanged);
+    console.log('Numbers marked inactive: ' + update.inactivated.length);
+    console.log('Associations for review: ' + update.reviewList.length);
+
+    return update;
+}
+
+/**
+ * Run the pipeline on a new directory edition and merge it into the existing
+ * PhonebookDatabase (see applyPhonebookEditionUpdate).
+ *
+ * Prerequisites (as for the inaugural build):
+ *   - window.phonebookResults from processPhonebookFile() on the new edition
+ *   - window.resolvedPhonebookRules
+ *   - Entity group database loaded (entityGroupBrowser.loadedDatabase)
+ *   - Unified entity database loaded (window.unifiedEntityDatabase)
+ *
+ * @param {PhonebookDatabase} existingDb - The current database (modified in place)
+ * @param {Object} [options]
+ * @param {string} [options.edition] - Edition label (default: today's date)
+ * @returns {Object|null} The update summary with its reviewList, or null if prerequisites are missing
+ */
+function runPhonebookEditionUpdate(existingDb, options) {
+    var groupDb = entityGroupBrowser.loadedDatabase;
+    var entityDb = window.unifiedEntityDatabase?.entities;
+    if (!existingDb || !existingDb._isLoaded) {
+        console.error('runPhonebookEditionUpdate: Load the existing PhonebookDatabase first.');
+        return null;
+    }
+    if (!groupDb || !entityDb) {
+        console.error('runPhonebookEditionUpdate: Entity group and unified entity databases must be loaded.');
+        return null;
+    }
+
+    var matchResults = matchAllPhonebookRecords(groupDb, entityDb);
+    if (matchResults.length === 0) return null;
+    classifyAllPhonebookMatches(matchResults);
+
+    var editionDb = new PhonebookDatabase();
+    populatePrimaryMatches(editionDb, entityDb);
+    processNoMatchRecords(editionDb);
+    tagIndividualDiscovery(editionDb, entityDb);
+
+    var update = applyPhonebookEditionUpdate(existingDb, editionDb, options);
+    window.phonebookEditionUpdate = update;
+    console.log('Review list stored in window.phonebookEditionUpdate.reviewList');
+    return update;
+}
+
+/**
+ * Save an edition update: entry files for modified entries (new entries are
+ * filed out), then the bulk file read by entity group builds. The database must
+ * carry its entry fileIds (loadFromDrive, or loadFromBulk + mergeIndexFileIds),
+ * otherwise every entry would be filed out again.
+ *
+ * @param {PhonebookDatabase} db - The updated database
+ * @param {Object} update - Result of applyPhonebookEditionUpdate()
+ * @returns {Promise<{saved: number, created: number}>}
+ */
+async function persistPhonebookEditionUpdate(db, update) {
+    var saved = 0;
+    for (var i = 0; i < update.modifiedKeys.length; i++) {
+        if (db.getWrapper(update.modifiedKeys[i]).fileId) {
+            await db.saveEntry(update.modifiedKeys[i]);
+            saved++;
+        }
+    }
+    var fileOut = await db.fileOutEntries();
+    await db.saveBulk();
+
+    console.log('Edition update saved: ' + saved + ' entry files updated, ' + fileOut.created + ' created');
+    return { saved: saved, created: fileOut.created };
+}
+
 
 console.log('PhonebookPipeline (entityKey extraction + pipeline orchestration) loaded.');
@@ -62,378 +62,179 @@ const MATCH_CONFIG = {
 // CORE COMPARISON FUNCTIONS
 // ============================================================================
 
-/**
- * Compare an Individual to another Individual directly
- * @param {Individual} individual1
- * @param {Individual} individual2
- * @returns {object} { score, matchedIndividual, details }
- */
-function compareIndividualToIndividual(individual1, individual2) {
-    const result = individual1.compareTo(individual2, true); // detailed mode
-    return {
-        score: typeof result === 'number' ? result : result.overallSimilarity,
-        matchedIndividual: null, // Direct comparison, no intermediate individual
-        matchedIndividualIndex: null,
-        details: typeof result === 'object' ? result : null
-    };
-}
+// The type-pair comparison strategies (compareIndividualToIndividual, compareIndividualToHousehold,
+// compareHouseholdToIndividual, compareHouseholdToHousehold, compareIndividualToEntityDirect,
+// compareSameLocationEntities) live in entityScoringEngine.js with the strategy registry
 
 /**
- * Compare an Individual to an AggregateHousehold by finding the best-matching individual in the array
- * @param {Individual} individual
- * @param {AggregateHousehold} household
- * @returns {object} { score, matchedIndividual, matchedIndividualIndex, details }
+ * Universal comparison function - handles all entity type combinations
+ * Delegates to the entity scoring engine (scoreEntityPair in entityScoringEngine.js)
+ * @param {Entity} entity1 - Base entity
+ * @param {Entity} entity2 - Target entity to compare against
+ * @returns {object} { score, matchedIndividual, matchedIndividualIndex, details, comparisonType, codePath }
+ *   codePath is the name of the comparison function the pair was routed to
  */
-function compareIndividualToHousehold(individual, household) {
-    if (!household.individuals || household.individuals.length === 0) {
-        // No individuals in household - compare directly to household's name/address
-        return compareIndividualToEntityDirect(individual, household);
-    }
-
-    let bestScore = -1;
-    let bestMatchedIndividual = null;
-    let bestMatchedIndex = -1;
-    let bestDetails = null;
-
-    household.individuals.forEach((householdIndividual, idx) => {
-        const result = individual.compareTo(householdIndividual, true);
-        const score = typeof result === 'number' ? result : result.overallSimilarity;
-
-        if (score > bestScore) {
-            bestScore = score;
-            bestMatchedIndividual = householdIndividual;
-            bestMatchedIndex = idx;
-            bestDetails = typeof result === 'object' ? result : null;
-        }
-    });
-
-    return {
-        score: bestScore,
-        matchedIndividual: bestMatchedIndividual,
-        matchedIndividualIndex: bestMatchedIndex,
-        details: bestDetails
-    };
+function universalCompareTo(entity1, entity2) {
+    return scoreEntityPair(entity1, entity2);
 }
 
-/**
- * Compare an Individual directly to an entity (for Business, LegalConstruct, or empty households)
- * Uses name and contactInfo comparison only
- * @param {Individual} individual
- * @param {Entity} entity
- * @returns {object} { score, matchedIndividual, details }
- */
-function compareIndividualToEntityDirect(individual, entity) {
-    // For entities without individuals array, we do a limited comparison
-    // Compare name (if available) and contactInfo
-    let nameScore = 0;
-    let contactInfoScore = 0;
-    let nameWeight = 0.5;
-    let contactInfoWeight = 0.5;
-    let nameComparisonMethod = 'none';
-
-    // Try name comparison if both have names
-    if (individual.name && entity.name) {
-        const name1Type = individual.name.constructor?.name;
-        const name2Type = entity.name.constructor?.name;
-
-        if (name1Type === name2Type) {
-            // Same type - use safeNumericCompare for proper IndividualName handling
-            const nameResult = window.safeNumericCompare
-                ? window.safeNumericCompare(individual.name, entity.name)
-                : null;
-            if (nameResult !== null) {
-                nameScore = typeof nameResult === 'number' ? nameResult : (nameResult?.overallSimilarity || 0);
-                nameComparisonMethod = 'native';
-            } else {
-                // Fallback to cross-type comparison
-                nameScore = crossTypeNameComparison(individual.name, entity.name);
-                nameComparisonMethod = 'cross-type-fallback';
-            }
-        } else {
-            // Different types - use cross-type string comparison
-            nameScore = crossTypeNameComparison(individual.name, entity.name);
-            nameComparisonMethod = 'cross-type';
-        }
-    }
-
-    // Compare contactInfo if both have it
-    // Check for same-location scenario (same base fire number, different suffixes)
-    if (individual.contactInfo && entity.contactInfo) {
-        try {
-            const isSameLocation = (typeof areSameLocationEntities === 'function')
-                ? areSameLocationEntities(individual, entity)
-                : false;
-
-            if (isSameLocation) {
-                // DIAGNOSTIC: Log when same-location triggers in compareIndividualToEntityDirect
-                const src1 = individual.sourceDatabase || 'unknown';
-                const src2 = entity.sourceDatabase || 'unknown';
-                if (src1 !== src2) {
-                    console.log(`[DIAGNOSTIC] compareIndividualToEntityDirect: isSameLocation=TRUE cross-source ${src1} vs ${src2}`);
-                }
-                // Same location: use secondary addresses only
-                contactInfoScore = (typeof compareSecondaryAddressesOnly === 'function')
-                    ? compareSecondaryAddressesOnly(individual.contactInfo, entity.contactInfo)
-                    : 0;
-            } else {
-                const contactResult = individual.contactInfo.compareTo(entity.contactInfo, true);
-                contactInfoScore = typeof contactResult === 'number' ? contactResult : (contactResult?.overallSimilarity || 0);
-            }
-        } catch (e) {
-            contactInfoScore = 0;
-        }
-    }
-
-    const overallScore = (nameScore * nameWeight) + (contactInfoScore * contactInfoWeight);
-
-    return {
-        score: overallScore,
-        matchedIndividual: null,
-        matchedIndividualIndex: null,
-        details: {
-            overallSimilarity: overallScore,
-            components: {
-                name: { similarity: nameScore, weight: nameWeight, method: nameComparisonMethod },
-                contactInfo: { similarity: contactInfoScore, weight: contactInfoWeight }
-            },
-            comparisonType: 'direct'
-        }
-    };
-}
+// ============================================================================
+// MATCH EXPLANATION
+// ============================================================================
 
-/**
- * Compare an AggregateHousehold to an Individual by finding best match among household's individuals
- * @param {AggregateHousehold} household
- * @param {Individual} individual
- * @returns {object} { score, matchedIndividual, matchedIndividualIndex, details }
- */
-function compareHouseholdToIndividual(household, individual) {
-    // Same logic as compareIndividualToHousehold but from household's perspective
-    return compareIndividualToHousehold(individual, household);
-}
+// Fire number collision cases returned by detectCollisionCase() (fireNumberCollisionDatabase.js)
+const COLLISION_CASE_DESCRIPTIONS = {
+    a: 'Neither primary address is a collision address - normal comparison',
+    b: 'Only one primary address is a collision address - normal comparison',
+    c: 'Both are collision addresses with different fire numbers - normal comparison',
+    d: 'Both VisionAppraisal primary addresses at the same collision fire number - excluded from grouping',
+    e: 'Both are collision addresses with the same fire number - compared without fire numbers'
+};
 
 /**
- * Compare two AggregateHouseholds by finding the best-matching pair of individuals
- * @param {AggregateHousehold} household1
- * @param {AggregateHousehold} household2
- * @returns {object} { score, matchedIndividual, matchedIndividualIndex, details }
+ * Explain how two entities score against each other, as a structured tree.
+ * Uses universalCompareTo() for the score (nothing is recalculated) and adds the
+ * context the EntityGroup builder applies around it: same-location handling,
+ * fire number collision case, override rules and true/near match classification.
+ *
+ * @param {string} keyA - Database key of the base entity
+ * @param {string} keyB - Database key of the target entity
+ * @param {Object} [options]
+ * @param {Object} [options.entityDb] - Keyed entity database (default: unifiedEntityDatabase.entities)
+ * @param {MatchOverrideManager} [options.overrideManager] - Rules to check (default: window.matchOverrideManager)
+ * @returns {Object} {
+ *   keyA, keyB, entityA, entityB,      // entity summaries (type, name, source, fireNumber)
+ *   codePath, comparisonType, score,
+ *   components,                        // { name, contactInfo, otherInfo, legacyInfo }: { similarity, weight, contribution, method }
+ *   penalties, subordinateDetails,
+ *   household,                         // matched individuals for household comparisons, else null
+ *   sameLocation,                      // { applies, fireNumberA, fireNumberB, baseA, baseB }
+ *   collision,                         // { case, description, databaseLoaded, excludesGrouping } or null
+ *   overrides,                         // { forceMatch: [...], forceExclude: {...}|null }
+ *   classification,                    // { isTrueMatch, isNearMatch }
+ *   outcome,                           // 'FORCE_EXCLUDED' | 'COLLISION_EXCLUDED' | 'FORCE_MATCHED' | 'TRUE_MATCH' | 'NEAR_MATCH' | 'NO_MATCH'
+ *   rawResult                          // universalCompareTo() result
+ * }
  */
-function compareHouseholdToHousehold(household1, household2) {
-    const individuals1 = household1.individuals || [];
-    const individuals2 = household2.individuals || [];
-
-    if (individuals1.length === 0 && individuals2.length === 0) {
-        // Both empty - compare directly
-        return compareIndividualToEntityDirect(household1, household2);
+function explainMatch(keyA, keyB, options = {}) {
+    const entityDb = options.entityDb || window.unifiedEntityDatabase?.entities;
+    if (!entityDb) {
+        throw new Error('explainMatch: unified entity database not loaded');
     }
-
-    if (individuals1.length === 0 || individuals2.length === 0) {
-        // One is empty - limited comparison
-        return {
-            score: 0,
-            matchedIndividual: null,
-            matchedIndividualIndex: null,
-            details: { comparisonType: 'one_household_empty' }
+    const entityA = entityDb[keyA];
+    const entityB = entityDb[keyB];
+    if (!entityA) throw new Error(`explainMatch: entity not found: ${keyA}`);
+    if (!entityB) throw new Error(`explainMatch: entity not found: ${keyB}`);
+
+    const result = universalCompareTo(entityA, entityB);
+    const details = result.details || {};
+
+    // Component scores with effective weights
+    const components = {};
+    for (const [component, data] of Object.entries(details.components || {})) {
+        const weight = data.actualWeight ?? data.weight ?? null;
+        components[component] = {
+            similarity: data.similarity ?? null,
+            weight: weight,
+            contribution: data.weightedValue ?? (weight !== null && data.similarity != null ? data.similarity * weight : null),
+            method: data.method || null
         };
     }
 
-    let bestScore = -1;
-    let bestMatch = null;
-
-    individuals1.forEach((ind1, idx1) => {
-        individuals2.forEach((ind2, idx2) => {
-            const result = ind1.compareTo(ind2, true);
-            const score = typeof result === 'number' ? result : result.overallSimilarity;
-
-            if (score > bestScore) {
-                bestScore = score;
-                bestMatch = {
-                    individual1: ind1,
-                    individual1Index: idx1,
-                    individual2: ind2,
-                    individual2Index: idx2,
-                    details: typeof result === 'object' ? result : null
-                };
-            }
-        });
-    });
-
-    return {
-        score: bestScore,
-        matchedIndividual1: bestMatch?.individual1,
-        matchedIndividualIndex1: bestMatch?.individual1Index,
-        matchedIndividual2: bestMatch?.individual2,
-        matchedIndividualIndex2: bestMatch?.individual2Index,
-        details: bestMatch?.details
-    };
-}
-
-/**
- * Extract name object from an entity (Individual or AggregateHousehold)
- * @param {Entity} entity
- * @returns {Object|null} Name object or null
- */
-function extractNameFromEntity(entity) {
-    const type = entity.constructor.name;
-    if (type === 'Individual') {
-        return entity.name;
-    } else if (type === 'AggregateHousehold') {
-        // Use household name or first member's name
-        return entity.householdName || entity.name || (entity.individuals?.[0]?.name);
-    }
-    return entity.name || null;
-}
-
-/**
- * Extract contactInfo object from an entity (Individual or AggregateHousehold)
- * @param {Entity} entity
- * @returns {Object|null} ContactInfo object or null
- */
-function extractContactInfoFromEntity(entity) {
-    const type = entity.constructor.name;
-    if (type === 'Individual') {
-        return entity.contactInfo;
-    } else if (type === 'AggregateHousehold') {
-        // Return household-level contactInfo or first member's contactInfo
-        return entity.contactInfo || entity.individuals?.[0]?.contactInfo;
-    }
-    return entity.contactInfo || null;
-}
-
-/**
- * Compare two entities known to be at the same physical location.
- * Uses secondary addresses only for contactInfo to avoid false positives
- * from matching primary addresses (which are trivially the same for same-location entities).
- * @param {Entity} entity1
- * @param {Entity} entity2
- * @returns {object} { score, matchedIndividual, details }
- */
-function compareSameLocationEntities(entity1, entity2) {
-    // Get name comparison
-    let nameScore = 0;
-    const name1 = extractNameFromEntity(entity1);
-    const name2 = extractNameFromEntity(entity2);
-    let nameComparisonMethod = 'none';
-
-    if (name1 && name2) {
-        const name1Type = name1.constructor?.name;
-        const name2Type = name2.constructor?.name;
-
-        if (name1Type === name2Type) {
-            // Same type - use safeNumericCompare for proper IndividualName handling
-            const nameResult = window.safeNumericCompare
-                ? window.safeNumericCompare(name1, name2)
-                : null;
-            if (nameResult !== null) {
-                nameScore = typeof nameResult === 'number' ? nameResult : (nameResult?.overallSimilarity || nameResult?.similarity || 0);
-                nameComparisonMethod = 'native';
-            } else {
-                // Fallback to cross-type comparison
-                nameScore = (typeof crossTypeNameComparison === 'function')
-                    ? crossTypeNameComparison(name1, name2)
-                    : 0;
-                nameComparisonMethod = 'cross-type-fallback';
-            }
-        } else {
-            // Different types - use cross-type string comparison
-            nameScore = (typeof crossTypeNameComparison === 'function')
-                ? crossTypeNameComparison(name1, name2)
-                : 0;
-            nameComparisonMethod = 'cross-type';
-        }
-    }
-
-    // Get contactInfo comparison using SECONDARY ADDRESSES ONLY
-    let contactInfoScore = 0;
-    const contactInfo1 = extractContactInfoFromEntity(entity1);
-    const contactInfo2 = extractContactInfoFromEntity(entity2);
-
-    if (contactInfo1 && contactInfo2) {
-        contactInfoScore = (typeof compareSecondaryAddressesOnly === 'function')
-            ? compareSecondaryAddressesOnly(contactInfo1, contactInfo2)
-            : 0;
+    // Household comparisons pick the best-matching individual (pair)
+    let household = null;
+    if (result.matchedIndividual1 !== undefined) {
+        household = {
+            individualIndexA: result.matchedIndividualIndex1 ?? null,
+            individualIndexB: result.matchedIndividualIndex2 ?? null,
+            individualNameA: result.matchedIndividual1 ? getEntityDisplayName(result.matchedIndividual1) : null,
+            individualNameB: result.matchedIndividual2 ? getEntityDisplayName(result.matchedIndividual2) : null
+        };
+    } else if (result.matchedIndividual) {
+        household = {
+            householdSide: entityA.constructor.name === 'AggregateHousehold' ? 'A' : 'B',
+            individualIndex: result.matchedIndividualIndex ?? null,
+            individualName: getEntityDisplayName(result.matchedIndividual)
+        };
     }
 
-    // Apply standard weighting
-    const nameWeight = 0.5;
-    const contactInfoWeight = 0.5;
-    const overallScore = (nameScore * nameWeight) + (contactInfoScore * contactInfoWeight);
-
-    return {
-        score: overallScore,
-        matchedIndividual: null,
-        matchedIndividualIndex: null,
-        details: {
-            overallSimilarity: overallScore,
-            components: {
-                name: { similarity: nameScore, weight: nameWeight, method: nameComparisonMethod },
-                contactInfo: { similarity: contactInfoScore, weight: contactInfoWeight, method: 'secondary-only' }
-            },
-            comparisonType: 'same-location',
-            sameLocation: true
-        }
+    // Same-location (suffixed fire numbers with a shared base)
+    const fireNumberA = typeof extractFireNumberFromEntity === 'function' ? extractFireNumberFromEntity(entityA) : null;
+    const fireNumberB = typeof extractFireNumberFromEntity === 'function' ? extractFireNumberFromEntity(entityB) : null;
+    const sameLocation = {
+        applies: result.codePath === 'compareSameLocationEntities',
+        fireNumberA,
+        fireNumberB,
+        baseA: fireNumberA && typeof getBaseFireNumber === 'function' ? getBaseFireNumber(fireNumberA) : null,
+        baseB: fireNumberB && typeof getBaseFireNumber === 'function' ? getBaseFireNumber(fireNumberB) : null
     };
-}
 
-/**
- * Universal comparison function - handles all entity type combinations
- * @param {Entity} entity1 - Base entity
- * @param {Entity} entity2 - Target entity to compare against
- * @returns {object} { score, matchedIndividual, matchedIndividualIndex, details, comparisonType }
- */
-function universalCompareTo(entity1, entity2) {
-    const type1 = entity1.constructor.name;
-    const type2 = entity2.constructor.name;
-
-    // Check for same-location entities BEFORE routing to specialized comparison functions
-    // This catches cases where embedded individual comparisons would lose fire number context
-    const isSameLocation = (typeof areSameLocationEntities === 'function')
-        ? areSameLocationEntities(entity1, entity2)
-        : false;
-
-    // If same-location, use specialized comparison that excludes primary address
-    if (isSameLocation) {
-        // DIAGNOSTIC: Log when same-location triggers in universalCompareTo
-        const src1 = entity1.sourceDatabase || 'unknown';
-        const src2 = entity2.sourceDatabase || 'unknown';
-        if (src1 !== src2) {
-            console.log(`[DIAGNOSTIC] universalCompareTo: isSameLocation=TRUE cross-source ${src1} vs ${src2}`);
-        }
-        const result = compareSameLocationEntities(entity1, entity2);
-        return {
-            ...result,
-            comparisonType: `${type1}-to-${type2} (same-location)`
+    // Fire number collision case, evaluated on primary addresses as in findMatchesForEntity()
+    let collision = null;
+    const addressA = entityA.contactInfo?.primaryAddress;
+    const addressB = entityB.contactInfo?.primaryAddress;
+    if (typeof detectCollisionCase === 'function' && addressA && addressB) {
+        const databaseLoaded = !!window.fireNumberCollisionDatabase?.metadata?.loaded;
+        const collisionCase = detectCollisionCase(addressA, addressB, entityA, entityB, keyA, keyB);
+        collision = {
+            case: collisionCase,
+            description: COLLISION_CASE_DESCRIPTIONS[collisionCase] || '',
+            databaseLoaded,
+            excludesGrouping: databaseLoaded && collisionCase === 'd'
         };
     }
 
-    let result;
-    let comparisonType;
+    // Override rules
+    const overrideManager = options.overrideManager || window.matchOverrideManager;
+    const overrides = overrideManager && typeof overrideManager.getRulesForPair === 'function'
+        ? overrideManager.getRulesForPair(keyA, keyB)
+        : { forceMatch: [], forceExclude: null };
+    const activeForceMatch = overrides.forceMatch.some(rule => rule.status === 'ACTIVE');
+    const activeForceExclude = overrides.forceExclude && overrides.forceExclude.status === 'ACTIVE';
+
+    // True/near match classification (criteria in matchCriteria.js)
+    const nameScore = components.name?.similarity ?? null;
+    const contactInfoScore = components.contactInfo?.similarity ?? null;
+    const classification = {
+        isTrueMatch: typeof isTrueMatch === 'function' ? isTrueMatch(result.score, nameScore, contactInfoScore) : null,
+        isNearMatch: typeof isNearMatch === 'function' ? isNearMatch(result.score, nameScore, contactInfoScore) : null
+    };
 
-    if (type1 === 'Individual' && type2 === 'Individual') {
-        result = compareIndividualToIndividual(entity1, entity2);
-        comparisonType = 'Individual-to-Individual';
-    }
-    else if (type1 === 'Individual' && type2 === 'AggregateHousehold') {
-        result = compareIndividualToHousehold(entity1, entity2);
-        comparisonType = 'Individual-to-AggregateHousehold';
-    }
-    else if (type1 === 'AggregateHousehold' && type2 === 'Individual') {
-        result = compareHouseholdToIndividual(entity1, entity2);
-        comparisonType = 'AggregateHousehold-to-Individual';
-    }
-    else if (type1 === 'AggregateHousehold' && type2 === 'AggregateHousehold') {
-        result = compareHouseholdToHousehold(entity1, entity2);
-        comparisonType = 'AggregateHousehold-to-AggregateHousehold';
-    }
-    else {
-        // All other combinations: direct comparison
-        result = compareIndividualToEntityDirect(entity1, entity2);
-        comparisonType = `${type1}-to-${type2}`;
-    }
+    let outcome;
+    if (activeForceExclude) outcome = 'FORCE_EXCLUDED';
+    else if (collision?.excludesGrouping) outcome = 'COLLISION_EXCLUDED';
+    else if (activeForceMatch) outcome = 'FORCE_MATCHED';
+    else if (classification.isTrueMatch) outcome = 'TRUE_MATCH';
+    else if (classification.isNearMatch) outcome = 'NEAR_MATCH';
+    else outcome = 'NO_MATCH';
+
+    const summarize = (key, entity, fireNumber) => ({
+        key,
+        type: entity.constructor.name,
+        name: getEntityDisplayName(entity),
+        source: getEntitySource(entity),
+        fireNumber,
+        primaryAddress: entity.contactInfo?.primaryAddress || null
+    });
 
     return {
-        ...result,
-        comparisonType
+        keyA,
+        keyB,
+        entityA: summarize(keyA, entityA, fireNumberA),
+        entityB: summarize(keyB, entityB, fireNumberB),
+        codePath: result.codePath,
+        comparisonType: result.comparisonType,
+        score: result.score,
+        components,
+        penalties: details.penalties || null,
+        subordinateDetails: details.subordinateDetails || null,
+        household,
+        sameLocation,
+        collision,
+        overrides,
+        classification,
+        outcome,
+        rawResult: result
     };
 }
 
@@ -1422,4 +1223,5 @@ window.analyzeAllIndividuals = analyzeAllIndividuals;
 window.analyzeAllIndividualsAndDownload = analyzeAllIndividualsAndDownload;
 window.analyzeEntitiesChunked = analyzeEntitiesChunked;
 window.universalCompareTo = universalCompareTo;
+window.explainMatch = explainMatch;
 window.generateBestMatchesCSV = generateBestMatchesCSV;
@@ -1052,6 +1052,11 @@ class IndividualName extends ComplexIdentifiers {
             return null;
         };
 
+        // Component weights from the active matching profile, as for the direct comparison
+        const componentWeights = (typeof resolveComparisonWeights === 'function'
+            ? resolveComparisonWeights(this)
+            : this.comparisonWeights) || { lastName: 0.5, firstName: 0.4, otherNames: 0.1 };
+
         // Helper: Compare two component sets using defaultWeightedComparison
         const compareComponents = (comp1, comp2) => {
             if (!comp1 || !comp2) return 0;
@@ -1061,7 +1066,7 @@ class IndividualName extends ComplexIdentifiers {
                 firstName: comp1.firstName || '',
                 lastName: comp1.lastName || '',
                 otherNames: comp1.otherNames || '',
-                comparisonWeights: { lastName: 0.5, firstName: 0.4, otherNames: 0.1 }
+                comparisonWeights: componentWeights
             };
 
             const otherObj = {
@@ -333,6 +333,15 @@ class OtherInfo extends Info {
         // Will be null for old data or non-VisionAppraisal entities
         this.assessmentValue = null;
         this.appraisalValue = null;
+
+        // Property details from the VisionAppraisal parcel page (see setParcelDetails)
+        // Null for non-VisionAppraisal entities and for data scraped before they were captured
+        this.assessmentHistory = null;  // [{year, improvements, land, total}], newest first
+        this.appraisalHistory = null;   // [{year, improvements, land, total}], newest first
+        this.salesHistory = null;       // [{owner, salePrice, certificate, bookPage, instrument, saleDate}]
+        this.landAcres = null;
+        this.yearBuilt = null;
+        this.livingArea = null;
     }
 
     /**
@@ -367,6 +376,56 @@ class OtherInfo extends Info {
         return this.appraisalValue;
     }
 
+    /**
+     * Set the property details captured from the parcel page
+     * @param {Object} details - From ParcelDataExtractor.extractPropertyDetails():
+     *   { assessmentHistory, appraisalHistory, salesHistory, landAcres, yearBuilt, livingArea }
+     */
+    setParcelDetails(details) {
+        if (!details) return;
+        const listOrNull = (list) => (Array.isArray(list) && list.length > 0 ? list : null);
+        this.assessmentHistory = listOrNull(details.assessmentHistory);
+        this.appraisalHistory = listOrNull(details.appraisalHistory);
+        this.salesHistory = listOrNull(details.salesHistory);
+        this.landAcres = details.landAcres ?? null;
+        this.yearBuilt = details.yearBuilt ?? null;
+        this.livingArea = details.livingArea ?? null;
+    }
+
+    /**
+     * Get the property details (same shape as setParcelDetails takes)
+     * @returns {Object|null} null if none were captured
+     */
+    getParcelDetails() {
+        const details = {
+            assessmentHistory: this.assessmentHistory || null,
+            appraisalHistory: this.appraisalHistory || null,
+            salesHistory: this.salesHistory || null,
+            landAcres: this.landAcres ?? null,
+            yearBuilt: this.yearBuilt ?? null,
+            livingArea: this.livingArea ?? null
+        };
+        return Object.values(details).some(value => value !== null) ? details : null;
+    }
+
+    /**
+     * Get the most recent sale in the sales history
+     * @returns {Object|null} { owner, salePrice, certificate, bookPage, instrument, saleDate } or null
+     */
+    getMostRecentSale() {
+        if (!this.salesHistory || this.salesHistory.length === 0) return null;
+        let latest = null;
+        let latestTime = -Infinity;
+        for (const sale of this.salesHistory) {
+            const time = Date.parse(sale.saleDate);
+            if (latest === null || time > latestTime) {
+                latest = sale;
+                latestTime = Number.isNaN(time) ? -Infinity : time;
+            }
+        }
+        return latest;
+    }
+
     /**
      * Add a PID and its entity data to the subdivision
      * Called when fire number collision handler determines same owner for multiple PIDs
@@ -159,8 +159,10 @@ class EntityGroup {
      * Collects items from member entities, creates subclass instances,
      * and calls populateFromMembers() on each.
      * @param {Object} entityDatabase - The keyed entity database (unifiedEntityDatabase.entities)
+     * @param {EmailDatabase} [emailDatabase] - Loaded EmailDatabase whose matched addresses
+     *        join the member emails (defaults to window.emailDatabase when loaded)
      */
-    buildCollectiveContactInfo(entityDatabase) {
+    buildCollectiveContactInfo(entityDatabase, emailDatabase = (typeof window !== 'undefined' ? window.emailDatabase : null)) {
         const members = this._getMemberEntities(entityDatabase);
         if (members.length === 0) return;
 
@@ -203,6 +205,17 @@ class EntityGroup {
             }
         }
 
+        // Email: addresses from imported email lists matched to this group,
+        // skipping any a member already holds
+        if (emailDatabase && typeof emailDatabase.getEmailIdentifiersForGroup === 'function') {
+            const held = new Set(allEmails.map(email => normalizeEmailAddress(email.primaryAlias?.term)));
+            for (const email of emailDatabase.getEmailIdentifiersForGroup(this)) {
+                if (!held.has(email.primaryAlias.term)) {
+                    allEmails.push(email);
+                }
+            }
+        }
+
         // Build each CollectiveContactInfo subclass
         if (allAddresses.length > 0) {
             this.collectiveMailingAddress = new CollectiveMailingAddress();
@@ -744,7 +757,7 @@ class EntityGroup {
      * @private
      */
     _buildAliasThresholds() {
-        // Reference MATCH_CRITERIA from window (set by unifiedEntityBrowser.js)
+        // Reference MATCH_CRITERIA from window (set by matching/matchCriteria.js)
         const mc = (typeof window !== 'undefined' && window.MATCH_CRITERIA) ? window.MATCH_CRITERIA : null;
 
         if (mc) {
@@ -1031,6 +1044,16 @@ class EntityGroup {
             }
         }
 
+        // 5. Merge property details (histories, land, building) - first non-null value per field
+        for (const field of ['assessmentHistory', 'appraisalHistory', 'salesHistory', 'landAcres', 'yearBuilt', 'livingArea']) {
+            for (const oi of otherInfos) {
+                if (oi[field] !== null && oi[field] !== undefined) {
+                    consensus[field] = oi[field];
+                    break;
+                }
+            }
+        }
+
         return consensus;
     }
 
@@ -1227,6 +1250,9 @@ class EntityGroupDatabase {
         this.constructionTimestamp = null;
         this.constructionComplete = false;
         this.consensusBuiltTimestamp = null;  // Set when consensus entities are built
+        this.matchingProfile = null;  // Matching profile (name, source, thresholds, weights) used to build
+        this.incrementalBuild = null;  // Incremental rebuild summary (groups carried over / rebuilt), null for full builds
+        this.blocking = null;  // Blocking index summary ({ enabled, blocks, ... }) from the build
 
         // Statistics
         this.stats = {
@@ -1274,6 +1300,39 @@ class EntityGroupDatabase {
         return group;
     }
 
+    /**
+     * Re-create a group from an earlier build under its original index.
+     * Used by incremental rebuilds for groups no changed entity can affect.
+     * Member collections, consensus and contact info are rebuilt by the caller.
+     * @param {EntityGroup} previousGroup - Group from the earlier build
+     * @param {Array<string>} [memberKeys] - Members to keep (default: all of previousGroup.memberKeys)
+     * @returns {EntityGroup|null} The new group, or null if its index or a member is already taken
+     */
+    carryOverGroup(previousGroup, memberKeys = previousGroup.memberKeys) {
+        if (this.groups[previousGroup.index]) {
+            console.warn(`Group index ${previousGroup.index} is already in use`);
+            return null;
+        }
+        const takenKey = memberKeys.find(key => this.assignedEntityKeys.has(key));
+        if (takenKey) {
+            console.warn(`Entity ${takenKey} is already assigned to a group`);
+            return null;
+        }
+
+        const group = new EntityGroup(previousGroup.index, previousGroup.foundingMemberKey);
+        group.memberKeys = [...memberKeys];
+        group.nearMissKeys = [...(previousGroup.nearMissKeys || [])];
+        group.hasBloomerangMember = memberKeys.some(key => key.startsWith('bloomerang:'));
+        group.constructionPhase = previousGroup.constructionPhase;
+        group.constructionTimestamp = previousGroup.constructionTimestamp;
+
+        this.groups[group.index] = group;
+        this.nextIndex = Math.max(this.nextIndex, group.index + 1);
+        memberKeys.forEach(key => this.assignedEntityKeys.add(key));
+
+        return group;
+    }
+
     /**
      * Add a member to an existing group
      * @param {number} groupIndex - Index of the group
@@ -0,0 +1,668 @@
+/**
+ * Phonebook Browser
+ *
+ * Browser interface for inspecting and maintaining the PhonebookDatabase.
+ * Search by phone number, name fragment, or EntityGroup index; view each
+ * PhonebookEntry's raw records, classification, match associations and
+ * exclusions; declare inclusions, exclusions and classification overrides.
+ *
+ * Every declaration records who made it, when and why (see the USER
+ * DECLARATIONS methods on SupplementalDataEntry) and is saved at once through
+ * PhonebookDatabase.saveEntry(). Entity group builds read the bulk file, so use
+ * Save Bulk after a maintenance session.
+ *
+ * After a new directory edition is merged (applyPhonebookEditionUpdate), the
+ * "Needs Review" mode lists entries whose associations were flagged; Mark
+ * Reviewed records who checked them.
+ *
+ * Similar pattern to fireNumberCollisionBrowser.js
+ */
+
+// ============================================================================
+// CONSTANTS & BROWSER STATE
+// ============================================================================
+
+const PHONEBOOK_BROWSER_DECLARED_BY_STORAGE_KEY = 'birava_phonebookBrowserDeclaredBy';
+
+const phonebookBrowser = {
+    loadedDatabase: null,
+    currentResults: [],      // [{key, entry}]
+    selectedKey: null,
+    searchQuery: '',
+    searchMode: 'phone'      // 'phone', 'name', 'group', or 'review'
+};
+
+window.phonebookBrowser = phonebookBrowser;
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initialize the browser interface
+ */
+function initializePhonebookBrowser() {
+    console.log('[PhonebookBrowser] Initializing...');
+
+    const declaredByInput = document.getElementById('phonebookDeclaredByInput');
+    if (declaredByInput) {
+        declaredByInput.value = localStorage.getItem(PHONEBOOK_BROWSER_DECLARED_BY_STORAGE_KEY) || '';
+        declaredByInput.addEventListener('change', (event) => {
+            localStorage.setItem(PHONEBOOK_BROWSER_DECLARED_BY_STORAGE_KEY, event.target.value.trim());
+        });
+    }
+
+    const handlers = {
+        phonebookLoadBtn: loadPhonebookBrowserDatabase,
+        phonebookSaveBulkBtn: savePhonebookBrowserBulk,
+        phonebookStatsBtn: showPhonebookBrowserStats,
+        phonebookSearchBtn: performPhonebookBrowserSearch,
+        phonebookClearSearchBtn: clearPhonebookBrowserSearch,
+        phonebookIncludeBtn: () => declareOnSelectedPhonebookEntry('inclusion'),
+        phonebookExcludeBtn: () => declareOnSelectedPhonebookEntry('exclusion'),
+        phonebookNonhumanBtn: () => declareOnSelectedPhonebookEntry('nonhuman'),
+        phonebookPersonBtn: () => declareOnSelectedPhonebookEntry('person'),
+        phonebookReviewedBtn: markSelectedPhonebookEntryReviewed
+    };
+    for (const [id, handler] of Object.entries(handlers)) {
+        const button = document.getElementById(id);
+        if (button) button.addEventListener('click', handler);
+    }
+
+    const searchInput = document.getElementById('phonebookSearchInput');
+    if (searchInput) {
+        searchInput.addEventListener('keyup', (event) => {
+            if (event.key === 'Enter') performPhonebookBrowserSearch();
+        });
+    }
+
+    console.log('[PhonebookBrowser] Initialization complete');
+}
+
+// ============================================================================
+// LOAD / SAVE
+// ============================================================================
+
+/**
+ * Load the PhonebookDatabase from the bulk file, then merge file IDs from the
+ * index so saveEntry() can write individual entry files
+ */
+async function loadPhonebookBrowserDatabase() {
+    showPhonebookBrowserStatus('Loading phonebook database...', 'loading');
+
+    try {
+        let db = window.phonebookDatabase;
+        if (!db || !db._isLoaded) {
+            db = new PhonebookDatabase();
+            await db.loadFromBulk();
+            window.phonebookDatabase = db;
+        }
+        const { missing } = await db.mergeIndexFileIds();
+
+        phonebookBrowser.loadedDatabase = db;
+        phonebookBrowser.selectedKey = null;
+        clearPhonebookDetailsPanel();
+        clearPhonebookBrowserSearch();
+
+        const note = missing > 0 ? ` (${missing} without entry files: declarations on them stay in memory until Save Bulk)` : '';
+        showPhonebookBrowserStatus(`Loaded ${db.size} phone entries${note}`, 'success');
+
+    } catch (error) {
+        console.error('[PhonebookBrowser] Load error:', error);
+        showPhonebookBrowserStatus('Error loading database: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Write the whole database to the bulk file (read by entity group builds)
+ */
+async function savePhonebookBrowserBulk() {
+    const db = phonebookBrowser.loadedDatabase;
+    if (!db) {
+        showPhonebookBrowserStatus('Please load the phonebook database first', 'error');
+        return;
+    }
+    if (!confirm(`Overwrite the phonebook bulk file with all ${db.size} entries in memory?`)) {
+        return;
+    }
+
+    showPhonebookBrowserStatus('Saving bulk file...', 'loading');
+    try {
+        await db.saveBulk();
+        showPhonebookBrowserStatus(`Bulk file saved (${db.size} entries)`, 'success');
+    } catch (error) {
+        console.error('[PhonebookBrowser] Bulk save error:', error);
+        showPhonebookBrowserStatus('Error saving bulk file: ' + error.message, 'error');
+    }
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+/**
+ * Search by phone number, name fragment, or EntityGroup index (per the mode selector).
+ * 'review' mode lists entries with unreviewed edition-update flags.
+ */
+function performPhonebookBrowserSearch() {
+    const db = phonebookBrowser.loadedDatabase;
+    if (!db) {
+        showPhonebookBrowserStatus('Please load the phonebook database first', 'error');
+        return;
+    }
+
+    const query = (document.getElementById('phonebookSearchInput')?.value || '').trim();
+    const mode = document.getElementById('phonebookSearchMode')?.value || 'phone';
+    phonebookBrowser.searchQuery = query;
+    phonebookBrowser.searchMode = mode;
+
+    if (mode === 'review') {
+        const flagged = [];
+        for (const [key, entry] of db) {
+            if (hasOpenPhonebookReviewFlags(entry)) {
+                flagged.push({ key, entry });
+            }
+        }
+        phonebookBrowser.currentResults = flagged;
+        displayPhonebookBrowserResults(flagged);
+        updatePhonebookBrowserResultsCount(`${flagged.length} entries have associations flagged by an edition update`);
+        return;
+    }
+
+    if (!query) {
+        clearPhonebookBrowserSearch();
+        return;
+    }
+
+    let results;
+    if (mode === 'group') {
+        const groupIndex = parseInt(query, 10);
+        if (isNaN(groupIndex)) {
+            showPhonebookBrowserStatus(`"${query}" is not a group index`, 'error');
+            return;
+        }
+        results = db.searchByGroupIndex(groupIndex);
+    } else if (mode === 'name') {
+        results = db.searchByName(query);
+    } else {
+        results = db.searchByPhone(query);
+    }
+
+    phonebookBrowser.currentResults = results;
+    displayPhonebookBrowserResults(results);
+    updatePhonebookBrowserResultsCount(`Found ${results.length} entries matching ${mode} "${query}"`);
+}
+
+/**
+ * Clear search and show entries that carry user declarations
+ */
+function clearPhonebookBrowserSearch() {
+    const searchInput = document.getElementById('phonebookSearchInput');
+    if (searchInput) searchInput.value = '';
+    phonebookBrowser.searchQuery = '';
+
+    const db = phonebookBrowser.loadedDatabase;
+    if (!db) return;
+
+    const declared = [];
+    for (const [key, entry] of db) {
+        if (hasPhonebookUserDeclarations(entry)) {
+            declared.push({ key, entry });
+        }
+    }
+    phonebookBrowser.currentResults = declared;
+    displayPhonebookBrowserResults(declared);
+    updatePhonebookBrowserResultsCount(`${declared.length} of ${db.size} entries have user declarations. Search to see others.`);
+}
+
+/**
+ * @param {PhonebookEntry} entry
+ * @returns {boolean} True if any association, exclusion or classification was declared in the browser
+ */
+function hasPhonebookUserDeclarations(entry) {
+    return !!entry.userDeclarations?.classificationOverride ||
+        entry.matchAssociations.some(a => a.declaredBy) ||
+        entry.exclusions.some(e => e.declaredBy);
+}
+
+/**
+ * @param {PhonebookEntry} entry
+ * @returns {boolean} True if an edition update flagged an association that nobody has reviewed yet
+ */
+function hasOpenPhonebookReviewFlags(entry) {
+    return entry.matchAssociations.some(a => a.reviewFlag && !a.reviewFlag.reviewedDate);
+}
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Format a normalized 10-digit phone number for display
+ * @param {string} phone
+ * @returns {string}
+ */
+function formatPhonebookBrowserPhone(phone) {
+    if (!phone || phone.length !== 10) return phone || '';
+    return `${phone.slice(0, 3)}-${phone.slice(3, 6)}-${phone.slice(6)}`;
+}
+
+/**
+ * Display search results in the list
+ * @param {Array<{key: string, entry: PhonebookEntry}>} results
+ */
+function displayPhonebookBrowserResults(results) {
+    const resultsList = document.getElementById('phonebookResultsList');
+    if (!resultsList) return;
+
+    if (results.length === 0) {
+        resultsList.innerHTML = '<div style="padding: 20px; color: #666; text-align: center;">No phone entries found</div>';
+        return;
+    }
+
+    const html = results.map(({ key, entry }) => {
+        const firstName = entry.getDistinctNames()[0];
+        const nameText = firstName ? [firstName.lastName, firstName.firstName].filter(Boolean).join(', ') : '(no name)';
+        const classification = entry.getEffectiveClassification();
+        const declaredBadge = hasPhonebookUserDeclarations(entry)
+            ? '<span style="background: #e1bee7; color: #7b1fa2; padding: 2px 6px; border-radius: 3px; font-size: 10px; margin-left: 8px;">DECLARED</span>'
+            : '';
+        const reviewBadge = hasOpenPhonebookReviewFlags(entry)
+            ? '<span style="background: #ffe0b2; color: #e65100; padding: 2px 6px; border-radius: 3px; font-size: 10px; margin-left: 8px;">REVIEW</span>'
+            : '';
+        const inactiveBadge = entry.inactiveSince
+            ? '<span style="background: #e0e0e0; color: #616161; padding: 2px 6px; border-radius: 3px; font-size: 10px; margin-left: 8px;">INACTIVE</span>'
+            : '';
+
+        return `
+            <div class="phonebook-result-item" onclick="selectPhonebookBrowserItem('${key}', this)"
+                 style="padding: 10px; border-bottom: 1px solid #eee; cursor: pointer;${key === phonebookBrowser.selectedKey ? ' background: #e0f2f1;' : ''}">
+                <div style="display: flex; justify-content: space-between; align-items: center;">
+                    <span style="font-weight: bold; color: #00796b; font-size: 15px;">
+                        ${formatPhonebookBrowserPhone(key)}
+                    </span>
+                    <span style="background: #b2dfdb; color: #004d40; padding: 2px 8px; border-radius: 10px; font-size: 12px;">
+                        ${escapeHtmlForPhonebookBrowser(classification)}
+                    </span>
+                    ${declaredBadge}${reviewBadge}${inactiveBadge}
+                </div>
+                <div style="font-size: 11px; color: #666; margin-top: 4px;">
+                    ${escapeHtmlForPhonebookBrowser(nameText)} | ${entry.rawRecords.length} record${entry.rawRecords.length !== 1 ? 's' : ''} |
+                    ${entry.matchAssociations.length} association${entry.matchAssociations.length !== 1 ? 's' : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    resultsList.innerHTML = html;
+}
+
+/**
+ * Select an entry from the list
+ * @param {string} key - Normalized phone key
+ * @param {HTMLElement} element - Clicked element
+ */
+function selectPhonebookBrowserItem(key, element) {
+    document.querySelectorAll('.phonebook-result-item').forEach(item => item.style.background = '');
+    if (element) element.style.background = '#e0f2f1';
+
+    phonebookBrowser.selectedKey = key;
+    displayPhonebookDetails(key);
+}
+
+/**
+ * Provenance line for a declared association, exclusion or classification
+ * @param {Object} item - Object with declaredBy, declaredDate, reason
+ * @returns {string} HTML
+ */
+function formatPhonebookProvenance(item) {
+    if (!item.declaredBy) {
+        return item.reason
+            ? `<div style="font-size: 11px; color: #888;">${escapeHtmlForPhonebookBrowser(item.reason)}</div>`
+            : '';
+    }
+    return `<div style="font-size: 11px; color: #7b1fa2;">
+        Declared by ${escapeHtmlForPhonebookBrowser(item.declaredBy)}, ${escapeHtmlForPhonebookBrowser(item.declaredDate || '')}:
+        ${escapeHtmlForPhonebookBrowser(item.reason || '')}
+    </div>`;
+}
+
+/**
+ * Display details of the selected entry
+ * @param {string} key - Normalized phone key
+ */
+function displayPhonebookDetails(key) {
+    const detailsContent = document.getElementById('phonebookDetailsContent');
+    const wrapper = phonebookBrowser.loadedDatabase?.getWrapper(key);
+    if (!detailsContent || !wrapper) {
+        clearPhonebookDetailsPanel();
+        return;
+    }
+    const entry = wrapper.entry;
+    const override = entry.userDeclarations?.classificationOverride;
+
+    let html = `
+        <div style="margin-bottom: 16px;">
+            <div style="font-size: 22px; font-weight: bold; color: #00796b;">${formatPhonebookBrowserPhone(key)}</div>
+            <div style="font-size: 12px; color: #666; margin-top: 4px;">
+                ${entry.isIslandNumber ? 'Island number' : 'Off-island number'} |
+                ${entry.inactiveSince ? `<strong>Not listed since edition ${escapeHtmlForPhonebookBrowser(entry.inactiveSince)}</strong> |` : ''}
+                Last modified: ${escapeHtmlForPhonebookBrowser(wrapper.lastModified || 'n/a')} |
+                ${wrapper.fileId ? 'Entry file: ' + escapeHtmlForPhonebookBrowser(wrapper.fileId) : 'No entry file (bulk only)'}
+            </div>
+        </div>
+        <div style="margin-bottom: 16px;">
+            <h4 style="color: #00796b; margin-bottom: 8px;">Classification</h4>
+            <div style="font-size: 13px;">
+                <strong>${escapeHtmlForPhonebookBrowser(entry.getEffectiveClassification())}</strong>
+                ${override ? `(algorithmic: ${escapeHtmlForPhonebookBrowser(entry.classification)})` : ''}
+            </div>
+            ${override ? formatPhonebookProvenance(entry.userDeclarations) : ''}
+        </div>
+    `;
+
+    // Raw records
+    html += `<div style="margin-bottom: 16px;"><h4 style="color: #2e7d32; margin-bottom: 8px;">Raw Records (${entry.rawRecords.length})</h4>`;
+    for (const record of entry.rawRecords) {
+        const address = record.address
+            ? [record.address.street, record.address.box ? 'Box ' + record.address.box : null].filter(Boolean).join(', ')
+            : '';
+        html += `
+            <div style="padding: 6px 8px; margin-bottom: 4px; background: #f5f5f5; border-radius: 4px; font-size: 12px;">
+                <div><strong>${escapeHtmlForPhonebookBrowser(record.name?.raw || '(no name)')}</strong>
+                    ${record.name?.isCouple ? '<span style="color: #ef6c00;">(couple)</span>' : ''}</div>
+                <div style="color: #666;">${escapeHtmlForPhonebookBrowser(address)}${record.lineNumber ? ' | line ' + record.lineNumber : ''}</div>
+                ${record.rawLine ? `<div style="font-family: monospace; font-size: 11px; color: #999;">${escapeHtmlForPhonebookBrowser(record.rawLine)}</div>` : ''}
+            </div>
+        `;
+    }
+    html += '</div>';
+
+    // Match associations
+    html += `<div style="margin-bottom: 16px;"><h4 style="color: #1565c0; margin-bottom: 8px;">Match Associations (${entry.matchAssociations.length})</h4>`;
+    if (entry.matchAssociations.length === 0) {
+        html += '<div style="color: #999; font-style: italic;">No match associations</div>';
+    }
+    for (const association of entry.matchAssociations) {
+        html += `
+            <div style="padding: 6px 8px; margin-bottom: 4px; background: #e3f2fd; border-radius: 4px; font-size: 12px;">
+                <div>Group <strong>${association.groupIndex ?? '(pending)'}</strong>
+                    <span style="font-family: monospace;">${escapeHtmlForPhonebookBrowser(association.entityKey || '')}</span></div>
+                <div style="color: #666;">${escapeHtmlForPhonebookBrowser([association.matchSource, association.matchType, association.designation].filter(Boolean).join(' | '))}</div>
+                ${formatPhonebookProvenance(association)}
+                ${formatPhonebookReviewFlag(association.reviewFlag)}
+            </div>
+        `;
+    }
+    html += '</div>';
+
+    // Exclusions
+    html += `<div style="margin-bottom: 16px;"><h4 style="color: #c62828; margin-bottom: 8px;">Exclusions (${entry.exclusions.length})</h4>`;
+    if (entry.exclusions.length === 0) {
+        html += '<div style="color: #999; font-style: italic;">No exclusions</div>';
+    }
+    for (const exclusion of entry.exclusions) {
+        html += `
+            <div style="padding: 6px 8px; margin-bottom: 4px; background: #ffebee; border-radius: 4px; font-size: 12px;">
+                <div>Group <strong>${exclusion.groupIndex}</strong>
+                    <span style="font-family: monospace;">${escapeHtmlForPhonebookBrowser(exclusion.entityKey || '')}</span></div>
+                ${formatPhonebookProvenance(exclusion)}
+            </div>
+        `;
+    }
+    html += '</div>';
+
+    detailsContent.innerHTML = html;
+}
+
+/**
+ * Review flag line for an association flagged by an edition update
+ * @param {Object} [reviewFlag] - { edition, change, flaggedDate, reviewedBy, reviewedDate }
+ * @returns {string} HTML
+ */
+function formatPhonebookReviewFlag(reviewFlag) {
+    if (!reviewFlag) return '';
+    const reviewed = reviewFlag.reviewedDate
+        ? `, reviewed by ${escapeHtmlForPhonebookBrowser(reviewFlag.reviewedBy)} ${escapeHtmlForPhonebookBrowser(reviewFlag.reviewedDate)}`
+        : ' (needs review)';
+    return `<div style="font-size: 11px; color: ${reviewFlag.reviewedDate ? '#888' : '#e65100'};">
+        Edition ${escapeHtmlForPhonebookBrowser(reviewFlag.edition)}: ${escapeHtmlForPhonebookBrowser(reviewFlag.change)}${reviewed}
+    </div>`;
+}
+
+/**
+ * Clear the details panel
+ */
+function clearPhonebookDetailsPanel() {
+    const detailsContent = document.getElementById('phonebookDetailsContent');
+    if (detailsContent) {
+        detailsContent.innerHTML = '<div style="color: #999; font-style: italic;">Select a phone entry to view details</div>';
+    }
+}
+
+// ============================================================================
+// DECLARATIONS
+// ============================================================================
+
+/**
+ * Apply a declaration to the selected entry from the declaration panel and save it
+ * @param {string} kind - 'inclusion', 'exclusion', 'nonhuman', or 'person'
+ */
+async function declareOnSelectedPhonebookEntry(kind) {
+    const db = phonebookBrowser.loadedDatabase;
+    const key = phonebookBrowser.selectedKey;
+    if (!db || !key) {
+        alert('Please select a phone entry first');
+        return;
+    }
+
+    const declaredBy = (document.getElementById('phonebookDeclaredByInput')?.value || '').trim();
+    const reason = (document.getElementById('phonebookReasonInput')?.value || '').trim();
+    const groupText = (document.getElementById('phonebookGroupIndexInput')?.value || '').trim();
+    const entityKey = (document.getElementById('phonebookEntityKeyInput')?.value || '').trim();
+
+    if (!declaredBy || !reason) {
+        alert('Enter your name and a reason: every declaration records who made it and why');
+        return;
+    }
+
+    const entry = db.get(key);
+    let summary;
+    try {
+        if (kind === 'inclusion' || kind === 'exclusion') {
+            const groupIndex = groupText ? parseInt(groupText, 10) : null;
+            if (groupText && isNaN(groupIndex)) {
+                alert(`"${groupText}" is not a group index`);
+                return;
+            }
+            if (kind === 'exclusion' && groupIndex === null) {
+                alert('An exclusion needs a group index');
+                return;
+            }
+            if (kind === 'inclusion' && groupIndex === null && !entityKey) {
+                alert('An inclusion needs a group index or an entity key');
+                return;
+            }
+            if (kind === 'inclusion') {
+                entry.declareInclusion({ groupIndex, entityKey, declaredBy, reason });
+                summary = `Included in group ${groupIndex ?? '(pending)'}${entityKey ? ' via ' + entityKey : ''}`;
+            } else {
+                const { removedAssociations } = entry.declareExclusion({ groupIndex, entityKey, declaredBy, reason });
+                summary = `Excluded from group ${groupIndex}` +
+                    (removedAssociations > 0 ? ` (${removedAssociations} association${removedAssociations !== 1 ? 's' : ''} removed)` : '');
+            }
+        } else {
+            entry.declareClassification(kind, { declaredBy, reason });
+            summary = `Classified as ${kind}`;
+        }
+
+        await db.saveEntry(key);
+    } catch (error) {
+        console.error('[PhonebookBrowser] Declaration error:', error);
+        showPhonebookBrowserStatus('Error: ' + error.message, 'error');
+        return;
+    }
+
+    const savedTo = db.getWrapper(key).fileId ? 'saved' : 'in memory only (no entry file; use Save Bulk)';
+    showPhonebookBrowserStatus(`${formatPhonebookBrowserPhone(key)}: ${summary}, ${savedTo}`, 'success');
+
+    const reasonInput = document.getElementById('phonebookReasonInput');
+    if (reasonInput) reasonInput.value = '';
+    displayPhonebookDetails(key);
+    displayPhonebookBrowserResults(phonebookBrowser.currentResults);
+}
+
+/**
+ * Record that the selected entry's flagged associations have been reviewed.
+ * The flags stay on the associations as history.
+ */
+async function markSelectedPhonebookEntryReviewed() {
+    const db = phonebookBrowser.loadedDatabase;
+    const key = phonebookBrowser.selectedKey;
+    if (!db || !key) {
+        alert('Please select a phone entry first');
+        return;
+    }
+    const reviewedBy = (document.getElementById('phonebookDeclaredByInput')?.value || '').trim();
+    if (!reviewedBy) {
+        alert('Enter your name to record who reviewed the entry');
+        return;
+    }
+
+    const open = db.get(key).matchAssociations.filter(a => a.reviewFlag && !a.reviewFlag.reviewedDate);
+    if (open.length === 0) {
+        showPhonebookBrowserStatus('No associations on this entry need review', 'error');
+        return;
+    }
+    const reviewedDate = new Date().toISOString();
+    for (const association of open) {
+        association.reviewFlag.reviewedBy = reviewedBy;
+        association.reviewFlag.reviewedDate = reviewedDate;
+    }
+
+    try {
+        await db.saveEntry(key);
+    } catch (error) {
+        console.error('[PhonebookBrowser] Review save error:', error);
+        showPhonebookBrowserStatus('Error: ' + error.message, 'error');
+        return;
+    }
+    showPhonebookBrowserStatus(`${formatPhonebookBrowserPhone(key)}: ${open.length} association${open.length !== 1 ? 's' : ''} marked reviewed`, 'success');
+    displayPhonebookDetails(key);
+    displayPhonebookBrowserResults(phonebookBrowser.currentResults);
+}
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+/**
+ * Show database statistics
+ */
+function showPhonebookBrowserStats() {
+    const db = phonebookBrowser.loadedDatabase;
+    if (!db) {
+        showPhonebookBrowserStatus('Please load the phonebook database first', 'error');
+        return;
+    }
+    const stats = db.getStats();
+    let declared = 0;
+    let needsReview = 0;
+    for (const [, entry] of db) {
+        if (hasPhonebookUserDeclarations(entry)) declared++;
+        if (hasOpenPhonebookReviewFlags(entry)) needsReview++;
+    }
+
+    const message = `
+Phonebook Database Statistics
+=============================
+Entries (unique phones): ${stats.entryCount}
+Total raw records: ${stats.totalRawRecords}
+Island / off-island: ${stats.islandNumbers} / ${stats.offIslandNumbers}
+Matched / unmatched: ${stats.matched} / ${stats.unmatched}
+With exclusions: ${stats.withExclusions}
+With user declarations: ${declared}
+Needing review after an edition update: ${needsReview}
+Inactive (no longer listed): ${stats.inactiveNumbers}
+Classifications: ${Object.entries(stats.classifications).map(([cls, count]) => `${cls} ${count}`).join(', ')}
+    `.trim();
+
+    alert(message);
+}
+
+// ============================================================================
+// STATUS MESSAGES
+// ============================================================================
+
+/**
+ * Show status message
+ * @param {string} message - Message to display
+ * @param {string} type - 'loading', 'error', or 'success'
+ */
+function showPhonebookBrowserStatus(message, type) {
+    const statusDiv = document.getElementById('phonebookStatusMessage');
+    if (!statusDiv) return;
+
+    const colors = {
+        loading: ['#e3f2fd', '#1565c0'],
+        error: ['#ffebee', '#c62828'],
+        success: ['#e8f5e9', '#2e7d32']
+    };
+    const [backgroundColor, textColor] = colors[type] || ['#f5f5f5', '#333'];
+
+    statusDiv.style.cssText = `
+        padding: 10px;
+        margin: 10px 0;
+        border-radius: 4px;
+        background: ${backgroundColor};
+        color: ${textColor};
+    `;
+    statusDiv.textContent = message;
+    statusDiv.style.display = 'block';
+
+    if (type === 'success') {
+        setTimeout(() => {
+            statusDiv.style.display = 'none';
+        }, 5000);
+    }
+}
+
+/**
+ * Update results count display
+ * @param {string} message - Message to display
+ */
+function updatePhonebookBrowserResultsCount(message) {
+    const countSpan = document.getElementById('phonebookResultsCount');
+    if (countSpan) {
+        countSpan.textContent = message;
+    }
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+/**
+ * Escape HTML for safe display
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtmlForPhonebookBrowser(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+window.initializePhonebookBrowser = initializePhonebookBrowser;
+window.loadPhonebookBrowserDatabase = loadPhonebookBrowserDatabase;
+window.performPhonebookBrowserSearch = performPhonebookBrowserSearch;
+window.clearPhonebookBrowserSearch = clearPhonebookBrowserSearch;
+window.selectPhonebookBrowserItem = selectPhonebookBrowserItem;
+window.declareOnSelectedPhonebookEntry = declareOnSelectedPhonebookEntry;
+window.markSelectedPhonebookEntryReviewed = markSelectedPhonebookEntryReviewed;
+
+console.log('[PhonebookBrowser] Module loaded');
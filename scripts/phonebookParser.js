@@ -1206,8 +1206,17 @@ function parsePhonebookLine(line, lineNumber = 0) {
 
 /**
  * Parses an entire phone book text into structured records
+ *
+ * Update mode: pass options.existingDatabase (a loaded PhonebookDatabase) to also
+ * compare the edition against it by phone number (result.edition: new, changed,
+ * unchanged, reactivated and vanished numbers). The merge itself is
+ * runPhonebookEditionUpdate() in phonebookPipeline.js.
+ *
+ * @param {string} text - Phone book text
+ * @param {Object} [options]
+ * @param {PhonebookDatabase} [options.existingDatabase] - Database to compare the edition against
  */
-function parsePhonebook(text) {
+function parsePhonebook(text, options = {}) {
     const lines = text.split('\n');
     const records = [];
     const skipped = [];
@@ -1275,6 +1284,11 @@ function parsePhonebook(text) {
         }
     }
 
+    if (options.existingDatabase) {
+        const edition = comparePhonebookEdition(records, options.existingDatabase);
+        return { records, skipped, stats, edition };
+    }
+
     return { records, skipped, stats };
 }
 
@@ -1342,7 +1356,17 @@ function csvEscapePhonebook(value) {
  * =============================================================================
  */
 
-async function processPhonebookFile() {
+/**
+ * Fetch, parse and export the phone book.
+ * For a new directory edition, pass its file name and the existing database to
+ * preview the changes, then run runPhonebookEditionUpdate().
+ *
+ * @param {Object} [options]
+ * @param {string} [options.fileName='PhoneBookBase.txt'] - File served by the csv-file endpoint
+ * @param {PhonebookDatabase} [options.existingDatabase] - Enables parsePhonebook()'s update mode
+ */
+async function processPhonebookFile(options = {}) {
+    const fileName = options.fileName || 'PhoneBookBase.txt';
     try {
         // Ensure IndividualNameDatabase is loaded (required by parsePhonebookNameWithCase31)
         if (!window.individualNameDatabase || !window.individualNameDatabase._isLoaded || window.individualNameDatabase.entries.size === 0) {
@@ -1361,7 +1385,7 @@ async function processPhonebookFile() {
         // Fetch the phone book file via csv-file server endpoint
         console.log('Fetching phone book file...');
         const reqBase = "http://127.0.0.99:3000";
-        const response = await fetch(`${reqBase}/csv-file?file=PhoneBookBase.txt`);
+        const response = await fetch(`${reqBase}/csv-file?file=${encodeURIComponent(fileName)}`);
         if (!response.ok) {
             throw new Error(`Failed to fetch phone book file: ${response.status}`);
         }
@@ -1371,7 +1395,7 @@ async function processPhonebookFile() {
 
         // Parse the phone book
         console.log('Starting parse...');
-        const result = parsePhonebook(text);
+        const result = parsePhonebook(text, { existingDatabase: options.existingDatabase });
         console.log('Parse complete');
 
         // Log statistics
@@ -1400,6 +1424,15 @@ async function processPhonebookFile() {
             console.log(`  ${lineType}: ${count}`);
         }
 
+        if (result.edition) {
+            console.log('--- Compared to Existing Database ---');
+            console.log(`New numbers: ${result.edition.newPhones.length}`);
+            console.log(`Changed listings: ${result.edition.changedPhones.length}`);
+            console.log(`Unchanged listings: ${result.edition.unchangedPhones.length}`);
+            console.log(`Reappearing inactive numbers: ${result.edition.reactivatedPhones.length}`);
+            console.log(`Numbers no longer listed: ${result.edition.vanishedPhones.length}`);
+        }
+
         // Store results globally
         window.phonebookResults = result;
         console.log('Results stored in window.phonebookResults');
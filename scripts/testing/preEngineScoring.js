@@ -0,0 +1,713 @@
+/**
+ * preEngineScoring.js
+ *
+ * Frozen reference copy of the two entity comparison paths as they were at
+ * 7d717aa, before the scoring engine (matching/entityScoringEngine.js) replaced them:
+ *
+ *   preEngineEntityWeightedComparison  entityWeightedComparison (utils.js), the entity.compareTo() calculator
+ *   preEngineUniversalCompareTo        universalCompareTo and its compare* helpers (universalEntityMatcher.js)
+ *
+ * Used only by the parity harness (scoringEngineParity.js) so the current entry
+ * points are checked against the old code rather than against the engine they
+ * now delegate to. The bodies are copied unchanged except for:
+ *   - the preEngine name prefix, so loading this file does not replace the live globals
+ *   - entityWeightedComparison takes the entity as its first argument instead of `this`
+ *   - nested entity compareTo() calls go through preEngineEntityCompareTo()
+ *   - universalCompareTo also returns codePath, named as the engine names it
+ *   - the unused cross-source diagnostic variables in entityWeightedComparison are dropped
+ *
+ * Only entity-level routing and weighting is frozen: name, ContactInfo, address
+ * and same-location helpers are the live ones. Scores match the engine under the
+ * 'default' matching profile (other profiles change the engine's weights).
+ *
+ * Do not edit these functions to follow engine changes; a divergence from them is
+ * what the parity check exists to report.
+ */
+
+// =============================================================================
+// ENTITY.COMPARETO PATH
+// =============================================================================
+
+/**
+ * entity.compareTo(otherEntity, true) as it was before the engine: entities using
+ * entityWeightedComparison go through the frozen copy, other calculators run as is
+ * @param {Entity} entity
+ * @param {Entity} otherEntity
+ * @returns {Object} Detailed result ({ overallSimilarity, components, checkSum, ... })
+ */
+function preEngineEntityCompareTo(entity, otherEntity) {
+    if (entity.comparisonCalculatorName !== 'entityWeightedComparison') {
+        return entity.compareTo(otherEntity, true);
+    }
+    return preEngineEntityWeightedComparison(entity, otherEntity, true);
+}
+
+/**
+ * Entity-level weighted comparison calculator
+ * Compares Individual or AggregateHousehold entities using:
+ * - name (IndividualName.compareTo)
+ * - contactInfo (ContactInfo.compareTo)
+ * - otherInfo (if both have it)
+ * - legacyInfo (if both have it)
+ *
+ * Following the "don't penalize for missing data" principle:
+ * Only weights components where BOTH sides have data, then normalizes.
+ *
+ * @param {Entity} thisEntity - The entity compareTo() was called on (was `this`)
+ * @param {Entity} otherObject - The other entity to compare against
+ * @param {boolean} detailed - If true, returns detailed breakdown object instead of number
+ * @returns {number|Object} Similarity score 0-1, or detailed breakdown object if detailed=true
+ */
+function preEngineEntityWeightedComparison(thisEntity, otherObject, detailed = false) {
+    const otherEntity = otherObject;
+
+    // Base weights from CLAUDE.md:
+    // Individual: {name: 0.5, contactInfo: 0.3, otherInfo: 0.15, legacyInfo: 0.05}
+    // We use the weights from comparisonWeights if set, otherwise defaults
+    const baseWeights = thisEntity.comparisonWeights || {
+        name: 0.5,
+        contactInfo: 0.3,
+        otherInfo: 0.15,
+        legacyInfo: 0.05
+    };
+
+    // First pass: calculate raw similarities for name and contactInfo
+    let nameSimilarity = null;
+    let contactInfoSimilarity = null;
+    let nameDetailedResult = null;
+    let contactInfoDetailedResult = null;
+
+    const hasNameData = thisEntity.name && otherEntity.name;
+    if (hasNameData) {
+        try {
+            // Use safeNumericCompare for proper IndividualName handling
+            const nameResult = window.safeNumericCompare
+                ? window.safeNumericCompare(thisEntity.name, otherEntity.name)
+                : (typeof thisEntity.name.compareTo === 'function' ? thisEntity.name.compareTo(otherEntity.name, true) : null);
+            if (nameResult !== null) {
+                if (typeof nameResult === 'number') {
+                    nameSimilarity = nameResult;
+                    nameDetailedResult = { overallSimilarity: nameResult };
+                } else {
+                    nameSimilarity = nameResult.overallSimilarity;
+                    nameDetailedResult = nameResult;
+                }
+            }
+        } catch (nameError) {
+            // nameSimilarity remains null - will be treated as missing data
+        }
+    }
+
+    const hasContactInfoData = thisEntity.contactInfo && otherEntity.contactInfo &&
+                               typeof thisEntity.contactInfo.compareTo === 'function';
+
+    // Check for same-location scenario: when two Block Island entities have suffixed
+    // fire numbers with the same base (e.g., 72J vs 72W), they are different owners
+    // at the same physical property. Primary address comparison would be meaningless.
+    const isSameLocation = areSameLocationEntities(thisEntity, otherEntity);
+
+    if (hasContactInfoData) {
+        if (isSameLocation) {
+            // Same location: use secondary addresses only (primary addresses would match trivially)
+            contactInfoSimilarity = compareSecondaryAddressesOnly(thisEntity.contactInfo, otherEntity.contactInfo);
+            const fn1 = extractFireNumberFromEntity(thisEntity);
+            const fn2 = extractFireNumberFromEntity(otherEntity);
+            contactInfoDetailedResult = {
+                overallSimilarity: contactInfoSimilarity,
+                method: 'sameLocation_secondaryAddressesOnly',
+                note: `Same location (${fn1} vs ${fn2}): primary address excluded from comparison`
+            };
+        } else {
+            // Different locations: use full contactInfo comparison
+            const contactResult = thisEntity.contactInfo.compareTo(otherEntity.contactInfo, true);
+            if (typeof contactResult === 'number') {
+                contactInfoSimilarity = contactResult;
+                contactInfoDetailedResult = { overallSimilarity: contactResult };
+            } else {
+                contactInfoSimilarity = contactResult.overallSimilarity;
+                contactInfoDetailedResult = contactResult;
+            }
+        }
+    }
+
+    // Apply weight boost logic (NAME ONLY):
+    // - If name is 100%: +12% to name weight
+    // - If name is >95% (but <100%): +6% to name weight
+    // Boost is taken proportionally from other categories
+    let weights = { ...baseWeights };
+    let boostAmount = 0;
+
+    if (nameSimilarity !== null) {
+        // Check for 100% perfect name match boost (12%)
+        if (nameSimilarity === 1.0) {
+            boostAmount = 0.12;
+        }
+        // Check for >95% high name match boost (6%)
+        else if (nameSimilarity > 0.95) {
+            boostAmount = 0.06;
+        }
+    }
+
+    // Apply boost by redistributing from other categories proportionally
+    if (boostAmount > 0) {
+        // All non-name categories contribute to the boost
+        const nonBoostCategories = ['contactInfo', 'otherInfo', 'legacyInfo'];
+        const totalNonBoostWeight = nonBoostCategories.reduce((sum, cat) => sum + weights[cat], 0);
+
+        if (totalNonBoostWeight > 0) {
+            // Reduce each non-boost category proportionally
+            nonBoostCategories.forEach(cat => {
+                const proportion = weights[cat] / totalNonBoostWeight;
+                weights[cat] -= boostAmount * proportion;
+            });
+            // Add boost to name
+            weights.name += boostAmount;
+        }
+    }
+
+    // Second pass: calculate weighted sum with adjusted weights
+    let totalWeight = 0;
+    let weightedSum = 0;
+
+    if (hasNameData && nameSimilarity !== null) {
+        weightedSum += weights.name * nameSimilarity;
+        totalWeight += weights.name;
+    }
+
+    if (hasContactInfoData) {
+        weightedSum += weights.contactInfo * contactInfoSimilarity;
+        totalWeight += weights.contactInfo;
+    }
+
+    // Compare otherInfo (if both have it and it has compareTo)
+    const hasOtherInfoData = thisEntity.otherInfo && otherEntity.otherInfo &&
+                             typeof thisEntity.otherInfo.compareTo === 'function';
+    if (hasOtherInfoData) {
+        const otherInfoSimilarity = thisEntity.otherInfo.compareTo(otherEntity.otherInfo);
+        weightedSum += weights.otherInfo * otherInfoSimilarity;
+        totalWeight += weights.otherInfo;
+    }
+
+    // Compare legacyInfo (if both have it and it has compareTo)
+    const hasLegacyInfoData = thisEntity.legacyInfo && otherEntity.legacyInfo &&
+                              typeof thisEntity.legacyInfo.compareTo === 'function';
+    if (hasLegacyInfoData) {
+        const legacyInfoSimilarity = thisEntity.legacyInfo.compareTo(otherEntity.legacyInfo);
+        weightedSum += weights.legacyInfo * legacyInfoSimilarity;
+        totalWeight += weights.legacyInfo;
+    }
+
+    // If no components have data, return 0
+    if (totalWeight === 0) {
+        return detailed ? { overallSimilarity: 0, components: {}, checkSum: 0 } : 0;
+    }
+
+    // Precision: 10 decimal places
+    const PRECISION = 10000000000; // 10^10
+    const round10 = (val) => Math.round(val * PRECISION) / PRECISION;
+
+    // Normalize by total weight (so missing data doesn't penalize)
+    let overallSimilarity = round10(weightedSum / totalWeight);
+
+    // Apply penalties for missing critical data
+    // These penalties are applied AFTER the weighted calculation
+    const MISSING_NAME_PENALTY = 0.04;
+    const MISSING_CONTACTINFO_PENALTY = 0.03;
+    let totalPenalty = 0;
+
+    // Check if name data is truly missing (either no compareTo method or comparison threw error)
+    const nameDataMissing = !hasNameData || nameSimilarity === null;
+    if (nameDataMissing) {
+        totalPenalty += MISSING_NAME_PENALTY;
+    }
+    if (!hasContactInfoData) {
+        totalPenalty += MISSING_CONTACTINFO_PENALTY;
+    }
+
+    // Apply penalty and ensure score doesn't go below 0
+    if (totalPenalty > 0) {
+        overallSimilarity = round10(Math.max(0, overallSimilarity - totalPenalty));
+    }
+
+    if (!detailed) {
+        return overallSimilarity;
+    }
+
+    // Build detailed breakdown - only include components with weight
+    const components = {};
+    let weightedValueSum = 0;
+
+    if (hasNameData) {
+        const actualWeight = round10(weights.name / totalWeight);
+        const similarity = round10(nameSimilarity);
+        const weightedValue = round10(actualWeight * similarity);
+        components.name = {
+            actualWeight: actualWeight,
+            similarity: similarity,
+            weightedValue: weightedValue
+        };
+        weightedValueSum += weightedValue;
+    }
+
+    if (hasContactInfoData) {
+        const actualWeight = round10(weights.contactInfo / totalWeight);
+        const similarity = round10(contactInfoSimilarity);
+        const weightedValue = round10(actualWeight * similarity);
+        components.contactInfo = {
+            actualWeight: actualWeight,
+            similarity: similarity,
+            weightedValue: weightedValue
+        };
+        weightedValueSum += weightedValue;
+    }
+
+    if (hasOtherInfoData) {
+        const otherInfoSimilarity = thisEntity.otherInfo.compareTo(otherEntity.otherInfo);
+        const actualWeight = round10(weights.otherInfo / totalWeight);
+        const similarity = round10(otherInfoSimilarity);
+        const weightedValue = round10(actualWeight * similarity);
+        components.otherInfo = {
+            actualWeight: actualWeight,
+            similarity: similarity,
+            weightedValue: weightedValue
+        };
+        weightedValueSum += weightedValue;
+    }
+
+    if (hasLegacyInfoData) {
+        const legacyInfoSimilarity = thisEntity.legacyInfo.compareTo(otherEntity.legacyInfo);
+        const actualWeight = round10(weights.legacyInfo / totalWeight);
+        const similarity = round10(legacyInfoSimilarity);
+        const weightedValue = round10(actualWeight * similarity);
+        components.legacyInfo = {
+            actualWeight: actualWeight,
+            similarity: similarity,
+            weightedValue: weightedValue
+        };
+        weightedValueSum += weightedValue;
+    }
+
+    // checkSum: overallSimilarity minus sum of weightedValues minus penalty (should be 0 for validation)
+    const checkSum = round10(overallSimilarity - weightedValueSum + totalPenalty);
+
+    return {
+        overallSimilarity: overallSimilarity,
+        components: components,
+        checkSum: checkSum,
+        // Include penalty information
+        penalties: {
+            missingName: !hasNameData ? MISSING_NAME_PENALTY : 0,
+            missingContactInfo: !hasContactInfoData ? MISSING_CONTACTINFO_PENALTY : 0,
+            totalPenalty: totalPenalty
+        },
+        // Include subordinate detailed results for reconciliation
+        subordinateDetails: {
+            name: nameDetailedResult,
+            contactInfo: contactInfoDetailedResult
+        }
+    };
+}
+
+// =============================================================================
+// UNIVERSALCOMPARETO PATH
+// =============================================================================
+
+/**
+ * Compare an Individual to another Individual directly
+ * @param {Individual} individual1
+ * @param {Individual} individual2
+ * @returns {object} { score, matchedIndividual, details }
+ */
+function preEngineCompareIndividualToIndividual(individual1, individual2) {
+    const result = preEngineEntityCompareTo(individual1, individual2);
+    return {
+        score: typeof result === 'number' ? result : result.overallSimilarity,
+        matchedIndividual: null, // Direct comparison, no intermediate individual
+        matchedIndividualIndex: null,
+        details: typeof result === 'object' ? result : null
+    };
+}
+
+/**
+ * Compare an Individual to an AggregateHousehold by finding the best-matching individual in the array
+ * @param {Individual} individual
+ * @param {AggregateHousehold} household
+ * @returns {object} { score, matchedIndividual, matchedIndividualIndex, details }
+ */
+function preEngineCompareIndividualToHousehold(individual, household) {
+    if (!household.individuals || household.individuals.length === 0) {
+        // No individuals in household - compare directly to household's name/address
+        return preEngineCompareIndividualToEntityDirect(individual, household);
+    }
+
+    let bestScore = -1;
+    let bestMatchedIndividual = null;
+    let bestMatchedIndex = -1;
+    let bestDetails = null;
+
+    household.individuals.forEach((householdIndividual, idx) => {
+        const result = preEngineEntityCompareTo(individual, householdIndividual);
+        const score = typeof result === 'number' ? result : result.overallSimilarity;
+
+        if (score > bestScore) {
+            bestScore = score;
+            bestMatchedIndividual = householdIndividual;
+            bestMatchedIndex = idx;
+            bestDetails = typeof result === 'object' ? result : null;
+        }
+    });
+
+    return {
+        score: bestScore,
+        matchedIndividual: bestMatchedIndividual,
+        matchedIndividualIndex: bestMatchedIndex,
+        details: bestDetails
+    };
+}
+
+/**
+ * Compare an Individual directly to an entity (for Business, LegalConstruct, or empty households)
+ * Uses name and contactInfo comparison only
+ * @param {Individual} individual
+ * @param {Entity} entity
+ * @returns {object} { score, matchedIndividual, details }
+ */
+function preEngineCompareIndividualToEntityDirect(individual, entity) {
+    // For entities without individuals array, we do a limited comparison
+    // Compare name (if available) and contactInfo
+    let nameScore = 0;
+    let contactInfoScore = 0;
+    let nameWeight = 0.5;
+    let contactInfoWeight = 0.5;
+    let nameComparisonMethod = 'none';
+
+    // Try name comparison if both have names
+    if (individual.name && entity.name) {
+        const name1Type = individual.name.constructor?.name;
+        const name2Type = entity.name.constructor?.name;
+
+        if (name1Type === name2Type) {
+            // Same type - use safeNumericCompare for proper IndividualName handling
+            const nameResult = window.safeNumericCompare
+                ? window.safeNumericCompare(individual.name, entity.name)
+                : null;
+            if (nameResult !== null) {
+                nameScore = typeof nameResult === 'number' ? nameResult : (nameResult?.overallSimilarity || 0);
+                nameComparisonMethod = 'native';
+            } else {
+                // Fallback to cross-type comparison
+                nameScore = crossTypeNameComparison(individual.name, entity.name);
+                nameComparisonMethod = 'cross-type-fallback';
+            }
+        } else {
+            // Different types - use cross-type string comparison
+            nameScore = crossTypeNameComparison(individual.name, entity.name);
+            nameComparisonMethod = 'cross-type';
+        }
+    }
+
+    // Compare contactInfo if both have it
+    // Check for same-location scenario (same base fire number, different suffixes)
+    if (individual.contactInfo && entity.contactInfo) {
+        try {
+            const isSameLocation = (typeof areSameLocationEntities === 'function')
+                ? areSameLocationEntities(individual, entity)
+                : false;
+
+            if (isSameLocation) {
+                // DIAGNOSTIC: Log when same-location triggers in preEngineCompareIndividualToEntityDirect
+                const src1 = individual.sourceDatabase || 'unknown';
+                const src2 = entity.sourceDatabase || 'unknown';
+                if (src1 !== src2) {
+                    console.log(`[DIAGNOSTIC] preEngineCompareIndividualToEntityDirect: isSameLocation=TRUE cross-source ${src1} vs ${src2}`);
+                }
+                // Same location: use secondary addresses only
+                contactInfoScore = (typeof compareSecondaryAddressesOnly === 'function')
+                    ? compareSecondaryAddressesOnly(individual.contactInfo, entity.contactInfo)
+                    : 0;
+            } else {
+                const contactResult = individual.contactInfo.compareTo(entity.contactInfo, true);
+                contactInfoScore = typeof contactResult === 'number' ? contactResult : (contactResult?.overallSimilarity || 0);
+            }
+        } catch (e) {
+            contactInfoScore = 0;
+        }
+    }
+
+    const overallScore = (nameScore * nameWeight) + (contactInfoScore * contactInfoWeight);
+
+    return {
+        score: overallScore,
+        matchedIndividual: null,
+        matchedIndividualIndex: null,
+        details: {
+            overallSimilarity: overallScore,
+            components: {
+                name: { similarity: nameScore, weight: nameWeight, method: nameComparisonMethod },
+                contactInfo: { similarity: contactInfoScore, weight: contactInfoWeight }
+            },
+            comparisonType: 'direct'
+        }
+    };
+}
+
+/**
+ * Compare an AggregateHousehold to an Individual by finding best match among household's individuals
+ * @param {AggregateHousehold} household
+ * @param {Individual} individual
+ * @returns {object} { score, matchedIndividual, matchedIndividualIndex, details }
+ */
+function preEngineCompareHouseholdToIndividual(household, individual) {
+    // Same logic as preEngineCompareIndividualToHousehold but from household's perspective
+    return preEngineCompareIndividualToHousehold(individual, household);
+}
+
+/**
+ * Compare two AggregateHouseholds by finding the best-matching pair of individuals
+ * @param {AggregateHousehold} household1
+ * @param {AggregateHousehold} household2
+ * @returns {object} { score, matchedIndividual, matchedIndividualIndex, details }
+ */
+function preEngineCompareHouseholdToHousehold(household1, household2) {
+    const individuals1 = household1.individuals || [];
+    const individuals2 = household2.individuals || [];
+
+    if (individuals1.length === 0 && individuals2.length === 0) {
+        // Both empty - compare directly
+        return preEngineCompareIndividualToEntityDirect(household1, household2);
+    }
+
+    if (individuals1.length === 0 || individuals2.length === 0) {
+        // One is empty - limited comparison
+        return {
+            score: 0,
+            matchedIndividual: null,
+            matchedIndividualIndex: null,
+            details: { comparisonType: 'one_household_empty' }
+        };
+    }
+
+    let bestScore = -1;
+    let bestMatch = null;
+
+    individuals1.forEach((ind1, idx1) => {
+        individuals2.forEach((ind2, idx2) => {
+            const result = preEngineEntityCompareTo(ind1, ind2);
+            const score = typeof result === 'number' ? result : result.overallSimilarity;
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestMatch = {
+                    individual1: ind1,
+                    individual1Index: idx1,
+                    individual2: ind2,
+                    individual2Index: idx2,
+                    details: typeof result === 'object' ? result : null
+                };
+            }
+        });
+    });
+
+    return {
+        score: bestScore,
+        matchedIndividual1: bestMatch?.individual1,
+        matchedIndividualIndex1: bestMatch?.individual1Index,
+        matchedIndividual2: bestMatch?.individual2,
+        matchedIndividualIndex2: bestMatch?.individual2Index,
+        details: bestMatch?.details
+    };
+}
+
+/**
+ * Extract name object from an entity (Individual or AggregateHousehold)
+ * @param {Entity} entity
+ * @returns {Object|null} Name object or null
+ */
+function preEngineExtractNameFromEntity(entity) {
+    const type = entity.constructor.name;
+    if (type === 'Individual') {
+        return entity.name;
+    } else if (type === 'AggregateHousehold') {
+        // Use household name or first member's name
+        return entity.householdName || entity.name || (entity.individuals?.[0]?.name);
+    }
+    return entity.name || null;
+}
+
+/**
+ * Extract contactInfo object from an entity (Individual or AggregateHousehold)
+ * @param {Entity} entity
+ * @returns {Object|null} ContactInfo object or null
+ */
+function preEngineExtractContactInfoFromEntity(entity) {
+    const type = entity.constructor.name;
+    if (type === 'Individual') {
+        return entity.contactInfo;
+    } else if (type === 'AggregateHousehold') {
+        // Return household-level contactInfo or first member's contactInfo
+        return entity.contactInfo || entity.individuals?.[0]?.contactInfo;
+    }
+    return entity.contactInfo || null;
+}
+
+/**
+ * Compare two entities known to be at the same physical location.
+ * Uses secondary addresses only for contactInfo to avoid false positives
+ * from matching primary addresses (which are trivially the same for same-location entities).
+ * @param {Entity} entity1
+ * @param {Entity} entity2
+ * @returns {object} { score, matchedIndividual, details }
+ */
+function preEngineCompareSameLocationEntities(entity1, entity2) {
+    // Get name comparison
+    let nameScore = 0;
+    const name1 = preEngineExtractNameFromEntity(entity1);
+    const name2 = preEngineExtractNameFromEntity(entity2);
+    let nameComparisonMethod = 'none';
+
+    if (name1 && name2) {
+        const name1Type = name1.constructor?.name;
+        const name2Type = name2.constructor?.name;
+
+        if (name1Type === name2Type) {
+            // Same type - use safeNumericCompare for proper IndividualName handling
+            const nameResult = window.safeNumericCompare
+                ? window.safeNumericCompare(name1, name2)
+                : null;
+            if (nameResult !== null) {
+                nameScore = typeof nameResult === 'number' ? nameResult : (nameResult?.overallSimilarity || nameResult?.similarity || 0);
+                nameComparisonMethod = 'native';
+            } else {
+                // Fallback to cross-type comparison
+                nameScore = (typeof crossTypeNameComparison === 'function')
+                    ? crossTypeNameComparison(name1, name2)
+                    : 0;
+                nameComparisonMethod = 'cross-type-fallback';
+            }
+        } else {
+            // Different types - use cross-type string comparison
+            nameScore = (typeof crossTypeNameComparison === 'function')
+                ? crossTypeNameComparison(name1, name2)
+                : 0;
+            nameComparisonMethod = 'cross-type';
+        }
+    }
+
+    // Get contactInfo comparison using SECONDARY ADDRESSES ONLY
+    let contactInfoScore = 0;
+    const contactInfo1 = preEngineExtractContactInfoFromEntity(entity1);
+    const contactInfo2 = preEngineExtractContactInfoFromEntity(entity2);
+
+    if (contactInfo1 && contactInfo2) {
+        contactInfoScore = (typeof compareSecondaryAddressesOnly === 'function')
+            ? compareSecondaryAddressesOnly(contactInfo1, contactInfo2)
+            : 0;
+    }
+
+    // Apply standard weighting
+    const nameWeight = 0.5;
+    const contactInfoWeight = 0.5;
+    const overallScore = (nameScore * nameWeight) + (contactInfoScore * contactInfoWeight);
+
+    return {
+        score: overallScore,
+        matchedIndividual: null,
+        matchedIndividualIndex: null,
+        details: {
+            overallSimilarity: overallScore,
+            components: {
+                name: { similarity: nameScore, weight: nameWeight, method: nameComparisonMethod },
+                contactInfo: { similarity: contactInfoScore, weight: contactInfoWeight, method: 'secondary-only' }
+            },
+            comparisonType: 'same-location',
+            sameLocation: true
+        }
+    };
+}
+
+/**
+ * Universal comparison function - handles all entity type combinations
+ * @param {Entity} entity1 - Base entity
+ * @param {Entity} entity2 - Target entity to compare against
+ * @returns {object} { score, matchedIndividual, matchedIndividualIndex, details, comparisonType, codePath }
+ *   codePath names the comparison function the pair was routed to (added for the parity check)
+ */
+function preEngineUniversalCompareTo(entity1, entity2) {
+    const type1 = entity1.constructor.name;
+    const type2 = entity2.constructor.name;
+
+    // Check for same-location entities BEFORE routing to specialized comparison functions
+    // This catches cases where embedded individual comparisons would lose fire number context
+    const isSameLocation = (typeof areSameLocationEntities === 'function')
+        ? areSameLocationEntities(entity1, entity2)
+        : false;
+
+    // If same-location, use specialized comparison that excludes primary address
+    if (isSameLocation) {
+        // DIAGNOSTIC: Log when same-location triggers in preEngineUniversalCompareTo
+        const src1 = entity1.sourceDatabase || 'unknown';
+        const src2 = entity2.sourceDatabase || 'unknown';
+        if (src1 !== src2) {
+            console.log(`[DIAGNOSTIC] preEngineUniversalCompareTo: isSameLocation=TRUE cross-source ${src1} vs ${src2}`);
+        }
+        const result = preEngineCompareSameLocationEntities(entity1, entity2);
+        return {
+            ...result,
+            comparisonType: `${type1}-to-${type2} (same-location)`,
+            codePath: 'compareSameLocationEntities'
+        };
+    }
+
+    let result;
+    let comparisonType;
+    let codePath;
+
+    if (type1 === 'Individual' && type2 === 'Individual') {
+        result = preEngineCompareIndividualToIndividual(entity1, entity2);
+        comparisonType = 'Individual-to-Individual';
+        codePath = 'compareIndividualToIndividual';
+    }
+    else if (type1 === 'Individual' && type2 === 'AggregateHousehold') {
+        result = preEngineCompareIndividualToHousehold(entity1, entity2);
+        comparisonType = 'Individual-to-AggregateHousehold';
+        codePath = 'compareIndividualToHousehold';
+    }
+    else if (type1 === 'AggregateHousehold' && type2 === 'Individual') {
+        result = preEngineCompareHouseholdToIndividual(entity1, entity2);
+        comparisonType = 'AggregateHousehold-to-Individual';
+        codePath = 'compareHouseholdToIndividual';
+    }
+    else if (type1 === 'AggregateHousehold' && type2 === 'AggregateHousehold') {
+        result = preEngineCompareHouseholdToHousehold(entity1, entity2);
+        comparisonType = 'AggregateHousehold-to-AggregateHousehold';
+        codePath = 'compareHouseholdToHousehold';
+    }
+    else {
+        // All other combinations: direct comparison
+        result = preEngineCompareIndividualToEntityDirect(entity1, entity2);
+        comparisonType = `${type1}-to-${type2}`;
+        codePath = 'compareIndividualToEntityDirect';
+    }
+
+    return {
+        ...result,
+        comparisonType,
+        codePath
+    };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        preEngineEntityCompareTo,
+        preEngineEntityWeightedComparison,
+        preEngineUniversalCompareTo
+    };
+}
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.preEngineEntityCompareTo = preEngineEntityCompareTo;
+    window.preEngineEntityWeightedComparison = preEngineEntityWeightedComparison;
+    window.preEngineUniversalCompareTo = preEngineUniversalCompareTo;
+}
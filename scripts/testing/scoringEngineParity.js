@@ -0,0 +1,200 @@
+/**
+ * scoringEngineParity.js
+ *
+ * Parity harness for the entity scoring engine (matching/entityScoringEngine.js).
+ *
+ * Both comparison entry points now delegate to the engine, so they are checked
+ * against the frozen pre-engine copies of the old code paths (preEngineScoring.js,
+ * loaded before this file). Runs every ordered pair of entities through both and
+ * reports divergences:
+ *
+ *   universalCompareTo-vs-pre-engine           universalCompareTo() score differs from preEngineUniversalCompareTo()
+ *   universalCompareTo-vs-pre-engine-codePath  the pair was routed to a different comparison function
+ *   compareTo-vs-pre-engine                    entity.compareTo() differs from preEngineEntityWeightedComparison()
+ *                                              (entities using entityWeightedComparison only)
+ *   baseline-*                                 a score or codePath changed from a saved baseline
+ *
+ * The pre-engine copies use fixed weights, so run the check under the 'default'
+ * matching profile.
+ *
+ * A baseline is a snapshot of every pair's scores, saved before a scoring change
+ * and checked after it:
+ *   node bin/birava scoring-parity --unified ./unified.json --write-baseline ./parity_baseline.json
+ *   ... change the engine ...
+ *   node bin/birava scoring-parity --unified ./unified.json --baseline ./parity_baseline.json
+ *
+ * Browser usage (after loading the unified database):
+ *   await fetch('./scripts/testing/preEngineScoring.js').then(r => r.text()).then(eval)
+ *   await fetch('./scripts/testing/scoringEngineParity.js').then(r => r.text()).then(eval)
+ *   const report = runScoringParityCheck(unifiedEntityDatabase.entities, { limit: 200 });
+ */
+
+// Scores closer than this are treated as equal
+const SCORING_PARITY_TOLERANCE = 1e-9;
+
+/**
+ * Score one ordered pair through both entry points and their pre-engine copies
+ * @param {Entity} entityA
+ * @param {Entity} entityB
+ * @returns {Object} { compareTo, preEngineCompareTo, universalCompareTo, preEngineUniversalCompareTo,
+ *                     codePath, preEngineCodePath }
+ */
+function scoreParityPair(entityA, entityB) {
+    const usesWeighted = entityA.comparisonCalculatorName === 'entityWeightedComparison';
+    const universalResult = universalCompareTo(entityA, entityB);
+    const preEngineUniversalResult = preEngineUniversalCompareTo(entityA, entityB);
+
+    return {
+        compareTo: entityA.compareTo(entityB, true).overallSimilarity,
+        preEngineCompareTo: usesWeighted ? preEngineEntityWeightedComparison(entityA, entityB, true).overallSimilarity : null,
+        universalCompareTo: universalResult.score,
+        preEngineUniversalCompareTo: preEngineUniversalResult.score,
+        codePath: universalResult.codePath,
+        preEngineCodePath: preEngineUniversalResult.codePath
+    };
+}
+
+/**
+ * Keys of the entities to check, in database order
+ * @param {Object} entities - Keyed entity database
+ * @param {number|null} limit - Use only the first n entities
+ * @returns {Array<string>}
+ */
+function getParityEntityKeys(entities, limit) {
+    const keys = Object.keys(entities);
+    return limit ? keys.slice(0, limit) : keys;
+}
+
+/**
+ * Snapshot every pair's scores for a later runScoringParityCheck({ baseline })
+ * @param {Object} entities - Keyed entity database (unifiedEntityDatabase.entities)
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Use only the first n entities
+ * @returns {Object} { createdAt, entityCount, pairCount, pairs: { 'keyA|keyB': { compareTo, universalCompareTo, codePath } } }
+ */
+function buildScoringParityBaseline(entities, options = {}) {
+    const keys = getParityEntityKeys(entities, options.limit);
+    const pairs = {};
+
+    for (const keyA of keys) {
+        for (const keyB of keys) {
+            if (keyA === keyB) continue;
+            const record = scoreParityPair(entities[keyA], entities[keyB]);
+            pairs[`${keyA}|${keyB}`] = {
+                compareTo: record.compareTo,
+                universalCompareTo: record.universalCompareTo,
+                codePath: record.codePath
+            };
+        }
+    }
+
+    return {
+        createdAt: new Date().toISOString(),
+        entityCount: keys.length,
+        pairCount: Object.keys(pairs).length,
+        pairs
+    };
+}
+
+/**
+ * Run every ordered pair through both entry points and the pre-engine code and collect divergences
+ * @param {Object} entities - Keyed entity database (unifiedEntityDatabase.entities)
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Use only the first n entities
+ * @param {Object} [options.baseline] - Result of buildScoringParityBaseline() to compare against
+ * @param {number} [options.tolerance=SCORING_PARITY_TOLERANCE] - Allowed score difference
+ * @returns {Object} { entityCount, pairsChecked, divergences: [{ keyA, keyB, check, expected, actual }],
+ *                     divergencesByCheck, pairsByCodePath, baselinePairsMissing }
+ */
+function runScoringParityCheck(entities, options = {}) {
+    const tolerance = options.tolerance ?? SCORING_PARITY_TOLERANCE;
+    const baselinePairs = options.baseline ? options.baseline.pairs || {} : null;
+    const keys = getParityEntityKeys(entities, options.limit);
+
+    const report = {
+        entityCount: keys.length,
+        pairsChecked: 0,
+        divergences: [],
+        divergencesByCheck: {},
+        pairsByCodePath: {},
+        baselinePairsMissing: 0
+    };
+
+    const differs = (a, b) => {
+        if (a === null || a === undefined || b === null || b === undefined) return a !== b;
+        return Math.abs(a - b) > tolerance;
+    };
+    const diverge = (keyA, keyB, check, expected, actual) => {
+        report.divergences.push({ keyA, keyB, check, expected, actual });
+        report.divergencesByCheck[check] = (report.divergencesByCheck[check] || 0) + 1;
+    };
+
+    for (const keyA of keys) {
+        for (const keyB of keys) {
+            if (keyA === keyB) continue;
+            const record = scoreParityPair(entities[keyA], entities[keyB]);
+            report.pairsChecked++;
+            report.pairsByCodePath[record.codePath] = (report.pairsByCodePath[record.codePath] || 0) + 1;
+
+            if (differs(record.preEngineUniversalCompareTo, record.universalCompareTo)) {
+                diverge(keyA, keyB, 'universalCompareTo-vs-pre-engine', record.preEngineUniversalCompareTo, record.universalCompareTo);
+            }
+            if (record.codePath !== record.preEngineCodePath) {
+                diverge(keyA, keyB, 'universalCompareTo-vs-pre-engine-codePath', record.preEngineCodePath, record.codePath);
+            }
+            if (record.preEngineCompareTo !== null && differs(record.preEngineCompareTo, record.compareTo)) {
+                diverge(keyA, keyB, 'compareTo-vs-pre-engine', record.preEngineCompareTo, record.compareTo);
+            }
+
+            if (baselinePairs) {
+                const base = baselinePairs[`${keyA}|${keyB}`];
+                if (!base) {
+                    report.baselinePairsMissing++;
+                    continue;
+                }
+                if (differs(base.compareTo, record.compareTo)) {
+                    diverge(keyA, keyB, 'baseline-compareTo', base.compareTo, record.compareTo);
+                }
+                if (differs(base.universalCompareTo, record.universalCompareTo)) {
+                    diverge(keyA, keyB, 'baseline-universalCompareTo', base.universalCompareTo, record.universalCompareTo);
+                }
+                if (base.codePath !== record.codePath) {
+                    diverge(keyA, keyB, 'baseline-codePath', base.codePath, record.codePath);
+                }
+            }
+        }
+    }
+
+    return report;
+}
+
+const SCORING_PARITY_CSV_HEADERS = ['Check', 'KeyA', 'KeyB', 'Expected', 'Actual'];
+
+/**
+ * Flatten a parity report's divergences into CSV, one row per divergence
+ * @param {Object} report - From runScoringParityCheck()
+ * @returns {string} CSV text
+ */
+function buildScoringParityCSV(report) {
+    const rows = report.divergences.map(d =>
+        [d.check, d.keyA, d.keyB, d.expected, d.actual].map(csvEscape).join(','));
+    return [SCORING_PARITY_CSV_HEADERS.join(','), ...rows].join('\n');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        scoreParityPair,
+        buildScoringParityBaseline,
+        runScoringParityCheck,
+        buildScoringParityCSV
+    };
+}
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.scoreParityPair = scoreParityPair;
+    window.buildScoringParityBaseline = buildScoringParityBaseline;
+    window.runScoringParityCheck = runScoringParityCheck;
+    window.buildScoringParityCSV = buildScoringParityCSV;
+}
@@ -393,53 +393,38 @@ async function saveUnifiedDatabase(fileId = UNIFIED_DATABASE_FILE_ID) {
     // Build the unified database (rebuilds from workingLoadedEntities)
     const database = buildUnifiedEntityDatabase();
 
-    // Serialize with type preservation
+    // Serialize with type preservation; the integrity block lets loads detect a partial save
     console.log('Serializing database with type preservation...');
-    const serializedData = serializeWithTypes(database);
+    const serializedData = addDatabaseIntegrity(serializeWithTypes(database), 'UnifiedEntityDatabase', {
+        entityCount: Object.keys(database.entities).length
+    });
     const sizeKB = (serializedData.length / 1024).toFixed(1);
     const sizeMB = (serializedData.length / (1024 * 1024)).toFixed(2);
     console.log(`Serialized size: ${sizeKB} KB (${sizeMB} MB)`);
 
-    // Upload to Google Drive
-    console.log(`Uploading to Google Drive file: ${fileId}...`);
+    // Upload through the active storage adapter (Google Drive or local directory)
+    const storage = getStorageAdapter();
+    console.log(`Uploading to ${storage.name} storage file: ${fileId}...`);
 
     try {
-        const response = await fetch(
-            `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=media`,
-            {
-                method: 'PATCH',
-                headers: new Headers({
-                    'Authorization': `Bearer ${gapi.client.getToken().access_token}`,
-                    'Content-Type': 'application/json'
-                }),
-                body: serializedData
-            }
-        );
-
-        if (response.ok) {
-            // Update file name with timestamp
-            const fileName = `unified_entity_database_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
-            await gapi.client.drive.files.update({
-                fileId: fileId,
-                resource: { name: fileName }
-            });
-
-            console.log('=== Unified Database Saved Successfully ===');
-            console.log(`File ID: ${fileId}`);
-            console.log(`File name: ${fileName}`);
-            console.log(`Entities saved: ${database.metadata.totalEntities}`);
-
-            return {
-                success: true,
-                fileId: fileId,
-                fileName: fileName,
-                metadata: database.metadata,
-                sizeBytes: serializedData.length
-            };
-        } else {
-            const errorText = await response.text();
-            throw new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
-        }
+        await storage.writeFile(fileId, serializedData);
+
+        // Update file name with timestamp
+        const fileName = `unified_entity_database_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+        await storage.renameFile(fileId, fileName);
+
+        console.log('=== Unified Database Saved Successfully ===');
+        console.log(`File ID: ${fileId}`);
+        console.log(`File name: ${fileName}`);
+        console.log(`Entities saved: ${database.metadata.totalEntities}`);
+
+        return {
+            success: true,
+            fileId: fileId,
+            fileName: fileName,
+            metadata: database.metadata,
+            sizeBytes: serializedData.length
+        };
     } catch (error) {
         console.error('Error saving unified database:', error);
         throw error;
@@ -454,11 +439,14 @@ async function saveUnifiedDatabase(fileId = UNIFIED_DATABASE_FILE_ID) {
  * Load the unified entity database from Google Drive.
  * Uses deserializeWithTypes to restore class instances.
  * Populates window.unifiedEntityDatabase global.
+ * Refuses a file whose integrity block does not match its content or entity count.
  *
  * @param {string} fileId - Google Drive file ID to load from
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Load a file that fails its integrity check (warns instead)
  * @returns {Promise<Object>} Load result with success status and metadata
  */
-async function loadUnifiedDatabase(fileId = UNIFIED_DATABASE_FILE_ID) {
+async function loadUnifiedDatabase(fileId = UNIFIED_DATABASE_FILE_ID, options = {}) {
     console.log('=== Loading Unified Database from Google Drive ===');
 
     if (!fileId) {
@@ -468,22 +456,24 @@ async function loadUnifiedDatabase(fileId = UNIFIED_DATABASE_FILE_ID) {
     try {
         console.log(`Fetching file: ${fileId}...`);
 
-        const response = await gapi.client.drive.files.get({
-            fileId: fileId,
-            alt: 'media'
-        });
+        const content = await getStorageAdapter().readFile(fileId);
 
-        const sizeKB = (response.body.length / 1024).toFixed(1);
+        const sizeKB = (content.length / 1024).toFixed(1);
         console.log(`Downloaded ${sizeKB} KB`);
 
-        // Deserialize with type restoration
+        // Deserialize with type restoration, after checking the saved length and hash;
+        // data saved under an older schema is upgraded on the way in
+        const checked = readDatabaseIntegrity(content, 'UnifiedEntityDatabase', fileId, options);
         console.log('Deserializing with type restoration...');
-        const database = deserializeWithTypes(response.body);
+        const { value: database, report: migration } =
+            deserializeWithMigrations(checked.content, getSavedSchemaVersion(checked.integrity));
+        console.log(formatSerializationMigrationReport(migration));
 
         // Validate structure
         if (!database.entities || !database.metadata) {
-            throw new Error('Invalid database structure - missing entities or metadata');
+            throw new Error(`Invalid database structure in file ${fileId} - missing entities or metadata`);
         }
+        checkDatabaseCounts(checked.integrity, { entityCount: Object.keys(database.entities).length }, fileId, options);
 
         // Store in global
         window.unifiedEntityDatabase = database;
@@ -510,6 +500,8 @@ async function loadUnifiedDatabase(fileId = UNIFIED_DATABASE_FILE_ID) {
             fileId: fileId,
             metadata: database.metadata,
             entityCount: Object.keys(database.entities).length,
+            integrity: checked.integrity,
+            migration: migration,
             classesRestored: classesRestored === sampleKeys.length
         };
     } catch (error) {
@@ -121,8 +121,10 @@ function splitDatabaseBySource() {
 async function saveSplitDatabaseToNewFile(database, sourceName) {
     console.log(`Saving ${sourceName} database to new Google Drive file...`);
 
-    // Serialize with type preservation
-    const serializedData = serializeWithTypes(database);
+    // Serialize with type preservation; split databases load through loadUnifiedDatabase
+    const serializedData = addDatabaseIntegrity(serializeWithTypes(database), 'UnifiedEntityDatabase', {
+        entityCount: Object.keys(database.entities).length
+    });
     const sizeKB = (serializedData.length / 1024).toFixed(1);
     const sizeMB = (serializedData.length / (1024 * 1024)).toFixed(2);
     console.log(`  Serialized size: ${sizeKB} KB (${sizeMB} MB)`);
@@ -184,8 +186,10 @@ async function saveSplitDatabaseToNewFile(database, sourceName) {
 async function saveSplitDatabaseToExistingFile(database, sourceName, fileId) {
     console.log(`Saving ${sourceName} database to existing file: ${fileId}...`);
 
-    // Serialize with type preservation
-    const serializedData = serializeWithTypes(database);
+    // Serialize with type preservation; split databases load through loadUnifiedDatabase
+    const serializedData = addDatabaseIntegrity(serializeWithTypes(database), 'UnifiedEntityDatabase', {
+        entityCount: Object.keys(database.entities).length
+    });
     const sizeKB = (serializedData.length / 1024).toFixed(1);
     const sizeMB = (serializedData.length / (1024 * 1024)).toFixed(2);
     console.log(`  Serialized size: ${sizeKB} KB (${sizeMB} MB)`);
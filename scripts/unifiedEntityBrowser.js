@@ -28,106 +28,6 @@ const unifiedBrowser = {
     activeFilter: null
 };
 
-// =============================================================================
-// TRUE MATCH AND NEAR MATCH CRITERIA
-// =============================================================================
-
-/**
- * Match criteria thresholds configuration
- * True Match: Any ONE of these conditions makes it a true match
- * Near Match: Same conditions with reduced thresholds (applied when NOT a true match)
- */
-const MATCH_CRITERIA = {
-    trueMatch: {
-        // Condition 1: overall > 0.80 AND name > 0.83
-        overallAndName: { overall: 0.80, name: 0.83 },
-        // Condition 2: contactInfo > 0.87 (alone)
-        contactInfoAlone: 0.87,
-        // Condition 3: overall > 0.905 (alone)
-        overallAlone: 0.905,
-        // Condition 4: name > 0.875 (alone)
-        nameAlone: 0.875
-    },
-    nearMatch: {
-        // Same conditions minus 0.03 (except contactInfo which is minus 0.02)
-        overallAndName: { overall: 0.77, name: 0.80 },
-        contactInfoAlone: 0.85,  // -0.02 per user specification
-        overallAlone: 0.875,
-        nameAlone: 0.845
-    }
-};
-
-/**
- * Check if a match qualifies as a True Match
- * @param {number} overallScore - Overall similarity score (0-1)
- * @param {number|null} nameScore - Name similarity score (0-1), may be null
- * @param {number|null} contactInfoScore - ContactInfo similarity score (0-1), may be null
- * @returns {boolean} True if match meets True Match criteria
- */
-function isTrueMatch(overallScore, nameScore, contactInfoScore) {
-    const c = MATCH_CRITERIA.trueMatch;
-
-    // Condition 1: overall > 0.80 AND name > 0.83
-    if (overallScore > c.overallAndName.overall && nameScore !== null && nameScore > c.overallAndName.name) {
-        return true;
-    }
-
-    // Condition 2: contactInfo > 0.87 (alone)
-    if (contactInfoScore !== null && contactInfoScore > c.contactInfoAlone) {
-        return true;
-    }
-
-    // Condition 3: overall > 0.905 (alone)
-    if (overallScore > c.overallAlone) {
-        return true;
-    }
-
-    // Condition 4: name > 0.875 (alone)
-    if (nameScore !== null && nameScore > c.nameAlone) {
-        return true;
-    }
-
-    return false;
-}
-
-/**
- * Check if a match qualifies as a Near Match (but NOT a True Match)
- * @param {number} overallScore - Overall similarity score (0-1)
- * @param {number|null} nameScore - Name similarity score (0-1), may be null
- * @param {number|null} contactInfoScore - ContactInfo similarity score (0-1), may be null
- * @returns {boolean} True if match meets Near Match criteria but NOT True Match criteria
- */
-function isNearMatch(overallScore, nameScore, contactInfoScore) {
-    // First check: if it's a true match, it's NOT a near match
-    if (isTrueMatch(overallScore, nameScore, contactInfoScore)) {
-        return false;
-    }
-
-    const c = MATCH_CRITERIA.nearMatch;
-
-    // Condition 1: overall > 0.77 AND name > 0.80
-    if (overallScore > c.overallAndName.overall && nameScore !== null && nameScore > c.overallAndName.name) {
-        return true;
-    }
-
-    // Condition 2: contactInfo > 0.85 (alone)
-    if (contactInfoScore !== null && contactInfoScore > c.contactInfoAlone) {
-        return true;
-    }
-
-    // Condition 3: overall > 0.875 (alone)
-    if (overallScore > c.overallAlone) {
-        return true;
-    }
-
-    // Condition 4: name > 0.845 (alone)
-    if (nameScore !== null && nameScore > c.nameAlone) {
-        return true;
-    }
-
-    return false;
-}
-
 // =============================================================================
 // INITIALIZATION & SETUP
 // =============================================================================
@@ -1888,6 +1788,15 @@ function displayMatchAnalysisResults(entityWrapper, results) {
                             alert('Unable to reconcile: Parent window not available. Please ensure the main browser window is still open.');
                         }
                     }
+
+                    // Explain button handler - opens the side-by-side match explanation in the parent window
+                    function doExplain(baseDatabaseKey, targetDatabaseKey) {
+                        if (window.opener && typeof window.opener.showMatchExplanation === 'function') {
+                            window.opener.showMatchExplanation(baseDatabaseKey, targetDatabaseKey);
+                        } else {
+                            alert('Unable to explain: Parent window not available. Please ensure the main browser window is still open.');
+                        }
+                    }
                 </script>
             </body>
         </html>
@@ -2300,6 +2209,9 @@ function generateTopMatchesSection(matchesByType, baseEntityInfo) {
             escapeHtmlForBrowser(targetHeadStatus) + "','" +
             escapeHtmlForBrowser(baseDatabaseKey) + "','" +
             escapeHtmlForBrowser(targetDatabaseKey) + "')";
+        const explainOnclick = "doExplain('" +
+            escapeHtmlForBrowser(baseDatabaseKey) + "','" +
+            escapeHtmlForBrowser(targetDatabaseKey) + "')";
 
         html += `
             <div class="top-match-row">
@@ -2312,6 +2224,7 @@ function generateTopMatchesSection(matchesByType, baseEntityInfo) {
                 <label class="match-checkbox true-match-label"><input type="checkbox" class="true-match-checkbox" ${matchIsTrueMatch ? 'checked' : ''}> True</label>
                 <label class="match-checkbox near-match-label"><input type="checkbox" class="near-match-checkbox" ${matchIsNearMatch ? 'checked' : ''}> Near</label>
                 <button class="reconcile-btn" onclick="${reconcileOnclick}">Reconcile</button>
+                ${baseDatabaseKey && targetDatabaseKey ? `<button class="reconcile-btn" onclick="${explainOnclick}">Explain</button>` : ''}
             </div>
         `;
     });
@@ -2437,6 +2350,9 @@ function generateUniversalMatcherResultsHtml(results, baseEntityInfo) {
                 escapeHtmlForBrowser(targetHeadStatus) + "','" +
                 escapeHtmlForBrowser(baseDatabaseKey) + "','" +
                 escapeHtmlForBrowser(targetDatabaseKey) + "')";
+            const explainOnclick = "doExplain('" +
+                escapeHtmlForBrowser(baseDatabaseKey) + "','" +
+                escapeHtmlForBrowser(targetDatabaseKey) + "')";
 
             html += `
                 <div class="match-row" data-score="${score}">
@@ -2452,6 +2368,7 @@ function generateUniversalMatcherResultsHtml(results, baseEntityInfo) {
                     <label class="match-checkbox true-match-label"><input type="checkbox" class="true-match-checkbox" ${matchIsTrueMatch ? 'checked' : ''}> True</label>
                     <label class="match-checkbox near-match-label"><input type="checkbox" class="near-match-checkbox" ${matchIsNearMatch ? 'checked' : ''}> Near</label>
                     <button class="reconcile-btn" onclick="${reconcileOnclick}">Reconcile</button>
+                    ${baseDatabaseKey && targetDatabaseKey ? `<button class="reconcile-btn" onclick="${explainOnclick}">Explain</button>` : ''}
                     ${match.details ? `<button class="toggle-btn" onclick="toggleDetails('${detailId}')">Details</button>` : ''}
                 </div>
             `;
@@ -3284,6 +3201,231 @@ function formatAddressForDisplay(address) {
     return escapeHtmlForBrowser(parts.join('<br>'));
 }
 
+// =============================================================================
+// MATCH EXPLANATION PANEL
+// =============================================================================
+
+// Outcome labels for explainMatch() results
+const MATCH_OUTCOME_LABELS = {
+    FORCE_EXCLUDED: 'Excluded by override rule',
+    COLLISION_EXCLUDED: 'Excluded: fire number collision (case d)',
+    FORCE_MATCHED: 'Grouped by override rule',
+    TRUE_MATCH: 'True match',
+    NEAR_MATCH: 'Near miss',
+    NO_MATCH: 'No match'
+};
+
+/**
+ * Explain the comparison between two entities side by side
+ * Called from the match analysis window's Explain buttons
+ * @param {string} keyA - Database key of the base entity
+ * @param {string} keyB - Database key of the target entity
+ */
+function showMatchExplanation(keyA, keyB) {
+    if (!keyA || !keyB) {
+        alert('Unable to explain: database keys are not available for this match.');
+        return;
+    }
+    if (typeof explainMatch !== 'function') {
+        alert('Unable to explain: universalEntityMatcher.js is not loaded.');
+        return;
+    }
+
+    let explanation;
+    try {
+        explanation = explainMatch(keyA, keyB);
+    } catch (error) {
+        console.error('Match explanation error:', error);
+        alert('Explanation Error: ' + error.message);
+        return;
+    }
+
+    displayMatchExplanation(explanation);
+}
+
+/**
+ * Render an explainMatch() result in a new window
+ * @param {Object} explanation - Result of explainMatch()
+ */
+function displayMatchExplanation(explanation) {
+    const explainWindow = window.open('', '_blank', 'width=1000,height=800,scrollbars=yes');
+
+    const score = typeof explanation.score === 'number' ? explanation.score : 0;
+    const scoreClass = score >= 0.95 ? 'excellent' :
+                       score >= 0.8 ? 'good' :
+                       score >= 0.5 ? 'moderate' : 'low';
+    const fmt = function(value) {
+        return typeof value === 'number' ? (value * 100).toFixed(2) + '%' : '—';
+    };
+    const row = function(label, value) {
+        return '<div class="comparison-row"><span class="label">' + label + '</span><span class="value">' + value + '</span></div>';
+    };
+
+    let htmlContent = '';
+    htmlContent += '<!DOCTYPE html><html><head>';
+    htmlContent += '<title>Match Explanation: ' + escapeHtmlForBrowser(explanation.keyA) + ' vs ' + escapeHtmlForBrowser(explanation.keyB) + '</title>';
+    htmlContent += '<style>' + generateReconciliationStyles() + generateMatchExplanationStyles() + '</style>';
+    htmlContent += '</head><body>';
+
+    // Header: score and outcome
+    htmlContent += '<div class="reconcile-header">';
+    htmlContent += '<div><h1>Match Explanation</h1>';
+    htmlContent += '<span class="outcome-badge outcome-' + explanation.outcome + '">' + escapeHtmlForBrowser(MATCH_OUTCOME_LABELS[explanation.outcome] || explanation.outcome) + '</span></div>';
+    htmlContent += '<div class="score-display score-' + scoreClass + '">';
+    htmlContent += '<span class="score-value">' + fmt(score) + '</span>';
+    htmlContent += '<span class="score-label">Overall Similarity</span>';
+    htmlContent += '</div>';
+    htmlContent += '</div>';
+
+    // Side-by-side entities
+    const entityCard = function(label, entity) {
+        let html = '<div class="entity-card">';
+        html += '<div class="entity-label">' + label + '</div>';
+        html += '<div class="entity-name">' + escapeHtmlForBrowser(entity.name || 'Unknown') + '</div>';
+        html += '<div class="entity-meta">';
+        html += '<span class="badge type-badge">' + escapeHtmlForBrowser(entity.type) + '</span>';
+        html += '<span class="badge source-badge">' + escapeHtmlForBrowser(entity.source) + '</span>';
+        html += '<span class="badge key-badge">' + escapeHtmlForBrowser(entity.key) + '</span>';
+        html += '</div>';
+        html += '<div class="explain-facts">';
+        html += '<div><strong>Fire number:</strong> ' + escapeHtmlForBrowser(entity.fireNumber || 'none') + '</div>';
+        html += '<div><strong>Primary address:</strong><br>' + formatAddressForDisplay(entity.primaryAddress) + '</div>';
+        html += '</div>';
+        html += '</div>';
+        return html;
+    };
+    htmlContent += '<div class="entity-comparison">';
+    htmlContent += entityCard('Entity A', explanation.entityA);
+    htmlContent += '<div class="vs-indicator">VS</div>';
+    htmlContent += entityCard('Entity B', explanation.entityB);
+    htmlContent += '</div>';
+
+    // Code path
+    htmlContent += '<div class="section">';
+    htmlContent += '<h2>Code Path</h2>';
+    htmlContent += '<div class="comparison-grid">';
+    htmlContent += row('Comparison type', escapeHtmlForBrowser(explanation.comparisonType || ''));
+    htmlContent += row('Comparison function', '<code>' + escapeHtmlForBrowser(explanation.codePath || '') + '</code>');
+    htmlContent += '</div>';
+    htmlContent += '</div>';
+
+    // Score breakdown
+    htmlContent += '<div class="section">';
+    htmlContent += '<h2>Score Breakdown</h2>';
+    const componentNames = Object.keys(explanation.components);
+    if (componentNames.length === 0) {
+        htmlContent += '<p class="info-text">No component breakdown available for this comparison.</p>';
+    } else {
+        htmlContent += '<table class="breakdown-table"><thead><tr>';
+        htmlContent += '<th>Component</th><th>Similarity</th><th>Weight</th><th>Contribution</th><th>Method</th>';
+        htmlContent += '</tr></thead><tbody>';
+        componentNames.forEach(function(name) {
+            const c = explanation.components[name];
+            htmlContent += '<tr><td>' + escapeHtmlForBrowser(name) + '</td><td>' + fmt(c.similarity) + '</td><td>' +
+                fmt(c.weight) + '</td><td>' + fmt(c.contribution) + '</td><td>' + escapeHtmlForBrowser(c.method || '') + '</td></tr>';
+        });
+        htmlContent += '</tbody></table>';
+    }
+    if (explanation.penalties && explanation.penalties.totalPenalty) {
+        htmlContent += '<p class="info-text">Missing-data penalty applied: −' + fmt(explanation.penalties.totalPenalty) + '</p>';
+    }
+    htmlContent += '</div>';
+
+    // Household match
+    if (explanation.household) {
+        const h = explanation.household;
+        htmlContent += '<div class="section household-section">';
+        htmlContent += '<h2>Household Comparison</h2>';
+        htmlContent += '<div class="comparison-grid">';
+        if (h.individualNameA !== undefined) {
+            htmlContent += row('Best individual in A (index ' + h.individualIndexA + ')', escapeHtmlForBrowser(h.individualNameA || 'N/A'));
+            htmlContent += row('Best individual in B (index ' + h.individualIndexB + ')', escapeHtmlForBrowser(h.individualNameB || 'N/A'));
+        } else {
+            htmlContent += row('Best individual in household ' + h.householdSide + ' (index ' + h.individualIndex + ')', escapeHtmlForBrowser(h.individualName || 'N/A'));
+        }
+        htmlContent += '</div>';
+        htmlContent += '</div>';
+    }
+
+    // Same-location handling
+    const sl = explanation.sameLocation;
+    htmlContent += '<div class="section">';
+    htmlContent += '<h2>Same-Location Handling</h2>';
+    htmlContent += '<div class="comparison-grid">';
+    htmlContent += row('Applied', sl.applies ? 'Yes — primary addresses excluded, secondary addresses only' : 'No');
+    htmlContent += row('Fire numbers', escapeHtmlForBrowser((sl.fireNumberA || 'none') + ' / ' + (sl.fireNumberB || 'none')));
+    htmlContent += row('Base fire numbers', escapeHtmlForBrowser((sl.baseA || 'none') + ' / ' + (sl.baseB || 'none')));
+    htmlContent += '</div>';
+    htmlContent += '</div>';
+
+    // Fire number collision case
+    htmlContent += '<div class="section">';
+    htmlContent += '<h2>Fire Number Collision</h2>';
+    if (explanation.collision) {
+        const col = explanation.collision;
+        htmlContent += '<div class="comparison-grid">';
+        htmlContent += row('Case', '(' + escapeHtmlForBrowser(col.case) + ') ' + escapeHtmlForBrowser(col.description));
+        htmlContent += row('Collision database loaded', col.databaseLoaded ? 'Yes' : 'No — case d is not enforced during builds');
+        htmlContent += row('Excludes grouping', col.excludesGrouping ? 'Yes' : 'No');
+        htmlContent += '</div>';
+    } else {
+        htmlContent += '<p class="info-text">Not evaluated: one or both entities have no primary address, or the collision database module is not loaded.</p>';
+    }
+    htmlContent += '</div>';
+
+    // Override rules
+    const ov = explanation.overrides;
+    htmlContent += '<div class="section">';
+    htmlContent += '<h2>Override Rules</h2>';
+    if (ov.forceMatch.length === 0 && !ov.forceExclude) {
+        htmlContent += '<p class="info-text">No FORCE_MATCH or FORCE_EXCLUDE rule covers this pair.</p>';
+    } else {
+        htmlContent += '<div class="comparison-grid">';
+        ov.forceMatch.forEach(function(rule) {
+            htmlContent += row(escapeHtmlForBrowser(rule.ruleType) + ' ' + escapeHtmlForBrowser(rule.ruleId),
+                escapeHtmlForBrowser(rule.status) + (rule.reason ? ' — ' + escapeHtmlForBrowser(rule.reason) : ''));
+        });
+        if (ov.forceExclude) {
+            const ex = ov.forceExclude;
+            htmlContent += row(escapeHtmlForBrowser(ex.ruleType) + ' ' + escapeHtmlForBrowser(ex.ruleId),
+                escapeHtmlForBrowser(ex.status) + ' — ' + escapeHtmlForBrowser(ex.onConflict) + ' (defective: ' + escapeHtmlForBrowser(ex.defectiveKey) + ')' +
+                (ex.reason ? ' — ' + escapeHtmlForBrowser(ex.reason) : ''));
+        }
+        htmlContent += '</div>';
+    }
+    htmlContent += '</div>';
+
+    // Classification
+    htmlContent += '<div class="section">';
+    htmlContent += '<h2>Classification</h2>';
+    htmlContent += '<div class="comparison-grid">';
+    htmlContent += row('Meets true match criteria', explanation.classification.isTrueMatch ? 'Yes' : 'No');
+    htmlContent += row('Meets near match criteria', explanation.classification.isNearMatch ? 'Yes' : 'No');
+    htmlContent += row('EntityGroup outcome', escapeHtmlForBrowser(MATCH_OUTCOME_LABELS[explanation.outcome] || explanation.outcome));
+    htmlContent += '</div>';
+    htmlContent += '</div>';
+
+    htmlContent += '<div class="actions"><button class="close-btn" onclick="window.close()">Close</button></div>';
+    htmlContent += '</body></html>';
+
+    explainWindow.document.write(htmlContent);
+    explainWindow.document.close();
+}
+
+/**
+ * Additional CSS for the match explanation window (on top of generateReconciliationStyles)
+ * @returns {string} CSS styles
+ */
+function generateMatchExplanationStyles() {
+    return '.entity-comparison { align-items: stretch; }' +
+        '.explain-facts { margin-top: 12px; font-size: 13px; line-height: 1.5; display: grid; gap: 6px; }' +
+        '.outcome-badge { display: inline-block; margin-top: 8px; padding: 4px 10px; border-radius: 4px; font-size: 13px; background: rgba(255,255,255,0.25); }' +
+        '.outcome-FORCE_EXCLUDED, .outcome-COLLISION_EXCLUDED { background: #c0392b; }' +
+        '.outcome-FORCE_MATCHED, .outcome-TRUE_MATCH { background: #27ae60; }' +
+        '.outcome-NEAR_MATCH { background: #f39c12; }' +
+        'code { background: #f4f4f4; padding: 2px 6px; border-radius: 3px; }';
+}
+
 // =============================================================================
 // EXPORT FUNCTIONS
 // =============================================================================
@@ -3546,14 +3688,11 @@ if (typeof document !== 'undefined') {
 console.log("📚 Unified Entity Browser module loaded");
 
 // =============================================================================
-// EXPORTS FOR ENTITY GROUP BUILDER AND ENTITY GROUP BROWSER
+// EXPORTS FOR ENTITY GROUP BROWSER
 // =============================================================================
 
-// Export matching criteria and functions to window scope for use by entityGroupBuilder.js
 // Export basicEntityDetailsView for drill-down style View Details in EntityGroup Browser
+// (MATCH_CRITERIA, isTrueMatch and isNearMatch live in matching/matchCriteria.js)
 if (typeof window !== 'undefined') {
-    window.MATCH_CRITERIA = MATCH_CRITERIA;
-    window.isTrueMatch = isTrueMatch;
-    window.isNearMatch = isNearMatch;
     window.basicEntityDetailsView = basicEntityDetailsView;
 }
\ No newline at end of file
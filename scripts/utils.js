@@ -557,8 +557,13 @@ function defaultWeightedComparison(otherObject, detailed = false) {
     // Precision helper
     const round10 = (val) => Math.round(val * 10000000000) / 10000000000;
 
+    // Weights come from the active matching profile for this class when it defines them
+    const comparisonWeights = typeof resolveComparisonWeights === 'function'
+        ? resolveComparisonWeights(this)
+        : this.comparisonWeights;
+
     // Check if weights are configured
-    if (!this.comparisonWeights) {
+    if (!comparisonWeights) {
         return detailed ? { overallSimilarity: null, error: 'No comparisonWeights configured' } : null;
     }
 
@@ -567,8 +572,8 @@ function defaultWeightedComparison(otherObject, detailed = false) {
     const components = {};
 
     // Iterate through configured weights only
-    for (let propName in this.comparisonWeights) {
-        const weight = this.comparisonWeights[propName];
+    for (let propName in comparisonWeights) {
+        const weight = comparisonWeights[propName];
         const thisValue = this[propName];
         const otherValue = otherObject[propName];
 
@@ -635,10 +640,10 @@ function defaultWeightedComparison(otherObject, detailed = false) {
     // but are missing DIFFERENT fields, do NOT normalize - use full weight sum (1.0)
     let effectiveTotalWeight = totalWeight;
 
-    const isIndividualNameComparison = this.comparisonWeights &&
-        'firstName' in this.comparisonWeights &&
-        'lastName' in this.comparisonWeights &&
-        'otherNames' in this.comparisonWeights;
+    const isIndividualNameComparison = comparisonWeights &&
+        'firstName' in comparisonWeights &&
+        'lastName' in comparisonWeights &&
+        'otherNames' in comparisonWeights;
 
     if (isIndividualNameComparison) {
         // Check which fields each side has populated
@@ -655,7 +660,7 @@ function defaultWeightedComparison(otherObject, detailed = false) {
             // If they're missing DIFFERENT fields, don't normalize
             if (thisMissing !== otherMissing) {
                 // Use full weight (sum of all configured weights) instead of just compared fields
-                effectiveTotalWeight = Object.values(this.comparisonWeights).reduce((a, b) => a + b, 0);
+                effectiveTotalWeight = Object.values(comparisonWeights).reduce((a, b) => a + b, 0);
             }
         }
     }
@@ -668,9 +673,9 @@ function defaultWeightedComparison(otherObject, detailed = false) {
     let winningMethod = 'weighted';
 
     // Check if this is an IndividualName (has firstName, lastName, and comparisonWeights with those keys)
-    const isIndividualName = this.comparisonWeights &&
-        'firstName' in this.comparisonWeights &&
-        'lastName' in this.comparisonWeights &&
+    const isIndividualName = comparisonWeights &&
+        'firstName' in comparisonWeights &&
+        'lastName' in comparisonWeights &&
         (this.firstName !== undefined || this.lastName !== undefined);
 
     let permutationScore = null;
@@ -1631,274 +1636,18 @@ function contactInfoWeightedComparison(otherObject, detailed = false) {
 
 /**
  * Entity-level weighted comparison calculator
- * Compares Individual or AggregateHousehold entities using:
- * - name (IndividualName.compareTo)
- * - contactInfo (ContactInfo.compareTo)
- * - otherInfo (if both have it)
- * - legacyInfo (if both have it)
+ * Compares Individual or AggregateHousehold entities by name, contactInfo,
+ * otherInfo and legacyInfo using this entity's comparisonWeights.
  *
- * Following the "don't penalize for missing data" principle:
- * Only weights components where BOTH sides have data, then normalizes.
+ * The scoring itself lives in the entity scoring engine
+ * (matching/entityScoringEngine.js scoreWeightedEntityPair), shared with universalCompareTo().
  *
  * @param {Entity} otherObject - The other entity to compare against
  * @param {boolean} detailed - If true, returns detailed breakdown object instead of number
  * @returns {number|Object} Similarity score 0-1, or detailed breakdown object if detailed=true
  */
 function entityWeightedComparison(otherObject, detailed = false) {
-    const thisEntity = this;
-    const otherEntity = otherObject;
-
-    // Base weights from CLAUDE.md:
-    // Individual: {name: 0.5, contactInfo: 0.3, otherInfo: 0.15, legacyInfo: 0.05}
-    // We use the weights from comparisonWeights if set, otherwise defaults
-    const baseWeights = thisEntity.comparisonWeights || {
-        name: 0.5,
-        contactInfo: 0.3,
-        otherInfo: 0.15,
-        legacyInfo: 0.05
-    };
-
-    // First pass: calculate raw similarities for name and contactInfo
-    let nameSimilarity = null;
-    let contactInfoSimilarity = null;
-    let nameDetailedResult = null;
-    let contactInfoDetailedResult = null;
-
-    const hasNameData = thisEntity.name && otherEntity.name;
-    if (hasNameData) {
-        try {
-            // Use safeNumericCompare for proper IndividualName handling
-            const nameResult = window.safeNumericCompare
-                ? window.safeNumericCompare(thisEntity.name, otherEntity.name)
-                : (typeof thisEntity.name.compareTo === 'function' ? thisEntity.name.compareTo(otherEntity.name, true) : null);
-            if (nameResult !== null) {
-                if (typeof nameResult === 'number') {
-                    nameSimilarity = nameResult;
-                    nameDetailedResult = { overallSimilarity: nameResult };
-                } else {
-                    nameSimilarity = nameResult.overallSimilarity;
-                    nameDetailedResult = nameResult;
-                }
-            }
-        } catch (nameError) {
-            // nameSimilarity remains null - will be treated as missing data
-        }
-    }
-
-    const hasContactInfoData = thisEntity.contactInfo && otherEntity.contactInfo &&
-                               typeof thisEntity.contactInfo.compareTo === 'function';
-
-    // Check for same-location scenario: when two Block Island entities have suffixed
-    // fire numbers with the same base (e.g., 72J vs 72W), they are different owners
-    // at the same physical property. Primary address comparison would be meaningless.
-    const isSameLocation = areSameLocationEntities(thisEntity, otherEntity);
-
-    // DIAGNOSTIC: Log when isSameLocation triggers for cross-source comparisons
-    const source1 = thisEntity.sourceDatabase || 'unknown';
-    const source2 = otherEntity.sourceDatabase || 'unknown';
-    const isCrossSource = source1 !== source2;
-    // Diagnostic removed - was too verbose
-
-    if (hasContactInfoData) {
-        if (isSameLocation) {
-            // Same location: use secondary addresses only (primary addresses would match trivially)
-            contactInfoSimilarity = compareSecondaryAddressesOnly(thisEntity.contactInfo, otherEntity.contactInfo);
-            const fn1 = extractFireNumberFromEntity(thisEntity);
-            const fn2 = extractFireNumberFromEntity(otherEntity);
-            contactInfoDetailedResult = {
-                overallSimilarity: contactInfoSimilarity,
-                method: 'sameLocation_secondaryAddressesOnly',
-                note: `Same location (${fn1} vs ${fn2}): primary address excluded from comparison`
-            };
-        } else {
-            // Different locations: use full contactInfo comparison
-            const contactResult = thisEntity.contactInfo.compareTo(otherEntity.contactInfo, true);
-            if (typeof contactResult === 'number') {
-                contactInfoSimilarity = contactResult;
-                contactInfoDetailedResult = { overallSimilarity: contactResult };
-            } else {
-                contactInfoSimilarity = contactResult.overallSimilarity;
-                contactInfoDetailedResult = contactResult;
-            }
-        }
-    }
-
-    // Apply weight boost logic (NAME ONLY):
-    // - If name is 100%: +12% to name weight
-    // - If name is >95% (but <100%): +6% to name weight
-    // Boost is taken proportionally from other categories
-    let weights = { ...baseWeights };
-    let boostAmount = 0;
-
-    if (nameSimilarity !== null) {
-        // Check for 100% perfect name match boost (12%)
-        if (nameSimilarity === 1.0) {
-            boostAmount = 0.12;
-        }
-        // Check for >95% high name match boost (6%)
-        else if (nameSimilarity > 0.95) {
-            boostAmount = 0.06;
-        }
-    }
-
-    // Apply boost by redistributing from other categories proportionally
-    if (boostAmount > 0) {
-        // All non-name categories contribute to the boost
-        const nonBoostCategories = ['contactInfo', 'otherInfo', 'legacyInfo'];
-        const totalNonBoostWeight = nonBoostCategories.reduce((sum, cat) => sum + weights[cat], 0);
-
-        if (totalNonBoostWeight > 0) {
-            // Reduce each non-boost category proportionally
-            nonBoostCategories.forEach(cat => {
-                const proportion = weights[cat] / totalNonBoostWeight;
-                weights[cat] -= boostAmount * proportion;
-            });
-            // Add boost to name
-            weights.name += boostAmount;
-        }
-    }
-
-    // Second pass: calculate weighted sum with adjusted weights
-    let totalWeight = 0;
-    let weightedSum = 0;
-
-    if (hasNameData && nameSimilarity !== null) {
-        weightedSum += weights.name * nameSimilarity;
-        totalWeight += weights.name;
-    }
-
-    if (hasContactInfoData) {
-        weightedSum += weights.contactInfo * contactInfoSimilarity;
-        totalWeight += weights.contactInfo;
-    }
-
-    // Compare otherInfo (if both have it and it has compareTo)
-    const hasOtherInfoData = thisEntity.otherInfo && otherEntity.otherInfo &&
-                             typeof thisEntity.otherInfo.compareTo === 'function';
-    if (hasOtherInfoData) {
-        const otherInfoSimilarity = thisEntity.otherInfo.compareTo(otherEntity.otherInfo);
-        weightedSum += weights.otherInfo * otherInfoSimilarity;
-        totalWeight += weights.otherInfo;
-    }
-
-    // Compare legacyInfo (if both have it and it has compareTo)
-    const hasLegacyInfoData = thisEntity.legacyInfo && otherEntity.legacyInfo &&
-                              typeof thisEntity.legacyInfo.compareTo === 'function';
-    if (hasLegacyInfoData) {
-        const legacyInfoSimilarity = thisEntity.legacyInfo.compareTo(otherEntity.legacyInfo);
-        weightedSum += weights.legacyInfo * legacyInfoSimilarity;
-        totalWeight += weights.legacyInfo;
-    }
-
-    // If no components have data, return 0
-    if (totalWeight === 0) {
-        return detailed ? { overallSimilarity: 0, components: {}, checkSum: 0 } : 0;
-    }
-
-    // Precision: 10 decimal places
-    const PRECISION = 10000000000; // 10^10
-    const round10 = (val) => Math.round(val * PRECISION) / PRECISION;
-
-    // Normalize by total weight (so missing data doesn't penalize)
-    let overallSimilarity = round10(weightedSum / totalWeight);
-
-    // Apply penalties for missing critical data
-    // These penalties are applied AFTER the weighted calculation
-    const MISSING_NAME_PENALTY = 0.04;
-    const MISSING_CONTACTINFO_PENALTY = 0.03;
-    let totalPenalty = 0;
-
-    // Check if name data is truly missing (either no compareTo method or comparison threw error)
-    const nameDataMissing = !hasNameData || nameSimilarity === null;
-    if (nameDataMissing) {
-        totalPenalty += MISSING_NAME_PENALTY;
-    }
-    if (!hasContactInfoData) {
-        totalPenalty += MISSING_CONTACTINFO_PENALTY;
-    }
-
-    // Apply penalty and ensure score doesn't go below 0
-    if (totalPenalty > 0) {
-        overallSimilarity = round10(Math.max(0, overallSimilarity - totalPenalty));
-    }
-
-    if (!detailed) {
-        return overallSimilarity;
-    }
-
-    // Build detailed breakdown - only include components with weight
-    const components = {};
-    let weightedValueSum = 0;
-
-    if (hasNameData) {
-        const actualWeight = round10(weights.name / totalWeight);
-        const similarity = round10(nameSimilarity);
-        const weightedValue = round10(actualWeight * similarity);
-        components.name = {
-            actualWeight: actualWeight,
-            similarity: similarity,
-            weightedValue: weightedValue
-        };
-        weightedValueSum += weightedValue;
-    }
-
-    if (hasContactInfoData) {
-        const actualWeight = round10(weights.contactInfo / totalWeight);
-        const similarity = round10(contactInfoSimilarity);
-        const weightedValue = round10(actualWeight * similarity);
-        components.contactInfo = {
-            actualWeight: actualWeight,
-            similarity: similarity,
-            weightedValue: weightedValue
-        };
-        weightedValueSum += weightedValue;
-    }
-
-    if (hasOtherInfoData) {
-        const otherInfoSimilarity = thisEntity.otherInfo.compareTo(otherEntity.otherInfo);
-        const actualWeight = round10(weights.otherInfo / totalWeight);
-        const similarity = round10(otherInfoSimilarity);
-        const weightedValue = round10(actualWeight * similarity);
-        components.otherInfo = {
-            actualWeight: actualWeight,
-            similarity: similarity,
-            weightedValue: weightedValue
-        };
-        weightedValueSum += weightedValue;
-    }
-
-    if (hasLegacyInfoData) {
-        const legacyInfoSimilarity = thisEntity.legacyInfo.compareTo(otherEntity.legacyInfo);
-        const actualWeight = round10(weights.legacyInfo / totalWeight);
-        const similarity = round10(legacyInfoSimilarity);
-        const weightedValue = round10(actualWeight * similarity);
-        components.legacyInfo = {
-            actualWeight: actualWeight,
-            similarity: similarity,
-            weightedValue: weightedValue
-        };
-        weightedValueSum += weightedValue;
-    }
-
-    // checkSum: overallSimilarity minus sum of weightedValues minus penalty (should be 0 for validation)
-    const checkSum = round10(overallSimilarity - weightedValueSum + totalPenalty);
-
-    return {
-        overallSimilarity: overallSimilarity,
-        components: components,
-        checkSum: checkSum,
-        // Include penalty information
-        penalties: {
-            missingName: !hasNameData ? MISSING_NAME_PENALTY : 0,
-            missingContactInfo: !hasContactInfoData ? MISSING_CONTACTINFO_PENALTY : 0,
-            totalPenalty: totalPenalty
-        },
-        // Include subordinate detailed results for reconciliation
-        subordinateDetails: {
-            name: nameDetailedResult,
-            contactInfo: contactInfoDetailedResult
-        }
-    };
+    return scoreWeightedEntityPair(this, otherObject, detailed);
 }
 
 // =============================================================================
@@ -3035,7 +2784,7 @@ function traceEntityComparison(key1, key2) {
     console.log('STEP 8: WEIGHT CALCULATION');
     console.log('───────────────────────────────────────────────────────────────────');
 
-    const baseWeights = entity1.comparisonWeights || {
+    const baseWeights = (typeof resolveComparisonWeights === 'function' ? resolveComparisonWeights(entity1) : entity1.comparisonWeights) || {
         name: 0.5,
         contactInfo: 0.3,
         otherInfo: 0.15,
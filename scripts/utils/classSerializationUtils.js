@@ -69,6 +69,8 @@ const CLASS_REGISTRY = {
     'SupplementalDataDatabase': typeof SupplementalDataDatabase !== 'undefined' ? SupplementalDataDatabase : null,
     'PhonebookEntry': typeof PhonebookEntry !== 'undefined' ? PhonebookEntry : null,
     'PhonebookDatabase': typeof PhonebookDatabase !== 'undefined' ? PhonebookDatabase : null,
+    'EmailEntry': typeof EmailEntry !== 'undefined' ? EmailEntry : null,
+    'EmailDatabase': typeof EmailDatabase !== 'undefined' ? EmailDatabase : null,
 
     // EntityGroup Classes
     'EntityGroup': typeof EntityGroup !== 'undefined' ? EntityGroup : null,
@@ -182,9 +184,11 @@ function serializeWithTypes(obj) {
  *
  * @param {string} jsonString - JSON string with type information
  * @param {Object} classRegistry - Optional custom class registry (defaults to CLASS_REGISTRY)
+ * @param {Object} [migration] - From startSerializationMigration() (serializationMigrations.js):
+ *   upgrades each typed object saved under an older schema before its class is restored
  * @returns {*} Deserialized object with restored class instances
  */
-function deserializeWithTypes(jsonString, classRegistry = CLASS_REGISTRY) {
+function deserializeWithTypes(jsonString, classRegistry = CLASS_REGISTRY, migration = null) {
     try {
         return JSON.parse(jsonString, function(key, value) {
             // Handle null/undefined/primitives
@@ -201,6 +205,10 @@ function deserializeWithTypes(jsonString, classRegistry = CLASS_REGISTRY) {
             if (value.type) {
                 const className = value.type;
 
+                if (migration) {
+                    migration.upgrade(value);
+                }
+
                 // Handle built-in types
                 if (className === 'Map') {
                     return new Map(value.__data);
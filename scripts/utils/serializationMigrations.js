@@ -0,0 +1,262 @@
+/**
+ * Serialization Migrations - Upgrade saved databases across class changes
+ *
+ * deserializeWithTypes() restores instances with Object.create(prototype), so
+ * constructors never run on loaded data: a property added to a class is
+ * undefined on everything saved before, and a moved or renamed property stays
+ * where it was. Instead of a one-off migration plan per change, each saved
+ * database records the schema version it was written under (schemaVersion in
+ * its integrity block, see scripts/core/databaseIntegrity.js) and registered
+ * upgrade steps bring older data up to SERIALIZATION_SCHEMA_VERSION on load.
+ *
+ * A step upgrades one version to the next with a function per class name. The
+ * function gets the serialized object (a plain object with its `type` field,
+ * nested objects already restored) and returns true if it changed it. A class
+ * name also matches its subclasses. Steps must leave objects already in the
+ * new shape alone, since files saved before schema versions existed are
+ * treated as LEGACY_SCHEMA_VERSION whatever shape they are in.
+ *
+ * ADDING A CLASS CHANGE:
+ *   1. Raise SERIALIZATION_SCHEMA_VERSION
+ *   2. Register the step in REGISTERED MIGRATIONS below:
+ *        registerSerializationMigration({
+ *            from: 3, to: 4,
+ *            description: 'Move islandPhone into CollectivePhone',
+ *            upgrades: { ContactInfo: (data) => { ...; return true; } }
+ *        });
+ *
+ * USAGE:
+ *   const { value, report } = deserializeWithMigrations(json, schemaVersion);
+ *   console.log(formatSerializationMigrationReport(report));
+ *   await dryRunDatabaseMigration(fileId, 'EntityGroupDatabase');  // report only, nothing loaded
+ */
+
+// Schema version written by this code
+const SERIALIZATION_SCHEMA_VERSION = 2;
+
+// Schema version assumed for files saved before schema versions were recorded
+const LEGACY_SCHEMA_VERSION = 1;
+
+// Registered steps, ordered by from-version
+const SERIALIZATION_MIGRATIONS = [];
+
+/**
+ * Register an upgrade step
+ * @param {Object} migration
+ * @param {number} migration.from - Schema version the step reads
+ * @param {number} migration.to - from + 1
+ * @param {string} migration.description - Shown in migration reports
+ * @param {Object<string, Function>} migration.upgrades - Class name -> function(data) returning true if it changed data
+ */
+function registerSerializationMigration(migration) {
+    const { from, to, description, upgrades } = migration;
+    if (!Number.isInteger(from) || to !== from + 1) {
+        throw new Error(`Serialization migration must go up one version (got ${from} -> ${to})`);
+    }
+    if (to > SERIALIZATION_SCHEMA_VERSION) {
+        throw new Error(`Serialization migration ${from} -> ${to} is past SERIALIZATION_SCHEMA_VERSION ` +
+            `${SERIALIZATION_SCHEMA_VERSION}; raise it first`);
+    }
+    if (SERIALIZATION_MIGRATIONS.some(m => m.from === from)) {
+        throw new Error(`Serialization migration ${from} -> ${to} is already registered`);
+    }
+    if (!description || !upgrades || Object.keys(upgrades).length === 0) {
+        throw new Error(`Serialization migration ${from} -> ${to} needs a description and at least one class upgrade`);
+    }
+    SERIALIZATION_MIGRATIONS.push({ from, to, description, upgrades });
+    SERIALIZATION_MIGRATIONS.sort((a, b) => a.from - b.from);
+}
+
+/**
+ * Schema version a saved database was written under
+ * @param {Object|null} integrity - Integrity block (null for files saved before integrity blocks)
+ * @returns {number}
+ */
+function getSavedSchemaVersion(integrity) {
+    return (integrity && integrity.schemaVersion) || LEGACY_SCHEMA_VERSION;
+}
+
+/**
+ * Start upgrading data saved under fromVersion. Pass the result to
+ * deserializeWithTypes() (one or many calls, e.g. one per bulk file entry)
+ * and read the counts from report() afterwards.
+ * @param {number} fromVersion - Schema version the data was saved under
+ * @param {Object} [classRegistry] - Registry used to match subclasses (defaults to CLASS_REGISTRY)
+ * @returns {{fromVersion: number, toVersion: number, upgrade: Function, report: Function}}
+ * @throws {Error} Data saved under a newer schema than this code knows
+ */
+function startSerializationMigration(fromVersion, classRegistry = CLASS_REGISTRY) {
+    if (fromVersion > SERIALIZATION_SCHEMA_VERSION) {
+        throw new Error(`Data was saved under schema version ${fromVersion}; this version reads up to ` +
+            `${SERIALIZATION_SCHEMA_VERSION}. Update the application before loading it.`);
+    }
+    const steps = SERIALIZATION_MIGRATIONS
+        .filter(m => m.from >= fromVersion)
+        .map(m => ({ migration: m, touched: 0, byClass: {} }));
+
+    // Class name -> [{step, targetClass, upgrade}], built on first sight of each class
+    const upgradesByClass = new Map();
+    const upgradesFor = (className) => {
+        if (!upgradesByClass.has(className)) {
+            const Class = classRegistry[className];
+            const found = [];
+            for (const step of steps) {
+                for (const [targetClass, upgrade] of Object.entries(step.migration.upgrades)) {
+                    const Target = classRegistry[targetClass];
+                    if (className === targetClass || (Class && Target && Class.prototype instanceof Target)) {
+                        found.push({ step, upgrade });
+                    }
+                }
+            }
+            upgradesByClass.set(className, found);
+        }
+        return upgradesByClass.get(className);
+    };
+
+    return {
+        fromVersion: fromVersion,
+        toVersion: SERIALIZATION_SCHEMA_VERSION,
+
+        /**
+         * Run the pending steps on one serialized object (called by deserializeWithTypes)
+         * @param {Object} data - Serialized object with its type field
+         */
+        upgrade(data) {
+            if (steps.length === 0) {
+                return;
+            }
+            for (const { step, upgrade } of upgradesFor(data.type)) {
+                if (upgrade(data)) {
+                    step.touched++;
+                    step.byClass[data.type] = (step.byClass[data.type] || 0) + 1;
+                }
+            }
+        },
+
+        /**
+         * Objects touched by each step so far
+         * @returns {{fromVersion: number, toVersion: number, steps: Array<Object>}}
+         */
+        report() {
+            return {
+                fromVersion: fromVersion,
+                toVersion: SERIALIZATION_SCHEMA_VERSION,
+                steps: steps.map(s => ({
+                    from: s.migration.from,
+                    to: s.migration.to,
+                    description: s.migration.description,
+                    touched: s.touched,
+                    byClass: { ...s.byClass }
+                }))
+            };
+        }
+    };
+}
+
+/**
+ * Deserialize data saved under fromVersion, upgrading it to the current schema
+ * @param {string} jsonString - Serialized data
+ * @param {number} fromVersion - Schema version it was saved under
+ * @returns {{value: *, report: Object}}
+ */
+function deserializeWithMigrations(jsonString, fromVersion) {
+    const migration = startSerializationMigration(fromVersion);
+    const value = deserializeWithTypes(jsonString, CLASS_REGISTRY, migration);
+    return { value, report: migration.report() };
+}
+
+/**
+ * Readable summary of a migration report
+ * @param {Object} report - From deserializeWithMigrations() or migration.report()
+ * @returns {string}
+ */
+function formatSerializationMigrationReport(report) {
+    if (report.steps.length === 0) {
+        return `Schema version ${report.toVersion}: no migrations needed`;
+    }
+    const lines = [`Schema version ${report.fromVersion} -> ${report.toVersion}:`];
+    for (const step of report.steps) {
+        const classes = Object.entries(step.byClass).map(([name, count]) => `${name} ${count}`).join(', ');
+        lines.push(`  v${step.from} -> v${step.to} ${step.description}: ${step.touched} objects` +
+            (classes ? ` (${classes})` : ''));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Report what loading a saved database would migrate, without loading it
+ * (nothing is set on window and nothing is saved)
+ * @param {string} fileId - File ID in the active storage
+ * @param {string} database - 'UnifiedEntityDatabase', 'EntityGroupDatabase' or 'IndividualNameDatabaseBulk'
+ * @returns {Promise<Object>} Migration report
+ */
+async function dryRunDatabaseMigration(fileId, database) {
+    const checked = readDatabaseIntegrity(await getStorageAdapter().readFile(fileId), database, fileId);
+    const migration = startSerializationMigration(getSavedSchemaVersion(checked.integrity));
+    if (database === 'IndividualNameDatabaseBulk') {
+        for (const entryData of Object.values(JSON.parse(checked.content).entries || {})) {
+            deserializeWithTypes(entryData.object, CLASS_REGISTRY, migration);
+        }
+    } else {
+        deserializeWithTypes(checked.content, CLASS_REGISTRY, migration);
+    }
+    const report = migration.report();
+    console.log(`[SerializationMigrations] Dry run, ${database} file ${fileId}\n` +
+        formatSerializationMigrationReport(report));
+    return report;
+}
+
+// =============================================================================
+// REGISTERED MIGRATIONS
+// =============================================================================
+
+/**
+ * Set properties missing from data saved before they existed
+ * @param {Object} data
+ * @param {Object} defaults - Property -> value
+ * @returns {boolean} True if any property was added
+ */
+function addMissingProperties(data, defaults) {
+    let changed = false;
+    for (const [property, value] of Object.entries(defaults)) {
+        if (!(property in data)) {
+            data[property] = value;
+            changed = true;
+        }
+    }
+    return changed;
+}
+
+registerSerializationMigration({
+    from: 1,
+    to: 2,
+    description: 'Add OtherInfo property details and EntityGroupDatabase build summaries',
+    upgrades: {
+        OtherInfo: (data) => addMissingProperties(data, {
+            assessmentHistory: null,
+            appraisalHistory: null,
+            salesHistory: null,
+            landAcres: null,
+            yearBuilt: null,
+            livingArea: null
+        }),
+        EntityGroupDatabase: (data) => addMissingProperties(data, {
+            matchingProfile: null,
+            incrementalBuild: null,
+            blocking: null
+        })
+    }
+});
+
+// Export for browser global access
+if (typeof window !== 'undefined') {
+    window.SERIALIZATION_SCHEMA_VERSION = SERIALIZATION_SCHEMA_VERSION;
+    window.LEGACY_SCHEMA_VERSION = LEGACY_SCHEMA_VERSION;
+    window.SERIALIZATION_MIGRATIONS = SERIALIZATION_MIGRATIONS;
+    window.registerSerializationMigration = registerSerializationMigration;
+    window.getSavedSchemaVersion = getSavedSchemaVersion;
+    window.startSerializationMigration = startSerializationMigration;
+    window.deserializeWithMigrations = deserializeWithMigrations;
+    window.formatSerializationMigrationReport = formatSerializationMigrationReport;
+    window.dryRunDatabaseMigration = dryRunDatabaseMigration;
+}
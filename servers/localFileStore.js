@@ -0,0 +1,279 @@
+'use strict';
+
+/**
+ * Local File Store - Google Drive stand-in backed by a local directory
+ *
+ * Mirrors the subset of Google Drive the databases use: files addressed by ID,
+ * a name and parent folder per file, rename, move between folders, trash, list.
+ *
+ * LAYOUT:
+ *   <root>/files/<fileId>   File contents, stored as-is
+ *   <root>/manifest.json    { files: { <fileId>: { name, parents, trashed, modifiedTime, version } } }
+ *
+ * VERSIONS: every write raises the file's version by one (a created file is
+ * version 1, a file with no manifest entry version 0). A write may pass the
+ * version its caller last read ({ expectedVersion }); if another write came
+ * first it is refused with a VersionConflictError, so two tabs (or a tab and a
+ * CLI run) cannot silently overwrite each other's work. The manifest is the
+ * commit point: content is written to <fileId>.v<version>.tmp, the manifest is
+ * updated, then the temp file is renamed into place. A temp file left at the
+ * manifest's version by a crash is renamed into place on the next access.
+ *
+ * Files keep their Google Drive IDs, so a fixture directory is made by dropping
+ * downloaded Drive files into <root>/files/ under their existing IDs; the hardcoded
+ * file IDs throughout the codebase then resolve locally. Files with no manifest
+ * entry are readable and writable; they simply have no name or parents.
+ *
+ * Used by the /api/storage routes in server.js, and directly as a storage
+ * adapter in Node (same method names as the browser adapters in
+ * scripts/core/storageAdapters.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Write refused because the file changed since the caller read it
+ */
+class VersionConflictError extends Error {
+    /**
+     * @param {string} fileId
+     * @param {number} expectedVersion - Version the caller read
+     * @param {number} currentVersion - Version in the manifest
+     */
+    constructor(fileId, expectedVersion, currentVersion) {
+        super(`Version conflict on ${fileId}: writing over version ${expectedVersion}, but the stored version is ${currentVersion}`);
+        this.name = 'VersionConflictError';
+        this.status = 409;
+        this.currentVersion = currentVersion;
+    }
+}
+
+class LocalFileStore {
+    /**
+     * @param {string} rootDir - Directory holding files/ and manifest.json (created if missing)
+     */
+    constructor(rootDir) {
+        this.name = 'local';
+        this.rootDir = path.resolve(rootDir);
+        this.filesDir = path.join(this.rootDir, 'files');
+        this.manifestPath = path.join(this.rootDir, 'manifest.json');
+        fs.mkdirSync(this.filesDir, { recursive: true });
+    }
+
+    // =========================================================================
+    // MANIFEST
+    // =========================================================================
+
+    _loadManifest() {
+        if (!fs.existsSync(this.manifestPath)) {
+            return { files: {} };
+        }
+        return JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+    }
+
+    _saveManifest(manifest) {
+        const tempPath = `${this.manifestPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2));
+        fs.renameSync(tempPath, this.manifestPath);
+    }
+
+    _updateManifestEntry(fileId, changes) {
+        const manifest = this._loadManifest();
+        const current = manifest.files[fileId] || { name: null, parents: [], trashed: false, version: 0 };
+        manifest.files[fileId] = { ...current, ...changes, modifiedTime: new Date().toISOString() };
+        this._saveManifest(manifest);
+        return manifest.files[fileId];
+    }
+
+    /**
+     * Resolve the path for a file ID, rejecting anything that is not a plain ID
+     * @param {string} fileId
+     * @returns {string}
+     */
+    _filePath(fileId) {
+        if (!fileId || typeof fileId !== 'string' || fileId !== path.basename(fileId) || fileId.startsWith('.')) {
+            throw new Error(`Invalid file ID: ${fileId}`);
+        }
+        return path.join(this.filesDir, fileId);
+    }
+
+    _pendingPath(fileId, version) {
+        return `${this._filePath(fileId)}.v${version}.tmp`;
+    }
+
+    /**
+     * Current version of a file, first finishing a write that was committed to
+     * the manifest but not renamed into place
+     * @param {string} fileId
+     * @returns {number} 0 if the file has no manifest entry
+     */
+    _currentVersion(fileId) {
+        const version = this._loadManifest().files[fileId]?.version || 0;
+        const pendingPath = this._pendingPath(fileId, version);
+        if (version > 0 && fs.existsSync(pendingPath)) {
+            fs.renameSync(pendingPath, this._filePath(fileId));
+        }
+        return version;
+    }
+
+    _generateFileId() {
+        return `local_${Date.now().toString(36)}_${crypto.randomBytes(6).toString('hex')}`;
+    }
+
+    // =========================================================================
+    // STORAGE ADAPTER INTERFACE
+    // =========================================================================
+
+    /**
+     * Read file contents
+     * @param {string} fileId
+     * @returns {Promise<string>}
+     */
+    async readFile(fileId) {
+        return (await this.readFileWithVersion(fileId)).content;
+    }
+
+    /**
+     * Read file contents and the version they belong to
+     * @param {string} fileId
+     * @returns {Promise<{content: string, version: number}>}
+     */
+    async readFileWithVersion(fileId) {
+        const filePath = this._filePath(fileId);
+        const version = this._currentVersion(fileId);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`File not found: ${fileId}`);
+        }
+        return { content: fs.readFileSync(filePath, 'utf8'), version };
+    }
+
+    /**
+     * Replace file contents and raise the version (see VERSIONS above). The
+     * check and the write run without yielding, so writes cannot interleave.
+     * @param {string} fileId
+     * @param {string} content
+     * @param {Object} [options]
+     * @param {number} [options.expectedVersion] - Version the caller read; omit to write unconditionally
+     * @returns {Promise<{id: string, version: number}>}
+     * @throws {VersionConflictError} The stored version is not expectedVersion
+     */
+    async writeFile(fileId, content, options = {}) {
+        const currentVersion = this._currentVersion(fileId);
+        const { expectedVersion } = options;
+        if (expectedVersion !== undefined && expectedVersion !== null) {
+            if (!Number.isInteger(expectedVersion) || expectedVersion < 0) {
+                throw new Error(`Invalid version for ${fileId}: ${expectedVersion} (send the version last read)`);
+            }
+            if (expectedVersion !== currentVersion) {
+                throw new VersionConflictError(fileId, expectedVersion, currentVersion);
+            }
+        }
+
+        const version = currentVersion + 1;
+        const pendingPath = this._pendingPath(fileId, version);
+        fs.writeFileSync(pendingPath, content);
+        this._updateManifestEntry(fileId, { version });
+        fs.renameSync(pendingPath, this._filePath(fileId));
+        return { id: fileId, version };
+    }
+
+    /**
+     * Create a new file
+     * @param {string} name - File name
+     * @param {string|null} parentId - Folder ID
+     * @param {string} content - File contents
+     * @returns {Promise<string>} New file ID
+     */
+    async createFile(name, parentId, content) {
+        const fileId = this._generateFileId();
+        fs.writeFileSync(this._filePath(fileId), content);
+        this._updateManifestEntry(fileId, { name, parents: parentId ? [parentId] : [], trashed: false, version: 1 });
+        return fileId;
+    }
+
+    /**
+     * Rename a file
+     * @param {string} fileId
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    async renameFile(fileId, name) {
+        this._filePath(fileId);
+        this._updateManifestEntry(fileId, { name });
+    }
+
+    /**
+     * Soft delete: move to the deleted folder with a DELETED_ name, or trash
+     * when no deleted folder is configured
+     * @param {string} fileId
+     * @param {Object} options
+     * @param {string} [options.folderId] - Current folder
+     * @param {string} [options.deletedFolderId] - Deleted folder (null = trash)
+     * @param {string} [options.name] - New name for the moved file
+     * @returns {Promise<void>}
+     */
+    async moveToDeleted(fileId, options = {}) {
+        this._filePath(fileId);
+        if (options.deletedFolderId) {
+            const manifest = this._loadManifest();
+            const parents = (manifest.files[fileId]?.parents || []).filter(p => p !== options.folderId);
+            parents.push(options.deletedFolderId);
+            this._updateManifestEntry(fileId, { parents, ...(options.name ? { name: options.name } : {}) });
+        } else {
+            this._updateManifestEntry(fileId, { trashed: true });
+        }
+    }
+
+    /**
+     * Permanently delete a file
+     * @param {string} fileId
+     * @returns {Promise<void>}
+     */
+    async deleteFile(fileId) {
+        const filePath = this._filePath(fileId);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+        const manifest = this._loadManifest();
+        delete manifest.files[fileId];
+        this._saveManifest(manifest);
+    }
+
+    /**
+     * List non-trashed files in a folder
+     * @param {string} folderId
+     * @returns {Promise<Array<{id: string, name: string}>>}
+     */
+    async listFolder(folderId) {
+        const manifest = this._loadManifest();
+        return Object.entries(manifest.files)
+            .filter(([, meta]) => !meta.trashed && (meta.parents || []).includes(folderId))
+            .map(([id, meta]) => ({ id, name: meta.name }));
+    }
+
+    /**
+     * File metadata
+     * @param {string} fileId
+     * @returns {Promise<{id: string, name: string|null, size: number, parents: Array, modifiedTime: string|null, version: number}>}
+     */
+    async getFileMetadata(fileId) {
+        const filePath = this._filePath(fileId);
+        const version = this._currentVersion(fileId);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`File not found: ${fileId}`);
+        }
+        const meta = this._loadManifest().files[fileId] || {};
+        return {
+            id: fileId,
+            name: meta.name || null,
+            size: fs.statSync(filePath).size,
+            parents: meta.parents || [],
+            modifiedTime: meta.modifiedTime || null,
+            version
+        };
+    }
+}
+
+module.exports = { LocalFileStore, VersionConflictError };
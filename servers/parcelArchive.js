@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * Parcel Archive - VisionAppraisal parcel pages kept on disk by PID and date
+ *
+ * While caching is on, fourthButterClick() stores every Parcel.aspx page it
+ * fetches here, unmodified. replayParcelArchive() (scripts/core/parcelArchive.js)
+ * later rebuilds everyThingWithPid.json from the stored pages without touching
+ * the VisionAppraisal website - to re-run extraction after a parser fix, or to
+ * look at an earlier year's assessments.
+ *
+ * LAYOUT:
+ *   <root>/<YYYY-MM-DD>/<pid>.html   Page as fetched on that date (a later fetch
+ *                                    on the same date replaces it)
+ *
+ * A snapshot "as of" a date is the newest page of each PID fetched on or before
+ * that date, so a scrape spread over several days (Go Again) replays as one.
+ *
+ * Used by the /api/parcel-archive routes in server.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PID_PATTERN = /^\d+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class ParcelArchive {
+    /**
+     * @param {string} rootDir - Archive directory (created if missing)
+     */
+    constructor(rootDir) {
+        this.rootDir = path.resolve(rootDir);
+        fs.mkdirSync(this.rootDir, { recursive: true });
+    }
+
+    /**
+     * Today's date as YYYY-MM-DD (local time - the date the page was fetched)
+     * @returns {string}
+     */
+    static today() {
+        const now = new Date();
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    }
+
+    _checkPid(pid) {
+        if (typeof pid !== 'string' || !PID_PATTERN.test(pid)) {
+            throw new Error(`Invalid PID: ${pid}`);
+        }
+    }
+
+    _checkDate(date) {
+        if (typeof date !== 'string' || !DATE_PATTERN.test(date)) {
+            throw new Error(`Invalid date (expected YYYY-MM-DD): ${date}`);
+        }
+    }
+
+    _pagePath(pid, date) {
+        this._checkPid(pid);
+        this._checkDate(date);
+        return path.join(this.rootDir, date, `${pid}.html`);
+    }
+
+    /**
+     * Dates with at least one stored page, oldest first
+     * @returns {Array<string>}
+     */
+    _dates() {
+        return fs.readdirSync(this.rootDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && DATE_PATTERN.test(entry.name))
+            .map(entry => entry.name)
+            .sort();
+    }
+
+    _pidsOn(date) {
+        return fs.readdirSync(path.join(this.rootDir, date))
+            .filter(name => name.endsWith('.html') && PID_PATTERN.test(name.slice(0, -5)))
+            .map(name => name.slice(0, -5));
+    }
+
+    /**
+     * Store a fetched page. Written to a temp file first, then renamed into place.
+     * @param {string} pid
+     * @param {string} html - Page exactly as fetched
+     * @param {string} [date] - Fetch date (default: today)
+     * @returns {Promise<{pid: string, date: string, size: number}>}
+     */
+    async savePage(pid, html, date = ParcelArchive.today()) {
+        if (typeof html !== 'string' || html.length === 0) {
+            throw new Error(`Empty page for PID ${pid}`);
+        }
+        const pagePath = this._pagePath(pid, date);
+        fs.mkdirSync(path.dirname(pagePath), { recursive: true });
+        const tempPath = `${pagePath}.tmp`;
+        fs.writeFileSync(tempPath, html);
+        fs.renameSync(tempPath, pagePath);
+        return { pid, date, size: Buffer.byteLength(html) };
+    }
+
+    /**
+     * Read a stored page
+     * @param {string} pid
+     * @param {string} date
+     * @returns {Promise<string>}
+     */
+    async readPage(pid, date) {
+        const pagePath = this._pagePath(pid, date);
+        if (!fs.existsSync(pagePath)) {
+            throw new Error(`Page not found: PID ${pid} on ${date}`);
+        }
+        return fs.readFileSync(pagePath, 'utf8');
+    }
+
+    /**
+     * Fetch dates and how many pages each holds
+     * @returns {Promise<Array<{date: string, pages: number}>>}
+     */
+    async listSnapshots() {
+        return this._dates().map(date => ({ date, pages: this._pidsOn(date).length }));
+    }
+
+    /**
+     * Newest stored page of each PID, fetched on or before asOf
+     * @param {Object} [options]
+     * @param {string} [options.asOf] - YYYY-MM-DD (default: every date)
+     * @returns {Promise<Array<{pid: string, date: string}>>} Sorted by PID
+     */
+    async listPages(options = {}) {
+        if (options.asOf !== undefined) {
+            this._checkDate(options.asOf);
+        }
+        const newest = new Map();
+        for (const date of this._dates()) {
+            if (options.asOf !== undefined && date > options.asOf) break;
+            for (const pid of this._pidsOn(date)) {
+                newest.set(pid, date);
+            }
+        }
+        return [...newest.entries()]
+            .map(([pid, date]) => ({ pid, date }))
+            .sort((a, b) => Number(a.pid) - Number(b.pid));
+    }
+}
+
+module.exports = { ParcelArchive };
@@ -26,6 +26,8 @@ app.use(express.json({ limit: '10mb' })); // Add JSON parsing middleware with in
 
 const fs = require('fs');
 const path = require('path');
+const { LocalFileStore } = require('./localFileStore');
+const { ParcelArchive } = require('./parcelArchive');
 
 const agent = new https.Agent({
     rejectUnauthorized: false
@@ -77,6 +79,142 @@ app.get('/visionappraisal-data', (req, res) => {
     });
 });
 
+// ============================================================================
+// LOCAL STORAGE API - Google Drive stand-in used by LocalDirectoryStorageAdapter
+// (scripts/core/storageAdapters.js). MUST be before /:dis catch-all route.
+// File contents travel as text/plain so the 10mb JSON parser above is bypassed.
+// GET returns the file's version in X-File-Version; PUT may send
+// ?version=<version last read> and gets 409 if another write came first.
+// ============================================================================
+const localStore = new LocalFileStore(process.env.LOCAL_STORE_DIR || path.join(__dirname, 'Results', 'localStore'));
+const storageBody = express.text({ type: 'text/plain', limit: '1gb' });
+
+// Send a LocalFileStore / ParcelArchive error as 404 (missing file),
+// 409 (version conflict, with the stored version) or 400 (bad request)
+function sendStorageError(res, error) {
+    if (error.status === 409) {
+        res.status(409).json({ error: error.message, currentVersion: error.currentVersion });
+        return;
+    }
+    const status = /not found/i.test(error.message) ? 404 : 400;
+    res.status(status).json({ error: error.message });
+}
+
+app.get('/api/storage/files/:fileId', async (req, res) => {
+    try {
+        const { content, version } = await localStore.readFileWithVersion(req.params.fileId);
+        res.set('X-File-Version', String(version));
+        res.set('Access-Control-Expose-Headers', 'X-File-Version');
+        res.type('text/plain').send(content);
+    } catch (error) {
+        sendStorageError(res, error);
+    }
+});
+
+app.put('/api/storage/files/:fileId', storageBody, async (req, res) => {
+    try {
+        if (req.query.version !== undefined && !/^\d+$/.test(req.query.version)) {
+            throw new Error(`Invalid version: ${req.query.version} (send the version last read)`);
+        }
+        const expectedVersion = req.query.version === undefined ? undefined : Number(req.query.version);
+        res.json({ success: true, ...await localStore.writeFile(req.params.fileId, req.body, { expectedVersion }) });
+    } catch (error) {
+        sendStorageError(res, error);
+    }
+});
+
+app.post('/api/storage/files', storageBody, async (req, res) => {
+    try {
+        const id = await localStore.createFile(req.query.name || 'untitled.json', req.query.parentId || null, req.body);
+        res.json({ success: true, id });
+    } catch (error) {
+        sendStorageError(res, error);
+    }
+});
+
+app.get('/api/storage/files/:fileId/metadata', async (req, res) => {
+    try {
+        res.json(await localStore.getFileMetadata(req.params.fileId));
+    } catch (error) {
+        sendStorageError(res, error);
+    }
+});
+
+app.patch('/api/storage/files/:fileId/metadata', async (req, res) => {
+    try {
+        if (req.body && req.body.name) {
+            await localStore.renameFile(req.params.fileId, req.body.name);
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendStorageError(res, error);
+    }
+});
+
+app.post('/api/storage/files/:fileId/move-to-deleted', async (req, res) => {
+    try {
+        await localStore.moveToDeleted(req.params.fileId, req.body || {});
+        res.json({ success: true });
+    } catch (error) {
+        sendStorageError(res, error);
+    }
+});
+
+app.delete('/api/storage/files/:fileId', async (req, res) => {
+    try {
+        await localStore.deleteFile(req.params.fileId);
+        res.json({ success: true });
+    } catch (error) {
+        sendStorageError(res, error);
+    }
+});
+
+app.get('/api/storage/folders/:folderId/files', async (req, res) => {
+    try {
+        res.json(await localStore.listFolder(req.params.folderId));
+    } catch (error) {
+        sendStorageError(res, error);
+    }
+});
+
+// ============================================================================
+// PARCEL ARCHIVE API - VisionAppraisal parcel pages by PID and fetch date, for
+// offline replay (servers/parcelArchive.js). MUST be before /:dis catch-all route.
+// ============================================================================
+const parcelArchive = new ParcelArchive(process.env.PARCEL_ARCHIVE_DIR || path.join(__dirname, 'Results', 'parcelArchive'));
+
+app.put('/api/parcel-archive/pages/:pid', storageBody, async (req, res) => {
+    try {
+        res.json({ success: true, ...await parcelArchive.savePage(req.params.pid, req.body, req.query.date || undefined) });
+    } catch (error) {
+        sendStorageError(res, error);
+    }
+});
+
+app.get('/api/parcel-archive/pages/:pid', async (req, res) => {
+    try {
+        res.type('text/html').send(await parcelArchive.readPage(req.params.pid, req.query.date));
+    } catch (error) {
+        sendStorageError(res, error);
+    }
+});
+
+app.get('/api/parcel-archive/pages', async (req, res) => {
+    try {
+        res.json(await parcelArchive.listPages({ asOf: req.query.asOf || undefined }));
+    } catch (error) {
+        sendStorageError(res, error);
+    }
+});
+
+app.get('/api/parcel-archive/snapshots', async (req, res) => {
+    try {
+        res.json(await parcelArchive.listSnapshots());
+    } catch (error) {
+        sendStorageError(res, error);
+    }
+});
+
 app.get('/:dis', (req, res) => {
     process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
     let newEndpoint = process.env.API_BASE_URL + "/" + req.params.dis + "?";
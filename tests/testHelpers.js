@@ -0,0 +1,62 @@
+// Shared helpers for the tests/test_*.js scripts: one ✅/❌ line per check,
+// a summary line at the end, and a non-zero exit code if any check failed
+//
+// USAGE:
+//   const { check, finishTests } = require('./testHelpers');
+//   check('Group built', groupDb.getAllGroups().length === 1);
+//   finishTests('EntityGroup build');   // "All EntityGroup build tests passed"
+
+let failures = 0;
+
+/**
+ * Report one check
+ * @param {string} label - What is being checked
+ * @param {boolean} condition - True if the check passed
+ */
+function check(label, condition) {
+    if (condition) {
+        console.log(`✅ ${label}`);
+    } else {
+        console.log(`❌ ${label}`);
+        failures++;
+    }
+}
+
+/**
+ * Report an error that escaped the checks as a failure
+ * @param {Error} error
+ */
+function reportUnexpectedError(error) {
+    console.log('❌ Unexpected error:', error);
+    failures++;
+}
+
+/**
+ * Run an async function and return the error it rejects with (null if it resolves)
+ * @param {Function} fn
+ * @returns {Promise<Error|null>}
+ */
+async function rejects(fn) {
+    try {
+        await fn();
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+/**
+ * Print the summary line and set the exit code
+ * @param {string} subject - Test file subject, e.g. 'matching profile'
+ */
+function finishTests(subject) {
+    console.log(failures === 0 ? `\nAll ${subject} tests passed` : `\n${failures} ${subject} test(s) failed`);
+    process.exitCode = failures === 0 ? 0 : 1;
+}
+
+module.exports = {
+    check,
+    reportUnexpectedError,
+    rejects,
+    finishTests
+};
@@ -0,0 +1,145 @@
+// Test the data quality anomaly register: Phase 4.5 name anomalies detected per
+// household, stable IDs across runs, accepted findings suppressed, stored
+// corrections applied, decisions with provenance, and the register file round trip
+// Run: node tests/test_anomaly_register.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { check, finishTests } = require('./testHelpers');
+
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'birava-anomalies-'));
+initializeHeadlessEnvironment({ storageDir: fixtureDir });
+
+// Keep the register and detection logging out of the test output
+const quiet = async (fn) => {
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = originalLog;
+        console.warn = originalWarn;
+    }
+};
+
+const name = (firstName, lastName, phone) => ({ firstName, lastName, phoneNumbers: [phone] });
+
+// The Phase 4.5 households, as collectNamesForHousehold() returns their names
+const households = {
+    'visionAppraisal:FireNumber:1050': ['VON ARX, KARL', [name('ARX', 'VON', '4014661050'), name('ANNIE', 'VON', '4014661051')]],
+    'visionAppraisal:FireNumber:469': ['BUDA, PETER & LINDA', [name('PETER', 'BUDA', '4014660469'), name('LINDA', 'MORANBUDA', '4014660470')]],
+    'visionAppraisal:FireNumber:203': ['KIVLEHAN, JOHN & ROSALIE', [name('JOHN', 'KIVLEHAN', '4014660203'), name('ROSALIE', "O'BRIEN", '4014660204')]],
+    'visionAppraisal:FireNumber:1531': ['LEEDER TRUST', [name('ERRONEOUSAEIBCDF', 'LEEDER', '4014661531')]],
+    'visionAppraisal:FireNumber:88': ['GRAY, ANN', []]
+};
+
+function runPipeline(stats = {}) {
+    const result = {};
+    for (const [key, [householdName, names]] of Object.entries(households)) {
+        const phones = names.length > 0 ? names.flatMap(n => n.phoneNumbers) : ['4014660088'];
+        result[key] = applyHouseholdNameAnomalies(key, householdName, names, phones, stats);
+    }
+    return result;
+}
+
+async function run() {
+    // Detection
+    const categories = (key) => detectHouseholdNameAnomalies(households[key][0], households[key][1]).map(f => `${f.category}:${f.names.length}`).join();
+    check('Each Phase 4.5 case detected in its category', categories('visionAppraisal:FireNumber:1050') === 'prefix-split:2' &&
+        categories('visionAppraisal:FireNumber:469') === 'concatenated-name:1' &&
+        categories('visionAppraisal:FireNumber:203') === 'maiden-name:1' &&
+        categories('visionAppraisal:FireNumber:1531') === 'erroneous-name:1' &&
+        categories('visionAppraisal:FireNumber:88') === 'unparseable-record:0');
+    check('Household with matching surnames is clean', detectHouseholdNameAnomalies('SMITH, JOHN & MARY',
+        [name('JOHN', 'SMITH', '1'), name('MARY', 'SMITH', '2')]).length === 0);
+
+    // First run: everything open, names unchanged
+    beginAnomalyRun('first build');
+    const firstStats = {};
+    const first = await quiet(() => runPipeline(firstStats));
+    const firstSummary = await quiet(() => finishAnomalyRun());
+    check('First run records open anomalies and passes names through', firstSummary.detected === 5 && firstSummary.newAnomalies === 5 &&
+        firstStats.anomaliesOpen === 5 && first['visionAppraisal:FireNumber:1050'].length === 2 &&
+        getAnomaly('prefix-split::visionAppraisal:FireNumber:1050').details.names.join() === 'ARX VON,ANNIE VON');
+
+    // Decisions
+    let missing = null;
+    try {
+        acceptAnomaly('maiden-name::visionAppraisal:FireNumber:203', { declaredBy: 'clerk' });
+    } catch (error) {
+        missing = error;
+    }
+    check('Decisions need who and why', /declaredBy and reason/.test(missing?.message) &&
+        getAnomaly('maiden-name::visionAppraisal:FireNumber:203').status === 'open');
+
+    acceptAnomaly('maiden-name::visionAppraisal:FireNumber:203', { declaredBy: 'clerk', reason: 'Rosalie uses her maiden name' });
+    correctAnomaly('prefix-split::visionAppraisal:FireNumber:1050', { names: [{ firstName: 'KARL', lastName: 'VON ARX' }, { firstName: 'ANNIE', lastName: 'VON ARX' }] },
+        { declaredBy: 'clerk', reason: 'VON belongs to the surname' });
+    correctAnomaly('unparseable-record::visionAppraisal:FireNumber:88', { names: [{ firstName: 'ann', lastName: 'gray' }] },
+        { declaredBy: 'treasurer', reason: 'Known donor' });
+
+    // Second run: same IDs, accepted suppressed, corrections applied
+    beginAnomalyRun('second build');
+    const secondStats = {};
+    const second = await quiet(() => runPipeline(secondStats));
+    const secondSummary = await quiet(() => finishAnomalyRun());
+    check('Second run finds the same anomalies, none new', dataQualityAnomalyRegister.anomalies.size === 5 &&
+        secondSummary.newAnomalies === 0 && secondSummary.suppressed === 1 && secondSummary.corrected === 2 && secondSummary.open === 2 &&
+        getAnomaly('concatenated-name::visionAppraisal:FireNumber:469').detectionCount === 2);
+    check('Accepted names kept, corrected names replaced with their phones', second['visionAppraisal:FireNumber:203'].length === 2 &&
+        second['visionAppraisal:FireNumber:1050'].map(n => `${n.firstName} ${n.lastName}|${n.phoneNumbers.join('+')}`).join() ===
+            'KARL VON ARX|4014661050+4014661051,ANNIE VON ARX|4014661050+4014661051' &&
+        second['visionAppraisal:FireNumber:88'].map(n => `${n.firstName} ${n.lastName}|${n.phoneNumbers.join()}`).join() === 'ANN GRAY|4014660088' &&
+        secondStats.anomaliesSuppressed === 1 && secondStats.anomaliesCorrected === 2);
+
+    // Fixed at the source: an open anomaly the next run does not find
+    delete households['visionAppraisal:FireNumber:469'];
+    beginAnomalyRun('third build');
+    await quiet(() => runPipeline());
+    const thirdSummary = await quiet(() => finishAnomalyRun());
+    check('Open anomalies not found again are reported', thirdSummary.notDetected.join() === 'concatenated-name::visionAppraisal:FireNumber:469');
+
+    // A run that stopped part way is dropped without replacing the last summary
+    beginAnomalyRun('failed build');
+    check('Abandoned run closed without a summary', await quiet(() => abandonAnomalyRun()) &&
+        dataQualityAnomalyRegister.currentRun === null && getAnomalyRegisterStats().lastRun.label === 'third build' &&
+        !abandonAnomalyRun());
+
+    reopenAnomaly('maiden-name::visionAppraisal:FireNumber:203', { declaredBy: 'treasurer', reason: 'Check the deed' });
+    const reopened = getAnomaly('maiden-name::visionAppraisal:FireNumber:203');
+    check('Reopen keeps the earlier decision in the history', reopened.status === 'open' && reopened.history.length === 1 &&
+        reopened.history[0].status === 'accepted' && reopened.history[0].declaredBy === 'clerk' &&
+        getAnomalies({ status: 'open' }).length === 3);
+
+    // Register file round trip
+    const fileId = await quiet(() => saveAnomalyRegister());
+    dataQualityAnomalyRegister.anomalies.clear();
+    await quiet(() => loadAnomalyRegister({ fileId }));
+    const stats = getAnomalyRegisterStats();
+    const corrected = getAnomaly('prefix-split::visionAppraisal:FireNumber:1050');
+    check('Register saved and loaded with decisions', stats.total === 5 && stats.byStatus.corrected === 2 &&
+        corrected.resolution.correction.names[1].lastName === 'VON ARX' && corrected.resolution.declaredBy === 'clerk' &&
+        stats.lastRun.label === 'third build' && !stats.hasUnsavedChanges);
+
+    const savedPath = path.join(fixtureDir, 'files', fileId);
+    const saved = fs.readFileSync(savedPath, 'utf8');
+    check('Register file carries an integrity block with its schema version',
+        readDatabaseIntegrity(saved, 'DataQualityAnomalyRegister', fileId).integrity?.schemaVersion === SERIALIZATION_SCHEMA_VERSION);
+    fs.writeFileSync(savedPath, saved.replace('"status": "accepted"', '"status": "open"'));
+    let tampered = null;
+    try {
+        await quiet(() => loadAnomalyRegister({ fileId }));
+    } catch (error) {
+        tampered = error;
+    }
+    check('Register changed since it was saved refused', /DataQualityAnomalyRegister/.test(tampered?.message));
+
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+    finishTests('anomaly register');
+}
+
+run();
@@ -0,0 +1,151 @@
+// Test the audit runner: check registration and skipping, override rule failures
+// and conflicts as findings, low-correlation alias candidates, same-phone entities
+// in different groups, groups not connected by contactInfo, and the HTML / CSV report
+// Run: node tests/test_audit_runner.js
+
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { AUDIT_SCRIPTS } = require('../scripts/cli/auditCommand');
+const { check, finishTests } = require('./testHelpers');
+
+initializeHeadlessEnvironment({ extraScripts: AUDIT_SCRIPTS });
+
+// Keep comparison diagnostics out of the test output
+const quiet = async (fn) => {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = originalLog;
+    }
+};
+
+const SOURCE = 'BLOOMERANG_CSV';
+
+function person(first, last, phone, idx) {
+    const name = new IndividualName(new AttributedTerm(`${first} ${last}`, SOURCE, idx, `n${idx}`), '', first, '', last, '');
+    const individual = new Individual(new SimpleIdentifiers(new AccountNumberTerm(`A${idx}`, SOURCE, idx, `a${idx}`)), name, null, null, null);
+    individual.contactInfo = new ContactInfo();
+    if (phone) individual.contactInfo.phone = new SimpleIdentifiers(new PhoneTerm(phone, SOURCE, idx, `p${idx}`));
+    return individual;
+}
+
+// JOHN and JON SMITH were grouped on name alone; ALICE JONES shares John's phone;
+// the two BROWNs share a phone but a FORCE_EXCLUDE keeps them apart
+const entities = {
+    'bloomerang:1': person('JOHN', 'SMITH', '(401) 466-2100', 1),
+    'bloomerang:2': person('JON', 'SMITH', null, 2),
+    'bloomerang:3': person('ALICE', 'JONES', '401-466-2100', 3),
+    'bloomerang:4': person('MARY', 'BROWN', '401-555-0144', 4),
+    'bloomerang:5': person('PAUL', 'BROWN', '401-555-0144', 5)
+};
+const entityDb = { entities };
+
+const groupDb = new EntityGroupDatabase();
+const smiths = groupDb.createGroup('bloomerang:1', 1);
+groupDb.addMemberToGroup(smiths.index, 'bloomerang:2');
+const jones = groupDb.createGroup('bloomerang:3', 1);
+groupDb.createGroup('bloomerang:4', 1);
+groupDb.createGroup('bloomerang:5', 1);
+// Built from an older unified database: its members are gone
+const stale = groupDb.createGroup('bloomerang:98', 2);
+groupDb.addMemberToGroup(stale.index, 'bloomerang:99');
+
+const overrideManager = window.matchOverrideManager;
+overrideManager.clear();
+overrideManager.addForceMatchRule({ ruleId: 'FM-1', entityKey1: 'bloomerang:1', entityKey2: 'bloomerang:3' });
+overrideManager.addForceMatchRule({ ruleId: 'FM-2', entityKey1: 'bloomerang:77', entityKey2: 'bloomerang:78' });
+overrideManager.addForceMatchRule({ ruleId: 'FM-3', entityKey1: 'bloomerang:4', entityKey2: 'bloomerang:5', status: 'INACTIVE' });
+overrideManager.addForceExcludeRule({ ruleId: 'FE-1', defectiveKey: 'bloomerang:2', otherKey: 'bloomerang:1' });
+overrideManager.addForceExcludeRule({ ruleId: 'FE-2', defectiveKey: 'bloomerang:4', otherKey: 'bloomerang:5' });
+
+// One plausible and one unrelated candidate for each database
+const individualNameDb = new IndividualNameDatabase();
+const john = new IndividualName(new AttributedTerm('JOHN SMITH', SOURCE, 1, 'n1'), '', 'JOHN', '', 'SMITH', '');
+john.alternatives.add(new AttributedTerm('JOHNNY SMITH', 'PHONEBOOK', 1, 'c1'), 'candidates');
+john.alternatives.add(new AttributedTerm('ROBERT JONES', 'PHONEBOOK', 2, 'c2'), 'candidates');
+individualNameDb.entries.set('JOHN SMITH', { object: john, fileId: null });
+const streetNameDb = new StreetNameDatabase();
+const cornNeck = new StreetName(new AttributedTerm('CORN NECK ROAD', 'VISION_APPRAISAL', 1, 's1'));
+cornNeck.alternatives.add(new AttributedTerm('CORN NECK RD EXT', 'PHONEBOOK', 1, 'c3'), 'candidates');
+cornNeck.alternatives.add(new AttributedTerm('OCEAN AVENUE', 'PHONEBOOK', 2, 'c4'), 'candidates');
+streetNameDb.entries.set('CORN NECK ROAD', { object: cornNeck, fileId: null });
+
+const context = { groupDb, entityDb, overrideManager, individualNameDb, streetNameDb };
+
+async function run() {
+    // Registry
+    check('Check modules registered in load order', getAuditChecks().map(c => c.id).join() ===
+        'override-rules,alias-correlation,shared-phone-groups,contactinfo-connectivity');
+    let duplicate = null;
+    try {
+        registerAuditCheck({ id: 'override-rules', title: 'Again', run: () => [] });
+    } catch (error) {
+        duplicate = error;
+    }
+    check('Duplicate check id refused', /already registered/.test(duplicate?.message));
+
+    const report = await quiet(() => runAuditChecks({ context }));
+    const of = (checkId) => report.findings.filter(f => f.checkId === checkId);
+
+    // Override rules
+    const rules = of('override-rules');
+    const rule = (ruleId) => rules.find(f => f.subject.endsWith(` ${ruleId}`));
+    check('Failed rules high, orphaned rule low, passing / inactive rules not reported',
+        rules.map(f => `${f.severity}:${f.subject}`).sort().join() ===
+            'high:FORCE_EXCLUDE FE-1,high:FORCE_MATCH FM-1,low:FORCE_MATCH FM-2');
+    check('Rule findings carry keys, groups and conflicting rules', rule('FM-1').entityKeys.join() === 'bloomerang:1,bloomerang:3' &&
+        rule('FM-1').groupKeys.join() === `${smiths.index},${jones.index}` &&
+        /Conflicts with exclusion rule\(s\) FE-1/.test(rule('FM-1').suggestedAction) &&
+        /inclusion rule\(s\) FM-1/.test(rule('FE-1').suggestedAction) && rule('FE-1').groupKeys.join() === String(smiths.index));
+
+    // Alias candidates
+    const aliases = of('alias-correlation');
+    check('Only the unrelated candidates reported', aliases.length === 2 &&
+        aliases.some(f => f.subject === 'IndividualName JOHN SMITH' && f.details.candidate === 'ROBERT JONES') &&
+        aliases.some(f => f.subject === 'StreetName CORN NECK ROAD' && f.details.candidate === 'OCEAN AVENUE' &&
+            /Street Name Browser/.test(f.suggestedAction)));
+
+    // Shared phones
+    const phones = of('shared-phone-groups');
+    check('Same phone across groups reported unless an exclusion covers it', phones.length === 1 &&
+        phones[0].subject === 'Phone 4014662100' && phones[0].severity === 'medium' &&
+        phones[0].entityKeys.join() === 'bloomerang:1,bloomerang:3' && phones[0].groupKeys.join() === `${smiths.index},${jones.index}`);
+
+    // ContactInfo connectivity
+    const connectivity = of('contactinfo-connectivity');
+    check('Unconnected and stale groups reported; single-member groups not',
+        connectivity.map(f => `${f.severity}:${f.subject}`).sort().join() === `high:Group ${stale.index},medium:Group ${smiths.index}` &&
+        /bloomerang:98, bloomerang:99/.test(connectivity.find(f => f.severity === 'high').summary));
+
+    check('Findings sorted by severity', report.findings.map(f => f.severity).join() ===
+        [...report.findings].map(f => f.severity).sort((a, b) => AUDIT_SEVERITIES.indexOf(a) - AUDIT_SEVERITIES.indexOf(b)).join() &&
+        summarizeAuditReport(report).total === 8 && summarizeAuditReport(report).bySeverity.high === 3);
+
+    // Skipping and selection
+    overrideManager.clear();
+    const partial = await quiet(() => runAuditChecks({ checks: ['override-rules', 'shared-phone-groups'],
+        context: { groupDb, entityDb: null, overrideManager } }));
+    check('Checks without their databases skipped', partial.checks.map(c => `${c.id}:${c.status}:${c.message}`).join('|') ===
+        'override-rules:skipped:No override rules loaded|shared-phone-groups:skipped:Not loaded: entityDb' && partial.findings.length === 0);
+    let unknown = null;
+    try {
+        await runAuditChecks({ checks: ['no-such-check'], context });
+    } catch (error) {
+        unknown = error;
+    }
+    check('Unknown check id refused', /Unknown audit check\(s\): no-such-check/.test(unknown?.message));
+
+    // Report output
+    const csv = buildAuditReportCSV(report).split('\n');
+    const html = buildAuditReportHtml(report);
+    check('CSV has one row per finding', csv[0] === 'Severity,Check,Subject,Summary,EntityKeys,GroupKeys,SuggestedAction' &&
+        csv.length === report.findings.length + 1 && csv.some(line => line.startsWith('medium,shared-phone-groups,Phone 4014662100,')));
+    check('HTML report has the sortable findings table', /<table id="findings">/.test(html) &&
+        (html.match(/<tr><td data-sort="/g) || []).length === report.findings.length &&
+        html.includes('CORN NECK RD EXT') === false && html.includes('&quot;OCEAN AVENUE&quot;') && /addEventListener\('click'/.test(html));
+
+    finishTests('audit runner');
+}
+
+run();
@@ -0,0 +1,141 @@
+// Test the change report between two Bloomerang imports: constituents matched by
+// account number, added / removed, field-level changes, EntityGroups to re-review,
+// and the changed keys handed to build-groups --changed
+// Run: node tests/test_bloomerang_change_report.js
+
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { check, finishTests } = require('./testHelpers');
+
+initializeHeadlessEnvironment({ extraScripts: ['scripts/bloomerang.js', 'scripts/analysis/bloomerangChangeReport.js'] });
+
+const SOURCE = 'BLOOMERANG_CSV';
+const term = (value, idx) => new AttributedTerm(value, SOURCE, idx, `t${idx}`);
+
+function address(text, idx) {
+    return new Address(term(text, idx));
+}
+
+/**
+ * Bloomerang Individual
+ * @param {Object} spec - { account, first, last, email, phone, street, household: [name, id, isHead] }
+ */
+function person(spec, idx) {
+    const name = new IndividualName(term(`${spec.first} ${spec.last}`, idx), '', spec.first, '', spec.last, '');
+    const individual = new Individual(null, name, null, null, createAccountNumberSimpleIdentifiers(spec.account, idx, SOURCE));
+    individual.contactInfo = new ContactInfo();
+    if (spec.email) individual.contactInfo.email = new SimpleIdentifiers(term(spec.email, idx));
+    if (spec.phone) individual.contactInfo.phone = new SimpleIdentifiers(term(spec.phone, idx));
+    if (spec.street) individual.contactInfo.primaryAddress = address(spec.street, idx);
+    individual.otherInfo = new OtherInfo();
+    if (spec.household) {
+        const [householdName, householdIdentifier, isHead] = spec.household;
+        individual.otherInfo.householdInformation = new HouseholdInformation(true, householdName, isHead, householdIdentifier);
+    }
+    return individual;
+}
+
+function household(account, label, individuals, idx) {
+    const entity = new AggregateHousehold(null, new HouseholdName(term(label, idx), label), null, null,
+        createAccountNumberSimpleIdentifiers(account, idx, SOURCE));
+    entity.contactInfo = new ContactInfo();
+    entity.individuals = individuals;
+    return entity;
+}
+
+function business(account, label, idx) {
+    const entity = new Business(null, new NonHumanName(term(label, idx)), null, null, createAccountNumberSimpleIdentifiers(account, idx, SOURCE));
+    entity.contactInfo = new ContactInfo();
+    return entity;
+}
+
+// September: JONES household (1001 head, 1002 member), a trust, CAROL BROWN
+const alice = { account: '1001', first: 'ALICE', last: 'JONES', email: 'alice@example.com', phone: '401-466-1111',
+    street: '72 CORN NECK RD, BLOCK ISLAND RI 02807', household: ['JONES HOUSEHOLD', '1001AH', true] };
+const bob = { account: '1002', first: 'BOB', last: 'JONES', household: ['JONES HOUSEHOLD', '1001AH', false] };
+const carol = { account: '1004', first: 'CAROL', last: 'BROWN', email: 'carol@example.com' };
+
+function previousImport() {
+    const a = person(alice, 1);
+    const b = person(bob, 2);
+    return {
+        'bloomerang:1001:FireNumber:72:head': a,
+        'bloomerang:1002:FireNumber:72:member': b,
+        'bloomerang:1001AH:FireNumber:72:na': household('1001AH', 'JONES HOUSEHOLD', [a, b], 3),
+        'bloomerang:1003:FireNumber:9:na': business('1003', 'BLOCK ISLAND TRUST', 4),
+        'bloomerang:1004:PoBox:12:na': person(carol, 5),
+        'visionAppraisal:FireNumber:72': business('V1', 'NOT A CONSTITUENT', 6)
+    };
+}
+
+// October: Alice moved to fire number 80 and changed email case only, Bob left the
+// household, Carol removed, DAN added; the trust is unchanged
+function currentImport() {
+    const a = person({ ...alice, email: 'Alice@Example.com', street: '80 WEST SIDE RD, BLOCK ISLAND RI 02807' }, 11);
+    const b = person({ ...bob, household: null }, 12);
+    return {
+        'bloomerang:1001:FireNumber:80:head': a,
+        'bloomerang:1002:FireNumber:72:na': b,
+        'bloomerang:1001AH:FireNumber:80:na': household('1001AH', 'JONES HOUSEHOLD', [a], 13),
+        'bloomerang:1003:FireNumber:9:na': business('1003', 'BLOCK ISLAND TRUST', 14),
+        'bloomerang:2000:PoBox:44:na': person({ account: '2000', first: 'DAN', last: 'SMITH' }, 15)
+    };
+}
+
+// Previous build: Alice and her household grouped with a VA parcel; Carol alone; the trust alone
+function previousGroups() {
+    const groupDb = new EntityGroupDatabase();
+    const jones = groupDb.createGroup('visionAppraisal:FireNumber:72', 1);
+    groupDb.addMemberToGroup(jones.index, 'bloomerang:1001:FireNumber:72:head');
+    groupDb.addMemberToGroup(jones.index, 'bloomerang:1001AH:FireNumber:72:na');
+    groupDb.addNearMissToGroup(jones.index, 'bloomerang:1002:FireNumber:72:member');
+    groupDb.createGroup('bloomerang:1004:PoBox:12:na', 2);
+    groupDb.createGroup('bloomerang:1003:FireNumber:9:na', 2);
+    return { groupDb, jonesIndex: jones.index };
+}
+
+const { groupDb, jonesIndex } = previousGroups();
+const report = compareBloomerangImports({ entities: previousImport() }, currentImport(), { groupDb });
+const changeOf = (account) => report.changed.find(c => c.accountNumber === account);
+const fieldsOf = (account) => (changeOf(account)?.fields || []).map(f => f.field).join(',');
+
+check('Only Bloomerang keys are compared', report.previousConstituents === 5 && report.currentConstituents === 5);
+check('Added and removed by account number', report.added.map(c => c.accountNumber).join() === '2000' &&
+    report.removed.map(c => c.accountNumber).join() === '1004');
+check('Unchanged constituent not reported', report.unchanged === 1 && !changeOf('1003'));
+check('Address change found, email case ignored', fieldsOf('1001') === 'primaryAddress' &&
+    changeOf('1001').fields[0].current.startsWith('80 WEST SIDE RD'));
+check('Leaving the household changes membership and head flag', fieldsOf('1002') === 'household,headOfHousehold' &&
+    changeOf('1002').fields[0].previous === 'JONES HOUSEHOLD (1001AH)' && changeOf('1002').fields[1].previous === 'No' &&
+    changeOf('1002').fields[1].current === '');
+check('Household members change on the household', fieldsOf('1001AH') === 'householdMembers' &&
+    changeOf('1001AH').fields[0].previous === '1001 | 1002' && changeOf('1001AH').fields[0].current === '1001');
+check('Field counts', report.fieldCounts.primaryAddress === 1 && report.fieldCounts.household === 1 && report.fieldCounts.email === 0);
+
+// Groups to re-review
+const reviewIndices = report.groupsToReview.map(g => g.index);
+check('Groups holding changed or removed constituents listed once each', reviewIndices.length === 2 &&
+    reviewIndices.includes(jonesIndex) && !reviewIndices.includes(2));
+const jonesReview = report.groupsToReview.find(g => g.index === jonesIndex);
+check('Near-miss member counts for re-review', jonesReview.reasons.some(r => r.startsWith('1002 changed')) &&
+    jonesReview.foundingMemberKey === 'visionAppraisal:FireNumber:72');
+
+// Keys for build-groups --changed: a moved constituent gets a new key
+check('Moved constituent: old key removed, new key added', report.changedKeys.removed.includes('bloomerang:1001:FireNumber:72:head') &&
+    report.changedKeys.added.includes('bloomerang:1001:FireNumber:80:head'));
+check('Removed and added constituents in changed keys', report.changedKeys.removed.includes('bloomerang:1004:PoBox:12:na') &&
+    report.changedKeys.added.includes('bloomerang:2000:PoBox:44:na') && report.changedKeys.modified.length === 0);
+
+// Output
+const csv = buildBloomerangChangeCSV(report).split('\n');
+check('CSV: one row per added / removed constituent and changed field', csv.length === 1 + 1 + 1 + 4 &&
+    csv.some(line => line.startsWith('CHANGED,1002,Individual,BOB JONES,household,JONES HOUSEHOLD (1001AH),,')));
+check('CSV lists the groups to re-review', csv.find(line => line.startsWith('REMOVED,1004')).endsWith(',1'));
+check('Summary', formatBloomerangChangeSummary(report).includes('Added: 1   Removed: 1   Changed: 3   Unchanged: 1') &&
+    formatBloomerangChangeSummary(report).includes('EntityGroups to re-review: 2'));
+
+// Repeated account numbers and no group database
+const repeated = compareBloomerangImports({ ...previousImport(), 'bloomerang:1004:FireNumber:5:na': person(carol, 7) }, previousImport());
+check('Repeated account number reported, no groups without a group database', repeated.duplicateAccounts.previous.join() === '1004' &&
+    repeated.groupsToReview === null && repeated.changed.length === 0);
+
+finishTests('Bloomerang change report');
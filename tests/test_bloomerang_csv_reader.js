@@ -0,0 +1,94 @@
+// Test the Bloomerang CSV reader: raw exports with quoted fields, totals row,
+// currency and ZIP formatting, columns located by header name, and rejection
+// of exports that do not have the expected schema
+// Run: node tests/test_bloomerang_csv_reader.js
+
+const {
+    BLOOMERANG_COLUMNS,
+    BLOOMERANG_FIELD_MAP,
+    parseRfc4180Csv,
+    parseBloomerangCsv,
+    formatBloomerangCsvReport
+} = require('../scripts/dataSources/bloomerangCsvReader');
+const { check, finishTests } = require('./testHelpers');
+
+const quote = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+/**
+ * Build an export: phone columns moved to the front, plus a column Bloomerang added
+ * @param {Array<Object>} records - Field key -> value
+ * @param {Object} [options] - { drop: header to leave out, totals: include a totals row }
+ */
+function buildExport(records, options = {}) {
+    const phoneKeys = ['primaryPhone', 'homePhone', 'workPhone', 'mobilePhone'];
+    const columns = [
+        ...BLOOMERANG_COLUMNS.filter(c => phoneKeys.includes(c.key)),
+        { key: 'engagement', header: 'Engagement Level' },
+        ...BLOOMERANG_COLUMNS.filter(c => !phoneKeys.includes(c.key))
+    ].filter(c => c.header !== options.drop);
+    const lines = [columns.map(c => c.header).join(',')];
+    if (options.totals) {
+        lines.push(columns.map(c => c.key === 'name' ? 'Total' : c.key === 'transactionAmount' ? '"$12,345.00"' : '').join(','));
+    }
+    for (const record of records) {
+        lines.push(columns.map(c => quote(record[c.key] || '')).join(','));
+    }
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+const records = [
+    {
+        name: 'Smith, John', firstName: 'John', lastName: 'Smith', accountNumber: '1001',
+        transactionAmount: '$1,500.00', primaryStreet: '12 Main St\nApt 4', primaryZip: '2807',
+        householdName: 'The "Smith" Family', mobilePhone: '401-466-0000', engagement: 'High'
+    },
+    { name: 'Block Island Trust', accountNumber: '1002', transactionAmount: '$25.00', fireNumber: '72' }
+];
+
+// RFC 4180 parser
+const parsed = parseRfc4180Csv('a,"b,c","d ""q""",\r\n"multi\nline",2,3,4\n');
+check('Quoted commas, doubled quotes and empty trailing field', parsed.records[0].fields.join('|') === 'a|b,c|d "q"|');
+check('Line break inside quotes stays in the field', parsed.records[1].fields[0] === 'multi\nline' && parsed.records[1].line === 2);
+check('Unclosed quote reported', parseRfc4180Csv('a,"open\nb,c').errors[0] === 'Line 1: quoted field is never closed');
+
+// Raw export
+const { rows, report } = parseBloomerangCsv(buildExport(records, { totals: true }));
+const field = (row, key) => rows[row].fields[BLOOMERANG_FIELD_MAP[key]];
+check('Totals row skipped, data rows kept', rows.length === 2 && report.totalsRows.length === 1 && report.totalsRows[0] === 2);
+check('Columns found by header name after reordering', field(0, 'accountNumber') === '1001' && field(0, 'mobilePhone') === '401-466-0000' &&
+    rows[0].accountNumber === '1001' && field(1, 'fireNumber') === '72');
+check('Fields come back in canonical order', rows[0].fields.length === BLOOMERANG_COLUMNS.length && BLOOMERANG_FIELD_MAP.mobilePhone === 33);
+check('Comma and quotes inside quoted fields', field(0, 'name') === 'Smith, John' && field(0, 'householdName') === 'The "Smith" Family');
+check('Embedded line break becomes a space', field(0, 'primaryStreet') === '12 Main St Apt 4');
+check('Currency stripped of $ and separators', field(0, 'transactionAmount') === '1500.00' && field(1, 'transactionAmount') === '25.00');
+check('4-digit ZIP padded', field(0, 'primaryZip') === '02807');
+check('Unknown column ignored and reported', report.unknownColumns.join() === 'Engagement Level' &&
+    formatBloomerangCsvReport(report).includes('Ignored columns: Engagement Level'));
+check('Data row numbers and source lines', rows[0].rowIndex === 1 && rows[1].rowIndex === 2 && rows[1].line === 5);
+
+// Files prepared the old way still read the same
+const legacy = parseBloomerangCsv(buildExport([{ name: 'Jones^#C#^ Alice', accountNumber: '7' }]));
+check('Legacy comma placeholder restored', legacy.rows[0].fields[BLOOMERANG_FIELD_MAP.name] === 'Jones, Alice');
+
+// Rejections
+const rejection = (text) => {
+    try {
+        parseBloomerangCsv(text);
+        return null;
+    } catch (error) {
+        return error;
+    }
+};
+const missing = rejection(buildExport(records, { drop: 'Household Name' }));
+check('Missing column rejected with report', missing?.report?.missingColumns.join() === 'Household Name' &&
+    missing.message.includes('Missing columns: Household Name'));
+const duplicated = rejection(buildExport(records).replace('Fire Number', 'Account Number'));
+check('Repeated column rejected', duplicated?.report?.duplicateColumns.includes('Account Number') &&
+    duplicated.report.missingColumns.includes('Fire Number'));
+const ragged = rejection(buildExport(records) + 'only,three,fields\r\n');
+check('Row with the wrong field count rejected', ragged?.report?.raggedRows.length === 1 && ragged.report.raggedRows[0].fieldCount === 3);
+const unclosed = rejection(buildExport(records) + '"never closed');
+check('Unclosed quote rejected', unclosed?.report?.parseErrors.some(e => e.includes('never closed')));
+check('Empty file rejected', rejection('')?.report?.parseErrors.includes('File is empty'));
+
+finishTests('Bloomerang CSV reader');
@@ -0,0 +1,86 @@
+// Test Bloomerang column-mapping profiles: header bindings, schema drift
+// (added / removed / renamed columns) reported before any row is read, and
+// imports stopped when a mapped column is gone
+// Run: node tests/test_bloomerang_mapping_profile.js
+
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { check, finishTests } = require('./testHelpers');
+
+initializeHeadlessEnvironment();
+
+const quote = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+// Export with the given header row; values by header name
+function buildExport(headers, records) {
+    const lines = [headers.map(quote).join(',')];
+    for (const record of records) {
+        lines.push(headers.map(header => quote(record[header] || '')).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+const DEFAULT_HEADERS = BLOOMERANG_COLUMNS.map(column => column.header);
+const RECORD = { 'Name': 'Alice Jones', 'Account Number': '1001', 'Primary Email Address': 'alice@example.com',
+    'Primary Email': 'alice@example.com', 'Account ID': '1001', 'Engagement Level': 'High' };
+const rename = (headers, from, to) => headers.map(header => header === from ? to : header);
+const attempt = (fn) => {
+    try {
+        return { result: fn() };
+    } catch (error) {
+        return { error };
+    }
+};
+
+// Profiles
+const profile = createDefaultBloomerangMappingProfile();
+check('Default profile binds every field to its standard header', profile.fields.accountNumber === 'Account Number' &&
+    Object.keys(profile.fields).length === BLOOMERANG_COLUMNS.length && attempt(() => validateBloomerangMappingProfile(profile)).error === undefined);
+const invalid = attempt(() => validateBloomerangMappingProfile({
+    name: 'broken', headers: [], fields: { ...profile.fields, email: 'Account Number', mobilePhone: '' }
+})).error;
+check('Invalid profile lists every problem', invalid && invalid.message.includes('fields.accountNumber: "Account Number" is already read by fields.email') &&
+    invalid.message.includes('fields.mobilePhone: no header'));
+check('Profile JSON that does not parse is rejected', attempt(() => parseBloomerangMappingProfileJson('{', 'p.json')).error?.message.startsWith('p.json: not valid JSON'));
+
+// Same header in a different order: no drift
+const reordered = [...DEFAULT_HEADERS].reverse();
+const same = readBloomerangCsvWithProfile(buildExport(reordered, [RECORD]), profile);
+check('Reordered columns are not drift', !same.drift.hasDrift && same.profile === profile &&
+    same.rows[0].fields[BLOOMERANG_FIELD_MAP.email] === 'alice@example.com');
+
+// Unmapped column added: reported, import continues
+const withExtra = [...DEFAULT_HEADERS, 'Engagement Level'];
+const extra = readBloomerangCsvWithProfile(buildExport(withExtra, [RECORD]), profile);
+check('Added column reported, import continues', extra.drift.added.join() === 'Engagement Level' && extra.drift.canProceed &&
+    extra.rows.length === 1 && formatBloomerangSchemaDrift(extra.drift).includes('Added column:   "Engagement Level"'));
+check('Profile remembers the new header row', extra.profile.headers.includes('Engagement Level') && extra.profile.updatedAt !== null &&
+    !profile.headers.includes('Engagement Level'));
+const dropped = readBloomerangCsvWithProfile(buildExport(DEFAULT_HEADERS, [RECORD]), extra.profile);
+check('Removed unmapped column reported', dropped.drift.removed.join() === 'Engagement Level' && dropped.drift.canProceed);
+
+// Mapped column renamed: stopped before any row, rename detected, accepted
+const renamedHeaders = rename(DEFAULT_HEADERS, 'Primary Email Address', 'Primary Email');
+const stopped = attempt(() => readBloomerangCsvWithProfile(buildExport(renamedHeaders, [RECORD]), profile)).error;
+const emailRename = stopped?.drift?.renamed[0];
+check('Renamed mapped column stops the import', stopped && stopped.drift.canProceed === false &&
+    stopped.message.includes('Renamed column: "Primary Email Address" -> "Primary Email" (field email)'));
+check('Rename paired with its field', stopped.drift.renamed.length === 1 && emailRename.field === 'email' &&
+    stopped.drift.unboundFields.map(u => u.field).join() === 'email' && stopped.drift.added.length === 0);
+const accepted = applyBloomerangSchemaRenames(profile, stopped.drift, renamedHeaders);
+const afterRename = readBloomerangCsvWithProfile(buildExport(renamedHeaders, [RECORD]), accepted);
+check('Accepted rename reads the renamed column', accepted.fields.email === 'Primary Email' && !afterRename.drift.hasDrift &&
+    afterRename.rows[0].fields[BLOOMERANG_FIELD_MAP.email] === 'alice@example.com');
+
+// Mapped column removed outright: stopped, nothing to pair it with
+const removedHeaders = DEFAULT_HEADERS.filter(header => header !== 'Household Name');
+const removed = attempt(() => readBloomerangCsvWithProfile(buildExport(removedHeaders, [RECORD]), profile)).error;
+check('Removed mapped column stops the import', removed?.drift?.removed.join() === 'Household Name' &&
+    removed.drift.unboundFields[0].field === 'householdName' && removed.message.includes('Import stopped before any row was processed'));
+
+// Custom binding
+const custom = { ...profile, name: 'custom', fields: { ...profile.fields, accountNumber: 'Account ID' },
+    headers: rename(DEFAULT_HEADERS, 'Account Number', 'Account ID') };
+const customRead = readBloomerangCsvWithProfile(buildExport(custom.headers, [RECORD]), custom);
+check('Custom profile reads a field from another header', customRead.rows[0].accountNumber === '1001' && !customRead.drift.hasDrift);
+
+finishTests('Bloomerang mapping profile');
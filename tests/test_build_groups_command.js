@@ -0,0 +1,126 @@
+// Test the build-groups command end to end: a unified database and override CSVs
+// on disk in, an integrity-checked EntityGroup database and reference file out,
+// with only engine scripts loaded in the headless environment
+// Run: node tests/test_build_groups_command.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { runBuildGroups, loadOverrideRulesFromDirectory } = require('../scripts/cli/buildGroupsCommand');
+const { readDatabaseFile, loadDatabaseFile } = require('../scripts/cli/cliUtils');
+const { check, finishTests } = require('./testHelpers');
+
+initializeHeadlessEnvironment();
+
+// Keep the command's progress log out of the test output
+const quiet = async (fn) => {
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = originalLog;
+        console.warn = originalWarn;
+    }
+};
+
+const SOURCE = 'BLOOMERANG_CSV';
+
+function person(first, last, idx) {
+    const name = new IndividualName(new AttributedTerm(`${first} ${last}`, SOURCE, idx, `n${idx}`), '', first, '', last, '');
+    const individual = new Individual(new SimpleIdentifiers(new AccountNumberTerm(`A${idx}`, SOURCE, idx, `a${idx}`)), name, null, null, null);
+    individual.contactInfo = new ContactInfo();
+    return individual;
+}
+
+// JOHN / JON SMITH (name 0.89) group under 'default' but not 'strict';
+// FM-1 puts PETER GREEN with SUSAN WHITE
+const entities = {
+    'bloomerang:1': person('JOHN', 'SMITH', 1),
+    'bloomerang:2': person('JON', 'SMITH', 2),
+    'bloomerang:3': person('ALICE', 'JONES', 3),
+    'bloomerang:5': person('PETER', 'GREEN', 5),
+    'bloomerang:6': person('SUSAN', 'WHITE', 6)
+};
+
+async function run() {
+    const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'birava-build-groups-'));
+    const unifiedPath = path.join(fixtureDir, 'unified.json');
+    const overridesDir = path.join(fixtureDir, 'overrides');
+    const outPath = path.join(fixtureDir, 'groups.json');
+    fs.writeFileSync(unifiedPath, addDatabaseIntegrity(serializeWithTypes({ metadata: {}, entities }), 'UnifiedEntityDatabase',
+        { entityCount: Object.keys(entities).length }));
+    fs.mkdirSync(overridesDir);
+    fs.writeFileSync(path.join(overridesDir, 'force_match.csv'),
+        'RuleID,EntityKey1,EntityKey2,AnchorOverride,Reason,Status\r\nFM-1,bloomerang:5,bloomerang:6,,"same household, per ""Green"" letter",ACTIVE\r\n');
+
+    check('Only engine scripts loaded (no browser UI state)', typeof isTrueMatch === 'function' &&
+        typeof MATCH_CRITERIA === 'object' && typeof unifiedBrowser === 'undefined');
+
+    let missing = null;
+    try {
+        await runBuildGroups({ unified: unifiedPath });
+    } catch (error) {
+        missing = error;
+    }
+    check('--out required', /--unified and --out are required/.test(missing?.message));
+
+    const summary = await quiet(() => runBuildGroups({ unified: unifiedPath, overrides: overridesDir, out: outPath, profile: 'strict' }));
+    check('Summary reports the outputs and counts', summary.databasePath === outPath &&
+        summary.referencePath === path.join(fixtureDir, 'groups.reference.json') &&
+        summary.totalEntitiesAssigned === 5 && summary.matchingProfile === 'strict');
+
+    const groupDb = loadDatabaseFile(outPath, '--out', 'EntityGroupDatabase');
+    const memberSets = groupDb.getAllGroups().map(g => [...g.memberKeys].sort().join(',')).sort();
+    check('Written database passes its integrity check and holds the strict-profile groups',
+        groupDb instanceof EntityGroupDatabase && groupDb.__integrity === undefined &&
+        memberSets.join('|') === 'bloomerang:1|bloomerang:2|bloomerang:3|bloomerang:5,bloomerang:6');
+    check('Matching profile recorded in the database', groupDb.matchingProfile?.name === 'strict');
+
+    const reference = JSON.parse(fs.readFileSync(summary.referencePath, 'utf8'));
+    check('Reference file written alongside', reference.metadata?.matchingProfile === 'strict' &&
+        JSON.stringify(reference).includes('bloomerang:6'));
+
+    check('Override rule reason read with its quoted comma and quotes',
+        window.matchOverrideManager.getRulesForPair('bloomerang:5', 'bloomerang:6').forceMatch[0]?.reason === 'same household, per "Green" letter');
+    const brokenDir = path.join(fixtureDir, 'broken');
+    fs.mkdirSync(brokenDir);
+    fs.writeFileSync(path.join(brokenDir, 'force_exclude.csv'), 'RuleID,DefectiveKey,OtherKey,OnConflict,Reason,Status\nFE-1,"bloomerang:1\n');
+    let malformed = null;
+    try {
+        await quiet(() => loadOverrideRulesFromDirectory(brokenDir));
+    } catch (error) {
+        malformed = error;
+    }
+    check('Malformed override CSV refused, naming the file', /force_exclude\.csv: Line 2: quoted field is never closed/.test(malformed?.message));
+
+    // Anomaly register: saved with an integrity block on every run, read back by the next
+    const registerPath = path.join(fixtureDir, 'groups.anomaly-register.json');
+    const firstRegister = readDatabaseFile(registerPath, '--anomaly-register', 'DataQualityAnomalyRegister');
+    check('Anomaly register saved next to the database with its integrity block', summary.anomalyRegisterPath === registerPath &&
+        firstRegister.integrity?.schemaVersion === SERIALIZATION_SCHEMA_VERSION &&
+        JSON.parse(firstRegister.content).lastRun?.label === 'entity-group-build');
+
+    beginAnomalyRun('review');
+    recordAnomaly(ANOMALY_CATEGORIES.UNPARSEABLE_RECORD, 'bloomerang:3', { householdName: 'JONES' });
+    await quiet(() => finishAnomalyRun());
+    acceptAnomaly('unparseable-record::bloomerang:3', { declaredBy: 'clerk', reason: 'Known donor' });
+    const customRegisterPath = path.join(fixtureDir, 'anomalies.json');
+    fs.writeFileSync(customRegisterPath, serializeAnomalyRegisterForSave());
+    populateAnomalyRegister(null);
+
+    const rerun = await quiet(() => runBuildGroups({ unified: unifiedPath, out: outPath, 'anomaly-register': customRegisterPath }));
+    const rerunRegister = JSON.parse(readDatabaseFile(customRegisterPath, '--anomaly-register', 'DataQualityAnomalyRegister').content);
+    check('Next build reads the register and keeps its decisions', rerun.anomalyRegisterPath === customRegisterPath &&
+        rerunRegister.anomalies.length === 1 && rerunRegister.anomalies[0].status === 'accepted' &&
+        rerunRegister.anomalies[0].resolution.declaredBy === 'clerk');
+
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+    applyMatchingProfile('default');
+    finishTests('build-groups command');
+}
+
+run();
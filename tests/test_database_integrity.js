@@ -0,0 +1,118 @@
+// Test the integrity blocks on saved databases: round trips through the local
+// storage backend, partial saves refused with the file ID, counts checked after
+// deserializing, earlier builds read for comparison checked the same way,
+// files saved before integrity blocks still loading, and files truncated before
+// their block refused
+// Run: node tests/test_database_integrity.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { check, rejects, finishTests } = require('./testHelpers');
+
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'birava-integrity-'));
+initializeHeadlessEnvironment({ storageDir: fixtureDir });
+
+// Keep the load/save banners out of the test output
+const quiet = async (fn) => {
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    const warnings = [];
+    console.log = () => {};
+    console.warn = (message) => warnings.push(String(message));
+    try {
+        return { result: await fn(), warnings };
+    } finally {
+        console.log = originalLog;
+        console.warn = originalWarn;
+    }
+};
+
+async function run() {
+    const storage = getStorageAdapter();
+    const groupDb = new EntityGroupDatabase();
+    const group = groupDb.createGroup('visionAppraisal:FireNumber:72', 1);
+    groupDb.addMemberToGroup(group.index, 'bloomerang:1001:FireNumber:72:head');
+    groupDb.createGroup('visionAppraisal:PID:626', 1);
+
+    // Round trip
+    await quiet(() => saveEntityGroupDatabase(groupDb, 'GROUPS_FILE', () => {}));
+    const saved = await storage.readFile('GROUPS_FILE');
+    const block = JSON.parse(saved.slice(saved.lastIndexOf(',"__integrity":') + 15, -1));
+    check('Save appends counts, format version and hash', block.database === 'EntityGroupDatabase' &&
+        block.formatVersion === DATABASE_INTEGRITY_FORMAT_VERSION && block.groupCount === 2 &&
+        block.entityCount === 3 && /^fnv1a32:[0-9a-f]{8}$/.test(block.contentHash));
+    const { result: loaded } = await quiet(() => loadEntityGroupDatabase('GROUPS_FILE'));
+    check('Verified load restores the database without the block', loaded instanceof EntityGroupDatabase &&
+        Object.keys(loaded.groups).length === 2 && loaded.__integrity === undefined);
+
+    // Content changed after saving (same length, so only the hash catches it)
+    const damaged = saved.replace('"bloomerang:1001:FireNumber:72:head"', '"bloomerang:1002:FireNumber:72:head"');
+    await storage.writeFile('GROUPS_FILE', damaged);
+    const hashError = await rejects(() => quiet(() => loadEntityGroupDatabase('GROUPS_FILE')));
+    check('Changed content refused, naming the file', /GROUPS_FILE content hash .* does not match/.test(hashError?.message));
+    check('Refused load keeps the previously loaded database', window.entityGroupDatabase === loaded);
+
+    // Upload cut short, block intact
+    await storage.writeFile('GROUPS_FILE', saved.slice(0, 200) + saved.slice(saved.lastIndexOf(',"__integrity":')));
+    const lengthError = await rejects(() => quiet(() => loadEntityGroupDatabase('GROUPS_FILE')));
+    check('Truncated content refused with both lengths', new RegExp(`GROUPS_FILE is 201 characters; it was saved as ${block.contentLength}`)
+        .test(lengthError?.message));
+
+    // Reading an earlier build (snapshot compare) is checked the same way and leaves the loaded database alone
+    const truncatedRead = await rejects(() => quiet(() => readSavedEntityGroupDatabase('GROUPS_FILE')));
+    await storage.writeFile('EARLIER_FILE', saved);
+    const { result: earlier } = await quiet(() => readSavedEntityGroupDatabase('EARLIER_FILE'));
+    check('Earlier build read with the integrity check, not made the loaded database',
+        /GROUPS_FILE is 201 characters/.test(truncatedRead?.message) && earlier instanceof EntityGroupDatabase &&
+        earlier !== loaded && earlier.__integrity === undefined && window.entityGroupDatabase === loaded);
+
+    // Forced load of a damaged file warns instead
+    await storage.writeFile('GROUPS_FILE', damaged);
+    const forced = await quiet(() => loadEntityGroupDatabase('GROUPS_FILE', { force: true }));
+    check('force loads with a warning', forced.result instanceof EntityGroupDatabase &&
+        forced.warnings.some(w => w.includes('does not match') && w.includes('loading anyway')));
+
+    // Counts are checked after deserializing
+    const miscounted = addDatabaseIntegrity(serializeWithTypes(groupDb), 'EntityGroupDatabase', { entityCount: 3, groupCount: 5 });
+    await storage.writeFile('GROUPS_FILE', miscounted);
+    const countError = await rejects(() => quiet(() => loadEntityGroupDatabase('GROUPS_FILE')));
+    check('Group count mismatch refused', /GROUPS_FILE loaded 2 groups; it was saved with 5/.test(countError?.message));
+
+    // Wrong database in the file
+    const unifiedContent = addDatabaseIntegrity('{"metadata":{},"entities":{}}', 'UnifiedEntityDatabase', { entityCount: 0 });
+    await storage.writeFile('GROUPS_FILE', unifiedContent);
+    const wrongError = await rejects(() => quiet(() => loadEntityGroupDatabase('GROUPS_FILE')));
+    check('File holding another database refused', /File GROUPS_FILE holds UnifiedEntityDatabase, not EntityGroupDatabase/
+        .test(wrongError?.message));
+
+    // Files saved before integrity blocks load with a warning
+    await storage.writeFile('GROUPS_FILE', serializeWithTypes(groupDb));
+    const legacy = await quiet(() => loadEntityGroupDatabase('GROUPS_FILE'));
+    check('Legacy file loads with a warning', Object.keys(legacy.result.groups).length === 2 &&
+        legacy.warnings.some(w => w.includes('GROUPS_FILE has no integrity block')));
+
+    // Save cut short before the block: refused naming the file, not left to the JSON parser
+    await storage.writeFile('GROUPS_FILE', saved.slice(0, saved.length - 300));
+    const cutError = await rejects(() => quiet(() => loadEntityGroupDatabase('GROUPS_FILE', { force: true })));
+    check('File truncated before its block refused, naming the file',
+        /EntityGroupDatabase file GROUPS_FILE appears truncated/.test(cutError?.message));
+
+    // A block from a newer format is never loaded
+    const newer = saved.replace(`"formatVersion":${DATABASE_INTEGRITY_FORMAT_VERSION}`, '"formatVersion":99');
+    const newerError = await rejects(() => readDatabaseIntegrity(newer, 'EntityGroupDatabase', 'GROUPS_FILE', { force: true }));
+    check('Newer integrity format refused even with force', /integrity format 99/.test(newerError?.message));
+
+    // IndividualName bulk file
+    const bulk = { __format: 'IndividualNameDatabaseBulk', __count: 2, entries: { a: {}, b: {} } };
+    const bulkContent = serializeIndividualNameBulkForSave(bulk);
+    const checked = readDatabaseIntegrity(bulkContent, 'IndividualNameDatabaseBulk', 'BULK');
+    check('Bulk file block covers the entry count', checked.integrity.entityCount === 2 &&
+        JSON.stringify(JSON.parse(checked.content)) === JSON.stringify(bulk));
+
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+    finishTests('database integrity');
+}
+
+run();
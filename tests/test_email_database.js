@@ -0,0 +1,147 @@
+// Test the EmailDatabase: address normalization, email list import, name and
+// domain matching to entities and groups, declarations honored on rematch,
+// persistence, and matched addresses joining CollectiveEmail
+// Run: node tests/test_email_database.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { check, finishTests } = require('./testHelpers');
+
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'birava-email-'));
+initializeHeadlessEnvironment({ storageDir: fixtureDir });
+
+// Keep the database banners out of the test output
+const quiet = async (fn) => {
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = originalLog;
+        console.warn = originalWarn;
+    }
+};
+
+const SOURCE = 'BLOOMERANG_CSV';
+const term = (value, idx) => new AttributedTerm(value, SOURCE, idx, `t${idx}`);
+
+function person(first, last, email, idx) {
+    const name = new IndividualName(term(`${first} ${last}`, idx), '', first, '', last, '');
+    const individual = new Individual(new SimpleIdentifiers(new AccountNumberTerm(`A${idx}`, SOURCE, idx, `a${idx}`)), name, null, null, null);
+    individual.contactInfo = new ContactInfo();
+    if (email) individual.contactInfo.email = new SimpleIdentifiers(new EmailTerm(email, SOURCE, idx, String(idx)));
+    return individual;
+}
+
+function business(label, idx) {
+    const entity = new Business(new SimpleIdentifiers(new AccountNumberTerm(`A${idx}`, SOURCE, idx, `a${idx}`)), new NonHumanName(term(label, idx)), null, null, null);
+    entity.contactInfo = new ContactInfo();
+    return entity;
+}
+
+const entities = {
+    'bloomerang:1': person('CAROL', 'BROWN', 'carol@example.com', 1),
+    'bloomerang:2': person('ALICE', 'JONES', 'alice@jonesdesign.net', 2),
+    'visionAppraisal:PID:3': person('DAVID', 'MILLER', null, 3),
+    'visionAppraisal:PID:4': business('HARBOR MARINA LLC', 4),
+    'visionAppraisal:PID:5': person('ROBERT', 'SMITH', null, 5),
+    'visionAppraisal:PID:6': person('ROBERT', 'SMITH', null, 6)
+};
+
+const groupDb = new EntityGroupDatabase();
+for (const key of Object.keys(entities)) {
+    groupDb.createGroup(key, 1);
+}
+const groupOf = (key) => Object.values(groupDb.groups).find(group => group.memberKeys.includes(key));
+
+const signups = [
+    'First Name,Last Name,E-mail Address,Tickets',
+    'Carol,Brown,carol@example.com,2',
+    'Alice,Jones,AJones@JonesDesign.net,1',
+    ',,dave.miller@gmail.com,1',
+    ',,<info@harbormarina.com>,4',
+    'Robert,Smith,rsmith@gmail.com,2',
+    'Pat,Green,not-an-address,1',
+    ',,mailto:Carol@Example.com,1'
+].join('\r\n');
+
+async function run() {
+    const storage = getStorageAdapter();
+
+    // Normalization
+    check('Addresses normalized for keys', normalizeEmailAddress(' <Mailto:John.Smith@Example.COM> ') === 'john.smith@example.com' &&
+        normalizeEmailAddress('john@localhost') === '' && normalizeEmailAddress('two@@x.com') === '');
+
+    // Import
+    const list = parseEmailListCsv(signups, { listName: '2026 Gala sign-ups', source: 'event-signup' });
+    check('Sign-up CSV parsed by header, bad address reported', list.records.length === 6 && list.errors.length === 1 &&
+        /Line 7/.test(list.errors[0]) && list.records[1].email === 'ajones@jonesdesign.net' &&
+        list.records[1].name.lastName === 'JONES' && list.records[0].source === 'event-signup');
+    const newsletter = parseEmailListCsv('Name,Email\r\n"Miller, David",dave.miller@gmail.com\r\n', { listName: 'Newsletter' });
+    check('Single name column split', newsletter.records[0].name.firstName === 'DAVID' && newsletter.records[0].name.lastName === 'MILLER');
+
+    const db = new EmailDatabase({ databaseFileId: 'email-index', folderFileId: 'email-folder', bulkFileId: 'email-bulk' });
+    await storage.writeFile(db.databaseFileId, JSON.stringify({ entries: {} }));
+    const imported = importEmailListRecords(db, [...list.records, ...newsletter.records]);
+    check('Rows sharing an address grouped into one entry', imported.added === 5 && imported.merged === 2 &&
+        db.get('carol@example.com').rawRecords.length === 2 &&
+        db.get('dave.miller@gmail.com').getSourceLists().join() === '2026 Gala sign-ups,Newsletter');
+
+    // Matching
+    const stats = await quiet(() => matchEmailDatabase(db, entities, groupDb));
+    const association = (email) => db.get(email).matchAssociations[0];
+    check('Existing address and name+domain matched to entity and group',
+        association('carol@example.com').matchType === 'existing-email' &&
+        association('carol@example.com').groupIndex === groupOf('bloomerang:1').index &&
+        association('ajones@jonesdesign.net').matchType === 'name+domain' &&
+        association('ajones@jonesdesign.net').entityKey === 'bloomerang:2');
+    check('Organization domain and list name matched; classification set',
+        association('info@harbormarina.com').matchType === 'organization-domain' &&
+        db.get('info@harbormarina.com').classification === 'nonhuman' &&
+        association('dave.miller@gmail.com').matchType === 'name' &&
+        association('dave.miller@gmail.com').matchSource === EMAIL_MATCHER_SOURCE &&
+        db.get('dave.miller@gmail.com').classification === 'person');
+    check('Name pointing at two groups left unmatched', db.get('rsmith@gmail.com').matchAssociations.length === 0 &&
+        stats.matched === 4 && stats.ambiguous === 1);
+    check('Local part read as a name', emailLocalPartNames('dave.miller+gala').map(n => `${n.firstName} ${n.lastName}`).join() === 'DAVE MILLER' &&
+        emailLocalPartNames('info').length === 0);
+
+    // User declarations survive a rematch
+    const smithGroup = groupOf('visionAppraisal:PID:6').index;
+    db.get('rsmith@gmail.com').declareInclusion({ groupIndex: smithGroup, entityKey: 'visionAppraisal:PID:6', declaredBy: 'clerk', reason: 'Asked at the gala' });
+    db.get('dave.miller@gmail.com').declareExclusion({ groupIndex: groupOf('visionAppraisal:PID:3').index, declaredBy: 'clerk', reason: 'Different David Miller' });
+    await quiet(() => matchEmailDatabase(db, entities, groupDb));
+    check('Rematch keeps inclusions and honors exclusions', db.get('rsmith@gmail.com').matchAssociations.length === 1 &&
+        db.get('rsmith@gmail.com').matchAssociations[0].matchSource === 'manual' &&
+        db.get('dave.miller@gmail.com').matchAssociations.length === 0 &&
+        db.get('carol@example.com').matchAssociations.length === 1);
+
+    // Persistence
+    await quiet(() => db.fileOutEntries());
+    await quiet(() => db.saveBulk());
+    const reloaded = new EmailDatabase({ databaseFileId: 'email-index', folderFileId: 'email-folder', bulkFileId: 'email-bulk' });
+    await quiet(() => reloaded.loadFromBulk());
+    check('Entries and associations persist', reloaded.size === 5 && reloaded.get('ajones@jonesdesign.net') instanceof EmailEntry &&
+        reloaded.get('rsmith@gmail.com').matchAssociations[0].declaredBy === 'clerk' && reloaded.getStats().domainCount === 4);
+
+    // CollectiveEmail
+    const jonesGroup = groupOf('bloomerang:2');
+    jonesGroup.buildCollectiveContactInfo(entities, reloaded);
+    const carolGroup = groupOf('bloomerang:1');
+    carolGroup.buildCollectiveContactInfo(entities, reloaded);
+    const smith = groupDb.groups[smithGroup];
+    smith.buildCollectiveContactInfo(entities, reloaded);
+    const addresses = (group) => [group.collectiveEmail.preferred, ...group.collectiveEmail.alternatives].map(e => e.primaryAlias.term);
+    check('Matched addresses join CollectiveEmail without duplicates', addresses(jonesGroup).sort().join() === 'ajones@jonesdesign.net,alice@jonesdesign.net' &&
+        addresses(carolGroup).join() === 'carol@example.com' && addresses(smith).join() === 'rsmith@gmail.com' &&
+        groupOf('visionAppraisal:PID:5').collectiveEmail === null);
+
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+    finishTests('email database');
+}
+
+run();
@@ -0,0 +1,113 @@
+// Test the EntityGroup blocking index: block keys, candidate sets, entities that
+// are always compared, same groups with and without blocking, and the recall report
+// Run: node tests/test_entity_blocking_index.js
+
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { check, finishTests } = require('./testHelpers');
+
+initializeHeadlessEnvironment({ extraScripts: ['scripts/analysis/blockingRecall.js'] });
+
+const SOURCE = 'BLOOMERANG_CSV';
+
+function person(first, last, idx) {
+    const name = new IndividualName(new AttributedTerm(`${first} ${last}`, SOURCE, idx, `n${idx}`), '', first, '', last, '');
+    const individual = new Individual(new SimpleIdentifiers(new AccountNumberTerm(`A${idx}`, SOURCE, idx, `a${idx}`)), name, null, null, null);
+    individual.contactInfo = new ContactInfo();
+    return individual;
+}
+
+function business(label, idx) {
+    const entity = new Business(new SimpleIdentifiers(new AccountNumberTerm(`A${idx}`, SOURCE, idx, `a${idx}`)),
+        new NonHumanName(new AttributedTerm(label, SOURCE, idx, `b${idx}`)), null, null, null);
+    entity.contactInfo = new ContactInfo();
+    return entity;
+}
+
+// JOHN / JON SMITH group (name 0.89); THE TRUST has no block key at all
+function fixture() {
+    return {
+        'bloomerang:1': person('JOHN', 'SMITH', 1),
+        'bloomerang:2': person('JON', 'SMITH', 2),
+        'bloomerang:3': person('ALICE', 'JONES', 3),
+        'bloomerang:4': person('MARY', 'BROWN', 4),
+        'bloomerang:5': business('SMITH HARDWARE', 5),
+        'bloomerang:6': business('THE TRUST', 6),
+        'bloomerang:7': person('PETER', 'SMYTHE', 7),
+        'bloomerang:8': person('SUSAN', 'SMYTH', 8)
+    };
+}
+
+const quiet = async (fn) => {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = originalLog;
+    }
+};
+const build = (options = {}) => quiet(() => buildEntityGroupDatabase({
+    verbose: false, saveToGoogleDrive: false, skipPhonebook: true, ...options
+}));
+
+const groupSignature = (db) => db.getAllGroups()
+    .map(g => `${g.foundingMemberKey}|${g.memberKeys.join(',')}|${[...g.nearMissKeys].sort().join(',')}`)
+    .sort()
+    .join('\n');
+
+window.matchOverrideManager.clear();
+
+(async () => {
+    const entities = fixture();
+    window.unifiedEntityDatabase = { entities };
+
+    // Block keys and candidates
+    check('Name tokens drop stopwords and single letters', tokenizeBlockingName("The O'Brien Family Trust, J.").join(',') === 'OBRIEN');
+    check('PO box wording stripped', normalizeBlockingPOBox('P.O. Box 1234') === '1234' && normalizeBlockingPOBox('BOX #12') === '12');
+
+    const index = new EntityBlockingIndex(entities, { indNameDb: null });
+    check('Individual blocked on last name', index.blocksByEntity.get('bloomerang:1').join(',') === 'name:SMITH');
+    check('Business blocked on name words', index.blocksByEntity.get('bloomerang:5').join(',') === 'name:SMITH,name:HARDWARE');
+    const candidates = index.getCandidateKeys('bloomerang:1');
+    check('Candidates share a block, plus unblocked entities', [...candidates].sort().join(',') === 'bloomerang:2,bloomerang:5,bloomerang:6');
+    check('Entity without block keys is compared with everything', index.unblockedKeys.has('bloomerang:6') &&
+        index.getCandidateKeys('bloomerang:6') === null && !index.canSkipPair('bloomerang:6', 'bloomerang:3'));
+    check('Entity added after indexing is never skipped', !index.isIndexed('bloomerang:99') && !index.canSkipPair('bloomerang:1', 'bloomerang:99'));
+    check('Pair without a shared block can be skipped', index.canSkipPair('bloomerang:1', 'bloomerang:3') && !index.canSkipPair('bloomerang:1', 'bloomerang:5'));
+
+    // Name variants from the IndividualNameDatabase join blocks the raw names do not share
+    const indNameDb = new IndividualNameDatabase();
+    const canonical = new IndividualName(new AttributedTerm('PETER SMYTHE', 'TEST', 1, 'inv1'), '', 'PETER', '', 'SMYTHE', '');
+    canonical.alternatives.add(new AttributedTerm('PETER SMYTH', 'TEST', 2, 'inv2'), 'homonyms');
+    indNameDb.entries.set('PETER SMYTHE', { object: canonical, fileId: null });
+    await quiet(() => indNameDb._buildVariationCache());
+    const variantIndex = new EntityBlockingIndex(entities, { indNameDb });
+    check('Name-database homonym adds a last-name block', variantIndex.blocksByEntity.get('bloomerang:7').includes('name:SMYTH') &&
+        !variantIndex.canSkipPair('bloomerang:7', 'bloomerang:8') && index.canSkipPair('bloomerang:7', 'bloomerang:8'));
+
+    // Builds with and without blocking
+    const previousIndex = window.entityBlockingIndex;
+    const fullDb = await build();
+    const blockedDb = await build({ blocking: true });
+    check('Blocked build gives the same groups as an exhaustive build', groupSignature(blockedDb) === groupSignature(fullDb));
+    check('JOHN / JON SMITH grouped with blocking', blockedDb.getAllGroups().some(g =>
+        g.memberKeys.includes('bloomerang:1') && g.memberKeys.includes('bloomerang:2')));
+    check('Build records blocking summary', blockedDb.blocking.enabled === true && blockedDb.blocking.unblockedEntities === 1 &&
+        fullDb.blocking.enabled === false);
+    check('Global blocking index restored after the build', window.entityBlockingIndex === previousIndex);
+
+    // Recall report
+    const recall = await quiet(() => evaluateBlockingRecall({ entityDb: entities, indNameDb: null }));
+    check('Recall report: every true match kept', recall.trueMatches.found > 0 && recall.trueMatches.recall === 1 &&
+        recall.missedPairs.length === 0 && recall.blockedComparisons < recall.exhaustiveComparisons);
+
+    // A stale index (JON SMITH indexed as JON SMITHERS) misses the pair, and the report says so
+    const staleIndex = new EntityBlockingIndex({ ...entities, 'bloomerang:2': person('JON', 'SMITHERS', 2) }, { indNameDb: null });
+    const missed = await quiet(() => evaluateBlockingRecall({ entityDb: entities, index: staleIndex }));
+    const missedPair = missed.missedPairs.find(p => p.baseKey === 'bloomerang:1' && p.targetKey === 'bloomerang:2');
+    check('Missed true match reported with its blocks', missed.trueMatches.recall < 1 && missedPair?.kind === 'TRUE_MATCH' &&
+        missedPair.targetBlocks.join(',') === 'name:SMITHERS');
+    check('Missed-pairs CSV has a row per missed pair', buildBlockingRecallCSV(missed).split('\n').length === missed.missedPairs.length + 1);
+
+    finishTests('blocking index');
+})();
@@ -0,0 +1,74 @@
+// Test compareEntityGroupDatabases() on two small hand-built EntityGroup databases
+// Run: node tests/test_entity_group_snapshot_compare.js
+
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { check, finishTests } = require('./testHelpers');
+
+initializeHeadlessEnvironment();
+
+/**
+ * Build an EntityGroupDatabase from [foundingKey, [otherMemberKeys], hasBloomerangMember] tuples
+ */
+function buildDb(groupSpecs) {
+    const db = new EntityGroupDatabase();
+    for (const [founder, others, hasBloomerang] of groupSpecs) {
+        const group = db.createGroup(founder, 1);
+        others.forEach(key => db.addMemberToGroup(group.index, key));
+        group.hasBloomerangMember = hasBloomerang;
+    }
+    return db;
+}
+
+// Old build: A{A,B,C} donor, D{D,E} prospect, F{F} prospect, G{G} prospect
+const oldDb = buildDb([
+    ['A', ['B', 'C'], true],
+    ['D', ['E'], false],
+    ['F', [], false],
+    ['G', [], false]
+]);
+
+// New build, different index order: C moved to D, F merged into H, G gained a Bloomerang member, X added
+const newDb = buildDb([
+    ['H', ['F'], false],
+    ['D', ['E', 'C'], false],
+    ['A', ['B'], true],
+    ['G', ['X'], true]
+]);
+
+const report = compareEntityGroupDatabases(oldDb, newDb);
+
+check('Index renumbering alone is not reported',
+    !report.membershipChanges.some(c => c.foundingMemberKey === 'A' && c.addedKeys.length > 0));
+check('Group A lost C', report.membershipChanges.some(c => c.foundingMemberKey === 'A' && c.removedKeys.includes('C')));
+check('Group D gained C', report.membershipChanges.some(c => c.foundingMemberKey === 'D' && c.addedKeys.includes('C')));
+check('C moved from A to D', report.movedEntities.some(m =>
+    m.entityKey === 'C' && m.fromFoundingMemberKey === 'A' && m.toFoundingMemberKey === 'D'));
+check('F moved into new group H', report.movedEntities.some(m => m.entityKey === 'F' && m.toFoundingMemberKey === 'H'));
+check('H is a new group built from F', report.newGroups.length === 1 &&
+    report.newGroups[0].foundingMemberKey === 'H' && report.newGroups[0].fromOldGroups.includes('F'));
+check('F group dropped into H', report.droppedGroups.length === 1 && report.droppedGroups[0].toNewGroups.includes('H'));
+check('G is no longer a prospect', report.droppedProspects.some(p => p.foundingMemberKey === 'G' && p.newIndex !== null));
+check('H is a new prospect', report.newProspects.some(p => p.foundingMemberKey === 'H'));
+check('H and X reported as added entities', report.addedEntities.map(e => e.entityKey).sort().join(',') === 'H,X');
+check('No removed entities', report.removedEntities.length === 0);
+
+// Consensus names
+oldDb.groups[0].consensusEntity = { name: { primaryAlias: { term: 'SMITH, JOHN' } } };
+newDb.groups[2].consensusEntity = { name: { primaryAlias: { term: 'SMITH, JOHN & MARY' } } };
+const namedReport = compareEntityGroupDatabases(oldDb, newDb);
+check('Consensus name change reported', namedReport.consensusNameChanges.length === 1 &&
+    namedReport.consensusNameChanges[0].newName === 'SMITH, JOHN & MARY');
+
+// Identical builds
+const sameReport = compareEntityGroupDatabases(oldDb, oldDb);
+check('Identical builds report no changes', Object.entries(sameReport.summary)
+    .filter(([key]) => !['oldGroups', 'newGroups', 'matchedGroups'].includes(key))
+    .every(([, count]) => count === 0));
+
+// CSV
+const csvLines = buildSnapshotCompareCSV(namedReport).split('\n');
+check('CSV has header row', csvLines[0].startsWith('ChangeType,FoundingMemberKey'));
+check('CSV has ENTITY_MOVED row for C', csvLines.some(line => line.startsWith('ENTITY_MOVED,D,') && line.includes(',C,')));
+check('CSV quotes values containing commas', csvLines.some(line => line.includes('"SMITH, JOHN & MARY"')));
+
+finishTests('snapshot compare');
@@ -0,0 +1,99 @@
+// Test explainMatch(): the weighted component breakdown, the true / near match
+// verdict under the active thresholds, and the override rules found for a pair
+// (MatchOverrideManager.getRulesForPair) deciding the outcome
+// Run: node tests/test_explain_match.js
+
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { check, finishTests } = require('./testHelpers');
+
+initializeHeadlessEnvironment();
+
+// Keep comparison diagnostics out of the test output
+const quiet = (fn) => {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = originalLog;
+    }
+};
+
+const SOURCE = 'BLOOMERANG_CSV';
+
+function person(first, last, idx, phone) {
+    const name = new IndividualName(new AttributedTerm(`${first} ${last}`, SOURCE, idx, `n${idx}`), '', first, '', last, '');
+    const individual = new Individual(new SimpleIdentifiers(new AccountNumberTerm(`A${idx}`, SOURCE, idx, `a${idx}`)), name, null, null, null);
+    individual.contactInfo = new ContactInfo();
+    if (phone) individual.contactInfo.phone = new SimpleIdentifiers(new PhoneTerm(phone, SOURCE, idx, `p${idx}`));
+    return individual;
+}
+
+// JOHN / JON SMITH share a phone (name 0.89); JON SMITH 2 has no phone; ALICE JONES is unrelated
+const entityDb = {
+    'bloomerang:1': person('JOHN', 'SMITH', 1, '401-466-2100'),
+    'bloomerang:2': person('JON', 'SMITH', 2, '(401) 466-2100'),
+    'bloomerang:3': person('ALICE', 'JONES', 3),
+    'bloomerang:4': person('JON', 'SMITH', 4)
+};
+const explain = (keyA, keyB) => quiet(() => explainMatch(keyA, keyB, { entityDb }));
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+const manager = window.matchOverrideManager;
+manager.clear();
+applyMatchingProfile('default');
+
+// Component breakdown
+const smiths = explain('bloomerang:1', 'bloomerang:2');
+const { name, contactInfo } = smiths.components;
+check('Name and contactInfo components with similarity, weight and contribution',
+    Object.keys(smiths.components).join() === 'name,contactInfo' && near(name.similarity, 8 / 9) && contactInfo.similarity === 1 &&
+    near(name.weight + contactInfo.weight, 1) && near(name.contribution, name.similarity * name.weight) &&
+    near(contactInfo.contribution, contactInfo.weight));
+check('Score is the sum of the contributions', near(smiths.score, name.contribution + contactInfo.contribution) &&
+    smiths.codePath === 'compareIndividualToIndividual' && smiths.entityA.name === 'JOHN SMITH' && smiths.entityB.type === 'Individual');
+check('Phone comparison shown in the contactInfo details',
+    smiths.subordinateDetails.contactInfo.components.phone.method === 'phoneTerm-normalized');
+
+// Threshold verdict
+check('Shared phone is a true match', smiths.classification.isTrueMatch === true &&
+    smiths.classification.isNearMatch === false && smiths.outcome === 'TRUE_MATCH');
+const nameOnly = explain('bloomerang:1', 'bloomerang:4');
+check('Name alone above the default nameAlone threshold is a true match', nameOnly.outcome === 'TRUE_MATCH');
+applyMatchingProfile('strict');
+const strictNameOnly = explain('bloomerang:1', 'bloomerang:4');
+check('Same pair only a near match under strict thresholds', strictNameOnly.classification.isTrueMatch === false &&
+    strictNameOnly.classification.isNearMatch === true && strictNameOnly.outcome === 'NEAR_MATCH');
+applyMatchingProfile('default');
+check('Unrelated pair is no match', explain('bloomerang:1', 'bloomerang:3').outcome === 'NO_MATCH');
+
+// Override rules
+manager.addForceMatchRule({ ruleId: 'FM-1', entityKey1: 'bloomerang:1', entityKey2: 'bloomerang:3', reason: 'Same person, new name' });
+manager.addForceMatchRule({ ruleId: 'FM-2', entityKey1: 'bloomerang:1', entityKey2: 'bloomerang:4', status: 'INACTIVE' });
+manager.addForceExcludeRule({ ruleId: 'FE-1', defectiveKey: 'bloomerang:2', otherKey: 'bloomerang:1', reason: 'Father and son' });
+
+const forced = explain('bloomerang:3', 'bloomerang:1');
+check('FORCE_MATCH rule found in either key order', forced.overrides.forceMatch.length === 1 &&
+    forced.overrides.forceMatch[0].ruleId === 'FM-1' && forced.overrides.forceMatch[0].reason === 'Same person, new name' &&
+    forced.overrides.forceExclude === null && forced.outcome === 'FORCE_MATCHED');
+const excluded = explain('bloomerang:1', 'bloomerang:2');
+check('FORCE_EXCLUDE rule outranks a true match', excluded.classification.isTrueMatch === true &&
+    excluded.overrides.forceExclude.ruleId === 'FE-1' && excluded.overrides.forceExclude.defectiveKey === 'bloomerang:2' &&
+    excluded.outcome === 'FORCE_EXCLUDED');
+const inactive = explain('bloomerang:1', 'bloomerang:4');
+check('Inactive rule reported but does not decide the outcome', inactive.overrides.forceMatch[0]?.status === 'INACTIVE' &&
+    inactive.outcome === 'TRUE_MATCH');
+check('No rules for an unrelated pair', JSON.stringify(manager.getRulesForPair('bloomerang:2', 'bloomerang:3')) ===
+    JSON.stringify({ forceMatch: [], forceExclude: null }));
+
+// Missing entities
+let missing = null;
+try {
+    explain('bloomerang:1', 'bloomerang:99');
+} catch (error) {
+    missing = error;
+}
+check('Unknown key refused', /entity not found: bloomerang:99/.test(missing?.message));
+
+manager.clear();
+finishTests('explainMatch');
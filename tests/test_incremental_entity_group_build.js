@@ -0,0 +1,172 @@
+// Test incremental EntityGroup rebuilds: same groups as a full rebuild after adds,
+// removals and modifications, original indices kept for carried-over groups,
+// household members freed together, refusal when the previous build cannot be reused,
+// and cleanup after a build that stops early or throws
+// Run: node tests/test_incremental_entity_group_build.js
+
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { check, finishTests } = require('./testHelpers');
+
+initializeHeadlessEnvironment();
+
+const SOURCE = 'BLOOMERANG_CSV';
+
+// Entity key in the unified database format: bloomerang:<account>:<locationType>:<locationValue>:<headStatus>
+const key = (account, headStatus = 'na') => `bloomerang:${account}:FireNumber:${1000 + account}:${headStatus}`;
+
+function person(first, last, idx) {
+    const name = new IndividualName(new AttributedTerm(`${first} ${last}`, SOURCE, idx, `n${idx}`), '', first, '', last, '');
+    const individual = new Individual(new SimpleIdentifiers(new AccountNumberTerm(`A${idx}`, SOURCE, idx, `a${idx}`)), name, null, null, null);
+    individual.contactInfo = new ContactInfo();
+    return individual;
+}
+
+function business(label, idx) {
+    const entity = new Business(new SimpleIdentifiers(new AccountNumberTerm(`A${idx}`, SOURCE, idx, `a${idx}`)),
+        new NonHumanName(new AttributedTerm(label, SOURCE, idx, `b${idx}`)), null, null, null);
+    entity.contactInfo = new ContactInfo();
+    return entity;
+}
+
+// Regression fixture: name-only individuals and businesses; JOHN / JON SMITH group (name 0.89)
+function fixture() {
+    return {
+        [key(1)]: person('JOHN', 'SMITH', 1),
+        [key(2)]: person('JON', 'SMITH', 2),
+        [key(3)]: person('ALICE', 'JONES', 3),
+        [key(4)]: person('MARY', 'BROWN', 4),
+        [key(5)]: person('PETER', 'GREEN', 5),
+        [key(6)]: person('SUSAN', 'WHITE', 6),
+        [key(7)]: business('BLOCK ISLAND TRUST', 7),
+        [key(8)]: business('SMITH HARDWARE', 8),
+        [key(9)]: person('ROBERT', 'TAYLOR', 9)
+    };
+}
+
+const quiet = async (fn) => {
+    const originalLog = console.log;
+    const originalError = console.error;
+    console.log = () => {};
+    console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = originalLog;
+        console.error = originalError;
+    }
+};
+const build = (options = {}) => quiet(() => buildEntityGroupDatabase({
+    verbose: false, saveToGoogleDrive: false, skipPhonebook: true, ...options
+}));
+
+// Founder, members, near misses and phase of every group, independent of indices
+const groupSignature = (db) => db.getAllGroups()
+    .map(g => `${g.foundingMemberKey}|${g.memberKeys.join(',')}|${[...g.nearMissKeys].sort().join(',')}|${g.constructionPhase}`)
+    .sort()
+    .join('\n');
+
+const manager = window.matchOverrideManager;
+manager.clear();
+const originalLog = console.log;
+console.log = () => {};
+manager.loadFromSheetData(parseOverrideRuleRows(
+    [
+        ['RuleID', 'EntityKey1', 'EntityKey2', 'AnchorOverride', 'Reason', 'Status'],
+        ['FM-1', key(5), key(6), '', 'same household', 'ACTIVE']
+    ],
+    [['RuleID', 'DefectiveKey', 'OtherKey', 'OnConflict', 'Reason', 'Status']]
+));
+console.log = originalLog;
+
+(async () => {
+    window.unifiedEntityDatabase = { entities: fixture() };
+    const previousDb = await build();
+    const indexOf = (db, founderKey) => db.getAllGroups().find(g => g.foundingMemberKey === founderKey)?.index;
+
+    // Changes: JOHNNY SMITH added, SMITH HARDWARE removed, ALICE JONES renamed to MARY BROWN
+    const entities = fixture();
+    entities[key(10)] = person('JOHNNY', 'SMITH', 10);
+    delete entities[key(8)];
+    entities[key(3)] = person('MARY', 'BROWN', 3);
+    window.unifiedEntityDatabase = { entities };
+    const changedKeys = { added: [key(10)], removed: [key(8)], modified: [key(3)] };
+
+    const fullDb = await build();
+    const incrementalDb = await build({ incremental: { previousDb, changedKeys } });
+
+    check('Incremental rebuild gives the same groups as a full rebuild', groupSignature(incrementalDb) === groupSignature(fullDb));
+    const report = compareEntityGroupDatabases(fullDb, incrementalDb);
+    check('Snapshot compare finds no differences', report.membershipChanges.length === 0 &&
+        report.newGroups.length === 0 && report.droppedGroups.length === 0);
+    check('Changes took effect', incrementalDb.getAllGroups().some(g => g.memberKeys.includes(key(3)) && g.memberKeys.includes(key(4))) &&
+        !incrementalDb.isEntityAssigned(key(8)));
+
+    const stats = incrementalDb.incrementalBuild;
+    check('Untouched groups carried over', stats.carriedGroups === 3 && stats.rebuiltGroups === 4 &&
+        stats.changedKeys.modified === 1 && stats.previousConstructionTimestamp === previousDb.constructionTimestamp);
+    check('Carried-over groups keep their index', [key(5), key(7), key(9)]
+        .every(key => indexOf(incrementalDb, key) === indexOf(previousDb, key)));
+    check('Force-matched group carried over whole', incrementalDb.getGroup(indexOf(previousDb, key(5))).memberKeys.join(',') === [key(5), key(6)].join(','));
+    check('Rebuilt groups get new indices', incrementalDb.getAllGroups()
+        .filter(g => ![key(5), key(7), key(9)].includes(g.foundingMemberKey))
+        .every(g => g.index >= previousDb.nextIndex));
+    check('Full builds record no incremental summary', fullDb.incrementalBuild === null);
+
+    // A second incremental rebuild on top of the first
+    entities[key(11)] = person('ROBERT', 'TAYLER', 11);
+    const chainedDb = await build({ incremental: { previousDb: incrementalDb, changedKeys: { added: [key(11)] } } });
+    const chainedFullDb = await build();
+    check('Chained incremental rebuild matches a full rebuild', groupSignature(chainedDb) === groupSignature(chainedFullDb));
+    check('Chained rebuild keeps indices from the previous incremental build',
+        indexOf(chainedDb, key(7)) === indexOf(incrementalDb, key(7)));
+
+    // Bloomerang household members share the household's account number; a change to one
+    // frees the groups of the others even when no score links them
+    const householdEntities = fixture();
+    householdEntities[key(30, 'head')] = person('HAROLD', 'GRAY', 30);
+    householdEntities[key(30, 'member')] = person('LINDA', 'GRAY', 31);
+    window.unifiedEntityDatabase = { entities: householdEntities };
+    const householdDb = await build();
+    householdEntities[key(30, 'member')] = person('LYNDA', 'GRAY', 31);
+    const memberChange = { modified: [key(30, 'member')] };
+    const plan = await quiet(() => planIncrementalEntityGroupBuild(householdDb, memberChange, householdEntities));
+    const groupOf = (db, memberKey) => db.getAllGroups().find(g => g.memberKeys.includes(memberKey));
+    check('Household member\'s change frees the other members of its account', groupOf(householdDb, key(30, 'head')) !==
+        groupOf(householdDb, key(30, 'member')) && plan.freedKeys.has(key(30, 'head')) && !plan.freedKeys.has(key(9)));
+    const householdIncrementalDb = await build({ incremental: { previousDb: householdDb, changedKeys: memberChange } });
+    check('Household member rebuild matches a full rebuild', groupSignature(householdIncrementalDb) === groupSignature(await build()));
+
+    // Previous builds that cannot be reused
+    const strictDb = await build({ matchingProfile: 'strict', incremental: { previousDb, changedKeys } });
+    applyMatchingProfile('default');
+    check('Different matching profile refused', strictDb === null &&
+        getIncrementalBuildBlocker(previousDb, { name: 'strict', profile: resolveMatchingProfile('strict') }, false).includes('"strict"'));
+    check('Sample mode refused', getIncrementalBuildBlocker(previousDb, getMatchingProfileSummary(), true).includes('sample mode'));
+    check('Refused build closes its anomaly run', dataQualityAnomalyRegister.currentRun === null);
+
+    // A build that throws part way restores the blocking index and closes its anomaly run
+    const previousBlockingIndex = window.entityBlockingIndex;
+    const originalPhase = window.executePhase3_BloomerangIndividuals;
+    window.executePhase3_BloomerangIndividuals = () => {
+        throw new Error('phase failed');
+    };
+    let buildError = null;
+    try {
+        await build({ blocking: true });
+    } catch (e) {
+        buildError = e;
+    } finally {
+        window.executePhase3_BloomerangIndividuals = originalPhase;
+    }
+    check('Failed build restores the blocking index and closes its anomaly run', buildError?.message === 'phase failed' &&
+        window.entityBlockingIndex === previousBlockingIndex && dataQualityAnomalyRegister.currentRun === null);
+    let error = null;
+    try {
+        normalizeChangedKeys({ added: key(10) });
+    } catch (e) {
+        error = e;
+    }
+    check('Malformed changed-key set rejected', error && error.message.includes('changedKeys.added'));
+
+    finishTests('incremental EntityGroup build');
+})();
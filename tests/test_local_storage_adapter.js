@@ -0,0 +1,98 @@
+// Test the local-directory storage backend against a throwaway fixture directory,
+// including the collision, contact preference and override rule files
+// Run: node tests/test_local_storage_adapter.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { check, reportUnexpectedError, finishTests } = require('./testHelpers');
+
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'birava-storage-'));
+initializeHeadlessEnvironment({ storageDir: fixtureDir });
+
+async function run() {
+    const storage = getStorageAdapter();
+    check('Local storage adapter is active', storage.name === 'local');
+
+    // Basic file operations
+    const fileId = await storage.createFile('sample.json', 'FOLDER_A', '{"a":1}');
+    check('createFile returns an ID', typeof fileId === 'string' && fileId.length > 0);
+    check('readFile returns written content', await storage.readFile(fileId) === '{"a":1}');
+
+    await storage.writeFile(fileId, '{"a":2}');
+    check('writeFile replaces content', await storage.readFile(fileId) === '{"a":2}');
+
+    await storage.renameFile(fileId, 'renamed.json');
+    const listed = await storage.listFolder('FOLDER_A');
+    check('listFolder shows renamed file', listed.length === 1 && listed[0].name === 'renamed.json');
+
+    await storage.moveToDeleted(fileId, { folderId: 'FOLDER_A', deletedFolderId: 'DELETED', name: 'DELETED_x.json' });
+    check('moveToDeleted removes file from folder', (await storage.listFolder('FOLDER_A')).length === 0);
+    check('moveToDeleted puts file in deleted folder', (await storage.listFolder('DELETED')).length === 1);
+
+    // Fixture files keep their Drive IDs
+    fs.writeFileSync(path.join(fixtureDir, 'files', 'DRIVE_FILE_ID'), 'fixture');
+    check('Fixture file readable by Drive ID', await storage.readFile('DRIVE_FILE_ID') === 'fixture');
+
+    // SupplementalDataDatabase bulk round trip
+    const phonebookDb = new PhonebookDatabase();
+    phonebookDb.bulkFileId = 'PHONEBOOK_BULK';
+    phonebookDb.entries.set('4015550100', {
+        entry: new PhonebookEntry({ entryKey: '4015550100' }),
+        fileId: null,
+        created: new Date().toISOString(),
+        lastModified: new Date().toISOString()
+    });
+    await phonebookDb.saveBulk();
+
+    const reloaded = new PhonebookDatabase();
+    reloaded.bulkFileId = 'PHONEBOOK_BULK';
+    await reloaded.loadFromBulk();
+    check('PhonebookDatabase bulk round trip', reloaded.entries.has('4015550100'));
+
+    // EntityGroupDatabase save/load round trip
+    const groupDb = new EntityGroupDatabase();
+    const saveResult = await saveEntityGroupDatabase(groupDb, 'ENTITYGROUP_DB', () => {});
+    check('saveEntityGroupDatabase succeeds', saveResult.success);
+    const loadedGroupDb = await loadEntityGroupDatabase('ENTITYGROUP_DB');
+    check('loadEntityGroupDatabase restores class', loadedGroupDb instanceof EntityGroupDatabase);
+
+    // Fire number collisions, contact preference overrides and override rules use the same backend
+    const browserStorage = new Map([['birava_fireNumberCollisionFileId', 'COLLISIONS']]);
+    global.localStorage = {
+        getItem: (key) => browserStorage.get(key) ?? null,
+        setItem: (key, value) => browserStorage.set(key, String(value))
+    };
+    fs.writeFileSync(path.join(fixtureDir, 'files', 'COLLISIONS'),
+        JSON.stringify({ records: [{ fireNumber: '72', entityKeys: ['visionAppraisal:FireNumber:72A'], pids: ['626'] }] }));
+    await loadFireNumberCollisionDatabaseFromFile();
+    check('Fire number collisions load from local storage', getFireNumberForEntityKey('visionAppraisal:FireNumber:72A') === '72');
+    addEntityKeyToCollision('85', 'visionAppraisal:FireNumber:85A', '700');
+    await saveFireNumberCollisionDatabaseToFile();
+    check('Fire number collisions save to local storage',
+        JSON.parse(await storage.readFile('COLLISIONS')).records.some(record => record.fireNumber === '85'));
+
+    addContactPreferenceOverride('visionAppraisal:FireNumber:72A', CONTACT_TYPES.PHONE, { number: '4015550100' }, '401-555-0100');
+    await saveContactPreferenceOverrides();
+    const overrideFileId = browserStorage.get('birava_contactPreferenceOverrideFileId');
+    contactPreferenceOverrideDatabase.overrides = [];
+    await loadContactPreferenceOverrides();
+    check('Contact preference overrides created in and reloaded from local storage', Boolean(overrideFileId) &&
+        contactPreferenceOverrideDatabase.overrides.length === 1 && contactPreferenceOverrideDatabase.metadata.sourceFileId === overrideFileId);
+
+    fs.writeFileSync(path.join(fixtureDir, 'files', OVERRIDE_SHEET_IDS.FORCE_MATCH),
+        'RuleID,EntityKey1,EntityKey2,AnchorOverride,Reason,Status\r\nFM-1,visionAppraisal:PID:626,bloomerang:1001:FireNumber:72:head,,"Same owner, new deed",ACTIVE\r\n');
+    const rules = await loadRulesFromGoogleSheets();
+    check('Override rules read from CSV exports in local storage', rules.forceMatches.length === 1 &&
+        rules.forceMatches[0].reason === 'Same owner, new deed' && rules.errors.length === 1 && /FORCE_EXCLUDE/.test(rules.errors[0]));
+}
+
+run()
+    .catch(error => {
+        reportUnexpectedError(error);
+    })
+    .finally(() => {
+        fs.rmSync(fixtureDir, { recursive: true, force: true });
+        finishTests('local storage');
+    });
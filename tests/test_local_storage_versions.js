@@ -0,0 +1,128 @@
+// Test versions in the local storage backend: versions raised per write, writes
+// refused against a stale version, recovery of a write interrupted by a crash,
+// and the browser adapter sending the version its tab last read (or, for a
+// file it never read, the version stored just before writing)
+// Run: node tests/test_local_storage_versions.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalFileStore, VersionConflictError } = require('../servers/localFileStore');
+const { LocalDirectoryStorageAdapter } = require('../scripts/core/storageAdapters');
+const { check, rejects, finishTests } = require('./testHelpers');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'birava-storage-versions-'));
+
+/**
+ * fetch() answering the /api/storage file routes the way servers/server.js does
+ */
+function storageFetch(store) {
+    return async (url, init = {}) => {
+        const { pathname, searchParams } = new URL(url);
+        const [fileId, route] = pathname.replace('/api/storage/files/', '').split('/').map(decodeURIComponent);
+        try {
+            if (route === 'metadata') {
+                return Response.json(await store.getFileMetadata(fileId));
+            }
+            if (init.method === 'PUT') {
+                const version = searchParams.get('version');
+                const result = await store.writeFile(fileId, init.body, { expectedVersion: version === null ? undefined : Number(version) });
+                return Response.json({ success: true, ...result });
+            }
+            const { content, version } = await store.readFileWithVersion(fileId);
+            return new Response(content, { headers: { 'X-File-Version': String(version) } });
+        } catch (error) {
+            const status = error.status || (/not found/i.test(error.message) ? 404 : 400);
+            return Response.json({ error: error.message, currentVersion: error.currentVersion }, { status });
+        }
+    };
+}
+
+async function run() {
+    const store = new LocalFileStore(storeDir);
+    const filePath = (fileId) => path.join(storeDir, 'files', fileId);
+
+    // Versions
+    fs.writeFileSync(filePath('DRIVE_FILE_ID'), '{"groups":{}}');
+    check('Fixture file without a manifest entry is version 0', (await store.readFileWithVersion('DRIVE_FILE_ID')).version === 0);
+    const first = await store.writeFile('DRIVE_FILE_ID', '{"groups":{"1":{}}}', { expectedVersion: 0 });
+    check('Write raises the version', first.version === 1 && (await store.getFileMetadata('DRIVE_FILE_ID')).version === 1);
+    const createdId = await store.createFile('new.json', 'FOLDER', '{}');
+    check('Created file is version 1', (await store.readFileWithVersion(createdId)).version === 1);
+
+    // Two tabs read version 1; the first write wins, the second is refused
+    const tabA = await store.writeFile('DRIVE_FILE_ID', '{"groups":{"2":{}}}', { expectedVersion: 1 });
+    const conflict = await rejects(() => store.writeFile('DRIVE_FILE_ID', '{"groups":{"3":{}}}', { expectedVersion: 1 }));
+    check('Write over a stale version refused with the stored version', tabA.version === 2 &&
+        conflict instanceof VersionConflictError && conflict.status === 409 && conflict.currentVersion === 2);
+    check('Refused write leaves the content alone', await store.readFile('DRIVE_FILE_ID') === '{"groups":{"2":{}}}');
+    check('Write without a version is unconditional', (await store.writeFile('DRIVE_FILE_ID', '{"groups":{}}')).version === 3);
+    check('Invalid version rejected', /^Invalid version/.test((await rejects(() =>
+        store.writeFile('DRIVE_FILE_ID', '{}', { expectedVersion: -1 })))?.message));
+    check('No temp files left behind', fs.readdirSync(path.join(storeDir, 'files')).every(name => !name.endsWith('.tmp')));
+
+    // Crash after the manifest was updated: the new content is renamed into place on the next read
+    const manifestPath = path.join(storeDir, 'manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    manifest.files.DRIVE_FILE_ID.version = 4;
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+    fs.writeFileSync(`${filePath('DRIVE_FILE_ID')}.v4.tmp`, '{"groups":{"4":{}}}');
+    const recovered = await store.readFileWithVersion('DRIVE_FILE_ID');
+    check('Committed write finished on the next read', recovered.content === '{"groups":{"4":{}}}' && recovered.version === 4 &&
+        !fs.existsSync(`${filePath('DRIVE_FILE_ID')}.v4.tmp`));
+
+    // Crash before the manifest was updated: the write never happened
+    fs.writeFileSync(`${filePath('DRIVE_FILE_ID')}.v5.tmp`, '{"groups":{"5":{}}}');
+    const uncommitted = await store.readFileWithVersion('DRIVE_FILE_ID');
+    check('Uncommitted write ignored', uncommitted.content === '{"groups":{"4":{}}}' && uncommitted.version === 4);
+    check('Next write replaces the leftover temp file', (await store.writeFile('DRIVE_FILE_ID', '{"groups":{"6":{}}}', { expectedVersion: 4 })).version === 5 &&
+        await store.readFile('DRIVE_FILE_ID') === '{"groups":{"6":{}}}');
+
+    // Browser adapter: each tab writes over the version it last read
+    const originalFetch = global.fetch;
+    global.fetch = storageFetch(store);
+    try {
+        const tab1 = new LocalDirectoryStorageAdapter('http://local.test');
+        const tab2 = new LocalDirectoryStorageAdapter('http://local.test');
+        await tab1.readFile('DRIVE_FILE_ID');
+        await tab2.readFile('DRIVE_FILE_ID');
+        await tab1.writeFile('DRIVE_FILE_ID', '{"tab":1}');
+        const staleTab = await rejects(() => tab2.writeFile('DRIVE_FILE_ID', '{"tab":2}'));
+        check('Adapter tracks the version per tab', tab1.fileVersions.DRIVE_FILE_ID === 6 &&
+            await store.readFile('DRIVE_FILE_ID') === '{"tab":1}');
+        check('Second tab refused until it reloads', staleTab?.status === 409 && staleTab.currentVersion === 6 &&
+            /Reload it before saving/.test(staleTab.message));
+        await tab2.readFile('DRIVE_FILE_ID');
+        await tab2.writeFile('DRIVE_FILE_ID', '{"tab":2}');
+        check('Write after reloading succeeds', tab2.fileVersions.DRIVE_FILE_ID === 7);
+
+        // A tab that never read the file (e.g. saving a fresh build) writes over the version stored just before
+        const builder = new LocalDirectoryStorageAdapter('http://local.test');
+        const putUrls = [];
+        global.fetch = async (url, init = {}) => {
+            if (init.method === 'PUT') {
+                putUrls.push(url);
+                // Another tab saves between the version lookup and this write
+                await store.writeFile('DRIVE_FILE_ID', '{"tab":3}');
+            }
+            return storageFetch(store)(url, init);
+        };
+        const overtaken = await rejects(() => builder.writeFile('DRIVE_FILE_ID', '{"build":1}'));
+        check('Unread file written against the stored version, refused if overtaken',
+            /\?version=7$/.test(putUrls[0]) && overtaken?.status === 409 && await store.readFile('DRIVE_FILE_ID') === '{"tab":3}');
+        global.fetch = storageFetch(store);
+        const written = await builder.writeFile('DRIVE_FILE_ID', '{"build":2}');
+        check('Write returns the file ID and new version', written.id === 'DRIVE_FILE_ID' && written.version === 9 &&
+            builder.fileVersions.DRIVE_FILE_ID === 9);
+        check('File not created yet written as version 0', (await builder.writeFile('NEW_FILE', '{}')).version === 1);
+        const explicit = await rejects(() => builder.writeFile('DRIVE_FILE_ID', '{}', { expectedVersion: 3 }));
+        check('Explicit expected version checked', explicit?.status === 409 && explicit.currentVersion === 9);
+    } finally {
+        global.fetch = originalFetch;
+    }
+
+    fs.rmSync(storeDir, { recursive: true, force: true });
+    finishTests('local storage version');
+}
+
+run();
@@ -0,0 +1,88 @@
+// Test the mail merge spreadsheet export: campaign tabs with the do-not-mail and
+// founding member key columns, checked rows read back as exclusion rules, and
+// the local XLSX fallback
+// Run: node tests/test_mail_merge_spreadsheet.js
+
+const zlib = require('zlib');
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { check, finishTests } = require('./testHelpers');
+
+initializeHeadlessEnvironment();
+
+// Entries of a stored (uncompressed) zip, read from the central directory
+function readStoredZip(bytes) {
+    const buffer = Buffer.from(bytes);
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const entries = {};
+    for (let i = 0; i < count; i++) {
+        const crc = buffer.readUInt32LE(offset + 16);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+        const data = buffer.subarray(dataStart, dataStart + size);
+        entries[name] = { text: data.toString('utf8'), crcOk: zlib.crc32(data) === crc };
+        offset += 46 + nameLength;
+    }
+    return entries;
+}
+
+// Mail merge rows as generateMailMergeGroupRows() returns them (62 columns)
+function mailMergeRow(groupIndex, name) {
+    const row = CSV_HEADERS.map(() => '');
+    row[0] = 'founding';
+    row[1] = groupIndex;
+    row[3] = name;
+    return row;
+}
+
+const groupRows = [
+    { group: { index: 7, foundingMemberKey: 'visionAppraisal:FireNumber:72', memberKeys: ['a'] }, rows: [mailMergeRow(7, 'SMITH, JOHN & <MARY>')] },
+    { group: { index: 12, foundingMemberKey: 'visionAppraisal:PID:626', memberKeys: ['b', 'c'] }, rows: [mailMergeRow(12, 'JONES TRUST')] }
+];
+
+// Campaign tabs
+const [single] = buildMailMergeCampaignTabs(groupRows, undefined, {});
+const header = single.values[0];
+check('Default export is one Prospects tab with every group', single.name === 'Prospects' &&
+    single.groupCount === 2 && single.values.length === 3);
+check('DoNotMail first, mail merge columns, founding member key last', header[0] === MAIL_MERGE_DO_NOT_MAIL_HEADER &&
+    header.length === CSV_HEADERS.length + 2 && header[header.length - 1] === MAIL_MERGE_FOUNDING_KEY_HEADER &&
+    single.values[1][0] === false && single.values[1][header.length - 1] === 'visionAppraisal:FireNumber:72');
+
+const tabs = buildMailMergeCampaignTabs(groupRows, [
+    { name: 'Spring: Singles/Households', filter: (group) => group.memberKeys.length === 1 },
+    { name: 'Spring: Singles/Households' }
+], {});
+check('Campaign filters pick groups; tab names cleaned and unique', tabs[0].groupCount === 1 && tabs[1].groupCount === 2 &&
+    tabs[0].name === 'Spring- Singles-Households' && tabs[1].name === 'Spring- Singles-Households (2)');
+
+// Reviewed tab read back: booleans from Sheets, 'TRUE' text from an imported file
+const reviewed = single.values.map(row => row.slice());
+reviewed[1][0] = true;
+reviewed[2][0] = 'TRUE';
+reviewed.push(reviewed[1].slice());
+const rules = readMailMergeDoNotMailRules(reviewed);
+check('Checked rows become exclusion rules, one per founding member', rules.length === 2 &&
+    rules[0].groupIndex === '7' && rules[0].memberKey === 'visionAppraisal:FireNumber:72' &&
+    rules[1].memberKey === 'visionAppraisal:PID:626');
+check('Unchecked tab and unrelated sheet give no rules', readMailMergeDoNotMailRules(single.values).length === 0 &&
+    readMailMergeDoNotMailRules([['Address'], ['1 MAIN ST']]).length === 0);
+
+// Local XLSX fallback
+const entries = readStoredZip(buildMailMergeXlsx(tabs));
+check('XLSX holds the package parts and one sheet per tab', ['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml',
+    'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml', 'xl/worksheets/sheet2.xml'].every(name => entries[name]) &&
+    Object.values(entries).every(entry => entry.crcOk));
+check('Workbook names the campaign tabs', entries['xl/workbook.xml'].text.includes('<sheet name="Spring- Singles-Households (2)" sheetId="2"'));
+const sheetXml = entries['xl/worksheets/sheet2.xml'].text;
+const lastColumn = CSV_HEADERS.length + 2;
+check('Sheet has frozen header, hidden key column and TRUE/FALSE cells', sheetXml.includes('state="frozen"') &&
+    sheetXml.includes(`<col min="${lastColumn}" max="${lastColumn}" width="0" hidden="1"`) &&
+    sheetXml.includes('<c r="A2" t="b"><v>0</v></c>') && sheetXml.includes('sqref="A2:A3"'));
+check('Cell text escaped', sheetXml.includes('SMITH, JOHN &amp; &lt;MARY&gt;') && sheetXml.includes('<c r="C2"><v>7</v></c>'));
+
+finishTests('mail merge spreadsheet');
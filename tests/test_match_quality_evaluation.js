@@ -0,0 +1,119 @@
+// Test match quality evaluation: labels from override rules and labelled-pair rows,
+// conflict handling, precision / recall per entity-type pair and the error CSV
+// Run: node tests/test_match_quality_evaluation.js
+
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { check, finishTests } = require('./testHelpers');
+
+initializeHeadlessEnvironment({ extraScripts: ['scripts/analysis/matchQualityEvaluation.js'] });
+
+const SOURCE = 'BLOOMERANG_CSV';
+
+function person(first, last, idx) {
+    const name = new IndividualName(new AttributedTerm(`${first} ${last}`, SOURCE, idx, `n${idx}`), '', first, '', last, '');
+    const individual = new Individual(new SimpleIdentifiers(new AccountNumberTerm(`A${idx}`, SOURCE, idx, `a${idx}`)), name, null, null, null);
+    individual.contactInfo = new ContactInfo();
+    return individual;
+}
+
+function business(label, idx) {
+    const entity = new Business(new SimpleIdentifiers(new AccountNumberTerm(`A${idx}`, SOURCE, idx, `a${idx}`)),
+        new NonHumanName(new AttributedTerm(label, SOURCE, idx, `b${idx}`)), null, null, null);
+    entity.contactInfo = new ContactInfo();
+    return entity;
+}
+
+// JOHN/JON SMITH match naturally (name 0.89); JOHN SMITH / ALICE JONES do not
+const entities = {
+    'bloomerang:1': person('JOHN', 'SMITH', 1),
+    'bloomerang:2': person('JON', 'SMITH', 2),
+    'bloomerang:3': person('ALICE', 'JONES', 3),
+    'bloomerang:4': person('MARY', 'BROWN', 4),
+    'bloomerang:5': business('BLOCK ISLAND TRUST', 5),
+    'bloomerang:6': business('SMITH HARDWARE', 6)
+};
+window.unifiedEntityDatabase = { entities };
+
+const manager = window.matchOverrideManager;
+manager.clear();
+const quiet = (fn) => {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = originalLog;
+    }
+};
+quiet(() => manager.loadFromSheetData(parseOverrideRuleRows(
+    [
+        ['RuleID', 'EntityKey1', 'EntityKey2', 'AnchorOverride', 'Reason', 'Status'],
+        ['FM-1', 'bloomerang:1', 'bloomerang:2', '', 'same person', 'ACTIVE'],     // true positive
+        ['FM-2', 'bloomerang:1', 'bloomerang:3', '', 'married name', 'ACTIVE'],    // false negative
+        ['FM-3', 'bloomerang:5', 'bloomerang:6', '', 'renamed', 'ACTIVE'],         // false negative (Business)
+        ['FM-4', 'bloomerang:1', 'bloomerang:404', '', 'missing', 'ACTIVE']
+    ],
+    [
+        ['RuleID', 'DefectiveKey', 'OtherKey', 'OnConflict', 'Reason', 'Status'],
+        ['FE-1', 'MUTUAL', 'bloomerang:2::^::bloomerang:4::^::bloomerang:3', '', 'different people', 'ACTIVE']
+    ]
+)));
+
+// Labels from rules
+const ruleLabels = collectOverrideRuleLabels(manager);
+check('FORCE_MATCH rules become match labels', ruleLabels.filter(l => l.source === 'FORCE_MATCH' && l.isMatch).length === 4);
+check('MUTUAL exclusion set expands to every pair', ruleLabels.filter(l => l.source === 'MUTUAL_FORCE_EXCLUDE' && !l.isMatch).length === 3);
+
+// Labelled-pair rows
+const parsed = parseLabelledPairRows([
+    ['EntityKey1', 'EntityKey2', 'Label', 'Note'],
+    ['bloomerang:1', 'bloomerang:4', 'no match', 'checked by hand'],
+    ['bloomerang:2', 'bloomerang:3', 'MATCH', 'contradicts FE-1'],
+    ['bloomerang:2', 'bloomerang:2', 'MATCH', ''],
+    ['bloomerang:1', 'bloomerang:5', 'MAYBE', ''],
+    ['', '', '', '']
+]);
+check('Labelled rows parsed', parsed.labels.length === 2 && parsed.labels[0].isMatch === false && parsed.labels[0].note === 'checked by hand');
+check('Bad labelled rows reported', parsed.errors.length === 2 && parsed.errors[1].includes('unknown label "MAYBE"'));
+
+const merged = mergeMatchLabels([...ruleLabels, ...parsed.labels,
+    { keyA: 'bloomerang:2', keyB: 'bloomerang:1', isMatch: true, source: 'LABELLED_PAIRS', ruleId: 'row 9' }]);
+check('Agreeing labels merged regardless of key order', merged.pairs.get('bloomerang:1|bloomerang:2').sources.length === 2);
+check('Contradicting labels reported as conflicts', merged.conflicts.length === 1 &&
+    merged.conflicts[0].sources.some(s => s.startsWith('NO_MATCH MUTUAL_FORCE_EXCLUDE')) &&
+    merged.conflicts[0].sources.some(s => s.startsWith('MATCH LABELLED_PAIRS')));
+
+// Evaluation
+const evaluation = quiet(() => evaluateMatchQuality({ labels: parsed.labels }));
+check('Conflicting and missing-key pairs not scored', evaluation.conflicts.length === 1 &&
+    evaluation.missingKeys.join(',') === 'bloomerang:404' && evaluation.labelCounts.evaluated === 6);
+check('Overall counts', evaluation.overall.tp === 1 && evaluation.overall.fn === 2 && evaluation.overall.fp === 0 &&
+    evaluation.overall.tn === 3);
+check('Overall precision and recall', evaluation.overall.precision === 1 && Math.abs(evaluation.overall.recall - 1 / 3) < 1e-12);
+check('Per type-pair breakdown', evaluation.byTypePair['Individual-Individual'].tp === 1 &&
+    evaluation.byTypePair['Business-Business'].fn === 1 && evaluation.byTypePair['Business-Business'].precision === null);
+check('False negatives listed with scores and sources', evaluation.falseNegatives.length === 2 &&
+    evaluation.falseNegatives.every(r => typeof r.overall === 'number' && r.sources.length > 0));
+check('Override rules not applied while matching', manager.forceMatchRules.every(rule => rule.appliedCount === 0));
+
+// A stricter name threshold loses the JOHN / JON SMITH true positive
+applyMatchingProfile({ name: 'nameAlone-0.9', matchCriteria: { trueMatch: { nameAlone: 0.9 } } });
+const strictEvaluation = quiet(() => evaluateMatchQuality({ labels: parsed.labels }));
+applyMatchingProfile('default');
+check('Stricter name threshold lowers recall', strictEvaluation.overall.tp === 0 && strictEvaluation.overall.recall === 0 &&
+    strictEvaluation.matchingProfile === 'nameAlone-0.9');
+
+// Labels only
+const labelsOnly = quiet(() => evaluateMatchQuality({ useOverrideRules: false, labels: parsed.labels }));
+check('Override rules can be left out', labelsOnly.labelCounts.total === 2 && labelsOnly.overall.tn === 1);
+
+// Full scan counts unlabelled matches
+const fullScan = quiet(() => evaluateMatchQuality({ fullScan: true }));
+check('Full scan gives the same scores', fullScan.overall.tp === 1 && fullScan.overall.fn === 2 && fullScan.unlabelledMatches === 0);
+
+// CSV and summary
+const csvLines = buildMatchQualityCSV(evaluation).split('\n');
+check('Error CSV has a row per false positive / negative', csvLines.length === 3 && csvLines[1].startsWith('FALSE_NEGATIVE,'));
+check('Summary lists each type pair', formatMatchQualitySummary(evaluation).includes('Business-Business'));
+
+finishTests('match quality evaluation');
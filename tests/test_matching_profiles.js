@@ -0,0 +1,132 @@
+// Test matching profiles: built-in profiles, custom profile validation, application to
+// MATCH_CRITERIA / IndividualName thresholds / weights, and recording in EntityGroup builds
+// Run: node tests/test_matching_profiles.js
+
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { check, finishTests } = require('./testHelpers');
+
+initializeHeadlessEnvironment();
+
+function throwsWith(fn, text) {
+    try {
+        fn();
+    } catch (error) {
+        return error.message.includes(text);
+    }
+    return false;
+}
+
+const SOURCE = 'BLOOMERANG_CSV';
+
+function person(first, last, email, idx) {
+    const name = new IndividualName(new AttributedTerm(`${first} ${last}`, SOURCE, idx, `n${idx}`), '', first, '', last, '');
+    const individual = new Individual(new SimpleIdentifiers(new AccountNumberTerm(`A${idx}`, SOURCE, idx, `a${idx}`)), name, null, null, null);
+    individual.contactInfo = new ContactInfo();
+    if (email) {
+        individual.contactInfo.email = new SimpleIdentifiers(new EmailTerm(email, SOURCE, idx, `e${idx}`));
+    }
+    return individual;
+}
+
+const johnSmith = person('JOHN', 'SMITH', 'jsmith@example.com', 1);
+const jonSmith = person('JON', 'SMITH', 'jon@example.com', 2);
+const quiet = fn => {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = originalLog;
+    }
+};
+
+// The default profile is the configuration the code shipped with
+const defaults = getActiveMatchingProfile();
+check('Default profile is active before any profile is applied', defaults.name === 'default');
+check('Default thresholds equal MATCH_CRITERIA', JSON.stringify(defaults.matchCriteria.trueMatch) === JSON.stringify(MATCH_CRITERIA.trueMatch) &&
+    JSON.stringify(defaults.matchCriteria.nearMatch) === JSON.stringify(MATCH_CRITERIA.nearMatch));
+check('Default weights equal the class weights', JSON.stringify(defaults.weights.Individual) === JSON.stringify(johnSmith.comparisonWeights) &&
+    JSON.stringify(defaults.weights.IndividualName) === JSON.stringify(johnSmith.name.comparisonWeights));
+check('Default IndividualName thresholds match nameAlone criteria',
+    getIndividualNameHomonymThreshold() === MATCH_CRITERIA.trueMatch.nameAlone &&
+    getIndividualNameSynonymThreshold() === MATCH_CRITERIA.nearMatch.nameAlone);
+check('Built-in profiles validate', listMatchingProfiles().every(name => validateMatchingProfile(resolveMatchingProfile(name)).length === 0));
+
+const defaultScore = quiet(() => johnSmith.compareTo(jonSmith));
+
+// Applying a built-in profile
+const criteriaObject = window.MATCH_CRITERIA;
+applyMatchingProfile('strict');
+check('Strict profile updates MATCH_CRITERIA in place', window.MATCH_CRITERIA === criteriaObject &&
+    MATCH_CRITERIA.trueMatch.nameAlone === 0.905 && MATCH_CRITERIA.nearMatch.overallAndName.overall === 0.80);
+check('isTrueMatch uses the strict thresholds', isTrueMatch(0, 0.89, null) === false && isTrueMatch(0, 0.91, null) === true);
+check('IndividualName thresholds follow the profile', getIndividualNameHomonymThreshold() === 0.905 && getIndividualNameSynonymThreshold() === 0.875);
+check('Strict profile keeps the default weights', quiet(() => johnSmith.compareTo(jonSmith)) === defaultScore);
+
+applyMatchingProfile('default');
+check('Re-applying default restores MATCH_CRITERIA', JSON.stringify(MATCH_CRITERIA.trueMatch) === JSON.stringify(defaults.matchCriteria.trueMatch));
+check('Unknown profile name rejected', throwsWith(() => applyMatchingProfile('bogus'), 'Unknown matching profile "bogus"'));
+
+// Custom profiles
+const custom = parseMatchingProfileJson(JSON.stringify({
+    description: 'Name only',
+    weights: { Individual: { name: 1, contactInfo: 0, otherInfo: 0, legacyInfo: 0 } }
+}), 'profiles/nameOnly.json');
+check('Custom profile named after its file', custom.name === 'nameOnly');
+check('Custom profile takes missing fields from default', JSON.stringify(custom.matchCriteria) === JSON.stringify(defaults.matchCriteria) &&
+    JSON.stringify(custom.weights.AggregateHousehold) === JSON.stringify(defaults.weights.AggregateHousehold));
+
+applyMatchingProfile(custom, { source: 'nameOnly.json' });
+const nameOnlyScore = quiet(() => johnSmith.compareTo(jonSmith, true));
+check('Custom weights used by entity.compareTo', nameOnlyScore.overallSimilarity === nameOnlyScore.components.name.similarity &&
+    nameOnlyScore.overallSimilarity !== defaultScore);
+check('Custom weights used by universalCompareTo', quiet(() => universalCompareTo(johnSmith, jonSmith)).score === nameOnlyScore.overallSimilarity);
+check('Summary records custom source', getMatchingProfileSummary().source === 'nameOnly.json' && getMatchingProfileSummary().name === 'nameOnly');
+applyMatchingProfile('default');
+check('Default weights restored', quiet(() => johnSmith.compareTo(jonSmith)) === defaultScore);
+const defaultNameScore = quiet(() => johnSmith.name.compareTo(jonSmith.name)).primary;
+applyMatchingProfile({ name: 'surnameOnly', weights: { IndividualName: { lastName: 1 } } });
+const surnameOnly = getActiveMatchingProfile().weights.IndividualName;
+check('Custom IndividualName weights used by the alias comparison', Object.keys(surnameOnly).join() === 'lastName' &&
+    quiet(() => johnSmith.name.compareTo(jonSmith.name)).primary === 1 && defaultNameScore < 1);
+applyMatchingProfile('default');
+applyMatchingProfile({ name: 'strictNames', matchCriteria: { trueMatch: { nameAlone: 0.95 }, nearMatch: { nameAlone: 0.9 } } });
+check('Custom nameAlone criteria move the IndividualName thresholds', getIndividualNameHomonymThreshold() === 0.95 &&
+    getIndividualNameSynonymThreshold() === 0.9 && categorizeNameScore(0.92) === 'synonyms');
+applyMatchingProfile('default');
+
+// Validation
+check('Invalid JSON rejected', throwsWith(() => parseMatchingProfileJson('{', 'bad.json'), 'bad.json: not valid JSON'));
+check('Threshold outside 0-1 rejected', throwsWith(() => resolveMatchingProfile({ name: 'x', matchCriteria: { trueMatch: { overallAlone: 1.5 } } }),
+    'matchCriteria.trueMatch.overallAlone must be a number between 0 and 1'));
+check('Near match above true match rejected', throwsWith(() => resolveMatchingProfile({ name: 'x', matchCriteria: { nearMatch: { nameAlone: 0.9 } } }),
+    'matchCriteria.nearMatch.nameAlone (0.9) exceeds trueMatch.nameAlone (0.875)'));
+check('Separate IndividualName thresholds rejected', throwsWith(() => resolveMatchingProfile({ name: 'x', individualNameThresholds: { synonym: 0.9 } }),
+    'individualNameThresholds is not a profile field'));
+check('ContactInfo weights rejected', throwsWith(() => resolveMatchingProfile({ name: 'x', weights: { ContactInfo: { primaryAddress: 1 } } }),
+    'weights.ContactInfo cannot be set by a profile'));
+check('Weights not summing to 1 rejected', throwsWith(() => resolveMatchingProfile({ name: 'x', weights: { IndividualName: { lastName: 0.6, firstName: 0.5 } } }),
+    'weights.IndividualName must sum to 1 (got 1.1)'));
+check('A class\'s weights replaced as a set, not merged with the default', throwsWith(() =>
+    resolveMatchingProfile({ name: 'x', weights: { IndividualName: { lastName: 0.6 } } }), 'weights.IndividualName must sum to 1 (got 0.6)'));
+check('Rejected profile leaves the active profile unchanged', getActiveMatchingProfile().name === 'default');
+
+// Build records the profile
+(async () => {
+    window.unifiedEntityDatabase = { entities: { 'bloomerang:1': johnSmith, 'bloomerang:2': jonSmith } };
+    window.matchOverrideManager.clear();
+    const groupDb = await buildEntityGroupDatabase({
+        verbose: false,
+        saveToGoogleDrive: false,
+        skipPhonebook: true,
+        matchingProfile: 'loose'
+    });
+    check('Build applies the requested profile', getActiveMatchingProfile().name === 'loose' && MATCH_CRITERIA.trueMatch.nameAlone === 0.845);
+    check('Build records the profile in the database', groupDb.matchingProfile.name === 'loose' &&
+        groupDb.matchingProfile.source === 'built-in' && groupDb.matchingProfile.profile.matchCriteria.trueMatch.nameAlone === 0.845);
+    check('Recorded profile survives serialization', deserializeWithTypes(serializeWithTypes(groupDb)).matchingProfile.name === 'loose');
+    check('Reference file records the profile name', buildEntityGroupReferenceFile(groupDb).metadata.matchingProfile === 'loose');
+    applyMatchingProfile('default');
+
+    finishTests('matching profile');
+})();
@@ -0,0 +1,50 @@
+// Test the VisionAppraisal parcel archive: pages stored by PID and fetch date,
+// snapshots, "as of" selection of the newest page per PID, and rejected keys
+// Run: node tests/test_parcel_archive.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ParcelArchive } = require('../servers/parcelArchive');
+const { check, rejects, finishTests } = require('./testHelpers');
+
+const archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'birava-parcels-'));
+
+async function run() {
+    const archive = new ParcelArchive(archiveDir);
+    const page = (pid, value) => `<html><span id="MainContent_lblPid">${pid}</span><span>${value}</span></html>`;
+
+    // A scrape spread over two days, then a later re-scrape of one parcel
+    await archive.savePage('183948', page('183948', '$454,500'), '2026-01-30');
+    await archive.savePage('419', page('419', '$120,000'), '2026-01-30');
+    await archive.savePage('1230', page('1230', '$98,000'), '2026-01-31');
+    const saved = await archive.savePage('419', page('419', '$131,000'), '2026-10-02');
+
+    check('Page stored under its date and PID', saved.date === '2026-10-02' &&
+        fs.existsSync(path.join(archiveDir, '2026-10-02', '419.html')));
+    check('Page read back unmodified', await archive.readPage('183948', '2026-01-30') === page('183948', '$454,500'));
+    await archive.savePage('1230', page('1230', '$99,000'), '2026-01-31');
+    check('Same-day fetch replaces the page', (await archive.readPage('1230', '2026-01-31')).includes('$99,000'));
+
+    const snapshots = await archive.listSnapshots();
+    check('Snapshots list each fetch date with its page count', snapshots.map(s => `${s.date}:${s.pages}`).join() ===
+        '2026-01-30:2,2026-01-31:1,2026-10-02:1');
+
+    const latest = await archive.listPages();
+    check('Newest page of every PID, sorted by PID', latest.map(p => `${p.pid}@${p.date}`).join() ===
+        '419@2026-10-02,1230@2026-01-31,183948@2026-01-30');
+    const january = await archive.listPages({ asOf: '2026-01-31' });
+    check('As-of date ignores later fetches', january.find(p => p.pid === '419').date === '2026-01-30' && january.length === 3);
+    check('As-of date before any fetch gives no pages', (await archive.listPages({ asOf: '2025-12-31' })).length === 0);
+
+    // Rejected keys never touch the filesystem outside the archive
+    check('Non-numeric PID rejected', (await rejects(() => archive.savePage('../x', 'html')))?.message === 'Invalid PID: ../x');
+    check('Malformed date rejected', (await rejects(() => archive.readPage('419', '2026-1-2')))?.message.startsWith('Invalid date'));
+    check('Empty page rejected', (await rejects(() => archive.savePage('419', '')))?.message === 'Empty page for PID 419');
+    check('Missing page reported as not found', /not found/.test((await rejects(() => archive.readPage('419', '2026-02-01')))?.message));
+
+    fs.rmSync(archiveDir, { recursive: true, force: true });
+    finishTests('parcel archive');
+}
+
+run();
@@ -0,0 +1,144 @@
+// Test the phonebook maintenance declarations: inclusions, exclusions and
+// classification overrides carry who/when/why, replace each other for the same
+// group, persist through saveEntry() and are honoured by the build steps (an
+// excluded pair stays unmatched when the groups are rebuilt); plus the phone and
+// group searches used by the Phonebook Browser
+// Run: node tests/test_phonebook_declarations.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { check, finishTests } = require('./testHelpers');
+
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'birava-phonebook-'));
+initializeHeadlessEnvironment({ storageDir: fixtureDir });
+
+// Keep the database banners out of the test output
+const quiet = async (fn) => {
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = originalLog;
+        console.warn = originalWarn;
+    }
+};
+
+function phonebookRecord(phone, raw, lastName, firstName) {
+    return { lineNumber: 1, lineType: 'entry', phone, name: { raw, lastName, firstName }, address: { street: 'CORN NECK RD' }, rawLine: raw };
+}
+
+async function run() {
+    const storage = getStorageAdapter();
+    const db = new PhonebookDatabase();
+    await storage.writeFile(db.databaseFileId, JSON.stringify({ entries: {} }));
+
+    const smith = db.createEntryFromRecord(phonebookRecord('401-466-2481', 'SMITH JOHN', 'SMITH', 'JOHN'));
+    smith.addMatchAssociation({ groupIndex: 7, entityKey: 'visionAppraisal:FireNumber:72', matchSource: 'pipeline', matchType: 'name+street' });
+    await quiet(() => db.add(smith));
+    await quiet(() => db.add(db.createEntryFromRecord(phonebookRecord('401-466-5100', 'HARBOR MARINA', 'HARBOR MARINA', ''))));
+
+    // Provenance required
+    let missing = null;
+    try {
+        smith.declareExclusion({ groupIndex: 7, declaredBy: 'clerk' });
+    } catch (error) {
+        missing = error;
+    }
+    check('Declarations need who and why', /declaredBy and reason/.test(missing?.message) && smith.exclusions.length === 0);
+
+    // Exclusion removes the pipeline association to that group
+    const { exclusion, removedAssociations } = smith.declareExclusion({ groupIndex: 7, declaredBy: 'clerk', reason: 'Different John Smith' });
+    check('Exclusion records provenance and drops the group association', removedAssociations === 1 &&
+        smith.matchAssociations.length === 0 && exclusion.declaredBy === 'clerk' &&
+        exclusion.reason === 'Different John Smith' && !isNaN(Date.parse(exclusion.declaredDate)));
+
+    // Inclusion in another group, then back into the excluded one
+    smith.declareInclusion({ groupIndex: 12, entityKey: 'bloomerang:1234', declaredBy: 'clerk', reason: 'Donor record' });
+    smith.declareInclusion({ groupIndex: 7, declaredBy: 'treasurer', reason: 'Confirmed by phone' });
+    check('Inclusion is a manual association and lifts the group exclusion', smith.matchAssociations.length === 2 &&
+        smith.matchAssociations.every(a => a.matchSource === 'manual' && a.matchType === 'user-declared') &&
+        smith.exclusions.length === 0 && smith.isGroupExcluded(7) === false);
+
+    // Classification override
+    const marina = db.get('4014665100');
+    marina.declareClassification('nonhuman', { declaredBy: 'clerk', reason: 'Business line' });
+    let badClass = null;
+    try {
+        marina.declareClassification('business', { declaredBy: 'clerk', reason: 'x' });
+    } catch (error) {
+        badClass = error;
+    }
+    check('Nonhuman override wins over the algorithmic classification', marina.getEffectiveClassification() === 'nonhuman' &&
+        marina.classification === 'unclassified' && marina.userDeclarations.declaredBy === 'clerk' && !!badClass);
+
+    // Searches
+    check('Phone search matches digits in any format', db.searchByPhone('466-2481').length === 1 &&
+        db.searchByPhone('(401) 466').length === 2 && db.searchByPhone('abc').length === 0);
+    check('Group search finds associations', db.searchByGroupIndex(12).map(r => r.key).join() === '4014662481' &&
+        db.searchByGroupIndex(99).length === 0);
+    check('Name search still finds entries', db.searchByName('marina')[0]?.key === '4014665100');
+
+    // Saved through saveEntry and read back from the entry files
+    await quiet(() => db.saveEntry('4014662481'));
+    await quiet(() => db.saveEntry('4014665100'));
+    const reloaded = new PhonebookDatabase();
+    await quiet(() => reloaded.loadFromDrive());
+    const savedSmith = reloaded.get('4014662481');
+    check('Declarations persist with their provenance', savedSmith.matchAssociations.length === 2 &&
+        savedSmith.matchAssociations[1].declaredBy === 'treasurer' && savedSmith.matchAssociations[1].reason === 'Confirmed by phone' &&
+        reloaded.get('4014665100').getEffectiveClassification() === 'nonhuman');
+
+    // Entity creation and Step 1 go by the declared classification
+    const buildDb = new PhonebookDatabase();
+    buildDb.addRecord(phonebookRecord('401-466-3300', 'JONES MARY', 'JONES', 'MARY'), 'person');
+    buildDb.addRecord(phonebookRecord('401-466-3400', 'BROWN PAUL', 'BROWN', 'PAUL'), 'person');
+    buildDb.get('4014663400').declareClassification('nonhuman', { declaredBy: 'clerk', reason: 'Shop line listed under the owner' });
+    const indNameDb = new IndividualNameDatabase();
+    indNameDb.entries.set('JOHN SMITH', { object: new IndividualName(new AttributedTerm('JOHN SMITH', 'BLOOMERANG_CSV', 1, 'n1'),
+        '', 'JOHN', '', 'SMITH', ''), fileId: null });
+    window.individualNameDatabase = indNameDb;  // resolveIndividualName() looks names up here
+    const step1 = await quiet(() => phonebookStep1(buildDb, {}, indNameDb));
+    const entities = {};
+    const created = await quiet(() => createPhonebookEntities(buildDb, entities, indNameDb));
+    check('Declared-nonhuman entry skipped by Step 1 and entity creation', step1.personEntries === 1 &&
+        created.stats.personEntries === 1 && created.stats.individualsCreated === 1 &&
+        Object.keys(entities).every(key => key.includes('4014663300')) &&
+        buildDb.get('4014663400').matchAssociations.length === 0);
+
+    // An exclusion holds through the next build: Step 1 and group matching skip the excluded entity
+    indNameDb.entries.set('MARY JONES', { object: new IndividualName(new AttributedTerm('MARY JONES', 'BLOOMERANG_CSV', 1, 'n2'),
+        '', 'MARY', '', 'JONES', ''), fileId: null });
+    const maryKey = Object.keys(entities)[0];
+    const rebuildDb = new PhonebookDatabase();
+    rebuildDb.addRecord(phonebookRecord('401-466-3500', 'JONES MARY', 'JONES', 'MARY'), 'person');
+    const mary = rebuildDb.get('4014663500');
+    await quiet(() => phonebookStep1(rebuildDb, entities, indNameDb));
+    const firstBuildGroups = new EntityGroupDatabase();
+    const maryGroup = firstBuildGroups.createGroup(maryKey, 1);
+    await quiet(() => fillGroupIndex(rebuildDb, firstBuildGroups));
+    const matchedFirst = mary.matchAssociations.length === 1 && mary.matchAssociations[0].entityKey === maryKey;
+    mary.declareExclusion({ groupIndex: maryGroup.index, declaredBy: 'clerk', reason: 'Different Mary Jones' });
+    check('Exclusion records the entity keys it removed', matchedFirst && mary.matchAssociations.length === 0 &&
+        mary.exclusions[0].excludedEntityKeys.join() === maryKey && mary.getExcludedEntityKeys().has(maryKey));
+
+    const rebuiltGroups = new EntityGroupDatabase();
+    rebuiltGroups.createGroup('visionAppraisal:PID:626', 1);  // indices shift between builds
+    const rebuiltMaryGroup = rebuiltGroups.createGroup(maryKey, 1);
+    const rebuildStep1 = await quiet(() => phonebookStep1(rebuildDb, entities, indNameDb));
+    await quiet(() => createPhonebookEntities(rebuildDb, entities, indNameDb));
+    await quiet(() => matchPhonebookEntitiesToGroups(rebuildDb, rebuiltGroups, entities, indNameDb));
+    const placed = mary.matchAssociations.find(a => a.matchSource === 'step3-entity-creation');
+    check('Rebuild leaves the excluded pair unmatched', rebuildStep1.excludedMatches === 1 &&
+        mary.matchAssociations.every(a => a.entityKey !== maryKey) && placed?.groupIndex != null &&
+        placed.groupIndex !== rebuiltMaryGroup.index && rebuiltMaryGroup.memberKeys.length === 1);
+
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+    finishTests('phonebook declaration');
+}
+
+run();
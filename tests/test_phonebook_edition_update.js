@@ -0,0 +1,128 @@
+// Test the incremental phonebook update: a new directory edition is compared by
+// phone number, pipeline associations are replaced and flagged for review, user
+// declarations survive, and vanished numbers are marked inactive
+// Run: node tests/test_phonebook_edition_update.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { check, finishTests } = require('./testHelpers');
+
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'birava-phonebook-edition-'));
+initializeHeadlessEnvironment({ storageDir: fixtureDir });
+
+// Keep the database banners out of the test output
+const quiet = async (fn) => {
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = originalLog;
+        console.warn = originalWarn;
+    }
+};
+
+function phonebookRecord(phone, raw, street, lineNumber = 1) {
+    return { lineNumber, lineType: 'entry', phone, name: { raw }, address: { street }, rawLine: `${raw} ${street} ${phone}` };
+}
+
+function phonebookEntry(db, record, classification, associations = []) {
+    const entry = db.createEntryFromRecord(record, classification);
+    associations.forEach(association => entry.addMatchAssociation({ ...association }));
+    return entry;
+}
+
+const primary = (groupIndex, entityKey) => ({ groupIndex, entityKey, matchSource: 'primary-matcher', matchType: 'full' });
+
+async function run() {
+    const storage = getStorageAdapter();
+    const existing = new PhonebookDatabase();
+    await storage.writeFile(existing.databaseFileId, JSON.stringify({ entries: {} }));
+
+    // Current database: a reviewed household, a business with a Step 1 association, a number about to vanish
+    const smith = phonebookEntry(existing, phonebookRecord('466-2481', 'SMITH JOHN', 'CORN NECK RD'), 'person',
+        [primary(7, 'visionAppraisal:FireNumber:72')]);
+    smith.declareInclusion({ groupIndex: 12, entityKey: 'bloomerang:1234', declaredBy: 'clerk', reason: 'Donor record' });
+    smith.declareExclusion({ groupIndex: 30, declaredBy: 'clerk', reason: 'Different John Smith' });
+    smith.declareClassification('person', { declaredBy: 'clerk', reason: 'Listed under a business name once' });
+    const marina = phonebookEntry(existing, phonebookRecord('466-5100', 'HARBOR MARINA', 'WATER ST'), 'nonhuman',
+        [primary(20, 'visionAppraisal:FireNumber:5'), { groupIndex: null, entityKey: 'phonebook:5100', matchSource: 'step1-entity-matcher', matchType: 'full' }]);
+    const gone = phonebookEntry(existing, phonebookRecord('466-9999', 'JONES MARY', 'SPRING ST'), 'person', [primary(40, 'visionAppraisal:PID:40')]);
+    for (const entry of [smith, marina, gone]) {
+        await quiet(() => existing.add(entry));
+    }
+
+    // New edition as the pipeline builds it
+    const newRecords = [
+        phonebookRecord('401-466-2481', 'SMITH  JOHN', 'CORN NECK RD', 12),
+        phonebookRecord('466-5100', 'HARBOR MARINA', 'OLD HARBOR DOCK', 40),
+        phonebookRecord('466-1111', 'BROWN ANN', 'HIGH ST', 7),
+        phonebookRecord('', 'NO NUMBER', 'HIGH ST', 8)
+    ];
+    const comparison = comparePhonebookEdition(newRecords, existing);
+    check('Edition compared by normalized phone', comparison.newPhones.join() === '4014661111' &&
+        comparison.unchangedPhones.join() === '4014662481' && comparison.changedPhones.join() === '4014665100' &&
+        comparison.vanishedPhones.join() === '4014669999' && comparison.skippedRecords === 1);
+
+    const edition = new PhonebookDatabase();
+    edition.addEntry(phonebookEntry(edition, newRecords[0], 'person', [
+        primary(7, 'visionAppraisal:FireNumber:72A'), primary(30, 'visionAppraisal:PID:30'), primary(12, 'visionAppraisal:PID:12')
+    ]));
+    edition.addEntry(phonebookEntry(edition, newRecords[1], 'nonhuman', [primary(20, 'visionAppraisal:FireNumber:5')]));
+    edition.addEntry(phonebookEntry(edition, newRecords[2], 'person', [primary(50, 'visionAppraisal:PID:50')]));
+
+    const update = await quiet(() => applyPhonebookEditionUpdate(existing, edition, { edition: '2027' }));
+    check('New, updated and vanished numbers sorted out', update.added.join() === '4014661111' &&
+        update.updated.sort().join() === '4014662481,4014665100' && update.inactivated.join() === '4014669999' &&
+        update.unchanged === 0 && update.modifiedKeys.length === 4);
+
+    const changes = update.reviewList.map(item => `${item.phone}:${item.change}:${item.groupIndex}`).sort();
+    check('Review list holds the changed algorithmic associations', changes.join() ===
+        ['4014661111:added:50', '4014662481:changed:7', '4014665100:records-changed:null', '4014669999:number-inactive:40'].join());
+
+    const updatedSmith = existing.get('4014662481');
+    const group7 = updatedSmith.matchAssociations.find(a => a.groupIndex === 7);
+    check('Changed association replaced and flagged', group7.entityKey === 'visionAppraisal:FireNumber:72A' &&
+        group7.reviewFlag.edition === '2027' && group7.reviewFlag.change === 'changed');
+    check('User declarations survive the update', updatedSmith.exclusions.length === 1 &&
+        !updatedSmith.matchAssociations.some(a => a.groupIndex === 30) &&
+        updatedSmith.matchAssociations.filter(a => a.groupIndex === 12).length === 1 &&
+        updatedSmith.matchAssociations.find(a => a.groupIndex === 12).declaredBy === 'clerk' &&
+        updatedSmith.userDeclarations.reason === 'Listed under a business name once');
+
+    const updatedMarina = existing.get('4014665100');
+    check('Changed listing replaces records and flags preserved associations', updatedMarina.rawRecords[0].address.street === 'OLD HARBOR DOCK' &&
+        updatedMarina.sourceMetadata.edition === '2027' &&
+        updatedMarina.matchAssociations.find(a => a.matchSource === 'step1-entity-matcher').reviewFlag.change === 'records-changed' &&
+        !updatedMarina.matchAssociations.find(a => a.groupIndex === 20).reviewFlag);
+
+    const inactive = existing.get('4014669999');
+    check('Vanished number kept and marked inactive', inactive.isInactive() && inactive.inactiveSince === '2027' &&
+        inactive.matchAssociations.length === 1 && existing.getStats().inactiveNumbers === 1);
+
+    // Saved: entry files for the modified entries, a file for the new number, the bulk file
+    const saved = await quiet(() => persistPhonebookEditionUpdate(existing, update));
+    const reloaded = new PhonebookDatabase();
+    await quiet(() => reloaded.loadFromDrive());
+    const bulk = new PhonebookDatabase();
+    await quiet(() => bulk.loadFromBulk());
+    check('Update persisted to entry files and bulk', saved.saved === 3 && saved.created === 1 && reloaded.size === 4 &&
+        reloaded.get('4014669999').inactiveSince === '2027' && bulk.get('4014662481').matchAssociations.length === 2);
+
+    // A later edition lists the number again
+    const next = new PhonebookDatabase();
+    next.addEntry(phonebookEntry(next, phonebookRecord('466-9999', 'JONES MARY', 'SPRING ST'), 'person', [primary(40, 'visionAppraisal:PID:40')]));
+    const comeback = await quiet(() => applyPhonebookEditionUpdate(reloaded, next, { edition: '2028' }));
+    check('Number listed again is reactivated without new flags', comeback.reactivated.join() === '4014669999' &&
+        !reloaded.get('4014669999').isInactive() && comeback.inactivated.length === 3 &&
+        comeback.reviewList.filter(item => item.phone === '4014669999').length === 0);
+
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+    finishTests('phonebook edition update');
+}
+
+run();
@@ -0,0 +1,138 @@
+// Test the entity scoring engine: strategy routing, parity of entity.compareTo() and
+// universalCompareTo() with the frozen pre-engine code paths, and scores recorded
+// before the engine existed
+// Run: node tests/test_scoring_engine_parity.js
+
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { SCORING_PARITY_SCRIPTS } = require('../scripts/cli/scoringParityCommand');
+const { check, finishTests } = require('./testHelpers');
+
+initializeHeadlessEnvironment({ extraScripts: SCORING_PARITY_SCRIPTS });
+
+const SOURCE = 'BLOOMERANG_CSV';
+
+/**
+ * Fire number location identifier; fireNumber is set the way the collision handler records it
+ */
+function fireNumberLocation(fireNumber, idx) {
+    const location = new FireNumber(new FireNumberTerm(fireNumber, SOURCE, idx, `f${idx}`));
+    location.fireNumber = fireNumber;
+    return location;
+}
+
+function person(first, last, email, fireNumber, idx) {
+    const name = new IndividualName(new AttributedTerm(`${first} ${last}`, SOURCE, idx, `n${idx}`), '', first, '', last, '');
+    const location = fireNumber
+        ? fireNumberLocation(fireNumber, idx)
+        : new SimpleIdentifiers(new AccountNumberTerm(`A${idx}`, SOURCE, idx, `a${idx}`));
+    const individual = new Individual(location, name, null, null, null);
+    individual.contactInfo = new ContactInfo();
+    if (email) {
+        individual.contactInfo.email = new SimpleIdentifiers(new EmailTerm(email, SOURCE, idx, `e${idx}`));
+    }
+    return individual;
+}
+
+function household(label, members, fireNumber, idx) {
+    const name = new HouseholdName(new AttributedTerm(label, SOURCE, idx, `h${idx}`), label);
+    const entity = new AggregateHousehold(fireNumberLocation(fireNumber, idx), name, null, null, null);
+    entity.individuals = members;
+    entity.contactInfo = members[0] ? members[0].contactInfo : new ContactInfo();
+    return entity;
+}
+
+function business(label, fireNumber, idx) {
+    const entity = new Business(fireNumberLocation(fireNumber, idx), new NonHumanName(new AttributedTerm(label, SOURCE, idx, `b${idx}`)), null, null, null);
+    entity.contactInfo = new ContactInfo();
+    return entity;
+}
+
+// Covers every strategy, including same-location pairs (72J/72W/72K, 15/15A)
+const entities = {
+    I1: person('JOHN', 'SMITH', 'jsmith@example.com', '72J', 1),
+    I2: person('JON', 'SMITH', 'jsmith@example.com', '72W', 2),
+    I3: person('MARY', 'SMITH', 'mary@example.com', null, 3),
+    I4: person('ALICE', 'JONES', null, '15', 4),
+    H1: household('SMITH HOUSEHOLD', [person('JOHN', 'SMITH', 'jsmith@example.com', null, 5), person('MARY', 'SMITH', null, null, 6)], '72', 5),
+    H2: household('JONES FAMILY', [person('ALICE', 'JONES', null, null, 7)], '15A', 7),
+    H3: household('EMPTY HOUSE', [], '300', 8),
+    B1: business('SMITH HARDWARE', '72K', 9),
+    B2: business('BLOCK ISLAND TRUST', '400', 10)
+};
+
+// Strategy registry
+check('Individual-Individual strategy', getScoringStrategy('Individual', 'Individual').codePath === 'compareIndividualToIndividual');
+check('Individual-Household strategy', getScoringStrategy('Individual', 'AggregateHousehold').codePath === 'compareIndividualToHousehold');
+check('Household-Household strategy', getScoringStrategy('AggregateHousehold', 'AggregateHousehold').codePath === 'compareHouseholdToHousehold');
+check('NonHuman pairs use direct comparison', getScoringStrategy('Business', 'LegalConstruct').codePath === 'compareIndividualToEntityDirect' &&
+    getScoringStrategy('Individual', 'Business').codePath === 'compareIndividualToEntityDirect');
+check('Unregistered pairs fall back to direct comparison', getScoringStrategy('CompositeHousehold', 'Individual').codePath === 'compareIndividualToEntityDirect');
+
+// Scores recorded from the two separate code paths before they were merged into the engine
+const PRE_ENGINE_SCORES = {
+    'I1|I2': { compareTo: 0.5555555556, universal: 0.44444444445, codePath: 'compareSameLocationEntities' },
+    'I1|I3': { compareTo: 0.4367690058, universal: 0.4367690058, codePath: 'compareIndividualToIndividual' },
+    'I3|H1': { compareTo: 0, universal: 0.7311320755, codePath: 'compareIndividualToHousehold' },
+    'H1|H2': { compareTo: 0.201754386, universal: 0.2503289474, codePath: 'compareHouseholdToHousehold' },
+    'I4|H2': { compareTo: 0, universal: 0.21052631578947373, codePath: 'compareSameLocationEntities' },
+    'I3|B1': { compareTo: 0, universal: 0.1766917293233083, codePath: 'compareIndividualToEntityDirect' },
+    'H3|B2': { compareTo: 0, universal: 0.175438596491228, codePath: 'compareIndividualToEntityDirect' }
+};
+const originalLog = console.log;
+console.log = () => {};
+const preEngineMismatches = Object.entries(PRE_ENGINE_SCORES).filter(([pair, expected]) => {
+    const [keyA, keyB] = pair.split('|');
+    const record = scoreParityPair(entities[keyA], entities[keyB]);
+    return [record.compareTo, record.preEngineCompareTo].some(score => Math.abs(score - expected.compareTo) > 1e-9) ||
+        [record.universalCompareTo, record.preEngineUniversalCompareTo].some(score => Math.abs(score - expected.universal) > 1e-9) ||
+        record.codePath !== expected.codePath || record.preEngineCodePath !== expected.codePath;
+}).map(([pair]) => pair);
+console.log = originalLog;
+check(`Scores and frozen pre-engine copies match the recorded scores${preEngineMismatches.length ? ' (' + preEngineMismatches.join(', ') + ')' : ''}`,
+    preEngineMismatches.length === 0);
+
+// Same-location contactInfo handling is shared by both paths
+const sameLocationContact = scoreContactInfoComponent(entities.I1, entities.I2, entities.I1.contactInfo, entities.I2.contactInfo);
+check('Same-location pair scores secondary addresses only', sameLocationContact.sameLocation &&
+    sameLocationContact.detailedResult.method === 'sameLocation_secondaryAddressesOnly');
+check('entity.compareTo applies same-location handling', entities.I1.compareTo(entities.I2, true)
+    .subordinateDetails.contactInfo.method === 'sameLocation_secondaryAddressesOnly');
+
+// Parity harness
+console.log = () => {};
+const report = runScoringParityCheck(entities);
+console.log = originalLog;
+check('All ordered pairs checked', report.pairsChecked === 9 * 8);
+check('Every strategy exercised', ['compareIndividualToIndividual', 'compareIndividualToHousehold', 'compareHouseholdToIndividual',
+    'compareHouseholdToHousehold', 'compareIndividualToEntityDirect', 'compareSameLocationEntities']
+    .every(codePath => report.pairsByCodePath[codePath] > 0));
+check('No divergences from the pre-engine code paths', report.divergences.length === 0);
+
+// A scoring change in the engine shows up against the pre-engine copies
+const individualStrategy = getScoringStrategy('Individual', 'Individual');
+registerScoringStrategy('Individual', 'Individual', individualStrategy.codePath, (entity1, entity2) => {
+    const result = individualStrategy.compare(entity1, entity2);
+    return { ...result, score: result.score / 2 };
+});
+console.log = () => {};
+const changedReport = runScoringParityCheck(entities);
+console.log = originalLog;
+registerScoringStrategy('Individual', 'Individual', individualStrategy.codePath, individualStrategy.compare);
+check('Engine change reported as universalCompareTo divergence', changedReport.divergencesByCheck['universalCompareTo-vs-pre-engine'] > 0 &&
+    changedReport.divergences.some(d => d.keyA === 'I1' && d.keyB === 'I3' && Math.abs(d.actual - d.expected / 2) < 1e-9));
+
+// Baseline comparison reports changed scores
+console.log = () => {};
+const baseline = buildScoringParityBaseline(entities);
+baseline.pairs['I1|I3'].compareTo += 0.1;
+baseline.pairs['H1|H2'].codePath = 'compareIndividualToEntityDirect';
+const baselineReport = runScoringParityCheck(entities, { baseline });
+console.log = originalLog;
+check('Baseline covers every pair', baseline.pairCount === 72);
+check('Changed baseline score reported', baselineReport.divergences.some(d =>
+    d.check === 'baseline-compareTo' && d.keyA === 'I1' && d.keyB === 'I3'));
+check('Changed baseline codePath reported', baselineReport.divergences.some(d =>
+    d.check === 'baseline-codePath' && d.keyA === 'H1' && d.keyB === 'H2'));
+check('CSV lists divergences', buildScoringParityCSV(baselineReport).split('\n').length === baselineReport.divergences.length + 1);
+
+finishTests('scoring engine');
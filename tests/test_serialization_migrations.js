@@ -0,0 +1,139 @@
+// Test the serialization migrations: databases saved under an older schema load
+// with the upgrade steps applied, dry runs report what each step touched, and
+// data from a newer schema is refused; bulk files (phonebook, street names) too
+// Run: node tests/test_serialization_migrations.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { loadSupportingDatabases } = require('../scripts/cli/buildGroupsCommand');
+const { check, rejects, finishTests } = require('./testHelpers');
+
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'birava-migrations-'));
+initializeHeadlessEnvironment({ storageDir: fixtureDir });
+
+// Keep the load banners out of the test output
+const quiet = async (fn) => {
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = originalLog;
+        console.warn = originalWarn;
+    }
+};
+
+// Serialized JSON as schema 1 wrote it: without the properties added since
+function asSchema1(value) {
+    const data = JSON.parse(serializeWithTypes(value));
+    (function strip(node) {
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+        if (node.type === 'OtherInfo' || node.type === 'HouseholdOtherInfo') {
+            ['assessmentHistory', 'appraisalHistory', 'salesHistory', 'landAcres', 'yearBuilt', 'livingArea']
+                .forEach(p => delete node[p]);
+        }
+        if (node.type === 'EntityGroupDatabase') {
+            ['matchingProfile', 'incrementalBuild', 'blocking'].forEach(p => delete node[p]);
+        }
+        Object.values(node).forEach(strip);
+    })(data);
+    return JSON.stringify(data, null, 2);
+}
+
+async function run() {
+    const storage = getStorageAdapter();
+
+    // Unified database saved before property details existed (no integrity block: schema 1)
+    const parcel = new OtherInfo();
+    parcel.setAssessmentValue('$100,000');
+    const unified = {
+        metadata: { totalEntities: 2 },
+        entities: { 'visionAppraisal:FireNumber:72': parcel, 'visionAppraisal:FireNumber:9': new HouseholdOtherInfo() }
+    };
+    await storage.writeFile('UNIFIED_FILE', asSchema1(unified));
+
+    const dryRun = await quiet(() => dryRunDatabaseMigration('UNIFIED_FILE', 'UnifiedEntityDatabase'));
+    check('Dry run reports objects touched per step and class', dryRun.fromVersion === 1 &&
+        dryRun.toVersion === SERIALIZATION_SCHEMA_VERSION && dryRun.steps[0].touched === 2 &&
+        dryRun.steps[0].byClass.OtherInfo === 1 && dryRun.steps[0].byClass.HouseholdOtherInfo === 1);
+    check('Dry run loads nothing', !window.unifiedEntityDatabase);
+
+    const result = await quiet(() => loadUnifiedDatabase('UNIFIED_FILE'));
+    const loadedParcel = window.unifiedEntityDatabase.entities['visionAppraisal:FireNumber:72'];
+    check('Old unified database loads with new properties set', loadedParcel instanceof OtherInfo &&
+        loadedParcel.salesHistory === null && loadedParcel.getParcelDetails() === null &&
+        loadedParcel.assessmentValue === '$100,000');
+    check('Subclass matched by its parent class upgrade',
+        'livingArea' in window.unifiedEntityDatabase.entities['visionAppraisal:FireNumber:9']);
+    check('Load result carries the migration report', result.migration.steps[0].touched === 2);
+
+    // EntityGroup database from before build summaries
+    const groupDb = new EntityGroupDatabase();
+    groupDb.createGroup('visionAppraisal:FireNumber:72', 1);
+    await storage.writeFile('GROUPS_FILE', asSchema1(groupDb));
+    const loadedGroups = await quiet(() => loadEntityGroupDatabase('GROUPS_FILE'));
+    check('Old EntityGroup database gets its build summaries', loadedGroups.matchingProfile === null &&
+        loadedGroups.blocking === null && loadedGroups.incrementalBuild === null);
+
+    // Saved now: current schema recorded, nothing to migrate
+    await quiet(() => saveEntityGroupDatabase(loadedGroups, 'GROUPS_FILE', () => {}));
+    const saved = await storage.readFile('GROUPS_FILE');
+    check('Saves record the schema version', saved.includes(`"schemaVersion":${SERIALIZATION_SCHEMA_VERSION}`));
+    const current = await quiet(() => dryRunDatabaseMigration('GROUPS_FILE', 'EntityGroupDatabase'));
+    check('Current data needs no steps', current.steps.length === 0 &&
+        formatSerializationMigrationReport(current) === `Schema version ${SERIALIZATION_SCHEMA_VERSION}: no migrations needed`);
+
+    // Steps leave data already in the new shape alone
+    const { report: untouched } = deserializeWithMigrations(serializeWithTypes(unified), LEGACY_SCHEMA_VERSION);
+    check('Data already in the new shape is not counted', untouched.steps[0].touched === 0);
+
+    // Newer schema refused (the block is not covered by the hash, so only the version changes)
+    await storage.writeFile('GROUPS_FILE', saved.replace(`"schemaVersion":${SERIALIZATION_SCHEMA_VERSION}`,
+        `"schemaVersion":${SERIALIZATION_SCHEMA_VERSION + 1}`));
+    const newerError = await rejects(() => quiet(() => loadEntityGroupDatabase('GROUPS_FILE')));
+    check('Data from a newer schema refused, naming the file', new RegExp(`GROUPS_FILE was saved under schema version ${SERIALIZATION_SCHEMA_VERSION + 1}; ` +
+        'this version reads up to').test(newerError?.message));
+
+    // Phonebook bulk file: saves record the schema version, files saved before it load, newer ones refused
+    const phonebookDb = new PhonebookDatabase({ bulkFileId: 'PHONEBOOK_BULK' });
+    phonebookDb.entries.set('4015550100', { entry: new PhonebookEntry({ phoneNumber: '4015550100' }), fileId: null });
+    await quiet(() => phonebookDb.saveBulk());
+    const savedBulk = await storage.readFile('PHONEBOOK_BULK');
+    check('Phonebook bulk saves record the schema version', savedBulk.includes('"database":"PhonebookDatabaseBulk"') &&
+        savedBulk.includes(`"schemaVersion":${SERIALIZATION_SCHEMA_VERSION}`));
+    await storage.writeFile('PHONEBOOK_BULK', readDatabaseIntegrity(savedBulk, 'PhonebookDatabaseBulk', 'PHONEBOOK_BULK').content);
+    const legacyPhonebook = new PhonebookDatabase({ bulkFileId: 'PHONEBOOK_BULK' });
+    await quiet(() => legacyPhonebook.loadFromBulk());
+    check('Phonebook bulk saved before schema versions loads', legacyPhonebook.get('4015550100') instanceof PhonebookEntry);
+    await storage.writeFile('PHONEBOOK_BULK', savedBulk.replace(`"schemaVersion":${SERIALIZATION_SCHEMA_VERSION}`,
+        `"schemaVersion":${SERIALIZATION_SCHEMA_VERSION + 1}`));
+    const newerBulkError = await rejects(() => quiet(() => legacyPhonebook.loadFromBulk()));
+    check('Phonebook bulk from a newer schema refused', /saved under schema version/.test(newerBulkError?.message));
+
+    // Street-name snapshot read by the CLI commands
+    const streetNames = new StreetNameDatabase();
+    streetNames.entries.set('CORN NECK ROAD', { object: new StreetName(new AttributedTerm('CORN NECK ROAD', 'VISION_APPRAISAL', 1, 's1')), fileId: null });
+    const snapshotPath = path.join(fixtureDir, 'streetNames.json');
+    fs.writeFileSync(snapshotPath, streetNames.serializeBulkForSave());
+    await quiet(() => loadSupportingDatabases({ 'street-names': snapshotPath }));
+    check('Street-name snapshot saved with its schema version and loaded through the CLI',
+        fs.readFileSync(snapshotPath, 'utf8').includes('"database":"StreetNameDatabaseBulk"') &&
+        window.streetNameDatabase.entries.get('CORN NECK ROAD')?.object instanceof StreetName);
+
+    // Registration rules
+    const skipError = await rejects(() => registerSerializationMigration({ from: 1, to: 3, description: 'x', upgrades: { OtherInfo: () => false } }));
+    const duplicateError = await rejects(() => registerSerializationMigration({ from: 1, to: 2, description: 'x', upgrades: { OtherInfo: () => false } }));
+    check('Steps must go up one version and be registered once', /up one version/.test(skipError?.message) &&
+        /already registered/.test(duplicateError?.message));
+
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+    finishTests('serialization migration');
+}
+
+run();
@@ -0,0 +1,96 @@
+// Test the threshold sweep: sweep profiles, per-value group counts, joined/split pairs,
+// CSV output and restoring the active matching profile
+// Run: node tests/test_threshold_sweep.js
+
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { check, finishTests } = require('./testHelpers');
+
+initializeHeadlessEnvironment({ extraScripts: ['scripts/analysis/thresholdSweep.js'] });
+
+const SOURCE = 'BLOOMERANG_CSV';
+
+function person(first, last, idx) {
+    const name = new IndividualName(new AttributedTerm(`${first} ${last}`, SOURCE, idx, `n${idx}`), '', first, '', last, '');
+    const individual = new Individual(new SimpleIdentifiers(new AccountNumberTerm(`A${idx}`, SOURCE, idx, `a${idx}`)), name, null, null, null);
+    individual.contactInfo = new ContactInfo();
+    return individual;
+}
+
+// Name-only individuals: SMITH variants group at lower nameAlone thresholds
+const entities = {
+    'bloomerang:1': person('JOHN', 'SMITH', 1),
+    'bloomerang:2': person('JON', 'SMITH', 2),
+    'bloomerang:3': person('JOHNNY', 'SMYTHE', 3),
+    'bloomerang:4': person('ALICE', 'JONES', 4)
+};
+window.unifiedEntityDatabase = { entities };
+window.matchOverrideManager.clear();
+
+const quiet = async (fn) => {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = originalLog;
+    }
+};
+
+// Sweep profiles
+const defaults = getActiveMatchingProfile();
+const shifted = buildThresholdSweepProfile(defaults, 'all', 0.02);
+check('Offset sweep shifts every true-match threshold', shifted.matchCriteria.trueMatch.nameAlone === 0.895 &&
+    shifted.matchCriteria.trueMatch.overallAndName.overall === 0.82 && shifted.matchCriteria.nearMatch.nameAlone === 0.845);
+const lowered = buildThresholdSweepProfile(defaults, 'nameAlone', 0.6);
+check('Field sweep sets one threshold and lowers its near-match counterpart', lowered.matchCriteria.trueMatch.nameAlone === 0.6 &&
+    lowered.matchCriteria.nearMatch.nameAlone === 0.6 && lowered.matchCriteria.trueMatch.overallAlone === 0.905);
+check('Sweep profiles validate', validateMatchingProfile(lowered).length === 0 && validateMatchingProfile(shifted).length === 0);
+
+(async () => {
+    const pairScore = await quiet(() => universalCompareTo(entities['bloomerang:1'], entities['bloomerang:3']).score);
+    const sweep = await quiet(() => runThresholdSweep({ field: 'nameAlone', values: [0.5, 0.875, 0.99] }));
+
+    check('One step per value', sweep.steps.map(s => s.value).join(',') === '0.5,0.875,0.99');
+    check('Baseline is the active profile value', sweep.baselineValue === 0.875 && sweep.baseProfile === 'default');
+    const baselineStep = sweep.steps[1];
+    check('Baseline step has no flips', baselineStep.joinedPairs.length === 0 && baselineStep.splitPairs.length === 0 &&
+        baselineStep.totalGroups === sweep.baseline.totalGroups);
+    check('Baseline groups JOHN SMITH with JON SMITH', baselineStep.groupedPairs === 1 && baselineStep.multiMemberGroups === 1);
+
+    const low = sweep.steps[0];
+    check('Lower threshold produces fewer groups', low.totalGroups < baselineStep.totalGroups);
+    check('Lower threshold reports joined pairs', low.joinedPairs.some(p => p.keyA === 'bloomerang:1' && p.keyB === 'bloomerang:3') &&
+        low.splitPairs.length === 0);
+    check('Joined pairs carry their score', low.joinedPairs.every(p => typeof p.score === 'number') &&
+        low.joinedPairs.find(p => p.keyA === 'bloomerang:1' && p.keyB === 'bloomerang:3').score === pairScore);
+    check('ALICE JONES stays alone', !low.joinedPairs.some(p => p.keyA === 'bloomerang:4' || p.keyB === 'bloomerang:4'));
+    check('Bloomerang-only and prospect counts reported', low.bloomerangOnlyGroups === low.totalGroups && low.prospectGroups === 0);
+    check('Step records the thresholds used', low.trueMatch.nameAlone === 0.5 && low.trueMatch.overallAlone === 0.905);
+
+    const high = sweep.steps[2];
+    check('Higher threshold reports split pairs', high.splitPairs.length === 1 && high.splitPairs[0].keyA === 'bloomerang:1' &&
+        high.splitPairs[0].keyB === 'bloomerang:2' && high.groupedPairs === 0 && high.totalGroups === 4);
+
+    check('Active profile restored after the sweep', getActiveMatchingProfile().name === 'default' &&
+        MATCH_CRITERIA.trueMatch.nameAlone === 0.875);
+
+    // CSV
+    const summaryLines = buildThresholdSweepCSV(sweep).split('\n');
+    check('Summary CSV has a row per value', summaryLines.length === 4 && summaryLines[1].startsWith('nameAlone,0.5,'));
+    const flipLines = buildThresholdSweepFlipsCSV(sweep).split('\n');
+    check('Flips CSV has a row per flipped pair', flipLines.length === 1 + low.joinedPairs.length + low.splitPairs.length +
+        high.joinedPairs.length + high.splitPairs.length);
+
+    // Default range and errors
+    const rangeSweep = await quiet(() => runThresholdSweep({ from: -0.01, to: 0.01 }));
+    check('Offset range includes both ends', rangeSweep.steps.map(s => s.value).join(',') === '-0.01,0,0.01');
+    let error = null;
+    try {
+        await runThresholdSweep({ field: 'bogus' });
+    } catch (e) {
+        error = e;
+    }
+    check('Unknown field rejected', error && error.message.includes('Unknown sweep field "bogus"'));
+
+    finishTests('threshold sweep');
+})();
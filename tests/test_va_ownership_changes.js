@@ -0,0 +1,92 @@
+// Test the comparison of two VisionAppraisal pulls: owner changes with sale dates,
+// newly subdivided properties, removed PIDs, fire number moves, and the
+// EntityGroups to review
+// Run: node tests/test_va_ownership_changes.js
+
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { check, finishTests } = require('./testHelpers');
+
+initializeHeadlessEnvironment({
+    extraScripts: ['scripts/dataSources/visionAppraisal.js', 'scripts/analysis/visionAppraisalOwnershipChanges.js']
+});
+
+// everyThingWithPid.json record, as the Fourth Button writes it
+function pidRecord(p) {
+    const line = [p.owner, p.coOwner || '', p.address || 'PO BOX 1::#^#::BLOCK ISLAND:^#^: RI 02807', p.location, '', '1010', '0002',
+        p.saleDate, p.mblu, p.pid, p.assessment || '$100,000', p.appraisal || '$100,000'].join(',');
+    return JSON.stringify(line) + ',file' + p.pid;
+}
+
+const jones = { pid: '419', owner: 'JONES:^#^: ALICE', location: '72 CORN NECK RD', saleDate: '06/15/2021', mblu: '13/  /  042/   / ' };
+const brown = { pid: '1230', owner: 'BROWN:^#^: CAROL', coOwner: 'BROWN:^#^: DAN', location: '9 OLD TOWN RD', saleDate: '03/02/1998', mblu: '8/  /  010/   / ' };
+const trust = { pid: '626', owner: 'HARBOR TRUST', location: '15 WATER ST', saleDate: '01/01/2000', mblu: '6/  /  001/   / ' };
+const moved = { pid: '780', owner: 'SMITH:^#^: ROBERT', location: '40 SPRING ST', saleDate: '07/07/2007', mblu: '7/  /  002/   / ' };
+
+const previousPull = [jones, brown, trust, moved].map(pidRecord);
+const currentPull = [
+    // Alice sold to a new owner; Carol's co-owner dropped off; the trust's PID is gone
+    pidRecord({ ...jones, owner: 'NEWCOMB:^#^: PAT', saleDate: '09/01/2026' }),
+    pidRecord({ ...brown, coOwner: '' }),
+    // Renumbered location
+    pidRecord({ ...moved, location: '44 SPRING ST' }),
+    // The JONES lot was split: new PID on the same map/lot; and an unrelated new parcel
+    pidRecord({ pid: '9001', owner: 'NEWCOMB:^#^: PAT', location: '74 CORN NECK RD', saleDate: '09/01/2026', mblu: '13/  /  042/  1/ ' }),
+    pidRecord({ pid: '9002', owner: 'GREEN:^#^: LEE', location: '3 MILL POND RD', saleDate: '05/05/2026', mblu: '20/  /  005/   / ' })
+];
+
+// Previous build: JONES parcel (VA) grouped with a Bloomerang constituent; the trust alone;
+// PID 780 held as a subdivision of another VA entity
+const unifiedDb = {
+    entities: {
+        'visionAppraisal:FireNumber:72': { pid: '419', otherInfo: {} },
+        'visionAppraisal:FireNumber:9': { pid: '1230', otherInfo: {} },
+        'visionAppraisal:PID:626': { pid: '626', otherInfo: {} },
+        'visionAppraisal:FireNumber:38': { pid: '775', otherInfo: { subdivision: { 780: {} } } },
+        'bloomerang:1001:FireNumber:72:head': { otherInfo: {} }
+    }
+};
+const groupDb = new EntityGroupDatabase();
+const jonesGroup = groupDb.createGroup('visionAppraisal:FireNumber:72', 1);
+groupDb.addMemberToGroup(jonesGroup.index, 'bloomerang:1001:FireNumber:72:head');
+const trustGroup = groupDb.createGroup('visionAppraisal:PID:626', 1);
+groupDb.createGroup('visionAppraisal:FireNumber:9', 1);
+groupDb.createGroup('visionAppraisal:FireNumber:38', 1);
+
+const report = compareVisionAppraisalPulls(previousPull, currentPull, { unifiedDb, groupDb });
+const ownerChange = (pid) => report.ownerChanges.find(c => c.pid === pid);
+
+check('Pulls joined by PID', report.previousParcels === 4 && report.currentParcels === 5 && report.unchanged === 0);
+check('Owner change with both sale dates', ownerChange('419')?.previousOwner === 'JONES, ALICE' &&
+    ownerChange('419').currentOwner === 'NEWCOMB, PAT' && ownerChange('419').previousSaleDate === '06/15/2021' &&
+    ownerChange('419').currentSaleDate === '09/01/2026');
+check('Co-owner change reported', ownerChange('1230')?.previousCoOwner === 'BROWN, DAN' && ownerChange('1230').currentCoOwner === '');
+check('Removed PID', report.removed.map(c => c.pid).join() === '626');
+check('New PID on an existing lot is a subdivision', report.subdivided.length === 1 && report.subdivided[0].pid === '9001' &&
+    report.subdivided[0].parentPids.join() === '419');
+check('Unrelated new PID listed as added', report.added.map(c => c.pid).join() === '9002');
+check('Fire number move', report.fireNumberMoves.length === 1 && report.fireNumberMoves[0].previousFireNumber === '40' &&
+    report.fireNumberMoves[0].currentFireNumber === '44');
+
+// Entities and groups of the previous build
+check('PID found through a subdivision entry', report.fireNumberMoves[0].entityKey === 'visionAppraisal:FireNumber:38');
+const jonesReview = report.groupsToReview.find(g => g.index === jonesGroup.index);
+check('Group with a sold parcel flagged with its Bloomerang members', jonesReview &&
+    jonesReview.bloomerangKeys.join() === 'bloomerang:1001:FireNumber:72:head' &&
+    jonesReview.reasons.some(r => r.startsWith('PID 419 owner changed')) &&
+    jonesReview.reasons.some(r => r.startsWith('PID 419 subdivided')));
+check('Each affected group listed once', report.groupsToReview.length === 4 &&
+    report.groupsToReview.find(g => g.index === trustGroup.index).reasons.join() === 'PID 626 removed');
+
+// Output
+const csv = buildOwnershipChangeCSV(report).split('\n');
+check('CSV: one row per change', csv.length === 1 + 2 + 1 + 1 + 1 + 1 &&
+    csv.some(line => line.startsWith('OWNER_CHANGED,419,72,72 CORN NECK RD,"JONES, ALICE","NEWCOMB, PAT"')));
+check('Summary', formatOwnershipChangeSummary(report).includes('Owner changes: 2   Newly subdivided: 1') &&
+    formatOwnershipChangeSummary(report).includes('EntityGroups to review: 4 (1 with Bloomerang members)'));
+
+// Without a previous build, and a PID repeated in a pull
+const plain = compareVisionAppraisalPulls([...previousPull, previousPull[0]], previousPull);
+check('No groups without a build; repeated PID reported', plain.groupsToReview === null &&
+    plain.duplicatePids.previous.join() === '419' && plain.unchanged === 4 && plain.ownerChanges.length === 0);
+
+finishTests('VisionAppraisal ownership change');
@@ -0,0 +1,101 @@
+// Test the VisionAppraisal property details: the details field of a PID file line
+// (value history, sales, land, building), reading it back, OtherInfo storage and
+// merging, and the assessment value report columns built from it
+// Run: node tests/test_visionappraisal_parcel_details.js
+
+const { initializeHeadlessEnvironment } = require('../scripts/cli/headlessEnvironment');
+const { check, finishTests } = require('./testHelpers');
+
+initializeHeadlessEnvironment({
+    extraScripts: ['scripts/dataSources/visionAppraisal.js', 'scripts/core/visionAppraisalProcessing.js']
+});
+
+const details = {
+    assessmentHistory: [
+        { year: 2025, improvements: 312000, land: 142500, total: 454500 },
+        { year: 2024, improvements: 300000, land: 140000, total: 440000 }
+    ],
+    appraisalHistory: [
+        { year: 2025, improvements: 445700, land: 203600, total: 649300 }
+    ],
+    salesHistory: [
+        { owner: 'JONES ALICE', salePrice: 610000, certificate: '', bookPage: '612/118', instrument: '00', saleDate: '06/15/2021' },
+        { owner: 'SMITH ROBERT', salePrice: 0, certificate: '', bookPage: '401/22', instrument: '1F', saleDate: '03/02/1998' }
+    ],
+    landAcres: 0.92,
+    yearBuilt: 1987,
+    livingArea: 1850
+};
+
+// PID file fields as extractPidFileFields() returns them for a parcel
+const parcelFields = {
+    owner: 'JONES ALICE', coOwner: '', address: '72 CORN NECK RD::#^#::BLOCK ISLAND:^#^: RI 02807',
+    location: '72 CORN NECK RD', zone: 'RA', use: '1010', neighborhood: '0002', saleDate: '06/15/2021',
+    platNumber: '13/ 1/ 42/ /', pid: '419', assessmentValue: '$454,500', appraisalValue: '$649,300'
+};
+const record = (fields) => JSON.stringify(ParcelDataExtractorV2.formatPidFileLine(fields)) + ',1AbCfileId';
+
+// Writing and reading back a PID file line
+const withDetails = VisionAppraisal.parseRecords([record({ ...parcelFields, details })])[0];
+const withoutDetails = VisionAppraisal.parseRecords([record(parcelFields)])[0];
+check('Details field read back unchanged', JSON.stringify(withDetails.parcelDetails) === JSON.stringify(details));
+check('Currency values and file ID unaffected by the details field', withDetails.assessmentValue === '$454,500' &&
+    withDetails.appraisalValue === '$649,300' && withDetails.googleFileId === '1AbCfileId' && withDetails.pid === '419');
+check('Line without details (older scrape) still parses', withoutDetails.parcelDetails === null &&
+    withoutDetails.assessmentValue === '$454,500' && withoutDetails.appraisalValue === '$649,300');
+const damaged = record(parcelFields).replace('",1AbC', `,${VisionAppraisal.PARCEL_DETAILS_MARKER}%7B%22broken",1AbC`);
+const damagedRecord = VisionAppraisal.parseRecords([damaged])[0];
+check('Damaged details field ignored, values kept', damagedRecord.parcelDetails === null && damagedRecord.appraisalValue === '$649,300');
+check('Cell numbers parsed', ParcelDataExtractor.parseNumber('$454,500') === 454500 &&
+    ParcelDataExtractor.parseNumber(' 1,850 ') === 1850 && ParcelDataExtractor.parseNumber('') === null &&
+    ParcelDataExtractor.parseNumber('n/a') === null);
+
+// OtherInfo
+const otherInfo = new OtherInfo();
+otherInfo.setAssessmentValue(withDetails.assessmentValue);
+otherInfo.setParcelDetails(withDetails.parcelDetails);
+check('Details stored on OtherInfo', otherInfo.assessmentHistory[0].total === 454500 && otherInfo.landAcres === 0.92 &&
+    otherInfo.yearBuilt === 1987 && otherInfo.livingArea === 1850);
+check('Most recent sale by date', otherInfo.getMostRecentSale().saleDate === '06/15/2021' &&
+    otherInfo.getMostRecentSale().salePrice === 610000);
+const empty = new OtherInfo();
+empty.setParcelDetails({ assessmentHistory: [], appraisalHistory: [], salesHistory: [], landAcres: null, yearBuilt: null, livingArea: null });
+check('Empty tables stored as null', empty.salesHistory === null && empty.getMostRecentSale() === null && empty.getParcelDetails() === null);
+const restored = deserializeWithTypes(serializeWithTypes(otherInfo));
+check('Details survive serialization', restored instanceof OtherInfo && restored.getMostRecentSale().bookPage === '612/118' &&
+    restored.getParcelDetails().appraisalHistory[0].total === 649300);
+
+// Consensus: first member with a value wins, per field
+const later = new OtherInfo();
+later.setParcelDetails({ salesHistory: [{ owner: 'X', salePrice: 1, saleDate: '01/01/2024' }], yearBuilt: 2001 });
+const consensus = new EntityGroup(0, 'a')._buildOtherInfoConsensus([empty, otherInfo, later]);
+check('Consensus merges details field by field', consensus.yearBuilt === 1987 && consensus.salesHistory === otherInfo.salesHistory &&
+    consensus.landAcres === 0.92);
+
+// Assessment value report: values from the details, legacy strings as fallback
+function vaEntity(pid, owner, info) {
+    const entity = new Individual(null, new IndividualName(new AttributedTerm(owner, 'VISION_APPRAISAL', 0, pid), '', '', '', owner, ''), null, null, null);
+    entity.otherInfo = info;
+    return entity;
+}
+const legacyInfo = new OtherInfo();
+legacyInfo.setAssessmentValue('$100,000');
+legacyInfo.setAppraisalValue('$150,000');
+window.unifiedEntityDatabase = {
+    entities: {
+        'visionAppraisal:FireNumber:72': vaEntity('419', 'JONES', otherInfo),
+        'visionAppraisal:FireNumber:9': vaEntity('1230', 'BROWN', legacyInfo)
+    }
+};
+const groupDb = new EntityGroupDatabase();
+const jones = groupDb.createGroup('visionAppraisal:FireNumber:72', 1);
+groupDb.addMemberToGroup(jones.index, 'visionAppraisal:FireNumber:9');
+const report = generateAssessmentValueReport(groupDb);
+const [header, row] = report.csv.split('\n').map(line => line.split(','));
+const column = (name) => row[header.indexOf(name)];
+check('Report totals assessed and appraised values', column('Total Assessed Value') === '554500' &&
+    column('Total Appraised Value') === '799300' && column('Properties Combined') === '2');
+check('Report lists the most recent purchase', column('Most Recent Purchase Date') === '06/15/2021' &&
+    column('Most Recent Purchase Price') === '610000');
+
+finishTests('VisionAppraisal property details');